@@ -4,15 +4,29 @@
  */
 
 import { showAppReady, updateLoadingStatus, getCurrentUser } from './firebase-auth.js';
-import { loadApiKeyFromFirebase, saveApiKeyToFirebase, validateApiKey, trackApiUsage } from './firebase-api-key-manager.js';
+import { loadApiKeyFromFirebase, saveApiKeyToFirebase, validateApiKey, loadSpeechConfigFromFirebase, saveSpeechConfigToFirebase, loadOcrConfigFromFirebase, saveOcrConfigToFirebase } from './firebase-api-key-manager.js';
 import * as FirebaseDB from './firebase-db.js';
-import { escapeHtml, debugLog, debugError, debugWarn, getAccuracyClassification } from './utils.js';
+import { escapeHtml, debugLog, debugError, debugWarn, getAccuracyClassification, parseGradeLevel, getAssessmentWcpm, ANALYSIS_CONSTANTS, AUDIO_CONSTANTS } from './utils.js';
+import { isRealWord } from './modules/word-list.js';
+import { comparePronunciations } from './modules/phonemes.js';
+import { DEFAULT_RUBRIC, COUNTABLE_ERRORS, normalizeRubric, validateRubric, parseBandText, formatBandText, calculateAccuracy, scoreReading, classifyAccuracy, getScoreLabel } from './modules/scoring-rubric.js';
+import { createSpeechProvider } from './modules/speech-providers.js';
+import { createOcrProvider } from './modules/ocr-providers.js';
+import { getNormComparison } from './modules/orf-norms.js';
+import { RUNNING_RECORD_CODES, MSV_CODES, buildRunningRecord, setRunningRecordCode, summarizeRunningRecord } from './modules/running-record.js';
+import { suggestInterventionGroups } from './modules/intervention-groups.js';
+import { GOAL_STATUS, GOAL_STATUS_LABELS, GOAL_DECISION_POINTS, getAimLines, getGoalTargetTime, evaluateGoalProgress } from './modules/goals.js';
+import { ROSTER_FIELDS, IMPORT_STATUS, parseCsv, guessColumnMapping, buildRosterImport, rosterToCsv } from './modules/roster-csv.js';
+import { enqueueAssessment, getQueuedAssessments, removeQueuedAssessment, reassignQueuedAssessment, flushQueuedAssessments, QUEUE_STATUS } from './modules/offline-queue.js';
 
 // ============ GLOBAL STATE ============
 const state = {
     apiKey: null,
+    speechConfig: { provider: 'google', endpoint: '', authToken: '' },
+    ocrConfig: { provider: 'vision' },
     currentStep: 'setup',
     capturedImage: null,
+    activePassage: null, // { id, title, grade } when the text came from the passage library
     ocrData: null,
     selectedWords: new Set(),
     selectionHistory: [], // For undo functionality
@@ -27,6 +41,7 @@ const state = {
     audioSampleRate: 16000,
     audioChannelCount: 1,
     audioMimeType: null,
+    audioDuration: 0, // Decoded length in seconds (decides sync vs chunked transcription)
     audioObjectUrl: null, // Track for cleanup
     currentStudentId: null,
     // Drawing state for drag selection
@@ -44,7 +59,12 @@ const state = {
     latestSpokenWords: null,
     latestProsodyMetrics: null,
     latestErrorPatterns: null,
-    viewingHistoricalAssessment: false
+    latestRunningRecord: null, // Coded miscues (teacher-editable) for the running-record view
+    latestNormComparison: null, // WCPM percentile band for the selected student's grade
+    latestGradeLevel: null, // Selected student's grade, for the rubric's WPM target
+    scoringRubric: normalizeRubric(DEFAULT_RUBRIC), // Active rubric (bands, weights, WPM targets)
+    viewingHistoricalAssessment: false,
+    sessionSnapshot: null // Session state set aside while a historical assessment is shown
 };
 
 // Save current selection state for undo
@@ -125,11 +145,24 @@ window.addEventListener('userAuthenticated', async (event) => {
     debugLog('User authenticated, initializing app...');
 
     state.apiKey = await loadApiKeyFromFirebase();
+    state.speechConfig = await loadSpeechConfigFromFirebase();
+    state.ocrConfig = await loadOcrConfigFromFirebase();
+    applyProviderConfigToForm();
+    try {
+        applyScoringRubric(await FirebaseDB.getScoringRubric());
+    } catch (error) {
+        debugError('Error loading scoring rubric, using the default:', error);
+    }
 
+    await window.updateClassPickersAsync();
     await window.updateAssessmentStudentDropdownAsync();
     await window.updateStudentDropdownAsync();
 
-    if (state.apiKey) {
+    // Upload anything saved on this device while offline last session
+    syncQueuedAssessments();
+
+    // Fully self-hosted/on-device setups don't need a Google key at all
+    if (getSpeechProvider().isConfigured() && getOcrProvider().isConfigured()) {
         showSection('audio');
         updateProgress('audio');
     } else {
@@ -147,6 +180,9 @@ function showSection(sectionName, pushHistory = true) {
     const allSections = document.querySelectorAll('.page-section');
     allSections.forEach(s => s.classList.remove('active'));
 
+    // Leaving the results page ends a historical view
+    if (sectionName !== 'results') exitHistoricalView();
+
     const targetSection = document.getElementById(`${sectionName}-section`);
     if (targetSection) {
         targetSection.classList.add('active');
@@ -247,23 +283,58 @@ function updateProgress(step) {
 const apiKeyInput = document.getElementById('api-key');
 const saveApiKeyBtn = document.getElementById('save-api-key-btn');
 const toggleKeyVisibility = document.getElementById('toggle-key-visibility');
+const speechProviderSelect = document.getElementById('speech-provider');
+const whisperSettings = document.getElementById('whisper-settings');
+const whisperEndpointInput = document.getElementById('whisper-endpoint');
+const whisperTokenInput = document.getElementById('whisper-token');
+const ocrProviderSelect = document.getElementById('ocr-provider');
+
+function applyProviderConfigToForm() {
+    if (ocrProviderSelect) ocrProviderSelect.value = state.ocrConfig.provider;
+    if (speechProviderSelect) speechProviderSelect.value = state.speechConfig.provider;
+    if (whisperEndpointInput) whisperEndpointInput.value = state.speechConfig.endpoint || '';
+    if (whisperTokenInput) whisperTokenInput.value = state.speechConfig.authToken || '';
+    if (whisperSettings) whisperSettings.style.display = state.speechConfig.provider === 'whisper' ? 'block' : 'none';
+}
+
+if (speechProviderSelect) {
+    speechProviderSelect.addEventListener('change', () => {
+        if (whisperSettings) whisperSettings.style.display = speechProviderSelect.value === 'whisper' ? 'block' : 'none';
+    });
+}
 
 if (saveApiKeyBtn) {
     saveApiKeyBtn.addEventListener('click', async () => {
         const key = apiKeyInput.value.trim();
-        if (!key) {
+        const speechConfig = {
+            provider: speechProviderSelect?.value || 'google',
+            endpoint: whisperEndpointInput?.value.trim() || '',
+            authToken: whisperTokenInput?.value.trim() || ''
+        };
+        const ocrConfig = { provider: ocrProviderSelect?.value || 'vision' };
+        const needsGoogleKey = speechConfig.provider === 'google' || ocrConfig.provider === 'vision';
+
+        if (!key && needsGoogleKey) {
             alert('Please enter an API key');
             return;
         }
+        if (speechConfig.provider === 'whisper' && !/^https?:\/\//.test(speechConfig.endpoint)) {
+            alert('Please enter the full URL of your transcription endpoint (http:// or https://)');
+            return;
+        }
 
         saveApiKeyBtn.disabled = true;
         saveApiKeyBtn.innerHTML = '<span>Validating...</span>';
 
-        const result = await validateApiKey(key);
+        const result = key ? await validateApiKey(key) : { valid: true };
 
         if (result.valid) {
-            await saveApiKeyToFirebase(key);
-            state.apiKey = key;
+            if (key) await saveApiKeyToFirebase(key);
+            await saveSpeechConfigToFirebase(speechConfig);
+            await saveOcrConfigToFirebase(ocrConfig);
+            state.apiKey = key || state.apiKey;
+            state.speechConfig = speechConfig;
+            state.ocrConfig = ocrConfig;
             showSection('audio');
         } else {
             alert(`Invalid API key: ${result.error}`);
@@ -338,12 +409,9 @@ if (recordBtn) {
         const durationSelect = document.getElementById('audio-duration');
         const bitrateSelect = document.getElementById('audio-bitrate');
         const requestedDuration = parseFloat(durationSelect.value) * 60;
-        // Google Speech API has a 60-second limit for synchronous recognition
-        // The beep (~0.8s) is part of the recording but isn't speech, so Google ignores it
-        // We only need a small buffer for timing imprecision in stopping the recording
-        const API_DURATION_LIMIT = 60;
-        const TIMING_BUFFER = 0.2; // Small buffer for stop timing precision
-        state.recordingDuration = Math.min(requestedDuration, API_DURATION_LIMIT - TIMING_BUFFER);
+        // Recordings past Google's 60-second synchronous limit are transcribed in
+        // overlapping chunks by the Google speech provider, so only cap at the max length
+        state.recordingDuration = Math.min(requestedDuration, AUDIO_CONSTANTS.MAX_RECORDING_SECONDS);
         const selectedBitrate = parseInt(bitrateSelect?.value || '32000');
 
         debugLog('Recording settings - requested:', requestedDuration, 'actual:', state.recordingDuration, 'bitrate:', selectedBitrate);
@@ -420,11 +488,13 @@ if (recordBtn) {
                     const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
                     state.audioChannelCount = audioBuffer.numberOfChannels;
                     state.audioSampleRate = audioBuffer.sampleRate;
-                    debugLog('Decoded audio metadata - channels:', state.audioChannelCount, 'sampleRate:', state.audioSampleRate);
+                    state.audioDuration = audioBuffer.duration;
+                    debugLog('Decoded audio metadata - channels:', state.audioChannelCount, 'sampleRate:', state.audioSampleRate, 'duration:', state.audioDuration);
                     audioContext.close();
                 } catch (decodeError) {
                     debugError('Could not decode audio for metadata:', decodeError);
-                    // Keep existing values as fallback
+                    // Keep existing values as fallback; wall-clock time is close enough for chunking decisions
+                    state.audioDuration = (Date.now() - state.recordingStartTime) / 1000;
                 }
 
                 // Revoke old audio URL to prevent memory leak
@@ -770,6 +840,7 @@ if (captureBtn) {
         ctx.drawImage(camera, 0, 0);
 
         state.capturedImage = cameraCanvas.toDataURL('image/jpeg', 1.0);
+        state.activePassage = null;
         nextToHighlightBtn.disabled = false;
 
         // Show captured image preview using img element (preserves letterboxing)
@@ -799,6 +870,7 @@ if (fileInputCamera) {
             const reader = new FileReader();
             reader.onload = (event) => {
                 state.capturedImage = event.target.result;
+                state.activePassage = null;
                 nextToHighlightBtn.disabled = false;
 
                 // Show preview of uploaded image using img element (preserves letterboxing)
@@ -835,8 +907,20 @@ const zoomInBtn = document.getElementById('zoom-in-btn');
 const zoomOutBtn = document.getElementById('zoom-out-btn');
 const zoomResetBtn = document.getElementById('zoom-reset-btn');
 
+function getOcrProvider() {
+    return createOcrProvider({
+        ...state.ocrConfig,
+        apiKey: state.apiKey,
+        onProgress: updateLoadingStatusText
+    });
+}
+
 async function processImage() {
-    if (!state.capturedImage || !state.apiKey) return;
+    if (!state.capturedImage) return;
+    if (!getOcrProvider().isConfigured()) {
+        alert('Text detection needs a Google Cloud API key. Add one in Settings or switch to on-device OCR.');
+        return;
+    }
 
     const loadingOverlay = document.getElementById('highlight-loading-overlay');
     const loadingStatus = document.getElementById('highlight-loading-status');
@@ -846,56 +930,8 @@ async function processImage() {
         loadingStatus.textContent = 'Detecting text...';
         updateLoadingStep(1);
 
-        // Call Vision API with DOCUMENT_TEXT_DETECTION for better word boundaries
-        const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${state.apiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                requests: [{
-                    image: { content: state.capturedImage.split(',')[1] },
-                    features: [{ type: 'DOCUMENT_TEXT_DETECTION', maxResults: 1 }]
-                }]
-            })
-        });
-
-        const data = await response.json();
-        await trackApiUsage('vision');
-
-        if (data.error) {
-            throw new Error(data.error.message);
-        }
-
-        // Extract words with bounding boxes
-        const words = [];
-        if (data.responses && data.responses[0] && data.responses[0].fullTextAnnotation) {
-            const pages = data.responses[0].fullTextAnnotation.pages || [];
-            pages.forEach(page => {
-                page.blocks.forEach(block => {
-                    block.paragraphs.forEach(paragraph => {
-                        paragraph.words.forEach(word => {
-                            const vertices = word.boundingBox.vertices;
-                            const text = word.symbols.map(s => s.text).join('');
-
-                            // Only include words with alphanumeric characters
-                            if (/[a-zA-Z0-9]/.test(text)) {
-                                const xs = vertices.map(v => v.x || 0);
-                                const ys = vertices.map(v => v.y || 0);
-                                words.push({
-                                    text: text,
-                                    bbox: {
-                                        x0: Math.min(...xs),
-                                        y0: Math.min(...ys),
-                                        x1: Math.max(...xs),
-                                        y1: Math.max(...ys)
-                                    },
-                                    vertices: vertices
-                                });
-                            }
-                        });
-                    });
-                });
-            });
-        }
+        // Words with bounding boxes from whichever OCR provider is selected
+        const words = await getOcrProvider().recognize(state.capturedImage);
 
         // Post-process: merge hyphenated words that span lines
         const mergedWords = mergeHyphenatedWords(words);
@@ -925,6 +961,35 @@ async function processImage() {
     }
 }
 
+// Group OCR words into printed lines by the vertical center of each box.
+// Words arrive in reading order, so a jump of half a line height starts a new line.
+// Returns one array of word indices per line.
+function groupWordsIntoLines(words) {
+    const lines = [];
+    let currentLine = [];
+    let lastY = null;
+
+    words.forEach((word, index) => {
+        // Hyphen-merged words span two lines; place them by their first part
+        const bbox = word.parts?.[0]?.bbox || word.bbox;
+        const wordY = (bbox.y0 + bbox.y1) / 2;
+        const lineHeight = bbox.y1 - bbox.y0;
+
+        if (lastY === null || Math.abs(wordY - lastY) < lineHeight * 0.5) {
+            currentLine.push(index);
+        } else {
+            lines.push(currentLine);
+            currentLine = [index];
+        }
+        lastY = wordY;
+    });
+    if (currentLine.length > 0) {
+        lines.push(currentLine);
+    }
+
+    return lines;
+}
+
 // Merge hyphenated words that span lines (e.g., "unpre-" + "dictable" = "unpredictable")
 // Also handles cases where OCR doesn't detect the hyphen but the word is clearly split across lines
 function mergeHyphenatedWords(words) {
@@ -944,41 +1009,16 @@ function mergeHyphenatedWords(words) {
     };
 
     // Calculate approximate line boundaries to detect end-of-line words
-    // Group words by their Y position to identify lines
-    const lineGroups = [];
-    let currentLineWords = [];
-    let lastY = null;
-
-    for (const word of words) {
-        const wordY = (word.bbox.y0 + word.bbox.y1) / 2;
-        const lineHeight = word.bbox.y1 - word.bbox.y0;
-
-        if (lastY === null || Math.abs(wordY - lastY) < lineHeight * 0.5) {
-            currentLineWords.push(word);
-        } else {
-            if (currentLineWords.length > 0) {
-                lineGroups.push([...currentLineWords]);
-            }
-            currentLineWords = [word];
-        }
-        lastY = wordY;
-    }
-    if (currentLineWords.length > 0) {
-        lineGroups.push(currentLineWords);
-    }
+    const lineGroups = groupWordsIntoLines(words);
 
     // Build a map of which word is the last on its line
     const lastWordOnLine = new Set();
     const firstWordOnLine = new Set();
-    for (const lineWords of lineGroups) {
-        if (lineWords.length > 0) {
-            // Sort by X position to find actual first/last on each line
-            const sorted = [...lineWords].sort((a, b) => a.bbox.x0 - b.bbox.x0);
-            const last = sorted[sorted.length - 1];
-            const first = sorted[0];
-            lastWordOnLine.add(words.indexOf(last));
-            firstWordOnLine.add(words.indexOf(first));
-        }
+    for (const lineIndices of lineGroups) {
+        // Sort by X position to find actual first/last on each line
+        const sorted = [...lineIndices].sort((a, b) => words[a].bbox.x0 - words[b].bbox.x0);
+        lastWordOnLine.add(sorted[sorted.length - 1]);
+        firstWordOnLine.add(sorted[0]);
     }
 
     while (i < words.length) {
@@ -1355,6 +1395,293 @@ if (backToCaptureBtn) {
     backToCaptureBtn.addEventListener('click', () => showSection('camera'));
 }
 
+// ============ PASSAGE LIBRARY ============
+const savePassageBtn = document.getElementById('save-passage-btn');
+const savePassageModal = document.getElementById('save-passage-modal');
+const confirmSavePassageBtn = document.getElementById('confirm-save-passage-btn');
+const cancelSavePassageBtn = document.getElementById('cancel-save-passage-btn');
+const useSavedPassageBtn = document.getElementById('use-saved-passage-btn');
+const passageLibraryModal = document.getElementById('passage-library-modal');
+const closePassageLibraryBtn = document.getElementById('close-passage-library-btn');
+
+const PASSAGE_IMAGE_MAX_WIDTH = 1200;
+const PASSAGE_IMAGE_MAX_CHARS = 700000; // Keep the doc well under Firestore's 1MB limit
+
+// Downscale the photo so it fits in the passage doc - returns the scale so word boxes can follow
+async function compressPassageImage(dataUrl) {
+    const img = await imageCache.load(dataUrl);
+    const scale = Math.min(1, PASSAGE_IMAGE_MAX_WIDTH / img.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    for (const quality of [0.7, 0.5, 0.35]) {
+        const compressed = canvas.toDataURL('image/jpeg', quality);
+        if (compressed.length <= PASSAGE_IMAGE_MAX_CHARS) return { imageDataUrl: compressed, scale };
+    }
+    return { imageDataUrl: null, scale: 1 };
+}
+
+function scaleBbox(bbox, scale) {
+    return {
+        x0: Math.round(bbox.x0 * scale),
+        y0: Math.round(bbox.y0 * scale),
+        x1: Math.round(bbox.x1 * scale),
+        y1: Math.round(bbox.y1 * scale)
+    };
+}
+
+function verticesFromBbox({ x0, y0, x1, y1 }) {
+    return [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+}
+
+// Lay the words out on a blank page so passages without a photo can still be highlighted.
+// paragraphStarts holds word indices that begin a new paragraph.
+function renderPassageAsImage(wordTexts, paragraphStarts = new Set()) {
+    const width = 1200;
+    const padding = 48;
+    const fontSize = 34;
+    const lineHeight = 60;
+    const spaceWidth = 12;
+
+    const measureCanvas = document.createElement('canvas');
+    const measureCtx = measureCanvas.getContext('2d');
+    measureCtx.font = `${fontSize}px Georgia, serif`;
+
+    const words = [];
+    let x = padding;
+    let y = padding;
+    wordTexts.forEach((text, index) => {
+        const wordWidth = Math.ceil(measureCtx.measureText(text).width);
+        if (index > 0 && paragraphStarts.has(index)) {
+            x = padding;
+            y += lineHeight * 1.5;
+        } else if (x + wordWidth > width - padding && x > padding) {
+            x = padding;
+            y += lineHeight;
+        }
+        const bbox = { x0: x - 4, y0: y - 6, x1: x + wordWidth + 4, y1: y + fontSize + 6 };
+        words.push({ text, bbox, vertices: verticesFromBbox(bbox) });
+        x += wordWidth + spaceWidth;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = y + lineHeight + padding;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#1f2937';
+    ctx.font = `${fontSize}px Georgia, serif`;
+    ctx.textBaseline = 'top';
+    words.forEach(word => ctx.fillText(word.text, word.bbox.x0 + 4, word.bbox.y0 + 6));
+
+    return { imageDataUrl: canvas.toDataURL('image/png'), words };
+}
+
+function getPassageWordsForSaving() {
+    const allWords = state.ocrData?.words || [];
+    // Save just the highlighted words when there's a selection - that's the passage that was read
+    const indices = state.selectedWords.size > 0
+        ? Array.from(state.selectedWords).sort((a, b) => a - b)
+        : allWords.map((_, i) => i);
+    return indices.map(i => allWords[i]);
+}
+
+if (savePassageBtn) {
+    savePassageBtn.addEventListener('click', () => {
+        if (!state.ocrData?.words?.length) {
+            alert('No text detected yet. Capture a passage first.');
+            return;
+        }
+        const wordCount = getPassageWordsForSaving().length;
+        const summary = document.getElementById('passage-save-summary');
+        if (summary) summary.textContent = `${wordCount} word${wordCount !== 1 ? 's' : ''} ${state.selectedWords.size > 0 ? '(highlighted)' : '(all detected text)'}`;
+        document.getElementById('passage-title-input').value = state.activePassage?.title || '';
+        document.getElementById('passage-grade-input').value = state.activePassage?.grade || '';
+        savePassageModal.classList.add('active');
+    });
+}
+
+if (cancelSavePassageBtn) cancelSavePassageBtn.addEventListener('click', () => savePassageModal.classList.remove('active'));
+
+if (confirmSavePassageBtn) {
+    confirmSavePassageBtn.addEventListener('click', async () => {
+        const title = document.getElementById('passage-title-input').value.trim();
+        const grade = document.getElementById('passage-grade-input').value.trim();
+        const includeImage = document.getElementById('passage-include-image-input').checked;
+
+        if (!title) {
+            alert('Please enter a passage title');
+            return;
+        }
+
+        confirmSavePassageBtn.disabled = true;
+        try {
+            const words = getPassageWordsForSaving();
+            let imageDataUrl = null;
+            let scale = 1;
+            if (includeImage && state.capturedImage) {
+                ({ imageDataUrl, scale } = await compressPassageImage(state.capturedImage));
+                if (!imageDataUrl) debugWarn('Passage photo too large to store - saving words only');
+            }
+
+            const passageId = await FirebaseDB.savePassage({
+                title,
+                grade,
+                wordList: words.map(w => w.text),
+                // Word boxes only mean something alongside the photo they were detected on
+                words: imageDataUrl ? words.map(w => ({
+                    text: w.text,
+                    bbox: scaleBbox(w.bbox, scale),
+                    ...(w.parts ? { parts: w.parts.map(p => ({ text: p.text, bbox: scaleBbox(p.bbox, scale) })) } : {})
+                })) : null,
+                imageDataUrl
+            });
+
+            state.activePassage = { id: passageId, title, grade };
+            savePassageModal.classList.remove('active');
+            alert(`Saved "${title}" to your passage library.`);
+        } catch (error) {
+            debugError('Error saving passage:', error);
+            alert('Failed to save passage: ' + error.message);
+        } finally {
+            confirmSavePassageBtn.disabled = false;
+        }
+    });
+}
+
+async function openPassageLibrary() {
+    const list = document.getElementById('passage-library-list');
+    list.innerHTML = '<p class="passage-library-empty">Loading passages...</p>';
+    passageLibraryModal.classList.add('active');
+
+    let passages;
+    try {
+        passages = await FirebaseDB.getAllPassages();
+    } catch (error) {
+        list.innerHTML = '<p class="passage-library-empty">Could not load passages. Check your connection.</p>';
+        return;
+    }
+
+    if (passages.length === 0) {
+        list.innerHTML = '<p class="passage-library-empty">No saved passages yet. Use "Save Passage" on the highlight step to add one.</p>';
+        return;
+    }
+
+    list.innerHTML = passages.map(p => `
+        <div class="passage-item" data-passage-id="${escapeHtml(p.id)}">
+            <div class="passage-item-info">
+                <strong>${escapeHtml(p.title)}</strong>
+                <span class="passage-item-meta">${escapeHtml(p.grade || 'No grade')} • ${p.wordList?.length || 0} words${p.imageDataUrl ? ' • photo' : ''}</span>
+                <span class="passage-item-preview">${escapeHtml((p.wordList || []).slice(0, 12).join(' '))}…</span>
+            </div>
+            <div class="passage-item-actions">
+                <button type="button" class="btn btn-primary btn-small use-passage-btn">Use</button>
+                <button type="button" class="btn btn-danger btn-small delete-passage-btn">Delete</button>
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.passage-item').forEach(item => {
+        const passage = passages.find(p => p.id === item.dataset.passageId);
+        item.querySelector('.use-passage-btn').addEventListener('click', () => {
+            passageLibraryModal.classList.remove('active');
+            loadPassageFromLibrary(passage);
+        });
+        item.querySelector('.delete-passage-btn').addEventListener('click', async () => {
+            if (confirm(`Delete "${passage.title}" from your library?`)) {
+                await FirebaseDB.deletePassage(passage.id);
+                openPassageLibrary();
+            }
+        });
+    });
+}
+
+// Skip camera + OCR entirely: the given words become the OCR data, all selected
+function useKnownPassageText(imageDataUrl, words) {
+    state.capturedImage = imageDataUrl;
+    state.ocrData = { words };
+    state.selectedWords = new Set(words.map((_, i) => i));
+
+    showSection('image');
+    drawImageWithWords();
+    updateWordCount();
+    analyzeBtn.disabled = false;
+}
+
+function loadPassageFromLibrary(passage) {
+    state.activePassage = { id: passage.id, title: passage.title, grade: passage.grade || '' };
+    debugLog('Loaded passage from library:', passage.title, passage.wordList?.length, 'words');
+
+    if (passage.imageDataUrl && passage.words) {
+        useKnownPassageText(passage.imageDataUrl, passage.words.map(w => ({ ...w, vertices: verticesFromBbox(w.bbox) })));
+    } else {
+        const rendered = renderPassageAsImage(passage.wordList || []);
+        useKnownPassageText(rendered.imageDataUrl, rendered.words);
+    }
+}
+
+if (useSavedPassageBtn) useSavedPassageBtn.addEventListener('click', openPassageLibrary);
+if (closePassageLibraryBtn) closePassageLibraryBtn.addEventListener('click', () => passageLibraryModal.classList.remove('active'));
+
+// ============ PASTED TEXT INPUT ============
+const pasteTextBtn = document.getElementById('paste-text-btn');
+const pasteTextModal = document.getElementById('paste-text-modal');
+const pasteTextInput = document.getElementById('paste-text-input');
+const confirmPasteTextBtn = document.getElementById('confirm-paste-text-btn');
+const cancelPasteTextBtn = document.getElementById('cancel-paste-text-btn');
+
+// Split pasted text into OCR-style tokens. Punctuation stays attached to its word
+// ("dog," not "dog") so the comma-pause filter in analyzePronunciation still sees it.
+function tokenizePassageText(text) {
+    const tokens = [];
+    const paragraphStarts = new Set();
+
+    text.replace(/\r\n?/g, '\n').split(/\n\s*\n|\n/).forEach(paragraph => {
+        const paragraphStart = tokens.length;
+        paragraph.trim().split(/\s+/).filter(Boolean).forEach(raw => {
+            const token = raw.replace(/[\u2018\u2019]/g, "'").replace(/[\u201C\u201D]/g, '"');
+            if (/[a-zA-Z0-9]/.test(token)) {
+                tokens.push(token);
+            } else if (tokens.length > paragraphStart) {
+                // Free-standing punctuation ("dog , then") belongs to the previous word
+                tokens[tokens.length - 1] += token;
+            }
+        });
+        if (tokens.length > paragraphStart) paragraphStarts.add(paragraphStart);
+    });
+
+    return { tokens, paragraphStarts };
+}
+
+if (pasteTextBtn) {
+    pasteTextBtn.addEventListener('click', () => {
+        pasteTextModal.classList.add('active');
+        pasteTextInput.focus();
+    });
+}
+
+if (cancelPasteTextBtn) cancelPasteTextBtn.addEventListener('click', () => pasteTextModal.classList.remove('active'));
+
+if (confirmPasteTextBtn) {
+    confirmPasteTextBtn.addEventListener('click', () => {
+        const { tokens, paragraphStarts } = tokenizePassageText(pasteTextInput.value);
+        if (tokens.length === 0) {
+            alert('Please paste or type the passage text');
+            return;
+        }
+
+        const rendered = renderPassageAsImage(tokens, paragraphStarts);
+        state.activePassage = null;
+        pasteTextModal.classList.remove('active');
+        debugLog('Using pasted text:', tokens.length, 'words');
+
+        useKnownPassageText(rendered.imageDataUrl, rendered.words);
+    });
+}
+
 // ============ AUTO-DETECT (FIX #3) ============
 async function handleAutoDetectClick(e) {
     debugLog('Auto-detect button clicked/tapped');
@@ -1397,14 +1724,15 @@ async function autoDetectSpokenWords() {
     debugLog('autoDetectSpokenWords called');
     debugLog('audioBlob:', !!state.audioBlob, state.audioBlob?.size);
     debugLog('ocrData:', !!state.ocrData, state.ocrData?.words?.length);
-    debugLog('apiKey:', !!state.apiKey);
+    debugLog('speech provider:', state.speechConfig.provider);
 
-    if (!state.audioBlob || !state.ocrData || !state.ocrData.words.length || !state.apiKey) {
-        debugLog('Cannot auto-detect: missing audio, OCR data, or API key');
+    const speechReady = getSpeechProvider().isConfigured();
+    if (!state.audioBlob || !state.ocrData || !state.ocrData.words.length || !speechReady) {
+        debugLog('Cannot auto-detect: missing audio, OCR data, or speech provider');
         alert('Cannot auto-detect: ' +
             (!state.audioBlob ? 'No audio. ' : '') +
             (!state.ocrData?.words?.length ? 'No OCR data. ' : '') +
-            (!state.apiKey ? 'No API key.' : ''));
+            (!speechReady ? 'Speech provider not configured.' : ''));
         return;
     }
 
@@ -1760,97 +2088,33 @@ function normalizeWordForMatching(word) {
 }
 
 async function runSpeechToText(returnFullInfo = false) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(state.audioBlob);
-
-        reader.onloadend = async () => {
-            try {
-                const base64Audio = reader.result.split(',')[1];
-
-                // Determine encoding based on actual recorded format
-                let encoding = 'ENCODING_UNSPECIFIED';
-                let sampleRate = state.audioSampleRate || 48000;
-
-                if (state.audioMimeType) {
-                    if (state.audioMimeType.includes('opus')) {
-                        encoding = 'WEBM_OPUS';
-                    } else if (state.audioMimeType.includes('mp4') || state.audioMimeType.includes('aac')) {
-                        encoding = 'ENCODING_UNSPECIFIED'; // Let API auto-detect for AAC
-                        sampleRate = state.audioSampleRate || 44100;
-                    } else if (state.audioMimeType.includes('ogg')) {
-                        encoding = 'OGG_OPUS';
-                    }
-                }
-
-                debugLog('Speech API config - encoding:', encoding, 'sampleRate:', sampleRate, 'channels:', state.audioChannelCount);
-                debugLog('Audio blob size:', state.audioBlob.size, 'bytes, mimeType:', state.audioMimeType);
-
-                // Build config with actual decoded audio metadata
-                // audioChannelCount is now accurate because we decode the audio after recording
-                const speechConfig = {
-                    encoding: encoding,
-                    sampleRateHertz: sampleRate,
-                    languageCode: 'en-US',
-                    enableWordTimeOffsets: true,
-                    enableAutomaticPunctuation: true,
-                    enableWordConfidence: true,
-                    audioChannelCount: state.audioChannelCount || 1
-                };
-
-                const response = await fetch(`https://speech.googleapis.com/v1/speech:recognize?key=${state.apiKey}`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        config: speechConfig,
-                        audio: { content: base64Audio }
-                    })
-                });
-
-                const data = await response.json();
-                await trackApiUsage('speech');
-
-                if (data.error) {
-                    throw new Error(data.error.message);
-                }
-
-                const words = [];
-                const wordInfo = [];
-                if (data.results) {
-                    data.results.forEach(result => {
-                        if (result.alternatives && result.alternatives[0]) {
-                            const alt = result.alternatives[0];
-                            if (alt.words) {
-                                alt.words.forEach(w => {
-                                    words.push(w.word);
-                                    wordInfo.push({
-                                        word: w.word,
-                                        startTime: w.startTime,
-                                        endTime: w.endTime,
-                                        confidence: w.confidence || alt.confidence || 0.9
-                                    });
-                                });
-                            } else if (alt.transcript) {
-                                const transcriptWords = alt.transcript.split(/\s+/);
-                                transcriptWords.forEach(w => {
-                                    words.push(w);
-                                    wordInfo.push({ word: w, confidence: alt.confidence || 0.9 });
-                                });
-                            }
-                        }
-                    });
-                }
+    const provider = getSpeechProvider();
+    debugLog('Transcribing with speech provider:', provider.id);
+
+    const wordInfo = await provider.transcribe(state.audioBlob, {
+        mimeType: state.audioMimeType,
+        sampleRate: state.audioSampleRate,
+        channelCount: state.audioChannelCount,
+        duration: state.audioDuration
+    });
 
-                resolve(returnFullInfo ? wordInfo : words);
-            } catch (error) {
-                reject(error);
-            }
-        };
+    return returnFullInfo ? wordInfo : wordInfo.map(w => w.word);
+}
 
-        reader.onerror = () => reject(new Error('Error reading audio'));
+function getSpeechProvider() {
+    return createSpeechProvider({
+        ...state.speechConfig,
+        apiKey: state.apiKey,
+        onProgress: updateLoadingStatusText
     });
 }
 
+// Status text only exists while the highlight loading overlay is up
+function updateLoadingStatusText(text) {
+    const loadingStatus = document.getElementById('highlight-loading-status');
+    if (loadingStatus) loadingStatus.textContent = text;
+}
+
 function normalizeWord(word) {
     let normalized = word.toLowerCase().replace(/[^a-z0-9]/g, '');
 
@@ -2011,13 +2275,65 @@ function detectHesitation(spokenWordInfo, index) {
     return (currStart - prevEnd) > 0.5;
 }
 
+// ============ SKIPPED LINES ============
+// Printed line number (1-based) of each selected word, or null when only part of
+// that line was selected - a partial line can't be told apart from skipped words
+function getSelectedLineNumbers(ocrWords, selectedIndices) {
+    const selected = new Set(selectedIndices);
+    const lineOf = new Map();
+    groupWordsIntoLines(ocrWords).forEach((lineIndices, lineIndex) => {
+        const wholeLineSelected = lineIndices.every(i => selected.has(i));
+        lineIndices.forEach(i => lineOf.set(i, wholeLineSelected ? lineIndex + 1 : null));
+    });
+    return selectedIndices.map(i => lineOf.get(i) ?? null);
+}
+
+// Fill errors.skippedLines: printed lines where every word was skipped.
+// Lines shorter than CONSECUTIVE_SKIPS_FOR_LINE_SKIP stay ordinary skipped words.
+// Each word still counts as a skipped word for scoring; this only groups them.
+function detectSkippedLines(analysis) {
+    // Historical assessments saved before line tracking keep what they have
+    if (!analysis.lineNumbers) return;
+
+    const skipped = new Set(analysis.errors.skippedWords);
+    const expectedByIndex = new Map(analysis.aligned.map(item => [item.index, item.expected]));
+    const lines = new Map();
+    analysis.lineNumbers.forEach((line, index) => {
+        if (line === null) return;
+        if (!lines.has(line)) lines.set(line, []);
+        lines.get(line).push(index);
+    });
+
+    analysis.errors.skippedLines = [];
+    lines.forEach((indices, line) => {
+        if (indices.length < ANALYSIS_CONSTANTS.CONSECUTIVE_SKIPS_FOR_LINE_SKIP) return;
+        if (!indices.every(i => skipped.has(i))) return;
+        analysis.errors.skippedLines.push({
+            line,
+            startIndex: indices[0],
+            endIndex: indices[indices.length - 1],
+            words: indices.map(i => expectedByIndex.get(i))
+        });
+    });
+}
+
+// Expected-word indices that belong to a skipped line
+function getSkippedLineIndices(errors) {
+    const indices = new Set();
+    (errors?.skippedLines || []).forEach(sl => {
+        for (let i = sl.startIndex; i <= sl.endIndex; i++) indices.add(i);
+    });
+    return indices;
+}
+
 // ============ PRONUNCIATION ANALYSIS ============
 function analyzePronunciation(expectedWords, spokenWordInfo) {
     const analysis = {
         aligned: [],
         errors: {
             skippedWords: [], misreadWords: [], substitutedWords: [],
-            hesitations: [], repeatedWords: [], skippedLines: [], repeatedPhrases: []
+            hesitations: [], repeatedWords: [], skippedLines: [], repeatedPhrases: [],
+            selfCorrections: [], insertions: []
         },
         correctCount: 0
     };
@@ -2037,14 +2353,22 @@ function analyzePronunciation(expectedWords, spokenWordInfo) {
         }
     }
 
-    // Filter spoken words
+    // Multi-word re-reads ("went to the... went to the store") - the repeat is
+    // dropped before alignment the same way a repeated single word is
+    analysis.errors.repeatedPhrases = detectRepeatedPhrases(spokenWordInfo, expectedWords);
+    const repeatedPhraseSpoken = new Set(analysis.errors.repeatedPhrases.flatMap(rp => rp.spokenIndices));
+
+    // Filter spoken words - a word said twice in a row is kept once and recorded
+    // as a repeat (like a running record), not as an inserted word
     const cleanSpoken = [];
+    const cleanSpokenSource = []; // spokenWordInfo index of each cleanSpoken word
     for (let i = 0; i < spokenWordInfo.length; i++) {
         const word = spokenWordInfo[i];
-        if (!word || !word.word || isFillerWord(word.word)) continue;
+        if (!word || !word.word || isFillerWord(word.word) || repeatedPhraseSpoken.has(i)) continue;
         const prev = cleanSpoken[cleanSpoken.length - 1];
         if (prev && normalizeWord(word.word) === normalizeWord(prev.word)) continue;
         cleanSpoken.push(word);
+        cleanSpokenSource.push(i);
     }
 
     // DP alignment
@@ -2075,9 +2399,15 @@ function analyzePronunciation(expectedWords, spokenWordInfo) {
         }
     }
 
+    // Words from the passage itself count as real words when classifying mismatches
+    const passageWords = new Set(expectedWords.map(w => w.toLowerCase().replace(/[^a-z']/g, '')));
+
     // Backtrack
     let i = m, j = n;
     const alignment = [];
+    const insertedSpoken = []; // cleanSpoken indices the alignment skipped over
+    const insertedBeforeExpected = new Map(); // cleanSpoken index -> expected index it sits before
+    const matchedBySpokenIndex = new Map();
     while (i > 0 || j > 0) {
         const action = path[i][j];
         if (action === 'match') {
@@ -2088,21 +2418,52 @@ function analyzePronunciation(expectedWords, spokenWordInfo) {
             if (expNorm === spkNorm || arePhoneticEquivalents(expNorm, spkNorm)) {
                 alignment.unshift({ expected, spoken: spoken.word, status: 'correct', confidence: spoken.confidence, startTime: spoken.startTime, endTime: spoken.endTime, index: i - 1 });
                 analysis.correctCount++;
+            } else if (isRealWord(spoken.word, passageWords)) {
+                // Real-word substitution ("house" → "horse")
+                alignment.unshift({ expected, spoken: spoken.word, status: 'substituted', confidence: spoken.confidence, startTime: spoken.startTime, endTime: spoken.endTime, index: i - 1 });
+                analysis.errors.substitutedWords.push({ index: i - 1, expected, spoken: spoken.word });
             } else {
+                // Non-word mispronunciation ("house" → "hoose") - partial decoding
                 alignment.unshift({ expected, spoken: spoken.word, status: 'misread', confidence: spoken.confidence, startTime: spoken.startTime, endTime: spoken.endTime, index: i - 1 });
                 analysis.errors.misreadWords.push({ index: i - 1, expected, spoken: spoken.word });
             }
+            matchedBySpokenIndex.set(j - 1, alignment[0]);
             i--; j--;
         } else if (action === 'skip') {
             alignment.unshift({ expected: expectedWords[i - 1], spoken: null, status: 'skipped', index: i - 1 });
             analysis.errors.skippedWords.push(i - 1);
             i--;
         } else if (action === 'insert') {
+            insertedSpoken.unshift(j - 1);
+            insertedBeforeExpected.set(j - 1, i);
             j--;
         } else break;
     }
     analysis.aligned = alignment;
 
+    // Attach each repeated phrase to the text words its first reading matched
+    const alignedBySpokenIndex = new Map();
+    matchedBySpokenIndex.forEach((item, k) => alignedBySpokenIndex.set(cleanSpokenSource[k], item));
+    analysis.errors.repeatedPhrases.forEach(rp => {
+        rp.expectedIndices = rp.originalSpokenIndices
+            .map(k => alignedBySpokenIndex.get(k)?.index)
+            .filter(index => index !== undefined);
+    });
+    // ...and each repeated word to the text word it repeats ("the big big red dog" → "big")
+    analysis.errors.repeatedWords.forEach(r => {
+        let source = r.spokenIndex - 1;
+        while (source >= 0 && !alignedBySpokenIndex.has(source) && normalizeWord(spokenWordInfo[source]?.word || '') === normalizeWord(r.word)) source--;
+        r.index = alignedBySpokenIndex.get(source)?.index ?? null;
+    });
+
+    // Self-corrections: an inserted attempt followed by the right word ("horse... house")
+    // is scored as correct under running-record conventions, but tracked separately
+    const consumedAttempts = new Set();
+    analysis.errors.selfCorrections = detectSelfCorrections(cleanSpoken, insertedSpoken, matchedBySpokenIndex, consumedAttempts);
+
+    // Whatever's left over are words the reader added that aren't on the page
+    analysis.errors.insertions = detectInsertions(cleanSpoken, insertedSpoken, insertedBeforeExpected, consumedAttempts);
+
     // Filter out hesitations that occur after words with commas (natural pauses)
     if (analysis.errors.hesitations && analysis.errors.hesitations.length > 0 && alignment.length > 0) {
         analysis.errors.hesitations = analysis.errors.hesitations.filter(h => {
@@ -2136,6 +2497,124 @@ function analyzePronunciation(expectedWords, spokenWordInfo) {
     return analysis;
 }
 
+function isSelfCorrectionAttempt(attempt, target) {
+    const a = normalizeWord(attempt);
+    const t = normalizeWord(target);
+    if (!a || !t || a === t) return false; // Identical word is a repetition, not a correction
+    // Partial attempt ("hou... house") or a near miss ("horse... house")
+    return (a.length >= 2 && t.startsWith(a)) || wordsAreSimilar(a, t);
+}
+
+function detectSelfCorrections(cleanSpoken, insertedSpoken, matchedBySpokenIndex, consumedAttempts) {
+    const selfCorrections = [];
+    const inserted = new Set(insertedSpoken);
+    const claimed = new Set();
+
+    insertedSpoken.forEach(k => {
+        // Attempts may be separated from the fix by a re-read word or two ("the horse the house")
+        let lookahead = 0;
+        for (let next = k + 1; next < cleanSpoken.length && lookahead < 3; next++) {
+            if (inserted.has(next)) continue;
+            lookahead++;
+            const entry = matchedBySpokenIndex.get(next);
+            if (!entry || entry.status !== 'correct') continue;
+            if (!isSelfCorrectionAttempt(cleanSpoken[k].word, entry.expected)) continue;
+            consumedAttempts.add(k);
+
+            if (claimed.has(entry.index)) {
+                selfCorrections.find(sc => sc.index === entry.index).attempts.push(cleanSpoken[k].word);
+            } else {
+                claimed.add(entry.index);
+                selfCorrections.push({
+                    index: entry.index,
+                    expected: entry.expected,
+                    attempts: [cleanSpoken[k].word],
+                    startTime: cleanSpoken[k].startTime,
+                    endTime: entry.endTime
+                });
+            }
+            entry.selfCorrected = true;
+            entry.attempts = selfCorrections.find(sc => sc.index === entry.index).attempts;
+            break;
+        }
+    });
+
+    return selfCorrections.sort((a, b) => a.index - b.index);
+}
+
+function detectInsertions(cleanSpoken, insertedSpoken, insertedBeforeExpected, consumedAttempts) {
+    const insertions = [];
+
+    insertedSpoken.forEach(k => {
+        if (consumedAttempts.has(k)) return;
+        const beforeIndex = insertedBeforeExpected.get(k);
+        const spoken = cleanSpoken[k];
+
+        insertions.push({
+            word: spoken.word,
+            beforeIndex, // Position between expected words: 0 = before the first, expectedWords.length = after the last
+            startTime: spoken.startTime,
+            endTime: spoken.endTime
+        });
+    });
+
+    return insertions;
+}
+
+// Find phrases of 2+ words read twice in a row in the raw transcript. Fillers are
+// ignored ("went to the, um, went to the"), and a phrase the passage itself
+// repeats isn't flagged. Returns the spoken indices of each repeat and of the
+// reading it repeats (the one kept for alignment).
+function detectRepeatedPhrases(spokenWordInfo, expectedWords) {
+    const words = [];
+    spokenWordInfo.forEach((w, i) => {
+        if (w && w.word && !isFillerWord(w.word)) words.push({ spokenIndex: i, norm: normalizeWord(w.word), info: w });
+    });
+    const passageText = ` ${expectedWords.map(normalizeWord).join(' ')} `;
+
+    const phrases = [];
+    const repeatOf = new Map(); // spoken index of a dropped repeat -> the reading it repeats
+    let p = 0;
+    while (p < words.length) {
+        let found = 0;
+        const maxLength = Math.min(ANALYSIS_CONSTANTS.MAX_REPEATED_PHRASE_WORDS, p, words.length - p);
+        for (let length = maxLength; length >= 2; length--) {
+            const original = words.slice(p - length, p);
+            const repeat = words.slice(p, p + length);
+            if (!repeat.every((w, k) => w.norm && w.norm === original[k].norm)) continue;
+
+            const phrase = repeat.map(w => w.norm).join(' ');
+            if (passageText.includes(` ${phrase} ${phrase} `)) continue;
+
+            // A third reading repeats the first one, which is what got aligned
+            const originalSpokenIndices = original.map(w => repeatOf.get(w.spokenIndex) ?? w.spokenIndex);
+            repeat.forEach((w, k) => repeatOf.set(w.spokenIndex, originalSpokenIndices[k]));
+            phrases.push({
+                words: repeat.map(w => w.info.word),
+                spokenIndices: repeat.map(w => w.spokenIndex),
+                originalSpokenIndices,
+                expectedIndices: [],
+                startTime: repeat[0].info.startTime,
+                endTime: repeat[repeat.length - 1].info.endTime
+            });
+            found = length;
+            break;
+        }
+        p += found || 1;
+    }
+
+    return phrases;
+}
+
+// SC rate per running-record convention: SC / (errors + SC), as a percentage
+// (insertions are errors in a running record too)
+function calculateSelfCorrectionRate(errors) {
+    const scCount = errors?.selfCorrections?.length || 0;
+    const errorCount = (errors?.skippedWords?.length || 0) + (errors?.misreadWords?.length || 0) + (errors?.substitutedWords?.length || 0) + (errors?.insertions?.length || 0);
+    if (scCount + errorCount === 0) return 0;
+    return Math.round((scCount / (errorCount + scCount)) * 1000) / 10;
+}
+
 // ============ ERROR PATTERN ANALYSIS ============
 function analyzeErrorPatterns(analysis, expectedWords) {
     const patterns = {
@@ -2150,43 +2629,35 @@ function analyzeErrorPatterns(analysis, expectedWords) {
         return patterns;
     }
 
-    (analysis.errors.misreadWords || []).forEach(error => {
+    const mismatches = [
+        ...(analysis.errors.misreadWords || []).map(e => ({ ...e, type: 'misread' })),
+        ...(analysis.errors.substitutedWords || []).map(e => ({ ...e, type: 'substituted' }))
+    ];
+
+    mismatches.forEach(error => {
         if (!error || !error.expected || !error.spoken) return;
         const expected = error.expected.toLowerCase();
         const actual = error.spoken.toLowerCase();
         analyzePhonicsPattern(expected, actual, patterns);
-        analyzeReadingStrategy(expected, actual, patterns);
+        analyzeReadingStrategy(expected, actual, patterns, error.type);
         analyzeSpeechPattern(expected, actual, patterns);
         analyzeVisualSimilarity(expected, actual, patterns);
+        analyzeMorphologicalPattern(expected, actual, patterns);
     });
 
     patterns.summary = generatePatternSummary(patterns, analysis);
     return patterns;
 }
 
+// Compare sounds, not letters: "phone" read as "fone" is no error at all
 function analyzePhonicsPattern(expected, actual, patterns) {
     if (!expected || !actual) return;
-    if (expected[0] !== actual[0]) {
-        patterns.phonicsPatterns.initialSoundErrors.push({ expected, actual, pattern: 'Initial consonant substitution' });
-    }
-    if (expected.length > 0 && actual.length > 0 && expected[expected.length - 1] !== actual[actual.length - 1]) {
-        patterns.phonicsPatterns.finalSoundErrors.push({ expected, actual, pattern: 'Final sound error' });
-    }
-    const blends = ['bl', 'cl', 'fl', 'gl', 'pl', 'br', 'cr', 'dr', 'fr', 'gr', 'tr', 'sc', 'sk', 'sp', 'st'];
-    blends.forEach(blend => {
-        if (expected.includes(blend) && !actual.includes(blend)) {
-            patterns.phonicsPatterns.consonantBlends.push({ expected, actual, blend, pattern: 'Consonant blend reduction' });
-        }
-    });
-    const digraphs = ['ch', 'sh', 'th', 'ph', 'wh'];
-    digraphs.forEach(digraph => {
-        if (expected.includes(digraph) && !actual.includes(digraph)) {
-            patterns.phonicsPatterns.digraphs.push({ expected, actual, digraph, pattern: 'Digraph error' });
-        }
+    comparePronunciations(expected, actual).issues.forEach(({ category, ...issue }) => {
+        patterns.phonicsPatterns[category].push({ expected, actual, ...issue });
     });
 }
 
-function analyzeReadingStrategy(expected, actual, patterns) {
+function analyzeReadingStrategy(expected, actual, patterns, errorType = 'misread') {
     if (!expected || !actual) return;
     if (expected[0] === actual[0] && expected.length > 2 && actual.length > 2) {
         const similarity = 1 - levenshteinDistance(expected, actual) / Math.max(expected.length, actual.length);
@@ -2194,6 +2665,13 @@ function analyzeReadingStrategy(expected, actual, patterns) {
             patterns.readingStrategies.firstLetterGuessing.push({ expected, actual, pattern: 'First letter guessing' });
         }
     }
+    if (errorType === 'misread') {
+        // Sounded out but landed on a non-word
+        patterns.readingStrategies.partialDecoding.push({ expected, actual, pattern: 'Partial decoding (non-word)' });
+    } else if (!wordsAreSimilar(expected, actual)) {
+        // Real word that doesn't look like the target - likely guessed from meaning
+        patterns.readingStrategies.contextGuessing.push({ expected, actual, pattern: 'Meaning-based substitution' });
+    }
 }
 
 function analyzeSpeechPattern(expected, actual, patterns) {
@@ -2220,6 +2698,100 @@ function analyzeVisualSimilarity(expected, actual, patterns) {
     }
 }
 
+// Word-structure error types, with what to teach for each
+const MORPHOLOGY_TYPES = {
+    droppedEnding: {
+        label: 'Dropped endings',
+        issue: 'Drops word endings (-s, -ed, -ing)',
+        recommendation: 'Underline the ending before reading; read base/inflected pairs (jump/jumped/jumping)'
+    },
+    addedEnding: {
+        label: 'Added endings',
+        issue: 'Adds endings that aren\'t in the text',
+        recommendation: 'Check the last letters: "Is there an ending on this word?"'
+    },
+    wrongEnding: {
+        label: 'Wrong endings',
+        issue: 'Swaps one ending for another',
+        recommendation: 'Contrast endings on the same base word (walks/walked/walking) and what each one means'
+    },
+    prefix: {
+        label: 'Prefix errors',
+        issue: 'Misreads or drops prefixes',
+        recommendation: 'Teach common prefixes (un-, re-, dis-, pre-) as chunks: cover the prefix, read the base, then the whole word'
+    },
+    compound: {
+        label: 'Compound words',
+        issue: 'Reads only part of compound words',
+        recommendation: 'Split compound words into their two words, read each, then put them together'
+    }
+};
+
+// -ies/-ied are spellings of -s/-ed after a consonant + y
+const INFLECTIONAL_SUFFIXES = ['ing', 'ies', 'ied', 'ed', 'es', 's'];
+const PREFIXES = ['under', 'over', 'dis', 'mis', 'non', 'pre', 'sub', 'un', 're', 'in', 'im'];
+
+// Split off an inflectional suffix, with the real base words it could come from
+// ("hopping" → hop, "hoped" → hope, "cried" → cry, "boxes" → box); null when no
+// base is a real word, so "this" or "hundred" aren't treated as inflected
+function splitSuffix(word) {
+    const suffix = INFLECTIONAL_SUFFIXES.find(s => word.length > s.length + 2 && word.endsWith(s));
+    if (!suffix) return null;
+
+    const stem = word.slice(0, -suffix.length);
+    const bases = [stem, stem + 'e'];
+    if (suffix === 'ies' || suffix === 'ied') bases.push(stem + 'y');
+    if ((suffix === 'ed' || suffix === 'es') && stem.endsWith('i')) bases.push(stem.slice(0, -1) + 'y');
+    if (stem.length > 2 && stem[stem.length - 1] === stem[stem.length - 2]) bases.push(stem.slice(0, -1));
+    const realBases = bases.filter(base => isRealWord(base));
+    if (realBases.length === 0) return null;
+
+    const label = suffix === 'ies' ? 's' : suffix === 'ied' ? 'ed' : suffix;
+    return { suffix: label, bases: realBases };
+}
+
+function analyzeMorphologicalPattern(expected, actual, patterns) {
+    const exp = normalizeWord(expected);
+    const act = normalizeWord(actual);
+    if (!exp || !act || exp === act) return;
+    const add = (type, affix, pattern) => patterns.morphologicalErrors.push({ expected, actual, type, affix, pattern });
+
+    // Inflectional endings
+    const expSplit = splitSuffix(exp);
+    const actSplit = splitSuffix(act);
+    if (expSplit && expSplit.bases.includes(act)) {
+        return add('droppedEnding', `-${expSplit.suffix}`, `Dropped -${expSplit.suffix} ending`);
+    }
+    if (actSplit && actSplit.bases.includes(exp)) {
+        return add('addedEnding', `-${actSplit.suffix}`, `Added -${actSplit.suffix} ending`);
+    }
+    if (expSplit && actSplit && expSplit.suffix !== actSplit.suffix && expSplit.bases.some(b => actSplit.bases.includes(b))) {
+        return add('wrongEnding', `-${expSplit.suffix}`, `Read -${expSplit.suffix} as -${actSplit.suffix}`);
+    }
+
+    // Prefixes - only when what's left is a real word ("unhappy", not "uncle")
+    const expPrefix = PREFIXES.find(p => exp.startsWith(p) && isRealWord(exp.slice(p.length)));
+    const actPrefix = PREFIXES.find(p => act.startsWith(p) && isRealWord(act.slice(p.length)));
+    if (expPrefix) {
+        const base = exp.slice(expPrefix.length);
+        if (act === base) return add('prefix', `${expPrefix}-`, `Dropped prefix ${expPrefix}-`);
+        if (actPrefix && actPrefix !== expPrefix && act.slice(actPrefix.length) === base) {
+            return add('prefix', `${expPrefix}-`, `Read prefix ${expPrefix}- as ${actPrefix}-`);
+        }
+    } else if (actPrefix && act.slice(actPrefix.length) === exp) {
+        return add('prefix', `${actPrefix}-`, `Added prefix ${actPrefix}-`);
+    }
+
+    // Compound words read as one of their parts ("sunflower" → "sun")
+    for (let k = 3; k <= exp.length - 3; k++) {
+        const first = exp.slice(0, k);
+        const second = exp.slice(k);
+        if ((act === first || act === second) && isRealWord(first) && isRealWord(second)) {
+            return add('compound', null, `Read only "${act}" of compound ${first} + ${second}`);
+        }
+    }
+}
+
 function generatePatternSummary(patterns, analysis) {
     const summary = { primaryIssues: [], recommendations: [], severity: 'mild' };
     const totalErrors = (analysis?.errors?.skippedWords?.length || 0) + (analysis?.errors?.misreadWords?.length || 0) + (analysis?.errors?.substitutedWords?.length || 0);
@@ -2232,10 +2804,36 @@ function generatePatternSummary(patterns, analysis) {
         summary.primaryIssues.push('Difficulty with consonant blends');
         summary.recommendations.push('Practice blending sounds together');
     }
+    if (patterns.phonicsPatterns.vowelPatterns.length >= 3) {
+        summary.primaryIssues.push('Confuses vowel sounds');
+        summary.recommendations.push('Practice short and long vowel contrasts and vowel teams');
+    }
+    if (patterns.phonicsPatterns.rControlledVowels.length >= 2) {
+        summary.primaryIssues.push('Difficulty with r-controlled vowels');
+        summary.recommendations.push('Sort and read ar, or, er/ir/ur words');
+    }
+    if (patterns.phonicsPatterns.silentLetters.length >= 2) {
+        summary.primaryIssues.push('Misses silent letters (silent e, kn, wr)');
+        summary.recommendations.push('Review silent-e and silent-letter spellings');
+    }
     if (patterns.readingStrategies.firstLetterGuessing.length >= 2) {
         summary.primaryIssues.push('Guessing based on first letter');
         summary.recommendations.push('Encourage sounding out entire word');
     }
+    if (patterns.readingStrategies.partialDecoding.length >= 3) {
+        summary.primaryIssues.push('Produces non-words when decoding');
+        summary.recommendations.push('Prompt to check that the word makes sense after sounding out');
+    }
+    if (patterns.readingStrategies.contextGuessing.length >= 2) {
+        summary.primaryIssues.push('Substitutes real words from context');
+        summary.recommendations.push('Prompt to check the letters, not just the meaning');
+    }
+    Object.entries(MORPHOLOGY_TYPES).forEach(([type, info]) => {
+        if ((patterns.morphologicalErrors || []).filter(e => e.type === type).length >= 2) {
+            summary.primaryIssues.push(info.issue);
+            summary.recommendations.push(info.recommendation);
+        }
+    });
     if (patterns.speechPatterns.rSoundIssues.length >= 3 || patterns.speechPatterns.thSoundIssues.length >= 2) {
         summary.primaryIssues.push('Speech sound difficulties detected');
         summary.recommendations.push('Consider speech-language evaluation');
@@ -2246,8 +2844,10 @@ function generatePatternSummary(patterns, analysis) {
 }
 
 // ============ PROSODY METRICS ============
-function calculateProsodyMetrics(expectedWords, spokenWordInfo, analysis, recordingDurationSeconds) {
-    const metrics = { totalWords: expectedWords.length, wordsRead: analysis.correctCount + (analysis.errors?.misreadWords?.length || 0), accuracy: 0, wpm: 0, prosodyScore: 0, prosodyGrade: '', readingTime: 0 };
+// Scored with the active rubric; gradeLevel picks the WPM target (null = rubric default)
+function calculateProsodyMetrics(expectedWords, spokenWordInfo, analysis, recordingDurationSeconds, gradeLevel = null) {
+    const rubric = state.scoringRubric;
+    const metrics = { totalWords: expectedWords.length, wordsRead: analysis.correctCount + (analysis.errors?.misreadWords?.length || 0) + (analysis.errors?.substitutedWords?.length || 0), accuracy: 0, wpm: 0, wcpm: 0, prosodyScore: 0, prosodyGrade: '', readingTime: 0 };
 
     if (spokenWordInfo && spokenWordInfo.length > 0) {
         const first = spokenWordInfo[0];
@@ -2263,50 +2863,197 @@ function calculateProsodyMetrics(expectedWords, spokenWordInfo, analysis, record
 
     if (metrics.readingTime > 0) {
         metrics.wpm = Math.round(metrics.wordsRead / (metrics.readingTime / 60));
+        // ORF benchmarks count only words read correctly
+        metrics.wcpm = Math.round(analysis.correctCount / (metrics.readingTime / 60));
     }
-    if (metrics.totalWords > 0) {
-        metrics.accuracy = (analysis.correctCount / metrics.totalWords) * 100;
-    }
+    metrics.accuracy = calculateAccuracy(analysis.errors, metrics.totalWords, rubric);
 
-    let accuracyPoints = metrics.accuracy >= 98 ? 4 : metrics.accuracy >= 95 ? 3.5 : metrics.accuracy >= 90 ? 3 : metrics.accuracy >= 85 ? 2.5 : metrics.accuracy >= 75 ? 2 : 1.5;
-    let ratePoints = (metrics.wpm >= 100 && metrics.wpm <= 180) ? 4 : (metrics.wpm >= 80 && metrics.wpm <= 200) ? 3.5 : (metrics.wpm >= 60 && metrics.wpm <= 220) ? 3 : 2;
-    const totalErrors = (analysis.errors?.skippedWords?.length || 0) + (analysis.errors?.misreadWords?.length || 0) + (analysis.errors?.hesitations?.length || 0);
+    const totalErrors = (analysis.errors?.skippedWords?.length || 0) + (analysis.errors?.misreadWords?.length || 0) + (analysis.errors?.substitutedWords?.length || 0) + (analysis.errors?.hesitations?.length || 0);
     const errorRate = metrics.totalWords > 0 ? totalErrors / metrics.totalWords : 0;
-    let fluencyPoints = errorRate <= 0.02 ? 4 : errorRate <= 0.05 ? 3.5 : errorRate <= 0.10 ? 3 : errorRate <= 0.20 ? 2.5 : 2;
+    const score = scoreReading({ accuracy: metrics.accuracy, wpm: metrics.wpm, errorRate, gradeLevel }, rubric);
 
-    metrics.prosodyScore = Math.round((accuracyPoints * 0.4 + ratePoints * 0.3 + fluencyPoints * 0.3) * 10) / 10;
-    metrics.prosodyGrade = metrics.prosodyScore >= 3.8 ? 'Excellent' : metrics.prosodyScore >= 3.0 ? 'Proficient' : metrics.prosodyScore >= 2.0 ? 'Developing' : 'Needs Support';
+    metrics.prosodyScore = score.prosodyScore;
+    metrics.prosodyGrade = score.prosodyGrade;
+    metrics.rubricVersion = rubric.version;
+    metrics.gradeLevel = gradeLevel;
 
     return metrics;
 }
 
-// ============ ANALYSIS & RESULTS ============
-if (analyzeBtn) {
-    analyzeBtn.addEventListener('click', async () => {
-        if (state.selectedWords.size === 0) {
-            alert('Please select some words first');
-            return;
-        }
-        showSection('results');
-        await performFullAnalysis();
-    });
-}
+// ============ SCORING RUBRIC ============
+const rubricModal = document.getElementById('rubric-modal');
+const RUBRIC_GRADE_LEVELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
 
-async function performFullAnalysis() {
-    const resultsContainer = document.getElementById('results-container');
-    const selectedIndices = Array.from(state.selectedWords).sort((a, b) => a - b);
-    const expectedWords = selectedIndices.map(i => state.ocrData.words[i].text);
+function applyScoringRubric(storedRubric) {
+    state.scoringRubric = normalizeRubric(storedRubric);
+}
 
-    // Show loading
-    resultsContainer.innerHTML = '<div class="loading-analysis"><div class="spinner"></div><p>Analyzing pronunciation...</p></div>';
+// Accuracy level a saved assessment was given; ones saved before rubrics existed use the default thresholds
+function getSavedAccuracyBand(assessment) {
+    return assessment.accuracyBand || getAccuracyClassification(assessment.accuracy || 0);
+}
+
+function fillRubricForm(rubric) {
+    const setValue = (id, value) => { document.getElementById(id).value = value ?? ''; };
+    setValue('rubric-excellent-input', rubric.accuracyThresholds.excellent);
+    setValue('rubric-good-input', rubric.accuracyThresholds.good);
+    setValue('rubric-fair-input', rubric.accuracyThresholds.fair);
+    setValue('rubric-accuracy-bands', formatBandText(rubric.accuracyBands, 'min'));
+    setValue('rubric-rate-bands', formatBandText(rubric.rateBands, 'margin'));
+    setValue('rubric-rate-otherwise', rubric.rateOtherwisePoints);
+    setValue('rubric-fluency-bands', formatBandText(rubric.fluencyBands, 'maxErrorRate'));
+    setValue('rubric-fluency-otherwise', rubric.fluencyOtherwisePoints);
+    setValue('rubric-weight-accuracy', rubric.weights.accuracy);
+    setValue('rubric-weight-rate', rubric.weights.rate);
+    setValue('rubric-weight-fluency', rubric.weights.fluency);
+    setValue('rubric-score-labels', formatBandText(rubric.scoreLabels, 'min', 'label'));
+    setValue('rubric-score-otherwise', rubric.scoreOtherwiseLabel);
+
+    document.getElementById('rubric-counted-errors').innerHTML = Object.entries(COUNTABLE_ERRORS).map(([type, label]) => `
+        <label class="checkbox-label"><input type="checkbox" data-error-type="${type}" ${rubric.countedErrors[type] ? 'checked' : ''}> ${label}</label>
+    `).join('');
+
+    const targetInputs = (key, range, placeholder) => `
+        <div class="form-group rubric-wpm-target">
+            <label>${key === 'default' ? 'Default' : key === 0 ? 'Kindergarten' : `Grade ${key}`}</label>
+            <div class="rubric-wpm-inputs">
+                <input type="number" class="form-input" data-grade="${key}" min="0" value="${range?.min ?? ''}" placeholder="${placeholder.min}">
+                <span>-</span>
+                <input type="number" class="form-input" data-grade="${key}" min="0" value="${range?.max ?? ''}" placeholder="${placeholder.max}">
+            </div>
+        </div>
+    `;
+    const defaultTarget = rubric.wpmTargets.default;
+    document.getElementById('rubric-wpm-targets').innerHTML = targetInputs('default', defaultTarget, { min: 'min', max: 'max' }) +
+        RUBRIC_GRADE_LEVELS.map(level => targetInputs(level, rubric.wpmTargets.byGrade[level], defaultTarget)).join('');
+
+    document.getElementById('rubric-version').textContent = state.scoringRubric.version
+        ? `Current version: ${state.scoringRubric.version}${state.scoringRubric.savedAt ? ` (saved ${new Date(state.scoringRubric.savedAt).toLocaleDateString()})` : ''}.`
+        : 'Currently using the built-in default.';
+}
+
+// Read the editor back into a rubric; lines that don't parse are reported rather than dropped
+function readRubricForm() {
+    const number = (text) => (String(text).trim() === '' ? NaN : Number(text));
+    const value = (id) => number(document.getElementById(id).value);
+    const errors = [];
+    const bands = (id, label, toBand) => {
+        const rows = parseBandText(document.getElementById(id).value);
+        if (!rows) {
+            errors.push(`${label}: write each band as "number = value".`);
+            return [];
+        }
+        return rows.map(toBand);
+    };
+
+    const byGrade = {};
+    let defaultTarget = null;
+    document.querySelectorAll('#rubric-wpm-targets .rubric-wpm-target').forEach(group => {
+        const [minInput, maxInput] = group.querySelectorAll('input');
+        if (minInput.dataset.grade === 'default') {
+            defaultTarget = { min: number(minInput.value), max: number(maxInput.value) };
+        } else if (minInput.value.trim() || maxInput.value.trim()) {
+            byGrade[minInput.dataset.grade] = { min: number(minInput.value), max: number(maxInput.value) };
+        }
+    });
+
+    const rubric = normalizeRubric({
+        accuracyThresholds: {
+            excellent: value('rubric-excellent-input'),
+            good: value('rubric-good-input'),
+            fair: value('rubric-fair-input')
+        },
+        accuracyBands: bands('rubric-accuracy-bands', 'Accuracy points', ([min, points]) => ({ min, points: number(points) })),
+        rateBands: bands('rubric-rate-bands', 'Rate points', ([margin, points]) => ({ margin, points: number(points) })),
+        rateOtherwisePoints: value('rubric-rate-otherwise'),
+        fluencyBands: bands('rubric-fluency-bands', 'Fluency points', ([maxErrorRate, points]) => ({ maxErrorRate, points: number(points) })),
+        fluencyOtherwisePoints: value('rubric-fluency-otherwise'),
+        weights: {
+            accuracy: value('rubric-weight-accuracy'),
+            rate: value('rubric-weight-rate'),
+            fluency: value('rubric-weight-fluency')
+        },
+        scoreLabels: bands('rubric-score-labels', 'Score labels', ([min, label]) => ({ min, label })),
+        scoreOtherwiseLabel: document.getElementById('rubric-score-otherwise').value.trim() || DEFAULT_RUBRIC.scoreOtherwiseLabel,
+        wpmTargets: { default: defaultTarget, byGrade },
+        countedErrors: Object.fromEntries(Array.from(document.querySelectorAll('#rubric-counted-errors input'))
+            .map(input => [input.dataset.errorType, input.checked]))
+    });
+
+    return { rubric, errors: [...errors, ...validateRubric(rubric)] };
+}
+
+const scoringRubricBtn = document.getElementById('scoring-rubric-btn');
+if (scoringRubricBtn) {
+    scoringRubricBtn.addEventListener('click', () => {
+        document.getElementById('user-profile')?.classList.remove('open');
+        fillRubricForm(state.scoringRubric);
+        rubricModal.classList.add('active');
+    });
+}
+
+const closeRubricBtn = document.getElementById('close-rubric-btn');
+if (closeRubricBtn) closeRubricBtn.addEventListener('click', () => rubricModal.classList.remove('active'));
+
+const resetRubricBtn = document.getElementById('reset-rubric-btn');
+if (resetRubricBtn) {
+    resetRubricBtn.addEventListener('click', () => {
+        if (!confirm('Fill in the built-in default rubric? Nothing changes until you save.')) return;
+        fillRubricForm(DEFAULT_RUBRIC);
+    });
+}
+
+const saveRubricBtn = document.getElementById('save-rubric-btn');
+if (saveRubricBtn) {
+    saveRubricBtn.addEventListener('click', async () => {
+        const { rubric, errors } = readRubricForm();
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+
+        try {
+            applyScoringRubric(await FirebaseDB.saveScoringRubric(rubric));
+        } catch (error) {
+            alert('Failed to save scoring rubric. Please try again.');
+            return;
+        }
+        rubricModal.classList.remove('active');
+
+        // Saved assessments keep their scores; only the results on screen are rescored
+        if (!state.viewingHistoricalAssessment) rescoreForGrade(state.latestGradeLevel);
+    });
+}
+
+// ============ ANALYSIS & RESULTS ============
+if (analyzeBtn) {
+    analyzeBtn.addEventListener('click', async () => {
+        if (state.selectedWords.size === 0) {
+            alert('Please select some words first');
+            return;
+        }
+        showSection('results');
+        await performFullAnalysis();
+    });
+}
+
+async function performFullAnalysis() {
+    const resultsContainer = document.getElementById('results-container');
+    const selectedIndices = Array.from(state.selectedWords).sort((a, b) => a - b);
+    const expectedWords = selectedIndices.map(i => state.ocrData.words[i].text);
+
+    // Show loading
+    resultsContainer.innerHTML = '<div class="loading-analysis"><div class="spinner"></div><p>Analyzing pronunciation...</p></div>';
 
     if (state.audioBlob) {
         try {
             // Get full word info for analysis
             const spokenWordInfo = await runSpeechToText(true);
             const analysis = analyzePronunciation(expectedWords, spokenWordInfo);
+            analysis.lineNumbers = getSelectedLineNumbers(state.ocrData.words, selectedIndices);
+            detectSkippedLines(analysis);
             const errorPatterns = analyzeErrorPatterns(analysis, expectedWords);
-            const prosodyMetrics = calculateProsodyMetrics(expectedWords, spokenWordInfo, analysis, state.recordingDuration);
+            const prosodyMetrics = calculateProsodyMetrics(expectedWords, spokenWordInfo, analysis, state.recordingDuration, state.latestGradeLevel);
 
             // Store for PDF/video export
             state.latestAnalysis = analysis;
@@ -2314,6 +3061,7 @@ async function performFullAnalysis() {
             state.latestSpokenWords = spokenWordInfo;
             state.latestProsodyMetrics = prosodyMetrics;
             state.latestErrorPatterns = errorPatterns;
+            state.latestRunningRecord = buildRunningRecord(analysis, spokenWordInfo);
 
             displayPronunciationResults(expectedWords, spokenWordInfo, analysis, prosodyMetrics);
         } catch (error) {
@@ -2346,7 +3094,8 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
     const totalWords = expectedWords.length;
     const correctCount = analysis.correctCount;
     const totalErrors = (analysis.errors?.skippedWords?.length || 0) + (analysis.errors?.misreadWords?.length || 0) + (analysis.errors?.substitutedWords?.length || 0);
-    const accuracy = Math.round((correctCount / totalWords) * 100); // Integer, no decimal
+    // Rubric accuracy (may not count every error type); saved assessments keep their own
+    const accuracy = Math.round(prosodyMetrics?.accuracy ?? (correctCount / totalWords) * 100); // Integer, no decimal
 
     // Build word-by-word display with clickable error words
     // Create a map of hesitations by the word index they occurred before/after
@@ -2375,8 +3124,51 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
         });
     }
 
+    // Group insertions by the expected word they precede
+    const insertionsByIndex = new Map();
+    (analysis.errors.insertions || []).forEach(ins => {
+        if (!insertionsByIndex.has(ins.beforeIndex)) insertionsByIndex.set(ins.beforeIndex, []);
+        insertionsByIndex.get(ins.beforeIndex).push(ins);
+    });
+    const renderInsertions = (beforeIndex) => (insertionsByIndex.get(beforeIndex) || []).map(ins => {
+        const insWord = escapeHtml(ins.word);
+        return `<span class="word-insertion word-clickable" data-status="inserted" data-spoken="${insWord}" data-start-time="${ins.startTime || ''}" data-end-time="${ins.endTime || ''}"><span class="insertion-caret">‸</span>${insWord}</span> `;
+    }).join('');
+
+    // Repeated phrases show as one marker after the last word they re-read
+    const repeatedPhrasesAfter = new Map();
+    (analysis.errors.repeatedPhrases || []).forEach(rp => {
+        if (!rp.expectedIndices?.length) return;
+        const afterIndex = rp.expectedIndices[rp.expectedIndices.length - 1];
+        if (!repeatedPhrasesAfter.has(afterIndex)) repeatedPhrasesAfter.set(afterIndex, []);
+        repeatedPhrasesAfter.get(afterIndex).push(rp);
+    });
+    const renderRepeatedPhrases = (afterIndex) => (repeatedPhrasesAfter.get(afterIndex) || []).map(rp => {
+        const phrase = escapeHtml(rp.words.join(' '));
+        return `<span class="word-repetition word-clickable" data-status="repeated-phrase" data-spoken="${phrase}" data-start-time="${rp.startTime || ''}" data-end-time="${rp.endTime || ''}">↺ ${phrase}<span class="error-badge">repeat</span></span> `;
+    }).join('');
+
+    // Repeated single words show right after the word they repeat
+    const repeatedWordsAfter = new Map();
+    (Array.isArray(analysis.errors.repeatedWords) ? analysis.errors.repeatedWords : []).forEach(r => {
+        if (r.index === null || r.index === undefined) return;
+        if (!repeatedWordsAfter.has(r.index)) repeatedWordsAfter.set(r.index, []);
+        repeatedWordsAfter.get(r.index).push(r);
+    });
+    const renderRepeatedWords = (afterIndex) => (repeatedWordsAfter.get(afterIndex) || []).map(r => {
+        const word = escapeHtml(r.word);
+        const spoken = spokenWordInfo[r.spokenIndex];
+        return `<span class="word-repetition word-clickable" data-status="repeated-word" data-spoken="${word}" data-start-time="${spoken?.startTime || ''}" data-end-time="${spoken?.endTime || ''}">↺ ${word}<span class="error-badge">repeat</span></span> `;
+    }).join('');
+
+    // Words in a skipped line share one "skipped line" badge on the line's first word
+    const skippedLineIndices = getSkippedLineIndices(analysis.errors);
+    const skippedLineStarts = new Set((analysis.errors.skippedLines || []).map(sl => sl.startIndex));
+
     let wordsHtml = '';
     analysis.aligned.forEach((item, idx) => {
+        wordsHtml += renderInsertions(item.index);
+
         // Insert hesitation markers before this word if any
         if (hesitationsByPosition.has(idx)) {
             hesitationsByPosition.get(idx).forEach(h => {
@@ -2396,9 +3188,19 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
         const endTime = item.endTime || '';
         let className = 'word-correct word-clickable';
         let errorLabel = '';
-        let dataAttrs = `data-status="${item.status}" data-expected="${safeWord}" data-start-time="${startTime}" data-end-time="${endTime}"`;
+        let dataAttrs = `data-status="${item.status}" data-index="${item.index}" data-expected="${safeWord}" data-start-time="${startTime}" data-end-time="${endTime}"`;
 
-        if (item.status === 'skipped') {
+        if (item.status === 'correct' && item.selfCorrected) {
+            className = 'word-correct word-self-corrected word-clickable';
+            errorLabel = '<span class="error-badge">SC</span>';
+            const safeAttempts = escapeHtml((item.attempts || []).join(', '));
+            dataAttrs = `data-status="self-corrected" data-index="${item.index}" data-expected="${safeWord}" data-spoken="${safeAttempts}" data-start-time="${startTime}" data-end-time="${endTime}"`;
+        }
+        else if (item.status === 'skipped' && skippedLineIndices.has(item.index)) {
+            className = 'word-skipped word-skipped-line word-clickable';
+            errorLabel = skippedLineStarts.has(item.index) ? '<span class="error-badge">skipped line</span>' : '';
+        }
+        else if (item.status === 'skipped') {
             className = 'word-skipped word-clickable';
             errorLabel = '<span class="error-badge">skipped</span>';
         }
@@ -2414,16 +3216,39 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
         }
 
         wordsHtml += `<span class="${className}" ${dataAttrs}>${safeWord}${errorLabel}</span> `;
+        wordsHtml += renderRepeatedWords(item.index);
+        wordsHtml += renderRepeatedPhrases(item.index);
     });
+    wordsHtml += renderInsertions(expectedWords.length);
 
     // Build error breakdown
     let errorBreakdownHtml = '';
-    if (analysis.errors.skippedWords.length > 0) {
-        errorBreakdownHtml += `<div class="error-category"><strong>Skipped Words (${analysis.errors.skippedWords.length}):</strong> Words not read aloud</div>`;
+    const skippedLines = analysis.errors.skippedLines || [];
+    if (skippedLines.length > 0) {
+        const list = skippedLines.map(sl => `line ${sl.line} ("${escapeHtml(sl.words[0])} … ${escapeHtml(sl.words[sl.words.length - 1])}", ${sl.words.length} words)`).join(', ');
+        errorBreakdownHtml += `<div class="error-category"><strong>Skipped Lines (${skippedLines.length}):</strong> ${list} <em>(each word counts as skipped)</em></div>`;
+    }
+    const looseSkippedCount = analysis.errors.skippedWords.filter(i => !skippedLineIndices.has(i)).length;
+    if (looseSkippedCount > 0) {
+        errorBreakdownHtml += `<div class="error-category"><strong>Skipped Words (${looseSkippedCount}):</strong> Words not read aloud</div>`;
     }
     if (analysis.errors.misreadWords.length > 0) {
         const list = analysis.errors.misreadWords.map(e => `"${escapeHtml(e.expected)}" → "${escapeHtml(e.spoken)}"`).join(', ');
-        errorBreakdownHtml += `<div class="error-category"><strong>Misread Words (${analysis.errors.misreadWords.length}):</strong> ${list}</div>`;
+        errorBreakdownHtml += `<div class="error-category"><strong>Misread Words (${analysis.errors.misreadWords.length}):</strong> ${list} <em>(non-words)</em></div>`;
+    }
+    if (analysis.errors.substitutedWords.length > 0) {
+        const list = analysis.errors.substitutedWords.map(e => `"${escapeHtml(e.expected)}" → "${escapeHtml(e.spoken)}"`).join(', ');
+        errorBreakdownHtml += `<div class="error-category"><strong>Substituted Words (${analysis.errors.substitutedWords.length}):</strong> ${list} <em>(real words)</em></div>`;
+    }
+    const insertions = analysis.errors.insertions || [];
+    if (insertions.length > 0) {
+        const list = insertions.map(ins => `"${escapeHtml(ins.word)}"`).join(', ');
+        errorBreakdownHtml += `<div class="error-category"><strong>Inserted Words (${insertions.length}):</strong> ${list} <em>(added words not in the text)</em></div>`;
+    }
+    const selfCorrections = analysis.errors.selfCorrections || [];
+    if (selfCorrections.length > 0) {
+        const list = selfCorrections.map(sc => `"${escapeHtml(sc.attempts.join('… '))}" → "${escapeHtml(sc.expected)}"`).join(', ');
+        errorBreakdownHtml += `<div class="error-category error-category-positive"><strong>Self-Corrections (${selfCorrections.length}):</strong> ${list} <em>(not counted as errors, SC rate ${calculateSelfCorrectionRate(analysis.errors)}%)</em></div>`;
     }
     if (analysis.errors.hesitations.length > 0) {
         errorBreakdownHtml += `<div class="error-category"><strong>Hesitations (${analysis.errors.hesitations.length}):</strong> Pauses or filler words detected</div>`;
@@ -2431,6 +3256,11 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
     if (analysis.errors.repeatedWords.length > 0) {
         errorBreakdownHtml += `<div class="error-category"><strong>Repeated Words (${analysis.errors.repeatedWords.length}):</strong> Words repeated during reading</div>`;
     }
+    const repeatedPhrases = analysis.errors.repeatedPhrases || [];
+    if (repeatedPhrases.length > 0) {
+        const list = repeatedPhrases.map(rp => `"${escapeHtml(rp.words.join(' '))}"`).join(', ');
+        errorBreakdownHtml += `<div class="error-category"><strong>Repeated Phrases (${repeatedPhrases.length}):</strong> ${list} <em>(re-read, not counted as errors)</em></div>`;
+    }
 
     resultsContainer.innerHTML = `
         <div class="audio-analysis-result">
@@ -2441,16 +3271,20 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
                 <button id="view-patterns-btn" class="btn btn-export">📊 Patterns</button>
                 <button id="export-words-btn" class="btn btn-export">📋 Export Words</button>
                 <button id="export-data-btn" class="btn btn-export">📊 Export Data</button>
+                <button id="running-record-btn" class="btn btn-export">📝 Running Record</button>
             </div>
             <div id="video-generation-status" class="video-status"></div>
+            <div id="running-record-panel" class="running-record-panel" style="display: none;"></div>
 
             <div class="stats-grid">
                 <div class="stat-box stat-correct"><div class="stat-number">${correctCount}</div><div class="stat-label">Correct</div></div>
                 <div class="stat-box stat-error"><div class="stat-number">${totalErrors}</div><div class="stat-label">Errors</div></div>
                 <div class="stat-box stat-accuracy"><div class="stat-number">${accuracy}%</div><div class="stat-label">Accuracy</div></div>
                 ${prosodyMetrics ? `<div class="stat-box stat-wpm"><div class="stat-number">${prosodyMetrics.wpm}</div><div class="stat-label">WPM</div></div>
-                <div class="stat-box stat-prosody"><div class="stat-number">${prosodyMetrics.prosodyScore}</div><div class="stat-label">Prosody</div><div class="stat-sublabel">${prosodyMetrics.prosodyGrade}</div></div>` : ''}
+                ${prosodyMetrics.wcpm !== undefined ? `<div class="stat-box stat-wpm"><div class="stat-number">${prosodyMetrics.wcpm}</div><div class="stat-label">WCPM</div></div>` : ''}
+                <div class="stat-box stat-prosody"><div class="stat-number">${prosodyMetrics.prosodyScore}</div><div class="stat-label">Prosody</div><div class="stat-sublabel">${escapeHtml(prosodyMetrics.prosodyGrade)}</div></div>` : ''}
             </div>
+            <div id="norm-comparison" class="norm-comparison" style="display: none;"></div>
 
             <div class="pronunciation-text">
                 <h4>Text with Error Highlighting: <span class="tap-hint">(tap errors for details)</span></h4>
@@ -2458,14 +3292,19 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
                 <div class="legend">
                     <span class="legend-item"><span class="word-correct">Green</span> = Correct</span>
                     <span class="legend-item"><span class="word-skipped">Gray</span> = Skipped</span>
+                    <span class="legend-item"><span class="word-skipped word-skipped-line">Bracketed</span> = Skipped line</span>
                     <span class="legend-item"><span class="word-misread">Orange</span> = Misread</span>
                     <span class="legend-item"><span class="word-substituted">Red</span> = Substituted</span>
+                    <span class="legend-item"><span class="word-self-corrected">SC</span> = Self-corrected</span>
+                    <span class="legend-item"><span class="word-insertion"><span class="insertion-caret">‸</span>word</span> = Inserted</span>
+                    <span class="legend-item"><span class="word-repetition">↺ words</span> = Repeated word or phrase</span>
                     <span class="legend-item"><span class="word-hesitation">[...]</span> = Hesitation</span>
                 </div>
             </div>
             <div id="word-popup" class="word-popup hidden"></div>
 
             ${errorBreakdownHtml ? `<div class="error-breakdown"><h4>Error Breakdown:</h4>${errorBreakdownHtml}</div>` : ''}
+            ${analysis.overrides?.length ? `<div class="override-note">✎ ${analysis.overrides.length} word judgment${analysis.overrides.length !== 1 ? 's' : ''} changed by the teacher: ${analysis.overrides.map(o => `"${escapeHtml(o.expected)}" ${o.from} → ${o.to}`).join(', ')}</div>` : ''}
         </div>
     `;
 
@@ -2476,6 +3315,8 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
     document.getElementById('view-patterns-btn')?.addEventListener('click', viewDetailedPatterns);
     document.getElementById('export-words-btn')?.addEventListener('click', exportSelectedWords);
     document.getElementById('export-data-btn')?.addEventListener('click', exportAssessmentData);
+    document.getElementById('running-record-btn')?.addEventListener('click', toggleRunningRecord);
+    updateNormComparison();
 
     // Add click handlers for error words to show popup
     const wordPopup = document.getElementById('word-popup');
@@ -2512,6 +3353,17 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
                     <div class="popup-row"><span class="popup-label">Expected:</span> <span class="popup-value">"${expected}"</span></div>
                     <div class="popup-row"><span class="popup-label">Spoken:</span> <span class="popup-value popup-substituted">"${spoken}"</span></div>
                     ${playButton}`;
+            } else if (status === 'inserted') {
+                popupContent = `<div class="popup-title">Inserted Word</div>
+                    <div class="popup-row"><span class="popup-label">Spoken:</span> <span class="popup-value popup-inserted">"${spoken}"</span></div>
+                    <div class="popup-hint">Added by the reader - not in the text</div>
+                    ${playButton}`;
+            } else if (status === 'self-corrected') {
+                popupContent = `<div class="popup-title">Self-Corrected</div>
+                    <div class="popup-row"><span class="popup-label">First tried:</span> <span class="popup-value popup-misread">"${spoken}"</span></div>
+                    <div class="popup-row"><span class="popup-label">Corrected to:</span> <span class="popup-value">"${expected}"</span></div>
+                    <div class="popup-hint">Counted as correct - the reader fixed it on their own</div>
+                    ${playButton}`;
             } else if (status === 'hesitation') {
                 const hesType = wordEl.dataset.type;
                 const hesWord = wordEl.dataset.word;
@@ -2521,15 +3373,37 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
                     <div class="popup-row"><span class="popup-label">Spoken:</span> <span class="popup-value popup-hesitation">"${hesWord}"</span></div>
                     <div class="popup-hint">Indicates uncertainty or pause in fluency</div>
                     ${playButton}`;
+            } else if (status === 'repeated-phrase' || status === 'repeated-word') {
+                popupContent = `<div class="popup-title">${status === 'repeated-word' ? 'Repeated Word' : 'Repeated Phrase'}</div>
+                    <div class="popup-row"><span class="popup-label">Re-read:</span> <span class="popup-value popup-repetition">"${spoken}"</span></div>
+                    <div class="popup-hint">Read again before continuing - not counted as an error</div>
+                    ${playButton}`;
             } else if (status === 'correct') {
                 popupContent = `<div class="popup-title">Correct</div>
                     <div class="popup-row"><span class="popup-label">Word:</span> <span class="popup-value">"${expected}"</span></div>
                     ${playButton}`;
             }
 
+            // Let the teacher fix a wrong judgment before the assessment is saved
+            const wordIndex = wordEl.dataset.index;
+            if (wordIndex !== undefined && !state.viewingHistoricalAssessment) {
+                popupContent += `<div class="popup-override">
+                    <span class="popup-label">Mark as:</span>
+                    ${OVERRIDE_STATUSES.filter(o => o.status !== status).map(o => `<button type="button" class="popup-override-btn" data-status="${o.status}">${o.label}</button>`).join('')}
+                </div>`;
+            }
+
             wordPopup.innerHTML = popupContent;
             wordPopup.classList.remove('hidden');
 
+            wordPopup.querySelectorAll('.popup-override-btn').forEach(btn => {
+                btn.addEventListener('click', (evt) => {
+                    evt.stopPropagation();
+                    wordPopup.classList.add('hidden');
+                    applyWordOverride(parseInt(wordIndex, 10), btn.dataset.status);
+                });
+            });
+
             // Attach play button listener if present
             const playBtn = wordPopup.querySelector('.popup-play-btn');
             if (playBtn) {
@@ -2589,6 +3463,277 @@ function displayPronunciationResults(expectedWords, spokenWordInfo, analysis, pr
     resultsContainer.addEventListener('click', popupDismissHandler);
 }
 
+// ============ GRADE-LEVEL NORMS ============
+function renderNormBadge(comparison) {
+    return `<span class="norm-badge ${comparison.className}" title="${escapeHtml(comparison.band)}">${comparison.short}</span>`;
+}
+
+// The rubric's WPM target depends on grade, so rescore live results when the student changes
+function rescoreForGrade(gradeLevel) {
+    const grade = gradeLevel ?? null;
+    if (state.latestGradeLevel === grade && state.latestProsodyMetrics?.rubricVersion === state.scoringRubric.version) return;
+    state.latestGradeLevel = grade;
+    if (!state.latestAnalysis || !state.latestExpectedWords) return;
+
+    const metrics = calculateProsodyMetrics(state.latestExpectedWords, state.latestSpokenWords, state.latestAnalysis, state.recordingDuration, grade);
+    state.latestProsodyMetrics = metrics;
+
+    const prosodyBox = document.querySelector('.stat-prosody');
+    if (prosodyBox) {
+        prosodyBox.querySelector('.stat-number').textContent = metrics.prosodyScore;
+        prosodyBox.querySelector('.stat-sublabel').textContent = metrics.prosodyGrade;
+    }
+    const accuracyNumber = document.querySelector('.stat-accuracy .stat-number');
+    if (accuracyNumber) accuracyNumber.textContent = `${Math.round(metrics.accuracy)}%`;
+}
+
+// Show where the result falls against Hasbrouck & Tindal norms for the student's grade
+async function updateNormComparison() {
+    const container = document.getElementById('norm-comparison');
+    const wcpm = state.latestProsodyMetrics?.wcpm;
+    state.latestNormComparison = null;
+    if (!container || typeof wcpm !== 'number') return;
+
+    const studentId = state.viewingHistoricalAssessment
+        ? state.historicalAssessmentStudentId
+        : (studentSelect?.value || state.currentStudentId);
+
+    let comparison = null;
+    let gradeText = '';
+    if (state.viewingHistoricalAssessment && state.historicalNormComparison) {
+        // Compare against the grade the student was in when it was saved
+        comparison = state.historicalNormComparison;
+    } else if (studentId) {
+        try {
+            const student = await FirebaseDB.getStudent(studentId, false);
+            gradeText = student?.grade || '';
+            const gradeLevel = student?.gradeLevel ?? parseGradeLevel(student?.grade);
+            const date = state.viewingHistoricalAssessment ? state.historicalAssessmentDate : Date.now();
+            comparison = getNormComparison(wcpm, gradeLevel, date);
+            if (!state.viewingHistoricalAssessment) rescoreForGrade(gradeLevel);
+        } catch (error) {
+            debugError('Error loading student grade for norms:', error);
+        }
+    } else if (!state.viewingHistoricalAssessment) {
+        rescoreForGrade(null);
+    }
+
+    if (!state.viewingHistoricalAssessment) {
+        state.latestNormComparison = comparison;
+    }
+
+    if (comparison) {
+        container.innerHTML = `${renderNormBadge(comparison)} <strong>${comparison.wcpm} WCPM</strong> is ${comparison.band.charAt(0).toLowerCase() + comparison.band.slice(1)} for grade ${comparison.grade} ${comparison.season} (median ${comparison.median} WCPM) <span class="norm-source">Hasbrouck &amp; Tindal, 2017</span>`;
+    } else if (!studentId) {
+        container.textContent = 'Choose a student to compare WCPM with grade-level norms.';
+    } else {
+        container.textContent = gradeText
+            ? `No grade-level WCPM norms for "${gradeText}" this season (grades 1-6 only).`
+            : 'Set this student\'s grade to compare WCPM with grade-level norms.';
+    }
+    container.style.display = 'block';
+}
+
+// ============ RUNNING RECORD ============
+function toggleRunningRecord() {
+    const panel = document.getElementById('running-record-panel');
+    if (!panel) return;
+    if (panel.style.display === 'none') {
+        if (!state.latestRunningRecord) {
+            state.latestRunningRecord = buildRunningRecord(state.latestAnalysis, state.latestSpokenWords || []);
+        }
+        renderRunningRecord();
+        panel.style.display = 'block';
+    } else {
+        panel.style.display = 'none';
+    }
+}
+
+// Notation for one word: what the reader did over what the text says
+function renderRunningRecordCell(entry, readOnly) {
+    const code = RUNNING_RECORD_CODES[entry.code];
+    const spoken = escapeHtml(entry.spoken || '');
+    const expected = escapeHtml(entry.expected || '');
+    let top = '';
+    let bottom = expected;
+
+    if (entry.code === 'accurate') {
+        // An "accurate" insertion is one the teacher dismissed (e.g. the ASR heard a cough as a word)
+        top = '✓';
+        bottom = `<span class="rr-text-word">${entry.index === null ? `${spoken} (ignored)` : expected}</span>`;
+    } else if (entry.code === 'substitution') {
+        top = spoken;
+    } else if (entry.code === 'self-correction') {
+        top = `${escapeHtml(entry.attempts.join(' ') || entry.spoken || '')} | SC`;
+    } else if (entry.code === 'omission') {
+        top = '—';
+    } else if (entry.code === 'insertion') {
+        top = spoken;
+        bottom = '—';
+    } else if (entry.code === 'appeal') {
+        top = `${spoken} A`;
+    } else if (entry.code === 'told') {
+        top = spoken || '—';
+        bottom = `${expected} <span class="rr-told">T</span>`;
+    }
+
+    // Insertions can only stay insertions or be dismissed; text words can take any other code
+    const options = Object.entries(RUNNING_RECORD_CODES)
+        .filter(([key]) => (entry.index === null) === (key === 'insertion') || key === 'accurate')
+        .map(([key, c]) => `<option value="${key}" ${key === entry.code ? 'selected' : ''}>${c.label}</option>`)
+        .join('');
+
+    const msvToggles = MSV_CODES.includes(entry.code)
+        ? `<div class="rr-msv">${['m', 's', 'v'].map(cue => `<button type="button" class="rr-msv-toggle ${entry.msv[cue] ? 'active' : ''}" data-cue="${cue}" ${readOnly ? 'disabled' : ''}>${cue.toUpperCase()}</button>`).join('')}</div>`
+        : '';
+
+    return `
+        <div class="rr-cell rr-${entry.code} ${code.isError ? 'rr-error' : ''} ${entry.overridden ? 'rr-overridden' : ''} ${entry.repeatedPhrase ? `rr-phrase-repeat rr-phrase-${entry.repeatedPhrase}` : ''}" data-key="${entry.key}">
+            ${entry.paused ? '<span class="rr-pause" title="Pause before this word">‖</span>' : ''}
+            <div class="rr-notation">
+                <span class="rr-top">${top}${entry.repeated || ['end', 'single'].includes(entry.repeatedPhrase) ? '<sup class="rr-repeat">R</sup>' : ''}</span>
+                <span class="rr-bottom">${bottom}</span>
+            </div>
+            <select class="rr-code-select" ${readOnly ? 'disabled' : ''}>${options}</select>
+            ${msvToggles}
+        </div>
+    `;
+}
+
+function renderRunningRecord() {
+    const panel = document.getElementById('running-record-panel');
+    const entries = state.latestRunningRecord;
+    if (!panel || !entries) return;
+
+    const summary = summarizeRunningRecord(entries);
+    const readOnly = state.viewingHistoricalAssessment;
+    const msvText = (tally) => `M ${tally.m} · S ${tally.s} · V ${tally.v}`;
+
+    panel.innerHTML = `
+        <h4>Running Record</h4>
+        <div class="rr-summary">
+            <span><strong>${summary.runningWords}</strong> running words</span>
+            <span><strong>${summary.errors}</strong> errors</span>
+            <span><strong>${summary.selfCorrections}</strong> SC</span>
+            <span>Accuracy <strong>${summary.accuracy}%</strong></span>
+            <span>Error rate <strong>${summary.errorRate}</strong></span>
+            <span>SC rate <strong>${summary.scRate}</strong></span>
+            <span>Errors: ${msvText(summary.msv.errors)}</span>
+            <span>SC: ${msvText(summary.msv.selfCorrections)}</span>
+        </div>
+        <p class="rr-hint">${readOnly
+            ? 'Codes and MSV cues as saved with this assessment.'
+            : 'Change any code that was heard wrong, and set the cues each miscue used. M is never pre-filled - meaning depends on the sentence.'}</p>
+        <div class="rr-grid">${entries.map(entry => renderRunningRecordCell(entry, readOnly)).join('')}</div>
+    `;
+
+    if (readOnly) return;
+
+    panel.querySelectorAll('.rr-cell').forEach(cell => {
+        const entry = entries.find(e => e.key === cell.dataset.key);
+        cell.querySelector('.rr-code-select').addEventListener('change', (e) => {
+            setRunningRecordCode(entry, e.target.value);
+            renderRunningRecord();
+        });
+        cell.querySelectorAll('.rr-msv-toggle').forEach(btn => {
+            btn.addEventListener('click', () => {
+                entry.msv[btn.dataset.cue] = !entry.msv[btn.dataset.cue];
+                entry.overridden = true;
+                renderRunningRecord();
+            });
+        });
+    });
+}
+
+// ============ TEACHER OVERRIDES ============
+const OVERRIDE_STATUSES = [
+    { status: 'correct', label: 'Correct' },
+    { status: 'self-corrected', label: 'Self-corrected' },
+    { status: 'misread', label: 'Misread' },
+    { status: 'substituted', label: 'Substituted' },
+    { status: 'skipped', label: 'Skipped' }
+];
+
+// Status as shown in the results (self-corrections are stored as correct + flag)
+function getDisplayStatus(item) {
+    return item.status === 'correct' && item.selfCorrected ? 'self-corrected' : item.status;
+}
+
+// Rebuild correctCount and the per-word error lists from analysis.aligned
+// (hesitations, repeats and insertions come from the audio and are left alone)
+function rebuildErrorsFromAlignment(analysis) {
+    const errors = analysis.errors;
+    const previousSelfCorrections = new Map((errors.selfCorrections || []).map(sc => [sc.index, sc]));
+
+    errors.skippedWords = [];
+    errors.misreadWords = [];
+    errors.substitutedWords = [];
+    errors.selfCorrections = [];
+    analysis.correctCount = 0;
+
+    analysis.aligned.forEach(item => {
+        if (item.status === 'correct') {
+            analysis.correctCount++;
+            if (item.selfCorrected) {
+                errors.selfCorrections.push(previousSelfCorrections.get(item.index) || {
+                    index: item.index,
+                    expected: item.expected,
+                    attempts: item.attempts || [],
+                    startTime: item.startTime || null,
+                    endTime: item.endTime || null
+                });
+            }
+        } else if (item.status === 'skipped') {
+            errors.skippedWords.push(item.index);
+        } else if (item.status === 'misread') {
+            errors.misreadWords.push({ index: item.index, expected: item.expected, spoken: item.spoken || '' });
+        } else if (item.status === 'substituted') {
+            errors.substitutedWords.push({ index: item.index, expected: item.expected, spoken: item.spoken || '' });
+        }
+    });
+
+    detectSkippedLines(analysis);
+}
+
+function applyWordOverride(index, newStatus) {
+    const analysis = state.latestAnalysis;
+    const item = analysis?.aligned.find(a => a.index === index);
+    if (!item) return;
+
+    const from = getDisplayStatus(item);
+    if (from === newStatus) return;
+
+    item.status = newStatus === 'self-corrected' ? 'correct' : newStatus;
+    item.selfCorrected = newStatus === 'self-corrected';
+    if (item.selfCorrected && !item.attempts?.length && item.spoken && normalizeWord(item.spoken) !== normalizeWord(item.expected)) {
+        item.attempts = [item.spoken];
+    }
+
+    // One log entry per word, measured against what the analysis originally said
+    analysis.overrides = analysis.overrides || [];
+    const existing = analysis.overrides.find(o => o.index === index);
+    if (!existing) {
+        analysis.overrides.push({ index, expected: item.expected, from, to: newStatus, at: Date.now() });
+    } else if (existing.from === newStatus) {
+        analysis.overrides = analysis.overrides.filter(o => o !== existing);
+    } else {
+        existing.to = newStatus;
+        existing.at = Date.now();
+    }
+
+    rebuildErrorsFromAlignment(analysis);
+    state.latestErrorPatterns = analyzeErrorPatterns(analysis, state.latestExpectedWords);
+    state.latestProsodyMetrics = calculateProsodyMetrics(state.latestExpectedWords, state.latestSpokenWords, analysis, state.recordingDuration, state.latestGradeLevel);
+
+    // Keep running-record edits on other words; the changed word gets fresh codes
+    const editedEntries = new Map((state.latestRunningRecord || []).filter(e => e.overridden).map(e => [e.key, e]));
+    state.latestRunningRecord = buildRunningRecord(analysis, state.latestSpokenWords || [])
+        .map(e => (e.key !== `w${index}` && editedEntries.has(e.key)) ? editedEntries.get(e.key) : e);
+
+    debugLog('Word override:', item.expected, from, '→', newStatus);
+    displayPronunciationResults(state.latestExpectedWords, state.latestSpokenWords, analysis, state.latestProsodyMetrics);
+}
+
 // ============ EXPORT WORDS ============
 function exportSelectedWords() {
     let selectedWordTexts = [];
@@ -2644,6 +3789,7 @@ function exportAssessmentData() {
 
     // Calculate all error counts
     const skippedCount = analysis.errors?.skippedWords?.length || 0;
+    const skippedLineCount = analysis.errors?.skippedLines?.length || 0;
     const misreadCount = analysis.errors?.misreadWords?.length || 0;
     const substitutedCount = analysis.errors?.substitutedWords?.length || 0;
     const hesitationCount = Array.isArray(analysis.errors?.hesitations)
@@ -2652,12 +3798,16 @@ function exportAssessmentData() {
     const repeatedCount = Array.isArray(analysis.errors?.repeatedWords)
         ? analysis.errors.repeatedWords.length
         : (analysis.errors?.repeatedWords || 0);
+    const repeatedPhraseCount = analysis.errors?.repeatedPhrases?.length || 0;
+    const selfCorrectionCount = analysis.errors?.selfCorrections?.length || 0;
+    const insertedCount = analysis.errors?.insertions?.length || 0;
     const totalErrors = skippedCount + misreadCount + substitutedCount;
+    const selfCorrectionRate = calculateSelfCorrectionRate(analysis.errors);
 
     // Core metrics
     const totalWords = expectedWords.length || state.selectedWords?.size || 0;
     const correctCount = analysis.correctCount || 0;
-    const accuracy = totalWords > 0 ? (correctCount / totalWords) * 100 : 0;
+    const accuracy = prosodyMetrics.accuracy ?? (totalWords > 0 ? (correctCount / totalWords) * 100 : 0);
     const wpm = prosodyMetrics.wpm || 0;
     const readingTimeSeconds = prosodyMetrics.readingTime || state.recordingDuration || 0;
     const readingTimeMinutes = readingTimeSeconds / 60;
@@ -2697,6 +3847,8 @@ function exportAssessmentData() {
             accuracy: Math.round(accuracy * 100) / 100,
             accuracyDecimal: Math.round(accuracy) / 100,
             wpm: wpm,
+            wcpm: prosodyMetrics.wcpm ?? null,
+            normComparison: state.latestNormComparison || null,
             readingTimeSeconds: Math.round(readingTimeSeconds * 100) / 100
         },
 
@@ -2704,6 +3856,7 @@ function exportAssessmentData() {
         prosody: {
             score: prosodyMetrics.prosodyScore || 0,
             grade: prosodyMetrics.prosodyGrade || 'N/A',
+            rubricVersion: prosodyMetrics.rubricVersion ?? null,
             totalWords: prosodyMetrics.totalWords || totalWords,
             wordsRead: prosodyMetrics.wordsRead || 0
         },
@@ -2712,12 +3865,19 @@ function exportAssessmentData() {
         errors: {
             total: totalErrors,
             skipped: skippedCount,
+            skippedLines: skippedLineCount,
             misread: misreadCount,
             substituted: substitutedCount,
             hesitations: hesitationCount,
             repeated: repeatedCount,
+            repeatedPhrases: repeatedPhraseCount,
+            // Self-corrections are scored as correct, so they're not part of total
+            selfCorrected: selfCorrectionCount,
+            selfCorrectionRate: selfCorrectionRate,
+            inserted: insertedCount,
             // Detailed error lists
             skippedWords: analysis.errors?.skippedWords || [],
+            skippedLineDetails: analysis.errors?.skippedLines || [],
             misreadWords: (analysis.errors?.misreadWords || []).map(e => ({
                 expected: e.expected,
                 spoken: e.spoken,
@@ -2727,6 +3887,21 @@ function exportAssessmentData() {
                 expected: e.expected,
                 spoken: e.spoken,
                 index: e.index
+            })),
+            selfCorrections: (analysis.errors?.selfCorrections || []).map(sc => ({
+                expected: sc.expected,
+                attempts: sc.attempts,
+                index: sc.index
+            })),
+            repeatedPhraseDetails: (analysis.errors?.repeatedPhrases || []).map(rp => ({
+                phrase: rp.words.join(' '),
+                expectedIndices: rp.expectedIndices || []
+            })),
+            insertions: (analysis.errors?.insertions || []).map(ins => ({
+                word: ins.word,
+                beforeIndex: ins.beforeIndex,
+                startTime: ins.startTime || null,
+                endTime: ins.endTime || null
             }))
         },
 
@@ -2769,6 +3944,7 @@ function exportAssessmentData() {
             expected: item.expected,
             spoken: item.spoken,
             status: item.status,
+            selfCorrected: !!item.selfCorrected,
             confidence: item.confidence || null,
             startTime: item.startTime || null,
             endTime: item.endTime || null
@@ -2825,6 +4001,9 @@ async function exportAllStudentData(studentId) {
         const repeatedCount = typeof assessment.errors?.repeatedWords === 'number'
             ? assessment.errors.repeatedWords
             : (assessment.errors?.repeatedWords?.length || 0);
+        const repeatedPhraseCount = assessment.errors?.repeatedPhrases?.length || 0;
+        const selfCorrectionCount = assessment.errors?.selfCorrections?.length || 0;
+        const insertedCount = assessment.errors?.insertions?.length || 0;
         const totalErrors = skippedCount + misreadCount + substitutedCount;
 
         const correctCount = assessment.correctCount || 0;
@@ -2859,13 +4038,16 @@ async function exportAllStudentData(studentId) {
                 correctCount: correctCount,
                 accuracy: Math.round(accuracy * 100) / 100,
                 wpm: assessment.wpm || 0,
+                wcpm: getAssessmentWcpm(assessment),
+                normComparison: assessment.normComparison || null,
                 readingTimeSeconds: Math.round(readingTimeSeconds * 100) / 100
             },
 
             // Prosody metrics
             prosody: {
                 score: assessment.prosodyScore || assessment.prosodyMetrics?.prosodyScore || 0,
-                grade: assessment.prosodyMetrics?.prosodyGrade || 'N/A'
+                grade: assessment.prosodyMetrics?.prosodyGrade || 'N/A',
+                rubricVersion: assessment.rubricVersion ?? null
             },
 
             // Error breakdown
@@ -2875,7 +4057,11 @@ async function exportAllStudentData(studentId) {
                 misread: misreadCount,
                 substituted: substitutedCount,
                 hesitations: hesitationCount,
-                repeated: repeatedCount
+                repeated: repeatedCount,
+                repeatedPhrases: repeatedPhraseCount,
+                selfCorrected: selfCorrectionCount,
+                selfCorrectionRate: assessment.selfCorrectionRate ?? calculateSelfCorrectionRate(assessment.errors),
+                inserted: insertedCount
             },
 
             // Error patterns (if available)
@@ -2991,13 +4177,23 @@ function downloadAnalysisAsHtml2Pdf() {
 
     // Build error sections
     let errorsContent = '';
-    if (analysis.errors?.skippedWords?.length > 0) {
-        errorsContent += `<div style="background: #fff3cd; padding: 8px; border-radius: 4px; margin-bottom: 6px;"><strong>Skipped Words (${analysis.errors.skippedWords.length}):</strong> Words were not read</div>`;
+    const pdfSkippedLines = analysis.errors?.skippedLines || [];
+    if (pdfSkippedLines.length > 0) {
+        const list = pdfSkippedLines.map(sl => `line ${sl.line} (${sl.words.length} words)`).join(', ');
+        errorsContent += `<div style="background: #fff3cd; padding: 8px; border-radius: 4px; margin-bottom: 6px;"><strong>Skipped Lines (${pdfSkippedLines.length}):</strong> ${list}</div>`;
+    }
+    const pdfLooseSkipped = (analysis.errors?.skippedWords || []).filter(i => !getSkippedLineIndices(analysis.errors).has(i)).length;
+    if (pdfLooseSkipped > 0) {
+        errorsContent += `<div style="background: #fff3cd; padding: 8px; border-radius: 4px; margin-bottom: 6px;"><strong>Skipped Words (${pdfLooseSkipped}):</strong> Words were not read</div>`;
     }
     if (analysis.errors?.misreadWords?.length > 0) {
-        const list = analysis.errors.misreadWords.map(e => `"${e.expected}"`).join(', ');
+        const list = analysis.errors.misreadWords.map(e => `"${escapeHtml(e.expected)}"`).join(', ');
         errorsContent += `<div style="background: #fff3cd; padding: 8px; border-radius: 4px; margin-bottom: 6px;"><strong>Misread Words (${analysis.errors.misreadWords.length}):</strong> ${list}</div>`;
     }
+    if (analysis.errors?.substitutedWords?.length > 0) {
+        const list = analysis.errors.substitutedWords.map(e => `"${escapeHtml(e.expected)}" → "${escapeHtml(e.spoken)}"`).join(', ');
+        errorsContent += `<div style="background: #f8d7da; padding: 8px; border-radius: 4px; margin-bottom: 6px;"><strong>Substituted Words (${analysis.errors.substitutedWords.length}):</strong> ${list}</div>`;
+    }
 
     // Build summary
     let summaryContent = '';
@@ -3011,6 +4207,7 @@ function downloadAnalysisAsHtml2Pdf() {
     // Build stats table (not flexbox - flexbox fails on mobile html2canvas)
     let statCount = 3;
     if (prosodyMetrics.wpm) statCount++;
+    if (prosodyMetrics.wcpm) statCount++;
     if (prosodyMetrics.prosodyScore) statCount++;
 
     let statsHtml = `<table style="width: 100%; border-collapse: collapse; margin-bottom: 15px;"><tr>
@@ -3020,6 +4217,7 @@ function downloadAnalysisAsHtml2Pdf() {
         <td style="width: 8px;"></td>
         <td style="text-align: center; padding: 10px; background: #f5f5f5; border-radius: 6px;"><div style="font-size: 20px; font-weight: bold; color: #333;">${accuracy}%</div><div style="font-size: 9px; color: #666;">Accuracy</div></td>
         ${prosodyMetrics.wpm ? `<td style="width: 8px;"></td><td style="text-align: center; padding: 10px; background: #f5f5f5; border-radius: 6px;"><div style="font-size: 20px; font-weight: bold; color: #333;">${prosodyMetrics.wpm}</div><div style="font-size: 9px; color: #666;">WPM</div></td>` : ''}
+        ${prosodyMetrics.wcpm ? `<td style="width: 8px;"></td><td style="text-align: center; padding: 10px; background: #f5f5f5; border-radius: 6px;"><div style="font-size: 20px; font-weight: bold; color: #333;">${prosodyMetrics.wcpm}</div><div style="font-size: 9px; color: #666;">WCPM</div></td>` : ''}
         ${prosodyMetrics.prosodyScore ? `<td style="width: 8px;"></td><td style="text-align: center; padding: 10px; background: #f5f5f5; border-radius: 6px;"><div style="font-size: 20px; font-weight: bold; color: #333;">${prosodyMetrics.prosodyScore}</div><div style="font-size: 9px; color: #666;">Prosody</div></td>` : ''}
     </tr></table>`;
 
@@ -3270,6 +4468,38 @@ function viewHighlightedImage() {
             }
         }
 
+        // Strike through skipped lines with a gray band
+        const skippedLines = state.latestAnalysis?.errors?.skippedLines || [];
+        if (state.ocrData?.words && skippedLines.length > 0) {
+            const selectedIndices = Array.from(state.selectedWords).sort((a, b) => a - b);
+            skippedLines.forEach(sl => {
+                const boxes = selectedIndices.slice(sl.startIndex, sl.endIndex + 1)
+                    .map(i => state.ocrData.words[i])
+                    .filter(Boolean)
+                    .map(word => word.parts?.[0]?.bbox || word.bbox);
+                if (boxes.length === 0) return;
+
+                const x0 = Math.min(...boxes.map(b => b.x0)) - 6;
+                const x1 = Math.max(...boxes.map(b => b.x1)) + 6;
+                const y0 = Math.min(...boxes.map(b => b.y0)) - 4;
+                const y1 = Math.max(...boxes.map(b => b.y1)) + 4;
+
+                ctx.fillStyle = 'rgba(108, 117, 125, 0.25)';
+                ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+                ctx.strokeStyle = 'rgba(108, 117, 125, 0.9)';
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.moveTo(x0, (y0 + y1) / 2);
+                ctx.lineTo(x1, (y0 + y1) / 2);
+                ctx.stroke();
+
+                const labelSize = Math.max(14, Math.min(28, (y1 - y0) * 0.6));
+                ctx.font = `bold ${labelSize}px Arial, sans-serif`;
+                ctx.fillStyle = 'rgba(73, 80, 87, 1)';
+                ctx.fillText('skipped line', x1 + 8, (y0 + y1) / 2 + labelSize / 3);
+            });
+        }
+
         // Draw stats overlay at top center
         if (state.latestAnalysis) {
             const totalWords = state.selectedWords?.size || 0;
@@ -3402,6 +4632,7 @@ function viewDetailedPatterns() {
         li { margin-bottom: 5px; }
         .pattern-section { background: #fafafa; padding: 15px; border-radius: 8px; margin-bottom: 10px; }
         .pattern-section h4 { margin: 0 0 10px 0; color: #1a535c; }
+        .pattern-tip { margin: 8px 0 0 0; font-size: 0.9rem; color: #155724; }
         .print-btn { position: fixed; top: 20px; right: 20px; background: #1a535c; color: white; border: none; padding: 10px 20px; border-radius: 8px; cursor: pointer; }
         @media print { .print-btn { display: none; } }
     </style></head><body>
@@ -3419,14 +4650,34 @@ function viewDetailedPatterns() {
             ${patterns.summary?.recommendations?.length > 0 ? `<div class="rec-list"><h4>Recommendations</h4><ul>${patterns.summary.recommendations.map(r => `<li>${r}</li>`).join('')}</ul></div>` : ''}
         </div>
         <div class="section"><h3>Phonics Patterns</h3>
-            ${patterns.phonicsPatterns.initialSoundErrors.length > 0 ? `<div class="pattern-section"><h4>Initial Sound Errors (${patterns.phonicsPatterns.initialSoundErrors.length})</h4><ul>${patterns.phonicsPatterns.initialSoundErrors.slice(0,5).map(e => `<li>"${e.expected}" → "${e.actual}"</li>`).join('')}</ul></div>` : ''}
-            ${patterns.phonicsPatterns.consonantBlends.length > 0 ? `<div class="pattern-section"><h4>Consonant Blend Issues (${patterns.phonicsPatterns.consonantBlends.length})</h4><ul>${patterns.phonicsPatterns.consonantBlends.slice(0,5).map(e => `<li>"${e.expected}" → "${e.actual}"</li>`).join('')}</ul></div>` : ''}
-            ${patterns.phonicsPatterns.digraphs.length > 0 ? `<div class="pattern-section"><h4>Digraph Issues (${patterns.phonicsPatterns.digraphs.length})</h4><ul>${patterns.phonicsPatterns.digraphs.slice(0,5).map(e => `<li>"${e.expected}" → "${e.actual}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.initialSoundErrors.length > 0 ? `<div class="pattern-section"><h4>Initial Sound Errors (${patterns.phonicsPatterns.initialSoundErrors.length})</h4><ul>${patterns.phonicsPatterns.initialSoundErrors.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.consonantBlends.length > 0 ? `<div class="pattern-section"><h4>Consonant Blend Issues (${patterns.phonicsPatterns.consonantBlends.length})</h4><ul>${patterns.phonicsPatterns.consonantBlends.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.digraphs.length > 0 ? `<div class="pattern-section"><h4>Digraph Issues (${patterns.phonicsPatterns.digraphs.length})</h4><ul>${patterns.phonicsPatterns.digraphs.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.finalSoundErrors.length > 0 ? `<div class="pattern-section"><h4>Final Sound Errors (${patterns.phonicsPatterns.finalSoundErrors.length})</h4><ul>${patterns.phonicsPatterns.finalSoundErrors.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"${e.pattern ? ` <em>${escapeHtml(e.pattern)}</em>` : ''}</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.vowelPatterns.length > 0 ? `<div class="pattern-section"><h4>Vowel Patterns (${patterns.phonicsPatterns.vowelPatterns.length})</h4><ul>${patterns.phonicsPatterns.vowelPatterns.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"${e.pattern ? ` <em>${escapeHtml(e.pattern)}</em>` : ''}</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.rControlledVowels.length > 0 ? `<div class="pattern-section"><h4>R-controlled Vowels (${patterns.phonicsPatterns.rControlledVowels.length})</h4><ul>${patterns.phonicsPatterns.rControlledVowels.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"${e.pattern ? ` <em>${escapeHtml(e.pattern)}</em>` : ''}</li>`).join('')}</ul></div>` : ''}
+            ${patterns.phonicsPatterns.silentLetters.length > 0 ? `<div class="pattern-section"><h4>Silent Letters (${patterns.phonicsPatterns.silentLetters.length})</h4><ul>${patterns.phonicsPatterns.silentLetters.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"${e.pattern ? ` <em>${escapeHtml(e.pattern)}</em>` : ''}</li>`).join('')}</ul></div>` : ''}
             ${Object.values(patterns.phonicsPatterns).every(arr => arr.length === 0) ? '<p>No phonics pattern errors detected</p>' : ''}
         </div>
+        <div class="section"><h3>Word Structure (Morphology)</h3>
+            ${Object.entries(MORPHOLOGY_TYPES).map(([type, info]) => {
+                const errors = (patterns.morphologicalErrors || []).filter(e => e.type === type);
+                if (errors.length === 0) return '';
+                return `<div class="pattern-section"><h4>${info.label} (${errors.length})</h4><ul>${errors.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}" <em>${escapeHtml(e.pattern)}</em></li>`).join('')}</ul><p class="pattern-tip"><strong>Try:</strong> ${info.recommendation}</p></div>`;
+            }).join('')}
+            ${(patterns.morphologicalErrors || []).length === 0 ? '<p>No ending, prefix or compound-word errors detected</p>' : ''}
+        </div>
+        <div class="section"><h3>Reading Strategies</h3>
+            <div class="stats">
+                <div class="stat-box"><div class="value">${analysis?.errors?.substitutedWords?.length || 0}</div><div class="label">Real-word Substitutions</div></div>
+                <div class="stat-box"><div class="value">${analysis?.errors?.misreadWords?.length || 0}</div><div class="label">Non-word Misreads</div></div>
+            </div>
+            ${patterns.readingStrategies?.partialDecoding?.length > 0 ? `<div class="pattern-section"><h4>Partial Decoding (${patterns.readingStrategies.partialDecoding.length})</h4><ul>${patterns.readingStrategies.partialDecoding.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.readingStrategies?.contextGuessing?.length > 0 ? `<div class="pattern-section"><h4>Meaning-based Substitutions (${patterns.readingStrategies.contextGuessing.length})</h4><ul>${patterns.readingStrategies.contextGuessing.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
+        </div>
         <div class="section"><h3>Speech Patterns</h3>
-            ${patterns.speechPatterns.rSoundIssues.length > 0 ? `<div class="pattern-section"><h4>R Sound Issues (${patterns.speechPatterns.rSoundIssues.length})</h4><ul>${patterns.speechPatterns.rSoundIssues.slice(0,5).map(e => `<li>"${e.expected}" → "${e.actual}"</li>`).join('')}</ul></div>` : ''}
-            ${patterns.speechPatterns.thSoundIssues.length > 0 ? `<div class="pattern-section"><h4>TH Sound Issues (${patterns.speechPatterns.thSoundIssues.length})</h4><ul>${patterns.speechPatterns.thSoundIssues.slice(0,5).map(e => `<li>"${e.expected}" → "${e.actual}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.speechPatterns.rSoundIssues.length > 0 ? `<div class="pattern-section"><h4>R Sound Issues (${patterns.speechPatterns.rSoundIssues.length})</h4><ul>${patterns.speechPatterns.rSoundIssues.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
+            ${patterns.speechPatterns.thSoundIssues.length > 0 ? `<div class="pattern-section"><h4>TH Sound Issues (${patterns.speechPatterns.thSoundIssues.length})</h4><ul>${patterns.speechPatterns.thSoundIssues.slice(0,5).map(e => `<li>"${escapeHtml(e.expected)}" → "${escapeHtml(e.actual)}"</li>`).join('')}</ul></div>` : ''}
             ${Object.values(patterns.speechPatterns).every(arr => arr.length === 0) ? '<p>No speech pattern issues detected</p>' : ''}
         </div>
         <div class="section" style="text-align: center; color: #999; font-size: 0.85rem;">Generated by Word Analyzer V2 on ${new Date().toLocaleString()}</div>
@@ -3448,6 +4699,7 @@ const studentSelect = document.getElementById('student-select');
 if (studentSelect) {
     studentSelect.addEventListener('change', () => {
         saveAssessmentBtn.disabled = !studentSelect.value;
+        updateNormComparison();
     });
 }
 
@@ -3456,46 +4708,108 @@ if (saveAssessmentBtn) {
         const studentId = studentSelect.value;
         if (!studentId) return;
 
+        // Norms and the grade's WPM target load asynchronously after the student is picked -
+        // finish that for this student before reading the scores
+        await updateNormComparison();
+
         const selectedTexts = Array.from(state.selectedWords).map(i => state.ocrData.words[i].text);
         const analysis = state.latestAnalysis;
         const prosodyMetrics = state.latestProsodyMetrics;
 
         // Build assessment data with full analysis for historical viewing
+        // (id assigned up front so a queued copy can't be saved twice)
         const assessmentData = {
+            id: FirebaseDB.createAssessmentId(),
+            date: Date.now(),
             totalWords: state.selectedWords.size,
             wordList: selectedTexts,
             accuracy: prosodyMetrics?.accuracy || (analysis ? ((analysis.correctCount / state.selectedWords.size) * 100) : 100),
             wpm: prosodyMetrics?.wpm || 0,
+            wcpm: prosodyMetrics?.wcpm ?? null,
+            normComparison: state.latestNormComparison || null,
             prosodyScore: prosodyMetrics?.prosodyScore || 0,
+            // Rubric the scores came from (0 = built-in default), so they can be reproduced later
+            rubricVersion: prosodyMetrics?.rubricVersion ?? state.scoringRubric.version,
             correctCount: analysis?.correctCount || state.selectedWords.size,
+            selfCorrectionRate: calculateSelfCorrectionRate(analysis?.errors),
             errors: {
                 skippedWords: analysis?.errors?.skippedWords?.map(i => selectedTexts[i]) || [],
+                skippedLines: analysis?.errors?.skippedLines || [],
                 misreadWords: analysis?.errors?.misreadWords || [],
                 substitutedWords: analysis?.errors?.substitutedWords || [],
                 hesitations: analysis?.errors?.hesitations?.length || 0,
-                repeatedWords: analysis?.errors?.repeatedWords?.length || 0
+                repeatedWords: analysis?.errors?.repeatedWords?.length || 0,
+                repeatedPhrases: (analysis?.errors?.repeatedPhrases || []).map(rp => ({
+                    words: rp.words,
+                    expectedIndices: rp.expectedIndices || [],
+                    startTime: rp.startTime || null,
+                    endTime: rp.endTime || null
+                })),
+                selfCorrections: analysis?.errors?.selfCorrections || [],
+                insertions: analysis?.errors?.insertions || []
             },
+            // Which library passage was read, if any
+            passageId: state.activePassage?.id || null,
+            passageTitle: state.activePassage?.title || null,
             // Full data for historical viewing
             expectedWords: state.latestExpectedWords || selectedTexts,
             aligned: analysis?.aligned || null,
+            lineNumbers: analysis?.lineNumbers || null,
             spokenWords: state.latestSpokenWords || [],
             prosodyMetrics: prosodyMetrics || null,
-            errorPatterns: state.latestErrorPatterns || null
+            errorPatterns: state.latestErrorPatterns || null,
+            // Running record with the teacher's code/MSV overrides
+            runningRecord: state.latestRunningRecord || null,
+            runningRecordSummary: state.latestRunningRecord ? summarizeRunningRecord(state.latestRunningRecord) : null,
+            // Word judgments the teacher changed by hand (empty if the analysis was accepted as-is)
+            wordOverrides: analysis?.overrides || []
+        };
+        // Level fixed at save time so later rubric edits don't reclassify it
+        assessmentData.accuracyBand = classifyAccuracy(assessmentData.accuracy, state.scoringRubric);
+
+        // Recording and page image go to Storage so playback and video work later
+        const media = {
+            audioBlob: state.recordedAudioBlob,
+            imageDataUrl: state.capturedImage
         };
 
         try {
             debugLog('Attempting to save assessment for student:', studentId);
             debugLog('Assessment data size:', JSON.stringify(assessmentData).length, 'bytes');
 
-            const success = await FirebaseDB.addAssessmentToStudent(studentId, assessmentData);
-
             const saveStatus = document.getElementById('save-status');
-            if (success) {
+            saveStatus.textContent = 'Saving assessment and recording...';
+            saveStatus.className = 'save-status';
+
+            // Don't wait on Storage retries when we already know there's no connection
+            const result = navigator.onLine
+                ? await FirebaseDB.addAssessmentToStudent(studentId, assessmentData, media)
+                : { saved: false, mediaSaved: false };
+
+            if (result.saved && result.mediaSaved) {
                 saveStatus.textContent = 'Assessment saved successfully!';
                 saveStatus.className = 'save-status success';
-            } else {
-                saveStatus.textContent = 'Failed to save assessment. Check console for details.';
+            } else if (result.saved) {
+                // Keep the recording and image on this device and retry the upload
+                const studentName = studentSelect.options[studentSelect.selectedIndex]?.text || '';
+                await enqueueAssessment({ studentId, studentName, assessmentData, media, assessmentSaved: true });
+                saveStatus.textContent = 'Assessment saved. The recording and image will finish uploading automatically.';
+                saveStatus.className = 'save-status pending';
+                refreshSyncIndicator();
+            } else if (result.error?.permanent) {
+                // Retrying won't help - keep it on this device for the teacher to sort out
+                const studentName = studentSelect.options[studentSelect.selectedIndex]?.text || '';
+                await enqueueAssessment({ studentId, studentName, assessmentData, media, error: result.error });
+                saveStatus.textContent = `Could not save assessment: ${result.error.message}. It's kept on this device - see the sync queue.`;
                 saveStatus.className = 'save-status error';
+                refreshSyncIndicator();
+            } else {
+                // Keep it on this device until the connection comes back
+                const studentName = studentSelect.options[studentSelect.selectedIndex]?.text || '';
+                await enqueueAssessment({ studentId, studentName, assessmentData, media });
+                saveStatus.textContent = 'No connection - assessment saved on this device and will sync automatically.';
+                saveStatus.className = 'save-status pending';
+                refreshSyncIndicator();
             }
         } catch (error) {
             debugError('Error in save assessment handler:', error);
@@ -3506,12 +4820,158 @@ if (saveAssessmentBtn) {
     });
 }
 
+// ============ OFFLINE SYNC QUEUE ============
+const syncStatusBtn = document.getElementById('sync-status-btn');
+const syncQueueModal = document.getElementById('sync-queue-modal');
+const SYNC_RETRY_INTERVAL_MS = 60000;
+let isSyncing = false;
+
+// Sidebar badge: hidden when nothing is waiting
+async function refreshSyncIndicator() {
+    if (!syncStatusBtn) return;
+
+    let records = [];
+    try {
+        records = await getQueuedAssessments();
+    } catch (error) {
+        debugError('Error reading offline queue:', error);
+    }
+
+    const conflicts = records.filter(r => r.status === QUEUE_STATUS.CONFLICT).length;
+    const label = document.getElementById('sync-status-text');
+
+    syncStatusBtn.style.display = records.length > 0 ? 'flex' : 'none';
+    syncStatusBtn.classList.toggle('needs-attention', conflicts > 0);
+    syncStatusBtn.classList.toggle('syncing', isSyncing);
+
+    if (label) {
+        if (isSyncing) {
+            label.textContent = `Syncing ${records.length}...`;
+        } else if (conflicts > 0) {
+            label.textContent = `${conflicts} need${conflicts === 1 ? 's' : ''} attention`;
+        } else {
+            label.textContent = `${records.length} waiting to sync${navigator.onLine ? '' : ' (offline)'}`;
+        }
+    }
+}
+
+async function syncQueuedAssessments() {
+    if (isSyncing || !navigator.onLine) {
+        refreshSyncIndicator();
+        return;
+    }
+
+    isSyncing = true;
+    refreshSyncIndicator();
+    try {
+        const result = await flushQueuedAssessments();
+        if (result.saved > 0) {
+            debugLog('Synced', result.saved, 'queued assessment(s)');
+            // Profiles and the class views may be showing stale counts
+            await renderClassView();
+        }
+    } catch (error) {
+        debugError('Error syncing offline queue:', error);
+    } finally {
+        isSyncing = false;
+        refreshSyncIndicator();
+    }
+}
+
+async function openSyncQueueModal() {
+    const list = document.getElementById('sync-queue-list');
+    list.innerHTML = '<p class="passage-library-empty">Loading...</p>';
+    syncQueueModal.classList.add('active');
+
+    const records = await getQueuedAssessments();
+    if (records.length === 0) {
+        list.innerHTML = '<p class="passage-library-empty">Everything is synced.</p>';
+        return;
+    }
+
+    // Conflicted records can be moved to another student, which needs the roster
+    let studentOptions = '';
+    if (records.some(r => r.status === QUEUE_STATUS.CONFLICT)) {
+        try {
+            const students = Object.values(await FirebaseDB.getAllStudents()).sort((a, b) => a.name.localeCompare(b.name));
+            studentOptions = students.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('');
+        } catch (error) {
+            debugError('Error loading students for sync conflicts:', error);
+        }
+    }
+
+    list.innerHTML = records.map(r => {
+        const isConflict = r.status === QUEUE_STATUS.CONFLICT;
+        return `
+            <div class="sync-queue-item ${isConflict ? 'conflict' : ''}" data-queue-id="${escapeHtml(r.queueId)}">
+                <div class="passage-item-info">
+                    <strong>${escapeHtml(r.studentName || 'Unknown student')}</strong>
+                    <span class="passage-item-meta">${new Date(r.assessmentData.date || r.queuedAt).toLocaleString()} • ${r.assessmentData.totalWords || 0} words${r.audioBlob ? ' • audio' : ''}</span>
+                    ${r.lastError ? `<span class="sync-queue-error">${escapeHtml(r.lastError)}</span>` : ''}
+                </div>
+                <div class="passage-item-actions">
+                    ${isConflict && studentOptions ? `
+                        <select class="student-dropdown sync-reassign-select"><option value="">Move to...</option>${studentOptions}</select>
+                        <button type="button" class="btn btn-primary btn-small sync-reassign-btn">Save</button>
+                    ` : ''}
+                    <button type="button" class="btn btn-danger btn-small sync-discard-btn">Discard</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.sync-queue-item').forEach(item => {
+        const queueId = item.dataset.queueId;
+        const reassignBtn = item.querySelector('.sync-reassign-btn');
+        if (reassignBtn) {
+            reassignBtn.addEventListener('click', async () => {
+                const select = item.querySelector('.sync-reassign-select');
+                if (!select.value) return;
+                await reassignQueuedAssessment(queueId, select.value, select.options[select.selectedIndex].text);
+                await syncQueuedAssessments();
+                openSyncQueueModal();
+            });
+        }
+        item.querySelector('.sync-discard-btn').addEventListener('click', async () => {
+            const message = records.find(r => r.queueId === queueId)?.assessmentSaved
+                ? 'Discard the recording and image? The assessment itself is already saved.'
+                : 'Discard this assessment? It has not been saved anywhere else.';
+            if (confirm(message)) {
+                await removeQueuedAssessment(queueId);
+                refreshSyncIndicator();
+                openSyncQueueModal();
+            }
+        });
+    });
+}
+
+if (syncStatusBtn) syncStatusBtn.addEventListener('click', openSyncQueueModal);
+
+const syncNowBtn = document.getElementById('sync-now-btn');
+if (syncNowBtn) {
+    syncNowBtn.addEventListener('click', async () => {
+        await syncQueuedAssessments();
+        openSyncQueueModal();
+    });
+}
+
+const closeSyncQueueBtn = document.getElementById('close-sync-queue-btn');
+if (closeSyncQueueBtn) closeSyncQueueBtn.addEventListener('click', () => syncQueueModal.classList.remove('active'));
+
+window.addEventListener('online', syncQueuedAssessments);
+window.addEventListener('offline', refreshSyncIndicator);
+// navigator.onLine can report "online" on a captive or dead Wi-Fi network, so keep retrying
+setInterval(() => {
+    if (getCurrentUser()) syncQueuedAssessments();
+}, SYNC_RETRY_INTERVAL_MS);
+
 // New assessment
 const newAssessmentBtn = document.getElementById('start-new-analysis-btn');
 if (newAssessmentBtn) {
     newAssessmentBtn.addEventListener('click', () => {
         state.audioBlob = null;
         state.capturedImage = null;
+        state.activePassage = null;
         state.ocrData = null;
         state.selectedWords.clear();
 
@@ -3537,65 +4997,482 @@ const quickAddStudentBtn = document.getElementById('quick-add-student-btn');
 if (classOverviewBtn) {
     classOverviewBtn.addEventListener('click', async () => {
         closeSidebar(); // Close sidebar on mobile
-        await window.renderStudentsGridAsync();
+        await renderClassView();
         showSection('class-overview');
     });
 }
 
+// The add-student modal doubles as the edit form; null means adding
+let editingStudentId = null;
+
+// "Label: value" lines <-> customFields object
+function parseCustomFieldsText(text) {
+    const fields = {};
+    text.split('\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) fields[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    });
+    return fields;
+}
+
+function formatCustomFieldsText(fields) {
+    return Object.entries(fields || {}).map(([label, value]) => `${label}: ${value}`).join('\n');
+}
+
+function openStudentModal(student = null) {
+    editingStudentId = student ? student.id : null;
+    const gradeLevel = student ? (student.gradeLevel ?? parseGradeLevel(student.grade)) : null;
+
+    document.getElementById('student-modal-title').textContent = student ? 'Edit Student' : 'Add New Student';
+    document.getElementById('confirm-add-student-label').textContent = student ? 'Save Changes' : 'Add Student';
+    document.getElementById('student-name-input').value = student?.name || '';
+    document.getElementById('student-grade-input').value = gradeLevel ?? '';
+    document.getElementById('student-section-input').value = student?.section || '';
+    document.getElementById('student-external-id-input').value = student?.externalId || '';
+    document.getElementById('student-dob-input').value = student?.dateOfBirth || '';
+    // New students go into whichever class is active
+    document.getElementById('student-class-input').value = student ? (student.classId || '') : window.getActiveClassId();
+    document.getElementById('student-iep-input').checked = !!student?.iep;
+    document.getElementById('student-ell-input').checked = !!student?.ell;
+    document.getElementById('student-custom-fields-input').value = formatCustomFieldsText(student?.customFields);
+
+    addStudentModal.classList.add('active');
+    document.getElementById('student-name-input').focus();
+}
+
 if (backFromClassBtn) backFromClassBtn.addEventListener('click', () => showSection('audio'));
-if (addStudentBtn) addStudentBtn.addEventListener('click', () => addStudentModal.classList.add('active'));
-if (quickAddStudentBtn) quickAddStudentBtn.addEventListener('click', () => addStudentModal.classList.add('active'));
+if (addStudentBtn) addStudentBtn.addEventListener('click', () => openStudentModal());
+if (quickAddStudentBtn) quickAddStudentBtn.addEventListener('click', () => openStudentModal());
 if (cancelAddStudentBtn) cancelAddStudentBtn.addEventListener('click', () => addStudentModal.classList.remove('active'));
 
 if (confirmAddStudentBtn) {
     confirmAddStudentBtn.addEventListener('click', async () => {
-        const nameInput = document.getElementById('student-name-input');
-        const gradeInput = document.getElementById('student-grade-input');
-        const name = nameInput.value.trim();
-        const grade = gradeInput.value.trim();
-
-        if (!name) {
-            alert('Please enter a student name');
+        const students = await FirebaseDB.getAllStudents();
+        const { errors, data } = FirebaseDB.validateStudentFields({
+            name: document.getElementById('student-name-input').value,
+            gradeLevel: document.getElementById('student-grade-input').value,
+            section: document.getElementById('student-section-input').value,
+            externalId: document.getElementById('student-external-id-input').value,
+            dateOfBirth: document.getElementById('student-dob-input').value,
+            classId: document.getElementById('student-class-input').value,
+            iep: document.getElementById('student-iep-input').checked,
+            ell: document.getElementById('student-ell-input').checked,
+            customFields: parseCustomFieldsText(document.getElementById('student-custom-fields-input').value)
+        }, students, editingStudentId);
+
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
             return;
         }
 
-        await FirebaseDB.addStudent(name, grade);
-        nameInput.value = '';
-        gradeInput.value = '';
+        if (editingStudentId) {
+            const success = await FirebaseDB.updateStudent(editingStudentId, data);
+            if (!success) {
+                alert('Failed to save student. Please try again.');
+                return;
+            }
+        } else {
+            await FirebaseDB.addStudent(data.name, data.grade, data);
+        }
+        const editedStudentId = editingStudentId;
+        editingStudentId = null;
         addStudentModal.classList.remove('active');
 
-        await window.renderStudentsGridAsync();
+        await renderClassView();
         await window.updateAssessmentStudentDropdownAsync();
         await window.updateStudentDropdownAsync();
+        if (editedStudentId) await window.showStudentProfileAsync(editedStudentId);
     });
 }
 
-// ============ STUDENT PROFILE ============
-const backToClassBtn = document.getElementById('back-to-class-btn');
-const deleteStudentBtn = document.getElementById('delete-student-btn');
-let currentViewingStudentId = null;
+// Roster filters re-render the class view as they change (typing is debounced since
+// the dashboard reloads every student's assessments)
+let filterRenderTimer = null;
+['student-filter-search', 'student-filter-grade', 'student-filter-section', 'student-filter-iep', 'student-filter-ell'].forEach(id => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener(el.type === 'search' ? 'input' : 'change', () => {
+        clearTimeout(filterRenderTimer);
+        filterRenderTimer = setTimeout(() => renderClassView(), el.type === 'search' ? 300 : 0);
+    });
+});
 
-window.showStudentProfileAsync = async function(studentId) {
-    const student = await FirebaseDB.getStudent(studentId);
-    if (!student) return;
+// ============ CLASSES ============
+const activeClassSelect = document.getElementById('active-class-select');
+const manageClassesBtn = document.getElementById('manage-classes-btn');
+const classesModal = document.getElementById('classes-modal');
+const addClassBtn = document.getElementById('add-class-btn');
+const closeClassesBtn = document.getElementById('close-classes-btn');
+
+// Re-scope everything that lists students after the class set or active class changes
+async function refreshClassScopedViews() {
+    await window.updateClassPickersAsync();
+    await renderClassView();
+    await window.updateAssessmentStudentDropdownAsync();
+    await window.updateStudentDropdownAsync();
+}
 
-    state.currentStudentId = studentId;
-    currentViewingStudentId = studentId;
+if (activeClassSelect) {
+    activeClassSelect.addEventListener('change', async () => {
+        window.setActiveClassId(activeClassSelect.value);
+        await refreshClassScopedViews();
+    });
+}
 
-    document.getElementById('student-profile-name').textContent = student.name;
-    document.getElementById('student-profile-subtitle').textContent = `${student.grade || 'No grade set'} • ${student.assessments?.length || 0} assessment${(student.assessments?.length || 0) !== 1 ? 's' : ''}`;
-    document.getElementById('profile-avatar').textContent = student.name.charAt(0).toUpperCase();
+async function renderClassesList() {
+    const list = document.getElementById('classes-list');
+    const [classes, students] = await Promise.all([FirebaseDB.getAllClasses(), FirebaseDB.getAllStudents()]);
+    const studentArray = Object.values(students).sort((a, b) => a.name.localeCompare(b.name));
 
-    const stats = FirebaseDB.getStudentStats(student);
-    document.getElementById('student-stats-summary').innerHTML = `
+    if (classes.length === 0) {
+        list.innerHTML = '<p class="passage-library-empty">No classes yet. Students not in a class always appear under "All students".</p>';
+        return;
+    }
+
+    list.innerHTML = classes.map(c => {
+        const memberCount = studentArray.filter(s => s.classId === c.id).length;
+        return `
+            <div class="class-item" data-class-id="${escapeHtml(c.id)}">
+                <div class="passage-item">
+                    <div class="passage-item-info">
+                        <strong>${escapeHtml(c.name)}</strong>
+                        <span class="passage-item-meta">${memberCount} student${memberCount !== 1 ? 's' : ''}</span>
+                    </div>
+                    <div class="passage-item-actions">
+                        <button type="button" class="btn btn-outline btn-small class-members-btn">Students</button>
+                        <button type="button" class="btn btn-outline btn-small class-rename-btn">Rename</button>
+                        <button type="button" class="btn btn-danger btn-small class-delete-btn">Delete</button>
+                    </div>
+                </div>
+                <div class="class-members" style="display: none;">
+                    ${studentArray.length === 0 ? '<p class="passage-library-empty">No students yet.</p>' : studentArray.map(s => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" value="${escapeHtml(s.id)}" ${s.classId === c.id ? 'checked' : ''}>
+                            ${escapeHtml(s.name)}${s.classId && s.classId !== c.id ? ` <span class="passage-item-meta">(in ${escapeHtml(classes.find(other => other.id === s.classId)?.name || 'another class')})</span>` : ''}
+                        </label>
+                    `).join('')}
+                    <button type="button" class="btn btn-primary btn-small class-members-save-btn">Save Students</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.class-item').forEach(item => {
+        const classId = item.dataset.classId;
+        const classInfo = classes.find(c => c.id === classId);
+        const members = item.querySelector('.class-members');
+
+        item.querySelector('.class-members-btn').addEventListener('click', () => {
+            members.style.display = members.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        item.querySelector('.class-rename-btn').addEventListener('click', async () => {
+            const name = prompt('Class name:', classInfo.name);
+            if (!name || !name.trim() || name.trim() === classInfo.name) return;
+            if (!await FirebaseDB.renameClass(classId, name.trim())) {
+                alert('Failed to rename class. Please try again.');
+                return;
+            }
+            await renderClassesList();
+            await window.updateClassPickersAsync();
+        });
+
+        item.querySelector('.class-delete-btn').addEventListener('click', async () => {
+            if (!confirm(`Delete "${classInfo.name}"? Its students are kept and moved to no class.`)) return;
+            if (!await FirebaseDB.deleteClass(classId)) {
+                alert('Failed to delete class. Please try again.');
+                return;
+            }
+            await renderClassesList();
+            await refreshClassScopedViews();
+        });
+
+        const saveMembersBtn = item.querySelector('.class-members-save-btn');
+        if (saveMembersBtn) {
+            saveMembersBtn.addEventListener('click', async () => {
+                const boxes = [...members.querySelectorAll('input[type="checkbox"]')];
+                const added = boxes.filter(b => b.checked && students[b.value]?.classId !== classId).map(b => b.value);
+                const removed = boxes.filter(b => !b.checked && students[b.value]?.classId === classId).map(b => b.value);
+
+                const success = await FirebaseDB.assignStudentsToClass(added, classId) &&
+                    await FirebaseDB.assignStudentsToClass(removed, '');
+                if (!success) alert('Failed to update class students. Please try again.');
+
+                await renderClassesList();
+                await refreshClassScopedViews();
+            });
+        }
+    });
+}
+
+if (manageClassesBtn) {
+    manageClassesBtn.addEventListener('click', async () => {
+        closeSidebar(); // Close sidebar on mobile
+        classesModal.classList.add('active');
+        document.getElementById('classes-list').innerHTML = '<p class="passage-library-empty">Loading...</p>';
+        await renderClassesList();
+    });
+}
+
+if (closeClassesBtn) closeClassesBtn.addEventListener('click', () => classesModal.classList.remove('active'));
+
+if (addClassBtn) {
+    addClassBtn.addEventListener('click', async () => {
+        const nameInput = document.getElementById('new-class-name-input');
+        const name = nameInput.value.trim();
+        if (!name) {
+            alert('Please enter a class name');
+            return;
+        }
+
+        try {
+            const classes = await FirebaseDB.getAllClasses();
+            if (classes.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+                alert(`A class named "${name}" already exists.`);
+                return;
+            }
+            await FirebaseDB.addClass(name);
+        } catch (error) {
+            debugError('Error adding class:', error);
+            alert('Failed to add class. Please try again.');
+            return;
+        }
+
+        nameInput.value = '';
+        await renderClassesList();
+        await window.updateClassPickersAsync();
+    });
+}
+
+// ============ ROSTER CSV IMPORT/EXPORT ============
+const importRosterBtn = document.getElementById('import-roster-btn');
+const exportRosterBtn = document.getElementById('export-roster-btn');
+const rosterCsvInput = document.getElementById('roster-csv-input');
+const rosterImportModal = document.getElementById('roster-import-modal');
+const confirmRosterImportBtn = document.getElementById('confirm-roster-import-btn');
+const includeDuplicatesCheckbox = document.getElementById('roster-import-include-duplicates');
+
+// Parsed file + context for the open import dialog
+let rosterImport = null;
+
+function getRosterImportEntries() {
+    const entries = buildRosterImport(rosterImport.rows, rosterImport.mapping, rosterImport.students);
+    return entries.map(entry => ({
+        ...entry,
+        willImport: entry.status === IMPORT_STATUS.NEW ||
+            (entry.status === IMPORT_STATUS.DUPLICATE && includeDuplicatesCheckbox.checked)
+    }));
+}
+
+function renderRosterImport() {
+    const { headers, mapping, classes } = rosterImport;
+    const columnOptions = (selected) => '<option value="-1">(not in file)</option>' +
+        headers.map((h, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+
+    document.getElementById('roster-import-mapping').innerHTML = Object.entries(ROSTER_FIELDS).map(([field, info]) => `
+        <div class="form-group">
+            <label>${info.label}${info.required ? '' : ' <span class="optional">(optional)</span>'}</label>
+            <select class="form-select" data-field="${field}">${columnOptions(mapping[field])}</select>
+        </div>
+    `).join('');
+
+    document.querySelectorAll('#roster-import-mapping select').forEach(select => {
+        select.addEventListener('change', () => {
+            rosterImport.mapping[select.dataset.field] = parseInt(select.value, 10);
+            renderRosterImport();
+        });
+    });
+
+    const entries = getRosterImportEntries();
+    const importCount = entries.filter(e => e.willImport).length;
+    const duplicateCount = entries.filter(e => e.status === IMPORT_STATUS.DUPLICATE).length;
+    const invalidCount = entries.filter(e => e.status === IMPORT_STATUS.INVALID).length;
+    const knownClasses = new Set(classes.map(c => c.name.toLowerCase()));
+    const newClasses = new Set(entries.filter(e => e.willImport && e.className && !knownClasses.has(e.className.toLowerCase()))
+        .map(e => e.className.toLowerCase()));
+    const activeClass = classes.find(c => c.id === window.getActiveClassId());
+
+    document.getElementById('roster-import-summary').textContent = [
+        `${importCount} of ${entries.length} student${entries.length !== 1 ? 's' : ''} will be imported`,
+        duplicateCount ? `${duplicateCount} duplicate${duplicateCount !== 1 ? 's' : ''}` : '',
+        invalidCount ? `${invalidCount} with errors` : '',
+        newClasses.size ? `${newClasses.size} new class${newClasses.size !== 1 ? 'es' : ''} will be created` : '',
+        activeClass ? `rows without a class go into ${activeClass.name}` : ''
+    ].filter(Boolean).join(' • ');
+
+    const statusLabels = { [IMPORT_STATUS.NEW]: 'New', [IMPORT_STATUS.DUPLICATE]: 'Duplicate', [IMPORT_STATUS.INVALID]: 'Error' };
+    document.getElementById('roster-import-preview').innerHTML = `
+        <table class="roster-import-table">
+            <thead><tr><th>Row</th><th>Name</th><th>Grade</th><th>Student ID</th><th>Class</th><th>Status</th></tr></thead>
+            <tbody>
+                ${entries.map(e => `
+                    <tr class="roster-row-${e.status} ${e.willImport ? '' : 'roster-row-skipped'}">
+                        <td>${e.row}</td>
+                        <td>${escapeHtml(e.name)}</td>
+                        <td>${escapeHtml(e.grade)}</td>
+                        <td>${escapeHtml(e.externalId)}</td>
+                        <td>${escapeHtml(e.className)}</td>
+                        <td>${statusLabels[e.status]}${e.reason ? `<span class="roster-row-reason">${escapeHtml(e.reason)}</span>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    confirmRosterImportBtn.disabled = importCount === 0 || rosterImport.mapping.name < 0;
+}
+
+if (importRosterBtn) importRosterBtn.addEventListener('click', () => rosterCsvInput.click());
+
+if (rosterCsvInput) {
+    rosterCsvInput.addEventListener('change', async () => {
+        const file = rosterCsvInput.files[0];
+        rosterCsvInput.value = '';
+        if (!file) return;
+
+        const rows = parseCsv(await file.text());
+        if (rows.length < 2) {
+            alert('The file needs a header row and at least one student.');
+            return;
+        }
+
+        const [students, classes] = await Promise.all([FirebaseDB.getAllStudents(), FirebaseDB.getAllClasses()]);
+        rosterImport = {
+            headers: rows[0],
+            rows: rows.slice(1),
+            mapping: guessColumnMapping(rows[0]),
+            students,
+            classes
+        };
+        includeDuplicatesCheckbox.checked = false;
+        renderRosterImport();
+        rosterImportModal.classList.add('active');
+    });
+}
+
+if (includeDuplicatesCheckbox) includeDuplicatesCheckbox.addEventListener('change', () => rosterImport && renderRosterImport());
+
+['close-roster-import-btn', 'cancel-roster-import-btn'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', () => {
+        rosterImportModal.classList.remove('active');
+        rosterImport = null;
+    });
+});
+
+if (confirmRosterImportBtn) {
+    confirmRosterImportBtn.addEventListener('click', async () => {
+        const entries = getRosterImportEntries().filter(e => e.willImport);
+        if (entries.length === 0) return;
+
+        confirmRosterImportBtn.disabled = true;
+        confirmRosterImportBtn.textContent = 'Importing...';
+        try {
+            // Class names in the file map onto existing classes, creating any that are missing
+            const classIds = new Map(rosterImport.classes.map(c => [c.name.toLowerCase(), c.id]));
+            for (const entry of entries) {
+                const key = entry.className.toLowerCase();
+                if (entry.className && !classIds.has(key)) {
+                    classIds.set(key, await FirebaseDB.addClass(entry.className));
+                }
+            }
+
+            const defaultClassId = window.getActiveClassId();
+            await FirebaseDB.addStudentsBatch(entries.map(e => ({
+                name: e.name,
+                grade: e.grade,
+                externalId: e.externalId,
+                classId: e.className ? classIds.get(e.className.toLowerCase()) : defaultClassId
+            })));
+
+            rosterImportModal.classList.remove('active');
+            rosterImport = null;
+            await refreshClassScopedViews();
+            alert(`Imported ${entries.length} student${entries.length !== 1 ? 's' : ''}.`);
+        } catch (error) {
+            debugError('Roster import failed:', error);
+            alert('Import failed: ' + error.message);
+        } finally {
+            confirmRosterImportBtn.disabled = false;
+            confirmRosterImportBtn.textContent = 'Import';
+        }
+    });
+}
+
+// Export the roster in view (active class, or everyone) with each student's stats
+if (exportRosterBtn) {
+    exportRosterBtn.addEventListener('click', async () => {
+        const [students, classes] = await Promise.all([FirebaseDB.getAllStudents(), FirebaseDB.getAllClasses()]);
+        const activeClassId = window.getActiveClassId();
+        const roster = Object.values(students).filter(s => !activeClassId || s.classId === activeClassId);
+        if (roster.length === 0) {
+            alert('There are no students to export.');
+            return;
+        }
+
+        const className = classes.find(c => c.id === activeClassId)?.name || 'all-students';
+        const dateStr = new Date().toISOString().slice(0, 10);
+        const filename = `roster-${className.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase()}-${dateStr}.csv`;
+
+        // BOM so Excel opens UTF-8 names correctly
+        const blob = new Blob(['\uFEFF' + rosterToCsv(roster, classes, FirebaseDB.getStudentStats)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        debugLog('Roster exported:', filename, `(${roster.length} students)`);
+    });
+}
+
+// ============ STUDENT PROFILE ============
+const backToClassBtn = document.getElementById('back-to-class-btn');
+const deleteStudentBtn = document.getElementById('delete-student-btn');
+let currentViewingStudentId = null;
+
+window.showStudentProfileAsync = async function(studentId) {
+    const student = await FirebaseDB.getStudent(studentId);
+    if (!student) return;
+
+    state.currentStudentId = studentId;
+    currentViewingStudentId = studentId;
+
+    document.getElementById('student-profile-name').textContent = student.name;
+    const subtitleParts = [
+        student.grade || 'No grade set',
+        student.section,
+        student.externalId ? `ID ${student.externalId}` : '',
+        student.iep ? 'IEP' : '',
+        student.ell ? 'ELL' : '',
+        `${student.assessments?.length || 0} assessment${(student.assessments?.length || 0) !== 1 ? 's' : ''}`
+    ];
+    document.getElementById('student-profile-subtitle').textContent = subtitleParts.filter(Boolean).join(' • ');
+    document.getElementById('profile-avatar').textContent = student.name.charAt(0).toUpperCase();
+
+    const stats = FirebaseDB.getStudentStats(student);
+
+    // Latest WCPM against grade norms (the saved comparison keeps the grade they were in at the time)
+    const latest = student.assessments?.[student.assessments.length - 1];
+    const latestWcpm = latest ? getAssessmentWcpm(latest) : null;
+    const latestNorm = latest && latestWcpm !== null
+        ? (latest.normComparison || getNormComparison(latestWcpm, student.gradeLevel ?? parseGradeLevel(student.grade), latest.date))
+        : null;
+
+    document.getElementById('student-stats-summary').innerHTML = `
         <div class="stat-card"><span class="stat-value">${stats.totalAssessments}</span><span class="stat-label">Assessments</span></div>
         <div class="stat-card"><span class="stat-value">${stats.avgAccuracy}%</span><span class="stat-label">Avg Accuracy</span></div>
         <div class="stat-card"><span class="stat-value">${stats.avgWpm}</span><span class="stat-label">Avg WPM</span></div>
+        <div class="stat-card"><span class="stat-value">${latestWcpm ?? '-'}</span><span class="stat-label">Latest WCPM</span>${latestNorm ? renderNormBadge(latestNorm) : ''}</div>
         <div class="stat-card"><span class="stat-value">${stats.avgProsody}</span><span class="stat-label">Avg Prosody</span></div>
     `;
 
     // Render assessment history with View/Delete buttons
     renderAssessmentHistory(student);
+    renderGoalSummary(student);
 
     // Render progress chart and pattern analysis after a short delay
     setTimeout(() => {
@@ -3628,20 +5505,24 @@ function renderAssessmentHistory(student) {
         const dateStr = date.toLocaleDateString() + ' at ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
         const accuracy = a.accuracy || 0;
         const totalErrors = (a.errors?.skippedWords?.length || 0) + (a.errors?.misreadWords?.length || 0) + (a.errors?.substitutedWords?.length || 0);
+        const insertedCount = a.errors?.insertions?.length || 0;
         const hasDetailedData = a.expectedWords && a.aligned;
 
         return `
             <div class="assessment-item">
                 <div class="assessment-header">
                     <span class="assessment-date">${dateStr}</span>
-                    <span class="assessment-score ${getAccuracyClassification(accuracy)}">${accuracy.toFixed(1)}%</span>
+                    <span class="assessment-score ${getSavedAccuracyBand(a)}">${accuracy.toFixed(1)}%</span>
                 </div>
                 <div class="assessment-details">
                     <span>Correct: ${a.correctCount || 0}</span>
                     <span>Total: ${a.totalWords || 0}</span>
                     <span>Errors: ${totalErrors}</span>
+                    ${insertedCount > 0 ? `<span>Inserted: ${insertedCount}</span>` : ''}
                     <span>WPM: ${a.wpm || 'N/A'}</span>
+                    <span>WCPM: ${getAssessmentWcpm(a) ?? 'N/A'}</span>
                     <span>Prosody: ${a.prosodyScore?.toFixed(1) || 'N/A'}</span>
+                    ${a.wordOverrides?.length ? `<span title="Word judgments changed by the teacher">✎ Edited: ${a.wordOverrides.length}</span>` : ''}
                 </div>
                 <div class="assessment-actions">
                     <button class="btn btn-primary btn-small view-assessment-btn" data-assessment-id="${a.id}" ${!hasDetailedData ? 'disabled title="Old assessment - no detailed data"' : ''}>View Details</button>
@@ -3672,13 +5553,50 @@ function renderAssessmentHistory(student) {
     });
 }
 
+// Session fields the historical view borrows; saved on the way in and put back on the way out
+// so opening a past assessment never costs the teacher an unsaved recording, photo or selection
+const SESSION_STATE_KEYS = [
+    'audioBlob', 'recordedAudioBlob', 'capturedImage', 'ocrData', 'selectedWords', 'recordingDuration',
+    'latestAnalysis', 'latestExpectedWords', 'latestSpokenWords', 'latestProsodyMetrics', 'latestErrorPatterns',
+    'latestRunningRecord', 'latestNormComparison', 'latestGradeLevel'
+];
+
+function saveSessionState() {
+    if (state.viewingHistoricalAssessment) return; // Keep the snapshot from before the first history item
+    state.sessionSnapshot = Object.fromEntries(SESSION_STATE_KEYS.map(key => [key, state[key]]));
+    state.sessionSnapshot.selectedWords = new Set(state.selectedWords);
+}
+
+function exitHistoricalView() {
+    if (!state.viewingHistoricalAssessment) return;
+    state.viewingHistoricalAssessment = false;
+    if (state.sessionSnapshot) {
+        Object.assign(state, state.sessionSnapshot);
+        state.sessionSnapshot = null;
+    }
+
+    const historicalBanner = document.getElementById('historical-assessment-banner');
+    const saveCard = document.querySelector('.save-card');
+    if (historicalBanner) historicalBanner.style.display = 'none';
+    if (saveCard) saveCard.style.display = '';
+
+    // Put the session's own results back (or clear the historical ones)
+    if (state.latestAnalysis && state.latestExpectedWords) {
+        displayPronunciationResults(state.latestExpectedWords, state.latestSpokenWords, state.latestAnalysis, state.latestProsodyMetrics);
+    } else {
+        const resultsContainer = document.getElementById('results-container');
+        if (resultsContainer) resultsContainer.innerHTML = '';
+    }
+}
+
 // View historical assessment details
 async function viewHistoricalAssessment(studentId, assessmentId) {
     try {
-        const student = await FirebaseDB.getStudent(studentId);
+        const [student, assessment] = await Promise.all([
+            FirebaseDB.getStudent(studentId, false),
+            FirebaseDB.getAssessment(studentId, assessmentId)
+        ]);
         if (!student) { alert('Student not found'); return; }
-
-        const assessment = student.assessments.find(a => a.id === assessmentId);
         if (!assessment) { alert('Assessment not found'); return; }
 
         if (!assessment.expectedWords || !assessment.aligned) {
@@ -3686,22 +5604,37 @@ async function viewHistoricalAssessment(studentId, assessmentId) {
             return;
         }
 
-        // Load historical data into state
+        // Load historical data into state (flagged straight away so a failure below can restore the session)
+        saveSessionState();
+        state.viewingHistoricalAssessment = true;
         state.latestExpectedWords = assessment.expectedWords;
         state.latestSpokenWords = assessment.spokenWords || [];
 
         // Ensure prosodyMetrics has all required fields including prosodyGrade
+        // (labels come from the rubric the assessment was scored with)
         let prosodyMetrics = assessment.prosodyMetrics;
-        if (!prosodyMetrics) {
-            const score = assessment.prosodyScore || 0;
-            prosodyMetrics = {
-                wpm: assessment.wpm || 0,
-                prosodyScore: score,
-                prosodyGrade: score >= 3.8 ? 'Excellent' : score >= 3.0 ? 'Proficient' : score >= 2.0 ? 'Developing' : 'Needs Support'
-            };
-        } else if (!prosodyMetrics.prosodyGrade) {
-            const score = prosodyMetrics.prosodyScore || 0;
-            prosodyMetrics.prosodyGrade = score >= 3.8 ? 'Excellent' : score >= 3.0 ? 'Proficient' : score >= 2.0 ? 'Developing' : 'Needs Support';
+        if (!prosodyMetrics || !prosodyMetrics.prosodyGrade) {
+            // A missing or unreadable version fails the view rather than quietly labelling with the default
+            let rubric = DEFAULT_RUBRIC;
+            if (assessment.rubricVersion) {
+                const storedRubric = await FirebaseDB.getScoringRubricVersion(assessment.rubricVersion);
+                if (!storedRubric) throw new Error(`Scoring rubric version ${assessment.rubricVersion} not found`);
+                rubric = normalizeRubric(storedRubric);
+            }
+            if (!prosodyMetrics) {
+                const score = assessment.prosodyScore || 0;
+                prosodyMetrics = {
+                    wpm: assessment.wpm || 0,
+                    prosodyScore: score,
+                    prosodyGrade: getScoreLabel(score, rubric)
+                };
+            } else {
+                prosodyMetrics.prosodyGrade = getScoreLabel(prosodyMetrics.prosodyScore || 0, rubric);
+            }
+        }
+        // Saved before WCPM was tracked - derive it if the reading time is known
+        if (prosodyMetrics.wcpm === undefined && getAssessmentWcpm(assessment) !== null) {
+            prosodyMetrics.wcpm = getAssessmentWcpm(assessment);
         }
         state.latestProsodyMetrics = prosodyMetrics;
 
@@ -3716,15 +5649,34 @@ async function viewHistoricalAssessment(studentId, assessmentId) {
         }
         // Ensure all error arrays exist
         normalizedErrors.skippedWords = normalizedErrors.skippedWords || [];
+        normalizedErrors.skippedLines = normalizedErrors.skippedLines || [];
         normalizedErrors.misreadWords = normalizedErrors.misreadWords || [];
         normalizedErrors.substitutedWords = normalizedErrors.substitutedWords || [];
         normalizedErrors.hesitations = normalizedErrors.hesitations || [];
         normalizedErrors.repeatedWords = normalizedErrors.repeatedWords || [];
+        normalizedErrors.repeatedPhrases = normalizedErrors.repeatedPhrases || [];
+        normalizedErrors.selfCorrections = normalizedErrors.selfCorrections || [];
+        normalizedErrors.insertions = normalizedErrors.insertions || [];
 
-        state.latestAnalysis = { aligned: assessment.aligned, errors: normalizedErrors, correctCount: assessment.correctCount };
+        state.latestAnalysis = { aligned: assessment.aligned, errors: normalizedErrors, correctCount: assessment.correctCount, overrides: assessment.wordOverrides || [], lineNumbers: assessment.lineNumbers || null };
         state.latestErrorPatterns = assessment.errorPatterns || null;
-        state.viewingHistoricalAssessment = true;
+        state.latestRunningRecord = assessment.runningRecord || buildRunningRecord(state.latestAnalysis, state.latestSpokenWords);
         state.historicalAssessmentStudentId = studentId;
+        state.historicalAssessmentDate = assessment.date;
+        state.historicalNormComparison = assessment.normComparison || null;
+
+        // Rehydrate the stored recording and page image (older assessments have neither)
+        const [audioBlob, imageDataUrl] = await Promise.all([
+            FirebaseDB.loadAssessmentAudio(assessment.media),
+            FirebaseDB.loadAssessmentImage(assessment.media)
+        ]);
+        state.recordedAudioBlob = audioBlob;
+        state.audioBlob = audioBlob;
+        state.capturedImage = imageDataUrl;
+        state.recordingDuration = prosodyMetrics.readingTime || assessment.duration || 0;
+        // OCR boxes belong to the current session's image, not the stored one
+        state.ocrData = null;
+        state.selectedWords = new Set();
 
         // Display the results
         displayPronunciationResults(state.latestExpectedWords, state.latestSpokenWords, state.latestAnalysis, state.latestProsodyMetrics);
@@ -3745,6 +5697,8 @@ async function viewHistoricalAssessment(studentId, assessmentId) {
         if (saveCard) saveCard.style.display = 'none';
     } catch (error) {
         debugError('Error viewing historical assessment:', error);
+        // Don't leave the in-progress session half-overwritten
+        exitHistoricalView();
         alert('Failed to load assessment. Please try again.');
     }
 }
@@ -3772,6 +5726,14 @@ function renderProgressChart(student) {
     const chartWidth = width - padding * 2;
     const chartHeight = height - padding * 2;
 
+    // With a goal the x axis becomes a time scale running out to the target date,
+    // so the aim line and the points share the same positions
+    const aimLines = student.goal ? getAimLines(student.assessments, student.goal) : null;
+    const timeStart = sortedAssessments[0].date;
+    const timeEnd = aimLines ? Math.max(sortedAssessments[count - 1].date, getGoalTargetTime(student.goal)) : null;
+    const xAtTime = (time) => padding + chartWidth * ((time - timeStart) / ((timeEnd - timeStart) || 1));
+    const xAt = (i) => aimLines ? xAtTime(sortedAssessments[i].date) : padding + (chartWidth / (count - 1 || 1)) * i;
+
     // Background
     ctx.fillStyle = '#f9fafb';
     ctx.fillRect(padding, padding, chartWidth, chartHeight);
@@ -3791,6 +5753,11 @@ function renderProgressChart(student) {
     const maxScale = 200;
     const accuracyData = sortedAssessments.map(a => a.accuracy || 0);
     const wpmData = sortedAssessments.map(a => Math.min(a.wpm || 0, maxScale));
+    // null where WCPM can't be worked out; drawLine skips those points
+    const wcpmData = sortedAssessments.map(a => {
+        const wcpm = getAssessmentWcpm(a);
+        return wcpm === null ? null : Math.min(wcpm, maxScale);
+    });
 
     // Axes
     ctx.strokeStyle = '#374151';
@@ -3816,26 +5783,35 @@ function renderProgressChart(student) {
     ctx.textBaseline = 'top';
     ctx.font = '20px Arial';
     for (let i = 0; i < count; i++) {
-        const x = padding + (chartWidth / (count - 1 || 1)) * i;
+        const x = xAt(i);
         const date = new Date(sortedAssessments[i].date);
         ctx.fillText(`${date.getMonth() + 1}/${date.getDate()}`, x, padding + chartHeight + 15);
     }
+    if (aimLines) {
+        const target = new Date(getGoalTargetTime(student.goal));
+        ctx.fillStyle = '#7c3aed';
+        ctx.fillText(`Goal ${target.getMonth() + 1}/${target.getDate()}`, xAtTime(target.getTime()), padding + chartHeight + 15);
+    }
 
-    // Draw lines helper
+    // Draw lines helper (null values are skipped)
     function drawLine(data, color) {
         ctx.strokeStyle = color;
         ctx.lineWidth = 3;
         ctx.beginPath();
+        let started = false;
         data.forEach((value, i) => {
-            const x = padding + (chartWidth / (count - 1 || 1)) * i;
+            if (value === null) return;
+            const x = xAt(i);
             const y = padding + chartHeight - (value / maxScale) * chartHeight;
-            i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+            started ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+            started = true;
         });
         ctx.stroke();
 
         ctx.fillStyle = color;
         data.forEach((value, i) => {
-            const x = padding + (chartWidth / (count - 1 || 1)) * i;
+            if (value === null) return;
+            const x = xAt(i);
             const y = padding + chartHeight - (value / maxScale) * chartHeight;
             ctx.beginPath();
             ctx.arc(x, y, 6, 0, Math.PI * 2);
@@ -3843,8 +5819,30 @@ function renderProgressChart(student) {
         });
     }
 
+    // Dashed aim line from baseline to goal, with the goal marked at the end
+    function drawAimLine(line, color) {
+        const yAt = value => padding + chartHeight - (Math.min(value, maxScale) / maxScale) * chartHeight;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([12, 8]);
+        ctx.beginPath();
+        ctx.moveTo(xAtTime(line.start.time), yAt(line.start.value));
+        ctx.lineTo(xAtTime(line.end.time), yAt(line.end.value));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(xAtTime(line.end.time), yAt(line.end.value), 9, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    if (aimLines?.accuracy) drawAimLine(aimLines.accuracy, '#10b981');
+    if (aimLines?.wcpm) drawAimLine(aimLines.wcpm, '#7c3aed');
+
     drawLine(accuracyData, '#10b981');
     drawLine(wpmData, '#3b82f6');
+    if (aimLines?.wcpm) drawLine(wcpmData, '#7c3aed');
 
     // Title
     ctx.font = 'bold 28px Arial';
@@ -3854,8 +5852,10 @@ function renderProgressChart(student) {
 
     // Legend
     const legendItems = [{ label: 'Accuracy %', color: '#10b981' }, { label: 'WPM', color: '#3b82f6' }];
+    if (aimLines?.wcpm) legendItems.push({ label: 'WCPM', color: '#7c3aed' });
+    if (aimLines) legendItems.push({ label: '- - Aim line', color: '#9ca3af' });
     ctx.font = 'bold 18px Arial';
-    let lx = width - padding - 220;
+    let lx = width - padding - 110 * legendItems.length;
     legendItems.forEach(item => {
         ctx.fillStyle = item.color;
         ctx.fillRect(lx, 28, 14, 14);
@@ -3866,6 +5866,114 @@ function renderProgressChart(student) {
     });
 }
 
+// ============ GOALS ============
+const goalModal = document.getElementById('goal-modal');
+
+function renderGoalBadge(progress) {
+    return `<span class="goal-badge ${progress.status}">${GOAL_STATUS_LABELS[progress.status]}</span>`;
+}
+
+// Goal line above the chart: target, status and what the status is based on
+function renderGoalSummary(student) {
+    const summary = document.getElementById('goal-summary');
+    const setGoalBtn = document.getElementById('set-goal-btn');
+    if (setGoalBtn) setGoalBtn.textContent = student.goal ? 'Edit Goal' : 'Set Goal';
+    if (!summary) return;
+
+    const goal = student.goal;
+    if (!goal) {
+        summary.style.display = 'none';
+        return;
+    }
+
+    const targets = [goal.wcpm ? `${goal.wcpm} WCPM` : '', goal.accuracy ? `${goal.accuracy}% accuracy` : ''].filter(Boolean).join(' at ');
+    const targetDate = new Date(getGoalTargetTime(goal)).toLocaleDateString();
+    const progress = evaluateGoalProgress(student.assessments || [], goal);
+
+    let detail = 'No assessments yet to use as a baseline.';
+    if (progress) {
+        const parts = [['WCPM', progress.wcpm], ['Accuracy', progress.accuracy]]
+            .filter(([, result]) => result)
+            .map(([label, result]) => result.status === GOAL_STATUS.NOT_ENOUGH_DATA
+                ? `${label}: ${result.checked} of ${GOAL_DECISION_POINTS} points since baseline`
+                : `${label}: last ${result.checked} points ${result.above} above / ${result.below} below aim line`);
+        detail = parts.join(' • ');
+    }
+
+    summary.innerHTML = `
+        <strong>Goal:</strong> ${targets} by ${targetDate}
+        ${progress ? renderGoalBadge(progress) : ''}
+        <span class="goal-detail">${detail}</span>
+    `;
+    summary.style.display = '';
+}
+
+// Baseline time of the goal being edited (null for a new goal)
+let editingGoalSetAt = null;
+
+async function openGoalModal() {
+    if (!currentViewingStudentId) return;
+    const student = await FirebaseDB.getStudent(currentViewingStudentId, false);
+    if (!student) return;
+
+    editingGoalSetAt = student.goal?.setAt ?? null;
+    document.getElementById('goal-wcpm-input').value = student.goal?.wcpm ?? '';
+    document.getElementById('goal-accuracy-input').value = student.goal?.accuracy ?? '';
+    document.getElementById('goal-date-input').value = student.goal?.targetDate ?? '';
+    document.getElementById('clear-goal-btn').style.display = student.goal ? '' : 'none';
+    goalModal.classList.add('active');
+}
+
+const setGoalBtn = document.getElementById('set-goal-btn');
+if (setGoalBtn) setGoalBtn.addEventListener('click', openGoalModal);
+
+const closeGoalBtn = document.getElementById('close-goal-btn');
+if (closeGoalBtn) closeGoalBtn.addEventListener('click', () => goalModal.classList.remove('active'));
+
+const saveGoalBtn = document.getElementById('save-goal-btn');
+if (saveGoalBtn) {
+    saveGoalBtn.addEventListener('click', async () => {
+        const wcpmText = document.getElementById('goal-wcpm-input').value.trim();
+        const accuracyText = document.getElementById('goal-accuracy-input').value.trim();
+        const targetDate = document.getElementById('goal-date-input').value;
+        const wcpm = wcpmText ? Math.round(Number(wcpmText)) : null;
+        const accuracy = accuracyText ? Math.round(Number(accuracyText) * 10) / 10 : null;
+
+        const errors = [];
+        if (wcpm === null && accuracy === null) errors.push('Enter a target WCPM, a target accuracy, or both.');
+        if (wcpm !== null && !(wcpm >= 1 && wcpm <= 300)) errors.push('Target WCPM must be between 1 and 300.');
+        if (accuracy !== null && !(accuracy > 0 && accuracy <= 100)) errors.push('Target accuracy must be between 0 and 100%.');
+        if (!targetDate) errors.push('Choose a target date.');
+        else if (new Date(targetDate + 'T23:59:59').getTime() <= Date.now()) errors.push('The target date must be in the future.');
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+
+        // setAt picks the baseline: the latest assessment as of when the goal was first set,
+        // so editing a goal keeps its baseline and aim line
+        const success = await FirebaseDB.updateStudent(currentViewingStudentId, {
+            goal: { wcpm, accuracy, targetDate, setAt: editingGoalSetAt ?? Date.now() }
+        });
+        if (!success) {
+            alert('Failed to save goal. Please try again.');
+            return;
+        }
+        goalModal.classList.remove('active');
+        await window.showStudentProfileAsync(currentViewingStudentId);
+    });
+}
+
+const clearGoalBtn = document.getElementById('clear-goal-btn');
+if (clearGoalBtn) {
+    clearGoalBtn.addEventListener('click', async () => {
+        if (!confirm('Remove this student\'s goal?')) return;
+        await FirebaseDB.updateStudent(currentViewingStudentId, { goal: null });
+        goalModal.classList.remove('active');
+        await window.showStudentProfileAsync(currentViewingStudentId);
+    });
+}
+
 // Aggregate error patterns across all assessments
 function aggregateErrorPatterns(student) {
     const aggregated = {
@@ -3874,11 +5982,16 @@ function aggregateErrorPatterns(student) {
         phonicsPatterns: { initialSoundErrors: 0, finalSoundErrors: 0, vowelPatterns: 0, consonantBlends: 0, rControlledVowels: 0, silentLetters: 0, digraphs: 0 },
         readingStrategies: { firstLetterGuessing: 0, partialDecoding: 0, contextGuessing: 0 },
         speechPatterns: { rSoundIssues: 0, sSoundIssues: 0, lSoundIssues: 0, thSoundIssues: 0 },
+        morphologicalErrors: Object.fromEntries(Object.keys(MORPHOLOGY_TYPES).map(type => [type, 0])),
+        errorTypes: { substituted: 0, misread: 0 },
         primaryIssues: {},
         severityCounts: { excellent: 0, mild: 0, moderate: 0, significant: 0 }
     };
 
     (student.assessments || []).forEach(assessment => {
+        aggregated.errorTypes.substituted += assessment.errors?.substitutedWords?.length || 0;
+        aggregated.errorTypes.misread += assessment.errors?.misreadWords?.length || 0;
+
         if (assessment.errorPatterns) {
             aggregated.assessmentsWithPatterns++;
             const p = assessment.errorPatterns;
@@ -3887,13 +6000,21 @@ function aggregateErrorPatterns(student) {
             aggregated.phonicsPatterns.finalSoundErrors += p.phonicsPatterns?.finalSoundErrors?.length || 0;
             aggregated.phonicsPatterns.vowelPatterns += p.phonicsPatterns?.vowelPatterns?.length || 0;
             aggregated.phonicsPatterns.consonantBlends += p.phonicsPatterns?.consonantBlends?.length || 0;
+            aggregated.phonicsPatterns.rControlledVowels += p.phonicsPatterns?.rControlledVowels?.length || 0;
+            aggregated.phonicsPatterns.silentLetters += p.phonicsPatterns?.silentLetters?.length || 0;
             aggregated.phonicsPatterns.digraphs += p.phonicsPatterns?.digraphs?.length || 0;
 
             aggregated.readingStrategies.firstLetterGuessing += p.readingStrategies?.firstLetterGuessing?.length || 0;
+            aggregated.readingStrategies.partialDecoding += p.readingStrategies?.partialDecoding?.length || 0;
+            aggregated.readingStrategies.contextGuessing += p.readingStrategies?.contextGuessing?.length || 0;
 
             aggregated.speechPatterns.rSoundIssues += p.speechPatterns?.rSoundIssues?.length || 0;
             aggregated.speechPatterns.thSoundIssues += p.speechPatterns?.thSoundIssues?.length || 0;
 
+            (p.morphologicalErrors || []).forEach(e => {
+                if (e.type in aggregated.morphologicalErrors) aggregated.morphologicalErrors[e.type]++;
+            });
+
             (p.summary?.primaryIssues || []).forEach(issue => {
                 aggregated.primaryIssues[issue] = (aggregated.primaryIssues[issue] || 0) + 1;
             });
@@ -3919,7 +6040,10 @@ function generateMacroInsights(aggregated) {
         const issues = [
             { name: 'Initial sounds', count: aggregated.phonicsPatterns.initialSoundErrors },
             { name: 'Final sounds', count: aggregated.phonicsPatterns.finalSoundErrors },
-            { name: 'Consonant blends', count: aggregated.phonicsPatterns.consonantBlends }
+            { name: 'Consonant blends', count: aggregated.phonicsPatterns.consonantBlends },
+            { name: 'Vowel sounds', count: aggregated.phonicsPatterns.vowelPatterns },
+            { name: 'R-controlled vowels', count: aggregated.phonicsPatterns.rControlledVowels },
+            { name: 'Silent letters', count: aggregated.phonicsPatterns.silentLetters }
         ].filter(i => i.count > 0).sort((a, b) => b.count - a.count).slice(0, 2);
 
         if (issues.length > 0) {
@@ -3927,10 +6051,27 @@ function generateMacroInsights(aggregated) {
         }
     }
 
+    const topMorphology = Object.entries(aggregated.morphologicalErrors)
+        .filter(([, count]) => count >= aggregated.assessmentsWithPatterns)
+        .sort((a, b) => b[1] - a[1])[0];
+    if (topMorphology) {
+        const info = MORPHOLOGY_TYPES[topMorphology[0]];
+        insights.push(`🧩 ${info.issue} (${topMorphology[1]} across assessments) - ${info.recommendation.charAt(0).toLowerCase()}${info.recommendation.slice(1)}`);
+    }
+
     if (aggregated.readingStrategies.firstLetterGuessing >= aggregated.assessmentsWithPatterns * 2) {
         insights.push(`🎯 Student relies on guessing strategies - focus on systematic phonics`);
     }
 
+    const { substituted, misread } = aggregated.errorTypes;
+    if (substituted + misread >= aggregated.assessmentsWithPatterns * 2) {
+        if (substituted > misread * 2) {
+            insights.push(`🔄 Mostly real-word substitutions (${substituted} vs ${misread} non-words) - reading for meaning, check word-level accuracy`);
+        } else if (misread > substituted * 2) {
+            insights.push(`🔤 Mostly non-word misreads (${misread} vs ${substituted} substitutions) - decoding without monitoring for sense`);
+        }
+    }
+
     const totalSpeech = Object.values(aggregated.speechPatterns).reduce((a, b) => a + b, 0);
     if (totalSpeech >= aggregated.assessmentsWithPatterns * 2) {
         insights.push(`🗣️ Speech pattern issues detected - consider speech-language evaluation`);
@@ -3975,10 +6116,24 @@ function renderAggregatedPatterns(student) {
     const phonicsHtml = [
         createPatternItem('Initial Sounds', aggregated.phonicsPatterns.initialSoundErrors),
         createPatternItem('Final Sounds', aggregated.phonicsPatterns.finalSoundErrors),
+        createPatternItem('Vowel Patterns', aggregated.phonicsPatterns.vowelPatterns),
+        createPatternItem('R-controlled Vowels', aggregated.phonicsPatterns.rControlledVowels),
+        createPatternItem('Silent Letters', aggregated.phonicsPatterns.silentLetters),
         createPatternItem('Consonant Blends', aggregated.phonicsPatterns.consonantBlends),
         createPatternItem('Digraphs', aggregated.phonicsPatterns.digraphs)
     ].filter(h => h).join('');
 
+    const errorTypesHtml = [
+        createPatternItem('Real-word Substitutions', aggregated.errorTypes.substituted),
+        createPatternItem('Non-word Misreads', aggregated.errorTypes.misread),
+        createPatternItem('Partial Decoding', aggregated.readingStrategies.partialDecoding),
+        createPatternItem('Meaning-based Guesses', aggregated.readingStrategies.contextGuessing)
+    ].filter(h => h).join('');
+
+    const morphologyHtml = Object.entries(MORPHOLOGY_TYPES)
+        .map(([type, info]) => createPatternItem(info.label, aggregated.morphologicalErrors[type]))
+        .filter(h => h).join('');
+
     const speechHtml = [
         createPatternItem('R Sound', aggregated.speechPatterns.rSoundIssues),
         createPatternItem('TH Sound', aggregated.speechPatterns.thSoundIssues)
@@ -3991,15 +6146,490 @@ function renderAggregatedPatterns(student) {
                 <h4>Key Insights:</h4>
                 <ul class="insights-list">${insights.map(i => `<li>${i}</li>`).join('')}</ul>
             </div>
+            ${errorTypesHtml ? `<div class="pattern-breakdown"><h4>Error Types:</h4><div class="pattern-grid">${errorTypesHtml}</div></div>` : ''}
             ${phonicsHtml ? `<div class="pattern-breakdown"><h4>Phonics Patterns:</h4><div class="pattern-grid">${phonicsHtml}</div></div>` : ''}
+            ${morphologyHtml ? `<div class="pattern-breakdown"><h4>Word Structure:</h4><div class="pattern-grid">${morphologyHtml}</div></div>` : ''}
             ${speechHtml ? `<div class="pattern-breakdown"><h4>Speech Patterns:</h4><div class="pattern-grid">${speechHtml}</div></div>` : ''}
         </div>
     `;
 }
 
+// ============ CLASS DASHBOARD ============
+let classView = 'cards';
+let classTableSort = { key: 'name', ascending: true };
+
+const ACCURACY_BUCKETS = [
+    { label: '95-100%', min: 95 },
+    { label: '90-94%', min: 90 },
+    { label: '85-89%', min: 85 },
+    { label: '75-84%', min: 75 },
+    { label: '60-74%', min: 60 },
+    { label: 'Below 60%', min: -Infinity }
+];
+
+const WCPM_BUCKETS = [
+    { label: '160+', min: 160 },
+    { label: '130-159', min: 130 },
+    { label: '100-129', min: 100 },
+    { label: '70-99', min: 70 },
+    { label: '40-69', min: 40 },
+    { label: 'Below 40', min: -Infinity }
+];
+
+// Ranges shown are the active rubric's; counts use the level each assessment was saved with
+function getAccuracyBands() {
+    const { excellent, good, fair } = state.scoringRubric.accuracyThresholds;
+    return [
+        { key: 'excellent', label: 'Excellent', range: `${excellent}%+` },
+        { key: 'good', label: 'Good', range: `${good}-${excellent - 1}%` },
+        { key: 'fair', label: 'Fair', range: `${fair}-${good - 1}%` },
+        { key: 'poor', label: 'Needs Support', range: `Below ${fair}%` }
+    ];
+}
+
+// Pattern counters from aggregateErrorPatterns() worth comparing across a class
+const CLASS_PATTERN_ITEMS = [
+    { label: 'Real-word Substitutions', get: a => a.errorTypes.substituted },
+    { label: 'Non-word Misreads', get: a => a.errorTypes.misread },
+    { label: 'Initial Sounds', get: a => a.phonicsPatterns.initialSoundErrors },
+    { label: 'Final Sounds', get: a => a.phonicsPatterns.finalSoundErrors },
+    { label: 'Vowel Patterns', get: a => a.phonicsPatterns.vowelPatterns },
+    { label: 'R-controlled Vowels', get: a => a.phonicsPatterns.rControlledVowels },
+    { label: 'Silent Letters', get: a => a.phonicsPatterns.silentLetters },
+    { label: 'Consonant Blends', get: a => a.phonicsPatterns.consonantBlends },
+    { label: 'Digraphs', get: a => a.phonicsPatterns.digraphs },
+    { label: 'Dropped Endings', get: a => a.morphologicalErrors.droppedEnding },
+    { label: 'Prefix Errors', get: a => a.morphologicalErrors.prefix },
+    { label: 'First-letter Guessing', get: a => a.readingStrategies.firstLetterGuessing },
+    { label: 'Partial Decoding', get: a => a.readingStrategies.partialDecoding },
+    { label: 'Meaning-based Guesses', get: a => a.readingStrategies.contextGuessing },
+    { label: 'R Sound', get: a => a.speechPatterns.rSoundIssues },
+    { label: 'TH Sound', get: a => a.speechPatterns.thSoundIssues }
+];
+
+// One row per student with the figures the dashboard and table need
+function buildClassRow(student) {
+    const stats = FirebaseDB.getStudentStats(student);
+    const latest = student.assessments?.reduce((newest, a) => (!newest || (a.date || 0) >= (newest.date || 0)) ? a : newest, null) || null;
+    const latestWcpm = latest ? getAssessmentWcpm(latest) : null;
+    const gradeLevel = student.gradeLevel ?? parseGradeLevel(student.grade);
+
+    return {
+        student,
+        stats,
+        gradeLevel,
+        latestAccuracy: latest ? (latest.accuracy || 0) : null,
+        latestWcpm,
+        norm: latest && latestWcpm !== null ? (latest.normComparison || getNormComparison(latestWcpm, gradeLevel, latest.date)) : null,
+        band: latest ? getSavedAccuracyBand(latest) : null,
+        lastDate: latest?.date || null,
+        goalProgress: student.goal ? evaluateGoalProgress(student.assessments || [], student.goal) : null,
+        patterns: aggregateErrorPatterns(student)
+    };
+}
+
+// Load the filtered class with assessments (the dashboard needs latest WCPM and error patterns)
+async function loadClassRows() {
+    const { students } = await window.getFilteredClassStudentsAsync();
+    const fullStudents = await Promise.all(students.map(s => FirebaseDB.getStudent(s.id)));
+    return fullStudents.filter(Boolean).map(buildClassRow);
+}
+
+function renderDistribution(title, buckets, values) {
+    const counts = buckets.map(bucket => values.filter(v => v >= bucket.min).length);
+    // Each bucket only counts values below the bucket above it
+    const bucketCounts = counts.map((count, i) => count - (i > 0 ? counts[i - 1] : 0));
+    const max = Math.max(1, ...bucketCounts);
+
+    return `
+        <div class="dashboard-card">
+            <h3>${title}</h3>
+            ${values.length === 0 ? '<p class="dashboard-note">No data yet.</p>' : `
+                <div class="dist-chart">
+                    ${buckets.map((bucket, i) => `
+                        <div class="dist-row">
+                            <span class="dist-label">${bucket.label}</span>
+                            <span class="dist-bar-track"><span class="dist-bar" style="width: ${(bucketCounts[i] / max) * 100}%"></span></span>
+                            <span class="dist-count">${bucketCounts[i]}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderClassDashboard(rows) {
+    const container = document.getElementById('class-dashboard');
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state"><h3>No Students</h3><p>No students match the current class and filters.</p></div>';
+        return;
+    }
+
+    const assessed = rows.filter(r => r.latestAccuracy !== null);
+    const accuracies = assessed.map(r => r.latestAccuracy);
+    const wcpms = assessed.map(r => r.latestWcpm).filter(w => w !== null);
+    const sortedWcpm = [...wcpms].sort((a, b) => a - b);
+    const medianWcpm = sortedWcpm.length ? sortedWcpm[Math.floor((sortedWcpm.length - 1) / 2)] : null;
+    const avgAccuracy = accuracies.length ? (accuracies.reduce((a, b) => a + b, 0) / accuracies.length).toFixed(1) : null;
+
+    const declining = rows.filter(r => r.stats.trend === 'declining')
+        .sort((a, b) => (a.latestAccuracy - a.stats.avgAccuracy) - (b.latestAccuracy - b.stats.avgAccuracy));
+
+    const offTrack = rows.filter(r => r.goalProgress?.status === GOAL_STATUS.OFF_TRACK);
+
+    const patternTotals = CLASS_PATTERN_ITEMS.map(item => {
+        const perStudent = rows.map(r => item.get(r.patterns));
+        return {
+            label: item.label,
+            total: perStudent.reduce((a, b) => a + b, 0),
+            students: perStudent.filter(count => count > 0).length
+        };
+    }).filter(p => p.total > 0).sort((a, b) => b.students - a.students || b.total - a.total).slice(0, 8);
+
+    container.innerHTML = `
+        <div class="stats-summary">
+            <div class="stat-card"><span class="stat-value">${rows.length}</span><span class="stat-label">Students</span></div>
+            <div class="stat-card"><span class="stat-value">${assessed.length}</span><span class="stat-label">Assessed</span></div>
+            <div class="stat-card"><span class="stat-value">${avgAccuracy !== null ? avgAccuracy + '%' : '-'}</span><span class="stat-label">Avg Latest Accuracy</span></div>
+            <div class="stat-card"><span class="stat-value">${medianWcpm ?? '-'}</span><span class="stat-label">Median WCPM</span></div>
+        </div>
+        <div class="dashboard-grid">
+            ${renderDistribution('Latest Accuracy', ACCURACY_BUCKETS, accuracies)}
+            ${renderDistribution('Latest WCPM', WCPM_BUCKETS, wcpms)}
+            <div class="dashboard-card">
+                <h3>Accuracy Bands</h3>
+                <div class="band-counts">
+                    ${getAccuracyBands().map(band => `
+                        <div class="band-count assessment-score ${band.key}">
+                            <span class="band-count-value">${assessed.filter(r => r.band === band.key).length}</span>
+                            <span class="band-count-label">${band.label}<br><small>${band.range}</small></span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${rows.length > assessed.length ? `<p class="dashboard-note">${rows.length - assessed.length} not yet assessed</p>` : ''}
+            </div>
+            <div class="dashboard-card">
+                <h3>Declining Trend</h3>
+                ${declining.length === 0 ? '<p class="dashboard-note">No students with a declining trend.</p>' : `
+                    <ul class="dashboard-student-list">
+                        ${declining.map(r => `
+                            <li data-student-id="${escapeHtml(r.student.id)}">
+                                <span>${escapeHtml(r.student.name)}</span>
+                                <span class="dashboard-note">latest ${r.latestAccuracy.toFixed(1)}% vs avg ${r.stats.avgAccuracy}%</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+            <div class="dashboard-card">
+                <h3>Off Track for Goal</h3>
+                ${offTrack.length === 0 ? `<p class="dashboard-note">${rows.some(r => r.student.goal) ? 'Every student with a goal is on track or still collecting data.' : 'No goals set yet.'}</p>` : `
+                    <ul class="dashboard-student-list">
+                        ${offTrack.map(r => `
+                            <li data-student-id="${escapeHtml(r.student.id)}">
+                                <span>${escapeHtml(r.student.name)}</span>
+                                ${renderGoalBadge(r.goalProgress)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+            <div class="dashboard-card dashboard-card-wide">
+                <h3>Most Common Error Patterns</h3>
+                ${patternTotals.length === 0 ? '<p class="dashboard-note">No detailed pattern data yet.</p>' : `
+                    <div class="pattern-list">
+                        ${patternTotals.map(p => `
+                            <div class="pattern-item">
+                                <span class="pattern-label">${p.label}</span>
+                                <span class="pattern-count">${p.students} student${p.students !== 1 ? 's' : ''} • ${p.total}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        </div>
+    `;
+
+    container.querySelectorAll('[data-student-id]').forEach(el => {
+        el.addEventListener('click', () => window.showStudentProfileAsync(el.dataset.studentId));
+    });
+}
+
+const CLASS_TABLE_COLUMNS = [
+    { key: 'name', label: 'Name', value: r => r.student.name.toLowerCase() },
+    { key: 'grade', label: 'Grade', value: r => r.gradeLevel },
+    { key: 'assessments', label: 'Assessments', value: r => r.stats.totalAssessments },
+    { key: 'latestAccuracy', label: 'Latest Acc.', value: r => r.latestAccuracy },
+    { key: 'avgAccuracy', label: 'Avg Acc.', value: r => r.stats.totalAssessments ? parseFloat(r.stats.avgAccuracy) : null },
+    { key: 'latestWcpm', label: 'Latest WCPM', value: r => r.latestWcpm },
+    { key: 'avgWpm', label: 'Avg WPM', value: r => r.stats.totalAssessments ? r.stats.avgWpm : null },
+    { key: 'trend', label: 'Trend', value: r => ({ declining: 0, stable: 1, improving: 2 })[r.stats.trend] ?? null },
+    { key: 'goal', label: 'Goal', value: r => ({ 'off-track': 0, mixed: 1, 'not-enough-data': 2, 'on-track': 3 })[r.goalProgress?.status] ?? null },
+    { key: 'lastDate', label: 'Last Assessed', value: r => r.lastDate }
+];
+
+function renderClassTable(rows) {
+    const container = document.getElementById('class-table');
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state"><h3>No Students</h3><p>No students match the current class and filters.</p></div>';
+        return;
+    }
+
+    // Missing values always sort last
+    const column = CLASS_TABLE_COLUMNS.find(c => c.key === classTableSort.key);
+    const sorted = [...rows].sort((a, b) => {
+        const va = column.value(a);
+        const vb = column.value(b);
+        const aMissing = va === null || va === undefined;
+        const bMissing = vb === null || vb === undefined;
+        if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+        const order = va < vb ? -1 : va > vb ? 1 : 0;
+        return classTableSort.ascending ? order : -order;
+    });
+
+    const trendLabels = { improving: '↑ Improving', stable: '→ Stable', declining: '↓ Declining' };
+    container.innerHTML = `
+        <table class="class-table">
+            <thead>
+                <tr>
+                    ${CLASS_TABLE_COLUMNS.map(c => `
+                        <th data-sort-key="${c.key}" class="${c.key === classTableSort.key ? 'sorted' : ''}">
+                            ${c.label}${c.key === classTableSort.key ? (classTableSort.ascending ? ' ▲' : ' ▼') : ''}
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${sorted.map(r => `
+                    <tr data-student-id="${escapeHtml(r.student.id)}">
+                        <td>${escapeHtml(r.student.name)}</td>
+                        <td>${escapeHtml(r.student.grade || '-')}</td>
+                        <td>${r.stats.totalAssessments}</td>
+                        <td>${r.latestAccuracy !== null ? `<span class="assessment-score ${r.band}">${r.latestAccuracy.toFixed(1)}%</span>` : '-'}</td>
+                        <td>${r.stats.totalAssessments ? r.stats.avgAccuracy + '%' : '-'}</td>
+                        <td>${r.latestWcpm ?? '-'} ${r.norm ? renderNormBadge(r.norm) : ''}</td>
+                        <td>${r.stats.totalAssessments ? r.stats.avgWpm : '-'}</td>
+                        <td class="trend-${r.stats.trend}">${trendLabels[r.stats.trend] || '-'}</td>
+                        <td>${r.goalProgress ? renderGoalBadge(r.goalProgress) : '-'}</td>
+                        <td>${r.lastDate ? new Date(r.lastDate).toLocaleDateString() : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('th[data-sort-key]').forEach(th => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sortKey;
+            classTableSort = { key, ascending: key === classTableSort.key ? !classTableSort.ascending : true };
+            renderClassTable(rows);
+        });
+    });
+    container.querySelectorAll('tr[data-student-id]').forEach(tr => {
+        tr.addEventListener('click', () => window.showStudentProfileAsync(tr.dataset.studentId));
+    });
+}
+
+// Render whichever class overview view is selected
+async function renderClassView() {
+    if (classView === 'cards') {
+        await window.renderStudentsGridAsync();
+        return;
+    }
+
+    const container = document.getElementById(classView === 'dashboard' ? 'class-dashboard' : 'class-table');
+    container.innerHTML = '<p class="dashboard-note">Loading class data...</p>';
+    try {
+        const rows = await loadClassRows();
+        if (classView === 'dashboard') renderClassDashboard(rows);
+        else renderClassTable(rows);
+    } catch (error) {
+        debugError('Error loading class dashboard:', error);
+        container.innerHTML = '<p class="dashboard-note">Could not load class data. Please try again.</p>';
+    }
+}
+
+// ============ INTERVENTION GROUPS ============
+const interventionGroupsBtn = document.getElementById('intervention-groups-btn');
+const interventionGroupsModal = document.getElementById('intervention-groups-modal');
+let suggestedGroups = [];
+
+function renderGroupStudents(group) {
+    return `<ul class="group-student-list">${group.students.map(s => `
+        <li><strong>${escapeHtml(s.name)}</strong><span class="dashboard-note">${escapeHtml(s.rationale)}</span></li>
+    `).join('')}</ul>`;
+}
+
+// Printable sheet in a new window, like the detailed patterns report
+function printInterventionGroups(groups, title) {
+    const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: -apple-system, sans-serif; line-height: 1.5; color: #333; padding: 20px; }
+        h1 { color: #1a535c; margin: 0 0 4px 0; }
+        .meta { color: #666; margin-bottom: 20px; }
+        .group { border: 1px solid #ddd; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; page-break-inside: avoid; }
+        .group h2 { font-size: 1.1rem; margin: 0 0 6px 0; color: #1a535c; }
+        .focus { background: #f0f9f8; padding: 8px 12px; border-radius: 6px; font-size: 0.9rem; margin-bottom: 8px; }
+        ul { margin: 0; padding-left: 20px; }
+        li { margin-bottom: 4px; }
+        .rationale { display: block; color: #666; font-size: 0.85rem; }
+        .notes { border-top: 1px dashed #ccc; margin-top: 10px; padding-top: 6px; color: #999; font-size: 0.85rem; min-height: 48px; }
+        .print-btn { position: fixed; top: 20px; right: 20px; background: #1a535c; color: white; border: none; padding: 10px 20px; border-radius: 8px; cursor: pointer; }
+        @media print { .print-btn { display: none; } }
+    </style></head><body>
+    <button class="print-btn" onclick="window.print()">Print</button>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">${groups.length} group${groups.length !== 1 ? 's' : ''} • ${new Date().toLocaleDateString()}</div>
+    ${groups.map(g => `
+        <div class="group">
+            <h2>${escapeHtml(g.name)} (${g.students.length})</h2>
+            <div class="focus"><strong>Focus:</strong> ${escapeHtml(g.recommendation)}</div>
+            <ul>${g.students.map(s => `<li>${escapeHtml(s.name)}<span class="rationale">${escapeHtml(s.rationale)}</span></li>`).join('')}</ul>
+            <div class="notes">Notes:</div>
+        </div>
+    `).join('')}
+    </body></html>`;
+
+    const newWindow = window.open('', '_blank');
+    if (newWindow) {
+        newWindow.document.write(html);
+        newWindow.document.close();
+    } else {
+        alert('Pop-up blocked. Please allow pop-ups for this site.');
+    }
+}
+
+async function renderInterventionGroups() {
+    const content = document.getElementById('intervention-groups-content');
+    content.innerHTML = '<p class="dashboard-note">Analyzing class patterns...</p>';
+
+    let rows;
+    let savedGroups;
+    try {
+        [rows, savedGroups] = await Promise.all([loadClassRows(), FirebaseDB.getAllInterventionGroups()]);
+    } catch (error) {
+        debugError('Error loading intervention groups:', error);
+        content.innerHTML = '<p class="dashboard-note">Could not load class data. Please try again.</p>';
+        return;
+    }
+
+    const { groups, ungrouped } = suggestInterventionGroups(rows.map(r => ({
+        id: r.student.id,
+        name: r.student.name,
+        aggregated: r.patterns
+    })));
+    suggestedGroups = groups;
+
+    content.innerHTML = `
+        <h3 class="groups-heading">Suggested Groups</h3>
+        ${groups.length === 0 ? '<p class="dashboard-note">No shared patterns yet. Groups appear once students have assessments with pattern data.</p>' : `
+            <div class="group-cards">
+                ${groups.map((g, i) => `
+                    <div class="group-card" data-group-index="${i}">
+                        <div class="group-card-header">
+                            <strong>${escapeHtml(g.name)}</strong>
+                            <span class="dashboard-note">${g.students.length} student${g.students.length !== 1 ? 's' : ''}</span>
+                        </div>
+                        <p class="group-focus">${escapeHtml(g.recommendation)}</p>
+                        ${renderGroupStudents(g)}
+                        <div class="passage-item-actions">
+                            <button type="button" class="btn btn-primary btn-small save-group-btn">Save Group</button>
+                            <button type="button" class="btn btn-outline btn-small print-group-btn">Print</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `}
+        ${ungrouped.length > 0 ? `
+            <p class="dashboard-note">Not grouped: ${ungrouped.map(s => `${escapeHtml(s.name)} (${escapeHtml(s.reason.toLowerCase())})`).join(', ')}</p>
+        ` : ''}
+        <h3 class="groups-heading">Saved Groups</h3>
+        ${savedGroups.length === 0 ? '<p class="dashboard-note">No saved groups yet.</p>' : `
+            <div class="passage-library-list">
+                ${savedGroups.map(g => `
+                    <div class="passage-item" data-group-id="${escapeHtml(g.id)}">
+                        <div class="passage-item-info">
+                            <strong>${escapeHtml(g.name)}</strong>
+                            <span class="passage-item-meta">${new Date(g.dateCreated).toLocaleDateString()} • ${g.students.map(s => escapeHtml(s.name)).join(', ')}</span>
+                        </div>
+                        <div class="passage-item-actions">
+                            <button type="button" class="btn btn-outline btn-small print-saved-group-btn">Print</button>
+                            <button type="button" class="btn btn-danger btn-small delete-saved-group-btn">Delete</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `}
+    `;
+
+    content.querySelectorAll('.group-card').forEach(card => {
+        const group = groups[parseInt(card.dataset.groupIndex, 10)];
+        card.querySelector('.save-group-btn').addEventListener('click', async () => {
+            const name = prompt('Group name:', group.name);
+            if (!name || !name.trim()) return;
+            try {
+                await FirebaseDB.saveInterventionGroup({
+                    name: name.trim(),
+                    focus: group.focus,
+                    recommendation: group.recommendation,
+                    students: group.students,
+                    classId: window.getActiveClassId()
+                });
+                await renderInterventionGroups();
+            } catch (error) {
+                alert('Failed to save group: ' + error.message);
+            }
+        });
+        card.querySelector('.print-group-btn').addEventListener('click', () => printInterventionGroups([group], group.name));
+    });
+
+    content.querySelectorAll('[data-group-id]').forEach(item => {
+        const group = savedGroups.find(g => g.id === item.dataset.groupId);
+        item.querySelector('.print-saved-group-btn').addEventListener('click', () => printInterventionGroups([group], group.name));
+        item.querySelector('.delete-saved-group-btn').addEventListener('click', async () => {
+            if (!confirm(`Delete the group "${group.name}"?`)) return;
+            await FirebaseDB.deleteInterventionGroup(group.id);
+            await renderInterventionGroups();
+        });
+    });
+}
+
+if (interventionGroupsBtn) {
+    interventionGroupsBtn.addEventListener('click', async () => {
+        interventionGroupsModal.classList.add('active');
+        await renderInterventionGroups();
+    });
+}
+
+const closeInterventionGroupsBtn = document.getElementById('close-intervention-groups-btn');
+if (closeInterventionGroupsBtn) closeInterventionGroupsBtn.addEventListener('click', () => interventionGroupsModal.classList.remove('active'));
+
+const printSuggestedGroupsBtn = document.getElementById('print-suggested-groups-btn');
+if (printSuggestedGroupsBtn) {
+    printSuggestedGroupsBtn.addEventListener('click', () => {
+        if (suggestedGroups.length === 0) {
+            alert('There are no suggested groups to print.');
+            return;
+        }
+        printInterventionGroups(suggestedGroups, 'Suggested Intervention Groups');
+    });
+}
+
+document.querySelectorAll('.class-view-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+        classView = tab.dataset.view;
+        document.querySelectorAll('.class-view-tab').forEach(t => t.classList.toggle('active', t === tab));
+        document.getElementById('students-grid').style.display = classView === 'cards' ? '' : 'none';
+        document.getElementById('class-dashboard').style.display = classView === 'dashboard' ? '' : 'none';
+        document.getElementById('class-table').style.display = classView === 'table' ? '' : 'none';
+        renderClassView();
+    });
+});
+
 if (backToClassBtn) {
     backToClassBtn.addEventListener('click', async () => {
-        await window.renderStudentsGridAsync();
+        await renderClassView();
         showSection('class-overview');
     });
 }
@@ -4008,14 +6638,8 @@ if (backToClassBtn) {
 const backToProfileBtn = document.getElementById('back-to-profile-btn');
 if (backToProfileBtn) {
     backToProfileBtn.addEventListener('click', () => {
-        // Reset historical viewing state
-        state.viewingHistoricalAssessment = false;
-
-        // Hide banner and show save card again
-        const historicalBanner = document.getElementById('historical-assessment-banner');
-        const saveCard = document.querySelector('.save-card');
-        if (historicalBanner) historicalBanner.style.display = 'none';
-        if (saveCard) saveCard.style.display = '';
+        // Restore the session that was in progress and hide the banner
+        exitHistoricalView();
 
         // Go back to student profile
         if (state.historicalAssessmentStudentId) {
@@ -4024,13 +6648,22 @@ if (backToProfileBtn) {
     });
 }
 
+const editStudentBtn = document.getElementById('edit-student-btn');
+if (editStudentBtn) {
+    editStudentBtn.addEventListener('click', async () => {
+        if (!state.currentStudentId) return;
+        const student = await FirebaseDB.getStudent(state.currentStudentId, false);
+        if (student) openStudentModal(student);
+    });
+}
+
 if (deleteStudentBtn) {
     deleteStudentBtn.addEventListener('click', async () => {
         if (!state.currentStudentId) return;
         if (confirm('Are you sure you want to delete this student?')) {
             await FirebaseDB.deleteStudent(state.currentStudentId);
             state.currentStudentId = null;
-            await window.renderStudentsGridAsync();
+            await renderClassView();
             showSection('class-overview');
         }
     });
@@ -4108,6 +6741,7 @@ if (newAssessmentSidebarBtn) {
         closeSidebar(); // Close sidebar on mobile
         state.audioBlob = null;
         state.capturedImage = null;
+        state.activePassage = null;
         state.selectedWords.clear();
         showSection('audio');
     });
@@ -4120,6 +6754,7 @@ if (sidebarBrandLink) {
         closeSidebar();
         state.audioBlob = null;
         state.capturedImage = null;
+        state.activePassage = null;
         state.selectedWords.clear();
         showSection('audio');
     };
@@ -4141,7 +6776,7 @@ if (assessmentStudentSelect) {
     assessmentStudentSelect.addEventListener('change', async () => {
         const studentId = assessmentStudentSelect.value;
         if (studentId) {
-            const student = await FirebaseDB.getStudent(studentId);
+            const student = await FirebaseDB.getStudent(studentId, false);
             if (student) {
                 state.currentStudentId = studentId;
                 currentStudentName.textContent = student.name;
@@ -4236,9 +6871,51 @@ styleSheet.textContent = `
     .word-hesitation { color: #7c3aed; background: rgba(139, 92, 246, 0.15); font-style: italic; }
     .error-badge { font-size: 0.65rem; background: currentColor; color: white; padding: 1px 4px; border-radius: 3px; margin-left: 2px; vertical-align: super; }
     .word-skipped .error-badge { background: #6c757d; }
+    .word-skipped-line { border-top: 2px solid #6c757d; border-bottom: 2px solid #6c757d; }
     .word-misread .error-badge { background: #f97316; }
     .word-substituted .error-badge { background: #ef4444; }
     .word-hesitation .error-badge { background: #7c3aed; }
+    .word-repetition { color: #0369a1; background: rgba(14, 165, 233, 0.12); font-style: italic; }
+    .word-repetition .error-badge { background: #0284c7; }
+    .word-self-corrected { color: #166534; background: rgba(34, 197, 94, 0.15); border-bottom: 2px dotted #0d9488; }
+    .word-self-corrected .error-badge { background: #0d9488; }
+    .error-category-positive { border-left-color: #0d9488; }
+    .word-insertion { color: #1d4ed8; background: rgba(59, 130, 246, 0.12); font-size: 0.85em; font-style: italic; }
+    .analyzed-text .insertion-caret { color: #1d4ed8; font-weight: 700; font-style: normal; padding: 0; margin: 0 1px 0 0; }
+    .popup-inserted { color: #1d4ed8; }
+    .norm-comparison { margin: var(--space-md) 0; padding: var(--space-sm) var(--space-md); font-size: 0.9rem; background: var(--color-paper); border-radius: var(--radius-md); }
+    .norm-source { font-size: 0.75rem; color: var(--color-slate); margin-left: var(--space-sm); }
+    .norm-badge { display: inline-block; padding: 1px 8px; border-radius: 999px; font-size: 0.75rem; font-weight: 700; color: white; }
+    .norm-high { background: #15803d; }
+    .norm-above { background: #22c55e; }
+    .norm-average { background: #0d9488; }
+    .norm-below { background: #f59e0b; }
+    .norm-low { background: #dc2626; }
+    .stat-card .norm-badge { margin-top: 4px; }
+    .popup-override { display: flex; flex-wrap: wrap; align-items: center; gap: 4px; margin-top: var(--space-sm); padding-top: var(--space-sm); border-top: 1px solid var(--color-sand); }
+    .popup-override-btn { font-size: 0.75rem; padding: 2px 8px; border: 1px solid var(--color-sand); border-radius: var(--radius-sm); background: white; cursor: pointer; }
+    .popup-override-btn:hover { border-color: var(--color-primary); color: var(--color-primary); }
+    .override-note { margin-top: var(--space-md); padding: var(--space-sm) var(--space-md); font-size: 0.85rem; color: #4338ca; background: rgba(99, 102, 241, 0.08); border-radius: var(--radius-sm); }
+    .running-record-panel { margin: var(--space-lg) 0; padding: var(--space-lg); border: 1px solid var(--color-sand); border-radius: var(--radius-md); background: white; }
+    .rr-summary { display: flex; flex-wrap: wrap; gap: var(--space-md); font-size: 0.85rem; margin: var(--space-sm) 0; }
+    .rr-hint { font-size: 0.8rem; color: var(--color-slate); margin-bottom: var(--space-md); }
+    .rr-grid { display: flex; flex-wrap: wrap; gap: var(--space-sm); }
+    .rr-cell { position: relative; display: flex; flex-direction: column; align-items: center; gap: 4px; padding: 6px; border: 1px solid var(--color-sand); border-radius: var(--radius-sm); min-width: 72px; }
+    .rr-cell.rr-error { border-color: #f59e0b; background: rgba(245, 158, 11, 0.06); }
+    .rr-cell.rr-self-correction { border-color: #0d9488; background: rgba(13, 148, 136, 0.06); }
+    .rr-cell.rr-overridden { box-shadow: inset 0 0 0 1px #6366f1; }
+    .rr-notation { display: flex; flex-direction: column; align-items: center; font-family: var(--font-body); }
+    .rr-top { min-height: 1.2em; border-bottom: 1px solid var(--color-charcoal); padding: 0 4px; font-weight: 600; }
+    .rr-accurate .rr-top { border-bottom: none; color: #16a34a; }
+    .rr-bottom { padding: 0 4px; font-size: 0.9rem; }
+    .rr-text-word { color: var(--color-slate); font-size: 0.75rem; }
+    .rr-told, .rr-repeat { color: #dc2626; font-weight: 700; }
+    .rr-cell.rr-phrase-repeat { border-top: 2px solid #dc2626; }
+    .rr-pause { position: absolute; left: -7px; top: 4px; color: #7c3aed; font-weight: 700; }
+    .rr-code-select { font-size: 0.7rem; max-width: 100%; }
+    .rr-msv { display: flex; gap: 2px; }
+    .rr-msv-toggle { width: 22px; height: 22px; font-size: 0.7rem; font-weight: 700; border: 1px solid var(--color-sand); border-radius: 4px; background: white; color: var(--color-slate); cursor: pointer; }
+    .rr-msv-toggle.active { background: #4f46e5; border-color: #4f46e5; color: white; }
     .legend { display: flex; flex-wrap: wrap; gap: var(--space-md); margin-top: var(--space-md); font-size: 0.85rem; }
     .legend-item { display: flex; align-items: center; gap: 4px; }
     .error-breakdown { background: #fef3c7; padding: var(--space-lg); border-radius: var(--radius-md); }
@@ -4262,6 +6939,7 @@ styleSheet.textContent = `
     .popup-misread { color: #c2410c; }
     .popup-substituted { color: #dc3545; }
     .popup-hesitation { color: #7c3aed; font-style: italic; }
+    .popup-repetition { color: #0369a1; font-style: italic; }
     .popup-hint { font-size: 0.75rem; color: #6b7280; margin-top: var(--space-sm); padding-top: var(--space-sm); border-top: 1px dashed #e5e7eb; font-style: italic; }
     .popup-play-btn { display: block; width: 100%; margin-top: var(--space-sm); padding: 8px 12px; background: var(--color-primary, #1a535c); color: white; border: none; border-radius: var(--radius-sm, 6px); cursor: pointer; font-size: 0.85rem; font-weight: 500; transition: background 0.2s, transform 0.1s; }
     .popup-play-btn:hover { background: var(--color-primary-dark, #134147); }
@@ -52,6 +52,105 @@ export async function loadApiKeyFromFirebase() {
     }
 }
 
+// Save speech-to-text provider settings (Google or a self-hosted Whisper endpoint)
+export async function saveSpeechConfigToFirebase(speechConfig) {
+    try {
+        const user = getCurrentUser();
+        if (!user) {
+            throw new Error('User not authenticated');
+        }
+
+        const speechConfigRef = doc(db, 'users', user.uid, 'config', 'speechProvider');
+
+        await setDoc(speechConfigRef, {
+            provider: speechConfig.provider,
+            endpoint: speechConfig.endpoint || '',
+            authToken: speechConfig.authToken || '',
+            updatedAt: Date.now()
+        });
+
+        debugLog('Speech provider settings saved to Firebase');
+        return true;
+    } catch (error) {
+        debugError('Error saving speech provider settings:', error);
+        return false;
+    }
+}
+
+// Load speech-to-text provider settings - defaults to Google when nothing is saved
+export async function loadSpeechConfigFromFirebase() {
+    const defaults = { provider: 'google', endpoint: '', authToken: '' };
+    try {
+        const user = getCurrentUser();
+        if (!user) {
+            return defaults;
+        }
+
+        const speechConfigRef = doc(db, 'users', user.uid, 'config', 'speechProvider');
+        const docSnap = await getDoc(speechConfigRef);
+
+        if (docSnap.exists()) {
+            const data = docSnap.data();
+            return {
+                provider: data.provider || 'google',
+                endpoint: data.endpoint || '',
+                authToken: data.authToken || ''
+            };
+        }
+
+        return defaults;
+    } catch (error) {
+        debugError('Error loading speech provider settings:', error);
+        return defaults;
+    }
+}
+
+// Save OCR provider setting (Google Vision or on-device Tesseract.js)
+export async function saveOcrConfigToFirebase(ocrConfig) {
+    try {
+        const user = getCurrentUser();
+        if (!user) {
+            throw new Error('User not authenticated');
+        }
+
+        const ocrConfigRef = doc(db, 'users', user.uid, 'config', 'ocrProvider');
+
+        await setDoc(ocrConfigRef, {
+            provider: ocrConfig.provider,
+            updatedAt: Date.now()
+        });
+
+        debugLog('OCR provider setting saved to Firebase');
+        return true;
+    } catch (error) {
+        debugError('Error saving OCR provider setting:', error);
+        return false;
+    }
+}
+
+// Load OCR provider setting - defaults to Google Vision when nothing is saved
+export async function loadOcrConfigFromFirebase() {
+    const defaults = { provider: 'vision' };
+    try {
+        const user = getCurrentUser();
+        if (!user) {
+            return defaults;
+        }
+
+        const ocrConfigRef = doc(db, 'users', user.uid, 'config', 'ocrProvider');
+        const docSnap = await getDoc(ocrConfigRef);
+
+        if (docSnap.exists()) {
+            return { provider: docSnap.data().provider || 'vision' };
+        }
+
+        return defaults;
+    } catch (error) {
+        debugError('Error loading OCR provider setting:', error);
+        return defaults;
+    }
+}
+
 // Validate Google Cloud Vision API key
 export async function validateApiKey(apiKey) {
     try {
@@ -192,6 +291,10 @@ export default {
     saveApiKeyToFirebase,
     loadApiKeyFromFirebase,
     validateApiKey,
+    saveSpeechConfigToFirebase,
+    loadSpeechConfigFromFirebase,
+    saveOcrConfigToFirebase,
+    loadOcrConfigFromFirebase,
     trackApiUsage,
     getUsageStats
 };
@@ -1,6 +1,6 @@
 // Firebase Authentication Handler for Word Analyzer V2
 import { auth, googleProvider, signInWithPopup, onAuthStateChanged, signOut } from './firebase-config.js';
-import { migrateLocalStorageToFirestore } from './firebase-db.js';
+import { migrateLocalStorageToFirestore, migrateEmbeddedAssessments } from './firebase-db.js';
 import { escapeHtml, debugLog, debugError } from './utils.js';
 
 // Global user state
@@ -136,6 +136,7 @@ async function proceedToApp(user) {
 
     updateLoadingStatus('Syncing data...');
     await migrateLocalStorageToFirestore(user.uid);
+    await migrateEmbeddedAssessments();
 
     updateLoadingStatus('Loading your classroom...');
     window.dispatchEvent(new CustomEvent('userAuthenticated', { detail: { user } }));
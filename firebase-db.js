@@ -1,7 +1,7 @@
 // Firebase Firestore Database Handler
-import { db, collection, doc, getDocs, getDoc, setDoc, updateDoc, deleteDoc, query } from './firebase-config.js';
+import { db, storage, collection, doc, getDocs, getDoc, setDoc, updateDoc, deleteDoc, query, where, orderBy, writeBatch, runTransaction, increment, deleteField, ref, uploadBytes, uploadString, getBlob, deleteObject } from './firebase-config.js';
 import { getCurrentUser } from './firebase-auth.js';
-import { debugLog, debugError } from './utils.js';
+import { debugLog, debugError, parseGradeLevel, formatGradeLevel } from './utils.js';
 
 // ============ FIRESTORE DATABASE FUNCTIONS ============
 
@@ -14,6 +14,48 @@ function getUserStudentsCollection() {
     return collection(db, 'users', user.uid, 'students');
 }
 
+// Get a student's assessments subcollection reference
+function getAssessmentsCollection(studentId) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return collection(db, 'users', user.uid, 'students', studentId, 'assessments');
+}
+
+// Summary kept on the student doc so the class grid doesn't have to read every assessment
+function buildAssessmentStats(assessments) {
+    const latest = assessments.reduce((newest, a) => (!newest || (a.date || 0) >= (newest.date || 0)) ? a : newest, null);
+    return {
+        count: assessments.length,
+        totalAccuracy: assessments.reduce((sum, a) => sum + (a.accuracy || 0), 0),
+        totalWpm: assessments.reduce((sum, a) => sum + (a.wpm || 0), 0),
+        totalProsody: assessments.reduce((sum, a) => sum + (a.prosodyScore || 0), 0),
+        latestAccuracy: latest?.accuracy || 0,
+        latestDate: latest?.date || null
+    };
+}
+
+// Write assessment docs in batches (Firestore allows 500 writes per batch)
+async function writeAssessmentDocs(studentId, assessments) {
+    const assessmentsCollection = getAssessmentsCollection(studentId);
+    for (let i = 0; i < assessments.length; i += 400) {
+        const batch = writeBatch(db);
+        assessments.slice(i, i + 400).forEach(assessment => {
+            batch.set(doc(assessmentsCollection, assessment.id), assessment);
+        });
+        await batch.commit();
+    }
+}
+
+// Rebuild a student's assessmentStats from the subcollection
+async function recalculateAssessmentStats(studentId) {
+    const user = getCurrentUser();
+    const assessments = await getStudentAssessments(studentId);
+    const studentRef = doc(db, 'users', user.uid, 'students', studentId);
+    await updateDoc(studentRef, { assessmentStats: buildAssessmentStats(assessments) });
+}
+
 // Get all students from Firestore
 export async function getAllStudents() {
     try {
@@ -38,9 +80,11 @@ export async function saveAllStudents(students) {
         const user = getCurrentUser();
         if (!user) throw new Error('User not authenticated');
 
-        const promises = Object.entries(students).map(([studentId, studentData]) => {
+        // Assessments go to the subcollection, only their summary stays on the student doc
+        const promises = Object.entries(students).map(async ([studentId, { assessments = [], ...studentData }]) => {
             const studentRef = doc(db, 'users', user.uid, 'students', studentId);
-            return setDoc(studentRef, studentData, { merge: true });
+            await setDoc(studentRef, { ...studentData, assessmentStats: buildAssessmentStats(assessments) }, { merge: true });
+            await writeAssessmentDocs(studentId, assessments);
         });
 
         await Promise.all(promises);
@@ -51,8 +95,100 @@ export async function saveAllStudents(students) {
     }
 }
 
-// Add new student
-export async function addStudent(name, grade = '') {
+// ============ STUDENT FIELDS ============
+
+const MAX_NAME_LENGTH = 80;
+const MAX_SECTION_LENGTH = 40;
+const MAX_CUSTOM_FIELDS = 20;
+
+// Check and normalize student form fields; errors is empty when the record can be saved
+// existingStudents (from getAllStudents) is used to keep SIS IDs unique, skipping studentId itself
+export function validateStudentFields(fields, existingStudents = {}, studentId = null) {
+    const errors = [];
+
+    const name = String(fields.name || '').trim();
+    if (!name) errors.push('Please enter a student name.');
+    else if (name.length > MAX_NAME_LENGTH) errors.push(`Name must be ${MAX_NAME_LENGTH} characters or fewer.`);
+
+    let gradeLevel = null;
+    if (fields.gradeLevel !== '' && fields.gradeLevel !== null && fields.gradeLevel !== undefined) {
+        gradeLevel = parseGradeLevel(Number(fields.gradeLevel));
+        if (gradeLevel === null) errors.push('Grade must be Kindergarten or 1-12.');
+    }
+
+    const section = String(fields.section || '').trim();
+    if (section.length > MAX_SECTION_LENGTH) errors.push(`Class/section must be ${MAX_SECTION_LENGTH} characters or fewer.`);
+
+    const externalId = String(fields.externalId || '').trim();
+    if (externalId) {
+        if (!/^[A-Za-z0-9_-]{1,32}$/.test(externalId)) {
+            errors.push('Student ID may only contain letters, numbers, dashes and underscores (32 max).');
+        } else {
+            const duplicate = Object.values(existingStudents).find(s =>
+                s.id !== studentId && s.externalId && s.externalId.toLowerCase() === externalId.toLowerCase());
+            if (duplicate) errors.push(`Student ID ${externalId} is already used by ${duplicate.name}.`);
+        }
+    }
+
+    const dateOfBirth = String(fields.dateOfBirth || '').trim();
+    if (dateOfBirth) {
+        const dob = new Date(dateOfBirth + 'T00:00:00');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth) || isNaN(dob.getTime())) {
+            errors.push('Date of birth is not a valid date.');
+        } else if (dob > new Date()) {
+            errors.push('Date of birth cannot be in the future.');
+        } else if (dob.getFullYear() < 1900) {
+            errors.push('Date of birth is too far in the past.');
+        }
+    }
+
+    const classId = String(fields.classId || '');
+
+    const customFields = {};
+    Object.entries(fields.customFields || {}).forEach(([label, value]) => {
+        const key = String(label).trim();
+        if (key) customFields[key] = String(value ?? '').trim();
+    });
+    if (Object.keys(customFields).length > MAX_CUSTOM_FIELDS) errors.push(`Use at most ${MAX_CUSTOM_FIELDS} custom fields.`);
+
+    return {
+        errors,
+        data: {
+            name,
+            grade: formatGradeLevel(gradeLevel),
+            gradeLevel,
+            section,
+            externalId,
+            iep: !!fields.iep,
+            ell: !!fields.ell,
+            dateOfBirth,
+            classId,
+            customFields
+        }
+    };
+}
+
+// New student doc (details: the optional fields from validateStudentFields)
+function buildStudentDoc(studentId, name, grade, details) {
+    return {
+        id: studentId,
+        name: name,
+        grade: grade,
+        gradeLevel: parseGradeLevel(grade),
+        section: details.section || '',
+        externalId: details.externalId || '',
+        iep: !!details.iep,
+        ell: !!details.ell,
+        dateOfBirth: details.dateOfBirth || '',
+        classId: details.classId || '',
+        customFields: details.customFields || {},
+        dateAdded: Date.now(),
+        assessmentStats: buildAssessmentStats([])
+    };
+}
+
+// Add new student (details: the optional fields from validateStudentFields)
+export async function addStudent(name, grade = '', details = {}) {
     try {
         const user = getCurrentUser();
         if (!user) throw new Error('User not authenticated');
@@ -60,15 +196,7 @@ export async function addStudent(name, grade = '') {
         const studentId = 'student-' + Date.now();
         const studentRef = doc(db, 'users', user.uid, 'students', studentId);
 
-        const studentData = {
-            id: studentId,
-            name: name,
-            grade: grade,
-            dateAdded: Date.now(),
-            assessments: []
-        };
-
-        await setDoc(studentRef, studentData);
+        await setDoc(studentRef, buildStudentDoc(studentId, name, grade, details));
         debugLog('Student added:', name);
         return studentId;
     } catch (error) {
@@ -77,8 +205,35 @@ export async function addStudent(name, grade = '') {
     }
 }
 
-// Get student by ID
-export async function getStudent(studentId) {
+// Add many students at once (roster import); batched like writeAssessmentDocs
+// entries: [{ name, grade, ...details }] -> new student ids in the same order
+export async function addStudentsBatch(entries) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const baseId = Date.now();
+        const studentIds = entries.map((_, i) => `student-${baseId}-${i}`);
+
+        for (let i = 0; i < entries.length; i += 400) {
+            const batch = writeBatch(db);
+            entries.slice(i, i + 400).forEach(({ name, grade = '', ...details }, offset) => {
+                const studentId = studentIds[i + offset];
+                batch.set(doc(db, 'users', user.uid, 'students', studentId), buildStudentDoc(studentId, name, grade, details));
+            });
+            await batch.commit();
+        }
+
+        debugLog('Students imported:', entries.length);
+        return studentIds;
+    } catch (error) {
+        debugError('Error importing students:', error);
+        throw error;
+    }
+}
+
+// Get student by ID (with assessments, oldest first, unless includeAssessments is false)
+export async function getStudent(studentId, includeAssessments = true) {
     try {
         const user = getCurrentUser();
         if (!user) throw new Error('User not authenticated');
@@ -86,10 +241,15 @@ export async function getStudent(studentId) {
         const studentRef = doc(db, 'users', user.uid, 'students', studentId);
         const studentDoc = await getDoc(studentRef);
 
-        if (studentDoc.exists()) {
-            return studentDoc.data();
+        if (!studentDoc.exists()) {
+            return null;
         }
-        return null;
+
+        const student = studentDoc.data();
+        if (includeAssessments) {
+            student.assessments = await getStudentAssessments(studentId);
+        }
+        return student;
     } catch (error) {
         debugError('Error getting student:', error);
         throw error;
@@ -118,6 +278,18 @@ export async function deleteStudent(studentId) {
         const user = getCurrentUser();
         if (!user) throw new Error('User not authenticated');
 
+        // Firestore doesn't cascade deletes, so remove the assessments (and their stored media) first
+        const student = await getStudent(studentId);
+        const assessments = student?.assessments || [];
+        await Promise.all(assessments.map(a => deleteAssessmentMedia(a.media)));
+
+        const assessmentsCollection = getAssessmentsCollection(studentId);
+        for (let i = 0; i < assessments.length; i += 400) {
+            const batch = writeBatch(db);
+            assessments.slice(i, i + 400).forEach(a => batch.delete(doc(assessmentsCollection, a.id)));
+            await batch.commit();
+        }
+
         const studentRef = doc(db, 'users', user.uid, 'students', studentId);
         await deleteDoc(studentRef);
         debugLog('Student deleted:', studentId);
@@ -128,60 +300,157 @@ export async function deleteStudent(studentId) {
     }
 }
 
+// New assessment id - created before saving so a queued retry keeps the same id
+export function createAssessmentId() {
+    return 'assessment-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+// Error codes a retry can't fix (the data or the security rules are wrong) -
+// anything else is treated as a dropped connection
+const PERMANENT_ERROR_CODES = new Set([
+    'invalid-argument', 'permission-denied', 'failed-precondition', 'out-of-range', 'unimplemented', 'data-loss',
+    'storage/unauthorized', 'storage/invalid-argument', 'storage/invalid-format'
+]);
+
 // Add assessment to student
-export async function addAssessmentToStudent(studentId, assessmentData) {
+// media ({ audioBlob, imageDataUrl }) is uploaded to Storage and referenced from the assessment
+// Returns { saved, mediaSaved } - a failed upload still saves the assessment, so callers must keep
+// the media and call again (the duplicate check below then only retries the upload).
+// When the save fails, error ({ code, message, permanent }) says whether retrying can help.
+export async function addAssessmentToStudent(studentId, assessmentData, media = null) {
+    const hasMedia = !!(media?.audioBlob || media?.imageDataUrl);
     try {
         debugLog('Saving assessment for student:', studentId);
 
         const user = getCurrentUser();
         if (!user) {
             debugError('User not authenticated when saving assessment');
-            return false;
+            return { saved: false, mediaSaved: false };
         }
 
-        const student = await getStudent(studentId);
-        if (!student) {
+        const studentRef = doc(db, 'users', user.uid, 'students', studentId);
+        const studentDoc = await getDoc(studentRef);
+        if (!studentDoc.exists()) {
             debugError('Student not found:', studentId);
-            return false;
-        }
-
-        if (!student.assessments) {
-            student.assessments = [];
+            return { saved: false, mediaSaved: false };
         }
 
         const assessment = {
-            id: 'assessment-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            id: createAssessmentId(),
             date: Date.now(),
             ...assessmentData
         };
 
-        student.assessments.push(assessment);
+        // Already saved (e.g. the response was lost and the offline queue retried) - don't count it twice
+        const assessmentRef = doc(getAssessmentsCollection(studentId), assessment.id);
+        const existingDoc = await getDoc(assessmentRef);
+        if (existingDoc.exists()) {
+            debugLog('Assessment already saved, skipping duplicate:', assessment.id);
+            if (!hasMedia || existingDoc.data().media) {
+                return { saved: true, mediaSaved: true };
+            }
+            // Saved earlier without its media - retry just the upload
+            try {
+                await updateDoc(assessmentRef, { media: await uploadAssessmentMedia(studentId, assessment.id, media) });
+                return { saved: true, mediaSaved: true };
+            } catch (error) {
+                debugError('Error retrying assessment media upload:', error);
+                return { saved: true, mediaSaved: false };
+            }
+        }
 
-        const studentRef = doc(db, 'users', user.uid, 'students', studentId);
-        await setDoc(studentRef, student);
+        let mediaSaved = !hasMedia;
+        if (hasMedia) {
+            // A failed upload shouldn't lose the assessment - it's saved without media and the upload retried later
+            try {
+                assessment.media = await uploadAssessmentMedia(studentId, assessment.id, media);
+                mediaSaved = true;
+            } catch (error) {
+                debugError('Error uploading assessment media:', error);
+                assessment.media = null;
+            }
+        }
+
+        // Own document per assessment; totals are increments so concurrent saves don't clobber each other.
+        // "Latest" only moves forward - a queued offline assessment synced later may be older.
+        // The existence check is repeated in the transaction: two tabs can flush the same queued record at once.
+        await runTransaction(db, async (transaction) => {
+            const existing = await transaction.get(assessmentRef);
+            const latestDate = (await transaction.get(studentRef)).data()?.assessmentStats?.latestDate || 0;
+            if (existing.exists()) {
+                if (assessment.media && !existing.data().media) transaction.update(assessmentRef, { media: assessment.media });
+                return;
+            }
+            const stats = {
+                'assessmentStats.count': increment(1),
+                'assessmentStats.totalAccuracy': increment(assessment.accuracy || 0),
+                'assessmentStats.totalWpm': increment(assessment.wpm || 0),
+                'assessmentStats.totalProsody': increment(assessment.prosodyScore || 0)
+            };
+            if (assessment.date >= latestDate) {
+                stats['assessmentStats.latestAccuracy'] = assessment.accuracy || 0;
+                stats['assessmentStats.latestDate'] = assessment.date;
+            }
+            transaction.set(assessmentRef, assessment);
+            transaction.update(studentRef, stats);
+        });
 
         debugLog('Assessment added to student:', studentId);
-        return true;
+        return { saved: true, mediaSaved };
     } catch (error) {
         debugError('Error adding assessment:', error);
         debugError('Error details:', error.message, error.code);
-        return false;
+        return {
+            saved: false,
+            mediaSaved: false,
+            error: { code: error.code || null, message: error.message, permanent: PERMANENT_ERROR_CODES.has(error.code) }
+        };
+    }
+}
+
+// Get all of a student's assessments, oldest first
+export async function getStudentAssessments(studentId) {
+    try {
+        const querySnapshot = await getDocs(query(getAssessmentsCollection(studentId), orderBy('date')));
+
+        const assessments = [];
+        querySnapshot.forEach((doc) => {
+            assessments.push(doc.data());
+        });
+
+        return assessments;
+    } catch (error) {
+        debugError('Error getting assessments:', error);
+        throw error;
+    }
+}
+
+// Get a single assessment
+export async function getAssessment(studentId, assessmentId) {
+    try {
+        const assessmentDoc = await getDoc(doc(getAssessmentsCollection(studentId), assessmentId));
+        if (assessmentDoc.exists()) {
+            return assessmentDoc.data();
+        }
+        return null;
+    } catch (error) {
+        debugError('Error getting assessment:', error);
+        throw error;
     }
 }
 
 // Delete assessment from student
 export async function deleteAssessment(studentId, assessmentId) {
     try {
-        const student = await getStudent(studentId);
-        if (!student) {
+        const assessmentRef = doc(getAssessmentsCollection(studentId), assessmentId);
+        const assessmentDoc = await getDoc(assessmentRef);
+        if (!assessmentDoc.exists()) {
             return false;
         }
 
-        student.assessments = student.assessments.filter(a => a.id !== assessmentId);
-
-        const user = getCurrentUser();
-        const studentRef = doc(db, 'users', user.uid, 'students', studentId);
-        await setDoc(studentRef, student);
+        await deleteAssessmentMedia(assessmentDoc.data().media);
+        await deleteDoc(assessmentRef);
+        await recalculateAssessmentStats(studentId);
 
         debugLog('Assessment deleted:', assessmentId);
         return true;
@@ -192,8 +461,13 @@ export async function deleteAssessment(studentId, assessmentId) {
 }
 
 // Get student statistics
+// Works from loaded assessments (getStudent) or the assessmentStats summary (getAllStudents)
 export function getStudentStats(student) {
-    if (!student || !student.assessments || student.assessments.length === 0) {
+    const summary = Array.isArray(student?.assessments)
+        ? buildAssessmentStats(student.assessments)
+        : student?.assessmentStats;
+
+    if (!summary || !summary.count) {
         return {
             totalAssessments: 0,
             avgAccuracy: 0,
@@ -204,14 +478,13 @@ export function getStudentStats(student) {
         };
     }
 
-    const assessments = student.assessments;
-    const total = assessments.length;
+    const total = summary.count;
 
-    const avgAccuracy = assessments.reduce((sum, a) => sum + (a.accuracy || 0), 0) / total;
-    const avgWpm = assessments.reduce((sum, a) => sum + (a.wpm || 0), 0) / total;
-    const avgProsody = assessments.reduce((sum, a) => sum + (a.prosodyScore || 0), 0) / total;
+    const avgAccuracy = summary.totalAccuracy / total;
+    const avgWpm = summary.totalWpm / total;
+    const avgProsody = summary.totalProsody / total;
 
-    const latestAccuracy = assessments[assessments.length - 1].accuracy;
+    const latestAccuracy = summary.latestAccuracy;
     const trend = latestAccuracy > avgAccuracy + 2 ? 'improving' :
                   latestAccuracy < avgAccuracy - 2 ? 'declining' : 'stable';
 
@@ -225,8 +498,435 @@ export function getStudentStats(student) {
     };
 }
 
+// ============ ASSESSMENT MEDIA (FIREBASE STORAGE) ============
+
+// Storage folder for one assessment's recording and page image
+function getAssessmentMediaPath(studentId, assessmentId) {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return `users/${user.uid}/students/${studentId}/assessments/${assessmentId}`;
+}
+
+// File extension for a recorded audio MIME type (e.g. "audio/webm;codecs=opus" → "webm")
+function getAudioExtension(mimeType) {
+    const subtype = (mimeType || '').split(';')[0].split('/')[1];
+    if (subtype === 'mpeg') return 'mp3';
+    return subtype || 'webm';
+}
+
+// Upload the recording and page image, returning the references to store on the assessment
+export async function uploadAssessmentMedia(studentId, assessmentId, { audioBlob = null, imageDataUrl = null } = {}) {
+    const basePath = getAssessmentMediaPath(studentId, assessmentId);
+    const media = { audioPath: null, audioMimeType: null, imagePath: null };
+
+    if (audioBlob) {
+        const audioMimeType = audioBlob.type || 'audio/webm';
+        const audioPath = `${basePath}/recording.${getAudioExtension(audioMimeType)}`;
+        await uploadBytes(ref(storage, audioPath), audioBlob, { contentType: audioMimeType });
+        media.audioPath = audioPath;
+        media.audioMimeType = audioMimeType;
+    }
+
+    if (imageDataUrl) {
+        const imagePath = `${basePath}/page.${imageDataUrl.startsWith('data:image/png') ? 'png' : 'jpg'}`;
+        await uploadString(ref(storage, imagePath), imageDataUrl, 'data_url');
+        media.imagePath = imagePath;
+    }
+
+    debugLog('Assessment media uploaded:', media);
+    return media;
+}
+
+// Download an assessment's recording as a Blob (null if none was stored)
+export async function loadAssessmentAudio(media) {
+    if (!media?.audioPath) return null;
+    try {
+        const blob = await getBlob(ref(storage, media.audioPath));
+        // Keep the recorder's MIME type so decodeAudioData/MediaRecorder playback behave the same
+        return media.audioMimeType ? new Blob([blob], { type: media.audioMimeType }) : blob;
+    } catch (error) {
+        debugError('Error loading assessment audio:', error);
+        return null;
+    }
+}
+
+// Download an assessment's page image as a data URL (null if none was stored)
+export async function loadAssessmentImage(media) {
+    if (!media?.imagePath) return null;
+    try {
+        const blob = await getBlob(ref(storage, media.imagePath));
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    } catch (error) {
+        debugError('Error loading assessment image:', error);
+        return null;
+    }
+}
+
+// Delete an assessment's stored files (missing files are ignored)
+export async function deleteAssessmentMedia(media) {
+    if (!media) return;
+    const paths = [media.audioPath, media.imagePath].filter(Boolean);
+    await Promise.all(paths.map(async (path) => {
+        try {
+            await deleteObject(ref(storage, path));
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') {
+                debugError('Error deleting assessment media:', path, error);
+            }
+        }
+    }));
+}
+
+// ============ PASSAGE LIBRARY ============
+
+// Get user's passages collection reference
+function getUserPassagesCollection() {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return collection(db, 'users', user.uid, 'passages');
+}
+
+// Get all saved passages, sorted by grade then title
+export async function getAllPassages() {
+    try {
+        const querySnapshot = await getDocs(getUserPassagesCollection());
+
+        const passages = [];
+        querySnapshot.forEach((doc) => {
+            passages.push(doc.data());
+        });
+
+        return passages.sort((a, b) =>
+            (a.grade || '').localeCompare(b.grade || '', undefined, { numeric: true }) ||
+            (a.title || '').localeCompare(b.title || '')
+        );
+    } catch (error) {
+        debugError('Error getting passages:', error);
+        throw error;
+    }
+}
+
+// Save a passage to the library
+export async function savePassage(passageData) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const passageId = 'passage-' + Date.now();
+        const passageRef = doc(db, 'users', user.uid, 'passages', passageId);
+
+        await setDoc(passageRef, {
+            id: passageId,
+            dateAdded: Date.now(),
+            ...passageData
+        });
+
+        debugLog('Passage saved:', passageData.title);
+        return passageId;
+    } catch (error) {
+        debugError('Error saving passage:', error);
+        throw error;
+    }
+}
+
+// Delete passage
+export async function deletePassage(passageId) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const passageRef = doc(db, 'users', user.uid, 'passages', passageId);
+        await deleteDoc(passageRef);
+        debugLog('Passage deleted:', passageId);
+        return true;
+    } catch (error) {
+        debugError('Error deleting passage:', error);
+        return false;
+    }
+}
+
+// ============ CLASSES (ROSTERS) ============
+
+// Get user's classes collection reference
+function getUserClassesCollection() {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return collection(db, 'users', user.uid, 'classes');
+}
+
+// Get all classes, sorted by name
+export async function getAllClasses() {
+    try {
+        const querySnapshot = await getDocs(getUserClassesCollection());
+
+        const classes = [];
+        querySnapshot.forEach((doc) => {
+            classes.push(doc.data());
+        });
+
+        return classes.sort((a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true }));
+    } catch (error) {
+        debugError('Error getting classes:', error);
+        throw error;
+    }
+}
+
+// Create a class
+export async function addClass(name) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const classId = 'class-' + Date.now();
+        const classRef = doc(db, 'users', user.uid, 'classes', classId);
+
+        await setDoc(classRef, {
+            id: classId,
+            name: name,
+            dateAdded: Date.now()
+        });
+
+        debugLog('Class added:', name);
+        return classId;
+    } catch (error) {
+        debugError('Error adding class:', error);
+        throw error;
+    }
+}
+
+// Rename a class
+export async function renameClass(classId, name) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const classRef = doc(db, 'users', user.uid, 'classes', classId);
+        await updateDoc(classRef, { name });
+        debugLog('Class renamed:', classId);
+        return true;
+    } catch (error) {
+        debugError('Error renaming class:', error);
+        return false;
+    }
+}
+
+// Delete a class; its students stay, just without a class
+export async function deleteClass(classId) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const members = await getDocs(query(getUserStudentsCollection(), where('classId', '==', classId)));
+        for (let i = 0; i < members.docs.length; i += 400) {
+            const batch = writeBatch(db);
+            members.docs.slice(i, i + 400).forEach(studentDoc => batch.update(studentDoc.ref, { classId: '' }));
+            await batch.commit();
+        }
+
+        await deleteDoc(doc(db, 'users', user.uid, 'classes', classId));
+        debugLog('Class deleted:', classId);
+        return true;
+    } catch (error) {
+        debugError('Error deleting class:', error);
+        return false;
+    }
+}
+
+// Move several students into a class ('' removes them from their class)
+export async function assignStudentsToClass(studentIds, classId) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        for (let i = 0; i < studentIds.length; i += 400) {
+            const batch = writeBatch(db);
+            studentIds.slice(i, i + 400).forEach(studentId => {
+                batch.update(doc(db, 'users', user.uid, 'students', studentId), { classId });
+            });
+            await batch.commit();
+        }
+
+        debugLog('Students assigned to class:', classId, studentIds.length);
+        return true;
+    } catch (error) {
+        debugError('Error assigning students to class:', error);
+        return false;
+    }
+}
+
+// ============ INTERVENTION GROUPS ============
+
+// Get user's intervention groups collection reference
+function getUserGroupsCollection() {
+    const user = getCurrentUser();
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return collection(db, 'users', user.uid, 'interventionGroups');
+}
+
+// Get saved intervention groups, newest first
+export async function getAllInterventionGroups() {
+    try {
+        const querySnapshot = await getDocs(getUserGroupsCollection());
+
+        const groups = [];
+        querySnapshot.forEach((doc) => {
+            groups.push(doc.data());
+        });
+
+        return groups.sort((a, b) => (b.dateCreated || 0) - (a.dateCreated || 0));
+    } catch (error) {
+        debugError('Error getting intervention groups:', error);
+        throw error;
+    }
+}
+
+// Save an intervention group (name, focus, recommendation, students, classId)
+export async function saveInterventionGroup(groupData) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const groupId = 'group-' + Date.now();
+        const groupRef = doc(db, 'users', user.uid, 'interventionGroups', groupId);
+
+        await setDoc(groupRef, {
+            id: groupId,
+            dateCreated: Date.now(),
+            ...groupData
+        });
+
+        debugLog('Intervention group saved:', groupData.name);
+        return groupId;
+    } catch (error) {
+        debugError('Error saving intervention group:', error);
+        throw error;
+    }
+}
+
+// Delete intervention group
+export async function deleteInterventionGroup(groupId) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        await deleteDoc(doc(db, 'users', user.uid, 'interventionGroups', groupId));
+        debugLog('Intervention group deleted:', groupId);
+        return true;
+    } catch (error) {
+        debugError('Error deleting intervention group:', error);
+        return false;
+    }
+}
+
+// ============ SCORING RUBRIC ============
+
+// Get the active scoring rubric (null until one has been saved; read errors are thrown, not treated as "none")
+export async function getScoringRubric() {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const rubricDoc = await getDoc(doc(db, 'users', user.uid, 'config', 'scoringRubric'));
+        return rubricDoc.exists() ? rubricDoc.data() : null;
+    } catch (error) {
+        debugError('Error getting scoring rubric:', error);
+        throw error;
+    }
+}
+
+// Save the rubric as a new version; every version is kept so old assessments can be rescored the same way
+// (read and writes share a transaction so two saves can never claim the same version)
+export async function saveScoringRubric(rubric) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const activeRef = doc(db, 'users', user.uid, 'config', 'scoringRubric');
+        const saved = await runTransaction(db, async (transaction) => {
+            const activeDoc = await transaction.get(activeRef);
+            const version = (activeDoc.exists() ? activeDoc.data().version || 0 : 0) + 1;
+            const versionRef = doc(db, 'users', user.uid, 'rubricVersions', String(version));
+            if ((await transaction.get(versionRef)).exists()) {
+                throw new Error(`Rubric version ${version} already exists`);
+            }
+
+            const next = { ...rubric, version, savedAt: Date.now() };
+            transaction.set(activeRef, next);
+            transaction.set(versionRef, next);
+            return next;
+        });
+
+        debugLog('Scoring rubric saved, version', saved.version);
+        return saved;
+    } catch (error) {
+        debugError('Error saving scoring rubric:', error);
+        throw error;
+    }
+}
+
+// Get a past rubric version (version 0 is the built-in default and is never stored)
+export async function getScoringRubricVersion(version) {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const versionDoc = await getDoc(doc(db, 'users', user.uid, 'rubricVersions', String(version)));
+        return versionDoc.exists() ? versionDoc.data() : null;
+    } catch (error) {
+        debugError('Error getting scoring rubric version:', error);
+        throw error;
+    }
+}
+
 // ============ MIGRATION FUNCTION ============
 
+// One-time move of assessments embedded in student docs into the assessments subcollection
+export async function migrateEmbeddedAssessments() {
+    try {
+        const user = getCurrentUser();
+        if (!user) throw new Error('User not authenticated');
+
+        const querySnapshot = await getDocs(getUserStudentsCollection());
+        const legacyStudents = [];
+        querySnapshot.forEach((doc) => {
+            if (Array.isArray(doc.data().assessments)) {
+                legacyStudents.push({ id: doc.id, assessments: doc.data().assessments });
+            }
+        });
+
+        if (legacyStudents.length === 0) {
+            return;
+        }
+
+        debugLog('Moving embedded assessments to subcollections for', legacyStudents.length, 'students...');
+
+        // Copy first, then drop the array - a failure part-way leaves the array to retry next sign-in
+        for (const student of legacyStudents) {
+            await writeAssessmentDocs(student.id, student.assessments);
+            const studentRef = doc(db, 'users', user.uid, 'students', student.id);
+            await updateDoc(studentRef, { assessments: deleteField() });
+            await recalculateAssessmentStats(student.id);
+        }
+
+        debugLog('Assessment migration completed');
+    } catch (error) {
+        debugError('Error migrating assessments:', error);
+    }
+}
+
 export async function migrateLocalStorageToFirestore(userId) {
     try {
         debugLog('Checking for localStorage data to migrate...');
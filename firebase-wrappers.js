@@ -2,16 +2,130 @@
 // This file provides wrapper functions that make async Firebase calls work with the synchronous UI code
 
 import * as FirebaseDB from './firebase-db.js';
-import { escapeHtml, ACCURACY_THRESHOLDS, getCardAccuracyClass } from './utils.js';
+import { getCurrentUser } from './firebase-auth.js';
+import { escapeHtml, ACCURACY_THRESHOLDS, getCardAccuracyClass, parseGradeLevel } from './utils.js';
+import { GOAL_STATUS, GOAL_STATUS_LABELS, evaluateGoalProgress } from './modules/goals.js';
+
+// ============ ACTIVE CLASS ============
+// '' means all students. Kept per teacher so a shared device doesn't mix rosters.
+
+function getActiveClassKey() {
+    return `wordAnalyzerActiveClass:${getCurrentUser()?.uid || ''}`;
+}
+
+window.getActiveClassId = function() {
+    return localStorage.getItem(getActiveClassKey()) || '';
+};
+
+window.setActiveClassId = function(classId) {
+    if (classId) localStorage.setItem(getActiveClassKey(), classId);
+    else localStorage.removeItem(getActiveClassKey());
+};
+
+// Students in the active class (all students when no class is selected)
+async function getActiveClassStudents() {
+    const students = Object.values(await FirebaseDB.getAllStudents());
+    const classId = window.getActiveClassId();
+    return classId ? students.filter(s => s.classId === classId) : students;
+}
+
+// Fill the sidebar class switcher and the student form's class picker
+window.updateClassPickersAsync = async function() {
+    const classes = await FirebaseDB.getAllClasses();
+    let activeClassId = window.getActiveClassId();
+
+    // The active class was deleted (possibly on another device)
+    if (activeClassId && !classes.some(c => c.id === activeClassId)) {
+        window.setActiveClassId('');
+        activeClassId = '';
+    }
+
+    const options = classes.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+
+    const activeClassSelect = document.getElementById('active-class-select');
+    if (activeClassSelect) {
+        activeClassSelect.innerHTML = '<option value="">All students</option>' + options;
+        activeClassSelect.value = activeClassId;
+    }
+
+    const studentClassSelect = document.getElementById('student-class-input');
+    if (studentClassSelect) {
+        const current = studentClassSelect.value;
+        studentClassSelect.innerHTML = '<option value="">No class</option>' + options;
+        studentClassSelect.value = classes.some(c => c.id === current) ? current : '';
+    }
+
+    const overviewTitle = document.getElementById('class-overview-title');
+    if (overviewTitle) {
+        overviewTitle.textContent = classes.find(c => c.id === activeClassId)?.name || 'Class Overview';
+    }
+
+    return classes;
+};
+
+// Current roster filter values from the class overview filter bar
+function getStudentFilters() {
+    return {
+        search: (document.getElementById('student-filter-search')?.value || '').trim().toLowerCase(),
+        grade: document.getElementById('student-filter-grade')?.value || '',
+        section: document.getElementById('student-filter-section')?.value || '',
+        iep: !!document.getElementById('student-filter-iep')?.checked,
+        ell: !!document.getElementById('student-filter-ell')?.checked
+    };
+}
+
+function matchesStudentFilters(student, filters) {
+    if (filters.search && !student.name.toLowerCase().includes(filters.search) &&
+        !(student.externalId || '').toLowerCase().includes(filters.search)) return false;
+
+    // Students saved before gradeLevel existed still have a free-text grade
+    const gradeLevel = student.gradeLevel ?? parseGradeLevel(student.grade);
+    if (filters.grade === 'none' && gradeLevel !== null) return false;
+    if (filters.grade && filters.grade !== 'none' && gradeLevel !== Number(filters.grade)) return false;
+
+    if (filters.section && (student.section || '') !== filters.section) return false;
+    if (filters.iep && !student.iep) return false;
+    if (filters.ell && !student.ell) return false;
+    return true;
+}
+
+// Keep the section filter's options in step with the sections actually in use
+function updateSectionFilterOptions(studentArray) {
+    const sectionSelect = document.getElementById('student-filter-section');
+    if (!sectionSelect) return;
+
+    const current = sectionSelect.value;
+    const sections = [...new Set(studentArray.map(s => s.section).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    sectionSelect.innerHTML = '<option value="">All classes/sections</option>' +
+        sections.map(section => `<option value="${escapeHtml(section)}">${escapeHtml(section)}</option>`).join('');
+    sectionSelect.value = sections.includes(current) ? current : '';
+}
+
+// Students in the active class that pass the filter bar (the dashboard and table views use this too)
+window.getFilteredClassStudentsAsync = async function() {
+    const allStudents = await getActiveClassStudents();
+    updateSectionFilterOptions(allStudents);
+    const filters = getStudentFilters();
+    return { allStudents, students: allStudents.filter(student => matchesStudentFilters(student, filters)) };
+};
 
 // Make async database functions globally available with promise handlers
 window.renderStudentsGridAsync = async function() {
-    const students = await FirebaseDB.getAllStudents();
-    const studentArray = Object.values(students);
-
     const studentsGrid = document.getElementById('students-grid');
     if (!studentsGrid) return;
 
+    const { allStudents, students: studentArray } = await window.getFilteredClassStudentsAsync();
+
+    if (allStudents.length > 0 && studentArray.length === 0) {
+        studentsGrid.innerHTML = `
+            <div class="empty-state">
+                <h3>No Matching Students</h3>
+                <p>No students match the current filters.</p>
+            </div>
+        `;
+        return;
+    }
+
     if (studentArray.length === 0) {
         studentsGrid.innerHTML = `
             <div class="empty-state">
@@ -24,26 +138,45 @@ window.renderStudentsGridAsync = async function() {
                     </svg>
                 </div>
                 <h3>No Students Yet</h3>
-                <p>Add your first student to start tracking their reading progress.</p>
+                <p>${window.getActiveClassId()
+                    ? 'This class has no students yet. Add a student or assign existing students to it.'
+                    : 'Add your first student to start tracking their reading progress.'}</p>
             </div>
         `;
         return;
     }
 
+    // Goal status needs each goal-holder's assessments; everyone else only has the summary loaded
+    const goalProgress = new Map(await Promise.all(studentArray.filter(s => s.goal).map(async s => {
+        try {
+            return [s.id, evaluateGoalProgress(await FirebaseDB.getStudentAssessments(s.id), s.goal)];
+        } catch (error) {
+            return [s.id, null];
+        }
+    })));
+
     studentsGrid.innerHTML = studentArray.map(student => {
         const stats = FirebaseDB.getStudentStats(student);
         const safeName = escapeHtml(student.name);
-        const safeGrade = escapeHtml(student.grade || 'No grade set');
+        const safeGrade = escapeHtml([student.grade || 'No grade set', student.section].filter(Boolean).join(' • '));
         const safeId = escapeHtml(student.id);
         const initial = safeName.charAt(0).toUpperCase();
+        const progress = goalProgress.get(student.id);
+        const badges = [
+            student.iep ? '<span class="student-badge">IEP</span>' : '',
+            student.ell ? '<span class="student-badge">ELL</span>' : '',
+            progress && progress.status !== GOAL_STATUS.NOT_ENOUGH_DATA
+                ? `<span class="goal-badge ${progress.status}">${GOAL_STATUS_LABELS[progress.status]}</span>` : ''
+        ].join('');
 
         return `
-            <div class="student-card" data-student-id="${safeId}">
+            <div class="student-card ${progress?.status === GOAL_STATUS.OFF_TRACK ? 'off-track' : ''}" data-student-id="${safeId}">
                 <div class="student-card-header">
                     <div class="student-avatar">${initial}</div>
                     <div class="student-info">
                         <h3>${safeName}</h3>
                         <p class="student-grade">${safeGrade}</p>
+                        ${badges ? `<div class="student-badges">${badges}</div>` : ''}
                     </div>
                 </div>
                 <div class="student-stats">
@@ -83,22 +216,24 @@ window.updateStudentDropdownAsync = async function() {
     const studentSelect = document.getElementById('student-select');
     if (!studentSelect) return;
 
-    const students = await FirebaseDB.getAllStudents();
-    const studentArray = Object.values(students).sort((a, b) => a.name.localeCompare(b.name));
+    const current = studentSelect.value;
+    const studentArray = (await getActiveClassStudents()).sort((a, b) => a.name.localeCompare(b.name));
 
     studentSelect.innerHTML = '<option value="">Choose student...</option>' +
         studentArray.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)} (${escapeHtml(s.grade || 'No grade')})</option>`).join('');
+    if (studentArray.some(s => s.id === current)) studentSelect.value = current;
 };
 
 window.updateAssessmentStudentDropdownAsync = async function() {
     const assessmentStudentSelect = document.getElementById('assessment-student-select');
     if (!assessmentStudentSelect) return;
 
-    const students = await FirebaseDB.getAllStudents();
-    const studentArray = Object.values(students).sort((a, b) => a.name.localeCompare(b.name));
+    const current = assessmentStudentSelect.value;
+    const studentArray = (await getActiveClassStudents()).sort((a, b) => a.name.localeCompare(b.name));
 
     assessmentStudentSelect.innerHTML = '<option value="">Choose a student...</option>' +
         studentArray.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)} (${escapeHtml(s.grade || 'No grade')})</option>`).join('');
+    if (studentArray.some(s => s.id === current)) assessmentStudentSelect.value = current;
 };
 
 // Export Firebase functions for global use
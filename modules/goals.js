@@ -0,0 +1,147 @@
+/**
+ * Goals Module - Student reading goals and aim-line progress checks
+ * A goal is a WCPM and/or accuracy target by a date. The aim line runs from the
+ * baseline assessment to the target; the most recent points are compared against
+ * it using the usual progress-monitoring decision rule (N points in a row).
+ */
+
+import { getAssessmentWcpm } from '../utils.js';
+
+// Points in a row needed before calling a student on or off track
+export const GOAL_DECISION_POINTS = 3;
+
+export const GOAL_STATUS = {
+    ON_TRACK: 'on-track',
+    OFF_TRACK: 'off-track',
+    MIXED: 'mixed',
+    NOT_ENOUGH_DATA: 'not-enough-data'
+};
+
+export const GOAL_STATUS_LABELS = {
+    'on-track': 'On track',
+    'off-track': 'Off track',
+    mixed: 'Monitoring',
+    'not-enough-data': 'Not enough data'
+};
+
+/**
+ * Target date as a timestamp (end of the chosen day)
+ * @param {Object} goal - Student goal
+ * @returns {number} Milliseconds
+ */
+export function getGoalTargetTime(goal) {
+    return new Date(goal.targetDate + 'T23:59:59').getTime();
+}
+
+/**
+ * Baseline assessment: the last one on or before the day the goal was set,
+ * or the first one after it for students with no history yet
+ * @param {Object[]} assessments - Student assessments
+ * @param {Object} goal - Student goal
+ * @returns {Object|null} Baseline assessment
+ */
+export function getGoalBaseline(assessments, goal) {
+    const sorted = [...(assessments || [])].sort((a, b) => a.date - b.date);
+    const before = sorted.filter(a => a.date <= goal.setAt);
+    return before.length > 0 ? before[before.length - 1] : (sorted[0] || null);
+}
+
+/**
+ * Aim-line value at a given time (straight line from baseline to target)
+ * @param {Object} start - { time, value }
+ * @param {Object} end - { time, value }
+ * @param {number} time - Milliseconds
+ * @returns {number} Expected value
+ */
+export function getAimValue(start, end, time) {
+    if (end.time <= start.time) return end.value;
+    const progress = Math.min(1, Math.max(0, (time - start.time) / (end.time - start.time)));
+    return start.value + (end.value - start.value) * progress;
+}
+
+/**
+ * Compare the most recent points after the baseline with one aim line
+ * @param {Object[]} points - [{ time, value }] oldest first
+ * @param {Object} start - Aim line start { time, value }
+ * @param {Object} end - Aim line end { time, value }
+ * @param {number} decisionPoints - Points in a row for a decision
+ * @returns {Object} { status, above, below, checked }
+ */
+function evaluateAimLine(points, start, end, decisionPoints) {
+    const recent = points.filter(p => p.time > start.time).slice(-decisionPoints);
+    if (recent.length < decisionPoints) {
+        return { status: GOAL_STATUS.NOT_ENOUGH_DATA, above: 0, below: 0, checked: recent.length };
+    }
+
+    const below = recent.filter(p => p.value < getAimValue(start, end, p.time)).length;
+    const above = recent.length - below;
+    const status = below === recent.length ? GOAL_STATUS.OFF_TRACK
+        : above === recent.length ? GOAL_STATUS.ON_TRACK
+        : GOAL_STATUS.MIXED;
+    return { status, above, below, checked: recent.length };
+}
+
+/**
+ * Build the aim lines for a student's goal
+ * @param {Object[]} assessments - Student assessments
+ * @param {Object} goal - { wcpm, accuracy, targetDate, setAt }
+ * @returns {Object|null} { baseline, wcpm: { start, end } | null, accuracy: { start, end } | null }
+ */
+export function getAimLines(assessments, goal) {
+    const baseline = goal ? getGoalBaseline(assessments, goal) : null;
+    if (!baseline) return null;
+
+    const targetTime = getGoalTargetTime(goal);
+    const baselineWcpm = getAssessmentWcpm(baseline);
+    return {
+        baseline,
+        wcpm: goal.wcpm && baselineWcpm !== null
+            ? { start: { time: baseline.date, value: baselineWcpm }, end: { time: targetTime, value: goal.wcpm } }
+            : null,
+        accuracy: goal.accuracy
+            ? { start: { time: baseline.date, value: baseline.accuracy || 0 }, end: { time: targetTime, value: goal.accuracy } }
+            : null
+    };
+}
+
+/**
+ * Is the student on track for their goal?
+ * Off track when either metric's last N points all fall below its aim line.
+ * @param {Object[]} assessments - Student assessments
+ * @param {Object} goal - Student goal
+ * @param {number} [decisionPoints] - Points in a row for a decision
+ * @returns {Object|null} { status, wcpm, accuracy } or null without a goal/baseline
+ */
+export function evaluateGoalProgress(assessments, goal, decisionPoints = GOAL_DECISION_POINTS) {
+    const lines = getAimLines(assessments, goal);
+    if (!lines) return null;
+
+    const sorted = [...assessments].sort((a, b) => a.date - b.date);
+    const wcpm = lines.wcpm
+        ? evaluateAimLine(sorted.map(a => ({ time: a.date, value: getAssessmentWcpm(a) })).filter(p => p.value !== null),
+            lines.wcpm.start, lines.wcpm.end, decisionPoints)
+        : null;
+    const accuracy = lines.accuracy
+        ? evaluateAimLine(sorted.map(a => ({ time: a.date, value: a.accuracy || 0 })),
+            lines.accuracy.start, lines.accuracy.end, decisionPoints)
+        : null;
+
+    const results = [wcpm, accuracy].filter(Boolean);
+    let status = GOAL_STATUS.NOT_ENOUGH_DATA;
+    if (results.some(r => r.status === GOAL_STATUS.OFF_TRACK)) status = GOAL_STATUS.OFF_TRACK;
+    else if (results.length > 0 && results.every(r => r.status === GOAL_STATUS.ON_TRACK)) status = GOAL_STATUS.ON_TRACK;
+    else if (results.some(r => r.status !== GOAL_STATUS.NOT_ENOUGH_DATA)) status = GOAL_STATUS.MIXED;
+
+    return { status, wcpm, accuracy };
+}
+
+export default {
+    GOAL_DECISION_POINTS,
+    GOAL_STATUS,
+    GOAL_STATUS_LABELS,
+    getGoalTargetTime,
+    getGoalBaseline,
+    getAimValue,
+    getAimLines,
+    evaluateGoalProgress
+};
@@ -0,0 +1,188 @@
+/**
+ * Intervention Groups Module - Suggest small groups from class-wide error patterns
+ * Each student is placed by their dominant pattern (the one they show most often per
+ * assessment), so a group shares one instructional focus.
+ * Suggestions are a starting point; the teacher saves the groups they actually run.
+ */
+
+// Errors per assessment at which a pattern counts as a need
+const MIN_NEED_RATE = 1;
+
+// Instructional focuses, read from aggregateErrorPatterns() output
+export const INTERVENTION_FOCUSES = [
+    {
+        key: 'consonantBlends',
+        label: 'Consonant Blends',
+        get: a => a.phonicsPatterns.consonantBlends,
+        recommendation: 'Blend sorts and word building with initial and final blends (bl, st, tr, -nd, -mp); tap each sound before blending.'
+    },
+    {
+        key: 'digraphs',
+        label: 'Digraphs',
+        get: a => a.phonicsPatterns.digraphs,
+        recommendation: 'Digraph picture sorts and dictation (sh, ch, th, wh, ck); contrast digraphs with the single letters they replace.'
+    },
+    {
+        key: 'initialSounds',
+        label: 'Initial Sounds',
+        get: a => a.phonicsPatterns.initialSoundErrors,
+        recommendation: 'Onset practice with letter-sound cards and initial-sound substitution games.'
+    },
+    {
+        key: 'finalSounds',
+        label: 'Word Endings',
+        get: a => a.phonicsPatterns.finalSoundErrors,
+        recommendation: 'Attend to the ends of words: final-sound chains, inflected-ending sorts (-s, -ed, -ing), finger-sweep under the whole word.'
+    },
+    {
+        key: 'vowelPatterns',
+        label: 'Vowel Patterns',
+        get: a => a.phonicsPatterns.vowelPatterns,
+        recommendation: 'Short/long vowel contrasts and vowel-team sorts; decodable text targeting the confused patterns.'
+    },
+    {
+        key: 'rControlledVowels',
+        label: 'R-controlled Vowels',
+        get: a => a.phonicsPatterns.rControlledVowels,
+        recommendation: 'Sort and read ar, or and er/ir/ur words; contrast with the short vowel (cat/cart, hot/horse).'
+    },
+    {
+        key: 'silentLetters',
+        label: 'Silent e & Silent Letters',
+        get: a => a.phonicsPatterns.silentLetters,
+        recommendation: 'Silent-e word pairs (kit/kite, hop/hope) and silent-letter sorts (kn, wr, mb); mark the silent letter before reading.'
+    },
+    {
+        key: 'firstLetterGuessing',
+        label: 'First-letter Guessing',
+        get: a => a.readingStrategies.firstLetterGuessing,
+        recommendation: 'Look through the whole word: cover-and-reveal decoding, sound-by-sound blending before saying the word.'
+    },
+    {
+        key: 'partialDecoding',
+        label: 'Partial Decoding',
+        get: a => a.readingStrategies.partialDecoding,
+        recommendation: 'Multisyllable routines: chunk words into syllables, read each part, then blend the whole word.'
+    },
+    {
+        key: 'contextGuessing',
+        label: 'Meaning-based Guessing',
+        get: a => a.readingStrategies.contextGuessing,
+        recommendation: 'Cross-check meaning with print: "Does it look right as well as make sense?" Reread with a finger under the word.'
+    },
+    {
+        key: 'thSound',
+        label: 'TH Substitutions',
+        get: a => a.speechPatterns.thSoundIssues,
+        recommendation: 'TH articulation and minimal pairs (thin/fin, that/dat); consider a speech-language referral if it persists.'
+    },
+    {
+        key: 'rSound',
+        label: 'R Sound',
+        get: a => a.speechPatterns.rSoundIssues,
+        recommendation: 'R-sound minimal pairs (red/wed, rain/wain); consider a speech-language referral if it persists.'
+    }
+];
+
+/**
+ * Rate and rationale for each pattern a student shows often enough to count
+ * @param {Object} aggregated - aggregateErrorPatterns() result
+ * @returns {Object[]} Needs, strongest first: { focus, count, rate }
+ */
+export function getStudentNeeds(aggregated) {
+    const assessments = aggregated?.assessmentsWithPatterns || 0;
+    if (assessments === 0) return [];
+
+    return INTERVENTION_FOCUSES
+        .map(focus => {
+            const count = focus.get(aggregated) || 0;
+            const rate = count / assessments;
+            return { focus, count, rate };
+        })
+        .filter(need => need.rate >= MIN_NEED_RATE)
+        .sort((a, b) => b.rate - a.rate || b.count - a.count);
+}
+
+/**
+ * Human-readable rationale for a student's placement
+ * @param {Object[]} needs - getStudentNeeds() result
+ * @param {number} assessments - Assessments with pattern data
+ * @returns {string} e.g. "Consonant Blends: 7 in 3 assessments (2.3 each); also Digraphs (1.3 each)"
+ */
+function describeNeeds(needs, assessments) {
+    const [primary, ...others] = needs;
+    const main = `${primary.focus.label}: ${primary.count} in ${assessments} assessment${assessments !== 1 ? 's' : ''} (${primary.rate.toFixed(1)} each)`;
+    const also = others.slice(0, 2).map(n => `${n.focus.label} (${n.rate.toFixed(1)} each)`);
+    return also.length ? `${main}; also ${also.join(', ')}` : main;
+}
+
+/**
+ * Split an ordered list into consecutive chunks of near-equal size
+ * (students arrive strongest need first, so similar needs stay together)
+ * @param {Array} items - Items to split
+ * @param {number} maxSize - Largest allowed chunk
+ * @returns {Array[]} Chunks
+ */
+function splitEvenly(items, maxSize) {
+    const chunkCount = Math.ceil(items.length / maxSize);
+    const chunks = [];
+    let start = 0;
+    for (let i = 0; i < chunkCount; i++) {
+        const size = Math.ceil((items.length - start) / (chunkCount - i));
+        chunks.push(items.slice(start, start + size));
+        start += size;
+    }
+    return chunks;
+}
+
+/**
+ * Suggest small groups for a class
+ * @param {Object[]} students - [{ id, name, aggregated }] where aggregated is aggregateErrorPatterns(student)
+ * @param {Object} [options] - { maxGroupSize }
+ * @returns {Object} { groups: [{ name, focus, label, recommendation, students: [{ id, name, rationale }] }], ungrouped: [{ id, name, reason }] }
+ */
+export function suggestInterventionGroups(students, { maxGroupSize = 6 } = {}) {
+    const byFocus = new Map();
+    const ungrouped = [];
+
+    students.forEach(({ id, name, aggregated }) => {
+        const assessments = aggregated?.assessmentsWithPatterns || 0;
+        if (assessments === 0) {
+            ungrouped.push({ id, name, reason: 'No pattern data yet' });
+            return;
+        }
+
+        const needs = getStudentNeeds(aggregated);
+        if (needs.length === 0) {
+            ungrouped.push({ id, name, reason: 'No dominant error pattern' });
+            return;
+        }
+
+        const focusKey = needs[0].focus.key;
+        if (!byFocus.has(focusKey)) byFocus.set(focusKey, []);
+        byFocus.get(focusKey).push({ id, name, rationale: describeNeeds(needs, assessments), rate: needs[0].rate });
+    });
+
+    const groups = [];
+    INTERVENTION_FOCUSES.forEach(focus => {
+        const members = (byFocus.get(focus.key) || []).sort((a, b) => b.rate - a.rate);
+        if (members.length === 0) return;
+
+        const chunks = splitEvenly(members, maxGroupSize);
+        chunks.forEach((chunk, i) => {
+            groups.push({
+                name: chunks.length > 1 ? `${focus.label} ${String.fromCharCode(65 + i)}` : focus.label,
+                focus: focus.key,
+                label: focus.label,
+                recommendation: focus.recommendation,
+                students: chunk.map(({ id, name, rationale }) => ({ id, name, rationale }))
+            });
+        });
+    });
+
+    // Largest groups first - they're where a small-group lesson reaches the most students
+    groups.sort((a, b) => b.students.length - a.students.length);
+    return { groups, ungrouped };
+}
+
+export default { INTERVENTION_FOCUSES, getStudentNeeds, suggestInterventionGroups };
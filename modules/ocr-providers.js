@@ -0,0 +1,210 @@
+/**
+ * OCR Providers Module - Pluggable text detection backends
+ * Every provider exposes recognize(imageDataUrl) and resolves to the word list
+ * mergeHyphenatedWords() consumes: [{ text, bbox: {x0, y0, x1, y1}, vertices }]
+ */
+
+import { debugLog } from '../utils.js';
+import { trackApiUsage } from '../firebase-api-key-manager.js';
+
+// Tesseract.js 5.1.1, its LSTM cores and the English data are vendored (see vendor/tesseract/README.md)
+// so on-device OCR never needs a CDN. The worker picks the SIMD or plain core from corePath.
+const TESSERACT_BASE_URL = new URL('../vendor/tesseract/', import.meta.url).href;
+const TESSERACT_PATHS = {
+    script: `${TESSERACT_BASE_URL}tesseract.min.js`,
+    workerPath: `${TESSERACT_BASE_URL}worker.min.js`,
+    corePath: `${TESSERACT_BASE_URL}core`,
+    langPath: `${TESSERACT_BASE_URL}lang`
+};
+
+/**
+ * Only keep tokens with at least one letter or digit (drops stray punctuation)
+ * @param {string} text - OCR token
+ * @returns {boolean} True if the token is a readable word
+ */
+function isReadableToken(text) {
+    return /[a-zA-Z0-9]/.test(text || '');
+}
+
+/**
+ * Build an axis-aligned bbox from polygon vertices
+ * @param {Array<{x: number, y: number}>} vertices - Polygon corners
+ * @returns {Object} { x0, y0, x1, y1 }
+ */
+function bboxFromVertices(vertices) {
+    const xs = vertices.map(v => v.x || 0);
+    const ys = vertices.map(v => v.y || 0);
+    return {
+        x0: Math.min(...xs),
+        y0: Math.min(...ys),
+        x1: Math.max(...xs),
+        y1: Math.max(...ys)
+    };
+}
+
+// ============ GOOGLE CLOUD VISION ============
+
+/**
+ * Google Cloud Vision provider (DOCUMENT_TEXT_DETECTION)
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Google Cloud API key
+ * @returns {Object} OCR provider
+ */
+export function createVisionOcrProvider({ apiKey }) {
+    return {
+        id: 'vision',
+        label: 'Google Cloud Vision',
+
+        isConfigured() {
+            return !!apiKey;
+        },
+
+        async recognize(imageDataUrl) {
+            // DOCUMENT_TEXT_DETECTION gives better word boundaries than TEXT_DETECTION
+            const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    requests: [{
+                        image: { content: imageDataUrl.split(',')[1] },
+                        features: [{ type: 'DOCUMENT_TEXT_DETECTION', maxResults: 1 }]
+                    }]
+                })
+            });
+
+            const data = await response.json();
+            await trackApiUsage('vision');
+
+            if (data.error) {
+                throw new Error(data.error.message);
+            }
+
+            const words = [];
+            const annotation = data.responses?.[0]?.fullTextAnnotation;
+            (annotation?.pages || []).forEach(page => {
+                page.blocks.forEach(block => {
+                    block.paragraphs.forEach(paragraph => {
+                        paragraph.words.forEach(word => {
+                            const vertices = word.boundingBox.vertices;
+                            const text = word.symbols.map(s => s.text).join('');
+                            if (isReadableToken(text)) {
+                                words.push({ text, bbox: bboxFromVertices(vertices), vertices });
+                            }
+                        });
+                    });
+                });
+            });
+
+            return words;
+        }
+    };
+}
+
+// ============ TESSERACT.JS (IN-BROWSER) ============
+
+let tesseractLoadPromise = null;
+let tesseractWorkerPromise = null;
+
+/**
+ * Load the bundled Tesseract.js script once
+ * @returns {Promise<Object>} window.Tesseract
+ */
+function loadTesseract() {
+    if (window.Tesseract) return Promise.resolve(window.Tesseract);
+    if (!tesseractLoadPromise) {
+        tesseractLoadPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = TESSERACT_PATHS.script;
+            script.onload = () => resolve(window.Tesseract);
+            script.onerror = () => {
+                tesseractLoadPromise = null;
+                reject(new Error('Could not load the on-device OCR engine.'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return tesseractLoadPromise;
+}
+
+/**
+ * Shared English worker - spinning one up takes a few seconds, so reuse it
+ * @param {Function} onProgress - Status text callback
+ * @returns {Promise<Object>} Tesseract worker
+ */
+function getTesseractWorker(onProgress) {
+    if (!tesseractWorkerPromise) {
+        tesseractWorkerPromise = loadTesseract()
+            .then(Tesseract => Tesseract.createWorker('eng', 1, {
+                workerPath: TESSERACT_PATHS.workerPath,
+                corePath: TESSERACT_PATHS.corePath,
+                langPath: TESSERACT_PATHS.langPath,
+                logger: m => {
+                    if (m.status === 'recognizing text') {
+                        onProgress(`Detecting text... ${Math.round((m.progress || 0) * 100)}%`);
+                    } else if (m.status) {
+                        onProgress(`Preparing on-device OCR (${m.status})...`);
+                    }
+                }
+            }))
+            .catch(error => {
+                tesseractWorkerPromise = null;
+                throw error;
+            });
+    }
+    return tesseractWorkerPromise;
+}
+
+/**
+ * In-browser Tesseract.js provider - no API key, no cost, image never leaves the device
+ * @param {Object} [options] - Provider options
+ * @param {Function} [options.onProgress] - Status text callback
+ * @returns {Object} OCR provider
+ */
+export function createTesseractOcrProvider({ onProgress = () => {} } = {}) {
+    return {
+        id: 'tesseract',
+        label: 'On-device (Tesseract.js)',
+
+        isConfigured() {
+            return true;
+        },
+
+        async recognize(imageDataUrl) {
+            const worker = await getTesseractWorker(onProgress);
+            const { data } = await worker.recognize(imageDataUrl);
+
+            debugLog('Tesseract found', data.words?.length || 0, 'words, mean confidence', data.confidence);
+
+            return (data.words || [])
+                .filter(word => isReadableToken(word.text))
+                .map(word => {
+                    const { x0, y0, x1, y1 } = word.bbox;
+                    return {
+                        text: word.text,
+                        bbox: { x0, y0, x1, y1 },
+                        // Same clockwise-from-top-left order Vision uses
+                        vertices: [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }]
+                    };
+                });
+        }
+    };
+}
+
+// ============ REGISTRY ============
+
+export const OCR_PROVIDERS = {
+    vision: { label: 'Google Cloud Vision', create: createVisionOcrProvider },
+    tesseract: { label: 'On-device (Tesseract.js)', create: createTesseractOcrProvider }
+};
+
+/**
+ * Build the provider selected in settings
+ * @param {Object} config - { provider, apiKey, onProgress }
+ * @returns {Object} OCR provider (falls back to Vision for unknown ids)
+ */
+export function createOcrProvider(config) {
+    const entry = OCR_PROVIDERS[config.provider] || OCR_PROVIDERS.vision;
+    return entry.create(config);
+}
+
+export default { createOcrProvider, createVisionOcrProvider, createTesseractOcrProvider, OCR_PROVIDERS };
@@ -0,0 +1,247 @@
+/**
+ * Offline Queue Module - IndexedDB store for assessments that couldn't reach Firestore
+ * Each record keeps the full assessment plus its audio/image so nothing is lost when
+ * the teacher starts a new assessment before the connection comes back. A record stays
+ * queued until its media has uploaded too, even if the assessment itself already saved.
+ */
+
+import * as FirebaseDB from '../firebase-db.js';
+import { getCurrentUser } from '../firebase-auth.js';
+import { debugLog, debugError } from '../utils.js';
+
+const DB_NAME = 'word-analyzer-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingAssessments';
+
+export const QUEUE_STATUS = {
+    PENDING: 'pending',
+    CONFLICT: 'conflict'
+};
+
+let dbPromise = null;
+let flushPromise = null;
+
+/**
+ * Open (and create on first use) the offline database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'queueId' });
+                store.createIndex('userId', 'userId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one request against the queue store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runStoreRequest(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Queue an assessment for later upload
+ * assessmentData must already carry its id so a retry after a lost response
+ * doesn't create a second copy
+ * @param {Object} entry - { studentId, studentName, assessmentData, media: { audioBlob, imageDataUrl }, assessmentSaved, error }
+ *   error is a permanent save error (see addAssessmentToStudent); the record is then held for the teacher instead of retried
+ * @returns {Promise<Object>} Stored queue record
+ */
+export async function enqueueAssessment({ studentId, studentName = '', assessmentData, media = {}, assessmentSaved = false, error = null }) {
+    const user = getCurrentUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const record = {
+        queueId: assessmentData.id,
+        userId: user.uid,
+        studentId,
+        studentName,
+        assessmentData,
+        audioBlob: media.audioBlob || null,
+        imageDataUrl: media.imageDataUrl || null,
+        queuedAt: Date.now(),
+        status: error ? QUEUE_STATUS.CONFLICT : QUEUE_STATUS.PENDING,
+        // Assessment is in Firestore and only its media is waiting
+        assessmentSaved,
+        attempts: 0,
+        lastError: error ? getPermanentErrorMessage(error)
+            : assessmentSaved ? 'Recording and image upload failed - will retry.' : null
+    };
+
+    await runStoreRequest('readwrite', store => store.put(record));
+    debugLog('Assessment queued for sync:', record.queueId);
+    return record;
+}
+
+/**
+ * Queue message for a save error that retrying won't fix
+ * @param {Object} error - { code, message } from addAssessmentToStudent
+ * @returns {string} Message shown in the sync queue
+ */
+function getPermanentErrorMessage(error) {
+    return `Could not be saved (${error.code}): ${error.message}`;
+}
+
+/**
+ * Queued assessments for the signed-in teacher, oldest first
+ * (another teacher on the same device never sees or uploads them)
+ * @returns {Promise<Object[]>} Queue records
+ */
+export async function getQueuedAssessments() {
+    const user = getCurrentUser();
+    if (!user) return [];
+
+    const records = await runStoreRequest('readonly', store => store.index('userId').getAll(user.uid));
+    return records.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Remove a record from the queue (after upload, or when the teacher discards it)
+ * @param {string} queueId - Record id
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedAssessment(queueId) {
+    await runStoreRequest('readwrite', store => store.delete(queueId));
+}
+
+/**
+ * Point a conflicted record at a different student and mark it pending again
+ * @param {string} queueId - Record id
+ * @param {string} studentId - New student id
+ * @param {string} studentName - New student name (for display)
+ * @returns {Promise<void>}
+ */
+export async function reassignQueuedAssessment(queueId, studentId, studentName) {
+    const record = await runStoreRequest('readonly', store => store.get(queueId));
+    if (!record) return;
+
+    await runStoreRequest('readwrite', store => store.put({
+        ...record,
+        studentId,
+        studentName,
+        status: QUEUE_STATUS.PENDING,
+        lastError: null
+    }));
+}
+
+/**
+ * Try to upload one queued record
+ * @param {Object} record - Queue record
+ * @returns {Promise<string>} 'saved', 'partial' (assessment saved, media still queued), 'media' (queued media uploaded), 'conflict', or 'failed'
+ */
+async function syncRecord(record) {
+    // getStudent() throws while offline - the record just stays queued
+    const student = await FirebaseDB.getStudent(record.studentId, false);
+    if (!student) {
+        await runStoreRequest('readwrite', store => store.put({
+            ...record,
+            status: QUEUE_STATUS.CONFLICT,
+            lastError: 'This student was deleted before the assessment could sync.'
+        }));
+        return 'conflict';
+    }
+
+    const { saved, mediaSaved, error } = await FirebaseDB.addAssessmentToStudent(record.studentId, record.assessmentData, {
+        audioBlob: record.audioBlob,
+        imageDataUrl: record.imageDataUrl
+    });
+
+    // Only drop the blobs once they're in Storage - they're the only copy
+    if (saved && mediaSaved) {
+        await removeQueuedAssessment(record.queueId);
+        return record.assessmentSaved ? 'media' : 'saved';
+    }
+
+    // Bad data or a rules rejection fails the same way every time - hold it for the teacher
+    if (error?.permanent) {
+        await runStoreRequest('readwrite', store => store.put({
+            ...record,
+            status: QUEUE_STATUS.CONFLICT,
+            attempts: record.attempts + 1,
+            lastError: getPermanentErrorMessage(error)
+        }));
+        return 'conflict';
+    }
+
+    await runStoreRequest('readwrite', store => store.put({
+        ...record,
+        assessmentSaved: record.assessmentSaved || saved,
+        attempts: record.attempts + 1,
+        lastError: saved || record.assessmentSaved ? 'Recording and image upload failed - will retry.' : 'Upload failed - will retry.'
+    }));
+    return saved && !record.assessmentSaved ? 'partial' : 'failed';
+}
+
+/**
+ * Upload every pending record; failures stay queued for the next run
+ * Concurrent calls share one run so the same record is never uploaded twice at once
+ * @returns {Promise<Object>} { saved, conflicts, remaining } - saved counts assessments newly in Firestore
+ */
+export function flushQueuedAssessments() {
+    if (!flushPromise) {
+        flushPromise = (async () => {
+            const result = { saved: 0, conflicts: 0, remaining: 0 };
+            const records = await getQueuedAssessments();
+
+            for (const record of records) {
+                if (record.status === QUEUE_STATUS.CONFLICT) {
+                    result.conflicts++;
+                    continue;
+                }
+                if (!navigator.onLine) {
+                    result.remaining++;
+                    continue;
+                }
+
+                try {
+                    const outcome = await syncRecord(record);
+                    if (outcome === 'saved') result.saved++;
+                    else if (outcome === 'partial') {
+                        result.saved++;
+                        result.remaining++;
+                    } else if (outcome === 'conflict') result.conflicts++;
+                    else if (outcome !== 'media') result.remaining++;
+                } catch (error) {
+                    debugError('Error syncing queued assessment:', error);
+                    result.remaining++;
+                }
+            }
+
+            debugLog('Offline queue flushed:', result);
+            return result;
+        })().finally(() => {
+            flushPromise = null;
+        });
+    }
+    return flushPromise;
+}
+
+export default {
+    QUEUE_STATUS,
+    enqueueAssessment,
+    getQueuedAssessments,
+    removeQueuedAssessment,
+    reassignQueuedAssessment,
+    flushQueuedAssessments
+};
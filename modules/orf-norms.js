@@ -0,0 +1,67 @@
+/**
+ * ORF Norms Module - Oral reading fluency benchmarks by grade and season
+ * WCPM percentiles from Hasbrouck & Tindal (2017) compiled ORF norms, grades 1-6.
+ * Grade 1 has no fall norms (most students aren't reading connected text yet).
+ */
+
+// percentiles: WCPM at the 90th, 75th, 50th, 25th and 10th percentile
+export const ORF_NORMS = {
+    1: { winter: [97, 59, 29, 16, 9], spring: [116, 91, 60, 34, 18] },
+    2: { fall: [111, 84, 50, 36, 23], winter: [131, 109, 84, 59, 35], spring: [148, 124, 100, 72, 43] },
+    3: { fall: [134, 104, 83, 59, 40], winter: [161, 137, 97, 79, 62], spring: [166, 139, 112, 91, 63] },
+    4: { fall: [153, 125, 94, 75, 60], winter: [168, 143, 120, 95, 71], spring: [184, 160, 133, 105, 83] },
+    5: { fall: [179, 153, 121, 87, 64], winter: [183, 160, 133, 109, 84], spring: [195, 169, 146, 119, 102] },
+    6: { fall: [185, 159, 132, 112, 89], winter: [195, 166, 145, 116, 91], spring: [204, 173, 146, 122, 91] }
+};
+
+const PERCENTILES = [90, 75, 50, 25, 10];
+
+// Bands from the top down; className feeds the results/profile badges
+const PERCENTILE_BANDS = [
+    { label: 'At or above 90th percentile', short: '90th+', className: 'norm-high' },
+    { label: '75th-89th percentile', short: '75-89th', className: 'norm-above' },
+    { label: '50th-74th percentile', short: '50-74th', className: 'norm-average' },
+    { label: '25th-49th percentile', short: '25-49th', className: 'norm-below' },
+    { label: '10th-24th percentile', short: '10-24th', className: 'norm-low' },
+    { label: 'Below 10th percentile', short: '<10th', className: 'norm-low' }
+];
+
+/**
+ * Benchmark season for a date (US school year: fall Aug-Nov, winter Dec-Mar, spring Apr-Jul)
+ * @param {Date|number} date - Assessment date
+ * @returns {string} 'fall', 'winter' or 'spring'
+ */
+export function getSeasonForDate(date) {
+    const month = new Date(date).getMonth();
+    if (month >= 7 && month <= 10) return 'fall';
+    if (month === 11 || month <= 2) return 'winter';
+    return 'spring';
+}
+
+/**
+ * Compare a WCPM score against the grade/season norms
+ * @param {number} wcpm - Words correct per minute
+ * @param {number|null} gradeLevel - Structured grade (see parseGradeLevel)
+ * @param {Date|number} [date] - Assessment date (defaults to now)
+ * @returns {Object|null} { grade, season, wcpm, band, short, className, median } or null if no norms apply
+ */
+export function getNormComparison(wcpm, gradeLevel, date = Date.now()) {
+    const season = getSeasonForDate(date);
+    const percentiles = ORF_NORMS[gradeLevel]?.[season];
+    if (!percentiles || typeof wcpm !== 'number' || isNaN(wcpm)) return null;
+
+    const bandIndex = percentiles.findIndex(threshold => wcpm >= threshold);
+    const band = PERCENTILE_BANDS[bandIndex === -1 ? PERCENTILE_BANDS.length - 1 : bandIndex];
+
+    return {
+        grade: gradeLevel,
+        season,
+        wcpm,
+        band: band.label,
+        short: band.short,
+        className: band.className,
+        median: percentiles[PERCENTILES.indexOf(50)]
+    };
+}
+
+export default { ORF_NORMS, getSeasonForDate, getNormComparison };
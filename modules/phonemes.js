@@ -0,0 +1,320 @@
+/**
+ * Phonemes Module - Sound-level comparison of a text word with what was read
+ * Pronunciations come from the bundled CMU Pronouncing Dictionary subset
+ * (see pronouncing-dictionary.js); anything else, including non-words like
+ * "fone", goes through letter-to-sound rules. The two phoneme sequences are
+ * aligned and each difference is sorted into a phonics pattern.
+ */
+
+import { lookupPronunciation } from './pronouncing-dictionary.js';
+
+export const VOWEL_PHONEMES = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
+const LONG_VOWELS = new Set(['EY', 'IY', 'AY', 'OW', 'UW']);
+const SHORT_VOWELS = new Set(['AE', 'EH', 'IH', 'AA', 'AH']);
+
+// How a teacher would name each sound
+const SOUND_LABELS = {
+    AA: 'short o', AE: 'short a', AH: 'short u', AO: 'aw', AW: 'ow', AY: 'long i', EH: 'short e', ER: 'er',
+    EY: 'long a', IH: 'short i', IY: 'long e', OW: 'long o', OY: 'oy', UH: 'oo (book)', UW: 'oo (moon)',
+    CH: '/ch/', DH: '/th/ (voiced)', TH: '/th/', SH: '/sh/', ZH: '/zh/', NG: '/ng/', JH: '/j/', HH: '/h/'
+};
+
+// Vowel + r sounds by their usual spelling
+const R_CONTROLLED_LABELS = { AA: 'ar', AO: 'or', EH: 'air', IY: 'ear', IH: 'ear', UH: 'oor', AY: 'ire', AW: 'our', ER: 'er' };
+
+// Two-letter spellings of one sound, for telling digraph errors apart
+const DIGRAPH_SPELLINGS = [
+    { spelling: 'ch', sounds: ['CH', 'K', 'SH'] },
+    { spelling: 'sh', sounds: ['SH'] },
+    { spelling: 'th', sounds: ['TH', 'DH'] },
+    { spelling: 'ph', sounds: ['F'] },
+    { spelling: 'wh', sounds: ['W', 'HH'] },
+    { spelling: 'ck', sounds: ['K'] },
+    { spelling: 'ng', sounds: ['NG'] }
+];
+
+// Letters that are written but not said; `sound` is what a reader adds if they pronounce it
+const SILENT_LETTERS = [
+    { pattern: /^kn/, letters: 'k', spelling: 'kn', sound: 'K', at: 'start' },
+    { pattern: /^wr/, letters: 'w', spelling: 'wr', sound: 'W', at: 'start' },
+    { pattern: /^gn/, letters: 'g', spelling: 'gn', sound: 'G', at: 'start' },
+    { pattern: /^ps/, letters: 'p', spelling: 'ps', sound: 'P', at: 'start' },
+    { pattern: /^ho(nest|ur)/, letters: 'h', spelling: 'h', sound: 'HH', at: 'start' },
+    { pattern: /mb$/, letters: 'b', spelling: 'mb', sound: 'B', at: 'end' },
+    { pattern: /mn$/, letters: 'n', spelling: 'mn', sound: 'N', at: 'end' },
+    { pattern: /[aeiou]l[kfm]/, letters: 'l', spelling: 'alk/alf/alm', sound: 'L', at: 'any' },
+    { pattern: /st(le|en)$/, letters: 't', spelling: 'stle/sten', sound: 'T', at: 'any' },
+    { pattern: /[aeiou]gh/, letters: 'gh', spelling: 'gh', sound: 'G', at: 'any' }
+];
+
+const isVowelLetter = (ch) => !!ch && 'aeiou'.includes(ch);
+
+/**
+ * Phoneme name as shown to the teacher
+ * @param {string} phoneme - ARPAbet phoneme
+ * @returns {string} e.g. 'long a', '/sh/', '/t/'
+ */
+export function getSoundLabel(phoneme) {
+    if (!phoneme) return '(none)';
+    return SOUND_LABELS[phoneme] || `/${phoneme.toLowerCase()}/`;
+}
+
+/**
+ * Letter-to-sound rules for words not in the dictionary
+ * Covers the patterns taught in K-3 phonics: digraphs, silent-e, vowel teams,
+ * r-controlled vowels, soft c/g, silent letters and common endings
+ * @param {string} word - Lowercase letters only
+ * @returns {string[]} ARPAbet phonemes
+ */
+export function letterToSound(word) {
+    const phonemes = [];
+    const n = word.length;
+    let i = 0;
+
+    // Silent-e: vowel, one consonant, final e ("kite", "hope")
+    const magicE = n >= 3 && word[n - 1] === 'e' && !isVowelLetter(word[n - 2]) && isVowelLetter(word[n - 3]) &&
+        !(n >= 4 && isVowelLetter(word[n - 4]));
+    const longVowel = { a: ['EY'], e: ['IY'], i: ['AY'], o: ['OW'], u: ['UW'] };
+    const shortVowel = { a: ['AE'], e: ['EH'], i: ['IH'], o: ['AA'], u: ['AH'] };
+    const soft = (ch) => 'eiy'.includes(ch || '');
+
+    while (i < n) {
+        const rest = word.slice(i);
+        const next = word[i + 1];
+        const atEnd = (length) => i + length === n;
+
+        // Whole endings first
+        if (i > 0 && (rest === 'tion' || rest === 'sion')) { phonemes.push(rest === 'tion' ? 'SH' : 'ZH', 'AH', 'N'); break; }
+        if (i > 0 && rest === 'ture') { phonemes.push('CH', 'ER'); break; }
+        if (i > 1 && rest === 'le' && !isVowelLetter(word[i - 1])) { phonemes.push('AH', 'L'); break; }
+        if (n > 3 && rest === 'ed' && i > 1) {
+            const before = word[i - 1];
+            if ('td'.includes(before)) phonemes.push('IH', 'D');
+            else if ('pkfsxh'.includes(before)) phonemes.push('T');
+            else phonemes.push('D');
+            break;
+        }
+
+        // Silent letters
+        if (i === 0 && ['kn', 'wr', 'gn'].includes(rest.slice(0, 2))) { phonemes.push(rest[1] === 'r' ? 'R' : 'N'); i += 2; continue; }
+        if (rest === 'mb') { phonemes.push('M'); break; }
+
+        // Three-letter spellings
+        const three = rest.slice(0, 3);
+        if (three === 'tch') { phonemes.push('CH'); i += 3; continue; }
+        if (three === 'dge') { phonemes.push('JH'); i += 3; continue; }
+        if (three === 'igh') { phonemes.push('AY'); i += 3; continue; }
+        if (three === 'air' || (three === 'are' && atEnd(3))) { phonemes.push('EH', 'R'); i += 3; continue; }
+        if (three === 'ear' || three === 'eer') { phonemes.push('IY', 'R'); i += 3; continue; }
+        if (three === 'ore' && atEnd(3)) { phonemes.push('AO', 'R'); i += 3; continue; }
+        if (three === 'ire' && atEnd(3)) { phonemes.push('AY', 'ER'); i += 3; continue; }
+        if (rest.startsWith('ough') || rest.startsWith('augh')) { phonemes.push('AO'); i += 4; continue; }
+        if (rest.startsWith('eigh')) { phonemes.push('EY'); i += 4; continue; }
+
+        // Two-letter spellings
+        const two = rest.slice(0, 2);
+        const digraphs = { sh: ['SH'], ch: ['CH'], th: ['TH'], ph: ['F'], wh: ['W'], ck: ['K'], ng: ['NG'], qu: ['K', 'W'], gh: [] };
+        if (digraphs[two]) { phonemes.push(...digraphs[two]); i += 2; continue; }
+        if (two === 'nk') { phonemes.push('NG', 'K'); i += 2; continue; }
+
+        const rControlled = { ar: ['AA', 'R'], or: ['AO', 'R'], er: ['ER'], ir: ['ER'], ur: ['ER'] };
+        if (rControlled[two] && !isVowelLetter(word[i + 2] || '')) { phonemes.push(...rControlled[two]); i += 2; continue; }
+
+        const vowelTeams = {
+            ai: ['EY'], ay: ['EY'], ee: ['IY'], ea: ['IY'], oa: ['OW'], oe: ['OW'], oo: ['UW'], ou: ['AW'],
+            oi: ['OY'], oy: ['OY'], au: ['AO'], aw: ['AO'], ew: ['UW'], ue: ['UW'], ui: ['UW'], ei: ['EY']
+        };
+        if (two === 'ie') { phonemes.push(atEnd(2) ? 'AY' : 'IY'); i += 2; continue; }
+        if (two === 'ow') { phonemes.push(atEnd(2) ? 'OW' : 'AW'); i += 2; continue; }
+        if (two === 'ey' && atEnd(2)) { phonemes.push('IY'); i += 2; continue; }
+        if (vowelTeams[two]) { phonemes.push(...vowelTeams[two]); i += 2; continue; }
+
+        const ch = word[i];
+
+        // Doubled consonants say one sound
+        if (!isVowelLetter(ch) && ch === word[i - 1] && ch !== 'c') { i++; continue; }
+
+        if (isVowelLetter(ch)) {
+            // Final e is silent unless it's the only vowel ("me", "she")
+            if (ch === 'e' && atEnd(1) && /[aeiouy]/.test(word.slice(0, i))) { i++; continue; }
+            const isMagic = (magicE && i === n - 3) || (i > 0 && rest.slice(1) === 'tion' && 'ao'.includes(ch)); // "nation", "motion"
+            const openFinal = atEnd(1) && n <= 3; // "go", "me", "hi"
+            phonemes.push(...((isMagic || openFinal) ? longVowel[ch] : shortVowel[ch]));
+            i++;
+            continue;
+        }
+
+        if (ch === 'y') {
+            if (i === 0) phonemes.push('Y');
+            else if (atEnd(1)) phonemes.push(/[aeiouy]/.test(word.slice(0, i)) ? 'IY' : 'AY');
+            else phonemes.push('IH');
+            i++;
+            continue;
+        }
+
+        const consonants = {
+            b: ['B'], d: ['D'], f: ['F'], h: ['HH'], j: ['JH'], k: ['K'], l: ['L'], m: ['M'], n: ['N'],
+            p: ['P'], q: ['K'], r: ['R'], t: ['T'], v: ['V'], w: ['W'], z: ['Z']
+        };
+        if (ch === 'c') phonemes.push(soft(next) ? 'S' : 'K');
+        else if (ch === 'g') phonemes.push(soft(next) ? 'JH' : 'G');
+        else if (ch === 'x') phonemes.push(...(i === 0 ? ['Z'] : ['K', 'S']));
+        else if (ch === 's') phonemes.push(atEnd(1) && i > 0 && !'ptkf'.includes(word[i - 1]) ? 'Z' : 'S');
+        else if (consonants[ch]) phonemes.push(...consonants[ch]);
+        i++;
+    }
+
+    return phonemes;
+}
+
+/**
+ * Pronunciation of a word
+ * @param {string} word - Any token (case and punctuation are ignored)
+ * @returns {Object} { phonemes, source: 'dictionary' | 'rules' }
+ */
+export function getPronunciation(word) {
+    const normalized = (word || '').toLowerCase().replace(/[^a-z]/g, '');
+    const phonemes = lookupPronunciation(normalized);
+    if (phonemes) {
+        return { phonemes, source: 'dictionary' };
+    }
+    return { phonemes: letterToSound(normalized), source: 'rules' };
+}
+
+/**
+ * Align two phoneme sequences (edit distance; vowels only substitute for vowels
+ * and consonants for consonants unless there's no cheaper way)
+ * @param {string[]} expected - Phonemes of the text word
+ * @param {string[]} spoken - Phonemes of what was read
+ * @returns {Object[]} Steps: { type: 'match'|'substitute'|'delete'|'insert', expected, spoken, position }
+ *   position is the index in `expected` (for inserts, the index the sound was added before)
+ */
+export function alignPhonemes(expected, spoken) {
+    const m = expected.length;
+    const n = spoken.length;
+    const subCost = (a, b) => (a === b ? 0 : VOWEL_PHONEMES.has(a) === VOWEL_PHONEMES.has(b) ? 1 : 1.6);
+
+    const cost = Array.from({ length: m + 1 }, (_, i) => [i, ...Array(n).fill(0)]);
+    for (let j = 1; j <= n; j++) cost[0][j] = j;
+    for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+            cost[i][j] = Math.min(
+                cost[i - 1][j - 1] + subCost(expected[i - 1], spoken[j - 1]),
+                cost[i - 1][j] + 1,
+                cost[i][j - 1] + 1
+            );
+        }
+    }
+
+    const steps = [];
+    let i = m, j = n;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + subCost(expected[i - 1], spoken[j - 1])) {
+            const type = expected[i - 1] === spoken[j - 1] ? 'match' : 'substitute';
+            steps.unshift({ type, expected: expected[i - 1], spoken: spoken[j - 1], position: i - 1 });
+            i--; j--;
+        } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            steps.unshift({ type: 'delete', expected: expected[i - 1], spoken: null, position: i - 1 });
+            i--;
+        } else {
+            steps.unshift({ type: 'insert', expected: null, spoken: spoken[j - 1], position: i });
+            j--;
+        }
+    }
+    return steps;
+}
+
+/**
+ * Sort one alignment step into a phonics pattern
+ * @param {Object} step - From alignPhonemes
+ * @param {string[]} phonemes - Expected phonemes
+ * @param {string} spelling - Expected word, lowercase letters only
+ * @returns {Object|null} { category, pattern, expectedSound, actualSound, ... } or null if it isn't a phonics error
+ */
+function classifyStep(step, phonemes, spelling) {
+    const { type, position } = step;
+    const last = phonemes.length - 1;
+    const expectedSound = step.expected;
+    const actualSound = step.spoken;
+    const describe = `${getSoundLabel(expectedSound)} → ${getSoundLabel(actualSound)}`;
+
+    // Saying a letter that should be silent ("knife" read with a /k/)
+    if (type === 'insert') {
+        const silent = SILENT_LETTERS.find(s => s.pattern.test(spelling) && s.sound === actualSound &&
+            (s.at === 'any' || (s.at === 'start' ? position === 0 : position === phonemes.length)));
+        if (silent) {
+            return { category: 'silentLetters', pattern: `Pronounced silent ${silent.letters} (${silent.spelling})`, letters: silent.letters, expectedSound, actualSound };
+        }
+    }
+
+    const isVowel = VOWEL_PHONEMES.has(expectedSound);
+    const nextIsR = phonemes[position + 1] === 'R';
+    const prevIsVowel = VOWEL_PHONEMES.has(phonemes[position - 1]);
+
+    // R-controlled vowels: ER, or a vowel + R sound ("car", "horse")
+    if (expectedSound === 'ER' || (isVowel && nextIsR) || (expectedSound === 'R' && prevIsVowel && type !== 'insert')) {
+        const vowel = expectedSound === 'R' ? phonemes[position - 1] : expectedSound;
+        const rSound = R_CONTROLLED_LABELS[vowel] || `${getSoundLabel(vowel)} + r`;
+        const result = expectedSound === 'R' && type === 'delete' ? 'r dropped' : `→ ${getSoundLabel(actualSound)}`;
+        return { category: 'rControlledVowels', pattern: `R-controlled vowel "${rSound}" ${result}`, expectedSound, actualSound };
+    }
+
+    if (isVowel && type !== 'insert') {
+        // Silent e marks the long vowel before it; reading it short ignores the e
+        if (/[aeiou][^aeiou]e$/.test(spelling) && LONG_VOWELS.has(expectedSound) && SHORT_VOWELS.has(actualSound)) {
+            return { category: 'silentLetters', pattern: `Silent e ignored (${describe})`, letters: 'e', expectedSound, actualSound };
+        }
+        const pattern = LONG_VOWELS.has(expectedSound) && SHORT_VOWELS.has(actualSound) ? 'Long vowel read as short'
+            : SHORT_VOWELS.has(expectedSound) && LONG_VOWELS.has(actualSound) ? 'Short vowel read as long'
+            : type === 'delete' ? 'Vowel sound dropped'
+            : 'Vowel sound substitution';
+        return { category: 'vowelPatterns', pattern: `${pattern} (${describe})`, expectedSound, actualSound };
+    }
+
+    if (type === 'insert') {
+        if (position === 0) return { category: 'initialSoundErrors', pattern: `Added initial sound ${getSoundLabel(actualSound)}`, expectedSound, actualSound };
+        if (position === phonemes.length) return { category: 'finalSoundErrors', pattern: `Added final sound ${getSoundLabel(actualSound)}`, expectedSound, actualSound };
+        return null;
+    }
+
+    // Consonants
+    const digraph = DIGRAPH_SPELLINGS.find(d => spelling.includes(d.spelling) && d.sounds.includes(expectedSound));
+    if (digraph) {
+        return { category: 'digraphs', pattern: `Digraph ${digraph.spelling} (${describe})`, digraph: digraph.spelling, expectedSound, actualSound };
+    }
+
+    const inCluster = [phonemes[position - 1], phonemes[position + 1]].some(p => p && !VOWEL_PHONEMES.has(p));
+    if (type === 'delete' && inCluster) {
+        const start = VOWEL_PHONEMES.has(phonemes[position - 1] || 'AH') ? position : position - 1;
+        const blend = phonemes.slice(start, start + 2).map(p => p.toLowerCase()).join('');
+        return { category: 'consonantBlends', pattern: `Blend reduced: dropped ${getSoundLabel(expectedSound)} from /${blend}/`, blend, expectedSound, actualSound };
+    }
+
+    if (position === 0) return { category: 'initialSoundErrors', pattern: `Initial sound ${describe}`, expectedSound, actualSound };
+    if (position === last) return { category: 'finalSoundErrors', pattern: `Final sound ${describe}`, expectedSound, actualSound };
+    return null;
+}
+
+/**
+ * Compare a text word with what the reader said, sound by sound
+ * @param {string} expected - Text word
+ * @param {string} spoken - What was read
+ * @returns {Object} { expectedPhonemes, spokenPhonemes, steps, issues: [{ category, pattern, expectedSound, actualSound }] }
+ *   One issue per category per word; identical pronunciations ("phone"/"fone") give none
+ */
+export function comparePronunciations(expected, spoken) {
+    const spelling = (expected || '').toLowerCase().replace(/[^a-z]/g, '');
+    const expectedPhonemes = getPronunciation(expected).phonemes;
+    const spokenPhonemes = getPronunciation(spoken).phonemes;
+    const steps = alignPhonemes(expectedPhonemes, spokenPhonemes);
+
+    const issues = [];
+    steps.filter(step => step.type !== 'match').forEach(step => {
+        const issue = classifyStep(step, expectedPhonemes, spelling);
+        if (issue && !issues.some(existing => existing.category === issue.category)) issues.push(issue);
+    });
+
+    return { expectedPhonemes, spokenPhonemes, steps, issues };
+}
+
+export default { VOWEL_PHONEMES, getSoundLabel, letterToSound, getPronunciation, alignPhonemes, comparePronunciations };
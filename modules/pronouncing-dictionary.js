@@ -0,0 +1,16040 @@
+/**
+ * Pronouncing Dictionary Module - Bundled subset of the CMU Pronouncing Dictionary
+ * About 16,000 entries: the SCOWL size-35 common-word lists (the size most
+ * spellcheckers ship), minus words that are rare in speech (SUBTLEX-US count under
+ * 10). ARPAbet with stress marks dropped. The first cmudict variant is used except
+ * for a few words checked by hand for reading passages (e.g. live, read, was).
+ * Regular -s/-es, -ed and -ing forms are derived from their base rather than stored.
+ *
+ * Sources: CMU Pronouncing Dictionary (public domain); SCOWL word lists,
+ * Copyright 2000-2016 Kevin Atkinson, used under its permissive license.
+ */
+
+// "word PH ON EMES", one entry per line
+const DICTIONARY_SOURCE = `
+a AH
+aardvark AA R D V AA R K
+aback AH B AE K
+abacus AE B AH K AH S
+abandon AH B AE N D AH N
+abandonment AH B AE N D AH N M AH N T
+abbey AE B IY
+abbot AE B AH T
+abbreviate AH B R IY V IY EY T
+abbreviation AH B R IY V IY EY SH AH N
+abdomen AE B D OW M AH N
+abdominal AE B D AA M AH N AH L
+abduct AE B D AH K T
+aberration AE B ER EY SH AH N
+abetting AH B EH T IH NG
+abhor AE B HH AO R
+abide AH B AY D
+ability AH B IH L AH T IY
+abject AE B JH EH K T
+ablaze AH B L EY Z
+able EY B AH L
+abnormal AE B N AO R M AH L
+abnormality AE B N AO R M AE L AH T IY
+abnormally AE B N AO R M AH L IY
+aboard AH B AO R D
+abode AH B OW D
+abolish AH B AA L IH SH
+abolition AE B AH L IH SH AH N
+abominable AH B AA M AH N AH B AH L
+abomination AH B AA M AH N EY SH AH N
+abort AH B AO R T
+abortion AH B AO R SH AH N
+abound AH B AW N D
+about AH B AW T
+above AH B AH V
+aboveboard AH B AH V B AO R D
+abrasive AH B R EY S IH V
+abreast AH B R EH S T
+abroad AH B R AO D
+abrupt AH B R AH P T
+abruptly AH B R AH P T L IY
+abscess AE B S EH S
+absence AE B S AH N S
+absent AE B S AH N T
+absentee AE B S AH N T IY
+absolute AE B S AH L UW T
+absolutely AE B S AH L UW T L IY
+absolve AH B Z AA L V
+absorb AH B Z AO R B
+absorption AH B Z AO R P SH AH N
+abstain AH B S T EY N
+abstinence AE B S T AH N AH N S
+abstract AE B S T R AE K T
+abstraction AE B S T R AE K SH AH N
+absurd AH B S ER D
+absurdity AH B S ER D AH T IY
+absurdly AH B S ER D L IY
+abundance AH B AH N D AH N S
+abundant AH B AH N D AH N T
+abundantly AH B AH N D AH N T L IY
+abuse AH B Y UW S
+abused AH B Y UW Z D
+abuser AH B Y UW Z ER
+abusing AH B Y UW Z IH NG
+abusive AH B Y UW S IH V
+abysmal AH B IH Z M AH L
+abyss AH B IH S
+academic AE K AH D EH M IH K
+academically AE K AH D EH M IH K L IY
+academy AH K AE D AH M IY
+accelerate AE K S EH L ER EY T
+acceleration AE K S EH L ER EY SH AH N
+accelerator AE K S EH L ER EY T ER
+accent AH K S EH N T
+accents AE K S EH N T S
+accentuate AE K S EH N CH UW EY T
+accept AE K S EH P T
+acceptable AE K S EH P T AH B AH L
+acceptance AE K S EH P T AH N S
+access AE K S EH S
+accessible AE K S EH S AH B AH L
+accessory AE K S EH S ER IY
+accident AE K S AH D AH N T
+accidental AE K S AH D EH N T AH L
+accidentally AE K S AH D EH N T AH L IY
+acclaim AH K L EY M
+acclimated AE K L AH M EY T IH D
+accommodate AH K AA M AH D EY T
+accommodation AH K AA M AH D EY SH AH N
+accompaniment AH K AH M P N IH M AH N T
+accompanist AH K AH M P AH N AH S T
+accompany AH K AH M P AH N IY
+accomplice AH K AA M P L AH S
+accomplices AH K AA M P L AH S AH Z
+accomplish AH K AA M P L IH SH
+accomplishment AH K AA M P L IH SH M AH N T
+accord AH K AO R D
+accordance AH K AO R D AH N S
+accordingly AH K AO R D IH NG L IY
+accordion AH K AO R D IY AH N
+accosted AH K AA S T IH D
+account AH K AW N T
+accountability AH K AW N T AH B IH L IH T IY
+accountable AH K AW N T AH B AH L
+accountant AH K AW N T AH N T
+accredited AH K R EH D IH T IH D
+accrued AH K R UW D
+accumulate AH K Y UW M Y AH L EY T
+accumulation AH K Y UW M Y AH L EY SH AH N
+accuracy AE K Y ER AH S IY
+accurate AE K Y ER AH T
+accurately AE K Y ER AH T L IY
+accusation AE K Y AH Z EY SH AH N
+accuse AH K Y UW Z
+accuser AH K Y UW Z ER
+accustom AH K AH S T AH M
+ace EY S
+ache EY K
+achieve AH CH IY V
+achievement AH CH IY V M AH N T
+acid AE S AH D
+acidity AH S IH D AH T IY
+acknowledge AE K N AA L IH JH
+acknowledgment AE K N AA L IH JH M AH N T
+acne AE K N IY
+acorn EY K AO R N
+acoustic AH K UW S T IH K
+acquaint AH K W EY N T
+acquaintance AH K W EY N T AH N S
+acquire AH K W AY ER
+acquiring AH K W AY R IH NG
+acquisition AE K W AH Z IH SH AH N
+acquit AH K W IH T
+acquittal AH K W IH T AH L
+acre EY K ER
+acreage EY K ER IH JH
+acrimony AE K R IH M OW N IY
+acrobat AE K R AH B AE T
+acrobatic AE K R AH B AE T IH K
+acronym AE K R AH N IH M
+across AH K R AO S
+acrylic AH K R IH L IH K
+act AE K T
+action AE K SH AH N
+activate AE K T AH V EY T
+active AE K T IH V
+actively AE K T IH V L IY
+activist AE K T AH V AH S T
+activity AE K T IH V AH T IY
+actor AE K T ER
+actress AE K T R AH S
+actual AE K CH AH W AH L
+actuality AE K CH UW AE L AH T IY
+actually AE K CH UW AH L IY
+acupuncture AE K Y UW P AH NG K CH ER
+acute AH K Y UW T
+acutely AH K Y UW T L IY
+ad AE D
+adage AE D AH JH
+adamant AE D AH M AH N T
+adapt AH D AE P T
+adaptable AH D AE P T AH B AH L
+adaptation AE D AH P T EY SH AH N
+adapter AH D AE P T ER
+adaptive AH D AE P T IH V
+add AE D
+added AE D AH D
+addendum AH D EH N D AH M
+addict AH D IH K T
+addiction AH D IH K SH AH N
+addictive AH D IH K T IH V
+addition AH D IH SH AH N
+additional AH D IH SH AH N AH L
+additionally AH D IH SH AH N AH L IY
+additive AE D AH T IH V
+address AE D R EH S
+addressed AH D R EH S T
+addressing AH D R EH S IH NG
+adept AH D EH P T
+adequate AE D AH K W AH T
+adequately AE D AH K W AH T L IY
+adhere AH D HH IH R
+adhered AE D HH IH R D
+adhesive AE D HH IY S IH V
+adjacent AH JH EY S AH N T
+adjective AE JH IH K T IH V
+adjoining AH JH OY N IH NG
+adjourn AH JH ER N
+adjournment AH JH ER N M AH N T
+adjust AH JH AH S T
+adjustable AH JH AH S T AH B AH L
+adjustment AH JH AH S T M AH N T
+administer AH D M IH N AH S T ER
+administering AE D M IH N IH S T ER IH NG
+administers AE D M IH N IH S T ER Z
+administration AE D M IH N IH S T R EY SH AH N
+administrative AH D M IH N AH S T R EY T IH V
+administrator AH D M IH N AH S T R EY T ER
+administrators AE D M IH N IH S T R EY T ER Z
+admirable AE D M ER AH B AH L
+admirably AE D M ER AH B L IY
+admiral AE D M ER AH L
+admiration AE D M ER EY SH AH N
+admire AE D M AY R
+admired AH D M AY ER D
+admirer AE D M AY R ER
+admirers AH D M AY R ER Z
+admissible AH D M IH S AH B AH L
+admission AE D M IH SH AH N
+admit AH D M IH T
+admittance AH D M IH T AH N S
+admittedly AE D M IH T IH D L IY
+admitting AE D M IH T IH NG
+ado AH D UW
+adobe AH D OW B IY
+adolescence AE D AH L EH S AH N S
+adolescent AE D AH L EH S AH N T
+adopt AH D AA P T
+adoption AH D AA P SH AH N
+adorable AH D AO R AH B AH L
+adoration AE D ER EY SH AH N
+adore AH D AO R
+adrift AH D R IH F T
+adulation AE JH AH L EY SH AH N
+adult AH D AH L T
+adultery AH D AH L T ER IY
+adulthood AH D AH L T HH UH D
+advance AH D V AE N S
+advancement AH D V AE N S M AH N T
+advances AH D V AE N S AH Z
+advantage AE D V AE N T IH JH
+advantageous AE D V AH N T EY JH AH S
+advent AE D V EH N T
+adventure AE D V EH N CH ER
+adventurer AE D V EH N CH ER ER
+adventurous AE D V EH N CH ER AH S
+adverb AE D V ER B
+adversary AE D V ER S EH R IY
+adverse AE D V ER S
+adversely AE D V ER S L IY
+adversity AE D V ER S IH T IY
+advert AE D V ER T
+advertise AE D V ER T AY Z
+advertisement AE D V ER T AH Z M AH N T
+advertisements AE D V ER T AY Z M AH N T S
+advertisers AE D V ER T AY Z ER Z
+advice AE D V AY S
+advisable AH D V AY Z AH B AH L
+advise AE D V AY Z
+adviser AE D V AY Z ER
+advisory AE D V AY Z ER IY
+advocate AE D V AH K AH T
+advocated AE D V AH K EY T IH D
+advocating AE D V AH K EY T IH NG
+aerial EH R IY AH L
+aerodynamic EH R OW D AY N AE M IH K
+aerosol EH R AH S AA L
+aerospace EH R OW S P EY S
+aesthetic EH S TH EH T IH K
+aesthetically EH S TH EH T IH K L IY
+afar AH F AA R
+affair AH F EH R
+affect AH F EH K T
+affection AH F EH K SH AH N
+affectionate AH F EH K SH AH N AH T
+affectionately AH F EH K SH AH N AH T L IY
+affidavit AE F AH D EY V AH T
+affidavits AE F IH D EY V IH T S
+affiliate AH F IH L IY EY T
+affiliates AH F IH L IY AH T S
+affiliation AH F IH L IY EY SH AH N
+affinity AH F IH N AH T IY
+affirm AH F ER M
+affirmation AE F ER M EY SH AH N
+affirmative AH F ER M AH T IH V
+afflicted AH F L IH K T IH D
+affliction AH F L IH K SH AH N
+affluent AE F L UW AH N T
+afford AH F AO R D
+affordable AH F AO R D AH B AH L
+afforded AH F AO R D AH D
+affront AH F R AH N T
+aflame AH F L EY M
+afloat AH F L OW T
+afoot AH F UH T
+aforementioned AH F AO R M EH N SH AH N D
+afraid AH F R EY D
+afresh AH F R EH SH
+after AE F T ER
+afterlife AE F T ER L AY F
+aftermath AE F T ER M AE TH
+afternoon AE F T ER N UW N
+afterthought AE F T ER TH AA T
+afterward AE F T ER W ER D
+again AH G EH N
+against AH G EH N S T
+age EY JH
+agency EY JH AH N S IY
+agenda AH JH EH N D AH
+agent EY JH AH N T
+ages EY JH AH Z
+aggravate AE G R AH V EY T
+aggravation AE G R AH V EY SH AH N
+aggregate AE G R AH G AH T
+aggression AH G R EH SH AH N
+aggressive AH G R EH S IH V
+aggressively AH G R EH S IH V L IY
+aggressiveness AH G R EH S IH V N AH S
+aggressor AH G R EH S ER
+agile AE JH AH L
+agility AH JH IH L AH T IY
+agitate AE JH AH T EY T
+agitation AE JH AH T EY SH AH N
+agitator AE JH AH T EY T ER
+agitators AE JH IH T EY T ER Z
+aglow AH G L OW
+agnostic AE G N AA S T IH K
+ago AH G OW
+agonized AE G AH N AY Z D
+agonizing AE G AH N AY Z IH NG
+agony AE G AH N IY
+agree AH G R IY
+agreeable AH G R IY AH B AH L
+agreement AH G R IY M AH N T
+agricultural AE G R AH K AH L CH ER AH L
+agriculture AE G R IH K AH L CH ER
+aground AH G R AW N D
+ah AA
+ahead AH HH EH D
+ahoy AH HH OY
+aid EY D
+aide EY D
+aided EY D AH D
+ail EY L
+ailment EY L M AH N T
+aim EY M
+aimless EY M L AH S
+aimlessly EY M L AH S L IY
+air EH R
+airborne EH R B AO R N
+aircraft EH R K R AE F T
+airfield EH R F IY L D
+airline EH R L AY N
+airliner EH R L AY N ER
+airmail EH R M EY L
+airplane EH R P L EY N
+airport EH R P AO R T
+airstrip EH R S T R IH P
+airtight EH R T AY T
+airy EH R IY
+aisle AY L
+ajar AH JH AA R
+akin AH K IH N
+alarm AH L AA R M
+alarmist AH L AA R M AH S T
+alas AH L AE S
+albeit AO L B IY IH T
+albino AE L B AY N OW
+album AE L B AH M
+alcohol AE L K AH HH AA L
+alcoholic AE L K AH HH AA L IH K
+alcoholism AE L K AH HH AO L IH Z AH M
+alcove AE L K OW V
+ale EY L
+alert AH L ER T
+algae AE L JH IY
+algebra AE L JH AH B R AH
+algebraic AE L JH AH B R EY IH K
+algorithm AE L G ER IH DH AH M
+alias EY L IY AH S
+alibi AE L AH B AY
+alien EY L IY AH N
+alienate EY L Y AH N EY T
+alienated EY L IY AH N EY T IH D
+alienating EY L IY AH N EY T IH NG
+alienation EY L IY AH N EY SH AH N
+alight AH L AY T
+align AH L AY N
+alignment AH L AY N M AH N T
+alike AH L AY K
+alimony AE L AH M OW N IY
+alive AH L AY V
+alkali AE L K AH L AY
+alkaline AE L K AH L AY N
+all AO L
+allay AH L EY
+allegation AE L AH G EY SH AH N
+allege AH L EH JH
+allegedly AH L EH JH AH D L IY
+alleges AH L EH JH AH Z
+allegiance AH L IY JH AH N S
+allegory AE L AH G AO R IY
+allergic AH L ER JH IH K
+allergy AE L ER JH IY
+alleviate AH L IY V IY EY T
+alley AE L IY
+alliance AH L AY AH N S
+alliances AH L AY AH N S AH Z
+allied AH L AY D
+alligator AE L AH G EY T ER
+allocate AE L AH K EY T
+allocation AE L AH K EY SH AH N
+allotment AH L AA T M AH N T
+allotted AH L AA T IH D
+allow AH L AW
+allowable AH L AW AH B AH L
+allowance AH L AW AH N S
+alloy AE L OY
+allude AH L UW D
+allure AH L UH R
+ally AE L AY
+almanac AA L M AH N AE K
+almighty AO L M AY T IY
+almond AA M AH N D
+almonds AA L M AH N D Z
+almost AO L M OW S T
+alms AA L M Z
+aloft AH L AO F T
+alone AH L OW N
+along AH L AO NG
+alongside AH L AO NG S AY D
+aloof AH L UW F
+aloud AH L AW D
+alpha AE L F AH
+alphabet AE L F AH B EH T
+alphabetic AE L F AH B EH T IH K
+alphabetical AE L F AH B EH T IH K AH L
+alphabetically AE L F AH B EH T IH K L IY
+already AO L R EH D IY
+also AO L S OW
+altar AO L T ER
+alter AO L T ER
+alteration AO L T ER EY SH AH N
+alternate AO L T ER N AH T
+alternating AO L T ER N EY T IH NG
+alternative AO L T ER N AH T IH V
+alternatively AO L T ER N AH T IH V L IY
+alternator AO L T ER N EY T ER
+although AO L DH OW
+altitude AE L T AH T UW D
+altitudes AE L T IH T UW D Z
+alto AE L T OW
+altogether AO L T AH G EH DH ER
+altruism AE L T R UW IH Z AH M
+altruistic AO L T R UW IH S T IH K
+aluminum AH L UW M AH N AH M
+always AO L W EY Z
+am AE M
+amassed AH M AE S T
+amateur AE M AH T ER
+amateurish AE M AH CH ER IH SH
+amaze AH M EY Z
+amazement AH M EY Z M AH N T
+amazingly AH M EY Z IH NG L IY
+ambassador AE M B AE S AH D ER
+amber AE M B ER
+ambidextrous AE M B AH D EH K S T R AH S
+ambient AE M B IY AH N T
+ambiguities AE M B AH G Y UW AH T IY Z
+ambiguity AE M B IH G Y UW AH T IY
+ambiguous AE M B IH G Y UW AH S
+ambition AE M B IH SH AH N
+ambitious AE M B IH SH AH S
+ambivalence AE M B IH V AH L AH N S
+ambivalent AE M B IH V AH L AH N T
+ambulance AE M B Y AH L AH N S
+ambulances AE M B Y AH L AH N S AH Z
+ambush AE M B UH SH
+amen EY M EH N
+amend AH M EH N D
+amendment AH M EH N D M AH N T
+amenities AH M EH N AH T IY Z
+amiable EY M IY AH B AH L
+amicable AE M IH K AH B AH L
+amicably AE M IH K AH B L IY
+amid AH M IH D
+amiss AH M IH S
+ammonia AH M OW N Y AH
+ammunition AE M Y AH N IH SH AH N
+amnesia AE M N IY ZH AH
+amnesty AE M N AH S T IY
+amoeba AH M IY B AH
+amok AH M AH K
+among AH M AH NG
+amoral EY M AO R AH L
+amorous AE M ER AH S
+amount AH M AW N T
+amp AE M P
+amphetamine AE M F EH T AH M IY N
+amphibian AE M F IH B IY AH N
+amphibious AE M F IH B IY AH S
+ample AE M P AH L
+amplifier AE M P L AH F AY ER
+amplify AE M P L AH F AY
+amply AE M P L IY
+amputate AE M P Y AH T EY T
+amputation AE M P Y AH T EY SH AH N
+amulet AE M Y AH L AH T
+amuse AH M Y UW Z
+amusement AH M Y UW Z M AH N T
+an AE N
+anagram AE N AH G R AE M
+anal EY N AH L
+analog AE N AH L AO G
+analogous AH N AE L AH G AH S
+analogue AE N AH L AO G
+analogy AH N AE L AH JH IY
+analyses AH N AE L AH S IY Z
+analysis AH N AE L AH S AH S
+analyst AE N AH L IH S T
+analytical AE N AH L IH T IH K AH L
+analyze AE N AH L AY Z
+analyzer AE N AH L AY Z ER
+anarchist AE N ER K IH S T
+anarchy AE N ER K IY
+anatomical AE N AH T AA M AH K AH L
+anatomy AH N AE T AH M IY
+ancestor AE N S EH S T ER
+ancestral AE N S EH S T R AH L
+ancestry AE N S EH S T R IY
+anchor AE NG K ER
+anchorage AE NG K ER AH JH
+anchovies AE N CH OW V IY Z
+ancient EY N CH AH N T
+and AH N D
+android AE N D R OY D
+anecdote AE N AH K D OW T
+anemia AH N IY M IY AH
+anemic AH N IY M IH K
+anesthesia AE N IH S TH IY ZH AH
+anesthetic AE N AH S TH EH T IH K
+anew AH N UW
+angel EY N JH AH L
+angelic AE N JH EH L IH K
+anger AE NG G ER
+angle AE NG G AH L
+angler AE NG G L ER
+angling AE NG G L IH NG
+angrier AE NG G R IY ER
+angrily AE NG G R AH L IY
+angry AE NG G R IY
+angst AA NG K S T
+anguish AE NG G W IH SH
+animal AE N AH M AH L
+animated AE N AH M EY T IH D
+animation AE N AH M EY SH AH N
+animosity AE N AH M AA S AH T IY
+ankle AE NG K AH L
+annals AE N AH L Z
+annex AE N EH K S
+annihilate AH N AY AH L EY T
+annihilation AH N AY AH L EY SH AH N
+anniversary AE N AH V ER S ER IY
+announce AH N AW N S
+announcement AH N AW N S M AH N T
+announcer AH N AW N S ER
+annoy AH N OY
+annoyance AH N OY AH N S
+annual AE N Y UW AH L
+annually AE N Y UW AH L IY
+annuity AH N UW AH T IY
+annul AE N AH L
+annulment AE N AH L M AH N T
+anoint AH N OY N T
+anomalous AH N AA M AH L AH S
+anomaly AH N AA M AH L IY
+anon AE N AO N
+anonymity AE N AH N IH M IH T IY
+anonymous AH N AA N AH M AH S
+anonymously AH N AA N AH M AH S L IY
+anorak AE N ER AE K
+another AH N AH DH ER
+answer AE N S ER
+ant AE N T
+antagonism AE N T AE G AH N IH Z AH M
+antagonist AE N T AE G AH N AH S T
+antagonistic AE N T AE G AH N IH S T IH K
+antagonize AE N T AE G AH N AY Z
+anteater AE N T IY T ER
+antelope AE N T AH L OW P
+antenna AE N T EH N AH
+antennae AE N T EH N IY
+anthem AE N TH AH M
+anthill AE N T HH IH L
+anthology AE N TH AA L AH JH IY
+anthrax AE N TH R AE K S
+anthropological AE N TH R AH P AH L AA JH AH K AH L
+anthropologist AE N TH R AH P AA L AH JH AH S T
+anthropology AE N TH R AH P AA L AH JH IY
+antibiotic AE N T IY B AY AA T IH K
+antibody AE N T IH B AA D IY
+anticipate AE N T IH S AH P EY T
+anticipation AE N T IH S AH P EY SH AH N
+antics AE N T IH K S
+antidote AE N T IH D OW T
+antifreeze AE N T IY F R IY Z
+antiquated AE N T AH K W EY T IH D
+antique AE N T IY K
+antiquity AE N T IH K W AH T IY
+antiseptic AE N T AH S EH P T IH K
+antisocial AE N T IH S OW SH AH L
+antithesis AE N T IH TH AH S AH S
+antler AE N T L ER
+anus EY N AH S
+anvil AE N V AH L
+anxiety AE NG Z AY AH T IY
+anxious AE NG K SH AH S
+anxiously AE NG K SH AH S L IY
+any EH N IY
+anybody EH N IY B AH D IY
+anyhow EH N IY HH AW
+anyone EH N IY W AH N
+anyplace EH N IY P L EY S
+anything EH N IY TH IH NG
+anyway EH N IY W EY
+anywhere EH N IY W EH R
+aorta EY AO R T AH
+apart AH P AA R T
+apartheid AH P AA R T AY T
+apartment AH P AA R T M AH N T
+apathetic AE P AH TH EH T IH K
+apathy AE P AH TH IY
+ape EY P
+aperture AE P ER CH ER
+apex EY P EH K S
+apiece AH P IY S
+apologetic AH P AA L AH JH EH T IH K
+apologize AH P AA L AH JH AY Z
+apology AH P AA L AH JH IY
+apostle AH P AA S AH L
+apostrophe AH P AA S T R AH F IY
+appall AH P AO L
+appallingly AH P AO L IH NG L IY
+apparatus AE P ER AE T AH S
+apparatuses AE P ER AE T AH S AH Z
+apparel AH P AE R AH L
+apparent AH P EH R AH N T
+apparently AH P EH R AH N T L IY
+apparition AE P ER IH SH AH N
+appeal AH P IY L
+appear AH P IH R
+appearance AH P IH R AH N S
+appearances AH P IH R AH N S AH Z
+appease AH P IY Z
+appeasement AH P IY Z M AH N T
+append AH P EH N D
+appendage AH P EH N D IH JH
+appendicitis AH P EH N D IH S AY T IH Z
+appendix AH P EH N D IH K S
+appetite AE P AH T AY T
+appetizer AE P AH T AY Z ER
+appetizing AE P IH T AY Z IH NG
+applaud AH P L AO D
+applause AH P L AO Z
+apple AE P AH L
+appliance AH P L AY AH N S
+appliances AH P L AY AH N S AH Z
+applicable AE P L AH K AH B AH L
+applicant AE P L IH K AH N T
+application AE P L AH K EY SH AH N
+applicator AE P L AH K EY T ER
+apply AH P L AY
+appoint AH P OY N T
+appointment AH P OY N T M AH N T
+appraisal AH P R EY Z AH L
+appraise AH P R EY Z
+appreciate AH P R IY SH IY EY T
+appreciation AH P R IY SH IY EY SH AH N
+appreciative AH P R IY SH IY EY T IH V
+apprehend AE P R IH HH EH N D
+apprehension AE P R IH HH EH N SH AH N
+apprehensive AE P R IH HH EH N S IH V
+apprentice AH P R EH N T AH S
+approach AH P R OW CH
+approaches AH P R OW CH AH Z
+appropriate AH P R OW P R IY AH T
+appropriated AH P R OW P R IY EY T IH D
+appropriately AH P R OW P R IY IH T L IY
+appropriations AH P R OW P R IY EY SH AH N Z
+approval AH P R UW V AH L
+approve AH P R UW V
+approximate AH P R AA K S AH M AH T
+approximated AH P R AA K S AH M EY T IH D
+approximately AH P R AA K S AH M AH T L IY
+approximation AH P R AA K S AH M EY SH AH N
+apricot EY P R AH K AA T
+apricots AE P R AH K AA T S
+apron EY P R AH N
+apt AE P T
+aptitude AE P T AH T UW D
+aptly AE P T L IY
+aquamarine AA K W AH M ER IY N
+aquarium AH K W EH R IY AH M
+aquatic AH K W AA T IH K
+aqueduct AE K W AH D AH K T
+arbiter AA R B IH T ER
+arbitrarily AA R B IH T R EH R AH L IY
+arbitrary AA R B AH T R EH R IY
+arbitration AA R B IH T R EY SH AH N
+arbor AA R B ER
+arc AA R K
+arcade AA R K EY D
+arcane AA R K EY N
+arch AA R CH
+archaeological AA R K IY AH L AA JH IH K AH L
+archaeologist AA R K IY AA L AH JH IH S T
+archaeology AA R K IY AA L AH JH IY
+archaic AA R K EY IH K
+archbishop AA R CH B IH SH AH P
+archer AA R CH ER
+archery AA R CH ER IY
+arches AA R CH AH Z
+architect AA R K AH T EH K T
+architectural AA R K AH T EH K CH ER AH L
+architecture AA R K AH T EH K CH ER
+archive AA R K AY V
+archway AA R CH W EY
+ardent AA R D AH N T
+arduous AA R JH UW AH S
+are AA R
+area EH R IY AH
+arena ER IY N AH
+arguable AA R G Y UW AH B AH L
+arguably AA R G Y UW AH B L IY
+argue AA R G Y UW
+argument AA R G Y AH M AH N T
+argumentative AA R G Y AH M EH N T AH T IH V
+aria AA R IY AH
+arid AE R AH D
+arise ER AY Z
+arisen ER IH Z AH N
+arises ER AY Z AH Z
+aristocracy EH R AH S T AA K R AH S IY
+aristocrat ER IH S T AH K R AE T
+aristocratic ER IH S T AH K R AE T IH K
+arithmetic EH R IH TH M EH T IH K
+ark AA R K
+arm AA R M
+armadillo AA R M AH D IH L OW
+armament AA R M AH M AH N T
+armchair AA R M CH EH R
+armistice AA R M AH S T AH S
+armor AA R M ER
+armory AA R M ER IY
+armpit AA R M P IH T
+army AA R M IY
+aroma ER OW M AH
+aromatic EH R AH M AE T IH K
+arose ER OW Z
+around ER AW N D
+arouse ER AW Z
+arraigned ER EY N D
+arrange ER EY N JH
+arrangement ER EY N JH M AH N T
+array ER EY
+arrest ER EH S T
+arrival ER AY V AH L
+arrive ER AY V
+arrogance EH R AH G AH N S
+arrogant EH R AH G AH N T
+arrow AE R OW
+arsenal AA R S AH N AH L
+arsenic AA R S AH N IH K
+arson AA R S AH N
+art AA R T
+arterial AA R T IH R IY AH L
+artery AA R T ER IY
+arthritic AA R TH R IH T IH K
+arthritis AA R TH R AY T AH S
+artichoke AA R T AH CH OW K
+artichokes AA R T IH CH OW K S
+article AA R T AH K AH L
+articulate AA R T IH K Y AH L EY T
+artifact AA R T AH F AE K T
+artificial AA R T AH F IH SH AH L
+artificially AA R T AH F IH SH AH L IY
+artillery AA R T IH L ER IY
+artist AA R T AH S T
+artistic AA R T IH S T IH K
+artistically AA R T IH S T IH K L IY
+artistry AA R T IH S T R IY
+artists AA R T IH S T S
+artwork AA R T W ER K
+as AE Z
+asbestos AE S B EH S T AH S
+ascend AH S EH N D
+ascension AH S EH N SH AH N
+ascent AH S EH N T
+ascertain AE S ER T EY N
+asexual EY S EH K S Y UW AH L
+ash AE SH
+ashamed AH SH EY M D
+ashes AE SH AH Z
+ashore AH SH AO R
+ashtray AE SH T R EY
+aside AH S AY D
+ask AE S K
+askew AH S K Y UW
+asleep AH S L IY P
+asparagus AH S P EH R AH G AH S
+aspect AE S P EH K T
+aspen AE S P AH N
+asphalt AE S F AO L T
+asphyxiated AE S F IH K S IY EY T IH D
+aspiration AE S P ER EY SH AH N
+aspire AH S P AY R
+aspirin AE S P R IH N
+ass AE S
+assailant AH S EY L AH N T
+assassin AH S AE S AH N
+assassinate AH S AE S AH N EY T
+assassination AH S AE S AH N EY SH AH N
+assault AH S AO L T
+assemble AH S EH M B AH L
+assembler AH S EH M B L ER
+assembly AH S EH M B L IY
+assert AH S ER T
+assertion AH S ER SH AH N
+assertive AH S ER T IH V
+asses AE S AH Z
+assess AH S EH S
+assessment AH S EH S M AH N T
+assessor AH S EH S ER
+asset AE S EH T
+assign AH S AY N
+assignment AH S AY N M AH N T
+assimilate AH S IH M AH L EY T
+assimilation AH S IH M AH L EY SH AH N
+assist AH S IH S T
+assistance AH S IH S T AH N S
+assistant AH S IH S T AH N T
+associate AH S OW S IY AH T
+associated AH S OW S IY EY T IH D
+associating AH S OW S IY EY T IH NG
+association AH S OW S IY EY SH AH N
+associative AH S OW SH AH T IH V
+assort AH S AO R T
+assortment AH S AO R T M AH N T
+assume AH S UW M
+assumption AH S AH M P SH AH N
+assurance AH SH UH R AH N S
+assure AH SH UH R
+asterisk AE S T ER IH S K
+asteroid AE S T ER OY D
+asthma AE Z M AH
+astonish AH S T AA N IH SH
+astonishingly AH S T AA N IH SH IH NG L IY
+astonishment AH S T AA N IH SH M AH N T
+astound AH S T AW N D
+astray AH S T R EY
+astrological AE S T R AH L AA JH IH K AH L
+astrology AH S T R AA L AH JH IY
+astronaut AE S T R AH N AA T
+astronauts AE S T R AH N AO T S
+astronomer AH S T R AA N AH M ER
+astronomical AE S T R AH N AA M IH K AH L
+astronomy AH S T R AA N AH M IY
+astute AH S T UW T
+asylum AH S AY L AH M
+asynchronous EY S IH NG K R AH N AH S
+at AE T
+ate EY T
+atheism AH TH AY S AH M
+atheist EY TH IY AH S T
+athlete AE TH L IY T
+athletic AE TH L EH T IH K
+atlas AE T L AH S
+atmosphere AE T M AH S F IH R
+atmospheric AE T M AH S F EH R IH K
+atom AE T AH M
+atomic AH T AA M IH K
+atone AH T OW N
+atonement AH T OW N M AH N T
+atrocious AH T R OW SH AH S
+atrocity AH T R AA S AH T IY
+attach AH T AE CH
+attachment AH T AE CH M AH N T
+attack AH T AE K
+attacker AH T AE K ER
+attain AH T EY N
+attempt AH T EH M P T
+attend AH T EH N D
+attendance AH T EH N D AH N S
+attendant AH T EH N D AH N T
+attention AH T EH N SH AH N
+attentive AH T EH N T IH V
+attentively AH T EH N T IH V L IY
+attest AH T EH S T
+attic AE T IH K
+attire AH T AY ER
+attired AH T AY R D
+attitude AE T AH T UW D
+attorney AH T ER N IY
+attract AH T R AE K T
+attraction AH T R AE K SH AH N
+attractive AH T R AE K T IH V
+attribute AE T R AH B Y UW T
+attributed AH T R IH B Y AH T IH D
+attributing AH T R IH B Y AH T IH NG
+auburn AA B ER N
+auction AA K SH AH N
+auctioned AO K SH AH N D
+auctioneer AA K SH AH N IH R
+auctioning AO K SH AH N IH NG
+audacious AA D EY SH AH S
+audacity AA D AE S AH T IY
+audible AA D AH B AH L
+audience AA D IY AH N S
+audiences AA D IY AH N S AH Z
+audio AA D IY OW
+audit AO D IH T
+auditing AA D AH T IH NG
+audition AA D IH SH AH N
+auditioned AO D IH SH AH N D
+auditions AO D IH SH AH N Z
+auditor AO D IH T ER
+auditorium AO D AH T AO R IY AH M
+auditors AA D AH T ER Z
+auditory AO D IH T AO R IY
+augment AO G M EH N T
+august AA G AH S T
+aunt AE N T
+aura AO R AH
+auspicious AA S P IH SH AH S
+austere AO S T IH R
+authentic AH TH EH N T IH K
+authenticate AO TH EH N T AH K EY T
+authenticity AO TH AH N T IH S IH T IY
+author AO TH ER
+authoritative AH TH AO R AH T EY T IH V
+authority AH TH AO R AH T IY
+authorization AO TH ER AH Z EY SH AH N
+authorize AO TH ER AY Z
+auto AO T OW
+autobiographical AO T AH B AY AH G R AE F IH K AH L
+autobiography AO T AH B AY AA G R AH F IY
+autograph AO T AH G R AE F
+automate AO T AH M EY T
+automatic AO T AH M AE T IH K
+automatically AO T AH M AE T IH K L IY
+automobile AO T AH M OW B IY L
+automotive AO T AH M OW T IH V
+autonomous AO T AA N AH M AH S
+autonomy AO T AA N AH M IY
+autopsy AO T AA P S IY
+autumn AO T AH M
+auxiliary AA G Z IH L Y ER IY
+avail AH V EY L
+availability AH V EY L AH B IH L AH T IY
+available AH V EY L AH B AH L
+avalanche AE V AH L AE N CH
+avarice AE V ER AH S
+avenge AH V EH N JH
+avenue AE V AH N UW
+average AE V ER IH JH
+averaged AE V R AH JH D
+averages AE V R IH JH IH Z
+averaging AE V R IH JH IH NG
+averse AH V ER S
+aversion AH V ER ZH AH N
+avert AH V ER T
+aviation EY V IY EY SH AH N
+aviator EY V IY EY T ER
+avid AE V AH D
+avocado AE V AH K AA D OW
+avoid AH V OY D
+avoidance AH V OY D AH N S
+await AH W EY T
+awake AH W EY K
+awaken AH W EY K AH N
+award AH W AO R D
+aware AH W EH R
+awareness AH W EH R N AH S
+away AH W EY
+awe AA
+awesome AA S AH M
+awful AA F AH L
+awfully AA F L IY
+awhile AH W AY L
+awkward AA K W ER D
+awkwardly AO K W ER D L IY
+awkwardness AO K W ER D N AH S
+awning AA N IH NG
+awoke AH W OW K
+awry ER AY
+ax AE K S
+axiom AE K S IY AH M
+axis AE K S AH S
+axle AE K S AH L
+aye AY
+azaleas AH Z EY L Y AH Z
+azure AE ZH ER
+babble B AE B AH L
+babe B EY B
+baboon B AH B UW N
+baboons B AE B UW N Z
+baby B EY B IY
+bachelor B AE CH AH L ER
+bachelors B AE CH L ER Z
+back B AE K
+backbone B AE K B OW N
+backer B AE K ER
+backfire B AE K F AY R
+backfired B AE K F AY ER D
+backfires B AE K F AY ER Z
+backfiring B AE K F AY ER IH NG
+backgammon B AE K G AE M AH N
+background B AE K G R AW N D
+backhand B AE K HH AE N D
+backlog B AE K L AA G
+backpack B AE K P AE K
+backside B AE K S AY D
+backstage B AE K S T EY JH
+backtrack B AE K T R AE K
+backward B AE K W ER D
+backwoods B AE K W UH D Z
+bacon B EY K AH N
+bacteria B AE K T IH R IY AH
+bacterial B AE K T IH R IY AH L
+bacterium B AE K T IH R IY AH M
+bad B AE D
+bade B EY D
+badge B AE JH
+badger B AE JH ER
+badly B AE D L IY
+badminton B AE D M IH N T AH N
+badness B AE D N AH S
+baffle B AE F AH L
+bag B AE G
+bagel B EY G AH L
+baggage B AE G AH JH
+baggy B AE G IY
+bail B EY L
+bait B EY T
+bake B EY K
+baker B EY K ER
+bakery B EY K ER IY
+balance B AE L AH N S
+balances B AE L AH N S AH Z
+balcony B AE L K AH N IY
+bald B AO L D
+baldness B AO L D N AH S
+bale B EY L
+ball B AO L
+ballad B AE L AH D
+ballast B AE L AH S T
+ballerina B AE L ER IY N AH
+ballet B AE L EY
+ballistics B AH L IH S T IH K S
+balloon B AH L UW N
+ballot B AE L AH T
+ballroom B AO L R UW M
+balm B AA M
+balmy B AA M IY
+baloney B AH L OW N IY
+bamboo B AE M B UW
+ban B AE N
+banal B AH N AA L
+banana B AH N AE N AH
+band B AE N D
+bandage B AE N D IH JH
+bandaged B AE N D AH JH D
+bandages B AE N D AH JH AH Z
+bandit B AE N D AH T
+bandstand B AE N D S T AE N D
+bandwagon B AE N D W AE G AH N
+bandwidth B AE N D W IH D TH
+bandy B AE N D IY
+bang B AE NG
+banish B AE N IH SH
+banister B AE N IH S T ER
+banjo B AE N JH OW
+bank B AE NG K
+banker B AE NG K ER
+banknotes B AE NG K N OW T S
+bankrupt B AE NG K R AH P T
+bankruptcy B AE NG K R AH P S IY
+banner B AE N ER
+banquet B AE NG K W AH T
+banter B AE N T ER
+baptism B AE P T IH Z AH M
+baptize B AE P T AY Z
+bar B AA R
+barb B AA R B
+barbarian B AA R B EH R IY AH N
+barbaric B AA R B AE R IH K
+barbarous B AA R B ER AH S
+barbecue B AA R B IH K Y UW
+barber B AA R B ER
+barbiturates B AA R B IH CH ER AH T S
+bard B AA R D
+bare B EH R
+bared B EH R D
+barefoot B EH R F UH T
+barely B EH R L IY
+bargain B AA R G AH N
+bargaining B AA R G IH N IH NG
+barge B AA R JH
+barges B AA R JH AH Z
+baring B EH R IH NG
+baritone B EH R AH T OW N
+bark B AA R K
+barley B AA R L IY
+barman B AA R M AH N
+barn B AA R N
+barnacle B AA R N AH K AH L
+barnyard B AA R N Y AA R D
+barometer B ER AA M IH T ER
+baron B AE R AH N
+baroque B ER OW K
+barrage B ER AA ZH
+barrel B AE R AH L
+barren B AE R AH N
+barricade B AE R AH K EY D
+barrier B AE R IY ER
+barrister B AE R IH S T ER
+bartender B AA R T EH N D ER
+barter B AA R T ER
+base B EY S
+baseball B EY S B AO L
+baseline B EY S L AY N
+basement B EY S M AH N T
+bases B EY S AH Z
+bash B AE SH
+bashful B AE SH F AH L
+basic B EY S IH K
+basically B EY S IH K L IY
+basil B AE Z AH L
+basin B EY S AH N
+basis B EY S AH S
+bask B AE S K
+basket B AE S K AH T
+basketball B AE S K AH T B AO L
+bass B AE S
+bassoon B AH S UW N
+bastard B AE S T ER D
+baste B EY S T
+basted B EY S T AH D
+bat B AE T
+batch B AE CH
+batches B AE CH AH Z
+bath B AE TH
+bathe B EY DH
+bathed B EY DH D
+bathes B EY DH Z
+bathing B EY DH IH NG
+bathroom B AE TH R UW M
+bathtub B AE TH T AH B
+baton B AH T AA N
+batons B AE T AA N Z
+battalion B AH T AE L Y AH N
+batter B AE T ER
+battery B AE T ER IY
+battle B AE T AH L
+battlefield B AE T AH L F IY L D
+battleship B AE T AH L SH IH P
+baud B AO D
+bawl B AO L
+bay B EY
+bayonet B EY AH N EH T
+bayou B AY UW
+bazaar B AH Z AA R
+be B IY
+beach B IY CH
+beaches B IY CH AH Z
+beacon B IY K AH N
+bead B IY D
+beady B IY D IY
+beagle B IY G AH L
+beak B IY K
+beaker B IY K ER
+beam B IY M
+bean B IY N
+bear B EH R
+bearable B EH R AH B AH L
+beard B IH R D
+bearded B IH R D AH D
+bearer B EH R ER
+beast B IY S T
+beat B IY T
+beaten B IY T AH N
+beater B IY T ER
+beautician B Y UW T IH SH AH N
+beautiful B Y UW T AH F AH L
+beautifully B Y UW T AH F L IY
+beauty B Y UW T IY
+beaver B IY V ER
+became B IH K EY M
+because B IH K AH Z
+beckon B EH K AH N
+become B IH K AH M
+bed B EH D
+bedbug B EH D B AH G
+bedlam B EH D L AH M
+bedridden B EH D R IH D AH N
+bedrock B EH D R AA K
+bedroom B EH D R UW M
+bedside B EH D S AY D
+bedspread B EH D S P R EH D
+bedtime B EH D T AY M
+bee B IY
+beech B IY CH
+beef B IY F
+beefy B IY F IY
+beehive B IY HH AY V
+been B IH N
+beeper B IY P ER
+beer B IH R
+beet B IY T
+beetle B IY T AH L
+befall B IH F AO L
+befitting B IH F IH T IH NG
+before B IH F AO R
+beforehand B IH F AO R HH AE N D
+befriend B IH F R EH N D
+beg B EH G
+began B IH G AE N
+beggar B EH G ER
+begin B IH G IH N
+beginner B IH G IH N ER
+begrudge B IH G R AH JH
+beguile B IH G AY L
+begun B IH G AH N
+behalf B IH HH AE F
+behave B IH HH EY V
+behavior B IH HH EY V Y ER
+behavioral B IH HH EY V Y ER AH L
+beheaded B IH HH EH D IH D
+beheading B IH HH EH D IH NG
+beheld B IY HH EH L D
+behind B IH HH AY N D
+behold B IH HH OW L D
+beholder B IY HH OW L D ER
+beige B EY ZH
+belated B IH L EY T IH D
+belch B EH L CH
+belfry B EH L F R IY
+belief B IH L IY F
+believable B AH L IY V AH B AH L
+believe B IH L IY V
+believer B AH L IY V ER
+belittle B IH L IH T AH L
+bell B EH L
+bellboy B EH L B OY
+bellhop B EH L HH AA P
+belligerent B AH L IH JH ER AH N T
+bellow B EH L OW
+belly B EH L IY
+belong B IH L AO NG
+beloved B IH L AH V D
+below B IH L OW
+belt B EH L T
+belted B EH L T AH D
+bench B EH N CH
+bend B EH N D
+bender B EH N D ER
+beneath B IH N IY TH
+benediction B EH N AH D IH K SH AH N
+benefactor B EH N AH F AE K T ER
+beneficial B EH N AH F IH SH AH L
+beneficiary B EH N AH F IH SH IY EH R IY
+benefit B EH N AH F IH T
+benevolence B AH N EH V AH L AH N S
+benevolent B AH N EH V AH L AH N T
+benign B IH N AY N
+bent B EH N T
+bequeath B IH K W IY TH
+bequest B IH K W EH S T
+bereaved B ER IY V D
+bereavement B ER IY V M AH N T
+bereft B ER EH F T
+beret B EH R AH T
+berry B EH R IY
+berserk B ER S ER K
+berth B ER TH
+beseech B IY S IY CH
+beset B IH S EH T
+beside B IH S AY D
+besiege B IH S IY JH
+best B EH S T
+bestiality B EH S CH AE L IH T IY
+bestow B IH S T OW
+bet B EH T
+beta B EY T AH
+betcha B EH CH AH
+betray B IH T R EY
+betrayal B IH T R EY AH L
+better B EH T ER
+betterment B EH T ER M AH N T
+bettor B EH T ER
+between B IH T W IY N
+beverage B EH V ER IH JH
+beverages B EH V R IH JH IH Z
+beware B IH W EH R
+bewildered B IH W IH L D ER D
+bewildering B IH W IH L D ER IH NG
+bewitched B IH W IH CH T
+beyond B IH AA N D
+bias B AY AH S
+bib B IH B
+bible B AY B AH L
+biblical B IH B L AH K AH L
+bicentennial B AY S EH N T EH N IY AH L
+bicker B IH K ER
+bicycle B AY S IH K AH L
+bid B IH D
+bide B AY D
+biding B AY D IH NG
+big B IH G
+bigger B IH G ER
+biggest B IH G AH S T
+bigot B IH G AH T
+bigotry B IH G AH T R IY
+bike B AY K
+bikini B IH K IY N IY
+bikinis B AH K IY N IY Z
+bilateral B AY L AE T ER AH L
+bile B AY L
+bilingual B AY L IH NG G W AH L
+bill B IH L
+billboard B IH L B AO R D
+billfold B IH L F OW L D
+billiards B IH L Y ER D Z
+billion B IH L Y AH N
+bin B IH N
+binary B AY N ER IY
+bind B AY N D
+binder B AY N D ER
+bingo B IH NG G OW
+biochemical B AY OW K EH M AH K AH L
+biochemistry B AY OW K EH M AH S T R IY
+biodegradable B AY OW D AH G R EY D AH B AH L
+biographer B AY AA G R AH F ER
+biographical B AY AH G R AE F IH K AH L
+biography B AY AA G R AH F IY
+biological B AY AH L AA JH IH K AH L
+biologically B AY AH L AA JH IH K L IY
+biologist B AY AA L AH JH IH S T
+biology B AY AA L AH JH IY
+birch B ER CH
+bird B ER D
+birdcage B ER D K EY JH
+birth B ER TH
+birthday B ER TH D EY
+birthmark B ER TH M AA R K
+birthplace B ER TH P L EY S
+biscuit B IH S K AH T
+bisexual B AY S EH K SH UW AH L
+bishop B IH SH AH P
+bison B AY S AH N
+bit B IH T
+bitch B IH CH
+bite B AY T
+bites B AY T S
+biting B AY T IH NG
+bitten B IH T AH N
+bitter B IH T ER
+bitterly B IH T ER L IY
+bitterness B IH T ER N AH S
+bittersweet B IH T ER S W IY T
+bizarre B AH Z AA R
+blab B L AE B
+black B L AE K
+blackberry B L AE K B EH R IY
+blackbird B L AE K B ER D
+blackboard B L AE K B AO R D
+blacken B L AE K AH N
+blacker B L AE K ER
+blackest B L AE K AH S T
+blackjack B L AE K JH AE K
+blacklist B L AE K L IH S T
+blackmail B L AE K M EY L
+blackout B L AE K AW T
+blacksmith B L AE K S M IH TH
+blacktop B L AE K T AA P
+bladder B L AE D ER
+blade B L EY D
+blame B L EY M
+blameless B L EY M L AH S
+blanch B L AE N CH
+bland B L AE N D
+blank B L AE NG K
+blanket B L AE NG K AH T
+blare B L EH R
+blasphemous B L AE S F AH M AH S
+blasphemy B L AE S F AH M IY
+blast B L AE S T
+blasted B L AE S T AH D
+blaster B L AE S T ER
+blatant B L EY T AH N T
+blatantly B L EY T AH N T L IY
+blaze B L EY Z
+blazer B L EY Z ER
+bleach B L IY CH
+bleak B L IY K
+bled B L EH D
+bleed B L IY D
+blemish B L EH M IH SH
+blend B L EH N D
+bless B L EH S
+blew B L UW
+blight B L AY T
+blimp B L IH M P
+blind B L AY N D
+blindfold B L AY N D F OW L D
+blindly B L AY N D L IY
+blindness B L AY N D N AH S
+blink B L IH NG K
+blip B L IH P
+bliss B L IH S
+blissful B L IH S F AH L
+blissfully B L IH S F AH L IY
+blister B L IH S T ER
+blithe B L AY DH
+blithely B L AY TH L IY
+blitz B L IH T S
+blizzard B L IH Z ER D
+blob B L AA B
+bloc B L AA K
+block B L AA K
+blockade B L AA K EY D
+blockage B L AA K IH JH
+blockbuster B L AA K B AH S T ER
+blockhead B L AA K HH EH D
+blog B L AO G
+blond B L AA N D
+blonde B L AA N D
+blood B L AH D
+bloodhound B L AH D HH AW N D
+bloodiest B L AH D IY AH S T
+bloodshed B L AH D SH EH D
+bloodstream B L AH D S T R IY M
+bloodthirsty B L AH D TH ER S T IY
+bloody B L AH D IY
+bloom B L UW M
+blossom B L AA S AH M
+blot B L AA T
+blotch B L AA T CH
+blotted B L AA T AH D
+blotter B L AA T ER
+blouse B L AW S
+blouses B L AW S AH Z
+blow B L OW
+blown B L OW N
+blowout B L OW AW T
+blowtorch B L OW T AO R CH
+blubber B L AH B ER
+bludgeon B L AH JH AH N
+blue B L UW
+blueberry B L UW B EH R IY
+bluebird B L UW B ER D
+bluegrass B L UW G R AE S
+blueprint B L UW P R IH N T
+bluer B L UW ER
+bluff B L AH F
+blunder B L AH N D ER
+blunt B L AH N T
+bluntly B L AH N T L IY
+bluntness B L AH N T N AH S
+blur B L ER
+blurb B L ER B
+blurt B L ER T
+blush B L AH SH
+blushes B L AH SH AH Z
+bluster B L AH S T ER
+boa B OW AH
+boar B AO R
+board B AO R D
+boarded B AO R D AH D
+boarder B AO R D ER
+boardwalk B AO R D W AO K
+boast B OW S T
+boasted B OW S T AH D
+boastful B OW S T F AH L
+boat B OW T
+bob B AA B
+bobcat B AA B K AE T
+bobcats B AA B K AE T Z
+bobsled B AA B S L EH D
+bode B OW D
+bodice B AA D IH S
+bodily B AA D AH L IY
+body B AA D IY
+bodyguard B AA D IY G AA R D
+bog B AA G
+bogging B AO G IH NG
+boggle B AA G AH L
+bogus B OW G AH S
+boil B OY L
+boiler B OY L ER
+boisterous B OY S T ER AH S
+bold B OW L D
+bolder B OW L D ER
+boldly B OW L D L IY
+boldness B OW L D N AH S
+bologna B AH L OW N IY
+bolster B OW L S T ER
+bolt B OW L T
+bolted B OW L T AH D
+bomb B AA M
+bombard B AA M B AA R D
+bombardment B AA M B AA R D M AH N T
+bomber B AA M ER
+bond B AA N D
+bondage B AA N D IH JH
+bonded B AA N D AH D
+bone B OW N
+bonfire B AA N F AY ER
+bonnet B AA N AH T
+bonus B OW N AH S
+bony B OW N IY
+boo B UW
+booby B UW B IY
+book B UH K
+bookcase B UH K K EY S
+bookends B UH K EH N D Z
+bookkeeper B UH K K IY P ER
+bookkeeping B UH K K IY P IH NG
+booklet B UH K L IH T
+bookmark B UH K M AA R K
+bookshelf B UH K SH EH L F
+bookshop B UH K SH AA P
+bookstore B UH K S T AO R
+bookworm B UH K W ER M
+boom B UW M
+boomerang B UW M ER AE NG
+boon B UW N
+boorish B UH R IH SH
+boost B UW S T
+booster B UW S T ER
+boot B UW T
+booth B UW TH
+bootleg B UW T L EH G
+booty B UW T IY
+booze B UW Z
+bop B AA P
+border B AO R D ER
+borderline B AO R D ER L AY N
+bore B AO R
+boredom B AO R D AH M
+born B AO R N
+borne B AO R N
+borough B ER OW
+borrow B AA R OW
+bosom B UH Z AH M
+boss B AA S
+bosses B AO S IH Z
+bossy B AO S IY
+botanical B AH T AE N IH K AH L
+botanist B AA T AH N IH S T
+botany B AA T AH N IY
+botch B AA CH
+both B OW TH
+bother B AA DH ER
+bothersome B AA DH ER S AH M
+bottle B AA T AH L
+bottleneck B AA T AH L N EH K
+bottom B AA T AH M
+bottomless B AA T AH M L AH S
+bough B AW
+bought B AO T
+boulder B OW L D ER
+boulevard B UH L AH V AA R D
+bounce B AW N S
+bound B AW N D
+boundary B AW N D ER IY
+boundless B AW N D L AH S
+bountiful B AW N T IH F AH L
+bounty B AW N T IY
+bouquet B UW K EY
+bouquets B OW K EY Z
+bourbon B ER B AH N
+bourgeois B UH R ZH W AA
+bourgeoisie B UH R ZH W AA Z IY
+bout B AW T
+boutique B UW T IY K
+bovine B OW V AY N
+bow B AW
+bowel B AW AH L
+bowing B OW IH NG
+bowl B OW L
+bowler B OW L ER
+box B AA K S
+boxcar B AA K S K AA R
+boxer B AA K S ER
+boxes B AA K S AH Z
+boy B OY
+boycott B OY K AA T
+boyfriend B OY F R EH N D
+boyhood B OY HH UH D
+boyish B OY IH SH
+bra B R AA
+brace B R EY S
+bracelet B R EY S L AH T
+bracelets B R EY S L IH T S
+braces B R EY S AH Z
+bracket B R AE K IH T
+brackets B R AE K AH T S
+brag B R AE G
+braid B R EY D
+brain B R EY N
+brainless B R EY N L IH S
+brainstorm B R EY N S T AO R M
+brainwash B R EY N W AA SH
+brainy B R EY N IY
+braised B R EY Z D
+brake B R EY K
+bran B R AE N
+branch B R AE N CH
+branches B R AE N CH AH Z
+brand B R AE N D
+brandishing B R AE N D IH SH IH NG
+brandy B R AE N D IY
+bras B R AE S
+brash B R AE SH
+brass B R AE S
+brat B R AE T
+bravado B R AH V AA D OW
+brave B R EY V
+bravely B R EY V L IY
+braver B R EY V ER
+bravery B R EY V ER IY
+bravest B R EY V AH S T
+bravo B R AA V OW
+brawl B R AO L
+brawn B R AO N
+bray B R EY
+brazen B R EY Z AH N
+breach B R IY CH
+bread B R EH D
+breadth B R EH D TH
+breadwinner B R EH D W IH N ER
+break B R EY K
+breakdown B R EY K D AW N
+breakfast B R EH K F AH S T
+breakthrough B R EY K TH R UW
+breast B R EH S T
+breath B R EH TH
+breathe B R IY DH
+breathed B R IY DH D
+breather B R IY DH ER
+breathes B R IY DH Z
+breathing B R IY DH IH NG
+breathless B R EH TH L AH S
+breathtaking B R EH TH T EY K IH NG
+bred B R EH D
+breed B R IY D
+breeder B R IY D ER
+breeze B R IY Z
+breezy B R IY Z IY
+brethren B R EH DH R AH N
+brevity B R EH V AH T IY
+brew B R UW
+brewery B R UW ER IY
+bribe B R AY B
+bribery B R AY B ER IY
+brick B R IH K
+bricklayer B R IH K L EY ER
+bridal B R AY D AH L
+bride B R AY D
+bridegroom B R AY D G R UW M
+bridesmaid B R AY D Z M EY D
+bridge B R IH JH
+bridges B R IH JH AH Z
+bridle B R AY D AH L
+brief B R IY F
+briefcase B R IY F K EY S
+briefly B R IY F L IY
+brigade B R AH G EY D
+brigades B R IH G EY D Z
+bright B R AY T
+brighten B R AY T AH N
+brighter B R AY T ER
+brightest B R AY T AH S T
+brightly B R AY T L IY
+brightness B R AY T N AH S
+brilliance B R IH L Y AH N S
+brilliant B R IH L Y AH N T
+brilliantly B R IH L Y AH N T L IY
+brim B R IH M
+brimstone B R IH M S T OW N
+brine B R AY N
+bring B R IH NG
+brink B R IH NG K
+brisk B R IH S K
+briskly B R IH S K L IY
+bristle B R IH S AH L
+britches B R IH CH AH Z
+brittle B R IH T AH L
+broach B R OW CH
+broad B R AO D
+broadcast B R AO D K AE S T
+broaden B R AO D AH N
+broader B R AO D ER
+broadly B R AO D L IY
+broadside B R AO D S AY D
+broccoli B R AA K AH L IY
+brochure B R OW SH UH R
+broil B R OY L
+broiler B R OY L ER
+broke B R OW K
+broken B R OW K AH N
+broker B R OW K ER
+bronchitis B R AA NG K AY T AH S
+bronco B R AA NG K OW
+bronze B R AA N Z
+brooch B R UW CH
+brood B R UW D
+brook B R UH K
+broom B R UW M
+broth B R AO TH
+brother B R AH DH ER
+brotherhood B R AH DH ER HH UH D
+brotherly B R AH DH ER L IY
+brought B R AO T
+brow B R AW
+brown B R AW N
+brownie B R AW N IY
+browse B R AW Z
+bruise B R UW Z
+bruises B R UW Z AH Z
+brunch B R AH N CH
+brunette B R UW N EH T
+brunt B R AH N T
+brush B R AH SH
+brutal B R UW T AH L
+brutality B R UW T AE L AH T IY
+brutally B R UW T AH L IY
+brute B R UW T
+brutish B R UW T IH SH
+bubble B AH B AH L
+bubbly B AH B L IY
+buck B AH K
+bucket B AH K AH T
+buckle B AH K AH L
+buckling B AH K L IH NG
+bud B AH D
+buddy B AH D IY
+budge B AH JH
+budget B AH JH IH T
+buff B AH F
+buffalo B AH F AH L OW
+buffer B AH F ER
+buffet B AH F AH T
+buffoon B AH F UW N
+bug B AH G
+bugger B AH G ER
+buggy B AH G IY
+bugle B Y UW G AH L
+build B IH L D
+builder B IH L D ER
+built B IH L T
+bulb B AH L B
+bulbous B AH L B AH S
+bulge B AH L JH
+bulk B AH L K
+bulky B AH L K IY
+bull B UH L
+bulldog B UH L D AO G
+bulldoze B UH L D OW Z
+bulldozer B UH L D OW Z ER
+bullet B UH L AH T
+bulletin B UH L IH T AH N
+bulletins B UH L AH T AH N Z
+bullfight B UH L F AY T
+bullfighter B UH L F AY T ER
+bullfrog B UH L F R AO G
+bullion B UH L Y AH N
+bully B UH L IY
+bum B AH M
+bumblebee B AH M B AH L B IY
+bummer B AH M ER
+bump B AH M P
+bumper B AH M P ER
+bumpy B AH M P IY
+bun B AH N
+bunch B AH N CH
+bunches B AH N CH AH Z
+bundle B AH N D AH L
+bung B AH NG
+bungalow B AH NG G AH L OW
+bungled B AH NG G AH L D
+bungling B AH NG G AH L IH NG
+bunk B AH NG K
+bunker B AH NG K ER
+bunny B AH N IY
+buoy B UW IY
+buoyancy B OY AH N S IY
+burden B ER D AH N
+bureau B Y UH R OW
+bureaucracy B Y UH R AA K R AH S IY
+bureaucrat B Y UH R AH K R AE T
+bureaucratic B Y UH R AH K R AE T IH K
+burger B ER G ER
+burglar B ER G L ER
+burglary B ER G L ER IY
+burial B EH R IY AH L
+burlap B ER L AE P
+burly B ER L IY
+burn B ER N
+burner B ER N ER
+burnt B ER N T
+burp B ER P
+burr B ER
+burro B ER OW
+burrow B ER OW
+burst B ER S T
+bury B EH R IY
+bus B AH S
+bush B UH SH
+bushel B UH SH AH L
+bushes B UH SH AH Z
+bushy B UH SH IY
+busier B IH Z IY ER
+busiest B IH Z IY AH S T
+business B IH Z N AH S
+businesses B IH Z N AH S AH Z
+businessman B IH Z N AH S M AE N
+businessmen B IH Z N IH S M EH N
+businesswoman B IH Z N IH S W UH M AH N
+businesswomen B IH Z N AH S W OW M AH N
+buss B AH S
+bust B AH S T
+bustle B AH S AH L
+busy B IH Z IY
+but B AH T
+butcher B UH CH ER
+butchery B UH CH ER IY
+butler B AH T L ER
+butt B AH T
+butte B Y UW T
+butter B AH T ER
+buttercup B AH T ER K AH P
+butterfly B AH T ER F L AY
+buttermilk B AH T ER M IH L K
+butterscotch B AH T ER S K AA CH
+buttery B AH T ER IY
+buttock B AH T AH K
+button B AH T AH N
+buttonhole B AH T AH N HH OW L
+buy B AY
+buyer B AY ER
+buzz B AH Z
+buzzard B AH Z ER D
+buzzer B AH Z ER
+by B AY
+bye B AY
+bygone B AY G AO N
+bypass B AY P AE S
+bystander B AY S T AE N D ER
+byte B AY T
+cab K AE B
+cabaret K AE B ER EY
+cabbage K AE B AH JH
+cabbages K AE B IH JH IH Z
+cabin K AE B AH N
+cabinet K AE B AH N AH T
+cable K EY B AH L
+caboose K AH B UW S
+cache K AE SH
+cackle K AE K AH L
+cactus K AE K T AH S
+cad K AE D
+caddie K AE D IY
+cadence K EY D AH N S
+cadet K AH D EH T
+cafeteria K AE F AH T IH R IY AH
+caffeine K AE F IY N
+cage K EY JH
+cagey K EY JH IY
+cake K EY K
+calamity K AH L AE M AH T IY
+calcium K AE L S IY AH M
+calculate K AE L K Y AH L EY T
+calculation K AE L K Y AH L EY SH AH N
+calculator K AE L K Y AH L EY T ER
+calculus K AE L K Y AH L AH S
+calendar K AE L AH N D ER
+calf K AE F
+caliber K AE L AH B ER
+calibrate K AE L AH B R EY T
+calibrated K AE L AH B R EY T AH D
+calibration K AE L AH B R EY SH AH N
+calico K AE L AH K OW
+call K AO L
+caller K AO L ER
+calligraphy K AH L IH G R AH F IY
+callous K AE L AH S
+callow K AE L OW
+callus K AE L AH S
+calm K AA M
+calmer K AA M ER
+calmly K AA M L IY
+calorie K AE L ER IY
+calves K AE V Z
+cam K AE M
+camaraderie K AA M ER AA D ER IY
+came K EY M
+camel K AE M AH L
+cameo K AE M IY OW
+camera K AE M ER AH
+camouflage K AE M AH F L AA ZH
+camp K AE M P
+campaign K AE M P EY N
+camper K AE M P ER
+campus K AE M P AH S
+can K AE N
+canal K AH N AE L
+canary K AH N EH R IY
+cancel K AE N S AH L
+cancellation K AE N S AH L EY SH AH N
+cancer K AE N S ER
+candid K AE N D AH D
+candidacy K AE N D IH D AH S IY
+candidate K AE N D AH D EY T
+candidly K AE N D IH D L IY
+candle K AE N D AH L
+candlestick K AE N D AH L S T IH K
+candor K AE N D ER
+candy K AE N D IY
+cane K EY N
+canes K EY N Z
+canine K EY N AY N
+canister K AE N AH S T ER
+canker K AE NG K ER
+cannery K AE N ER IY
+cannibal K AE N AH B AH L
+cannibalism K AE N AH B AH L IH Z AH M
+cannon K AE N AH N
+cannot K AE N AA T
+canny K AE N IY
+canoe K AH N UW
+canon K AE N AH N
+canonical K AH N AA N AH K AH L
+canopy K AE N AH P IY
+cant K AE N T
+cantaloupe K AE N T AH L OW P
+cantankerous K AE N T AE NG K ER AH S
+canteen K AE N T IY N
+canter K AE N T ER
+canvas K AE N V AH S
+canvass K AE N V AH S
+canyon K AE N Y AH N
+cap K AE P
+capability K EY P AH B IH L AH T IY
+capable K EY P AH B AH L
+capacitor K AH P AE S AH T ER
+capacity K AH P AE S AH T IY
+cape K EY P
+caper K EY P ER
+capes K EY P S
+capillary K AE P AH L EH R IY
+capital K AE P AH T AH L
+capitalism K AE P IH T AH L IH Z AH M
+capitalist K AE P AH T AH L IH S T
+capitalization K AE P IH T AH L IH Z EY SH AH N
+capitalize K AE P AH T AH L AY Z
+capitalized K AE P IH T AH L AY Z D
+capitulate K AH P IH CH UW L IH T
+caprice K AH P R IY S
+capricious K AH P R IH SH AH S
+capsize K AE P S AY Z
+capsule K AE P S AH L
+captain K AE P T AH N
+caption K AE P SH AH N
+captivated K AE P T IH V EY T IH D
+captive K AE P T IH V
+captivity K AE P T IH V AH T IY
+captor K AE P T ER
+capture K AE P CH ER
+car K AA R
+caramel K EH R AH M AH L
+carat K EH R AH T
+caravan K AE R AH V AE N
+carbohydrates K AA R B OW HH AY D R EY T S
+carbon K AA R B AH N
+carburetor K AA R B ER EY T ER
+carcass K AA R K AH S
+card K AA R D
+cardboard K AA R D B AO R D
+cardiac K AA R D IY AE K
+cardigan K AA R D IH G AH N
+cardinal K AA R D AH N AH L
+care K EH R
+cared K EH R D
+career K ER IH R
+carefree K EH R F R IY
+careful K EH R F AH L
+carefully K EH R F AH L IY
+careless K EH R L AH S
+carelessly K EH R L AH S L IY
+carelessness K EH R L AH S N AH S
+cares K EH R Z
+caress K ER EH S
+caretaker K EH R T EY K ER
+cargo K AA R G OW
+caribou K EH R IH B UW
+caricature K EH R AH K AH CH ER
+caring K EH R IH NG
+carnage K AA R N IH JH
+carnal K AA R N AH L
+carnation K AA R N EY SH AH N
+carnival K AA R N AH V AH L
+carnivore K AA R N IH V AO R
+carnivores K AA R N AH V AO R Z
+carnivorous K AA R N IH V ER AH S
+carol K AE R AH L
+carols K EH R AH L Z
+carp K AA R P
+carpenter K AA R P AH N T ER
+carpentry K AA R P AH N T R IY
+carpet K AA R P AH T
+carriage K AE R IH JH
+carrier K AE R IY ER
+carrion K EH R IY AH N
+carrot K AE R AH T
+carry K AE R IY
+cart K AA R T
+cartel K AA R T EH L
+cartilage K AA R T AH L AH JH
+carton K AA R T AH N
+cartoon K AA R T UW N
+cartoonist K AA R T UW N AH S T
+cartridge K AA R T R AH JH
+cartridges K AA R T R AH JH AH Z
+cartwheel K AA R T W IY L
+carve K AA R V
+cascade K AE S K EY D
+case K EY S
+cases K EY S AH Z
+cash K AE SH
+cashew K AE SH UW
+cashier K AE SH IH R
+cashmere K AE ZH M IH R
+casino K AH S IY N OW
+casket K AE S K AH T
+casserole K AE S ER OW L
+cassette K AH S EH T
+cast K AE S T
+castaway K AE S T AH W EY
+caste K AE S T
+castle K AE S AH L
+castrate K AE S T R EY T
+casual K AE ZH AH W AH L
+casually K AE ZH AH W AH L IY
+casualty K AE ZH AH W AH L T IY
+cat K AE T
+cataclysm K AE T AH K L IH S AH M
+cataclysmic K AE T AH K L IH Z M IH K
+catalog K AE T AH L AO G
+cataloging K AE T AH L AA G IH NG
+catalogs K AE T AH L AA G Z
+catapult K AE T AH P AH L T
+cataracts K AE T ER AE K T S
+catastrophe K AH T AE S T R AH F IY
+catastrophic K AE T AH S T R AA F IH K
+catch K AE CH
+catches K AE CH AH Z
+catchy K AE CH IY
+catechism K AE T AH K IH Z AH M
+categorically K AE T AH G AA R IH K L IY
+category K AE T AH G AO R IY
+cater K EY T ER
+caterer K EY T ER ER
+caterpillar K AE T AH P IH L ER
+catfish K AE T F IH SH
+cathedral K AH TH IY D R AH L
+catholic K AE TH L IH K
+catnip K AE T N IH P
+cattle K AE T AH L
+catwalk K AE T W AA K
+caucus K AO K AH S
+caught K AO T
+cauliflower K AA L AH F L AW ER
+caulk K AA K
+causal K AO Z AH L
+causality K AO Z AA L IH T IY
+cause K AA Z
+causes K AA Z AH Z
+causeway K AA Z W EY
+caution K AA SH AH N
+cautious K AO SH AH S
+cautiously K AO SH AH S L IY
+cavalier K AE V AH L IH R
+cavalry K AE V AH L R IY
+cave K EY V
+caveat K EY V IY AE T
+cavern K AE V ER N
+caviar K AE V IY AA R
+cavities K AE V IH T IY Z
+cavity K AE V AH T IY
+cavorting K AH V AO R T IH NG
+caw K AO
+cease S IY S
+ceasefire S IY S F AY ER
+cedar S IY D ER
+ceiling S IY L IH NG
+celebrate S EH L AH B R EY T
+celebration S EH L AH B R EY SH AH N
+celebrity S AH L EH B R IH T IY
+celery S EH L ER IY
+celestial S AH L EH S CH AH L
+celibacy S EH L AH B AH S IY
+celibate S EH L IH B AH T
+cell S EH L
+cellar S EH L ER
+cellist CH EH L AH S T
+cello CH EH L OW
+cellophane S EH L AH F EY N
+cellular S EH L Y AH L ER
+cement S AH M EH N T
+cemetery S EH M AH T EH R IY
+censor S EH N S ER
+censorship S EH N S ER SH IH P
+censured S EH N SH ER D
+census S EH N S AH S
+cent S EH N T
+centennial S EH N T EH N IY AH L
+center S EH N T ER
+centerpiece S EH N T ER P IY S
+centimeter S EH N T AH M IY T ER
+centipede S EH N T IH P IY D
+central S EH N T R AH L
+centrally S EH N T R AH L IY
+century S EH N CH ER IY
+ceramic S ER AE M IH K
+cereal S IH R IY AH L
+cerebral S EH R AH B R AH L
+ceremonial S EH R AH M OW N IY AH L
+ceremony S EH R AH M OW N IY
+certain S ER T AH N
+certainly S ER T AH N L IY
+certainty S ER T AH N T IY
+certificate S ER T IH F IH K AH T
+certify S ER T AH F AY
+cervical S ER V AH K AH L
+cessation S EH S EY SH AH N
+chafe CH EY F
+chaff CH AE F
+chagrin SH AH G R IH N
+chain CH EY N
+chainsaw CH EY N S AO
+chair CH EH R
+chairman CH EH R M AH N
+chalet SH AE L EY
+chalice CH AE L IH S
+chalk CH AA K
+chalked CH AO K T
+challenge CH AE L AH N JH
+challenger CH AE L AH N JH ER
+chamber CH EY M B ER
+chameleon K AH M IY L IY AH N
+champ CH AE M P
+champagne SH AE M P EY N
+champion CH AE M P IY AH N
+championship CH AE M P IY AH N SH IH P
+chance CH AE N S
+chancellor CH AE N S AH L ER
+chances CH AE N S AH Z
+chandelier SH AE N D AH L IH R
+chandeliers SH AE N D AH L IH Z
+change CH EY N JH
+changeable CH EY N JH AH B AH L
+changeover CH EY N JH OW V ER
+changes CH EY N JH AH Z
+channel CH AE N AH L
+chant CH AE N T
+chaos K EY AA S
+chaotic K EY AA T IH K
+chap CH AE P
+chapel CH AE P AH L
+chaperoning SH AE P ER OW N IH NG
+chaplain CH AE P L AH N
+chapter CH AE P T ER
+char CH AA R
+character K EH R IH K T ER
+characteristic K EH R AH K T ER IH S T IH K
+characterize K EH R AH K T ER AY Z
+characters K AE R AH K T ER Z
+charcoal CH AA R K OW L
+charge CH AA R JH
+charger CH AA R JH ER
+charges CH AA R JH AH Z
+chariot CH EH R IY AH T
+charisma K ER IH Z M AH
+charismatic K EH R IH Z M AE T IH K
+charitable CH AE R AH T AH B AH L
+charities CH EH R AH T IY Z
+charity CH EH R IH T IY
+charlatan SH AA R L AH T AH N
+charm CH AA R M
+chart CH AA R T
+charted CH AA R T AH D
+charter CH AA R T ER
+chase CH EY S
+chases CH EY S AH Z
+chasm K AE Z AH M
+chassis CH AE S IY
+chaste CH EY S T
+chastity CH AE S T AH T IY
+chat CH AE T
+chatted CH AE T AH D
+chatter CH AE T ER
+chatty CH AE T IY
+chauffeur SH OW F ER
+chauvinist SH OW V AH N AH S T
+cheap CH IY P
+cheapen CH IY P AH N
+cheaper CH IY P ER
+cheapest CH IY P AH S T
+cheaply CH IY P L IY
+cheat CH IY T
+cheated CH IY T AH D
+check CH EH K
+checker CH EH K ER
+checkout CH EH K AW T
+checkpoint CH EH K P OY N T
+checkup CH EH K AH P
+cheek CH IY K
+cheer CH IH R
+cheerful CH IH R F AH L
+cheerfully CH IH R F AH L IY
+cheery CH IH R IY
+cheese CH IY Z
+cheetah CH IY T AH
+chef SH EH F
+chemical K EH M AH K AH L
+chemically K EH M AH K L IY
+chemicals K EH M IH K AH L Z
+chemist K EH M IH S T
+chemistry K EH M AH S T R IY
+chemists K EH M AH S T S
+cherish CH EH R IH SH
+cherry CH EH R IY
+cherub CH EH R AH B
+chess CH EH S
+chest CH EH S T
+chestnut CH EH S N AH T
+chew CH UW
+chewy CH UW IY
+chi K AY
+chic SH IY K
+chick CH IH K
+chicken CH IH K AH N
+chief CH IY F
+chiefly CH IY F L IY
+chieftain CH IY F T AH N
+child CH AY L D
+childbirth CH AY L D B ER TH
+childhood CH AY L D HH UH D
+childish CH AY L D IH SH
+childlike CH AY L D L AY K
+children CH IH L D R AH N
+chili CH IH L IY
+chill CH IH L
+chilly CH IH L IY
+chime CH AY M
+chimney CH IH M N IY
+chimp CH IH M P
+chimpanzee CH IH M P AE N Z IY
+chin CH IH N
+china CH AY N AH
+chink CH IH NG K
+chip CH IH P
+chipmunk CH IH P M AH NG K
+chipper CH IH P ER
+chiropractor K AY R AH P R AE K T ER
+chirp CH ER P
+chisel CH IH Z AH L
+chivalry SH IH V AH L R IY
+chlorine K L AO R IY N
+chloroform K L AO R AH F AO R M
+chlorophyll K L AO R AH F IH L
+chocolate CH AO K L AH T
+choice CH OY S
+choices CH OY S AH Z
+choir K W AY ER
+choirs K W AY R Z
+choke CH OW K
+cholera K AA L ER AH
+cholesterol K AH L EH S T ER AO L
+choose CH UW Z
+chooses CH UW Z AH Z
+choosy CH UW Z IY
+chop CH AA P
+chopper CH AA P ER
+choppy CH AA P IY
+choral K AO R AH L
+chord K AO R D
+chore CH AO R
+choreographer K AO R IY AA G R AH F ER
+choreography K AO R IY AA G R AH F IY
+chorus K AO R AH S
+chose CH OW Z
+chosen CH OW Z AH N
+chow CH AW
+chowder CH AW D ER
+christen K R IH S AH N
+christmas K R IH S M AH S
+chrome K R OW M
+chromium K R OW M IY AH M
+chromosome K R OW M AH S OW M
+chromosomes K R OW M AH Z OW M Z
+chronic K R AA N IH K
+chronically K R AA N IH K AH L IY
+chronicle K R AA N IH K AH L
+chronological K R AA N AH L AA JH IH K AH L
+chronologically K R AA N AH L AA JH IH K L IY
+chronology K R AH N AA L AH JH IY
+chrysanthemum K R IH S AE N TH AH M AH M
+chubby CH AH B IY
+chuck CH AH K
+chuckle CH AH K AH L
+chuckling CH AH K L IH NG
+chug CH AH G
+chum CH AH M
+chummy CH AH M IY
+chunk CH AH NG K
+chunky CH AH NG K IY
+church CH ER CH
+churn CH ER N
+chute SH UW T
+cider S AY D ER
+cigar S IH G AA R
+cigarette S IH G ER EH T
+cinch S IH N CH
+cinder S IH N D ER
+cinema S IH N AH M AH
+cinnamon S IH N AH M AH N
+cipher S AY F ER
+circa S ER K AH
+circle S ER K AH L
+circuit S ER K AH T
+circuitry S ER K AH T R IY
+circular S ER K Y AH L ER
+circulate S ER K Y AH L EY T
+circulation S ER K Y AH L EY SH AH N
+circulatory S ER K Y AH L AH T AO R IY
+circumcised S ER K AH M S AY Z D
+circumcision S ER K AH M S IH ZH AH N
+circumference S ER K AH M F R AH N S
+circumstance S ER K AH M S T AE N S
+circumstances S ER K AH M S T AE N S AH Z
+circumstantial S ER K AH M S T AE N SH AH L
+circumvent S ER K AH M V EH N T
+circus S ER K AH S
+circuses S ER K AH S AH Z
+cistern S IH S T ER N
+citation S AY T EY SH AH N
+cite S AY T
+cited S AY T AH D
+citizen S IH T AH Z AH N
+citizenship S IH T IH Z AH N SH IH P
+citrus S IH T R AH S
+city S IH T IY
+civic S IH V IH K
+civil S IH V AH L
+civilian S AH V IH L Y AH N
+civility S AH V IH L AH T IY
+civilization S IH V AH L IH Z EY SH AH N
+civilize S IH V AH L AY Z
+clack K L AE K
+clad K L AE D
+claim K L EY M
+clairvoyance K L EH R V OY AH N S
+clairvoyant K L EH R V OY AH N T
+clam K L AE M
+clammy K L AE M IY
+clamoring K L AE M ER IH NG
+clamp K L AE M P
+clan K L AE N
+clandestine K L AE N D EH S T IH N
+clang K L AE NG
+clank K L AE NG K
+clap K L AE P
+clapper K L AE P ER
+clarification K L EH R AH F AH K EY SH AH N
+clarify K L EH R AH F AY
+clarinet K L EH R AH N EH T
+clarity K L EH R AH T IY
+clash K L AE SH
+clasp K L AE S P
+class K L AE S
+classes K L AE S AH Z
+classic K L AE S IH K
+classical K L AE S IH K AH L
+classification K L AE S AH F AH K EY SH AH N
+classify K L AE S AH F AY
+classmate K L AE S M EY T
+classroom K L AE S R UW M
+classy K L AE S IY
+clatter K L AE T ER
+clause K L AO Z
+clauses K L AO Z AH Z
+claustrophobia K L AO S T R AH F OW B IY AH
+claw K L AO
+clay K L EY
+clean K L IY N
+cleaner K L IY N ER
+cleanest K L IY N AH S T
+cleanliness K L EH N L IY N IH S
+cleanly K L IY N L IY
+cleanse K L EH N Z
+cleansed K L EH N Z D
+cleanser K L EH N Z ER
+cleansing K L EH N Z IH NG
+clear K L IH R
+clearance K L IH R AH N S
+clearer K L IH R ER
+clearest K L IH R IH S T
+clearly K L IH R L IY
+cleat K L IY T
+cleavage K L IY V AH JH
+cleave K L IY V
+cleaver K L IY V ER
+cleft K L EH F T
+clemency K L EH M AH N S IY
+clench K L EH N CH
+clergy K L ER JH IY
+clergyman K L ER JH IY M AH N
+cleric K L EH R IH K
+clerical K L EH R AH K AH L
+clerk K L ER K
+clever K L EH V ER
+cleverer K L EH V AH R ER
+cleverly K L EH V ER L IY
+cleverness K L EH V ER N AH S
+click K L IH K
+client K L AY AH N T
+cliff K L IH F
+climactic K L AY M AE K T IH K
+climate K L AY M AH T
+climax K L AY M AE K S
+climb K L AY M
+climber K L AY M ER
+climes K L AY M Z
+clinch K L IH N CH
+clinches K L IH N CH AH Z
+cling K L IH NG
+clinic K L IH N IH K
+clinical K L IH N AH K AH L
+clinically K L IH N IH K AH L IY
+clink K L IH NG K
+clip K L IH P
+clipboard K L IH P B AO R D
+clique K L IY K
+cliques K L IH K S
+clitoris K L AY T AO R IH S
+cloak K L OW K
+clock K L AA K
+clockwise K L AA K W AY Z
+clockwork K L AA K W ER K
+clog K L AA G
+clogged K L AO G D
+cloister K L OY S T ER
+clone K L OW N
+close K L OW S
+closed K L OW Z D
+closely K L OW S L IY
+closeness K L OW S N IH S
+closer K L OW S ER
+closes K L OW Z IH Z
+closest K L OW S AH S T
+closet K L AA Z AH T
+closing K L OW Z IH NG
+closure K L OW ZH ER
+clot K L AA T
+cloth K L AO TH
+clothe K L OW DH
+clothed K L OW DH D
+clothes K L OW DH Z
+clothing K L OW DH IH NG
+clotted K L AA T AH D
+cloud K L AW D
+cloudy K L AW D IY
+clout K L AW T
+clove K L OW V
+clover K L OW V ER
+clown K L AW N
+club K L AH B
+clubhouse K L AH B HH AW S
+cluck K L AH K
+clue K L UW
+clueless K L UW L AH S
+clump K L AH M P
+clumsiness K L AH M Z IY N AH S
+clumsy K L AH M Z IY
+clung K L AH NG
+cluster K L AH S T ER
+clutch K L AH CH
+clutches K L AH CH AH Z
+clutter K L AH T ER
+coach K OW CH
+coal K OW L
+coalition K OW AH L IH SH AH N
+coarse K AO R S
+coast K OW S T
+coastal K OW S T AH L
+coaster K OW S T ER
+coastline K OW S T L AY N
+coat K OW T
+coated K OW T AH D
+coax K OW K S
+cob K AA B
+cobalt K OW B AO L T
+cobbler K AA B L ER
+cobra K OW B R AH
+cobweb K AA B W EH B
+cocaine K OW K EY N
+cock K AA K
+cockeyed K AA K AY D
+cockpit K AA K P IH T
+cockroach K AA K R OW CH
+cocktail K AA K T EY L
+cocky K AA K IY
+cocoa K OW K OW
+coconut K OW K AH N AH T
+cocoon K AH K UW N
+cod K AA D
+code K OW D
+coded K OW D IH D
+codes K OW D Z
+coding K OW D IH NG
+coerce K OW ER S
+coercion K OW ER SH AH N
+coexist K OW AH G Z IH S T
+coexistence K OW IH G Z IH S T AH N S
+coffee K AA F IY
+coffees K AO F IY Z
+coffin K AO F IH N
+cog K AO G
+cogent K OW JH AH N T
+cognac K OW N Y AE K
+cognitive K AA G N IH T IH V
+coherent K OW HH IH R AH N T
+coil K OY L
+coin K OY N
+coincide K OW IH N S AY D
+coincided K OW AH N S AY D AH D
+coincidence K OW IH N S IH D AH N S
+coincidences K OW IH N S AH D AH N S IH Z
+coincidental K OW IH N S AH D EH N T AH L
+coincidentally K OW IH N S IH D EH N T AH L IY
+coke K OW K
+cold K OW L D
+colder K OW L D ER
+coldest K OW L D AH S T
+coldness K OW L D N AH S
+collaborate K AH L AE B ER EY T
+collaboration K AH L AE B ER EY SH AH N
+collaborator K AH L AE B ER EY T ER
+collage K AH L AA ZH
+collapse K AH L AE P S
+collapsible K AH L AE P S AH B AH L
+collar K AA L ER
+collarbone K AA L ER B OW N
+collate K AH L EY T
+collateral K AH L AE T ER AH L
+colleague K AA L IY G
+collect K AH L EH K T
+collected K AH L EH K T AH D
+collection K AH L EH K SH AH N
+collective K AH L EH K T IH V
+collectively K AH L EH K T IH V L IY
+collector K AH L EH K T ER
+college K AA L IH JH
+collegiate K AH L IY JH IH T
+collide K AH L AY D
+collie K AA L IY
+collision K AH L IH ZH AH N
+collusion K AH L UW ZH AH N
+colon K OW L AH N
+colonel K ER N AH L
+colonial K AH L OW N IY AH L
+colonization K AA L AH N IH Z EY SH AH N
+colonize K AA L AH N AY Z
+colony K AA L AH N IY
+color K AH L ER
+coloreds K AA L ER AH D Z
+colorful K AH L ER F AH L
+colorless K AH L ER L AH S
+colossal K AH L AA S AH L
+colt K OW L T
+column K AA L AH M
+coma K OW M AH
+comb K OW M
+combat K AA M B AE T
+combatant K AH M B AE T AH N T
+combination K AA M B AH N EY SH AH N
+combine K AA M B AY N
+combined K AH M B AY N D
+combines K AH M B AY N Z
+combining K AH M B AY N IH NG
+combustion K AH M B AH S CH AH N
+come K AH M
+comeback K AH M B AE K
+comedian K AH M IY D IY AH N
+comedy K AA M AH D IY
+comely K AH M L IY
+comet K AA M AH T
+comfort K AH M F ER T
+comfortable K AH M F ER T AH B AH L
+comfortably K AH M F ER T AH B L IY
+comic K AA M IH K
+comical K AA M IH K AH L
+comma K AA M AH
+command K AH M AE N D
+commandant K AA M AH N D AA N T
+commandeer K AA M AH N D IH R
+commander K AH M AE N D ER
+commandment K AH M AE N D M AH N T
+commando K AH M AE N D OW
+commemorate K AH M EH M ER EY T
+commence K AH M EH N S
+commencement K AH M EH N S M AH N T
+commences K AH M EH N S AH Z
+commend K AH M EH N D
+commendable K AH M EH N D AH B AH L
+commendation K AA M AH N D EY SH AH N
+comment K AA M EH N T
+commentary K AA M AH N T EH R IY
+commentator K AA M AH N T EY T ER
+commented K AA M EH N T AH D
+commerce K AA M ER S
+commercial K AH M ER SH AH L
+commercially K AH M ER SH AH L IY
+commission K AH M IH SH AH N
+commissioner K AH M IH SH AH N ER
+commit K AH M IH T
+commitment K AH M IH T M AH N T
+committee K AH M IH T IY
+commodity K AH M AA D AH T IY
+commodore K AA M AH D AO R
+common K AA M AH N
+commoner K AA M AH N ER
+commonly K AA M AH N L IY
+commonplace K AA M AH N P L EY S
+commonwealth K AA M AH N W EH L TH
+commotion K AH M OW SH AH N
+communal K AH M Y UW N AH L
+commune K AA M Y UW N
+communicable K AH M Y UW N AH K AH B AH L
+communicate K AH M Y UW N AH K EY T
+communicates K AH M Y UW N IH K EY T S
+communication K AH M Y UW N AH K EY SH AH N
+communicator K AH M Y UW N AH K EY T ER
+communing K AH M Y UW N IH NG
+communion K AH M Y UW N Y AH N
+communism K AA M Y AH N IH Z AH M
+communist K AA M Y AH N AH S T
+community K AH M Y UW N AH T IY
+commute K AH M Y UW T
+commuter K AH M Y UW T ER
+compact K AA M P AE K T
+companion K AH M P AE N Y AH N
+companionship K AH M P AE N Y AH N SH IH P
+company K AH M P AH N IY
+comparable K AA M P ER AH B AH L
+comparative K AH M P EH R AH T IH V
+comparatively K AH M P EH R AH T IH V L IY
+compare K AH M P EH R
+comparison K AH M P EH R AH S AH N
+compartment K AH M P AA R T M AH N T
+compass K AH M P AH S
+compassion K AH M P AE SH AH N
+compassionate K AH M P AE SH AH N AH T
+compatibility K AH M P AE T AH B IH L AH T IY
+compatible K AH M P AE T AH B AH L
+compel K AH M P EH L
+compensate K AA M P AH N S EY T
+compensated K AA M P AH N S EY T AH D
+compensation K AA M P AH N S EY SH AH N
+compete K AH M P IY T
+competence K AA M P AH T IH N S
+competent K AA M P AH T IH N T
+competition K AA M P AH T IH SH AH N
+competitive K AH M P EH T AH T IH V
+competitor K AH M P EH T AH T ER
+compilation K AA M P AH L EY SH AH N
+compile K AH M P AY L
+compiler K AH M P AY L ER
+complacency K AH M P L EY S AH N S IY
+complacent K AH M P L EY S AH N T
+complain K AH M P L EY N
+complaint K AH M P L EY N T
+complement K AA M P L AH M AH N T
+complementary K AA M P L AH M EH N T R IY
+complete K AH M P L IY T
+completed K AH M P L IY T AH D
+completely K AH M P L IY T L IY
+completeness K AH M P L IY T N AH S
+completion K AH M P L IY SH AH N
+complex K AA M P L EH K S
+complexes K AA M P L EH K S AH Z
+complexion K AH M P L EH K SH AH N
+complexities K AH M P L EH K S IH T IY Z
+complexity K AH M P L EH K S AH T IY
+compliance K AH M P L AY AH N S
+complicate K AA M P L AH K EY T
+complicated K AA M P L AH K EY T AH D
+complicates K AA M P L IH K EY T S
+complication K AA M P L AH K EY SH AH N
+compliment K AA M P L AH M EH N T
+complimentary K AA M P L AH M EH N T ER IY
+comply K AH M P L AY
+component K AH M P OW N AH N T
+compose K AH M P OW Z
+composer K AH M P OW Z ER
+composite K AH M P AA Z AH T
+composition K AA M P AH Z IH SH AH N
+compost K AA M P OW S T
+composure K AH M P OW ZH ER
+compound K AA M P AW N D
+compounded K AH M P AW N D AH D
+comprehend K AA M P R IY HH EH N D
+comprehensible K AA M P R IY HH EH N S AH B AH L
+comprehension K AA M P R IY HH EH N SH AH N
+comprehensive K AA M P R IY HH EH N S IH V
+compress K AA M P R EH S
+compressed K AH M P R EH S T
+compresses K AA M P R EH S AH Z
+compressing K AH M P R EH S IH NG
+compression K AH M P R EH SH AH N
+comprise K AH M P R AY Z
+comprises K AH M P R AY Z AH Z
+compromise K AA M P R AH M AY Z
+compulsion K AH M P AH L SH AH N
+compulsions K AH M P UH L SH AH N Z
+compulsive K AH M P AH L S IH V
+compulsory K AH M P AH L S ER IY
+compunction K AH M P AH NG K SH AH N
+computation K AA M P Y AH T EY SH AH N
+computational K AA M P Y UW T EY SH AH N AH L
+computations K AA M P Y UW T EY SH AH N Z
+compute K AH M P Y UW T
+computed K AH M P Y UW T AH D
+computer K AH M P Y UW T ER
+computerize K AH M P Y UW T ER AY Z
+comrade K AA M R AE D
+con K AA N
+concatenate K AH N K AE T AH N EY T
+concatenated K AH N K AE T AH N EY T AH D
+conceal K AH N S IY L
+concealment K AH N S IY L M AH N T
+concede K AH N S IY D
+conceit K AH N S IY T
+conceited K AH N S IY T AH D
+conceivable K AH N S IY V AH B AH L
+conceivably K AH N S IY V AH B L IY
+conceive K AH N S IY V
+concentrate K AA N S AH N T R EY T
+concentration K AA N S AH N T R EY SH AH N
+concentric K AH N S EH N T R IH K
+concept K AA N S EH P T
+conception K AH N S EH P SH AH N
+conceptual K AH N S EH P CH UW AH L
+concern K AH N S ER N
+concert K AA N S ER T
+concerto K AH N CH EH R T OW
+concession K AH N S EH SH AH N
+concise K AH N S AY S
+conclude K AH N K L UW D
+concluded K AH N K L UW D AH D
+conclusion K AH N K L UW ZH AH N
+conclusive K AH N K L UW S IH V
+conclusively K AH N K L UW S IH V L IY
+concoct K AH N K AA K T
+concocted K AH N K AA K T AH D
+concoction K AH N K AA K SH AH N
+concord K AA N K AO R D
+concourse K AA N K AO R S
+concrete K AH N K R IY T
+concur K AH N K ER
+concurrent K AH N K ER AH N T
+concurrently K AH N K ER AH N T L IY
+concussion K AH N K AH SH AH N
+condemn K AH N D EH M
+condemnation K AA N D AH M N EY SH AH N
+condensation K AA N D AH N S EY SH AH N
+condense K AH N D EH N S
+condescend K AA N D IH S EH N D
+condiments K AA N D AH M AH N T S
+condition K AH N D IH SH AH N
+conditional K AH N D IH SH AH N AH L
+condolence K AH N D OW L AH N S
+condolences K AH N D OW L AH N S AH Z
+condom K AA N D AH M
+condominium K AA N D AH M IH N IY AH M
+condone K AH N D OW N
+condor K AA N D ER
+conducive K AH N D UW S IH V
+conduct K AA N D AH K T
+conducted K AH N D AH K T AH D
+conducting K AH N D AH K T IH NG
+conductor K AH N D AH K T ER
+conducts K AH N D AH K T S
+cone K OW N
+cones K OW N Z
+confederacy K AH N F EH D ER AH S IY
+confederate K AH N F EH D ER AH T
+confederation K AH N F EH D ER EY SH AH N
+confer K AH N F ER
+conference K AA N F ER AH N S
+conferences K AA N F ER AH N S AH Z
+confess K AH N F EH S
+confession K AH N F EH SH AH N
+confetti K AH N F EH T IY
+confidant K AA N F AH D AA N T
+confide K AH N F AY D
+confidence K AA N F AH D AH N S
+confident K AA N F AH D AH N T
+confidential K AA N F AH D EH N SH AH L
+confidentiality K AA N F AH D EH N SH IY AE L AH T IY
+confidentially K AA N F AH D EH N SH AH L IY
+confidently K AA N F AH D AH N T L IY
+configuration K AH N F IH G Y ER EY SH AH N
+configure K AH N F IH G Y ER
+confine K AH N F AY N
+confinement K AH N F AY N M AH N T
+confines K AA N F AY N Z
+confirm K AH N F ER M
+confirmation K AA N F ER M EY SH AH N
+confiscate K AA N F AH S K EY T
+confiscated K AA N F AH S K EY T AH D
+conflict K AA N F L IH K T
+conflicted K AH N F L IH K T IH D
+conflicting K AH N F L IH K T IH NG
+conflicts K AH N F L IH K T S
+conform K AH N F AO R M
+conformity K AH N F AO R M AH T IY
+confound K AA N F AW N D
+confounded K AH N F AW N D IH D
+confront K AH N F R AH N T
+confrontation K AA N F R AH N T EY SH AH N
+confronted K AH N F R AH N T AH D
+confuse K AH N F Y UW Z
+confusion K AH N F Y UW ZH AH N
+congenial K AH N JH IY N Y AH L
+congest K AH N JH EH S T
+congested K AH N JH EH S T AH D
+congestion K AH N JH EH S CH AH N
+conglomerate K AH N G L AA M ER AH T
+congratulate K AH N G R AE CH AH L EY T
+congratulations K AH N G R AE CH AH L EY SH AH N Z
+congregate K AA NG G R AH G EY T
+congregation K AA NG G R AH G EY SH AH N
+congress K AA NG G R AH S
+congressman K AA NG G R AH S M AH N
+congressmen K AA NG G R AH S M IH N
+congresswoman K AA NG G R AH S W UH M AH N
+conjecture K AH N JH EH K CH ER
+conjugal K AA N JH AH G AH L
+conjugate K AA N JH AH G EY T
+conjunction K AH N JH AH NG K SH AH N
+conjure K AA N JH ER
+connect K AH N EH K T
+connection K AH N EH K SH AH N
+connector K AH N EH K T ER
+connoisseur K AA N AH S ER
+connotation K AA N AH T EY SH AH N
+conquer K AA NG K ER
+conqueror K AA NG K ER ER
+conquest K AA NG K W EH S T
+conquests K AA N K W EH S T S
+conscience K AA N SH AH N S
+consciences K AA N CH IH N S IH Z
+conscientious K AA N SH IY EH N SH AH S
+conscious K AA N SH AH S
+consciously K AA N SH AH S L IY
+consciousness K AA N SH AH S N AH S
+consecrated K AA N S AH K R EY T IH D
+consecutive K AH N S EH K Y AH T IH V
+consensus K AH N S EH N S AH S
+consent K AH N S EH N T
+consequence K AA N S AH K W AH N S
+consequences K AA N S AH K W EH N S AH Z
+consequent K AA N S AH K W AH N T
+consequently K AA N S AH K W AH N T L IY
+conservation K AA N S ER V EY SH AH N
+conservative K AH N S ER V AH T IH V
+conservatory K AH N S ER V AH T AO R IY
+conserve K AH N S ER V
+consider K AH N S IH D ER
+considerable K AH N S IH D ER AH B AH L
+considerably K AH N S IH D ER AH B L IY
+considerate K AH N S IH D ER AH T
+consideration K AH N S IH D ER EY SH AH N
+consign K AH N S AY N
+consignment K AH N S AY N M AH N T
+consist K AH N S IH S T
+consisted K AH N S IH S T AH D
+consistency K AH N S IH S T AH N S IY
+consistent K AH N S IH S T AH N T
+consistently K AH N S IH S T AH N T L IY
+consolation K AA N S AH L EY SH AH N
+console K AA N S OW L
+consoled K AH N S OW L D
+consolidate K AH N S AA L IH D EY T
+consolidated K AH N S AA L AH D EY T AH D
+consolidating K AH N S AA L AH D EY T IH NG
+consolidation K AH N S AA L AH D EY SH AH N
+consoling K AH N S OW L IH NG
+consonant K AA N S AH N AH N T
+consort K AH N S AO R T
+consortium K AH N S AO R SH IY AH M
+conspicuous K AH N S P IH K Y UW AH S
+conspiracy K AH N S P IH R AH S IY
+conspirator K AH N S P IH R AH T ER
+conspire K AH N S P AY ER
+conspiring K AH N S P AY R IH NG
+constancy K AA N S T AH N S IY
+constant K AA N S T AH N T
+constantly K AA N S T AH N T L IY
+constellation K AA N S T AH L EY SH AH N
+constipation K AA N S T AH P EY SH AH N
+constituency K AH N S T IH CH UW AH N S IY
+constituent K AH N S T IH CH UW AH N T
+constitute K AA N S T AH T UW T
+constituted K AA N S T AH T UW T AH D
+constitution K AA N S T AH T UW SH AH N
+constitutional K AA N S T AH T UW SH AH N AH L
+constitutionally K AA N S T AH T UW SH AH N AH L IY
+constrain K AH N S T R EY N
+constraint K AH N S T R EY N T
+construct K AH N S T R AH K T
+constructed K AH N S T R AH K T AH D
+construction K AH N S T R AH K SH AH N
+constructive K AH N S T R AH K T IH V
+construe K AH N S T R UW
+consul K AA N S AH L
+consular K AA N S AH L ER
+consulate K AA N S AH L AH T
+consult K AH N S AH L T
+consultancy K AH N S AH L T AH N S IY
+consultant K AH N S AH L T AH N T
+consultation K AA N S AH L T EY SH AH N
+consulted K AH N S AH L T AH D
+consume K AH N S UW M
+consumer K AH N S UW M ER
+consummate K AA N S AH M AH T
+consummated K AA N S AH M EY T AH D
+consumption K AH N S AH M P SH AH N
+contact K AA N T AE K T
+contagion K AH N T EY JH AH N
+contagious K AH N T EY JH AH S
+contain K AH N T EY N
+container K AH N T EY N ER
+contaminate K AH N T AE M AH N EY T
+contamination K AH N T AE M AH N EY SH AH N
+contemplate K AA N T AH M P L EY T
+contemplation K AA N T AH M P L EY SH AH N
+contemporary K AH N T EH M P ER EH R IY
+contempt K AH N T EH M P T
+contemptible K AH N T EH M P T AH B AH L
+contemptuous K AH N T EH M P CH UW AH S
+contend K AH N T EH N D
+contender K AH N T EH N D ER
+content K AA N T EH N T
+contented K AH N T EH N T AH D
+contention K AH N T EH N SH AH N
+contentious K AH N T EH N SH AH S
+contentment K AH N T EH N T M AH N T
+contest K AA N T EH S T
+contestant K AH N T EH S T AH N T
+contesting K AH N T EH S T IH NG
+context K AA N T EH K S T
+continent K AA N T AH N AH N T
+continental K AA N T AH N EH N T AH L
+contingency K AH N T IH N JH AH N S IY
+contingent K AH N T IH N JH AH N T
+continual K AH N T IH N Y UW AH L
+continually K AH N T IH N Y UW AH L IY
+continuation K AH N T IH N Y UW EY SH AH N
+continue K AH N T IH N Y UW
+continuity K AA N T AH N UW AH T IY
+continuous K AH N T IH N Y UW AH S
+continuously K AH N T IH N Y UW AH S L IY
+continuum K AH N T IH N Y UW AH M
+contour K AA N T UH R
+contraband K AA N T R AH B AE N D
+contraception K AA N T R AH S EH P SH AH N
+contraceptive K AA N T R AH S EH P T IH V
+contract K AA N T R AE K T
+contracted K AA N T R AE K T AH D
+contraction K AH N T R AE K SH AH N
+contractor K AA N T R AE K T ER
+contractual K AH N T R AE K CH UW AH L
+contradict K AA N T R AH D IH K T
+contradicted K AA N T R AH D IH K T AH D
+contradiction K AA N T R AH D IH K SH AH N
+contradictory K AA N T R AH D IH K T ER IY
+contraption K AH N T R AE P SH AH N
+contrary K AA N T R EH R IY
+contrast K AA N T R AE S T
+contravention K AA N T R AH V EH N CH AH N
+contribute K AH N T R IH B Y UW T
+contribution K AA N T R AH B Y UW SH AH N
+contributor K AH N T R IH B Y AH T ER
+contrite K AH N T R AY T
+contrive K AH N T R AY V
+control K AH N T R OW L
+controller K AH N T R OW L ER
+controversial K AA N T R AH V ER SH AH L
+controversy K AA N T R AH V ER S IY
+convalescent K AA N V AH L EH S AH N T
+convene K AH N V IY N
+convenience K AH N V IY N Y AH N S
+convenient K AH N V IY N Y AH N T
+conveniently K AH N V IY N Y AH N T L IY
+convent K AA N V AH N T
+convention K AH N V EH N SH AH N
+conventional K AH N V EH N SH AH N AH L
+converge K AH N V ER JH
+convergence K AH N V ER JH AH N S
+conversation K AA N V ER S EY SH AH N
+conversational K AA N V ER S EY SH AH N AH L
+converse K AA N V ER S
+conversely K AA N V ER S L IY
+conversing K AH N V ER S IH NG
+conversion K AH N V ER ZH AH N
+convert K AA N V ER T
+converted K AH N V ER T IH D
+converter K AH N V ER T ER
+convertible K AH N V ER T AH B AH L
+converting K AH N V ER T IH NG
+convey K AH N V EY
+conveyance K AH N V EY AH N S
+convict K AA N V IH K T
+convicted K AH N V IH K T AH D
+convicting K AH N V IH K T IH NG
+conviction K AH N V IH K SH AH N
+convince K AH N V IH N S
+convincingly K AH N V IH N S IH NG L IY
+convoluted K AA N V AH L UW T AH D
+convoy K AA N V OY
+convulsion K AH N V AH L SH AH N
+coo K UW
+cook K UH K
+cookbook K UH K B UH K
+cooker K UH K ER
+cookie K UH K IY
+cool K UW L
+cooler K UW L ER
+coolest K UW L AH S T
+coop K UW P
+cooper K UW P ER
+cooperate K OW AA P ER EY T
+cooperated K OW AA P ER EY T AH D
+cooperation K OW AA P ER EY SH AH N
+cooperative K OW AA P ER EY T IH V
+coordinate K OW AO R D AH N AH T
+coordinated K OW AO R D AH N EY T IH D
+coordinating K OW AO R D AH N EY T IH NG
+coordination K OW AO R D AH N EY SH AH N
+coordinator K OW AO R D AH N EY T ER
+cop K AA P
+cope K OW P
+coped K OW P T
+copes K OW P S
+copier K AA P IY ER
+coping K OW P IH NG
+copper K AA P ER
+copulate K AA P Y AH L EY T
+copy K AA P IY
+copyright K AA P IY R AY T
+coral K AO R AH L
+cord K AO R D
+cordial K AO R JH AH L
+cordially K AO R JH AH L IY
+cordless K AO R D L AH S
+cordon K AO R D AH N
+corduroy K AO R D ER OY
+core K AO R
+cork K AO R K
+corkscrew K AO R K S K R UW
+corn K AO R N
+cornea K AO R N IY AH
+corner K AO R N ER
+cornet K AO R N EH T
+cornmeal K AO R N M IY L
+corny K AO R N IY
+coronary K AO R AH N EH R IY
+coronation K AO R AH N EY SH AH N
+coroner K AO R AH N ER
+corporal K AO R P ER AH L
+corporate K AO R P ER AH T
+corporation K AO R P ER EY SH AH N
+corps K AO R
+corpse K AO R P S
+corpses K AO R P S AH Z
+corpus K AO R P AH S
+corral K ER AE L
+correct K ER EH K T
+corrected K ER EH K T AH D
+correction K ER EH K SH AH N
+corrective K ER EH K T IH V
+correctly K ER EH K T L IY
+correctness K ER EH K T N AH S
+correlate K AO R AH L EY T
+correlation K AO R AH L EY SH AH N
+correspond K AO R AH S P AA N D
+correspondence K AO R AH S P AA N D AH N S
+correspondent K AO R AH S P AA N D AH N T
+corridor K AO R AH D ER
+corridors K AO R IH D ER Z
+corroborate K ER AA B ER EY T
+corroborates K ER AO B ER EY T S
+corroboration K ER AO B ER EY SH AH N
+corroded K ER OW D IH D
+corrosion K ER OW ZH AH N
+corrosive K ER OW S IH V
+corrupt K ER AH P T
+corruptible K ER AH P T IH B AH L
+corruption K ER AH P SH AH N
+corsage K AO R S AA ZH
+corset K AO R S AH T
+cortex K AO R T EH K S
+cosmetic K AA Z M EH T IH K
+cosmic K AA Z M IH K
+cosmology K AO Z M AO L AH JH IY
+cosmonauts K AO Z M AH N AO T S
+cosmopolitan K AA Z M AH P AA L AH T AH N
+cosmos K AA Z M OW S
+cost K AA S T
+costing K AO S T IH NG
+costly K AA S T L IY
+costume K AA S T UW M
+cot K AA T
+cottage K AA T AH JH
+cottages K AA T IH JH IH Z
+cotton K AA T AH N
+cottonwood K AA T AH N W UH D
+couch K AW CH
+cougar K UW G ER
+cough K AA F
+coughed K AO F T
+coughs K AO F S
+could K UH D
+council K AW N S AH L
+counsel K AW N S AH L
+counselor K AW N S AH L ER
+count K AW N T
+countable K AW N T AH B AH L
+countdown K AW N T D AW N
+countenance K AW N T AH N AH N S
+counter K AW N T ER
+counteract K AW N T ER AE K T
+counterattack K AW N T ER AH T AE K
+counterbalance K AW N T ER B AE L AH N S
+counterclockwise K AW N T ER K L AO K W AY Z
+counterfeit K AW N T ER F IH T
+counterpart K AW N T ER P AA R T
+countess K AW N T AH S
+countless K AW N T L AH S
+country K AH N T R IY
+countryman K AH N T R IY M AH N
+countrymen K AH N T R IY M IH N
+countryside K AH N T R IY S AY D
+county K AW N T IY
+coup K UW
+couple K AH P AH L
+coupling K AH P L IH NG
+coupon K UW P AO N
+courage K ER AH JH
+courageous K ER EY JH AH S
+courageously K ER EY JH AH S L IY
+courier K ER IY ER
+course K AO R S
+courses K AO R S AH Z
+court K AO R T
+courteous K ER T IY AH S
+courtesy K ER T AH S IY
+courthouse K AO R T HH AW S
+courtroom K AO R T R UW M
+courtship K AO R CH IH P
+courtyard K AO R T Y AA R D
+cousin K AH Z AH N
+cove K OW V
+covenant K AH V AH N AH N T
+cover K AH V ER
+coverage K AH V ER AH JH
+covert K OW V ER T
+covertly K OW V ER T L IY
+covet K AH V AH T
+cow K AW
+coward K AW ER D
+cowardice K AW ER D AH S
+cowardly K AW ER D L IY
+cowboy K AW B OY
+cower K AW ER
+cowgirl K AW G ER L
+cox K AA K S
+coy K OY
+coyote K AY OW T IY
+coyotes K AY OW T IY S
+cozy K OW Z IY
+crab K R AE B
+crabby K R AE B IY
+crack K R AE K
+cracker K R AE K ER
+crackle K R AE K AH L
+crackling K R AE K L IH NG
+crackpot K R AE K P AA T
+cradle K R EY D AH L
+craft K R AE F T
+craftsman K R AE F T S M AH N
+craftsmen K R AE F T S M EH N
+crafty K R AE F T IY
+crag K R AE G
+cram K R AE M
+cramp K R AE M P
+cranberry K R AE N B EH R IY
+crane K R EY N
+cranium K R EY N IY AH M
+crank K R AE NG K
+cranky K R AE NG K IY
+crap K R AE P
+crash K R AE SH
+crass K R AE S
+crate K R EY T
+crater K R EY T ER
+crave K R EY V
+crawl K R AO L
+crayon K R EY AA N
+craze K R EY Z
+crazier K R EY Z IY ER
+craziest K R EY Z IY AH S T
+craziness K R EY Z IY N AH S
+crazy K R EY Z IY
+creak K R IY K
+creaky K R IY K IY
+cream K R IY M
+creamy K R IY M IY
+crease K R IY S
+create K R IY EY T
+created K R IY EY T AH D
+creation K R IY EY SH AH N
+creative K R IY EY T IH V
+creatively K R IY EY T IH V L IY
+creativity K R IY EY T IH V AH T IY
+creator K R IY EY T ER
+creature K R IY CH ER
+credence K R IY D AH N S
+credentials K R AH D EH N SH AH L Z
+credibility K R EH D AH B IH L IH T IY
+credible K R EH D AH B AH L
+credit K R EH D AH T
+credited K R EH D AH T AH D
+creditors K R EH D IH T ER Z
+credits K R EH D IH T S
+creed K R IY D
+creek K R IY K
+creep K R IY P
+creepy K R IY P IY
+cremate K R IY M EY T
+cremation K R IY M EY SH AH N
+crepe K R EY P
+crept K R EH P T
+crescendo K R IH SH EH N D OW
+crescent K R EH S AH N T
+crest K R EH S T
+cretin K R IY T AH N
+crevice K R EH V AH S
+crew K R UW
+crib K R IH B
+cricket K R IH K AH T
+crime K R AY M
+criminal K R IH M AH N AH L
+criminally K R IH M AH N AH L IY
+crimson K R IH M Z AH N
+cringe K R IH N JH
+cripple K R IH P AH L
+crises K R AY S IY Z
+crisis K R AY S AH S
+crisp K R IH S P
+crispy K R IH S P IY
+criteria K R AY T IH R IY AH
+criterion K R AY T IH R IY AH N
+critic K R IH T IH K
+critical K R IH T IH K AH L
+critically K R IH T IH K AH L IY
+criticism K R IH T IH S IH Z AH M
+criticize K R IH T IH S AY Z
+criticized K R IH T AH S AY Z D
+critique K R AH T IY K
+croak K R OW K
+crock K R AA K
+crocodile K R AA K AH D AY L
+cronies K R OW N IY Z
+crook K R UH K
+crooked K R UH K AH D
+croon K R UW N
+crop K R AA P
+croquet K R OW K EY
+cross K R AO S
+crossbow K R AO S B OW
+crossroad K R AO S R OW D
+crosswalk K R AA S W AA K
+crossword K R AO S W ER D
+crotch K R AA CH
+crouch K R AW CH
+crow K R OW
+crowbar K R OW B AA R
+crowd K R AW D
+crowded K R AW D AH D
+crown K R AW N
+crucial K R UW SH AH L
+crucifix K R UW S AH F IH K S
+crucifixion K R UW S IH F IH K SH AH N
+crucify K R UW S AH F AY
+crude K R UW D
+cruel K R UW AH L
+cruelest K R UW L AH S T
+cruelly K R UW L IY
+cruelty K R UW L T IY
+cruise K R UW Z
+cruiser K R UW Z ER
+crumb K R AH M
+crumble K R AH M B AH L
+crummy K R AH M IY
+crumpled K R AH M P AH L D
+crunch K R AH N CH
+crunchy K R AH N CH IY
+crusade K R UW S EY D
+crusader K R UW S EY D ER
+crush K R AH SH
+crust K R AH S T
+crustacean K R AH S T EY SH AH N
+crusty K R AH S T IY
+crutch K R AH CH
+crux K R AH K S
+cry K R AY
+crybaby K R AY B EY B IY
+crypt K R IH P T
+cryptic K R IH P T IH K
+crystal K R IH S T AH L
+crystallized K R IH S T AH L AY Z D
+cub K AH B
+cube K Y UW B
+cubes K Y UW B Z
+cubic K Y UW B IH K
+cubicle K Y UW B IH K AH L
+cuckoo K AH K UW
+cuckoos K UW K UW Z
+cucumber K Y UW K AH M B ER
+cuddle K AH D AH L
+cuddling K AH D L IH NG
+cuddly K AH D L IY
+cue K Y UW
+cuff K AH F
+cuisine K W IH Z IY N
+culinary K Y UW L IH N EH R IY
+culminating K AH L M AH N EY T IH NG
+culmination K AH L M AH N EY SH AH N
+culpable K AH L P AH B AH L
+culprit K AH L P R IH T
+cult K AH L T
+cultivate K AH L T AH V EY T
+cultivating K AH L T IH V EY T IH NG
+cultural K AH L CH ER AH L
+culturally K AH L CH ER AH L IY
+culture K AH L CH ER
+cumbersome K AH M B ER S AH M
+cumming K AH M IH NG
+cumulative K Y UW M Y AH L AH T IH V
+cunning K AH N IH NG
+cup K AH P
+cupboard K AH B ER D
+cur K ER
+curable K Y UH R AH B AH L
+curator K Y UH R EY T ER
+curb K ER B
+curd K ER D
+cure K Y UH R
+cured K Y UH R D
+cures K Y UH R Z
+curfew K ER F Y UW
+curing K Y UH R IH NG
+curiosity K Y UH R IY AA S AH T IY
+curious K Y UH R IY AH S
+curiously K Y UH R IY AH S L IY
+curl K ER L
+curly K ER L IY
+currency K ER AH N S IY
+current K ER AH N T
+currently K ER AH N T L IY
+curriculum K ER IH K Y AH L AH M
+curry K AH R IY
+curse K ER S
+cursed K ER S T
+curses K ER S IH Z
+cursing K ER S IH NG
+cursor K ER S ER
+cursory K ER S ER IY
+curt K ER T
+curtain K ER T AH N
+curtsy K ER T S IY
+curvature K ER V AH CH ER
+curve K ER V
+cushion K UH SH AH N
+custard K AH S T ER D
+custodian K AH S T OW D IY AH N
+custody K AH S T AH D IY
+custom K AH S T AH M
+customary K AH S T AH M EH R IY
+customer K AH S T AH M ER
+customized K AH S T AH M AY Z D
+cut K AH T
+cutback K AH T B AE K
+cute K Y UW T
+cuter K Y UW T ER
+cutest K Y UW T IH S T
+cuticle K Y UW T AH K AH L
+cutlery K AH T L ER IY
+cutlet K AH T L AH T
+cutter K AH T ER
+cutthroat K AH T TH R OW T
+cyanide S AY AH N AY D
+cycle S AY K AH L
+cyclist S AY K AH L IH S T
+cyclone S IH K L OW N
+cylinder S IH L AH N D ER
+cymbal S IH M B AH L
+cynic S IH N IH K
+cynical S IH N IH K AH L
+cynicism S IH N IH S IH Z AH M
+cypress S AY P R AH S
+cyst S IH S T
+czar Z AA R
+dab D AE B
+dabble D AE B AH L
+dachshund D AA K S HH UH N D
+dad D AE D
+daddy D AE D IY
+daemon D IY M AH N
+daffodil D AE F AH D IH L
+daft D AE F T
+dagger D AE G ER
+daily D EY L IY
+dainty D EY N T IY
+dairy D EH R IY
+dais D EY Z
+daisy D EY Z IY
+dally D AE L IY
+dam D AE M
+damage D AE M AH JH
+damages D AE M AH JH AH Z
+damaging D AE M IH JH IH NG
+dame D EY M
+dames D EY M Z
+damn D AE M
+damnation D AE M N EY SH AH N
+damp D AE M P
+dampen D AE M P AH N
+damper D AE M P ER
+damsel D AE M Z AH L
+dance D AE N S
+dancer D AE N S ER
+dances D AE N S AH Z
+dandelion D AE N D AH L AY AH N
+dandruff D AE N D R AH F
+dandy D AE N D IY
+danger D EY N JH ER
+dangerous D EY N JH ER AH S
+dangerously D EY N JH ER AH S L IY
+dangle D AE NG G AH L
+dank D AE NG K
+danker D AE NG K ER
+dapper D AE P ER
+dare D EH R
+daredevil D EH R D EH V AH L
+dark D AA R K
+darken D AA R K AH N
+darker D AA R K ER
+darkest D AA R K AH S T
+darkness D AA R K N AH S
+darling D AA R L IH NG
+darn D AA R N
+dart D AA R T
+dash D AE SH
+dashboard D AE SH B AO R D
+dastardly D AE S T ER D L IY
+data D EY T AH
+database D EY T AH B EY S
+date D EY T
+datum D AE T AH M
+daughter D AO T ER
+daunting D AO N T IH NG
+dawdle D AO D AH L
+dawdling D AO D L IH NG
+dawn D AO N
+day D EY
+daybreak D EY B R EY K
+daydream D EY D R IY M
+daylight D EY L AY T
+daytime D EY T AY M
+daze D EY Z
+dazzle D AE Z AH L
+deacon D IY K AH N
+dead D EH D
+deader D EH D ER
+deadlier D EH D L IY ER
+deadliest D EH D L IY AH S T
+deadline D EH D L AY N
+deadly D EH D L IY
+deaf D EH F
+deafness D EH F N AH S
+deal D IY L
+dealer D IY L ER
+dealt D EH L T
+dean D IY N
+dear D IH R
+dearer D IH R ER
+dearest D IH R AH S T
+dearly D IH R L IY
+death D EH TH
+deathbed D EH TH B EH D
+debased D AH B EY S T
+debatable D AH B EY T AH B AH L
+debate D AH B EY T
+debauchery D AH B AO CH ER IY
+debilitating D AH B IH L AH T EY T IH NG
+debonair D EH B AH N EH R
+debrief D IH B R IY F
+debris D AH B R IY
+debt D EH T
+debtor D EH T ER
+debug D IY B AH G
+debut D EY B Y UW
+decade D EH K EY D
+decadence D EH K AH D AH N S
+decadent D EH K AH D AH N T
+decapitate D IY K AE P AH T EY T
+decay D IH K EY
+decayed D AH K EY D
+deceased D IH S IY S T
+deceit D AH S IY T
+deceitful D AH S IY T F AH L
+deceive D IH S IY V
+decency D IY S AH N S IY
+decent D IY S AH N T
+decently D IY S AH N T L IY
+deception D IH S EH P SH AH N
+deceptive D IH S EH P T IH V
+decibel D EH S AH B EH L
+decibels D EH S AH B AH L Z
+decide D IH S AY D
+decidedly D IH S AY D AH D L IY
+decimal D EH S AH M AH L
+decimated D EH S AH M EY T IH D
+decipher D IH S AY F ER
+deciphering D AH S AY F ER IH NG
+decision D IH S IH ZH AH N
+decisive D IH S AY S IH V
+deck D EH K
+declaration D EH K L ER EY SH AH N
+declare D IH K L EH R
+decline D IH K L AY N
+decode D IH K OW D
+decoded D IH K OW D AH D
+decoder D IH K OW D ER
+decompose D IY K AH M P OW Z
+decomposition D IY K AH M P OW Z IH SH AH N
+decorate D EH K ER EY T
+decoration D EH K ER EY SH AH N
+decorative D EH K R AH T IH V
+decorator D EH K ER EY T ER
+decorum D IH K AO R AH M
+decoy D AH K OY
+decoys D IY K OY Z
+decrease D IH K R IY S
+decreases D IH K R IY S AH Z
+decree D IH K R IY
+decrepit D AH K R EH P IH T
+dedicate D EH D AH K EY T
+dedicated D EH D AH K EY T AH D
+dedicates D EH D IH K EY T S
+dedicating D EH D IH K EY T IH NG
+dedication D EH D AH K EY SH AH N
+deduce D IH D UW S
+deduct D IH D AH K T
+deduction D IH D AH K SH AH N
+deductive D IH D AH K T AH V
+deed D IY D
+deem D IY M
+deep D IY P
+deepen D IY P AH N
+deeper D IY P ER
+deepest D IY P AH S T
+deeply D IY P L IY
+deer D IH R
+defaced D IH F EY S T
+defacing D IH F EY S IH NG
+defamation D EH F AH M EY SH AH N
+default D IH F AO L T
+defeat D IH F IY T
+defeated D IH F IY T AH D
+defeatist D IH F IY T IH S T
+defect D IY F EH K T
+defected D IH F EH K T IH D
+defecting D IH F EH K T IH NG
+defective D IH F EH K T IH V
+defend D IH F EH N D
+defendant D IH F EH N D AH N T
+defended D IH F EH N D AH D
+defender D IH F EH N D ER
+defense D IH F EH N S
+defenseless D IH F EH N S L AH S
+defenses D IH F EH N S AH Z
+defensible D IH F EH N S AH B AH L
+defensive D IH F EH N S IH V
+defer D IH F ER
+deference D EH F ER AH N S
+defiance D IH F AY AH N S
+defiant D IH F AY AH N T
+deficiency D IH F IH SH AH N S IY
+deficient D IH F IH SH AH N T
+deficit D EH F AH S AH T
+define D IH F AY N
+definite D EH F AH N AH T
+definitely D EH F AH N AH T L IY
+definition D EH F AH N IH SH AH N
+definitive D IH F IH N IH T IH V
+deflate D IH F L EY T
+deflect D IH F L EH K T
+deflection D IH F L EH K SH AH N
+deformed D IH F AO R M D
+deformity D IH F AO R M AH T IY
+defraud D IH F R AO D
+defrost D IH F R AO S T
+deft D EH F T
+defunct D IH F AH NG K T
+defy D IH F AY
+degenerate D IH JH EH N ER AH T
+degenerated D IH JH EH N ER EY T IH D
+degradation D EH G R AH D EY SH AH N
+degrade D IH G R EY D
+degraded D IH G R EY D AH D
+degree D IH G R IY
+dehydrated D IH HH AY D R EY T AH D
+deign D EY N
+deity D IY AH T IY
+dejected D IH JH EH K T IH D
+delay D IH L EY
+delectable D IH L EH K T AH B AH L
+delegate D EH L AH G EY T
+delegation D EH L AH G EY SH AH N
+delete D IH L IY T
+deleted D IH L IY T AH D
+deletion D IH L IY SH AH N
+deli D EH L IY
+deliberate D IH L IH B ER AH T
+deliberately D IH L IH B ER AH T L IY
+deliberating D IH L IH B ER EY T IH NG
+deliberation D IH L IH B ER EY SH AH N
+delicacies D EH L IH K AH S IY Z
+delicacy D EH L AH K AH S IY
+delicate D EH L AH K AH T
+delicately D EH L AH K AH T L IY
+delicatessen D EH L IH K AH T EH S AH N
+delicious D IH L IH SH AH S
+deliciously D IH L IH SH AH SH L IY
+delight D IH L AY T
+delighted D IH L AY T AH D
+delightful D IH L AY T F AH L
+delinquency D IH L IH NG K W AH N S IY
+delinquent D IH L IH NG K W AH N T
+delirious D IH L IH R IY AH S
+delirium D IH L IH R IY AH M
+deliver D IH L IH V ER
+deliverance D IH L IH V ER AH N S
+delivery D IH L IH V ER IY
+delta D EH L T AH
+delude D IH L UW D
+deluge D EH L Y UW JH
+delusion D IH L UW ZH AH N
+deluxe D AH L AH K S
+delve D EH L V
+demand D IH M AE N D
+demanded D IH M AE N D AH D
+demean D IH M IY N
+demeanor D IH M IY N ER
+demented D IH M EH N T IH D
+dementia D IH M EH N SH IY AH
+demerit D IY M EH R AH T
+demise D IH M AY Z
+democracy D IH M AA K R AH S IY
+democrat D EH M AH K R AE T
+democratic D EH M AH K R AE T IH K
+democratically D EH M AH K R AE T IH K L IY
+demolish D IH M AA L IH SH
+demolishes D IH M AA L IH SH AH Z
+demolition D EH M AH L IH SH AH N
+demon D IY M AH N
+demonstrate D EH M AH N S T R EY T
+demonstration D EH M AH N S T R EY SH AH N
+demonstrative D IH M AA N S T R AH T IH V
+demonstrators D EH M AH N S T R EY T ER Z
+demoralizing D IH M AO R AH L AY Z IH NG
+demoted D IH M OW T IH D
+demotion D IH M OW SH AH N
+demure D IH M Y UH R
+den D EH N
+denial D IH N AY AH L
+denigrate D EH N AH G R EY T
+denim D EH N AH M
+denomination D IH N AO M AH N EY SH AH N
+denominator D IH N AA M AH N EY T ER
+denote D IH N OW T
+denounce D IH N AW N S
+dense D EH N S
+density D EH N S AH T IY
+dent D EH N T
+dental D EH N T AH L
+dentist D EH N T AH S T
+dentistry D EH N T IH S T R IY
+deny D IH N AY
+deodorant D IY OW D ER AH N T
+depart D IH P AA R T
+department D IH P AA R T M AH N T
+departmental D IH P AA R T M EH N AH L
+departure D IH P AA R CH ER
+depend D IH P EH N D
+dependable D IH P EH N D AH B AH L
+depended D IH P EH N D AH D
+dependence D IH P EH N D AH N S
+dependency D IH P EH N D AH N S IY
+dependent D IH P EH N D AH N T
+depict D IH P IH K T
+depicted D IH P IH K T AH D
+depiction D IH P IH K SH AH N
+depleted D IH P L IY T IH D
+deplorable D IH P L AO R AH B AH L
+deplore D IH P L AO R
+deport D IH P AO R T
+deportation D IY P AO R T EY SH AH N
+deported D IH P AO R T AH D
+deportment D AH P AO R T M AH N T
+depose D IH P OW Z
+deposit D AH P AA Z IH T
+depot D IY P OW
+depraved D IY P R EY V D
+depravity D IH P R AE V AH T IY
+depreciation D IH P R IY SH IY EY SH AH N
+depress D IH P R EH S
+depresses D IH P R EH S AH Z
+depression D IH P R EH SH AH N
+deprivation D EH P R AH V EY SH AH N
+deprive D IH P R AY V
+depth D EH P TH
+deputy D EH P Y AH T IY
+derail D IH R EY L
+derailment D IH R EY L M AH N T
+derange D IH R EY N JH
+derelict D EH R AH L IH K T
+derivation D EH R AH V EY SH AH N
+derivative D ER IH V AH T IH V
+derive D ER AY V
+derogatory D ER AA G AH T AO R IY
+derrick D EH R IH K
+descend D IH S EH N D
+descendant D IH S EH N D AH N T
+descended D IH S EH N D AH D
+descent D IH S EH N T
+describe D IH S K R AY B
+description D IH S K R IH P SH AH N
+descriptive D IH S K R IH P T IH V
+desecrate D EH Z AH K R EY T
+desecration D EH S AH K R EY SH AH N
+desert D EH Z ER T
+deserted D IH Z ER T IH D
+deserter D EH Z ER T ER
+deserve D IH Z ER V
+design D IH Z AY N
+designate D EH Z AH G N EY T
+designated D EH Z IH G N EY T IH D
+designates D EH Z IH G N EY T S
+designating D EH Z IH G N EY T IH NG
+designation D EH Z AH G N EY SH AH N
+designer D IH Z AY N ER
+desirable D IH Z AY R AH B AH L
+desire D IH Z AY ER
+desirous D IH Z AY R AH S
+desist D IH S IH S T
+desk D EH S K
+desktop D EH S K T AA P
+desolate D EH S AH L AH T
+desolation D EH S AH L EY SH AH N
+despair D IH S P EH R
+desperate D EH S P R IH T
+desperately D EH S P ER AH T L IY
+desperation D EH S P ER EY SH AH N
+despicable D IH S P IH K AH B AH L
+despise D IH S P AY Z
+despite D IH S P AY T
+despondent D IH S P AA N D AH N T
+despot D EH S P AH T
+dessert D IH Z ER T
+destination D EH S T AH N EY SH AH N
+destined D EH S T IH N D
+destiny D EH S T AH N IY
+destitute D EH S T AH T UW T
+destroy D IH S T R OY
+destroyer D IH S T R OY ER
+destruction D IH S T R AH K SH AH N
+destructive D IH S T R AH K T IH V
+detach D IH T AE CH
+detachment D IH T AE CH M AH N T
+detail D IH T EY L
+detain D IH T EY N
+detect D IH T EH K T
+detectable D IH T EH K T AH B AH L
+detected D IH T EH K T AH D
+detection D IH T EH K SH AH N
+detective D IH T EH K T IH V
+detector D IH T EH K T ER
+detention D IH T EH N SH AH N
+deter D IH T ER
+detergent D IH T ER JH AH N T
+deteriorate D IH T IH R IY ER EY T
+deterioration D IH T IH R IY ER EY SH AH N
+determination D IH T ER M AH N EY SH AH N
+determine D AH T ER M AH N
+determined D IH T ER M AH N D
+determining D IH T ER M AH N IH NG
+deterrent D IH T ER R AH N T
+detest D IH T EH S T
+detonate D EH T AH N EY T
+detonated D EH T AH N EY T AH D
+detonation D EH T AH N EY SH AH N
+detonator D EH T AH N EY T ER
+detour D IH T UH R
+detract D IH T R AE K T
+detriment D EH T R AH M AH N T
+detrimental D EH T R AH M EH N T AH L
+devastate D EH V AH S T EY T
+devastation D EH V AH S T EY SH AH N
+develop D IH V EH L AH P
+developer D IH V EH L AH P ER
+development D IH V EH L AH P M AH N T
+deviant D IY V IY AH N T
+deviate D IY V IY EY T
+deviation D IY V IY EY SH AH N
+device D IH V AY S
+devices D IH V AY S AH Z
+devil D EH V AH L
+devious D IY V IY AH S
+devise D IH V AY Z
+devoid D IH V OY D
+devote D IH V OW T
+devotion D IH V OW SH AH N
+devour D IH V AW ER
+devout D IH V AW T
+dew D UW
+dexterity D EH K S T EH R AH T IY
+diabetes D AY AH B IY T IY Z
+diabetic D AY AH B EH T IH K
+diabolical D AY AH B AA L IH K AH L
+diagnose D AY AH G N OW S
+diagnoses D AY AH G N OW S IY Z
+diagnosis D AY AH G N OW S AH S
+diagnostic D AY AH G N AA S T IH K
+diagonal D AY AE G AH N AH L
+diagram D AY AH G R AE M
+dial D AY AH L
+dialect D AY AH L EH K T
+dialog D AY AH L AO G
+dialogue D AY AH L AO G
+diameter D AY AE M AH T ER
+diamond D AY M AH N D
+diaper D AY P ER
+diapers D AY AH P ER Z
+diaphragm D AY AH F R AE M
+diarrhea D AY ER IY AH
+diary D AY ER IY
+diatribe D AY AH T R AY B
+dice D AY S
+dictate D IH K T EY T
+dictation D IH K T EY SH AH N
+dictator D IH K T EY T ER
+dictatorship D IH K T EY T ER SH IH P
+diction D IH K SH AH N
+dictionary D IH K SH AH N EH R IY
+did D IH D
+die D AY
+diesel D IY S AH L
+diesels D IY Z AH L Z
+diet D AY AH T
+dietary D AY AH T EH R IY
+diets D AY IH T S
+differ D IH F ER
+difference D IH F ER AH N S
+different D IH F ER AH N T
+differential D IH F ER EH N SH AH L
+differentiate D IH F ER EH N SH IY EY T
+differently D IH F R AH N T L IY
+difficult D IH F AH K AH L T
+difficulty D IH F AH K AH L T IY
+diffuse D IH F Y UW S
+diffused D IH F Y UW Z D
+diffusion D IH F Y UW ZH AH N
+dig D IH G
+digest D AY JH EH S T
+digestion D AY JH EH S CH AH N
+digestive D AY JH EH S T IH V
+digit D IH JH AH T
+digital D IH JH AH T AH L
+digitally D IH JH AH T AH L IY
+dignify D IH G N AH F AY
+dignitaries D IH G N AH T EH R IY Z
+dignity D IH G N AH T IY
+digress D AY G R EH S
+dike D AY K
+dilate D AY L EY T
+dilation D AY L EY SH AH N
+dilemma D IH L EH M AH
+diligence D IH L AH JH AH N S
+diligent D IH L IH JH AH N T
+diligently D IH L AH JH AH N T L IY
+dill D IH L
+dilute D AY L UW T
+diluted D AY L UW T AH D
+dim D IH M
+dime D AY M
+dimension D IH M EH N SH AH N
+dimensional D IH M EH N SH AH N AH L
+dimes D AY M Z
+diminish D IH M IH N IH SH
+diminutive D IH M IH N Y AH T IH V
+dimly D IH M L IY
+dimmer D IH M ER
+dimple D IH M P AH L
+din D IH N
+dine D AY N
+dined D AY N D
+diner D AY N ER
+dines D AY N Z
+dinghy D IH NG IY
+dingy D IH N JH IY
+dining D AY N IH NG
+dinner D IH N ER
+dinosaur D AY N AH S AO R
+diocese D AY AH S IY Z
+dioxide D AY AA K S AY D
+dip D IH P
+diphtheria D IH F TH IH R IY AA
+diploma D IH P L OW M AA
+diplomacy D IH P L OW M AH S IY
+diplomas D IH P L OW M AH Z
+diplomat D IH P L AH M AE T
+diplomatic D IH P L AH M AE T IH K
+dire D AY R
+direct D ER EH K T
+directed D ER EH K T AH D
+direction D ER EH K SH AH N
+directive D ER EH K T IH V
+directives D AY R EH K T IH V Z
+directly D ER EH K T L IY
+directness D ER EH K T N AH S
+director D ER EH K T ER
+directories D AY R EH K T ER IY Z
+directory D ER EH K T ER IY
+dirt D ER T
+dirtier D ER T IY ER
+dirtiest D ER T IY AH S T
+dirty D ER T IY
+disabilities D IH S AH B IH L AH T IY Z
+disability D IH S AH B IH L IH T IY
+disable D IH S EY B AH L
+disadvantage D IH S AH D V AE N T IH JH
+disagree D IH S AH G R IY
+disagreeable D IH S AH G R IY AH B AH L
+disagreement D IH S AH G R IY M AH N T
+disallowed D IH S AH L AW D
+disappear D IH S AH P IH R
+disappearance D IH S AH P IH R AH N S
+disappoint D IH S AH P OY N T
+disappointment D IH S AH P OY N T M AH N T
+disapproval D IH S AH P R UW V AH L
+disapprove D IH S AH P R UW V
+disarm D IH S AA R M
+disarmament D IH S AA R M AH M AH N T
+disarray D IH S ER EY
+disaster D IH Z AE S T ER
+disastrous D IH Z AE S T R AH S
+disband D IH S B AE N D
+disbelief D IH S B IH L IY F
+disc D IH S K
+discard D IH S K AA R D
+discern D IH S ER N
+discharge D IH S CH AA R JH
+discharges D IH S CH AA R JH AH Z
+disciple D IH S AY P AH L
+disciplinarian D IH S IH P L IH N EH R IY AH N
+disciplinary D IH S AH P L AH N EH R IY
+discipline D IH S AH P L AH N
+disclaimer D IH S K L EY M ER
+disclose D IH S K L OW Z
+disclosure D IH S K L OW ZH ER
+disco D IH S K OW
+discoloration D IH S K AH L ER EY SH AH N
+discomfort D IH S K AH M F ER T
+disconcerting D IH S K AH N S ER T IH NG
+disconnect D IH S K AH N EH K T
+discontent D IH S K AH N T EH N T
+discontinue D IH S K AH N T IH N Y UW
+discord D IH S K AO R D
+discordant D IH S K AO R D AH N T
+discount D IH S K AW N T
+discourage D IH S K ER IH JH
+discouraged D IH S K ER AH JH D
+discouraging D IH S K ER AH JH IH NG
+discourse D IH S K AO R S
+discover D IH S K AH V ER
+discovery D IH S K AH V ER IY
+discredit D IH S K R EH D AH T
+discredited D IH S K R EH D IH T IH D
+discreet D IH S K R IY T
+discreetly D IH S K R IY T L IY
+discrepancy D IH S K R EH P AH N S IY
+discrete D IH S K R IY T
+discretion D IH S K R EH SH AH N
+discretionary D IH S K R EH SH AH N EH R IY
+discriminate D IH S K R IH M AH N EY T
+discrimination D IH S K R IH M AH N EY SH AH N
+discus D IH S K AH S
+discuss D IH S K AH S
+discusses D IH S K AH S AH Z
+discussion D IH S K AH SH AH N
+disdain D IH S D EY N
+disease D IH Z IY Z
+diseases D IH Z IY Z AH Z
+disembark D IH S EH M B AA R K
+disengage D IH S IH N G EY JH
+disfigured D IH S F IH G Y ER D
+disgrace D IH S G R EY S
+disgraceful D IH S G R EY S F AH L
+disgruntled D IH S G R AH N T AH L D
+disguise D IH S G AY Z
+disgust D IH S G AH S T
+disgusted D IH S G AH S T AH D
+dish D IH SH
+dishes D IH SH AH Z
+dishonest D IH S AA N AH S T
+dishonesty D IH S AA N AH S T IY
+dishonor D IH S AA N ER
+dishonorable D IH S AA N ER AH B AH L
+dishwasher D IH SH W AA SH ER
+disillusion D IH S IH L UW ZH AH N
+disillusionment D IH S IH L UW ZH AH N M AH N T
+disinfect D IH S IH N F EH K T
+disinfectant D IH S IH N F EH K T AH N T
+disintegrate D IH S IH N T AH G R EY T
+disintegration D IH S IH N T AH G R EY SH AH N
+disinterested D IH S IH N T R IH S T IH D
+disk D IH S K
+dislike D IH S L AY K
+dislocate D IH S L OW K EY T
+dislocation D IH S L OW K EY SH AH N
+dislodge D IH S L AA JH
+disloyal D IH S L OY AH L
+disloyalty D IH S L OY AH L T IY
+dismal D IH Z M AH L
+dismantle D IH S M AE N T AH L
+dismay D IH S M EY
+dismember D IH S M EH M B ER
+dismiss D IH S M IH S
+dismissal D IH S M IH S AH L
+dismissive D IH S M IH S IH V
+disobedience D IH S AH B IY D IY AH N S
+disobedient D IH S AH B IY D IY AH N T
+disobey D IH S AH B EY
+disobeyed D IH S OW B EY D
+disobeying D IH S OW B EY IH NG
+disorder D IH S AO R D ER
+disorderly D IH S AO R D ER L IY
+disown D IH S OW N
+disparage D IH S P EH R IH JH
+disparity D IH S P EH R AH T IY
+dispatch D IH S P AE CH
+dispel D IH S P EH L
+dispensary D IH S P EH N S ER IY
+dispensation D IH S P AH N S EY SH AH N
+dispense D IH S P EH N S
+dispenser D IH S P EH N S ER
+dispersal D IH S P ER S AH L
+disperse D IH S P ER S
+displace D IH S P L EY S
+displacement D IH S P L EY S M AH N T
+display D IH S P L EY
+displease D IH S P L IY Z
+displeasure D IH S P L EH ZH ER
+disposable D IH S P OW Z AH B AH L
+disposal D IH S P OW Z AH L
+dispose D IH S P OW Z
+disposition D IH S P AH Z IH SH AH N
+dispossessed D IH S P AH Z EH S T
+disproportionate D IH S P R AH P AO R SH AH N IH T
+disprove D IH S P R UW V
+dispute D IH S P Y UW T
+disputed D IH S P Y UW T AH D
+disqualify D IH S K W AA L AH F AY
+disregard D IH S R IH G AA R D
+disrespect D IH S R IH S P EH K T
+disrespectful D IH S R IH S P EH K T F AH L
+disrupt D IH S R AH P T
+disruption D IH S R AH P SH AH N
+disruptive D IH S R AH P T IH V
+dissatisfaction D IH S AE T IH S F AE K SH AH N
+dissatisfied D IH S AE T AH S F AY D
+dissect D AY S EH K T
+dissected D AY S EH K T AH D
+dissection D AY S EH K SH AH N
+dissension D IH S EH N SH AH N
+dissent D IH S EH N T
+dissertation D IH S ER T EY SH AH N
+disservice D IH S ER V AH S
+dissimilar D IH S IH M AH L ER
+dissipate D IH S AH P EY T
+dissipation D IH S IH P EY SH AH N
+dissolve D IH Z AA L V
+dissolving D IH Z AO L V IH NG
+dissuade D IH S W EY D
+distance D IH S T AH N S
+distances D IH S T AH N S AH Z
+distant D IH S T AH N T
+distaste D IH S T EY S T
+distasteful D IH S T EY S T F AH L
+distended D IH S T EH N D IH D
+distilled D IH S T IH L D
+distillery D IH S T IH L ER IY
+distinct D IH S T IH NG K T
+distinction D IH S T IH NG K SH AH N
+distinctive D IH S T IH NG K T IH V
+distinctly D IH S T IH NG K T L IY
+distinguish D IH S T IH NG G W IH SH
+distort D IH S T AO R T
+distorted D IH S T AO R T AH D
+distortion D IH S T AO R SH AH N
+distract D IH S T R AE K T
+distracted D IH S T R AE K T AH D
+distraction D IH S T R AE K SH AH N
+distraught D IH S T R AO T
+distress D IH S T R EH S
+distribute D IH S T R IH B Y UW T
+distributed D IH S T R IH B Y AH T AH D
+distribution D IH S T R AH B Y UW SH AH N
+distributor D IH S T R IH B Y AH T ER
+district D IH S T R IH K T
+distrust D IH S T R AH S T
+disturb D IH S T ER B
+disturbance D IH S T ER B AH N S
+disturbances D IH S T ER B AH N S AH Z
+ditch D IH CH
+ditches D IH CH AH Z
+ditto D IH T OW
+ditty D IH T IY
+dive D AY V
+diver D AY V ER
+diverged D AY V ER JH D
+diverse D AY V ER S
+diversify D AY V ER S AH F AY
+diversion D AY V ER ZH AH N
+diversions D IH V ER ZH AH N Z
+diversity D IH V ER S IH T IY
+divert D AY V ER T
+divide D IH V AY D
+dividend D IH V IH D EH N D
+dividends D IH V AH D EH N D Z
+divine D IH V AY N
+divinity D IH V IH N AH T IY
+division D IH V IH ZH AH N
+divorce D IH V AO R S
+divulge D IH V AH L JH
+dizziness D IH Z IY N AH S
+dizzy D IH Z IY
+do D UW
+docile D AA S AH L
+dock D AA K
+doctor D AA K T ER
+doctorate D AA K T ER AH T
+doctrine D AA K T R AH N
+document D AA K Y AH M EH N T
+documentary D AA K Y AH M EH N T ER IY
+documentation D AA K Y AH M EH N T EY SH AH N
+documented D AA K Y AH M EH N T AH D
+documenting D AA K Y AH M AH N T IH NG
+documents D AA K Y AH M AH N T S
+dodge D AA JH
+dodo D OW D OW
+doe D OW
+doer D UW R
+does D AH Z
+dog D AO G
+doghouse D AO G HH AW S
+dogma D AA G M AH
+dogmatic D AA G M AE T IH K
+dogs D AA G Z
+dogwood D AO G W UH D
+doily D OY L IY
+dole D OW L
+doll D AA L
+dollar D AA L ER
+dolly D AA L IY
+dolphin D AA L F AH N
+domain D OW M EY N
+dome D OW M
+domestic D AH M EH S T IH K
+domesticated D AH M EH S T AH K EY T AH D
+domesticity D OW M EH S T IH S AH T IY
+dominance D AA M AH N AH N S
+dominant D AA M AH N AH N T
+dominate D AA M AH N EY T
+dominated D AA M AH N EY T AH D
+domination D AA M AH N EY SH AH N
+dominion D AH M IH N Y AH N
+domino D AA M AH N OW
+don D AA N
+donate D OW N EY T
+donation D OW N EY SH AH N
+done D AH N
+donkey D AA NG K IY
+donor D OW N ER
+doodle D UW D AH L
+doom D UW M
+door D AO R
+doorman D AO R M AE N
+doorstep D AO R S T EH P
+doorway D AO R W EY
+dope D OW P
+dopey D OW P IY
+dormant D AO R M AH N T
+dormitory D AO R M AH T AO R IY
+dorsal D AO R S AH L
+dos D AO S
+dose D OW S
+doses D OW S AH Z
+dot D AA T
+dote D OW T
+doting D OW T IH NG
+dotted D AA T AH D
+double D AH B AH L
+doubly D AH B L IY
+doubt D AW T
+doubtful D AW T F AH L
+doubtless D AW T L AH S
+dough D OW
+doughnut D OW N AH T
+douse D AW S
+dove D AH V
+dowdy D AW D IY
+down D AW N
+downfall D AW N F AO L
+downhill D AW N HH IH L
+downright D AW N R AY T
+downstairs D AW N S T EH R Z
+downstream D AW N S T R IY M
+downtown D AW N T AW N
+downward D AW N W ER D
+downy D AW N IY
+dowry D AW R IY
+doze D OW Z
+dozen D AH Z AH N
+drab D R AE B
+draft D R AE F T
+drafty D R AE F T IY
+drag D R AE G
+dragon D R AE G AH N
+drain D R EY N
+drainage D R EY N AH JH
+drama D R AA M AH
+dramatic D R AH M AE T IH K
+dramatically D R AH M AE T IH K L IY
+dramatize D R AA M AH T AY Z
+drank D R AE NG K
+drape D R EY P
+drastic D R AE S T IH K
+drastically D R AE S T IH K L IY
+draw D R AO
+drawback D R AO B AE K
+drawbridge D R AO B R IH JH
+drawer D R AO R
+drawn D R AO N
+dread D R EH D
+dreadful D R EH D F AH L
+dreadfully D R EH D F AH L IY
+dream D R IY M
+dreamer D R IY M ER
+dreamy D R IY M IY
+dreary D R IH R IY
+dredge D R EH JH
+dregs D R EH G Z
+drench D R EH N CH
+dress D R EH S
+dresser D R EH S ER
+dresses D R EH S AH Z
+dressmaker D R EH S M EY K ER
+dressy D R EH S IY
+drew D R UW
+dribble D R IH B AH L
+drier D R AY ER
+drift D R IH F T
+drifted D R IH F T AH D
+driftwood D R IH F T W UH D
+drill D R IH L
+drink D R IH NG K
+drinker D R IH NG K ER
+drip D R IH P
+drive D R AY V
+drivel D R IH V AH L
+driven D R IH V AH N
+driver D R AY V ER
+driveway D R AY V W EY
+drizzle D R IH Z AH L
+droll D R OW L
+drone D R OW N
+drool D R UW L
+droop D R UW P
+drop D R AA P
+dropout D R AA P AW T
+drought D R AW T
+drove D R OW V
+drown D R AW N
+drowsy D R AW Z IY
+drug D R AH G
+druggist D R AH G IH S T
+drugstore D R AH G S T AO R
+drum D R AH M
+drummer D R AH M ER
+drumstick D R AH M S T IH K
+drunk D R AH NG K
+drunkard D R AH NG K ER D
+drunken D R AH NG K AH N
+drunkenness D R AH NG K AH N N AH S
+dry D R AY
+dryer D R AY ER
+dual D UW AH L
+dub D AH B
+dubious D UW B IY AH S
+duchess D AH CH AH S
+duck D AH K
+duckling D AH K L IH NG
+duct D AH K T
+dud D AH D
+dude D UW D
+dudes D Y UW D Z
+due D UW
+duel D UW AH L
+dueling D UW L IH NG
+duet D UW EH T
+duff D AH F
+dug D AH G
+dugout D AH G AW T
+duke D UW K
+dull D AH L
+duller D AH L ER
+dullest D AH L AH S T
+duly D UW L IY
+dumb D AH M
+dumbbell D AH M B EH L
+dumber D AH M ER
+dumbest D AH M AH S T
+dummy D AH M IY
+dump D AH M P
+dumpling D AH M P L IH NG
+dumpster D AH M P S T ER
+dumpy D AH M P IY
+dune D UW N
+dung D AH NG
+dungeon D AH N JH AH N
+dunk D AH NG K
+dunno D AH N OW
+duo D UW OW
+dupe D UW P
+duplex D UW P L EH K S
+duplicate D UW P L AH K AH T
+duplicated D UW P L IH K EY T IH D
+duplicates D Y UW P L AH K EY T S
+duplicating D UW P L IH K EY T IH NG
+duplication D Y UW P L AH K EY SH AH N
+duplicity D UW P L IH S IH T IY
+durability D ER AH B IH L IH T IY
+durable D UH R AH B AH L
+duration D UH R EY SH AH N
+duress D UH R EH S
+during D UH R IH NG
+dusk D AH S K
+dust D AH S T
+dustbin D AH S T B IH N
+dusty D AH S T IY
+dutiful D UW T IY F AH L
+duty D UW T IY
+dwarf D W AO R F
+dwell D W EH L
+dwellers D W EH L ER Z
+dwindling D W IH N D AH L IH NG
+dye D AY
+dynamic D AY N AE M IH K
+dynamically D AY N AE M IH K L IY
+dynamite D AY N AH M AY T
+dynamo D AY N AH M OW
+dynasty D AY N AH S T IY
+dysentery D IH S AH N T EH R IY
+dyslexia D IH S L EH K S IY AH
+each IY CH
+eager IY G ER
+eagerly IY G ER L IY
+eagerness IY G ER N AH S
+eagle IY G AH L
+ear IY R
+earl ER L
+earlier ER L IY ER
+earliest ER L IY AH S T
+early ER L IY
+earmarked IH R M AA R K T
+earn ER N
+earner ER N ER
+earnest ER N IH S T
+earnestly ER N AH S T L IY
+earring IH R IH NG
+ears IH R Z
+earshot IH R SH AA T
+earth ER TH
+earthly ER TH L IY
+earthquake ER TH K W EY K
+earthworms ER TH W ER M Z
+earthy ER TH IY
+ease IY Z
+easel IY Z AH L
+easier IY Z IY ER
+easiest IY Z IY AH S T
+easily IY Z AH L IY
+east IY S T
+eastern IY S T ER N
+easy IY Z IY
+easygoing IY Z IY G OW IH NG
+eat IY T
+eaten IY T AH N
+eater IY T ER
+eavesdrop IY V Z D R AA P
+ebb EH B
+ebony EH B AH N IY
+eccentric IH K S EH N T R IH K
+eccentricities EH K S EH N T R IH S IH T IY Z
+eccentricity EH K S AH N T R IH S AH T IY
+ecclesiastical IH K L IY Z IY AE S T IH K AH L
+echo EH K OW
+eclectic IH K L EH K T IH K
+eclipse IH K L IH P S
+ecological IY K AH L AA JH IH K AH L
+ecology IH K AA L AH JH IY
+economic EH K AH N AA M IH K
+economical EH K AH N AA M IH K AH L
+economically EH K AH N AA M IH K L IY
+economist IH K AA N AH M IH S T
+economize IH K AA N AH M AY Z
+economy IH K AA N AH M IY
+ecosystem IY K OW S IH S T AH M
+ecstasy EH K S T AH S IY
+ecstatic EH K S T AE T IH K
+eddy EH D IY
+edge EH JH
+edges EH JH AH Z
+edgewise EH JH W AY Z
+edgy EH JH IY
+edible EH D AH B AH L
+edict IY D IH K T
+edifice EH D AH F AH S
+edit EH D AH T
+edited EH D AH T AH D
+edition AH D IH SH AH N
+editions IH D IH SH AH N Z
+editor EH D AH T ER
+editorial EH D AH T AO R IY AH L
+editors EH D IH T ER Z
+edits EH D IH T S
+educate EH JH AH K EY T
+education EH JH AH K EY SH AH N
+educational EH JH AH K EY SH AH N AH L
+educator EH JH AH K EY T ER
+eel IY L
+eerie IH R IY
+effect IH F EH K T
+effective IH F EH K T IH V
+effectively IH F EH K T IH V L IY
+effectiveness IH F EH K T IH V N AH S
+effeminate IY F EH M IH N AH T
+effervescent EH F ER V EH S AH N T
+efficiency IH F IH SH AH N S IY
+efficient IH F IH SH AH N T
+efficiently IH F IH SH AH N T L IY
+effigy EH F IH JH IY
+effort EH F ER T
+effortless EH F ER T L AH S
+effortlessly EH F ER T L AH S L IY
+egg EH G
+eggplant EH G P L AE N T
+ego IY G OW
+egocentric IY G OW S EH N T R IH K
+eh EH
+eight EY T
+eighteen EY T IY N
+eighteenth EY T IY N TH
+eighth EY T TH
+eighty EY T IY
+either IY DH ER
+ejaculate IH JH AE K Y UW L EY T
+ejaculation IY JH AE K Y UW L EY SH AH N
+eject IH JH EH K T
+ejection IH JH EH K SH AH N
+elaborate IH L AE B R AH T
+elapsed IH L AE P S T
+elastic IH L AE S T IH K
+elasticity IY L AE S T IH S AH T IY
+elation IH L EY SH AH N
+elbow EH L B OW
+elder EH L D ER
+elderly EH L D ER L IY
+eldest EH L D AH S T
+elect IH L EH K T
+elected IH L EH K T AH D
+election IH L EH K SH AH N
+elective IH L EH K T IH V
+electoral IH L EH K T ER AH L
+electorate IH L EH K T ER AH T
+electric IH L EH K T R IH K
+electrical IH L EH K T R IH K AH L
+electrically IH L EH K T R IH K AH L IY
+electrician IH L EH K T R IH SH AH N
+electricity IH L EH K T R IH S AH T IY
+electrified IH L EH K T R AH F AY D
+electrifying IH L EH K T R AH F AY IH NG
+electrocute IH L EH K T R AH K Y UW T
+electrocution IH L EH K T R AH K Y UW SH AH N
+electrode IH L EH K T R OW D
+electromagnetic IH L EH K T R OW M AE G N EH T IH K
+electron IH L EH K T R AA N
+electronic IH L EH K T R AA N IH K
+electronically IH L EH K T R AA N IH K AH L IY
+electrostatic IH L EH K T R OW S T AE T IH K
+elegance EH L AH G AH N S
+elegant EH L AH G AH N T
+elegantly EH L IH G AH N T L IY
+element EH L AH M AH N T
+elemental EH L AH M EH N T AH L
+elementary EH L AH M EH N T R IY
+elephant EH L AH F AH N T
+elevate EH L AH V EY T
+elevation EH L AH V EY SH AH N
+elevator EH L AH V EY T ER
+eleven IH L EH V AH N
+eleventh IH L EH V AH N TH
+elf EH L F
+elicit IH L IH S IH T
+eligibility EH L IH JH AH B IH L IH T IY
+eligible EH L AH JH AH B AH L
+eliminate IH L IH M AH N EY T
+elimination IH L IH M AH N EY SH AH N
+elite IH L IY T
+elitist EY L IY T IH S T
+elk EH L K
+elliptical IH L IH P T IH K AH L
+elm EH L M
+elongated IH L AO NG G EY T AH D
+elope IH L OW P
+eloped IH L OW P D
+eloquence EH L AH K W AH N S
+eloquent EH L AH K W AH N T
+eloquently EH L AH K W AH N T L IY
+else EH L S
+elsewhere EH L S W EH R
+elude IH L UW D
+elusive IH L UW S IH V
+elves EH L V Z
+em EH M
+email IY M EY L
+emanate EH M AH N EY T
+emancipated IH M AE N S AH P EY T IH D
+emancipation IH M AE N S AH P EY SH AH N
+embalmed EH M B AA M D
+embalming EH M B AA M IH NG
+embankment EH M B AE NG K M AH N T
+embargo EH M B AA R G OW
+embark EH M B AA R K
+embarrass IH M B EH R AH S
+embarrasses IH M B AE R AH S IH Z
+embarrassment IH M B EH R AH S M AH N T
+embassy EH M B AH S IY
+embed IH M B EH D
+embedded EH M B EH D IH D
+embedding EH M B EH D IH NG
+embellish IH M B EH L IH SH
+embellished EH M B EH L IH SH T
+ember EH M B ER
+embezzled IH M B EH Z AH L D
+embezzlement EH M B EH Z AH L M AH N T
+embezzling IH M B EH Z AH L IH NG
+embittered EH M B IH T ER D
+emblem EH M B L AH M
+embodies EH M B AA D IY Z
+embodiment EH M B AA D IY M AH N T
+embody IH M B AA D IY
+embossed IH M B AO S T
+embrace EH M B R EY S
+embroider IH M B R OY D ER
+embroidered EH M B R OY D ER D
+embroidery EH M B R OY D ER IY
+embryo EH M B R IY OW
+emerald EH M R AH L D
+emerge IH M ER JH
+emergence IH M ER JH AH N S
+emergency IH M ER JH AH N S IY
+emergent IH M ER JH AH N T
+emigrate EH M AH G R EY T
+emigration EH M AH G R EY SH AH N
+eminence EH M AH N AH N S
+eminent EH M AH N AH N T
+eminently EH M AH N AH N T L IY
+emir IH M IH R
+emissary EH M AH S EH R IY
+emission IH M IH SH AH N
+emit IH M IH T
+emotion IH M OW SH AH N
+emotional IH M OW SH AH N AH L
+emotionally IH M OW SH N AH L IY
+empathy EH M P AH TH IY
+emperor EH M P ER ER
+emphasis EH M F AH S AH S
+emphasize EH M F AH S AY Z
+emphasizes EH M F AH S AY Z AH Z
+emphatic EH M F AE T IH K
+emphatically EH M F AE T IH K L IY
+emphysema EH M F AH Z IY M AH
+empire EH M P AY ER
+empirical EH M P IH R IH K AH L
+employ EH M P L OY
+employee EH M P L OY IY
+employer EH M P L OY ER
+employment EH M P L OY M AH N T
+emporium EH M P AO R IY AH M
+empower IH M P AW ER
+empress EH M P R EH S
+emptiness EH M P T IY N AH S
+empty EH M P T IY
+emulate EH M Y AH L EY T
+emulation EH M Y AH L EY SH AH N
+emulator EH M Y AH L EY T ER
+enable EH N EY B AH L
+enacted EH N AE K T AH D
+enamel IH N AE M AH L
+encased EH N K EY S T
+enchant EH N CH AE N T
+enchantment EH N CH AE N T M AH N T
+enclose IH N K L OW Z
+enclosed EH N K L OW Z D
+enclosing EH N K L OW Z IH NG
+enclosure EH N K L OW ZH ER
+encode EH N K OW D
+encompass EH N K AH M P AH S
+encore AA N K AO R
+encounter IH N K AW N T ER
+encountering EH N K AW N T ER IH NG
+encourage EH N K ER IH JH
+encouragement EH N K ER IH JH M AH N T
+encroaching IH N K R OW CH IH NG
+encrypted EH N K R IH P T IH D
+encryption EH N K R IH P SH AH N
+encyclopedia IH N S AY K L AH P IY D IY AH
+end EH N D
+endanger EH N D EY N JH ER
+endearing EH N D IY R IH NG
+endearment IH N D IH R M AH N T
+endeavor IH N D EH V ER
+ended EH N D AH D
+endless EH N D L AH S
+endlessly EH N D L AH S L IY
+endorse EH N D AO R S
+endorsement EH N D AO R S M AH N T
+endow EH N D AW
+endowment EH N D AW M AH N T
+endurance EH N D ER AH N S
+endure EH N D Y UH R
+enema EH N AH M AH
+enemy EH N AH M IY
+energetic EH N ER JH EH T IH K
+energy EH N ER JH IY
+enforce EH N F AO R S
+enforcement EH N F AO R S M AH N T
+engage EH N G EY JH
+engagement EH N G EY JH M AH N T
+engine EH N JH AH N
+engineer EH N JH AH N IH R
+engineered EH N JH AH N IY R D
+engrave IH N G R EY V
+engraver IH N G R EY V ER
+engulfed IH N G AH L F T
+enhance EH N HH AE N S
+enhancement EH N HH AE N S M AH N T
+enigma IH N IH G M AH
+enigmatic EH N IH G M AE T IH K
+enjoy EH N JH OY
+enjoyable EH N JH OY AH B AH L
+enjoyment EH N JH OY M AH N T
+enlarge EH N L AA R JH
+enlargement IH N L AA R JH M AH N T
+enlarges IH N L AA R JH IH Z
+enlarging IH N L AA R JH IH NG
+enlighten EH N L AY T AH N
+enlightenment EH N L AY T AH N M AH N T
+enlist EH N L IH S T
+enlistment EH N L IH S T M AH N T
+enmity EH N M AH T IY
+enormity IH N AO R M AH T IY
+enormous IH N AO R M AH S
+enormously IH N AO R M AH S L IY
+enough IH N AH F
+enrage EH N R EY JH
+enrich EH N R IH CH
+enroll EH N R OW L
+enrollment EH N R OW L M AH N T
+ensemble AA N S AA M B AH L
+ensign EH N S AH N
+enslave EH N S L EY V
+ensue IH N S UW
+ensuing EH N S UW IH NG
+ensure EH N SH UH R
+entail EH N T EY L
+entails IH N T EY L Z
+entangled EH N T AE NG G AH L D
+enter EH N T ER
+enterprise EH N T ER P R AY Z
+entertain EH N T ER T EY N
+entertainer EH N T ER T EY N ER
+entertainment EH N T ER T EY N M AH N T
+enthusiasm IH N TH UW Z IY AE Z AH M
+enthusiast EH N TH UW Z IY AE S T
+enthusiastic IH N TH UW Z IY AE S T IH K
+enthusiastically IH N TH UW Z IY AE S T IH K L IY
+entice IH N T AY S
+enticing EH N T AY S IH NG
+entire IH N T AY ER
+entirely IH N T AY ER L IY
+entirety IH N T AY ER T IY
+entities EH N T IH T IY Z
+entitle EH N T AY T AH L
+entity EH N T AH T IY
+entomologist EH N T AH M AA L AH JH AH S T
+entomology EH N T AH M AA L AH JH IY
+entrails EH N T R AH L Z
+entrance EH N T R AH N S
+entrances EH N T R AH N S AH Z
+entropy EH N T R AH P IY
+entrust EH N T R AH S T
+entry EH N T R IY
+entwined EH N T W AY N D
+envelope EH N V AH L OW P
+enveloped EH N V EH L AH P T
+enviable EH N V IY AH B AH L
+envious EH N V IY AH S
+environment IH N V AY R AH N M AH N T
+environmental IH N V AY R AH N M EH N T AH L
+environmentally IH N V AY R AH N M EH N T AH L IY
+environs IH N V AY R AH N Z
+envisage EH N V IH Z IH JH
+envoy EH N V OY
+envy EH N V IY
+enzyme EH N Z AY M
+eon IY AH N
+ephemeral IH F EH M ER AH L
+epic EH P IH K
+epidemic EH P AH D EH M IH K
+epidermis EH P AH D ER M AH S
+epilepsy EH P AH L EH P S IY
+epileptic EH P AH L EH P T IH K
+episode EH P AH S OW D
+epitaph EH P AH T AE F
+epitome IH P IH T AH M IY
+epsilon EH P S AH L AA N
+equal IY K W AH L
+equality IH K W AA L AH T IY
+equalize IY K W AH L AY Z
+equally IY K W AH L IY
+equate IH K W EY T
+equation IH K W EY ZH AH N
+equator IH K W EY T ER
+equatorial IY K W AH T AO R IY AH L
+equestrian IH K W EH S T R IY AH N
+equilibrium IY K W AH L IH B R IY AH M
+equinox IY K W AH N AA K S
+equip IH K W IH P
+equipment IH K W IH P M AH N T
+equitable EH K W AH T AH B AH L
+equity EH K W AH T IY
+equivalent IH K W IH V AH L AH N T
+era EH R AH
+eradicate IH R AE D AH K EY T
+eras IH R AH Z
+erase IH R EY S
+erased IH R EY S T
+eraser IH R EY S ER
+erases IH R EY S IH Z
+erasing IH R EY S IH NG
+erect IH R EH K T
+erected IH R EH K T AH D
+erection IH R EH K SH AH N
+ergo ER G OW
+eroded IH R OW D AH D
+eroding IH R OW D IH NG
+erosion IH R OW ZH AH N
+erotic IH R AA T IH K
+err EH R
+errand EH R AH N D
+errant EH R AH N T
+erratic IH R AE T IH K
+erratically EH R AE T IH K L IY
+erroneous EH R OW N IY AH S
+erroneously EH R OW N IY AH S L IY
+error EH R ER
+erupt IH R AH P T
+erupted IY R AH P T IH D
+erupting IY R AH P T IH NG
+eruption IY R AH P SH AH N
+erupts IY R AH P T S
+escalate EH S K AH L EY T
+escalation EH S K AH L EY SH AH N
+escalator EH S K AH L EY T ER
+escapade EH S K AH P EY D
+escape IH S K EY P
+escort EH S K AO R T
+esophagus IH S AA F AH G AH S
+esoteric EH S AH T EH R IH K
+especially AH S P EH SH L IY
+espionage EH S P IY AH N AA JH
+essay EH S EY
+essence EH S AH N S
+essential EH S EH N SH AH L
+essentially EH S EH N SH AH L IY
+establish IH S T AE B L IH SH
+establishment IH S T AE B L IH SH M AH N T
+establishments EH S T AE B L IH SH M AH N T S
+estate IH S T EY T
+esteem AH S T IY M
+esteemed IH S T IY M D
+estimate EH S T AH M AH T
+estimated EH S T AH M EY T AH D
+estimating EH S T AH M EY T IH NG
+estimation EH S T AH M EY SH AH N
+estrangement IH S T R EY N JH M AH N T
+etch EH CH
+eternal IH T ER N AH L
+eternally IH T ER N AH L IY
+eternity IH T ER N AH T IY
+ether IY TH ER
+ethereal IH TH IH R IY AH L
+ethic EH TH IH K
+ethical EH TH IH K AH L
+ethically EH TH IH K AH L IY
+ethnic EH TH N IH K
+etiquette EH T AH K AH T
+etymology EH T AH M AA L AH JH IY
+eulogy Y UW L AH JH IY
+euphemism Y UW F AH M IH Z AH M
+eureka Y UH R IY K AH
+euthanasia Y UW TH AH N EY ZH AH
+evacuate IH V AE K Y AH EY T
+evacuated IH V AE K Y AH W EY T IH D
+evacuating IH V AE K Y AH W EY T IH NG
+evacuation IH V AE K Y AH W EY SH AH N
+evade IH V EY D
+evaluate IH V AE L Y UW EY T
+evaluated IH V AE L Y UW EY T AH D
+evaluation IH V AE L Y UW EY SH AH N
+evangelical IY V AE N JH EH L IH K AH L
+evaporate IH V AE P ER EY T
+evaporated IH V AE P ER EY T AH D
+evasion IH V EY ZH AH N
+evasive IH V EY Z IH V
+eve IY V
+even IY V IH N
+evened IY V AH N D
+evening IY V N IH NG
+evenly IY V AH N L IY
+evens IY V AH N Z
+event IH V EH N T
+eventful IH V EH N T F AH L
+eventual AH V EH N CH UW AH L
+eventually IH V EH N CH AH W AH L IY
+ever EH V ER
+evergreen EH V ER G R IY N
+everlasting EH V ER L AE S T IH NG
+evermore EH V ER M AO R
+every EH V R IY
+everybody EH V R IY B AA D IY
+everyday EH V R IY D EY
+everyone EH V R IY W AH N
+everything EH V R IY TH IH NG
+everywhere EH V R IY W EH R
+evict IH V IH K T
+eviction IH V IH K SH AH N
+evidence EH V AH D AH N S
+evidenced EH V IH D AH N S T
+evidences EH V AH D AH N S AH Z
+evident EH V AH D AH N T
+evidently EH V AH D AH N T L IY
+evil IY V AH L
+evocative IH V AA K AH T IH V
+evoke IH V OW K
+evolution EH V AH L UW SH AH N
+evolutionary EH V AH L UW SH AH N EH R IY
+evolve IH V AA L V
+ewe Y UW
+exact IH G Z AE K T
+exactly IH G Z AE K T L IY
+exaggerate IH G Z AE JH ER EY T
+exaggerated IH G Z AE JH ER EY T AH D
+exaggeration IH G Z AE JH ER EY SH AH N
+exalt IH G Z AO L T
+exam IH G Z AE M
+examination IH G Z AE M AH N EY SH AH N
+examine IH G Z AE M IH N
+examined IH G Z AE M AH N D
+examiner IH G Z AE M AH N ER
+examiners IH G Z AE M IH N ER Z
+examines IH G Z AE M AH N Z
+example IH G Z AE M P AH L
+exasperating IH G Z AE S P ER EY T IH NG
+excavate EH K S K AH V EY T
+excavation EH K S K AH V EY SH AH N
+exceed IH K S IY D
+exceeded IH K S IY D AH D
+exceedingly IH K S IY D IH NG L IY
+excel IH K S EH L
+excellence EH K S AH L AH N S
+excellent EH K S AH L AH N T
+excellently EH K S AH L AH N T L IY
+except IH K S EH P T
+excepting EH K S EH P T IH NG
+exception IH K S EH P SH AH N
+exceptional IH K S EH P SH AH N AH L
+exceptionally IH K S EH P SH AH N AH L IY
+excerpts EH K S ER P T S
+excess EH K S EH S
+excessive IH K S EH S IH V
+excessively IH K S EH S IH V L IY
+exchange IH K S CH EY N JH
+exchanges IH K S CH EY N JH AH Z
+excitable IH K S AY T AH B AH L
+excite IH K S AY T
+excited IH K S AY T AH D
+excitement IH K S AY T M AH N T
+exclamation EH K S K L AH M EY SH AH N
+exclude IH K S K L UW D
+excluded IH K S K L UW D AH D
+exclusion IH K S K L UW ZH AH N
+exclusive IH K S K L UW S IH V
+exclusively IH K S K L UW S IH V L IY
+excommunicated EH K S K AH M Y UW N AH K EY T AH D
+excrement EH K S K R AH M AH N T
+excruciating IH K S K R UW SH IY EY T IH NG
+excursion IH K S K ER ZH AH N
+excuse IH K S K Y UW S
+excused IH K S K Y UW Z D
+excusing IH K S K Y UW Z IH NG
+execute EH K S AH K Y UW T
+execution EH K S AH K Y UW SH AH N
+executioner EH K S AH K Y UW SH AH N ER
+executive IH G Z EH K Y AH T IH V
+executor IH G Z EH K Y AH T ER
+exemplary IH G Z EH M P L ER IY
+exemplifies IH G Z EH M P L AH F AY Z
+exempt IH G Z EH M P T
+exemption IH G Z EH M P SH AH N
+exercise EH K S ER S AY Z
+exercises EH K S ER S AY Z AH Z
+exert IH G Z ER T
+exertion IH G Z ER SH AH N
+exhale EH K S HH EY L
+exhaust IH G Z AO S T
+exhaustion IH G Z AO S CH AH N
+exhaustive IH G Z AO S T IH V
+exhibit IH G Z IH B IH T
+exhibited IH G Z IH B AH T AH D
+exhibition EH K S AH B IH SH AH N
+exhibits IH G Z IH B AH T S
+exhilarated IH G Z IH L ER EY T IH D
+exhilarating IH G Z IH L ER EY T IH NG
+exhilaration IH G Z IH L ER EY SH AH N
+exhume EH K S HH Y UW M
+exile EH G Z AY L
+exist IH G Z IH S T
+existed IH G Z IH S T AH D
+existence EH G Z IH S T AH N S
+existential EH G Z IH S T EH N SH AH L
+exit EH G Z IH T
+exited EH G Z AH T IH D
+exodus EH K S AH D AH S
+exonerate IH G Z AA N ER EY T
+exorbitant IH G Z AO R B IH T AH N T
+exotic IH G Z AA T IH K
+expand IH K S P AE N D
+expanded IH K S P AE N D AH D
+expanse IH K S P AE N S
+expansion IH K S P AE N SH AH N
+expansive IH K S P AE N S IH V
+expect IH K S P EH K T
+expectancy IH K S P EH K T AH N S IY
+expectant IH K S P EH K T AH N T
+expectation EH K S P EH K T EY SH AH N
+expected IH K S P EH K T AH D
+expediency IH K S P IY D IY AH N S IY
+expedient IH K S P IY D IY AH N T
+expedite EH K S P IH D AY T
+expedition EH K S P AH D IH SH AH N
+expel IH K S P EH L
+expendable IH K S P EH N D AH B AH L
+expended IH K S P EH N D IH D
+expenditure IH K S P EH N D AH CH ER
+expense IH K S P EH N S
+expenses IH K S P EH N S AH Z
+expensive IH K S P EH N S IH V
+experience IH K S P IH R IY AH N S
+experiment IH K S P EH R AH M AH N T
+experimental IH K S P EH R IH M EH N T AH L
+experimentally IH K S P EH R AH M EH N T AH L IY
+experimentation IH K S P EH R AH M AH N T EY SH AH N
+experimented IH K S P EH R AH M AH N T AH D
+experimenting EH K S P EH R AH M EH N T IH NG
+expert EH K S P ER T
+expertise EH K S P ER T IY Z
+expertly EH K S P ER T L IY
+expiration EH K S P ER EY SH AH N
+expire IH K S P AY R
+expires IH K S P AY ER Z
+expiry EH K S P AY R IY
+explain IH K S P L EY N
+explanation EH K S P L AH N EY SH AH N
+explanatory IH K S P L AE N AH T AO R IY
+expletive EH K S P L AH T IH V
+explicit IH K S P L IH S AH T
+explicitly IH K S P L IH S AH T L IY
+explode IH K S P L OW D
+exploded IH K S P L OW D AH D
+exploit EH K S P L OY T
+exploitation EH K S P L OY T EY SH AH N
+exploited EH K S P L OY T AH D
+exploration EH K S P L ER EY SH AH N
+explore IH K S P L AO R
+explorer IH K S P L AO R ER
+explosion IH K S P L OW ZH AH N
+explosive IH K S P L OW S IH V
+exponential EH K S P OW N EH N SH AH L
+exponentially EH K S P OW N EH N SH AH L IY
+export EH K S P AO R T
+exporting IH K S P AO R T IH NG
+expose IH K S P OW Z
+exposition EH K S P AH Z IH SH AH N
+exposure IH K S P OW ZH ER
+express IH K S P R EH S
+expresses IH K S P R EH S AH Z
+expression IH K S P R EH SH AH N
+expressive IH K S P R EH S IH V
+expressly EH K S P R EH S L IY
+expressway IH K S P R EH S W EY
+expulsion IH K S P AH L SH AH N
+exquisite EH K S K W AH Z AH T
+extant EH K S T AH N T
+extend IH K S T EH N D
+extended IH K S T EH N D AH D
+extension IH K S T EH N SH AH N
+extensive IH K S T EH N S IH V
+extensively IH K S T EH N S IH V L IY
+extent IH K S T EH N T
+exterior IH K S T IH R IY ER
+exterminate IH K S T ER M AH N EY T
+extermination IH K S T ER M AH N EY SH AH N
+external IH K S T ER N AH L
+externally IH K S T ER N AH L IY
+extinct IH K S T IH NG K T
+extinction IH K S T IH NG K SH AH N
+extinguish IH K S T IH NG G W IH SH
+extinguisher IH K S T IH NG G W IH SH ER
+extort EH K S T AO R T
+extortion EH K S T AO R SH AH N
+extra EH K S T R AH
+extract EH K S T R AE K T
+extraction EH K S T R AE K SH AH N
+extracurricular EH K S T R AH K ER IH K Y AH L ER
+extradite EH K S T R AH D AY T
+extradition EH K S T R AH D IH SH AH N
+extraneous EH K S T R EY N IY AH S
+extraordinarily EH K S T R AO R D AH N EH R AH L IY
+extraordinary EH K S T R AH AO R D AH N EH R IY
+extrapolate EH K S T R AE P AH L EY T
+extraterrestrial EH K S T R AH T ER EH S T R IY AH L
+extravagance EH K S T R AE V AH G AH N S
+extravagant EH K S T R AE V AH G AH N T
+extreme EH K S T R IY M
+extremely EH K S T R IY M L IY
+extremist EH K S T R IY M IH S T
+extremists EH K S T R IY M AH S T S
+extremity EH K S T R EH M AH T IY
+extricate EH K S T R AH K EY T
+exuberance IH G Z UW B ER AH N S
+exuberant IH G Z UW B ER AH N T
+exude IH G Z UW D
+eye AY
+eyeball AY B AO L
+eyebrow AY B R AW
+eyelash AY L AE SH
+eyelid AY L IH D
+eyes AY Z
+eyesight AY S AY T
+eyesore AY S AO R
+eyewitness AY W IH T N AH S
+fable F EY B AH L
+fabric F AE B R IH K
+fabricate F AE B R AH K EY T
+fabricated F AE B R IH K EY T AH D
+fabricating F AE B R IH K EY T IH NG
+fabrication F AE B R IH K EY SH AH N
+fabulous F AE B Y AH L AH S
+facade F AH S AA D
+face F EY S
+faceless F EY S L AH S
+faces F EY S AH Z
+facet F AE S AH T
+facial F EY SH AH L
+facilitate F AH S IH L AH T EY T
+facilities F AH S IH L AH T IY Z
+facility F AH S IH L IH T IY
+fact F AE K T
+faction F AE K SH AH N
+factor F AE K T ER
+factory F AE K T ER IY
+factual F AE K CH UW AH L
+factually F AE K CH UW AH L IY
+faculty F AE K AH L T IY
+fad F AE D
+fade F EY D
+faded F EY D AH D
+fades F EY D Z
+fading F EY D IH NG
+faggot F AE G AH T
+fail F EY L
+failure F EY L Y ER
+faint F EY N T
+fainter F EY N T ER
+faintest F EY N T AH S T
+faintly F EY N T L IY
+fair F EH R
+fairer F EH R ER
+fairest F EH R IH S T
+fairly F EH R L IY
+fairness F EH R N AH S
+fairy F EH R IY
+faith F EY TH
+faithful F EY TH F AH L
+faithfully F EY TH F AH L IY
+faithfulness F EY TH F AH L N EH S
+fake F EY K
+falcon F AE L K AH N
+fall F AO L
+fallacious F AH L EY SH AH S
+fallacy F AE L AH S IY
+fallen F AA L AH N
+fallible F AE L AH B AH L
+falling F AA L IH NG
+fallout F AO L AW T
+false F AO L S
+falsehood F AE L S HH UH D
+falsely F AO L S L IY
+falsetto F AO L S EH T OW
+falsify F AO L S AH F AY
+falter F AO L T ER
+fame F EY M
+familiar F AH M IH L Y ER
+familiarity F AH M IH L Y EH R AH T IY
+familiarize F AH M IH L Y ER AY Z
+family F AE M AH L IY
+famine F AE M AH N
+famous F EY M AH S
+fan F AE N
+fanatic F AH N AE T IH K
+fanatical F AH N AE T IH K AH L
+fancier F AE N S IY ER
+fanciful F AE N S IH F AH L
+fancy F AE N S IY
+fanfare F AE N F EH R
+fang F AE NG
+fantastic F AE N T AE S T IH K
+fantastically F AE N T AE S T IH K L IY
+fantasy F AE N T AH S IY
+far F AA R
+faraway F AA R AH W EY
+farce F AA R S
+fare F EH R
+fared F EH R D
+fares F EH R Z
+farewell F EH R W EH L
+farm F AA R M
+farmer F AA R M ER
+farmland F AA R M L AE N D
+farther F AA R DH ER
+farthest F AA R DH AH S T
+fascinate F AE S AH N EY T
+fascinated F AE S AH N EY T AH D
+fascination F AE S AH N EY SH AH N
+fascism F AE SH IH Z AH M
+fascist F AE SH IH S T
+fashion F AE SH AH N
+fashionable F AE SH AH N AH B AH L
+fashionably F AE SH AH N AH B L IY
+fast F AE S T
+fasten F AE S AH N
+faster F AE S T ER
+fastest F AE S T AH S T
+fastidious F AE S T IH D IY AH S
+fat F AE T
+fatal F EY T AH L
+fatality F AH T AE L IH T IY
+fatally F EY T AH L IY
+fate F EY T
+fated F EY T IH D
+fateful F EY T F AH L
+fates F EY T S
+father F AA DH ER
+fatherhood F AA DH ER HH UH D
+fatherland F AA DH ER L AE N D
+fatherly F AA DH ER L IY
+fathom F AE DH AH M
+fatigue F AH T IY G
+fatten F AE T AH N
+fatter F AE T ER
+fattest F AE T AH S T
+fatty F AE T IY
+fatuous F AE CH AH W AH S
+faucet F AO S AH T
+fault F AO L T
+faulty F AO L T IY
+fauna F AO N AH
+favor F EY V ER
+favorable F EY V ER AH B AH L
+favorably F EY V ER AH B L IY
+favorite F EY V ER IH T
+favoritism F EY V ER IH T IH Z AH M
+fawn F AO N
+faze F EY Z
+fear F IH R
+fearful F IH R F AH L
+fearless F IH R L AH S
+fearsome F IH R S AH M
+feasibility F IY Z AH B IH L AH T IY
+feasible F IY Z AH B AH L
+feast F IY S T
+feat F IY T
+feather F EH DH ER
+feathery F EH DH ER IY
+feature F IY CH ER
+feces F IY S IY Z
+fed F EH D
+federal F EH D ER AH L
+federation F EH D ER EY SH AH N
+fee F IY
+feeble F IY B AH L
+feedback F IY D B AE K
+feeder F IY D ER
+feel F IY L
+feelers F IY L ER Z
+feet F IY T
+feign F EY N
+feint F EY N T
+feline F IY L AY N
+fell F EH L
+feller F EH L ER
+fellow F EH L OW
+fellowship F EH L OW SH IH P
+felon F EH L AH N
+felony F EH L AH N IY
+felt F EH L T
+female F IY M EY L
+feminine F EH M AH N AH N
+femininity F EH M AH N IH N AH T IY
+feminism F EH M IH N IH Z AH M
+feminist F EH M AH N IH S T
+fen F EH N
+fence F EH N S
+fences F EH N S AH Z
+fend F EH N D
+fender F EH N D ER
+ferment F ER M EH N T
+fermented F ER M EH N T AH D
+fern F ER N
+ferocious F ER OW SH AH S
+ferocity F ER AA S AH T IY
+ferret F EH R AH T
+ferry F EH R IY
+fertile F ER T AH L
+fertility F ER T IH L AH T IY
+fertilization F ER T AH L IH Z EY SH AH N
+fertilize F ER T AH L AY Z
+fertilizer F ER T AH L AY Z ER
+fervent F ER V AH N T
+fervor F ER V ER
+fester F EH S T ER
+festival F EH S T AH V AH L
+festive F EH S T IH V
+festivities F EH S T IH V AH T IY Z
+fetch F EH CH
+fetish F EH T IH SH
+fetus F IY T AH S
+feud F Y UW D
+feudal F Y UW D AH L
+fever F IY V ER
+feverish F IY V ER IH SH
+few F Y UW
+fewer F Y UW ER
+fewest F Y UW AH S T
+fez F EH Z
+fiasco F IY AE S K OW
+fib F IH B
+fiber F AY B ER
+fiberglass F AY B ER G L AE S
+fickle F IH K AH L
+fiction F IH K SH AH N
+fictional F IH K SH AH N AH L
+fictitious F IH K T IH SH AH S
+fiddle F IH D AH L
+fiddler F IH D AH L ER
+fiddling F IH D L IH NG
+fidelity F AH D EH L AH T IY
+fidgeting F IH JH AH T IH NG
+field F IY L D
+fiend F IY N D
+fiendish F IY N D IH SH
+fierce F IH R S
+fiercely F IH R S L IY
+fiercest F IH R S AH S T
+fiery F AY ER IY
+fiesta F IY EH S T AH
+fifteen F IH F T IY N
+fifteenth F IH F T IY N TH
+fifth F IH F TH
+fifty F IH F T IY
+fig F IH G
+fight F AY T
+fighter F AY T ER
+figment F IH G M IH N T
+figuratively F IH G Y UH R AH T IH V L IY
+figure F IH G Y ER
+figurehead F IH G Y ER HH EH D
+filament F IH L AH M AH N T
+file F AY L
+filet F IH L EY
+fill F IH L
+filler F IH L ER
+fillet F AH L EY
+filly F IH L IY
+film F IH L M
+filter F IH L T ER
+filth F IH L TH
+filthy F IH L TH IY
+fin F IH N
+final F AY N AH L
+finale F AH N AE L IY
+finalist F AY N AH L IH S T
+finality F AY N AE L AH T IY
+finalize F AY N AH L AY Z
+finally F AY N AH L IY
+finance F AH N AE N S
+financed F IH N AE N S T
+finances F IH N AE N S IH Z
+financial F AH N AE N SH AH L
+financially F AH N AE N SH AH L IY
+financier F IH N AH N S IH R
+finch F IH N CH
+find F AY N D
+fine F AY N
+fined F AY N D
+finely F AY N L IY
+finer F AY N ER
+fines F AY N Z
+finesse F IH N EH S
+finest F AY N AH S T
+finger F IH NG G ER
+fingernail F IH NG G ER N EY L
+fingerprint F IH NG G ER P R IH N T
+fingertip F IH NG G ER T IH P
+finicky F IH N AH K IY
+fining F AY N IH NG
+finish F IH N IH SH
+finite F AY N AY T
+fir F ER
+fire F AY ER
+firearm F AY ER AA R M
+firecracker F AY ER K R AE K ER
+fired F AY ER D
+firefighter F AY R F AY T ER
+firefighters F AY ER F AY T ER Z
+firefly F AY ER F L AY
+fireman F AY R M AH N
+firemen F AY R M AH N
+fireplace F AY ER P L EY S
+fireplaces F AY ER P L EY S AH Z
+fires F AY ER Z
+fireside F AY ER S AY D
+firewood F AY ER W UH D
+firework F AY R W ER K
+firing F AY R IH NG
+firm F ER M
+firmer F ER M ER
+firmly F ER M L IY
+firmness F ER M N AH S
+first F ER S T
+firsthand F ER S T HH AE N D
+firstly F ER S T L IY
+fiscal F IH S K AH L
+fish F IH SH
+fisher F IH SH ER
+fisherman F IH SH ER M AE N
+fishermen F IH SH ER M IH N
+fishery F IH SH ER IY
+fishes F IH SH AH Z
+fishy F IH SH IY
+fission F IH SH AH N
+fissure F IH SH ER
+fist F IH S T
+fit F IH T
+fitness F IH T N AH S
+fitted F IH T AH D
+fittest F IH T AH S T
+five F AY V
+fix F IH K S
+fixable F IH K S AH B AH L
+fixation F IH K S EY SH AH N
+fixture F IH K S CH ER
+fizz F IH Z
+fizzle F IH Z AH L
+flabby F L AE B IY
+flag F L AE G
+flagpole F L AE G P OW L
+flagrant F L EY G R AH N T
+flagship F L AE G SH IH P
+flailing F L EY L IH NG
+flair F L EH R
+flak F L AE K
+flake F L EY K
+flakes F L EY K S
+flaking F L EY K IH NG
+flaky F L EY K IY
+flamboyant F L AE M B OY AH N T
+flame F L EY M
+flamingo F L AH M IH NG G OW
+flammable F L AE M AH B AH L
+flank F L AE NG K
+flannel F L AE N AH L
+flap F L AE P
+flapjack F L AE P JH AE K
+flare F L EH R
+flash F L AE SH
+flashback F L AE SH B AE K
+flasher F L AE SH ER
+flashlight F L AE SH L AY T
+flashy F L AE SH IY
+flask F L AE S K
+flat F L AE T
+flatten F L AE T AH N
+flatter F L AE T ER
+flattery F L AE T ER IY
+flaunt F L AO N T
+flavor F L EY V ER
+flaw F L AO
+flawless F L AO L AH S
+flawlessly F L AO L AH S L IY
+flea F L IY
+flecks F L EH K S
+fled F L EH D
+fledgling F L EH JH L IH NG
+flee F L IY
+fleece F L IY S
+fleet F L IY T
+flesh F L EH SH
+fleshy F L EH SH IY
+flew F L UW
+flex F L EH K S
+flexibility F L EH K S AH B IH L AH T IY
+flexible F L EH K S AH B AH L
+flick F L IH K
+flicker F L IH K ER
+flier F L AY ER
+flight F L AY T
+flighty F L AY T IY
+flimsy F L IH M Z IY
+flinch F L IH N CH
+fling F L IH NG
+flint F L IH N T
+flip F L IH P
+flippant F L IH P AH N T
+flipper F L IH P ER
+flirt F L ER T
+flirtation F L ER T EY SH AH N
+flirtatious F L ER T EY SH AH S
+flit F L IH T
+float F L OW T
+floated F L OW T AH D
+flock F L AA K
+flog F L AA G
+flood F L AH D
+flooded F L AH D AH D
+floor F L AO R
+flop F L AA P
+floppy F L AA P IY
+flora F L AO R AH
+floral F L AO R AH L
+florist F L AA R IH S T
+floss F L AA S
+flounder F L AW N D ER
+flour F L AW ER
+flourish F L ER IH SH
+flout F L AW T
+flow F L OW
+flower F L AW ER
+flowery F L AW ER IY
+flown F L OW N
+flu F L UW
+fluctuate F L AH K CH AH W EY T
+fluctuation F L AH K CH UW EY SH AH N
+flue F L UW
+fluent F L UW AH N T
+fluently F L UW AH N T L IY
+fluff F L AH F
+fluffy F L AH F IY
+fluid F L UW AH D
+fluke F L UW K
+flung F L AH NG
+flunk F L AH NG K
+fluorescent F L UH R EH S AH N T
+flurry F L ER IY
+flush F L AH SH
+flustered F L AH S T ER D
+flute F L UW T
+flutter F L AH T ER
+flux F L AH K S
+fly F L AY
+foal F OW L
+foam F OW M
+foamy F OW M IY
+focal F OW K AH L
+focus F OW K AH S
+fodder F AA D ER
+foe F OW
+fog F AA G
+foggiest F AA G IY AH S T
+foggy F AA G IY
+foil F OY L
+fold F OW L D
+folded F OW L D AH D
+folder F OW L D ER
+foliage F OW L IH JH
+folk F OW K
+folklore F OW K L AO R
+follow F AA L OW
+follower F AA L OW ER
+folly F AA L IY
+fond F AA N D
+fonder F AA N D ER
+fondest F AA N D AH S T
+fondle F AO N D AH L
+fondling F AA N D AH L IH NG
+fondly F AA N D L IY
+fondness F AA N D N AH S
+font F AA N T
+food F UW D
+fool F UW L
+foolhardy F UW L HH AA R D IY
+foolish F UW L IH SH
+foolishly F UW L IH SH L IY
+foolishness F UW L IH SH N AH S
+foolproof F UW L P R UW F
+foot F UH T
+footage F UH T IH JH
+football F UH T B AO L
+foothills F UH T HH IH L Z
+foothold F UH T HH OW L D
+footlights F UH T L AY T S
+footnote F UH T N OW T
+footpath F UH T P AE TH
+footprint F UH T P R IH N T
+footstep F UH T S T EH P
+footwear F UH T W EH R
+footwork F UH T W ER K
+for F AO R
+forage F AO R IH JH
+foray F AO R EY
+forbade F ER B EY D
+forbearance F AO R B EH R AH N S
+forbid F ER B IH D
+forbidden F AO R B IH D AH N
+force F AO R S
+forceful F AO R S F AH L
+forceps F AO R S EH P S
+forcibly F AO R S AH B L IY
+ford F AO R D
+fore F AO R
+forearm F AO R AA R M
+foreboding F AO R B OW D IH NG
+forecast F AO R K AE S T
+forefathers F AO R F AA DH ER Z
+forefinger F AO R F IH NG G ER
+forefront F AO R F R AH N T
+forego F AO R G OW
+foregone F AO R G AO N
+foreground F AO R G R AW N D
+forehead F AO R HH EH D
+foreign F AO R AH N
+foreigner F AO R AH N ER
+foreman F AO R M AH N
+foremost F AO R M OW S T
+forensic F ER EH N S IH K
+foreplay F AO R P L EY
+foresaw F AO R S AO
+foresee F AO R S IY
+foreseeable F AO R S IY AH B AH L
+foreseen F AO R S IY N
+foresight F AO R S AY T
+foreskin F OW R S K IH N
+forest F AO R AH S T
+forestry F AO R AH S T R IY
+foretell F AO R T EH L
+foretold F AO R T OW L D
+forever F ER EH V ER
+forfeit F AO R F IH T
+forgave F ER G EY V
+forge F AO R JH
+forger F AO R JH ER
+forgery F AO R JH ER IY
+forget F ER G EH T
+forgetful F AO R G EH T F AH L
+forgive F ER G IH V
+forgiven F ER G IH V AH N
+forgiveness F ER G IH V N AH S
+forgo F AO R G OW
+forgot F ER G AA T
+forgotten F ER G AA T AH N
+fork F AO R K
+forlorn F ER L AO R N
+form F AO R M
+formal F AO R M AH L
+formality F AO R M AE L AH T IY
+formally F AO R M AH L IY
+format F AO R M AE T
+formation F AO R M EY SH AH N
+formative F AO R M AH T IH V
+former F AO R M ER
+formerly F AO R M ER L IY
+formidable F AO R M AH D AH B AH L
+formula F AO R M Y AH L AH
+formulae F AO R M Y AH L EY
+formulate F AO R M Y AH L EY T
+formulated F AO R M Y AH L EY T AH D
+formulation F AO R M Y AH L EY SH AH N
+forsake F AO R S EY K
+forsaken F AO R S EY K AH N
+fort F AO R T
+forte F AO R T EY
+forth F AO R TH
+forthcoming F AO R TH K AH M IH NG
+forthright F AO R TH R AY T
+forthwith F AO R TH W IH TH
+fortifications F AO R T AH F AH K EY SH AH N Z
+fortified F AO R T AH F AY D
+fortify F AO R T IH F AY
+fortitude F AO R T IH T UW D
+fortnight F AO R T N AY T
+fortress F AO R T R AH S
+fortuitous F AO R T UW IH T AH S
+fortunate F AO R CH AH N AH T
+fortunately F AO R CH AH N AH T L IY
+fortune F AO R CH AH N
+forty F AO R T IY
+forum F AO R AH M
+forward F AO R W ER D
+fossil F AA S AH L
+fossilized F AA S AH L AY Z D
+foster F AA S T ER
+fought F AO T
+foul F AW L
+found F AW N D
+foundation F AW N D EY SH AH N
+founder F AW N D ER
+foundry F AW N D R IY
+fountain F AW N T AH N
+four F AO R
+fourteen F AO R T IY N
+fourteenth F AO R T IY N TH
+fourth F AO R TH
+fowl F AW L
+fox F AA K S
+foxes F AA K S AH Z
+foxy F AA K S IY
+foyer F OY ER
+fracas F R EY K AH S
+fraction F R AE K SH AH N
+fracture F R AE K CH ER
+fragile F R AE JH AH L
+fragment F R AE G M AH N T
+fragrance F R EY G R AH N S
+fragrant F R EY G R AH N T
+frail F R EY L
+frailty F R EY L T IY
+frame F R EY M
+framework F R EY M W ER K
+franc F R AE NG K
+franchise F R AE N CH AY Z
+frank F R AE NG K
+frankfurter F R AE NG K F ER T ER
+frankly F R AE NG K L IY
+frantic F R AE N T IH K
+frantically F R AE N T AH K AH L IY
+fraternal F R AH T ER N AH L
+fraternity F R AH T ER N AH T IY
+fraternize F R AE T ER N AY Z
+fraud F R AO D
+fraudulent F R AO JH AH L AH N T
+fraught F R AO T
+fray F R EY
+freak F R IY K
+freckle F R EH K AH L
+free F R IY
+freedom F R IY D AH M
+freelance F R IY L AE N S
+freely F R IY L IY
+freer F R IY ER
+freeway F R IY W EY
+freeze F R IY Z
+freezer F R IY Z ER
+freight F R EY T
+freighter F R EY T ER
+french F R EH N CH
+frenzy F R EH N Z IY
+frequency F R IY K W AH N S IY
+frequent F R IY K W AH N T
+frequently F R IY K W AH N T L IY
+fresh F R EH SH
+freshen F R EH SH AH N
+fresher F R EH SH ER
+freshest F R EH SH AH S T
+freshly F R EH SH L IY
+freshman F R EH SH M AH N
+freshmen F R EH SH M IH N
+freshness F R EH SH N AH S
+freshwater F R EH SH W AO T ER
+fret F R EH T
+friar F R AY ER
+friction F R IH K SH AH N
+friend F R EH N D
+friendlier F R EH N D L IY ER
+friendliest F R EH N D L IY AH S T
+friendly F R EH N D L IY
+friendship F R EH N D SH IH P
+frigate F R IH G AH T
+fright F R AY T
+frighten F R AY T AH N
+frighteningly F R AY T AH N IH NG L IY
+frightful F R AY T F AH L
+frightfully F R AY T F AH L IY
+frigid F R IH JH AH D
+frills F R IH L Z
+frilly F R IH L IY
+fringe F R IH N JH
+frisk F R IH S K
+frisky F R IH S K IY
+fritter F R IH T ER
+frivolous F R IH V AH L AH S
+fro F R OW
+frock F R AA K
+frog F R AA G
+frolic F R AA L IH K
+frolicking F R AA L IH K IH NG
+from F R AH M
+front F R AH N T
+frontage F R AH N T IH JH
+frontal F R AH N T AH L
+frontier F R AH N T IH R
+frost F R AO S T
+frostbite F R AO S T B AY T
+frosted F R AO S T AH D
+frosty F R AO S T IY
+froth F R AO TH
+frothy F R AO TH IY
+frown F R AW N
+froze F R OW Z
+frozen F R OW Z AH N
+fruit F R UW T
+fruitful F R UW T F AH L
+fruition F R UW IH SH AH N
+fruitless F R UW T L AH S
+fruity F R UW T IY
+frustrate F R AH S T R EY T
+frustrated F R AH S T R EY T AH D
+frustration F R AH S T R EY SH AH N
+fry F R AY
+fudge F AH JH
+fuel F Y UW AH L
+fueling F Y UW L IH NG
+fugitive F Y UW JH AH T IH V
+fugitives F Y UW JH IH T IH V Z
+fulcrum F UH L K R AH M
+fulfill F UH L F IH L
+fulfillment F UH L F IH L M AH N T
+full F UH L
+fuller F UH L ER
+fullest F UH L AH S T
+fullness F UH L N AH S
+fully F UH L IY
+fumble F AH M B AH L
+fume F Y UW M
+fun F AH N
+function F AH NG K SH AH N
+functional F AH NG K SH AH N AH L
+functionality F AH NG K SH AH N AE L IH T IY
+fund F AH N D
+fundamental F AH N D AH M EH N T AH L
+fundamentalist F AH N D AH M EH N T AH L IH S T
+fundamentally F AH N D AH M EH N T AH L IY
+funded F AH N D AH D
+funeral F Y UW N ER AH L
+fungus F AH NG G AH S
+funnel F AH N AH L
+funnier F AH N IY ER
+funniest F AH N IY AH S T
+funny F AH N IY
+fur F ER
+furious F Y UH R IY AH S
+furiously F Y UH R IY AH S L IY
+furlong F ER L AO NG
+furlough F ER L OW
+furnace F ER N AH S
+furnish F ER N IH SH
+furniture F ER N IH CH ER
+furrier F ER IY ER
+furry F ER IY
+further F ER DH ER
+furthermore F ER DH ER M AO R
+furthest F ER TH AH S T
+furtive F ER T IH V
+fury F Y UH R IY
+fuse F Y UW Z
+fuselage F Y UW S AH L AA JH
+fuses F Y UW Z AH Z
+fusion F Y UW ZH AH N
+fuss F AH S
+fussy F AH S IY
+futile F Y UW T AH L
+futility F Y UW T IH L AH T IY
+future F Y UW CH ER
+futuristic F Y UW CH ER IH S T IH K
+fuzz F AH Z
+fuzzy F AH Z IY
+gab G AE B
+gable G EY B AH L
+gadget G AE JH AH T
+gag G AE G
+gaily G EY L IY
+gain G EY N
+gait G EY T
+gal G AE L
+gala G AE L AH
+galactic G AH L AE K T IH K
+galaxy G AE L AH K S IY
+gale G EY L
+gall G AO L
+gallant G AE L AH N T
+gallantry G AE L AH N T R IY
+gallery G AE L ER IY
+galley G AE L IY
+gallon G AE L AH N
+gallop G AE L AH P
+gallows G AE L OW Z
+galore G AH L AO R
+galvanized G AE L V AH N AY Z D
+gambit G AE M B IH T
+gamble G AE M B AH L
+gambler G AE M B L ER
+game G EY M
+gamma G AE M AH
+gamut G AE M AH T
+gander G AE N D ER
+gang G AE NG
+gangplank G AE NG P L AE NG K
+gangrene G AE N G R IY N
+gangster G AE NG S T ER
+gap G AE P
+gaping G EY P IH NG
+garage G ER AA ZH
+garb G AA R B
+garbage G AA R B IH JH
+garble G AA R B AH L
+garbling G AA R B L IH NG
+garden G AA R D AH N
+gardener G AA R D AH N ER
+gardenia G AA R D IY N Y AH
+gargoyle G AA R G OY L
+garish G EH R IH SH
+garland G AA R L AH N D
+garlic G AA R L IH K
+garment G AA R M AH N T
+garnet G AA R N AH T
+garnish G AA R N IH SH
+garret G EH R IH T
+garrison G AE R IH S AH N
+garter G AA R T ER
+gas G AE S
+gaseous G AE S IY AH S
+gases G AE S AH Z
+gash G AE SH
+gasket G AE S K AH T
+gasoline G AE S AH L IY N
+gasp G AE S P
+gassed G AE S T
+gassing G AE S IH NG
+gastric G AE S T R IH K
+gate G EY T
+gateway G EY T W EY
+gather G AE DH ER
+gaudy G AO D IY
+gauge G EY JH
+gauges G EY JH AH Z
+gauntlet G AO N T L AH T
+gauze G AO Z
+gave G EY V
+gavel G AE V AH L
+gawk G AO K
+gawky G AO K IY
+gay G EY
+gayer G EY ER
+gaze G EY Z
+gazelle G AH Z EH L
+gazette G AH Z EH T
+gear G IH R
+gee JH IY
+gees JH IY S
+geese G IY S
+gel JH EH L
+gelatin JH EH L AH T AH N
+gem JH EH M
+gender JH EH N D ER
+gene JH IY N
+genealogy JH IY N IY AA L AH JH IY
+general JH EH N ER AH L
+generalization JH EH N ER AH L IH Z EY SH AH N
+generalizations JH EH N ER AH L AH Z EY SH AH N Z
+generalize JH EH N ER AH L AY Z
+generally JH EH N ER AH L IY
+generate JH EH N ER EY T
+generated JH EH N ER EY T AH D
+generation JH EH N ER EY SH AH N
+generator JH EH N ER EY T ER
+generic JH AH N EH R IH K
+generosity JH EH N ER AA S AH T IY
+generous JH EH N ER AH S
+generously JH EH N ER AH S L IY
+genesis JH EH N AH S AH S
+genetic JH AH N EH T IH K
+genetically JH AH N EH T IH K L IY
+geneticist JH AH N EH T AH S AH S T
+genial JH IY N Y AH L
+genie JH IY N IY
+genital JH EH N AH T AH L
+genius JH IY N Y AH S
+genocide JH EH N AH S AY D
+genre ZH AA N R AH
+gent JH EH N T
+gentile JH EH N T AY L
+gentle JH EH N T AH L
+gentleman JH EH N T AH L M AH N
+gentlemen JH EH N T AH L M IH N
+gentleness JH EH N T AH L N AH S
+gentler JH EH N T L ER
+gently JH EH N T L IY
+gentry JH EH N T R IY
+genuine JH EH N Y AH W AH N
+genuinely JH EH N Y AH W AH N L IY
+genus JH IY N AH S
+geographic JH IY AH G R AE F IH K
+geographical JH IY AH G R AE F IH K AH L
+geographically JH IY AH G R AE F IH K AH L IY
+geography JH IY AA G R AH F IY
+geological JH IY AH L AA JH IH K AH L
+geologist JH IY AA L AH JH AH S T
+geologists JH IY AA L AH JH IH S T S
+geology JH IY AA L AH JH IY
+geometric JH IY AH M EH T R IH K
+geometry JH IY AA M AH T R IY
+geraniums JH ER EY N IY AH M Z
+gerbil JH ER B IH L
+gerbils JH ER B IH L S
+germ JH ER M
+gestation JH EH S T EY SH AH N
+gesture JH EH S CH ER
+get G EH T
+getaway G EH T AH W EY
+geyser G AY Z ER
+ghastly G AE S T L IY
+ghetto G EH T OW
+ghost G OW S T
+ghostly G OW S T L IY
+ghoul G UW L
+giant JH AY AH N T
+gibberish G IH B ER IH SH
+giddy G IH D IY
+gift G IH F T
+gifted G IH F T AH D
+gig G IH G
+gigantic JH AY G AE N T IH K
+giggle G IH G AH L
+gilded G IH L D IH D
+gill G IH L
+gimme G IH M IY
+gimmick G IH M IH K
+gin JH IH N
+ginger JH IH N JH ER
+gingerbread JH IH N JH ER B R EH D
+giraffe JH ER AE F
+girder G ER D ER
+girdle G ER D AH L
+girl G ER L
+girlfriend G ER L F R EH N D
+girlish G ER L IH SH
+girth G ER TH
+gist JH IH S T
+give G IH V
+given G IH V AH N
+gizzard G IH Z ER D
+glacier G L EY SH ER
+glad G L AE D
+glade G L EY D
+glades G L EY D Z
+gladiator G L AE D IY EY T ER
+gladly G L AE D L IY
+glamorous G L AE M ER AH S
+glamour G L AE M ER
+glance G L AE N S
+gland G L AE N D
+glandular G L AE N JH AH L ER
+glare G L EH R
+glass G L AE S
+glasses G L AE S AH Z
+glassy G L AE S IY
+glaze G L EY Z
+gleam G L IY M
+glean G L IY N
+glee G L IY
+glen G L EH N
+glib G L IH B
+glide G L AY D
+glider G L AY D ER
+glimmer G L IH M ER
+glimpse G L IH M P S
+glint G L IH N T
+glisten G L IH S AH N
+glitter G L IH T ER
+gloat G L OW T
+global G L OW B AH L
+globally G L OW B AH L IY
+globe G L OW B
+gloom G L UW M
+gloomy G L UW M IY
+glorify G L AO R AH F AY
+glorious G L AO R IY AH S
+gloriously G L AO R IY AH S L IY
+glory G L AO R IY
+gloss G L AO S
+glossy G L AO S IY
+glove G L AH V
+glow G L OW
+glucose G L UW K OW S
+glue G L UW
+glum G L AH M
+gluttony G L AH T AH N IY
+gnat N AE T
+gnaw N AO
+gnome N OW M
+gnu N UW
+go G OW
+goal G OW L
+goalie G OW L IY
+goalkeeper G OW L K IY P ER
+goat G OW T
+goatee G OW T IY
+gob G AA B
+gobble G AA B AH L
+goblet G AA B L AH T
+goblin G AA B L IH N
+god G AA D
+goddess G AA D AH S
+godfather G AA D F AA DH ER
+godless G AA D L AH S
+godly G AA D L IY
+godmother G AA D M AH DH ER
+godsend G AA D S EH N D
+goggle G AA G AH L
+gold G OW L D
+golden G OW L D AH N
+goldfish G OW L D F IH SH
+goldsmith G OW L D S M IH TH
+golf G AA L F
+golfer G AA L F ER
+gondola G AA N D AH L AH
+gone G AO N
+goner G AA N ER
+gong G AO NG
+gonna G AA N AH
+goo G UW
+good G UH D
+goodbye G UH D B AY
+goodness G UH D N AH S
+goodnight G UH D N AY T
+goodwill G UH D W IH L
+goody G UH D IY
+gooey G UW IY
+goof G UW F
+goofy G UW F IY
+goon G UW N
+goose G UW S
+gopher G OW F ER
+gore G AO R
+gorge G AO R JH
+gorgeous G AO R JH AH S
+gorilla G ER IH L AH
+gory G AO R IY
+gosh G AA SH
+gospel G AA S P AH L
+gossamer G AA S AH M ER
+gossip G AA S AH P
+got G AA T
+gotten G AA T AH N
+gouge G AW JH
+goulash G UW L AA SH
+gourd G AO R D
+gourmet G UH R M EY
+gout G AW T
+govern G AH V ER N
+governess G AH V ER N AH S
+government G AH V ER M AH N T
+governmental G AH V ER M EH N T AH L
+governor G AH V ER N ER
+gown G AW N
+grab G R AE B
+grabber G R AE B ER
+grace G R EY S
+graceful G R EY S F AH L
+gracefully G R EY S F AH L IY
+gracious G R EY SH AH S
+graciously G R EY SH AH S L IY
+graciousness G R EY SH AH S N AH S
+grade G R EY D
+graded G R EY D AH D
+grader G R EY D ER
+gradual G R AE JH UW AH L
+gradually G R AE JH UW AH L IY
+graduate G R AE JH AH W AH T
+graduated G R AE JH UW EY T IH D
+graduating G R AE JH AH W EY T IH NG
+graduation G R AE JH UW EY SH AH N
+graffiti G R AH F IY T IY
+graft G R AE F T
+grain G R EY N
+gram G R AE M
+grammar G R AE M ER
+grammatical G R AH M AE T AH K AH L
+grand G R AE N D
+grandchild G R AE N D CH AY L D
+grandchildren G R AE N CH IH L D R AH N
+granddaughter G R AE N D AO T ER
+grander G R AE N D ER
+grandest G R AE N D AH S T
+grandeur G R AE N D UW R
+grandfather G R AE N D F AA DH ER
+grandiose G R AE N D IY OW S
+grandmother G R AE N D M AH DH ER
+grandparent G R AE N D P EH R AH N T
+grandson G R AE N D S AH N
+grandstand G R AE N D S T AE N D
+granite G R AE N AH T
+granny G R AE N IY
+granola G R AH N OW L AH
+grant G R AE N T
+granted G R AE N T AH D
+grape G R EY P
+grapefruit G R EY P F R UW T
+grapevine G R EY P V AY N
+graph G R AE F
+graphic G R AE F IH K
+graphical G R AE F IH K AH L
+graphite G R AE F AY T
+grapple G R AE P AH L
+grappling G R AE P L IH NG
+grasp G R AE S P
+grass G R AE S
+grasses G R AE S AH Z
+grasshopper G R AE S HH AA P ER
+grassy G R AE S IY
+grate G R EY T
+grateful G R EY T F AH L
+gratefully G R EY T F AH L IY
+gratification G R AE T AH F AH K EY SH AH N
+gratified G R AE T AH F AY D
+gratifying G R AE T AH F AY IH NG
+gratitude G R AE T AH T UW D
+gratuitous G R AH T UW AH T AH S
+gratuitously G R AH T UW AH T AH S L IY
+gratuity G R AH T UW IH T IY
+grave G R EY V
+gravel G R AE V AH L
+gravely G R EY V L IY
+gravest G R AE V AH S T
+gravestone G R EY V S T OW N
+graveyard G R EY V Y AA R D
+gravitational G R AE V IH T EY SH AH N AH L
+gravity G R AE V AH T IY
+gravy G R EY V IY
+gray G R EY
+graze G R EY Z
+grease G R IY S
+greasy G R IY S IY
+great G R EY T
+greater G R EY T ER
+greatest G R EY T AH S T
+greatly G R EY T L IY
+greatness G R EY T N AH S
+greed G R IY D
+greedy G R IY D IY
+green G R IY N
+greenbacks G R IY N B AE K S
+greener G R IY N ER
+greenhouse G R IY N HH AW S
+greet G R IY T
+greeted G R IY T AH D
+gremlin G R EH M L AH N
+grenade G R AH N EY D
+grew G R UW
+greyhound G R EY HH AW N D
+grid G R IH D
+grief G R IY F
+grievance G R IY V AH N S
+grievances G R IY V AH N S AH Z
+grieve G R IY V
+grievous G R IY V AH S
+grill G R IH L
+grille G R IH L
+grim G R IH M
+grimace G R IH M AH S
+grime G R AY M
+grimes G R AY M Z
+grimy G R AY M IY
+grin G R IH N
+grind G R AY N D
+grinder G R AY N D ER
+grindstone G R AY N D S T OW N
+grip G R IH P
+gripe G R AY P
+gripes G R AY P S
+griping G R AY P IH NG
+grisly G R IH Z L IY
+gristle G R IH S AH L
+grit G R IH T
+gritty G R IH T IY
+grizzly G R IH Z L IY
+groan G R OW N
+grocer G R OW S ER
+grocery G R OW S ER IY
+groggy G R AA G IY
+groin G R OY N
+groom G R UW M
+groove G R UW V
+groovy G R UW V IY
+grope G R OW P
+gross G R OW S
+grossly G R OW S L IY
+grotesque G R OW T EH S K
+grotto G R AA T OW
+grouch G R AW CH
+grouchy G R AW CH IY
+ground G R AW N D
+groundless G R AW N D L AH S
+groundwork G R AW N D W ER K
+group G R UW P
+grouper G R UW P ER
+grouse G R AW S
+grove G R OW V
+grovel G R AA V AH L
+groveling G R AO V AH L IH NG
+grow G R OW
+grower G R OW ER
+growl G R AW L
+growling G R OW L IH NG
+grown G R OW N
+growth G R OW TH
+grub G R AH B
+grubby G R AH B IY
+grudge G R AH JH
+gruel G R UW IH L
+gruesome G R UW S AH M
+gruff G R AH F
+grumbling G R AH M B AH L IH NG
+grumpy G R AH M P IY
+grunt G R AH N T
+guarantee G EH R AH N T IY
+guard G AA R D
+guarded G AA R D AH D
+guardian G AA R D IY AH N
+guerrilla G ER IH L AH
+guess G EH S
+guesses G EH S AH Z
+guesswork G EH S W ER K
+guest G EH S T
+guidance G AY D AH N S
+guide G AY D
+guidebook G AY D B UH K
+guided G AY D AH D
+guideline G AY D L AY N
+guild G IH L D
+guile G AY L
+guillotine G IH L AH T IY N
+guilt G IH L T
+guilty G IH L T IY
+guinea G IH N IY
+guise G AY Z
+guitar G IH T AA R
+guitarist G IH T AA R IH S T
+gulch G AH L CH
+gulf G AH L F
+gull G AH L
+gullet G AH L AH T
+gullible G AH L AH B AH L
+gully G AH L IY
+gulp G AH L P
+gum G AH M
+gummy G AH M IY
+gumption G AH M P SH AH N
+gun G AH N
+gunfire G AH N F AY ER
+gunman G AH N M AH N
+gunmen G AH N M EH N
+gunner G AH N ER
+gunpowder G AH N P AW D ER
+gunshot G AH N SH AA T
+guppy G AH P IY
+gurgle G ER G AH L
+guru G UW R UW
+gush G AH SH
+gusher G AH SH ER
+gust G AH S T
+gut G AH T
+gutter G AH T ER
+guy G AY
+guzzle G AH Z AH L
+gym JH IH M
+gymnasium JH IH M N EY Z IY AH M
+gymnast JH IH M N AH S T
+gymnastics JH IH M N AE S T IH K S
+gymnasts JH IH M N AE S T S
+gynecologist G AY N AH K AA L AH JH AH S T
+ha HH AA
+habit HH AE B AH T
+habitable HH AE B AH T AH B AH L
+habitat HH AE B AH T AE T
+habitation HH AE B AH T EY SH AH N
+habitual HH AH B IH CH UW AH L
+hack HH AE K
+hacker HH AE K ER
+hacksaw HH AE K S AO
+had HH AE D
+haddock HH AE D AH K
+hag HH AE G
+haggard HH AE G ER D
+haggle HH AE G AH L
+hail HH EY L
+hair HH EH R
+haircut HH EH R K AH T
+hairdo HH EH R D UW
+hairdresser HH EH R D R EH S ER
+hairline HH EH R L AY N
+hairy HH EH R IY
+hale HH EY L
+half HH AE F
+halfway HH AE F W EY
+halibut HH AE L AH B AH T
+hall HH AO L
+hallelujah HH AE L AH L UW Y AH
+hallmark HH AA L M AA R K
+hallucination HH AH L UW S AH N EY SH AH N
+hallway HH AO L W EY
+halo HH EY L OW
+halt HH AO L T
+halted HH AO L T AH D
+halter HH AO L T ER
+halve HH AE V
+ham HH AE M
+hamburger HH AE M B ER G ER
+hamlet HH AE M L AH T
+hammer HH AE M ER
+hammock HH AE M AH K
+hamper HH AE M P ER
+hamster HH AE M S T ER
+hamstring HH AE M S T R IH NG
+hand HH AE N D
+handbag HH AE N D B AE G
+handbook HH AE N D B UH K
+handcuff HH AE N D K AH F
+handed HH AE N D AH D
+handful HH AE N D F UH L
+handicap HH AE N D IY K AE P
+handiwork HH AE N D IY W ER K
+handkerchief HH AE NG K ER CH IH F
+handkerchiefs HH AE NG K ER CH AH F S
+handle HH AE N D AH L
+handlebar HH AE N D AH L B AA R
+handler HH AE N D L ER
+handling HH AE N D L IH NG
+handmade HH AE N D M EY D
+handout HH AE N D AW T
+handshake HH AE N D SH EY K
+handsome HH AE N S AH M
+handwriting HH AE N D R AY T IH NG
+handy HH AE N D IY
+hang HH AE NG
+hangar HH AE NG ER
+hanger HH AE NG ER
+hangings HH AE NG G IH NG Z
+hangout HH AE NG AW T
+hangover HH AE NG OW V ER
+hanker HH AE NG K ER
+haphazard HH AE P HH AE Z ER D
+hapless HH AE P L AH S
+happen HH AE P AH N
+happier HH AE P IY ER
+happiest HH AE P IY AH S T
+happily HH AE P AH L IY
+happiness HH AE P IY N AH S
+happy HH AE P IY
+harass HH ER AE S
+harassment HH ER AE S M AH N T
+harbor HH AA R B ER
+hard HH AA R D
+hardback HH AA R D B AE K
+harden HH AA R D AH N
+harder HH AA R D ER
+hardest HH AA R D AH S T
+hardly HH AA R D L IY
+hardship HH AA R D SH IH P
+hardware HH AA R D W EH R
+hardwood HH AA R D W UH D
+hardy HH AA R D IY
+hare HH EH R
+harebrained HH EH R B R EY N D
+harem HH EH R AH M
+hark HH AA R K
+harlot HH AA R L AH T
+harm HH AA R M
+harmful HH AA R M F AH L
+harmless HH AA R M L AH S
+harmonic HH AA R M AA N IH K
+harmonica HH AA R M AA N IH K AH
+harmonious HH AA R M OW N IY AH S
+harmony HH AA R M AH N IY
+harness HH AA R N AH S
+harnesses HH AA R N AH S AH Z
+harp HH AA R P
+harpoon HH AA R P UW N
+harpsichord HH AA R P S AH K AO R D
+harrowing HH EH R OW IH NG
+harry HH EH R IY
+harsh HH AA R SH
+harshly HH AA R SH L IY
+hart HH AA R T
+harvest HH AA R V AH S T
+harvester HH AA R V AH S T ER
+has HH AE Z
+hash HH AE SH
+hassle HH AE S AH L
+haste HH EY S T
+hasten HH EY S AH N
+hastily HH EY S T AH L IY
+hasty HH EY S T IY
+hat HH AE T
+hatch HH AE CH
+hatchet HH AE CH AH T
+hate HH EY T
+hated HH EY T AH D
+hateful HH EY T F AH L
+hates HH EY T S
+hating HH EY T IH NG
+hatred HH EY T R AH D
+haughty HH AO T IY
+haul HH AO L
+haunt HH AO N T
+have HH AE V
+haven HH EY V AH N
+havoc HH AE V AH K
+hawk HH AO K
+hay HH EY
+haystack HH EY S T AE K
+haywire HH EY W AY R
+hazard HH AE Z ER D
+hazardous HH AE Z ER D AH S
+haze HH EY Z
+hazel HH EY Z AH L
+hazy HH EY Z IY
+he HH IY
+head HH EH D
+headache HH EH D EY K
+headed HH EH D AH D
+header HH EH D ER
+headfirst HH EH D F ER S T
+headlight HH EH D L AY T
+headline HH EH D L AY N
+headlong HH EH D L AO NG
+headmaster HH EH D M AE S T ER
+headphones HH EH D F OW N Z
+headquarter HH EH D K W AO R T ER
+headstone HH EH D S T OW N
+headstrong HH EH D S T R AO NG
+headway HH EH D W EY
+heady HH EH D IY
+heal HH IY L
+healer HH IY L ER
+health HH EH L TH
+healthcare HH EH L TH K EH R
+healthful HH EH L TH F AH L
+healthier HH EH L TH IY ER
+healthiest HH EH L TH IY IH S T
+healthy HH EH L TH IY
+heap HH IY P
+hear HH IY R
+heard HH ER D
+hearsay HH IY R S EY
+hearse HH ER S
+heart HH AA R T
+heartache HH AA R T EY K
+heartbeat HH AA R T B IY T
+heartbreak HH AA R T B R EY K
+heartbroken HH AA R T B R OW K AH N
+heartburn HH AA R T B ER N
+heartfelt HH AA R T F EH L T
+hearth HH AA R TH
+heartily HH AA R T AH L IY
+heartless HH AA R T L AH S
+hearty HH AA R T IY
+heat HH IY T
+heated HH IY T AH D
+heater HH IY T ER
+heath HH IY TH
+heathen HH IY DH AH N
+heather HH EH DH ER
+heave HH IY V
+heaven HH EH V AH N
+heavenly HH EH V AH N L IY
+heavier HH EH V IY ER
+heaviest HH EH V IY AH S T
+heavily HH EH V AH L IY
+heavy HH EH V IY
+heavyweight HH EH V IY W EY T
+heckle HH EH K AH L
+heckler HH EH K L ER
+heckling HH EH K L IH NG
+hectic HH EH K T IH K
+hedge HH EH JH
+hedgehog HH EH JH HH AA G
+heel HH IY L
+hefty HH EH F T IY
+heifer HH AY F ER
+heifers HH EH F ER Z
+height HH AY T
+heightened HH AY T AH N D
+heinous HH EY N AH S
+heir EH R
+heirloom EH R L UW M
+held HH EH L D
+helicopter HH EH L IH K AA P T ER
+helium HH IY L IY AH M
+hell HH EH L
+hellish HH EH L IH SH
+hello HH AH L OW
+helm HH EH L M
+helmet HH EH L M AH T
+help HH EH L P
+helper HH EH L P ER
+helpful HH EH L P F AH L
+helpless HH EH L P L AH S
+helplessly HH EH L P L AH S L IY
+hem HH EH M
+hemisphere HH EH M IH S F IH R
+hemlock HH EH M L AA K
+hemoglobin HH IY M AH G L OW B AH N
+hemorrhage HH EH M ER IH JH
+hemp HH EH M P
+hen HH EH N
+hence HH EH N S
+henceforth HH EH N S F AO R TH
+henchman HH EH N CH M AH N
+henchmen HH EH N CH M AH N
+hepatitis HH EH P AH T AY T AH S
+her HH ER
+herald HH EH R AH L D
+herb ER B
+herd HH ER D
+here HH IY R
+hereabouts HH IH R AH B AW T S
+hereafter HH IH R AE F T ER
+hereby HH IH R B AY
+hereditary HH ER EH D AH T EH R IY
+heredity HH ER EH D AH T IY
+herein HH IH R IH N
+heresy HH EH R AH S IY
+heretic HH EH R AH T IH K
+herewith HH IH R W IH TH
+heritage HH EH R AH T AH JH
+hermaphrodite HH ER M AE F R AH D AY T
+hermit HH ER M AH T
+hernia HH ER N IY AH
+hero HH IH R OW
+heroic HH IH R OW IH K
+heroin HH EH R OW AH N
+heroine HH EH R OW AH N
+heroism HH EH R OW IH Z AH M
+heron HH EH R AH N
+herpes HH ER P IY Z
+herring HH EH R IH NG
+herself HH ER S EH L F
+hesitant HH EH Z IH T AH N T
+hesitate HH EH Z AH T EY T
+hesitated HH EH Z IH T EY T IH D
+hesitation HH EH Z AH T EY SH AH N
+heterosexual HH EH T ER OW S EH K SH AH W AH L
+heterosexuality HH EH T ER OW S EH K SH AH W AE L IH T IY
+hey HH EY
+hi HH AY
+hiatus HH AY EY T AH S
+hibernate HH AY B ER N EY T
+hibernation HH AY B ER N EY SH AH N
+hiccup HH IH K AH P
+hick HH IH K
+hickory HH IH K ER IY
+hid HH IH D
+hidden HH IH D AH N
+hide HH AY D
+hideaway HH AY D AH W EY
+hideous HH IH D IY AH S
+hideously HH IH D IY AH S L IY
+hides HH AY D Z
+hiding HH AY D IH NG
+hierarchical HH AY R AA R K AH K AH L
+hierarchy HH AY ER AA R K IY
+hieroglyphics HH AY R OW G L IH F IH K S
+high HH AY
+highbrow HH AY B R AW
+higher HH AY ER
+highest HH AY AH S T
+highland HH AY L AH N D
+highlight HH AY L AY T
+highly HH AY L IY
+highway HH AY W EY
+hijack HH AY JH AE K
+hike HH AY K
+hiker HH AY K ER
+hilarious HH IH L EH R IY AH S
+hill HH IH L
+hillbilly HH IH L B IH L IY
+hillside HH IH L S AY D
+hilly HH IH L IY
+hilt HH IH L T
+him HH IH M
+himself HH IH M S EH L F
+hind HH AY N D
+hinder HH IH N D ER
+hindrance HH IH N D R AH N S
+hindsight HH AY N D S AY T
+hinge HH IH N JH
+hinges HH IH N JH IH Z
+hint HH IH N T
+hinted HH IH N T AH D
+hip HH IH P
+hippie HH IH P IY
+hippopotamus HH IH P AH P AA T AH M AH S
+hire HH AY ER
+hiring HH AY R IH NG
+his HH IH Z
+hiss HH IH S
+historian HH IH S T AO R IY AH N
+historic HH IH S T AO R IH K
+historical HH IH S T AO R IH K AH L
+historically HH IH S T AO R IH K AH L IY
+history HH IH S T ER IY
+hit HH IH T
+hitch HH IH CH
+hitchhike HH IH CH HH AY K
+hitchhiker HH IH CH HH AY K ER
+hither HH IH DH ER
+hitherto HH IH DH ER T UW
+hive HH AY V
+ho HH OW
+hoard HH AO R D
+hoarse HH AO R S
+hoax HH OW K S
+hobbit HH AA B IH T
+hobble HH AA B AH L
+hobby HH AA B IY
+hobnob HH AA B N AA B
+hobo HH OW B OW
+hock HH AA K
+hockey HH AA K IY
+hoe HH OW
+hog HH AA G
+hogging HH AO G IH NG
+hoist HH OY S T
+hoisted HH OY S T AH D
+hold HH OW L D
+holder HH OW L D ER
+holdup HH OW L D AH P
+hole HH OW L
+holiday HH AA L AH D EY
+holier HH OW L IY ER
+holiest HH OW L IY IH S T
+holiness HH OW L IY N AH S
+holler HH AA L ER
+hollow HH AA L OW
+holly HH AA L IY
+holocaust HH AA L AH K AO S T
+holster HH OW L S T ER
+holy HH OW L IY
+homage AA M AH JH
+home HH OW M
+homeland HH OW M L AE N D
+homeless HH OW M L AH S
+homely HH OW M L IY
+homemade HH OW M M EY D
+homesick HH OW M S IH K
+homespun HH OW M S P AH N
+homestead HH OW M S T EH D
+homeward HH OW M W ER D
+homework HH OW M W ER K
+homey HH OW M IY
+homicidal HH AA M AH S AY D AH L
+homicide HH AA M AH S AY D
+homophobic HH OW M AH F OW B IH K
+homosexual HH OW M OW S EH K SH AH W AH L
+homosexuality HH OW M OW S EH K SH UW AE L AH T IY
+homosexuals HH OW M OW S EH K SH UW AH L Z
+hone HH OW N
+honest AA N AH S T
+honestly AA N AH S T L IY
+honesty AA N AH S T IY
+honey HH AH N IY
+honeycomb HH AH N IY K OW M
+honeymoon HH AH N IY M UW N
+honk HH AA NG K
+honking HH AO NG K IH NG
+honks HH AO NG K S
+honor AA N ER
+honorable AA N ER AH B AH L
+honorary AA N ER EH R IY
+hood HH UH D
+hoodlum HH UH D L AH M
+hoodlums HH UW D L AH M Z
+hoodwinked HH UH D W IH NG K T
+hoof HH UW F
+hoofs HH UH F S
+hook HH UH K
+hoop HH UW P
+hooray HH UH R EY
+hoot HH UW T
+hooter HH UW T ER
+hooves HH UH V Z
+hop HH AA P
+hope HH OW P
+hoped HH OW P T
+hopeful HH OW P F AH L
+hopefully HH OW P F AH L IY
+hopeless HH OW P L AH S
+hopelessly HH OW P L AH S L IY
+hopes HH OW P S
+hoping HH OW P IH NG
+hopper HH AA P ER
+hopscotch HH AA P S K AA CH
+horde HH AO R D
+horizon HH ER AY Z AH N
+horizontal HH AO R AH Z AA N T AH L
+horizontally HH AO R IH Z AA N T AH L IY
+hormone HH AO R M OW N
+horn HH AO R N
+hornet HH AO R N IH T
+hornets HH AO R N AH T S
+horny HH AO R N IY
+horoscope HH AO R AH S K OW P
+horrendous HH AO R EH N D AH S
+horrendously HH AO R EH N D AH S L IY
+horrible HH AO R AH B AH L
+horribly HH AO R AH B L IY
+horrid HH AO R AH D
+horrific HH AO R IH F IH K
+horrify HH AO R AH F AY
+horror HH AO R ER
+horse HH AO R S
+horseback HH AO R S B AE K
+horseman HH AO R S M AH N
+horseplay HH AO R S P L EY
+horsepower HH AO R S P AW ER
+horseradish HH AO R S R AE D IH SH
+horses HH AO R S AH Z
+horseshoe HH AO R S SH UW
+horticulture HH AO R T IH K AH L CH ER
+hose HH OW Z
+hospitable HH AA S P IH T AH B AH L
+hospital HH AA S P IH T AH L
+hospitality HH AA S P AH T AE L AH T IY
+hospitalized HH AA S P IH T AH L AY Z D
+host HH OW S T
+hostage HH AA S T IH JH
+hostages HH AA S T AH JH AH Z
+hostel HH AA S T AH L
+hostess HH OW S T AH S
+hostesses HH OW S T AH S AH Z
+hostile HH AA S T AH L
+hostility HH AA S T IH L AH T IY
+hot HH AA T
+hotbed HH AA T B EH D
+hotel HH OW T EH L
+hotter HH AA T ER
+hottest HH AA T AH S T
+hound HH AW N D
+hour AW ER
+hourglass AW ER G L AE S
+hourly AW R L IY
+house HH AW S
+houseboat HH AW S B OW T
+housed HH AW Z D
+household HH AW S HH OW L D
+housekeeper HH AW S K IY P ER
+houses HH AW S AH Z
+housewarming HH AW S W AA M IH NG
+housewife HH AW S W AY F
+housewives HH AW S W AY V Z
+housework HH AW S W ER K
+housing HH AW Z IH NG
+hovel HH AH V AH L
+hover HH AH V ER
+how HH AW
+however HH AW EH V ER
+howl HH AW L
+hub HH AH B
+hubbub HH AH B AH B
+huddle HH AH D AH L
+hue HH Y UW
+huff HH AH F
+huffy HH AH F IY
+hug HH AH G
+huge HH Y UW JH
+hugely HH Y UW JH L IY
+huh HH AH
+hulk HH AH L K
+hull HH AH L
+hullabaloo HH AH L AH B AH L UW
+hum HH AH M
+human HH Y UW M AH N
+humane HH Y UW M EY N
+humanely HH Y UW M EY N L IY
+humanitarian HH Y UW M AE N AH T EH R IY AH N
+humanity HH Y UW M AE N IH T IY
+humanly HH Y UW M AH N L IY
+humble HH AH M B AH L
+humbly HH AH M B L IY
+humbug HH AH M B AH G
+humdrum HH AH M D R AH M
+humid HH Y UW M AH D
+humidity HH Y UW M IH D AH T IY
+humiliate HH Y UW M IH L IY EY T
+humiliation HH Y UW M IH L IY EY SH AH N
+humility HH Y UW M IH L IH T IY
+hummingbird HH AH M IH NG B ER D
+humor HH Y UW M ER
+humorous HH Y UW M ER AH S
+hump HH AH M P
+hunch HH AH N CH
+hunchback HH AH N CH B AE K
+hundred HH AH N D R AH D
+hundredth HH AH N D R AH D TH
+hung HH AH NG
+hunger HH AH NG G ER
+hungrier HH AH NG G R IY ER
+hungry HH AH NG G R IY
+hunk HH AH NG K
+hunt HH AH N T
+hunted HH AH N T AH D
+hunter HH AH N T ER
+hurdle HH ER D AH L
+hurl HH ER L
+hurrah HH UH R AA
+hurricane HH ER AH K EY N
+hurriedly HH ER IY D L IY
+hurry HH ER IY
+hurt HH ER T
+hurtful HH ER T F AH L
+hurtling HH ER T L IH NG
+husband HH AH Z B AH N D
+hush HH AH SH
+husk HH AH S K
+husky HH AH S K IY
+hustle HH AH S AH L
+hustler HH AH S AH L ER
+hut HH AH T
+hutch HH AH CH
+hyacinth HH AY AH S IH N TH
+hybrid HH AY B R AH D
+hydrant HH AY D R AH N T
+hydraulic HH AY D R AO L IH K
+hydrogen HH AY D R AH JH AH N
+hyena HH AY IY N AH
+hygiene HH AY JH IY N
+hymn HH IH M
+hyperbole HH AY P ER B AH L IY
+hypertension HH AY P ER T EH N SH AH N
+hyphen HH AY F AH N
+hypnosis HH IH P N OW S AH S
+hypnotic HH IH P N AA T IH K
+hypnotism HH IH P N AH T IH Z AH M
+hypnotist HH IH P N AH T IH S T
+hypnotize HH IH P N AH T AY Z
+hypochondriac HH AY P AH K AA N D R IY AE K
+hypocrisy HH IH P AA K R AH S IY
+hypocrite HH IH P AH K R IH T
+hypocritical HH IH P AH K R IH T IH K AH L
+hypothesis HH AY P AA TH AH S AH S
+hypothetical HH AY P AH TH EH T AH K AH L
+hysteria HH IH S T EH R IY AH
+hysterical HH IH S T EH R IH K AH L
+hysterically HH IH S T EH R IH K L IY
+hysterics HH IH S T EH R IH K S
+i AY
+ice AY S
+iceberg AY S B ER G
+icebreaker AY S B R EY K ER
+icicle AY S IH K AH L
+icon AY K AA N
+icy AY S IY
+id IH D
+idea AY D IY AH
+ideal AY D IY L
+idealist AY D IY L IH S T
+idealistic AY D IY AH L IH S T IH K
+ideally AY D IY L IY
+identical AY D EH N T IH K AH L
+identifiable AY D EH N T AH F AY AH B AH L
+identification AY D EH N T AH F AH K EY SH AH N
+identifier AY D EH N T AH F AY ER
+identifiers AY D EH N AH F AY ER Z
+identify AY D EH N T AH F AY
+identity AY D EH N T IH T IY
+ideological AY D IY AH L AA JH IH K AH L
+ideology AY D IY AA L AH JH IY
+idiocy IH D IY AH S IY
+idiom IH D IY AH M
+idiosyncrasy IH D IY OW S IH N K R AH S IY
+idiosyncratic IH D IY OW S IH N K R AE T IH K
+idiot IH D IY AH T
+idiotic IH D IY AA T IH K
+idle AY D AH L
+idly AY D L IY
+idol AY D AH L
+idolized AY D AH L AY Z D
+idyllic AY D IH L IH K
+if IH F
+igloo IH G L UW
+ignite IH G N AY T
+ignition IH G N IH SH AH N
+ignorance IH G N ER AH N S
+ignorant IH G N ER AH N T
+ignore IH G N AO R
+iguana AY G W AA N AH
+iguanas IH G W AA N AH Z
+ilk IH L K
+ill IH L
+illegal IH L IY G AH L
+illegally IH L IY G AH L IY
+illegitimate IH L IH JH IH T AH M IH T
+illicit IH L IH S AH T
+illiterate IH L IH T ER AH T
+illness IH L N AH S
+illogical IH L AA JH IH K AH L
+illuminate IH L UW M IH N IH T
+illuminated IH L UW M AH N EY T AH D
+illuminating IH L UW M AH N EY T IH NG
+illumination IH L UW M AH N EY SH AH N
+illusion IH L UW ZH AH N
+illustrate IH L AH S T R EY T
+illustrated IH L AH S T R EY T AH D
+illustration IH L AH S T R EY SH AH N
+illustrator IH L AH S T R EY T ER
+illustrious IH L AH S T R IY AH S
+image IH M AH JH
+imagery IH M AH JH R IY
+images IH M AH JH AH Z
+imaginable IH M AE JH AH N AH B AH L
+imaginary IH M AE JH AH N EH R IY
+imagination IH M AE JH AH N EY SH AH N
+imaginative IH M AE JH AH N AH T IH V
+imagine IH M AE JH AH N
+imaging IH M IH JH IH NG
+imbalance IH M B AE L AH N S
+imbecile IH M B AH S AH L
+imitate IH M AH T EY T
+imitation IH M AH T EY SH AH N
+imitations IH M IH T EY SH AH N Z
+imitators IH M IH T EY T ER Z
+immaculate IH M AE K Y UW L IH T
+immaterial IH M AH T IH R IY AH L
+immature IH M AH T Y UH R
+immaturity IH M AH CH UH R IH T IY
+immeasurable IH M EH ZH ER AE B AH L
+immediate IH M IY D IY AH T
+immediately IH M IY D IY AH T L IY
+immense IH M EH N S
+immensely IH M EH N S L IY
+immerse IH M ER S
+immigrant IH M AH G R AH N T
+immigrated IH M AH G R EY T IH D
+immigration IH M AH G R EY SH AH N
+imminent IH M AH N AH N T
+immobile IH M OW B AH L
+immobilized IH M OW B AH L AY Z D
+immoral IH M AO R AH L
+immorality IH M ER AE L IH T IY
+immortal IH M AO R T AH L
+immortality IH M AO R T AE L IH T IY
+immune IH M Y UW N
+immunity IH M Y UW N AH T IY
+immunization IH M Y UW N AH Z EY SH AH N
+imp IH M P
+impact IH M P AE K T
+impair IH M P EH R
+impairment IH M P EH R M AH N T
+impale IH M P EY L
+impart IH M P AA R T
+impartial IH M P AA R SH AH L
+impassable IH M P AE S AH B AH L
+impasse IH M P AE S
+impassioned IH M P AE SH AH N D
+impatience IH M P EY SH AH N S
+impatient IH M P EY SH AH N T
+impatiently IH M P EY SH AH N T L IY
+impeach IH M P IY CH
+impeccable IH M P EH K AH B AH L
+impede IH M P IY D
+impediment IH M P EH D AH M AH N T
+impeding IH M P IY D IH NG
+impend IH M P EH N D
+impenetrable IH M P EH N AH T R AH B AH L
+imperative IH M P EH R AH T IH V
+imperfect IH M P ER F IH K T
+imperfection IH M P ER F EH K SH AH N
+imperial IH M P IH R IY AH L
+imperialism IH M P IH R IY AH L IH Z AH M
+imperialist IH M P IH R IY AH L IH S T
+impersonal IH M P ER S AH N AH L
+impersonate IH M P ER S AH N EY T
+impersonation IH M P ER S AH N EY SH AH N
+impertinent IH M P ER T AH N AH N T
+impervious IH M P ER V IY AH S
+impetuous IH M P EH CH W AH S
+implant IH M P L AE N T
+implausible IH M P L AO Z AH B AH L
+implement IH M P L AH M AH N T
+implementation IH M P L AH M EH N T EY SH AH N
+implemented IH M P L AH M EH N T AH D
+implementing IH M P L AH M EH N T IH NG
+implicate IH M P L IH K EY T
+implication IH M P L AH K EY SH AH N
+implicit IH M P L IH S AH T
+implicitly IH M P L IH S AH T L IY
+implore IH M P L AO R
+imply IH M P L AY
+impolite IH M P AH L AY T
+import IH M P AO R T
+importance IH M P AO R T AH N S
+important IH M P AO R T AH N T
+importantly IH M P AO R T AH N T L IY
+impose IH M P OW Z
+imposes IH M P OW Z AH Z
+imposition IH M P AH Z IH SH AH N
+impossibility IH M P AO S IH B IH L IH T IY
+impossible IH M P AA S AH B AH L
+impossibly IH M P AA S AH B L IY
+impostor IH M P AO S T ER
+impotence IH M P AH T AH N S
+impotent IH M P AH T AH N T
+impound IH M P AW N D
+impoverished IH M P AA V R IH SH T
+impractical IH M P R AE K T AH K AH L
+impregnable IH M P R EH G N AH B AH L
+impregnate IH M P R EH G N EY T
+impregnated IH M P R EH G N EY T AH D
+impress IH M P R EH S
+impression IH M P R EH SH AH N
+impressionable IH M P R EH SH AH N AH B AH L
+impressive IH M P R EH S IH V
+imprint IH M P R IH N T
+imprison IH M P R IH Z AH N
+imprisonment IH M P R IH Z AH N M AH N T
+improbable IH M P R AA B AH B AH L
+impromptu IH M P R AA M P T UW
+improper IH M P R AA P ER
+improperly IH M P R AA P ER L IY
+impropriety IH M P R AH P R AY AH T IY
+improve IH M P R UW V
+improvement IH M P R UW V M AH N T
+improvisation IH M P R AA V IH Z EY SH AH N
+improvise IH M P R AH V AY Z
+impulse IH M P AH L S
+impulsive IH M P AH L S IH V
+impulsively IH M P AH L S IH V L IY
+impunity IH M P Y UW N IH T IY
+impure IH M P Y UH R
+impurities IH M P Y UH R AH T IY Z
+in IH N
+inability IH N AH B IH L IH T IY
+inaccessible IH N AH K S EH S AH B AH L
+inaccuracies IH N AE K Y ER AE S IY Z
+inaccuracy IH N AE K Y ER AH S IY
+inaccurate IH N AE K Y ER AH T
+inactive IH N AE K T IH V
+inadequacies IH N AE D AH K W AH S IY Z
+inadequacy IH N AE D IH K W AH S IY
+inadequate IH N AE D AH K W AH T
+inadmissible IH N AH D M IH S AH B AH L
+inadvertent IH N AH D V ER T AH N T
+inadvertently IH N AH D V ER T AH N T L IY
+inalienable IH N EY L Y AH N AH B AH L
+inane IH N EY N
+inanimate IH N AE N AH M AH T
+inappropriate IH N AH P R OW P R IY IH T
+inarticulate IH N AA R T IH K Y AH L AH T
+inasmuch IH N AE S M AH K
+inaudible IH N AO D AH B AH L
+inaugural IH N AO G ER AH L
+inauguration IH N AO G Y ER EY SH AH N
+inbred IH N B R EH D
+inbreeding IH N B R IY D IH NG
+incalculable IH N K AE L K Y AH L AH B AH L
+incandescent IH N K AH N D EH S AH N T
+incantation IH N K AE N T EY SH AH N
+incapable IH N K EY P AH B AH L
+incapacitate IH N K AH P AE S IH T EY T
+incapacity IH N K AH P AE S AH T IY
+incarcerate IH N K AA R S ER EY T
+incarceration IH N K AA R S ER EY SH AH N
+incarnate IH N K AA R N AH T
+incarnation IH N K AA R N EY SH AH N
+incendiary IH N S EH N D IY EH R IY
+incense IH N S EH N S
+incentive IH N S EH N T IH V
+inception IH N S EH P SH AH N
+incessant IH N S EH S AH N T
+incessantly IH N S EH S AH N T L IY
+incest IH N S EH S T
+incestuous IH N S EH S CH W AH S
+inch IH N CH
+inches IH N CH AH Z
+incidence IH N S AH D AH N S
+incident IH N S AH D AH N T
+incidental IH N S IH D EH N T AH L
+incidentally IH N S IH D EH N T AH L IY
+incinerate IH N S IH N ER EY T
+incinerator IH N S IH N ER EY T ER
+incision IH N S IH ZH AH N
+incite IH N S AY T
+incitement IH N S AY T M AH N T
+inclination IH N K L AH N EY SH AH N
+incline IH N K L AY N
+include IH N K L UW D
+included IH N K L UW D AH D
+inclusion IH N K L UW ZH AH N
+inclusive IH N K L UW S IH V
+incognito IH N K AO G N IY T OW
+incoherent IH N K OW HH IH R AH N T
+income IH N K AH M
+incomparable IH N K AA M P ER AH B AH L
+incompatible IH N K AH M P AE T AH B AH L
+incompetence IH N K AA M P AH T AH N S
+incompetent IH N K AA M P AH T AH N T
+incompetents IH NG K AA M P AH T AH N T S
+incomplete IH N K AH M P L IY T
+incomprehensible IH NG K AA M P R AH HH EH N S IH B AH L
+inconceivable IH N K AH N S IY V AH B AH L
+inconclusive IH N K AH N K L UW S IH V
+inconsequential IH NG K AA N S AH K W EH N CH AH L
+inconsistencies IH NG K AA N S IH S T EH N S IY Z
+inconsistency IH N K AH N S IH S T AH N S IY
+inconsistent IH N K AH N S IH S T AH N T
+inconspicuous IH NG K AA N S P IH K W AH S
+inconvenience IH N K AH N V IY N Y AH N S
+inconvenient IH N K AH N V IY N Y AH N T
+incorporate IH N K AO R P ER EY T
+incorporation IH N K AO R P ER EY SH AH N
+incorrect IH N K ER EH K T
+incorrectly IH N K ER EH K T L IY
+incorrigible IH N K AA R AH JH AH B AH L
+increase IH N K R IY S
+increases IH N K R IY S AH Z
+increasingly IH N K R IY S IH NG L IY
+incredible IH N K R EH D AH B AH L
+incredibly IH N K R EH D AH B L IY
+increment IH N K R AH M AH N T
+increments IH NG K R AH M AH N T S
+incriminate IH N K R IH M AH N EY T
+incubation IH NG K Y UW B EY SH AH N
+incubator IH NG K Y AH B EY T ER
+incumbent IH N K AH M B AH N T
+incur IH N K ER
+incurable IH N K Y UH R AH B AH L
+indebted IH N D EH T IH D
+indecency IH N D IY S AH N S IY
+indecent IH N D IY S AH N T
+indecision IH N D IH S IH ZH AH N
+indecisive IH N D IH S AY S IH V
+indeed IH N D IY D
+indefensible IH N D IH F EH N S AH B AH L
+indefinite IH N D EH F AH N AH T
+indefinitely IH N D EH F AH N AH T L IY
+indelible IH N D EH L IH B AH L
+indelicate IH N D EH L IH K AH T
+indent IH N D EH N T
+independence IH N D IH P EH N D AH N S
+independent IH N D IH P EH N D AH N T
+independently IH N D IH P EH N D AH N T L IY
+indescribable IH N D IH S K R AY B AH B AH L
+indestructible IH N D AH S T R AH K T IH B AH L
+indeterminate IH N D IH T ER M IH N IH T
+index IH N D EH K S
+indicate IH N D AH K EY T
+indicated IH N D AH K EY T AH D
+indicates IH N D IH K EY T S
+indication IH N D AH K EY SH AH N
+indicative IH N D IH K AH T IH V
+indicator IH N D AH K EY T ER
+indict IH N D AY T
+indictment IH N D AY T M AH N T
+indifference IH N D IH F ER AH N S
+indifferent IH N D IH F R AH N T
+indigenous IH N D IH JH AH N AH S
+indigestion IH N D AY JH EH S CH AH N
+indignant IH N D IH G N AH N T
+indignation IH N D IH G N EY SH AH N
+indignity IH N D IH G N AH T IY
+indigo IH N D AH G OW
+indirect IH N D ER EH K T
+indirectly IH N D ER EH K T L IY
+indiscreet IH N D IH S K R IY T
+indiscretion IH N D IH S K R EH SH AH N
+indiscriminately IH N D IH S K R IH M AH N AH T L IY
+indispensable IH N D IH S P EH N S AH B AH L
+indisputable IH N D IH S P Y UW T AH B AH L
+indistinct IH N D IH S T IH NG K T
+indistinguishable IH N D IH S T IH NG G W IH SH AH B AH L
+individual IH N D AH V IH JH AH W AH L
+individualism IH N D IH V IH D UW AH L IH Z AH M
+individuality IH N D IH V IH JH UW AE L IH T IY
+individually IH N D IH V IH JH UW AH L IY
+indivisible IH N D IH V IH S IH B AH L
+indoctrination IH N D AA K T R AH N EY SH AH N
+indomitable IH N D AA M AH T AH B AH L
+indoor IH N D AO R
+induce IH N D UW S
+inducement IH N D UW S M AH N T
+inducted IH N D AH K T IH D
+induction IH N D AH K SH AH N
+indulge IH N D AH L JH
+indulgence IH N D AH L JH AH N S
+indulgent IH N D AH L JH AH N T
+industrial IH N D AH S T R IY AH L
+industrialist IH N D AH S T R IY AH L IH S T
+industrious IH N D AH S T R IY AH S
+industry IH N D AH S T R IY
+inedible IH N EH D AH B AH L
+ineffective IH N IH F EH K T IH V
+ineffectual IH N AH F EH K CH UW AH L
+inefficiency IH N IH F IH SH AH N S IY
+inefficient IH N IH F IH SH AH N T
+ineligible IH N EH L IH JH AH B AH L
+inept IH N EH P T
+inequality IH N IH K W AA L AH T IY
+inert IH N ER T
+inertia IH N ER SH AH
+inertial IH N ER SH AH L
+inescapable IH N IH S K EY P AH B AH L
+inevitable IH N EH V AH T AH B AH L
+inevitably IH N EH V AH T AH B L IY
+inexcusable IH N IH K S K Y UW Z AH B AH L
+inexhaustible IH N IH G Z AO S T AH B AH L
+inexpensive IH N IH K S P EH N S IH V
+inexperience IH N IH K S P IH R IY AH N S
+inexplicable IH N AH K S P L IH S AH B AH L
+inexplicably IH N IH K S P L IH K AH B L IY
+infallible IH N F AE L AH B AH L
+infamous IH N F AH M AH S
+infamy IH N F AH M IY
+infancy IH N F AH N S IY
+infant IH N F AH N T
+infantile IH N F AH N T IH L
+infantry IH N F AH N T R IY
+infatuation IH N F AE CH UW EY SH AH N
+infect IH N F EH K T
+infection IH N F EH K SH AH N
+infectious IH N F EH K SH AH S
+infer IH N F ER
+inference IH N F ER AH N S
+inferior IH N F IH R IY ER
+inferiority IH N F IH R IY AO R IH T IY
+inferno IH N F ER N OW
+infertile IH N F ER T AH L
+infest IH N F EH S T
+infestation IH N F EH S T EY SH AH N
+infidel IH N F IH D EH L
+infidelity IH N F IH D EH L IH T IY
+infield IH N F IY L D
+infiltrate IH N F IH L T R EY T
+infiltration IH N F IH L T R EY SH AH N
+infinite IH N F AH N AH T
+infinitely IH N F AH N AH T L IY
+infinitesimal IH N F IH N IH T EH S IH M AH L
+infinity IH N F IH N IH T IY
+infirm IH N F ER M
+infirmary IH N F ER M ER IY
+infirmity IH N F ER M IH T IY
+inflame IH N F L EY M
+inflammable IH N F L AE M AH B AH L
+inflammation IH N F L AH M EY SH AH N
+inflammatory IH N F L AE M AH T AO R IY
+inflatable IH N F L EY T AH B AH L
+inflate IH N F L EY T
+inflation IH N F L EY SH AH N
+inflexible IH N F L EH K S AH B AH L
+inflict IH N F L IH K T
+influence IH N F L UW AH N S
+influential IH N F L UW EH N SH AH L
+influenza IH N F L UW EH N Z AH
+influx IH N F L AH K S
+info IH N F OW
+inform IH N F AO R M
+informal IH N F AO R M AH L
+informally IH N F AO R M AH L IY
+informant IH N F AO R M AH N T
+information IH N F ER M EY SH AH N
+informational IH N F ER M EY SH AH N AH L
+informative IH N F AO R M AH T IH V
+informer IH N F AO R M ER
+infraction IH N F R AE K SH AH N
+infrared IH N F R ER EH D
+infrastructure IH N F R AH S T R AH K CH ER
+infrequent IH N F R IY K W AH N T
+infringement IH N F R IH N JH M AH N T
+infuriating IH N F Y UH R IY EY T IH NG
+infused IH N F Y UW Z D
+infusion IH N F Y UW ZH AH N
+ingenious IH N JH IY N Y AH S
+ingenuity IH N JH AH N UW AH T IY
+ingest IH N JH EH S T
+ingested IH N JH EH S T AH D
+ingrained IH N G R EY N D
+ingratiate IH NG G R EY SH IY EY T
+ingredient IH N G R IY D IY AH N T
+inhabit IH N HH AE B AH T
+inhabitant IH N HH AE B AH T AH N T
+inhabited IH N HH AE B AH T AH D
+inhale IH N HH EY L
+inhaler IH N HH EY L ER
+inherent IH N HH IH R AH N T
+inherently IH N HH IH R AH N T L IY
+inherit IH N HH EH R AH T
+inheritance IH N HH EH R AH T AH N S
+inhibit IH N HH IH B AH T
+inhibition IH N HH AH B IH SH AH N
+inhospitable IH N HH AA S P AH T AH B AH L
+inhuman IH N HH Y UW M AH N
+inhumane IH N HH Y UW M EY N
+inhumanity IH N HH Y UW M AE N AH T IY
+initial IH N IH SH AH L
+initialize IH N IH SH AH L AY Z
+initially IH N IH SH AH L IY
+initiate IH N IH SH IY EY T
+initiated IH N IH SH IY EY T AH D
+initiates IH N IH SH IY AH T S
+initiation IH N IH SH IY EY SH AH N
+initiative IH N IH SH AH T IH V
+inject IH N JH EH K T
+injected IH N JH EH K T AH D
+injection IH N JH EH K SH AH N
+injunction IH N JH AH NG K SH AH N
+injure IH N JH ER
+injury IH N JH ER IY
+injustice IH N JH AH S T IH S
+injustices IH N JH AH S T AH S IH Z
+ink IH NG K
+inkling IH NG K L IH NG
+inky IH NG K IY
+inland IH N L AE N D
+inlay IH N L EY
+inlet IH N L EH T
+inmate IH N M EY T
+inn IH N
+innards IH N ER D Z
+innate IH N EY T
+inner IH N ER
+innermost IH N ER M OW S T
+innkeeper IH N K IY P ER
+innocence IH N AH S AH N S
+innocent IH N AH S AH N T
+innocently IH N AH S AH N T L IY
+innocuous IH N AA K Y UW AH S
+innovation IH N AH V EY SH AH N
+innovative IH N AH V EY T IH V
+innuendo IH N Y UW EH N D OW
+innumerable IH N UW M ER AH B AH L
+inoculate IH N AA K Y AH L EY T
+inoculation IH N AA K Y AH L EY SH AH N
+inoffensive IH N AH F EH N S IH V
+inoperative IH N AA P ER AH T IH V
+inopportune IH N AA P ER T UW N
+inordinate IH N AO R D AH N IH T
+input IH N P UH T
+inquest IH N K W EH S T
+inquire IH N K W AY R
+inquired IH N K W AY ER D
+inquires IH N K W AY ER Z
+inquiries IH N K W AY ER IY Z
+inquiring IH N K W AY ER IH NG
+inquiry IH N K W AY R IY
+inquisition IH N K W AH Z IH SH AH N
+inquisitive IH N K W IH Z IH T IH V
+insane IH N S EY N
+insanity IH N S AE N AH T IY
+insatiable IH N S EY SH AH B AH L
+inscribed IH N S K R AY B D
+inscription IH N S K R IH P SH AH N
+inscrutable IH N S K R UW T AH B AH L
+insect IH N S EH K T
+insecticide IH N S EH K T AH S AY D
+insecure IH N S AH K Y ER
+insecurities IH N S AH K Y UH R IH T IY Z
+insecurity IH N S IH K Y UH R IH T IY
+insensitive IH N S EH N S AH T IH V
+insensitivity IH N S EH N S AH T IH V AH T IY
+inseparable IH N S EH P ER AH B AH L
+insert IH N S ER T
+inserted IH N S ER T AH D
+insertion IH N S ER SH AH N
+inside IH N S AY D
+insider IH N S AY D ER
+insidious IH N S IH D IY AH S
+insight IH N S AY T
+insignia IH N S IH G N IY AH
+insignificant IH N S IH G N Y IH F IH K AH N T
+insincere IH N S IH N S IH R
+insinuate IH N S IH N Y UW EY T
+insinuation IH N S IH N Y UW EY SH AH N
+insipid IH N S IH P AH D
+insist IH N S IH S T
+insisted IH N S IH S T AH D
+insistence IH N S IH S T AH N S
+insistent IH N S IH S T AH N T
+insofar IH N S AH F AA R
+insolence IH N S AH L AH N S
+insolent IH N S AH L AH N T
+insomnia IH N S AA M N IY AH
+inspect IH N S P EH K T
+inspection IH N S P EH K SH AH N
+inspector IH N S P EH K T ER
+inspiration IH N S P ER EY SH AH N
+inspire IH N S P AY R
+inspired IH N S P AY ER D
+instability IH N S T AH B IH L IH T IY
+install IH N S T AO L
+installation IH N S T AH L EY SH AH N
+installment IH N S T AO L M AH N T
+instance IH N S T AH N S
+instances IH N S T AH N S AH Z
+instant IH N S T AH N T
+instantaneous IH N S T AH N T AE N IY AH S
+instantaneously IH N S T AH N T AE N IY AH S L IY
+instantly IH N S T AH N T L IY
+instead IH N S T EH D
+instigate IH N S T AH G EY T
+instill IH N S T IH L
+instinct IH N S T IH NG K T
+instinctive IH N S T IH NG K T IH V
+institute IH N S T AH T UW T
+institution IH N S T IH T UW SH AH N
+institutional IH N S T IH T UW SH AH N AH L
+institutionalized IH N S T IH T UW SH AH N AH L AY Z D
+instruct IH N S T R AH K T
+instructed IH N S T R AH K T AH D
+instruction IH N S T R AH K SH AH N
+instructive IH N S T R AH K T IH V
+instructor IH N S T R AH K T ER
+instrument IH N S T R AH M AH N T
+instrumental IH N S T R AH M EH N T AH L
+insubordinate IH N S AH B AO R D AH N EY T
+insubordination IH N S AH B AO R D AH N EY SH AH N
+insubstantial IH N S AH B S T AE N SH AH L
+insufferable IH N S AH F ER AH B AH L
+insufficient IH N S AH F IH SH AH N T
+insulate IH N S AH L EY T
+insulated IH N S AH L EY T AH D
+insulation IH N S AH L EY SH AH N
+insulin IH N S AH L AH N
+insult IH N S AH L T
+insurance IH N SH UH R AH N S
+insure IH N SH UH R
+insurgent IH N S ER JH AH N T
+insurmountable IH N S ER M AW N T AH B AH L
+insurrection IH N S ER EH K SH AH N
+intact IH N T AE K T
+intake IH N T EY K
+intangible IH N T AE N JH AH B AH L
+integer IH N T AH JH ER
+integral IH N T AH G R AH L
+integrate IH N T AH G R EY T
+integrated IH N T AH G R EY T AH D
+integration IH N T AH G R EY SH AH N
+integrity IH N T EH G R AH T IY
+intellect IH N T AH L EH K T
+intellectual IH N T AH L EH K CH UW AH L
+intellectually IH N T AH L EH K CH UW AH L IY
+intelligence IH N T EH L AH JH AH N S
+intelligent IH N T EH L AH JH AH N T
+intelligently IH N T EH L IH JH AH N T L IY
+intend IH N T EH N D
+intense IH N T EH N S
+intensely IH N T EH N S L IY
+intensify IH N T EH N S AH F AY
+intensity IH N T EH N S AH T IY
+intensive IH N T EH N S IH V
+intent IH N T EH N T
+intention IH N T EH N CH AH N
+intentional IH N T EH N SH AH N AH L
+intentionally IH N T EH N SH AH N AH L IY
+inter IH N T ER
+interact IH N T ER AE K T
+interacted IH N T ER AE K T AH D
+interaction IH N T ER AE K SH AH N
+interactive IH N T ER AE K T IH V
+intercede IH N T ER S IY D
+intercept IH N T ER S EH P T
+intercepted IH N T ER S EH P T AH D
+interception IH N T ER S EH P SH AH N
+interchange IH N T ER CH EY N JH
+interchangeable IH N T ER CH EY N JH AH B AH L
+intercom IH N T ER K AA M
+intercourse IH N T ER K AO R S
+interest IH N T R AH S T
+interestingly IH N T ER EH S T IH NG L IY
+interface IH N T ER F EY S
+interfere IH N T ER F IH R
+interference IH N T ER F IH R AH N S
+interim IH N T ER AH M
+interior IH N T IH R IY ER
+interject IH N T ER JH EH K T
+interlock IH N T ER L AA K
+interloper IH N T ER L OW P ER
+interlude IH N T ER L UW D
+intermediary IH N ER M IY D IY EH R IY
+intermediate IH N T ER M IY D IY IH T
+interminable IH N T ER M AH N AH B AH L
+intermission IH N T ER M IH SH AH N
+intermittent IH N T ER M IH T AH N T
+intermittently IH N T ER M IH T AH N T L IY
+intern IH N T ER N
+internal IH N T ER N AH L
+internally IH N T ER N AH L IY
+international IH N T ER N AE SH AH N AH L
+internationally IH N T ER N AE SH AH N AH L IY
+internet IH N T ER N EH T
+interplanetary IH N T ER P L AE N AH T EH R IY
+interpret IH N T ER P R AH T
+interpretation IH N T ER P R IH T EY SH AH N
+interpreted IH N T ER P R AH T AH D
+interpreter IH N T ER P R AH T ER
+interpreting IH N T ER P R EH T IH NG
+interracial IH N T ER R EY SH AH L
+interrogate IH N T EH R AH G EY T
+interrogation IH N T EH R AH G EY SH AH N
+interrogator IH N T EH R AH G EY T ER
+interrupt IH N T ER AH P T
+interruption IH N T ER AH P SH AH N
+intersect IH N T ER S EH K T
+intersection IH N T ER S EH K SH AH N
+interstate IH N T ER S T EY T
+interstellar IH N T ER S T EH L ER
+intertwined IH N T ER T W AY N D
+interval IH N T ER V AH L
+intervene IH N T ER V IY N
+intervention IH N T ER V EH N SH AH N
+interview IH N T ER V Y UW
+interviewer IH N T ER V Y UW ER
+intestinal IH N T EH S T AH N AH L
+intestine IH N T EH S T AH N
+intimacy IH N T AH M AH S IY
+intimate IH N T AH M AH T
+intimated IH N T AH M EY T IH D
+intimately IH N T AH M AH T L IY
+intimidate IH N T IH M IH D EY T
+intimidation IH N T IH M IH D EY SH AH N
+into IH N T UW
+intolerable IH N T AA L ER AH B AH L
+intolerance IH N T AA L ER AH N S
+intolerant IH N T AA L ER AH N T
+intonation IH N T AH N EY SH AH N
+intoxicated IH N T AA K S AH K EY T IH D
+intoxicating IH N T AA K S IH K EY T IH NG
+intoxication IH N T AA K S AH K EY SH AH N
+intravenous IH N T R AH V IY N AH S
+intrepid IH N T R EH P AH D
+intricacies IH N T R AH K AH S IY Z
+intricate IH N T R AH K AH T
+intrigue IH N T R IY G
+intrinsic IH N T R IH N S IH K
+intrinsically IH N T R IH N S IH K AH L IY
+introduce IH N T R AH D UW S
+introduction IH N T R AH D AH K SH AH N
+introductory IH N T R AH D AH K T ER IY
+introspective IH N T R AH S P EH K T IH V
+intrude IH N T R UW D
+intruded IH N T R UW D AH D
+intruder IH N T R UW D ER
+intrusion IH N T R UW ZH AH N
+intrusive IH N T R UW S IH V
+intuition IH N T UW IH SH AH N
+intuitive IH N T UW AH T IH V
+inundated IH N AH N D EY T IH D
+invade IH N V EY D
+invaded IH N V EY D AH D
+invader IH N V EY D ER
+invalid IH N V AH L AH D
+invalidate IH N V AE L IH D EY T
+invaluable IH N V AE L Y AH B AH L
+invariably IH N V EH R IY AH B L IY
+invasion IH N V EY ZH AH N
+invent IH N V EH N T
+invented IH N V EH N T AH D
+invention IH N V EH N SH AH N
+inventive IH N V EH N T IH V
+inventor IH N V EH N T ER
+inventory IH N V AH N T AO R IY
+inverse IH N V ER S
+inversion IH N V ER ZH AH N
+invert IH N V ER T
+invest IH N V EH S T
+invested IH N V EH S T AH D
+investigate IH N V EH S T AH G EY T
+investigated IH N V EH S T AH G EY T AH D
+investigation IH N V EH S T AH G EY SH AH N
+investigator IH N V EH S T AH G EY T ER
+investment IH N V EH S T M AH N T
+investor IH N V EH S T ER
+invigorating IH N V IH G ER EY T IH NG
+invincible IH N V IH N S AH B AH L
+invisibility IH N V IH Z AH B IH L AH T IY
+invisible IH N V IH Z AH B AH L
+invitation IH N V IH T EY SH AH N
+invite IH N V AY T
+invited IH N V AY T AH D
+invoice IH N V OY S
+invoke IH N V OW K
+involuntarily IH N V OW L AH N T ER IH L IY
+involuntary IH N V AA L AH N T EH R IY
+involve IH N V AA L V
+involvement IH N V AA L V M AH N T
+invulnerable IH N V AH L N ER AH B AH L
+inward IH N W ER D
+iodine AY AH D AY N
+ion AY AH N
+iota AY OW T AH
+irate AY R EY T
+ire AY R
+iris AY R AH S
+iron AY ER N
+ironic AY R AA N IH K
+ironically AY R AA N IH K L IY
+irony AY R AH N IY
+irrational IH R AE SH AH N AH L
+irrefutable IH R AH F Y UW T AH B AH L
+irregular IH R EH G Y AH L ER
+irregularity IH R EH G Y AH L EH R AH T IY
+irrelevant IH R EH L AH V AH N T
+irreparable IH R EH P ER AH B AH L
+irreplaceable IH R AH P L EY S AH B AH L
+irrepressible IH R AH P R EH S AH B AH L
+irresistible IH R IH Z IH S T AH B AH L
+irrespective IH R AH S P EH K T IH V
+irresponsible IH R AH S P AA N S AH B AH L
+irreversible IH R IH V ER S AH B AH L
+irrevocable IH R EH V AH K AH B AH L
+irrevocably IH R EH V AH K AH B L IY
+irrigate IH R AH G EY T
+irrigation IH R AH G EY SH AH N
+irritability IH R IH T AH B IH L AH T IY
+irritable IH R AH T AH B AH L
+irritate IH R IH T EY T
+irritated IH R AH T EY T AH D
+irritating IH R AH T EY T IH NG
+irritation IH R IH T EY SH AH N
+is IH Z
+island AY L AH N D
+islanders AY L AH N D ER Z
+isle AY L
+isolate AY S AH L EY T
+isolated AY S AH L EY T AH D
+isolation AY S AH L EY SH AH N
+issue IH SH UW
+it IH T
+itch IH CH
+itches IH CH AH Z
+itchy IH CH IY
+item AY T AH M
+itemized AY T AH M AY Z D
+itinerary AY T IH N ER EH R IY
+itself IH T S EH L F
+ivory AY V ER IY
+ivy AY V IY
+jab JH AE B
+jack JH AE K
+jackal JH AE K AH L
+jackass JH AE K AE S
+jacket JH AE K AH T
+jackets JH AE K IH T S
+jackpot JH AE K P AA T
+jade JH EY D
+jaded JH EY D AH D
+jagged JH AE G D
+jaguar JH AE G W AA R
+jail JH EY L
+jailer JH EY L ER
+jalopy JH AH L AA P IY
+jam JH AE M
+jangle JH AE NG G AH L
+janitor JH AE N AH T ER
+jar JH AA R
+jargon JH AA R G AH N
+jaundice JH AO N D AH S
+jaundiced JH AO N D IH S T
+jaunt JH AO N T
+javelin JH AE V AH L AH N
+jaw JH AO
+jawbone JH AO B OW N
+jay JH EY
+jaywalking JH EY W AO K IH NG
+jazz JH AE Z
+jealous JH EH L AH S
+jealously JH EH L AH S L IY
+jealousy JH EH L AH S IY
+jeans JH IY N Z
+jeering JH IY R IH NG
+jelly JH EH L IY
+jellyfish JH EH L IY F IH SH
+jeopardize JH EH P ER D AY Z
+jeopardy JH EH P ER D IY
+jerk JH ER K
+jerky JH ER K IY
+jersey JH ER Z IY
+jest JH EH S T
+jester JH EH S T ER
+jet JH EH T
+jettison JH EH T IH S AH N
+jetty JH EH T IY
+jewel JH UW AH L
+jeweler JH UW AH L ER
+jewelry JH UW AH L R IY
+jibe JH AY B
+jiffy JH IH F IY
+jig JH IH G
+jiggle JH IH G AH L
+jigsaw JH IH G S AO
+jilted JH IH L T IH D
+jingle JH IH NG G AH L
+jinx JH IH NG K S
+jitters JH IH T ER Z
+jittery JH IH T ER IY
+job JH AA B
+jockey JH AA K IY
+jog JH AA G
+jogger JH AA G ER
+join JH OY N
+joint JH OY N T
+jointly JH OY N T L IY
+joke JH OW K
+joker JH OW K ER
+jolly JH AA L IY
+jolt JH OW L T
+jot JH AA T
+journal JH ER N AH L
+journalism JH ER N AH L IH Z AH M
+journalist JH ER N AH L AH S T
+journey JH ER N IY
+jovial JH OW V IY AH L
+joy JH OY
+joyful JH OY F AH L
+joyous JH OY AH S
+joystick JH OY S T IH K
+jubilee JH UW B AH L IY
+judge JH AH JH
+judgment JH AH JH M AH N T
+judicial JH UW D IH SH AH L
+judiciary JH UW D IH SH IY EH R IY
+judo JH UW D OW
+jug JH AH G
+juggernaut JH AH G ER N AO T
+juggle JH AH G AH L
+juggler JH AH G AH L ER
+jugular JH UW G Y AH L ER
+juice JH UW S
+juices JH UW S AH Z
+juicy JH UW S IY
+jumble JH AH M B AH L
+jumbo JH AH M B OW
+jump JH AH M P
+jumper JH AH M P ER
+jumpy JH AH M P IY
+junction JH AH NG K SH AH N
+juncture JH AH NG K CH ER
+jungle JH AH NG G AH L
+junior JH UW N Y ER
+juniper JH UW N AH P ER
+junk JH AH NG K
+junket JH AH NG K IH T
+junkie JH AH NG K IY
+junta HH UH N T AH
+jurisdiction JH UH R AH S D IH K SH AH N
+juror JH UH R ER
+jury JH UH R IY
+just JH AH S T
+justice JH AH S T AH S
+justices JH AH S T AH S AH Z
+justifiable JH AH S T AH F AY AH B AH L
+justifiably JH AH S T AH F AY AH B L IY
+justification JH AH S T AH F AH K EY SH AH N
+justify JH AH S T AH F AY
+justly JH AH S T L IY
+jute JH UW T
+juvenile JH UW V AH N AH L
+kaleidoscope K AH L AY D AH S K OW P
+kangaroo K AE NG G ER UW
+karate K ER AA T IY
+kayak K AY AE K
+keel K IY L
+keen K IY N
+keenly K IY N L IY
+keep K IY P
+keeper K IY P ER
+keepsake K IY P S EY K
+keg K EH G
+kelp K EH L P
+ken K EH N
+kennel K EH N AH L
+kept K EH P T
+kerchief K ER CH AH F
+kernel K ER N AH L
+kerosene K EH R AH S IY N
+ketchup K EH CH AH P
+kettle K EH T AH L
+key K IY
+keyboard K IY B AO R D
+keyhole K IY HH OW L
+keynote K IY N OW T
+keystone K IY S T OW N
+keystroke K IY S T R OW K
+keyword K IY W ER D
+khaki K AA K IY
+khakis K AE K IY Z
+kick K IH K
+kickback K IH K B AE K
+kickoff K IH K AO F
+kid K IH D
+kidnap K IH D N AE P
+kidnapper K IH D N AE P ER
+kidney K IH D N IY
+kill K IH L
+killer K IH L ER
+kiln K IH L N
+kilo K IH L OW
+kilometer K AH L AA M AH T ER
+kilos K IY L OW Z
+kilowatts K IH L AH W AA T S
+kilt K IH L T
+kimono K AH M OW N AH
+kin K IH N
+kind K AY N D
+kinda K IH N D AH
+kinder K AY N D ER
+kindergarten K IH N D ER G AA R T AH N
+kindest K AY N D AH S T
+kindling K IH N D L IH NG
+kindly K AY N D L IY
+kindness K AY N D N AH S
+kindred K IH N D R IH D
+king K IH NG
+kingdom K IH NG D AH M
+kinks K IH NG K S
+kinky K IH NG K IY
+kinship K IH N SH IH P
+kiosk K IY AO S K
+kipper K IH P ER
+kiss K IH S
+kisses K IH S AH Z
+kit K IH T
+kitchen K IH CH AH N
+kitchenette K IH CH AH N EH T
+kite K AY T
+kites K AY T S
+kitten K IH T AH N
+kitty K IH T IY
+kiwi K IY W IY
+knack N AE K
+knapsack N AE P S AE K
+knee N IY
+kneecap N IY K AE P
+kneel N IY L
+knelt N EH L T
+knew N UW
+knickers N IH K ER Z
+knife N AY F
+knight N AY T
+knighthood N AY T HH UH D
+knit N IH T
+knitted N IH T AH D
+knives N AY V Z
+knob N AA B
+knock N AA K
+knockout N AA K AW T
+knoll N OW L
+knot N AA T
+know N OW
+knowingly N OW IH NG L IY
+knowledge N AA L AH JH
+knowledgeable N AA L AH JH AH B AH L
+known N OW N
+knuckle N AH K AH L
+koala K OW AA L AH
+kosher K OW SH ER
+kowtow K AW T AW
+kudos K UW D OW S
+lab L AE B
+label L EY B AH L
+labor L EY B ER
+laboratory L AE B R AH T AO R IY
+laborer L EY B ER ER
+labyrinth L AE B ER IH N TH
+lace L EY S
+laceration L AE S ER EY SH AH N
+laces L EY S AH Z
+lack L AE K
+lacquer L AE K ER
+lacrosse L AH K R AO S
+lacy L EY S IY
+lad L AE D
+ladder L AE D ER
+laden L EY D AH N
+lading L EY D IH NG
+ladle L EY D AH L
+lady L EY D IY
+ladybug L EY D IY B AH G
+ladylike L EY D IY L AY K
+lag L AE G
+lager L AA G ER
+lagoon L AH G UW N
+laid L EY D
+lain L EY N
+lair L EH R
+lake L EY K
+lamb L AE M
+lame L EY M
+lament L AH M EH N T
+lamp L AE M P
+lance L AE N S
+land L AE N D
+landed L AE N D AH D
+landlady L AE N D L EY D IY
+landlocked L AE N D L AA K T
+landlord L AE N D L AO R D
+landmark L AE N D M AA R K
+landowner L AE N D OW N ER
+landscape L AE N D S K EY P
+landslide L AE N D S L AY D
+lane L EY N
+language L AE NG G W AH JH
+languages L AE NG G W AH JH AH Z
+languid L AE NG G W AH D
+lanky L AE NG K IY
+lantern L AE N T ER N
+lap L AE P
+lapel L AH P EH L
+lapse L AE P S
+larceny L AA R S AH N IY
+lard L AA R D
+large L AA R JH
+largely L AA R JH L IY
+larger L AA R JH ER
+largest L AA R JH AH S T
+lark L AA R K
+larva L AA R V AH
+larvae L AA R V IY
+laryngitis L AA R IH N JH AY T AH S
+larynx L EH R IH NG K S
+lascivious L AH S IH V IY AH S
+laser L EY Z ER
+lash L AE SH
+lass L AE S
+last L AE S T
+lasted L AE S T AH D
+lastly L AE S T L IY
+latch L AE CH
+late L EY T
+lately L EY T L IY
+latent L EY T AH N T
+later L EY T ER
+lateral L AE T ER AH L
+latest L EY T AH S T
+latex L EY T EH K S
+lathe L EY DH
+lather L AE DH ER
+latitude L AE T AH T UW D
+latrine L AH T R IY N
+latter L AE T ER
+laugh L AE F
+laughable L AE F AH B AH L
+laughingstock L AE F IH NG S T AA K
+laughter L AE F T ER
+launch L AO N CH
+launcher L AO N CH ER
+launches L AO N CH AH Z
+launder L AO N D ER
+laundry L AO N D R IY
+laurel L AO R AH L
+lava L AA V AH
+lavatory L AE V AH T AO R IY
+lavender L AE V AH N D ER
+lavish L AE V IH SH
+law L AO
+lawful L AO F AH L
+lawless L AO L AH S
+lawmakers L AO M EY K ER Z
+lawn L AO N
+lawsuit L AO S UW T
+lawyer L AO Y ER
+lax L AE K S
+laxative L AE K S AH T IH V
+lay L EY
+layer L EY ER
+layman L EY M AH N
+layout L EY AW T
+laziness L EY Z IY N AH S
+lazy L EY Z IY
+leach L IY CH
+lead L EH D
+leader L IY D ER
+leadership L IY D ER SH IH P
+leading L IY D IH NG
+leads L IY D Z
+leaf L IY F
+leaflet L IY F L AH T
+leafy L IY F IY
+league L IY G
+leak L IY K
+leakage L IY K AH JH
+leaky L IY K IY
+lean L IY N
+leap L IY P
+leaped L EH P T
+leapfrog L IY P F R AO G
+learn L ER N
+lease L IY S
+leash L IY SH
+least L IY S T
+leather L EH DH ER
+leave L IY V
+lecture L EH K CH ER
+lecturer L EH K CH ER ER
+led L EH D
+ledge L EH JH
+ledger L EH JH ER
+lee L IY
+leech L IY CH
+leek L IY K
+leery L IH R IY
+leeway L IY W EY
+left L EH F T
+leg L EH G
+legacy L EH G AH S IY
+legal L IY G AH L
+legality L IY G AE L AH T IY
+legalize L IY G AH L AY Z
+legally L IY G AH L IY
+legend L EH JH AH N D
+legendary L EH JH AH N D EH R IY
+legible L EH JH AH B AH L
+legion L IY JH AH N
+legislate L EH JH IH S L EY T
+legislation L EH JH AH S L EY SH AH N
+legislative L EH JH AH S L EY T IH V
+legislators L EH JH AH S L EY T ER Z
+legislature L EH JH AH S L EY CH ER
+legitimacy L AH JH IH T AH M AH S IY
+legitimate L AH JH IH T AH M AH T
+legitimately L AH JH IH T AH M AH T L IY
+leisure L EH ZH ER
+leisurely L IY Z ER L IY
+lemon L EH M AH N
+lemonade L EH M AH N EY D
+lend L EH N D
+length L EH NG K TH
+lengthen L EH NG TH AH N
+lengthwise L EH NG TH W AY Z
+lengthy L EH NG TH IY
+leniency L IY N Y AH N S IY
+lenient L IY N IY AH N T
+lens L EH N Z
+lenses L EH N Z AH Z
+lent L EH N T
+lentil L EH N T AH L
+leopard L EH P ER D
+leotard L IY AH T AA R D
+leper L EH P ER
+leprosy L EH P R AH S IY
+lesbian L EH Z B IY AH N
+lesion L IY ZH AH N
+less L EH S
+lessen L EH S AH N
+lesser L EH S ER
+lesson L EH S AH N
+lest L EH S T
+let L EH T
+letdown L EH T D AW N
+lethal L IY TH AH L
+lethargic L AH TH AA R JH IH K
+letter L EH T ER
+letterhead L EH T ER HH EH D
+lettuce L EH T AH S
+leukemia L UW K IY M IY AH
+levee L EH V IY
+level L EH V AH L
+lever L EH V ER
+leverage L EH V ER IH JH
+leveraged L IY V ER IH JH D
+levity L EH V IH T IY
+levy L EH V IY
+lewd L UW D
+liabilities L AY AH B IH L AH T IY Z
+liability L AY AH B IH L IH T IY
+liable L AY AH B AH L
+liaison L IY EY Z AA N
+liaisons L IY EY S AA N Z
+liar L AY ER
+libel L AY B AH L
+liberal L IH B ER AH L
+liberally L IH B ER AH L IY
+liberate L IH B ER EY T
+liberation L IH B ER EY SH AH N
+liberty L IH B ER T IY
+librarian L AY B R EH R IY AH N
+library L AY B R EH R IY
+lice L AY S
+license L AY S AH N S
+lick L IH K
+licorice L IH K ER IH SH
+lid L IH D
+lie L AY
+lieu L UW
+lieutenant L UW T EH N AH N T
+life L AY F
+lifeboat L AY F B OW T
+lifeguard L AY F G AA R D
+lifeless L AY F L AH S
+lifelike L AY F L AY K
+lifeline L AY F L AY N
+lifelong L AY F L AO NG
+lifespan L AY F S P AE N
+lifestyle L AY F S T AY L
+lifetime L AY F T AY M
+lift L IH F T
+lifted L IH F T AH D
+ligament L IH G AH M AH N T
+light L AY T
+lighted L AY T AH D
+lighten L AY T AH N
+lighter L AY T ER
+lightest L AY T AH S T
+lighthouse L AY T HH AW S
+lightly L AY T L IY
+lightness L AY T N AH S
+lightning L AY T N IH NG
+lightweight L AY T W EY T
+likable L AY K AH B AH L
+like L AY K
+likelihood L AY K L IY HH UH D
+likely L AY K L IY
+likeness L AY K N AH S
+likewise L AY K W AY Z
+lilac L AY L AE K
+lilt L IH L T
+lily L IH L IY
+limb L IH M
+limber L IH M B ER
+limbo L IH M B OW
+lime L AY M
+limelight L AY M L AY T
+limerick L IH M ER IH K
+limestone L AY M S T OW N
+limit L IH M AH T
+limitation L IH M IH T EY SH AH N
+limited L IH M AH T AH D
+limitless L IH M AH T L AH S
+limousine L IH M AH Z IY N
+limp L IH M P
+line L AY N
+lineage L IH N IY AH JH
+linear L IH N IY ER
+linen L IH N AH N
+liner L AY N ER
+linger L IH NG G ER
+lingerie L AA N ZH ER EY
+lingo L IH NG G OW
+linguist L IH NG G W IH S T
+linguistic L IH NG G W IH S T IH K
+link L IH NG K
+linkage L IH NG K AH JH
+linoleum L AH N OW L IY AH M
+lint L IH N T
+lion L AY AH N
+lip L IH P
+lipstick L IH P S T IH K
+liquefy L IH K W AH F AY
+liqueur L IH K ER
+liquid L IH K W AH D
+liquidate L IH K W IH D EY T
+liquor L IH K ER
+lisp L IH S P
+list L IH S T
+listed L IH S T AH D
+listen L IH S AH N
+listener L IH S AH N ER
+lit L IH T
+liter L IY T ER
+literacy L IH T ER AH S IY
+literal L IH T ER AH L
+literally L IH T ER AH L IY
+literary L IH T ER EH R IY
+literate L IH T ER AH T
+literature L IH T ER AH CH ER
+lithium L IH TH IY AH M
+litigation L IH T AH G EY SH AH N
+litter L IH T ER
+little L IH T AH L
+littler L IH T AH L ER
+littlest L IH T AH L AH S T
+livable L IH V AH B AH L
+live L IH V
+livelihood L AY V L IY HH UH D
+lively L AY V L IY
+liven L AY V AH N
+liver L IH V ER
+livestock L AY V S T AA K
+livid L IH V IH D
+lizard L IH Z ER D
+llama L AA M AH
+load L OW D
+loader L OW D ER
+loaf L OW F
+loafer L OW F ER
+loan L OW N
+loathe L OW DH
+loathing L OW TH IH NG
+loathsome L OW DH S AH M
+loaves L OW V Z
+lob L AA B
+lobby L AA B IY
+lobbyist L AA B IY AH S T
+lobbyists L AA B IY IH S T S
+lobe L OW B
+lobes L OW B Z
+lobotomy L OW B OW T OW M IY
+lobster L AA B S T ER
+local L OW K AH L
+locale L OW K AE L
+localized L OW K AH L AY Z D
+locally L OW K AH L IY
+locate L OW K EY T
+located L OW K EY T AH D
+location L OW K EY SH AH N
+lock L AA K
+locker L AA K ER
+locket L AA K IH T
+locksmith L AA K S M IH TH
+locomotive L OW K AH M OW T IH V
+locust L OW K AH S T
+lodge L AA JH
+lodges L AA JH AH Z
+loft L AO F T
+lofty L AO F T IY
+log L AO G
+logic L AA JH IH K
+logical L AA JH IH K AH L
+logically L AA JH IH K L IY
+logo L OW G OW
+loin L OY N
+loiter L OY T ER
+lollipop L AA L IY P AA P
+lone L OW N
+loneliness L OW N L IY N AH S
+lonely L OW N L IY
+lonesome L OW N S AH M
+long L AO NG
+longer L AO NG G ER
+longest L AO NG G AH S T
+longevity L AO N JH EH V AH T IY
+longitude L AA N JH AH T UW D
+look L UH K
+lookout L UH K AW T
+loom L UW M
+loon L UW N
+loony L UW N IY
+loop L UW P
+loophole L UW P HH OW L
+loose L UW S
+loosely L UW S L IY
+loosen L UW S AH N
+looser L UW S ER
+loot L UW T
+looted L UW T AH D
+lop L AA P
+lopsided L AA P S AY D IH D
+lord L AO R D
+lore L AO R
+lorry L AO R IY
+lose L UW Z
+loser L UW Z ER
+loses L UW Z AH Z
+loss L AO S
+losses L AO S AH Z
+lost L AO S T
+lot L AA T
+lotion L OW SH AH N
+lottery L AA T ER IY
+lotus L OW T AH S
+loud L AW D
+louder L AW D ER
+loudest L AW D AH S T
+loudly L AW D L IY
+loudspeaker L AW D S P IY K ER
+lounge L AW N JH
+louse L AW S
+lousy L AW Z IY
+lovable L AH V AH B AH L
+love L AH V
+lovely L AH V L IY
+lover L AH V ER
+lovingly L AH V IH NG L IY
+low L OW
+lowdown L OW D AW N
+lower L OW ER
+lowest L OW AH S T
+lowly L OW L IY
+loyal L OY AH L
+loyalty L OY AH L T IY
+lubricant L UW B R AH K AH N T
+lubricated L UW B R AH K EY T IH D
+lubrication L UW B R IH K EY SH AH N
+lucid L UW S AH D
+luck L AH K
+luckier L AH K IY ER
+luckiest L AH K IY AH S T
+luckily L AH K AH L IY
+lucky L AH K IY
+lucrative L UW K R AH T IH V
+ludicrous L UW D AH K R AH S
+ludicrously L UW D AH K R AH S L IY
+lug L AH G
+luggage L AH G AH JH
+lukewarm L UW K W AO R M
+lull L AH L
+lullaby L AH L AH B AY
+lumber L AH M B ER
+lumberjack L AH M B ER JH AE K
+luminous L UW M AH N AH S
+lump L AH M P
+lumpy L AH M P IY
+lunacy L UW N AH S IY
+lunar L UW N ER
+lunatic L UW N AH T IH K
+lunch L AH N CH
+luncheon L AH N CH AH N
+lunchtime L AH N CH T AY M
+lung L AH NG
+lunge L AH N JH
+lunged L AH N JH D
+lurch L ER CH
+lure L UH R
+lurid L UH R AH D
+lurk L ER K
+luscious L AH SH IH S
+lush L AH SH
+lust L AH S T
+luster L AH S T ER
+lustrous L AH S T R AH S
+lusty L AH S T IY
+lute L UW T
+luxurious L AH G ZH ER IY AH S
+luxury L AH G ZH ER IY
+lye L AY
+lymph L IH M F
+lymphatic L IH M F AE T IH K
+lynch L IH N CH
+lyric L IH R IH K
+lyrical L IH R IH K AH L
+m EH M
+ma M AA
+macabre M AH K AA B R AH
+macaroni M AE K ER OW N IY
+mace M EY S
+machete M AH SH EH T IY
+machine M AH SH IY N
+machinery M AH SH IY N ER IY
+machinist M AH SH IY N AH S T
+macho M AA CH OW
+mackerel M AE K ER AH L
+mad M AE D
+madam M AE D AH M
+madame M AE D AH M
+madcap M AE D K AE P
+madden M AE D AH N
+madder M AE D ER
+made M EY D
+madhouse M AE D HH AW S
+madly M AE D L IY
+madman M AE D M AE N
+madmen M AE D M AH N
+madness M AE D N AH S
+magazine M AE G AH Z IY N
+magenta M AH JH EH N T AH
+maggot M AE G AH T
+magic M AE JH IH K
+magical M AE JH IH K AH L
+magically M AE JH IH K AH L IY
+magician M AH JH IH SH AH N
+magistrate M AE JH AH S T R EY T
+magnanimous M AE G N AE N AH M AH S
+magnate M AE G N AH T
+magnesium M AE G N IY Z IY AH M
+magnet M AE G N AH T
+magnetic M AE G N EH T IH K
+magnetism M AE G N AH T IH Z AH M
+magnificent M AE G N IH F AH S AH N T
+magnify M AE G N AH F AY
+magnitude M AE G N AH T UW D
+magnolia M AE G N OW L Y AH
+magnum M AE G N AH M
+magpie M AE G P AY
+mahogany M AH HH AA G AH N IY
+maid M EY D
+maiden M EY D AH N
+mail M EY L
+mailbox M EY L B AA K S
+mailman M EY L M AE N
+mailmen M EY L M EH N
+maim M EY M
+main M EY N
+mainframe M EY N F R EY M
+mainland M EY N L AE N D
+mainline M EY N L AY N
+mainly M EY N L IY
+mainstream M EY N S T R IY M
+maintain M EY N T EY N
+maintenance M EY N T AH N AH N S
+maize M EY Z
+majestic M AH JH EH S T IH K
+majesty M AE JH AH S T IY
+major M EY JH ER
+majority M AH JH AO R AH T IY
+make M EY K
+maker M EY K ER
+makeshift M EY K SH IH F T
+makeup M EY K AH P
+maladjusted M AE L AH JH AH S T IH D
+malady M AE L AH D IY
+malaria M AH L EH R IY AH
+male M EY L
+malevolent M AH L EH V AH L AH N T
+malfunction M AE L F AH NG K SH AH N
+malice M AE L AH S
+malicious M AH L IH SH AH S
+maliciously M AH L IH SH IH S L IY
+malign M AH L AY N
+malignant M AH L IH G N AH N T
+mall M AO L
+mallard M AE L ER D
+mallet M AE L IH T
+malnutrition M AE L N UW T R IH SH AH N
+malpractice M AE L P R AE K T AH S
+malt M AO L T
+malted M AO L T AH D
+mama M AA M AH
+mamma M AA M AH
+mammal M AE M AH L
+mammoth M AE M AH TH
+man M AE N
+manage M AE N AH JH
+manageable M AE N IH JH AH B AH L
+management M AE N AH JH M AH N T
+manager M AE N AH JH ER
+managerial M AE N IH JH IH R IY AH L
+manages M AE N IH JH IH Z
+mandate M AE N D EY T
+mandatory M AE N D AH T AO R IY
+mandible M AE N D AH B AH L
+mandolin M AE N D AH L IH N
+mane M EY N
+maneuver M AH N UW V ER
+mange M EY N JH
+manger M EY N JH ER
+mangle M AE NG G AH L
+mango M AE NG G OW
+mangy M EY N JH IY
+manhandled M AE N HH AE N D AH L D
+manhole M AE N HH OW L
+manhood M AE N HH UH D
+mania M EY N IY AH
+maniac M EY N IY AE K
+maniacal M AH N AY AH K AH L
+manic M AE N IH K
+manicure M AE N IH K Y ER
+manicurist M AE N IH K Y ER IH S T
+manifest M AE N AH F EH S T
+manifestation M AE N AH F EH S T EY SH AH N
+manifested M AE N AH F EH S T AH D
+manifestly M AE N AH F EH S T L IY
+manifesto M AE N AH F EH S T OW
+manifold M AE N AH F OW L D
+manipulate M AH N IH P Y AH L EY T
+manipulation M AH N IH P Y AH L EY SH AH N
+mankind M AE N K AY N D
+manly M AE N L IY
+mannequin M AE N AH K IH N
+manner M AE N ER
+mannerisms M AE N ER IH Z AH M Z
+manor M AE N ER
+manpower M AE N P AW ER
+mansion M AE N SH AH N
+mansions M AE N CH AH N Z
+manslaughter M AE N S L AO T ER
+mantel M AE N T AH L
+mantle M AE N T AH L
+manual M AE N Y UW AH L
+manually M AE N Y UW AH L IY
+manufacture M AE N Y AH F AE K CH ER
+manufacturer M AE N Y AH F AE K CH ER ER
+manure M AH N UH R
+manuscript M AE N Y AH S K R IH P T
+many M EH N IY
+map M AE P
+maple M EY P AH L
+mar M AA R
+marathon M EH R AH TH AA N
+marble M AA R B AH L
+march M AA R CH
+mare M EH R
+mares M EH R Z
+margarine M AA R JH ER AH N
+margin M AA R JH AH N
+marginal M AA R JH AH N AH L
+marginally M AA R JH AH N AH L IY
+maria M ER IY AH
+marigolds M EH R AH G OW L D Z
+marijuana M EH R AH W AA N AH
+marina M ER IY N AH
+marinate M EH R AH N EY T
+marine M ER IY N
+mariner M EH R AH N ER
+marital M EH R AH T AH L
+maritime M EH R AH T AY M
+mark M AA R K
+marker M AA R K ER
+market M AA R K AH T
+marketable M AA R K AH T AH B AH L
+marketed M AA R K AH T AH D
+marketplace M AA R K AH T P L EY S
+marksman M AA R K S M AH N
+marksmen M AA R K S M EH N
+marmalade M AA R M AH L EY D
+maroon M ER UW N
+marquee M AA R K IY
+marriage M EH R IH JH
+marrow M EH R OW
+marry M EH R IY
+marsh M AA R SH
+marshal M AA R SH AH L
+marshes M AA R SH AH Z
+marshmallow M AA R SH M EH L OW
+mart M AA R T
+martial M AA R SH AH L
+martin M AA R T AH N
+martyr M AA R T ER
+martyrdom M AA R T ER D AH M
+marvel M AA R V AH L
+marvelous M AA R V AH L AH S
+mascara M AE S K EH R AH
+mascot M AE S K AH T
+masculine M AE S K Y AH L AH N
+mash M AE SH
+mask M AE S K
+masochist M AE S AH K IH S T
+mason M EY S AH N
+masquerade M AE S K ER EY D
+mass M AE S
+massacre M AE S AH K ER
+massacres M AE S IH K ER Z
+massage M AH S AA ZH
+masses M AE S AH Z
+massive M AE S IH V
+massively M AE S IH V L IY
+mast M AE S T
+master M AE S T ER
+masterful M AE S T ER F AH L
+mastermind M AE S T ER M AY N D
+masterpiece M AE S T ER P IY S
+masterpieces M AE S T ER P IY S AH Z
+mastery M AE S T ER IY
+masturbation M AE S T ER B EY SH AH N
+mat M AE T
+matador M AE T AH D AO R
+match M AE CH
+matchbook M AE CH B UH K
+matches M AE CH AH Z
+matchmaker M AE CH M EY K ER
+mate M EY T
+mated M EY T IH D
+material M AH T IH R IY AH L
+materialism M AH T IH R IY AH L IH Z AH M
+materialistic M AH T IH R IY AH L IH S T IH K
+materialize M AH T IH R IY AH L AY Z
+maternal M AH T ER N AH L
+maternity M AH T ER N IH T IY
+mates M EY T S
+math M AE TH
+mathematical M AE TH AH M AE T IH K AH L
+mathematically M AE TH AH M AE T IH K AH L IY
+mathematician M AE TH AH M AH T IH SH AH N
+mathematics M AE TH AH M AE T IH K S
+mating M EY T IH NG
+matriarch M EY T R IY AA R K
+matrices M EY T R IH S IH Z
+matrimonial M AE T R AH M OW N IY AH L
+matrimony M AE T R AH M OW N IY
+matrix M EY T R IH K S
+matron M EY T R AH N
+matte M AE T
+matter M AE T ER
+mattress M AE T R AH S
+mattresses M AE T R AH S AH Z
+mature M AH CH UH R
+matured M AH T Y UH R D
+maturity M AH CH UH R AH T IY
+maudlin M AO D L IH N
+maul M AO L
+mausoleum M AO S AH L IY AH M
+mauve M AO V
+maverick M AE V ER IH K
+maxim M AE K S AH M
+maximize M AE K S AH M AY Z
+maximum M AE K S AH M AH M
+may M EY
+maybe M EY B IY
+mayhem M EY HH EH M
+mayonnaise M EY AH N EY Z
+mayor M EY ER
+maze M EY Z
+me M IY
+meadow M EH D OW
+meager M IY G ER
+meal M IY L
+mean M IY N
+meaner M IY N ER
+meanest M IY N AH S T
+meaningful M IY N IH NG F AH L
+meaningless M IY N IH NG L AH S
+meant M EH N T
+meantime M IY N T AY M
+meanwhile M IY N W AY L
+measles M IY Z AH L Z
+measly M IY Z L IY
+measure M EH ZH ER
+measurement M EH ZH ER M AH N T
+meat M IY T
+mechanic M AH K AE N IH K
+mechanical M AH K AE N IH K AH L
+mechanically M AH K AE N IH K L IY
+mechanism M EH K AH N IH Z AH M
+mechanized M EH K AH N AY Z D
+medal M EH D AH L
+medallion M AH D AE L Y AH N
+meddle M EH D AH L
+meddlesome M EH D AH L S AH M
+media M IY D IY AH
+median M IY D IY AH N
+mediate M IY D IY EY T
+mediation M IY D IY EY SH AH N
+mediator M IY D IY EY T ER
+medical M EH D AH K AH L
+medically M EH D AH K L IY
+medicate M EH D IH K EY T
+medication M EH D AH K EY SH AH N
+medicinal M AH D IH S AH N AH L
+medicine M EH D AH S AH N
+medieval M IH D IY V AH L
+mediocre M IY D IY OW K ER
+mediocrity M IY D IY AA K R AH T IY
+meditate M EH D AH T EY T
+meditation M EH D AH T EY SH AH N
+medium M IY D IY AH M
+medley M EH D L IY
+meek M IY K
+meeker M IY K ER
+meet M IY T
+megabyte M EH G AH B AY T
+megalomaniac M EH G AH L OW M EY N IY AE K
+megaphone M EH G AH F OW N
+megatons M EH G AH T AH N Z
+melancholy M EH L AH N K AA L IY
+mellow M EH L OW
+melodic M AH L AA D IH K
+melodrama M EH L AH D R AA M AH
+melodramatic M EH L AH D R AH M AE T IH K
+melody M EH L AH D IY
+melon M EH L AH N
+melt M EH L T
+melted M EH L T AH D
+member M EH M B ER
+membership M EH M B ER SH IH P
+membrane M EH M B R EY N
+memento M IH M EH N T OW
+memo M EH M OW
+memoirs M EH M W AA R Z
+memorable M EH M ER AH B AH L
+memorandum M EH M ER AE N D AH M
+memorial M AH M AO R IY AH L
+memorize M EH M ER AY Z
+memory M EH M ER IY
+men M EH N
+menace M EH N AH S
+menagerie M AH N AE JH ER IY
+mend M EH N D
+menial M IY N IY AH L
+menopause M EH N AH P AW Z
+menstrual M EH N S T R UW AH L
+menstruation M EH N S T R UW EY SH AH N
+mental M EH N T AH L
+mentality M EH N T AE L AH T IY
+mentally M EH N T AH L IY
+menthol M EH N TH AO L
+mention M EH N SH AH N
+mentor M EH N T AO R
+mentoring M EH N T ER IH NG
+mentors M EH N T ER Z
+menu M EH N Y UW
+meow M IY AW
+mercantile M ER K AH N T AY L
+mercenary M ER S AH N EH R IY
+merchandise M ER CH AH N D AY Z
+merchant M ER CH AH N T
+merciful M ER S IH F AH L
+mercifully M ER S IH F AH L IY
+merciless M ER S AH L AH S
+mercilessly M ER S AH L AH S L IY
+mercury M ER K Y ER IY
+mercy M ER S IY
+mere M IH R
+merely M IH R L IY
+merge M ER JH
+merger M ER JH ER
+meridian M ER IH D IY AH N
+merit M EH R AH T
+mermaid M ER M EY D
+merrier M EH R IY ER
+merrily M EH R AH L IY
+merry M EH R IY
+mesdames M EY D AE M Z
+mesh M EH SH
+mess M EH S
+message M EH S AH JH
+messages M EH S AH JH AH Z
+messenger M EH S AH N JH ER
+messy M EH S IY
+met M EH T
+metabolic M EH T AH B AA L IH K
+metabolism M AH T AE B AH L IH Z AH M
+metal M EH T AH L
+metallic M AH T AE L IH K
+metamorphosis M EH T AH M AO R F AH S AH S
+metaphor M EH T AH F AO R
+metaphorical M EH T AH F AO R IH K AH L
+metaphorically M EH T AH F AO R IH K L IY
+metaphysical M EH T AH F IH Z IH K AH L
+metaphysics M EH T AH F IH Z IH K S
+meted M IY T IH D
+meteor M IY T IY ER
+meteorite M IY T IY AO R AY T
+meteorologist M IY T IY ER AA L AH JH IH S T
+meter M IY T ER
+method M EH TH AH D
+methodical M AH TH AA D AH K AH L
+methodology M EH TH AH D AA L AH JH IY
+meticulous M AH T IH K Y AH L AH S
+metric M EH T R IH K
+metro M EH T R OW
+metropolis M AH T R AA P AH L AH S
+metropolitan M EH T R AH P AA L AH T AH N
+mettle M EH T AH L
+mew M Y UW
+mezzanine M EH Z AH N IY N
+mice M AY S
+microbe M AY K R OW B
+microcomputer M AY K R OW K AH M P Y UW T ER
+microfiche M AY K R OW F IY CH
+microfilm M AY K R AH F IH L M
+microphone M AY K R AH F OW N
+microphones M AY K R OW F OW N Z
+microprocessor M AY K R OW P R AA S EH S ER
+microscope M AY K R AH S K OW P
+microscopic M AY K R AH S K AA P IH K
+microwave M AY K R AH W EY V
+microwaves M AY K R OW W EY V Z
+midday M IH D D EY
+middle M IH D AH L
+middleman M IH D AH L M AE N
+middlemen M IH D AH L M EH N
+midget M IH JH AH T
+midnight M IH D N AY T
+midst M IH D S T
+midsummer M IH D S AH M ER
+midway M IH D W EY
+midwife M IH D W AY F
+might M AY T
+mightier M AY T IY ER
+mightiest M AY T IY AH S T
+mighty M AY T IY
+migraine M AY G R EY N
+migrant M AY G R AH N T
+migrate M AY G R EY T
+migration M AY G R EY SH AH N
+migratory M AY G R AH T AO R IY
+mike M AY K
+mild M AY L D
+mildew M IH L D UW
+mildly M AY L D L IY
+mile M AY L
+mileage M AY L AH JH
+milestone M AY L S T OW N
+militant M IH L AH T AH N T
+militarily M IH L AH T EH R AH L IY
+military M IH L AH T EH R IY
+militia M AH L IH SH AH
+milk M IH L K
+milkman M IH L K M AE N
+milky M IH L K IY
+mill M IH L
+miller M IH L ER
+milligram M IH L AH G R AE M
+millimeter M IH L AH M IY T ER
+million M IH L Y AH N
+millionaire M IH L Y AH N EH R
+millionth M IH L Y AH N TH
+millisecond M IH L IH S EH K AH N D
+mime M AY M
+mimic M IH M IH K
+mimicking M IH M IH K IH NG
+mince M IH N S
+mincemeat M IH N S M IY T
+mind M AY N D
+minded M AY N D AH D
+mindful M AY N D F AH L
+mindless M AY N D L AH S
+mine M AY N
+minefield M AY N F IY L D
+miner M AY N ER
+mineral M IH N ER AH L
+mingle M IH NG G AH L
+miniature M IH N IY AH CH UH R
+minibus M IH N IY B AH S
+minimal M IH N AH M AH L
+minimalist M IH N AH M AH L IH S T
+minimize M IH N AH M AY Z
+minimum M IH N AH M AH M
+minion M IH N Y AH N
+minister M IH N AH S T ER
+ministry M IH N AH S T R IY
+mink M IH NG K
+minnow M IH N OW
+minor M AY N ER
+minority M AY N AO R AH T IY
+minstrel M IH N S T R AH L
+mint M IH N T
+minuet M IH N Y UW EH T
+minus M AY N AH S
+minuscule M IH N AH S K Y UW L
+minute M IH N AH T
+miracle M IH R AH K AH L
+miraculous M ER AE K Y AH L AH S
+miraculously M ER AE K Y AH L AH S L IY
+mirage M ER AA ZH
+mire M AY R
+mirror M IH R ER
+mirth M ER TH
+misadventure M IH S AH D V EH N CH ER
+misbehave M IH S B AH HH EY V
+miscarriage M IH S K EH R AH JH
+miscarriages M IH S K EH R IH JH IH Z
+miscellaneous M IH S AH L EY N IY AH S
+mischief M IH S CH AH F
+mischievous M IH S CH AH V AH S
+misconception M IH S K AH N S EH P SH AH N
+misconduct M IH S K AA N D AH K T
+misconstrued M IH S K AH N S T R UW D
+misdeeds M IH S D IY D Z
+misdemeanor M IH S D AH M IY N ER
+misdirect M IH S D IH R EH K T
+miser M AY Z ER
+miserable M IH Z ER AH B AH L
+miserably M IH Z ER AH B L IY
+misery M IH Z ER IY
+misfit M IH S F IH T
+misfortune M IH S F AO R CH AH N
+misgivings M IH S G IH V IH NG Z
+misguide M IH S G AY D
+mishap M IH S HH AE P
+misinformation M IH S IH N F ER M EY SH AH N
+misinformed M IH S IH N F AO R M D
+misinterpret M IH S IH N T ER P R AH T
+misjudge M IH S JH AH JH
+mislaid M IH S L EY D
+mislead M IH S L IY D
+misled M IH S L EH D
+mismatch M IH S M AE CH
+misplace M IH S P L EY S
+misprint M IH S P R IH N T
+misquoted M IH S K W OW T IH D
+misread M IH S R IY D
+misrepresent M IH S R EH P R AH Z EH N T
+misrepresented M IH S R EH P R IH Z EH N T IH D
+miss M IH S
+misses M IH S AH Z
+misshapen M IH S SH EY P AH N
+missile M IH S AH L
+mission M IH SH AH N
+missionary M IH SH AH N EH R IY
+misspelled M IH S S P EH L D
+mist M IH S T
+mistake M IH S T EY K
+mistaken M IH S T EY K AH N
+mistakenly M IH S T EY K AH N L IY
+mistletoe M IH S AH L T OW
+mistook M IH S T UH K
+mistress M IH S T R AH S
+mistresses M IH S T R AH S AH Z
+mistrust M IH S T R AH S T
+misty M IH S T IY
+misunderstand M IH S AH N D ER S T AE N D
+misunderstood M IH S AH N D ER S T UH D
+misuse M IH S Y UW Z
+mite M AY T
+mitigate M IH T AH G EY T
+mitt M IH T
+mitten M IH T AH N
+mix M IH K S
+mixer M IH K S ER
+mixes M IH K S AH Z
+mixture M IH K S CH ER
+mnemonic N IH M AA N IH K
+moan M OW N
+moat M OW T
+mob M AA B
+mobile M OW B AH L
+mobility M OW B IH L AH T IY
+mobilization M OW B AH L AH Z EY SH AH N
+mobilize M OW B AH L AY Z
+moccasins M AA K AH S IH N Z
+mock M AA K
+mockery M AA K ER IY
+mockingbird M AA K IH NG B ER D
+mod M AO D
+mode M OW D
+model M AA D AH L
+moderate M AA D ER AH T
+moderately M AA D ER AH T L IY
+moderation M AA D ER EY SH AH N
+modern M AA D ER N
+modes M OW D Z
+modest M AA D AH S T
+modestly M AA D AH S T L IY
+modesty M AA D AH S T IY
+modicum M AA D IH K AH M
+modification M AA D AH F AH K EY SH AH N
+modify M AA D AH F AY
+module M AA JH UW L
+mohair M OW HH EH R
+moist M OY S T
+moisture M OY S CH ER
+molar M OW L AH R
+molasses M AH L AE S AH Z
+mold M OW L D
+molded M OW L D AH D
+moldy M OW L D IY
+mole M OW L
+molecular M AH L EH K Y AH L ER
+molecule M AA L AH K Y UW L
+molest M AH L EH S T
+molten M OW L T AH N
+molting M OW L T IH NG
+mom M AA M
+moment M OW M AH N T
+momentarily M OW M AH N T EH R AH L IY
+momentary M OW M AH N T EH R IY
+momentous M OW M EH N T AH S
+momentum M OW M EH N T AH M
+monarch M AA N AA R K
+monarchy M AA N AA R K IY
+monastery M AA N AH S T EH R IY
+monetary M AA N AH T EH R IY
+money M AH N IY
+mongoose M AA NG G UW S
+monies M AH N IY Z
+monitor M AA N AH T ER
+monk M AH NG K
+monkey M AH NG K IY
+monochrome M AA N AH K R OW M
+monogamous M AH N AA G AH M AH S
+monogamy M AH N AA G AH M IY
+monogram M AA N AH G R AE M
+monologue M AA N AH L AO G
+monopolize M AH N AA P AH L AY Z
+monopoly M AH N AA P AH L IY
+monotonous M AH N AA T AH N AH S
+monotony M AH N AA T AH N IY
+monsoon M AA N S UW N
+monster M AA N S T ER
+monstrosity M AA N S T R AA S AH T IY
+monstrous M AA N S T R AH S
+month M AH N TH
+monthly M AH N TH L IY
+monument M AA N Y UW M AH N T
+monumental M AA N Y AH M EH N T AH L
+monuments M AA N Y AH M AH N T S
+moo M UW
+mood M UW D
+moody M UW D IY
+moon M UW N
+moonbeam M UW N B IY M
+moonlight M UW N L AY T
+moor M UH R
+moorings M UW R IH NG Z
+moose M UW S
+moot M UW T
+mop M AA P
+mope M OW P
+moped M OW P T
+moping M OW P IH NG
+moral M AO R AH L
+morale M ER AE L
+morality M ER AE L AH T IY
+morally M AO R AH L IY
+moratorium M AO R AH T AO R IY AH M
+morbid M AO R B AH D
+more M AO R
+moreover M AO R OW V ER
+morgue M AO R G
+morn M AO R N
+moron M AO R AA N
+morose M ER OW S
+morphine M AO R F IY N
+morsel M AO R S AH L
+mortal M AO R T AH L
+mortality M AO R T AE L AH T IY
+mortally M AO R T AH L IY
+mortar M AO R T ER
+mortgage M AO R G AH JH
+mortgaged M AO R G IH JH D
+mortgages M AO R G AH JH AH Z
+mortified M AO R T AH F AY D
+mortuary M AO R CH UW EH R IY
+mosaic M OW Z EY IH K
+mosque M AA S K
+mosquito M AH S K IY T OW
+moss M AO S
+most M OW S T
+mostly M OW S T L IY
+motel M OW T EH L
+moth M AO TH
+mothballs M AO TH B AO L Z
+mother M AH DH ER
+motherhood M AH DH ER HH UH D
+motherly M AH DH ER L IY
+motif M OW T IY F
+motion M OW SH AH N
+motionless M OW SH AH N L AH S
+motivate M OW T AH V EY T
+motivated M OW T AH V EY T AH D
+motivation M OW T AH V EY SH AH N
+motive M OW T IH V
+motley M AA T L IY
+motor M OW T ER
+motorbike M OW T ER B AY K
+motorcade M OW T ER K EY D
+motorcycle M OW T ER S AY K AH L
+motorist M OW T ER IH S T
+motorized M OW T ER AY Z D
+motto M AA T OW
+mound M AW N D
+mount M AW N T
+mountain M AW N T AH N
+mountaineer M AW N T IH N IH R
+mounted M AW N T AH D
+mourn M AO R N
+mourners M AO R N ER Z
+mournful M AO R N F AH L
+mouse M AW S
+mousse M UW S
+mousy M AW S IY
+mouth M AW TH
+mouthed M AW DH D
+mouthful M AW TH F UH L
+mouthing M AW DH IH NG
+mouthpiece M AW TH P IY S
+mouths M AW DH Z
+movable M UW V AH B AH L
+move M UW V
+movement M UW V M AH N T
+mover M UW V ER
+movie M UW V IY
+mow M OW
+mower M OW ER
+mowing M AW IH NG
+mows M AW Z
+ms M IH Z
+mu M UW
+much M AH CH
+muck M AH K
+mucous M Y UW K AH S
+mucus M Y UW K AH S
+mud M AH D
+muddle M AH D AH L
+muddy M AH D IY
+muff M AH F
+muffin M AH F AH N
+muffle M AH F AH L
+muffler M AH F L ER
+mug M AH G
+mugger M AH G ER
+mulch M AH L CH
+mule M Y UW L
+mull M AH L
+multinational M AH L T AY N AE SH AH N AH L
+multiple M AH L T AH P AH L
+multiplication M AH L T AH P L AH K EY SH AH N
+multiply M AH L T AH P L AY
+multitasking M AH L T IY T AE S K IH NG
+multitude M AH L T AH T UW D
+mum M AH M
+mumble M AH M B AH L
+mummified M AH M IH F AY D
+mummy M AH M IY
+mumps M AH M P S
+munch M AH N CH
+mundane M AH N D EY N
+municipal M Y UW N IH S AH P AH L
+municipality M Y UW N IH S AH P AE L AH T IY
+mural M Y UH R AH L
+murder M ER D ER
+murderer M ER D ER ER
+murderous M ER D ER AH S
+murky M ER K IY
+murmur M ER M ER
+muscle M AH S AH L
+muscular M AH S K Y AH L ER
+muse M Y UW Z
+muses M Y UW Z AH Z
+museum M Y UW Z IY AH M
+mush M AH SH
+mushroom M AH SH R UW M
+mushy M AH SH IY
+music M Y UW Z IH K
+musical M Y UW Z IH K AH L
+musically M Y UW Z IH K L IY
+musician M Y UW Z IH SH AH N
+musing M Y UW Z IH NG
+musk M AH S K
+musket M AH S K AH T
+mussel M AH S AH L
+must M AH S T
+mustache M AH S T AE SH
+mustang M AH S T AE NG
+mustard M AH S T ER D
+muster M AH S T ER
+musty M AH S T IY
+mutant M Y UW T AH N T
+mutate M Y UW T EY T
+mutation M Y UW T EY SH AH N
+mute M Y UW T
+mutilate M Y UW T AH L EY T
+mutilated M Y UW T AH L EY T AH D
+mutilation M Y UW T AH L EY SH AH N
+mutiny M Y UW T AH N IY
+mutt M AH T
+mutter M AH T ER
+mutton M AH T AH N
+mutual M Y UW CH UW AH L
+mutually M Y UW CH UW AH L IY
+muzzle M AH Z AH L
+my M AY
+myopic M AY AA P IH K
+myriad M IH R IY AH D
+myself M AY S EH L F
+mysterious M IH S T IH R IY AH S
+mysteriously M IH S T IH R IY AH S L IY
+mystery M IH S T ER IY
+mystic M IH S T IH K
+mystical M IH S T IH K AH L
+mysticism M IH S T IH S IH Z AH M
+mystified M IH S T AH F AY D
+mystifying M IH S T AH F AY IH NG
+myth M IH TH
+mythical M IH TH AH K AH L
+mythological M IH TH AH L AA JH IH K AH L
+mythology M AH TH AA L AH JH IY
+nab N AE B
+nag N AE G
+nail N EY L
+naive N AY IY V
+naked N EY K AH D
+name N EY M
+nameless N EY M L AH S
+namely N EY M L IY
+namesake N EY M S EY K
+nap N AE P
+napalm N EY P AA M
+napkin N AE P K IH N
+narcotic N AA R K AA T IH K
+narrate N EH R EY T
+narration N EH R EY SH AH N
+narrative N AE R AH T IH V
+narrator N EH R EY T ER
+narrow N EH R OW
+narrower N EH R OW ER
+narrowest N EH R OW AH S T
+narrowly N EH R OW L IY
+nasal N EY Z AH L
+nastier N AE S T IY ER
+nastiest N AE S T IY AH S T
+nasty N AE S T IY
+nation N EY SH AH N
+national N AE SH AH N AH L
+nationalism N AE SH AH N AH L IH Z AH M
+nationalist N AE SH AH N AH L AH S T
+nationalists N AE SH AH N AH L IH S T S
+nationalities N AE SH AH N AE L IH T IY Z
+nationality N AE SH AH N AE L AH T IY
+nationally N AE SH AH N AH L IY
+nationwide N EY SH AH N W AY D
+native N EY T IH V
+nativity N AH T IH V AH T IY
+natty N AE T IY
+natural N AE CH ER AH L
+naturalist N AE CH ER AH L AH S T
+naturalization N AE CH ER AH L AH Z EY SH AH N
+naturally N AE CH ER AH L IY
+nature N EY CH ER
+naught N AO T
+naughty N AO T IY
+nausea N AO Z IY AH
+nauseated N AO Z IY EY T AH D
+nauseating N AO ZH IY EY T IH NG
+nauseous N AO SH AH S
+nautical N AO T AH K AH L
+naval N EY V AH L
+navel N EY V AH L
+navigate N AE V AH G EY T
+navigation N AE V AH G EY SH AH N
+navigator N AE V AH G EY T ER
+navy N EY V IY
+nay N EY
+near N IH R
+nearby N IH R B AY
+nearer N IH R ER
+nearest N IH R AH S T
+nearly N IH R L IY
+nearsighted N IY R S AY T IH D
+neat N IY T
+neater N IY T ER
+neatest N IY T AH S T
+neatly N IY T L IY
+neatness N IY T N AH S
+nebula N EH B Y AH L AH
+necessarily N EH S AH S EH R AH L IY
+necessary N EH S AH S EH R IY
+necessities N AH S EH S IH T IY Z
+necessity N AH S EH S AH T IY
+neck N EH K
+necklace N EH K L AH S
+necktie N EH K T AY
+nectar N EH K T ER
+need N IY D
+needed N IY D AH D
+neediest N IY D IY IH S T
+needle N IY D AH L
+needless N IY D L AH S
+needlessly N IY D L AH S L IY
+needlework N IY D AH L W ER K
+needling N IY D L IH NG
+needy N IY D IY
+negate N IH G EY T
+negative N EH G AH T IH V
+negatively N EH G AH T IH V L IY
+neglect N AH G L EH K T
+neglected N AH G L EH K T AH D
+neglectful N IH G L EH K T F AH L
+neglecting N IH G L EH K T IH NG
+neglects N IH G L EH K T S
+negligence N EH G L AH JH AH N S
+negligent N EH G L AH JH AH N T
+negligible N EH G L AH JH AH B AH L
+negotiable N AH G OW SH AH B AH L
+negotiate N AH G OW SH IY EY T
+negotiated N AH G OW SH IY EY T AH D
+negotiates N IH G OW SH IY EY T S
+negotiating N IH G OW SH IY EY T IH NG
+negotiation N IH G OW SH IY EY SH AH N
+negotiations N AH G OW SH IY EY SH AH N Z
+negotiator N AH G OW SH IY EY T ER
+negotiators N IH G OW SH IY EY T ER Z
+neigh N EY
+neighbor N EY B ER
+neighborhood N EY B ER HH UH D
+neighborly N EY B ER L IY
+neither N IY DH ER
+neon N IY AA N
+nephew N EH F Y UW
+nerve N ER V
+nervous N ER V AH S
+nervously N ER V AH S L IY
+nervousness N ER V AH S N AH S
+nest N EH S T
+nested N EH S T AH D
+nestle N EH S AH L
+net N EH T
+nether N EH DH ER
+network N EH T W ER K
+neural N UH R AH L
+neurologist N UH R AA L AH JH AH S T
+neurology N UH R AA L AH JH IY
+neurons N UH R AA N Z
+neuroses N UH R OW S IY Z
+neurosis N UH R OW S AH S
+neurotic N UH R AA T IH K
+neuter N UW T ER
+neutral N UW T R AH L
+neutrality N UW T R AE L AH T IY
+neutralize N UW T R AH L AY Z
+neutron N UW T R AA N
+never N EH V ER
+nevertheless N EH V ER DH AH L EH S
+new N UW
+newbie N UW B IY
+newborn N UW B AO R N
+newcomer N UW K AH M ER
+newer N UW ER
+newest N UW AH S T
+newfangled N UW F AE NG G AH L D
+newly N UW L IY
+newscast N UW Z K AE S T
+newscaster N UW Z K AE S T ER
+newsletter N UW Z L EH T ER
+newspaper N UW Z P EY P ER
+newsstand N UW Z S T AE N D
+newt N UW T
+newton N UW T AH N
+next N EH K S T
+nibble N IH B AH L
+nice N AY S
+nicely N AY S L IY
+nicer N AY S ER
+nicest N AY S IH S T
+niceties N AY S IH T IY Z
+niche N IH CH
+nick N IH K
+nickel N IH K AH L
+nickname N IH K N EY M
+nicotine N IH K AH T IY N
+niece N IY S
+nifty N IH F T IY
+nigh N AY
+night N AY T
+nightclub N AY T K L AH B
+nightfall N AY T F AO L
+nightingale N AY T IH NG G EY L
+nightly N AY T L IY
+nightmare N AY T M EH R
+nightmarish N AY T M EH R IH SH
+nighttime N AY T T AY M
+nil N IH L
+nimble N IH M B AH L
+nincompoop N IH NG K AH M P UW P
+nine N AY N
+nineteen N AY N T IY N
+nineteenth N AY N T IY N TH
+ninety N AY N T IY
+ninny N IH N IY
+ninth N AY N TH
+nip N IH P
+nipple N IH P AH L
+nippy N IH P IY
+nitrate N AY T R EY T
+nitrogen N AY T R AH JH AH N
+no N OW
+nobility N OW B IH L AH T IY
+noble N OW B AH L
+nobleman N OW B AH L M AH N
+nobler N OW B L ER
+noblest N OW B L IH S T
+nobly N AA B L IY
+nobody N OW B AA D IY
+nocturnal N AA K T ER N AH L
+nod N AA D
+nodded N AA D AH D
+node N OW D
+nodes N OW D Z
+noise N OY Z
+noisy N OY Z IY
+nomad N OW M AE D
+nomadic N OW M AE D IH K
+nomenclature N OW M AH N K L EY CH ER
+nominal N AA M AH N AH L
+nominally N AA M AH N AH L IY
+nominate N AA M AH N AH T
+nominated N AA M AH N EY T AH D
+nominates N AA M AH N EY T S
+nominating N AA M AH N EY T IH NG
+nomination N AA M AH N EY SH AH N
+nominee N AA M AH N IY
+non N AA N
+nonchalant N AA N SH AH L AA N T
+nondescript N AA N D IH S K R IH P T
+none N AH N
+nonetheless N AH N DH AH L EH S
+nonfiction N AA N F IH K SH AH N
+nonprofit N AA N P R AA F AH T
+nonsense N AA N S EH N S
+nonsensical N AA N S EH N S IH K AH L
+nonstop N AA N S T AA P
+noodle N UW D AH L
+nook N UH K
+noon N UW N
+noose N UW S
+nor N AO R
+norm N AO R M
+normal N AO R M AH L
+normality N AO R M AE L AH T IY
+normally N AO R M AH L IY
+north N AO R TH
+northeast N AO R TH IY S T
+northeastern N AO R TH IY S T ER N
+northern N AO R DH ER N
+northward N AO R TH W ER D
+northwest N AO R TH W EH S T
+northwestern N AO R TH W EH S T ER N
+nose N OW Z
+nosebleed N OW Z B L IY D
+nostalgia N AO S T AE L JH AH
+nostalgic N AO S T AE L JH IH K
+nostril N AA S T R IH L
+nostrils N AA S T R AH L Z
+nosy N OW Z IY
+not N AA T
+notable N OW T AH B AH L
+notably N OW T AH B L IY
+notation N OW T EY SH AH N
+notch N AA CH
+notches N AA CH AH Z
+note N OW T
+notebook N OW T B UH K
+noted N OW T AH D
+notes N OW T S
+nothing N AH TH IH NG
+nothingness N AH TH IH NG N AH S
+notice N OW T AH S
+noticeable N OW T AH S AH B AH L
+noticeably N OW T IH S AH B L IY
+notices N OW T AH S AH Z
+noticing N OW T IH S IH NG
+notification N OW T AH F AH K EY SH AH N
+notify N OW T AH F AY
+noting N OW T IH NG
+notion N OW SH AH N
+notoriety N OW T ER AY AH T IY
+notorious N OW T AO R IY AH S
+notoriously N OW T AO R IY AH S L IY
+notwithstanding N AA T W IH TH S T AE N D IH NG
+noun N AW N
+nourish N ER IH SH
+nourishment N ER IH SH M AH N T
+nova N OW V AH
+novel N AA V AH L
+novelist N AA V AH L AH S T
+novelty N AA V AH L T IY
+novice N AA V AH S
+now N AW
+nowadays N AW AH D EY Z
+nowhere N OW W EH R
+noxious N AA K SH AH S
+nozzle N AA Z AH L
+nuance N UW AA N S
+nuclear N UW K L IY ER
+nucleus N UW K L IY AH S
+nude N UW D
+nudge N AH JH
+nudity N UW D IH T IY
+nugget N AH G IH T
+nuggets N AH G AH T S
+nuisance N UW S AH N S
+null N AH L
+nullify N AH L AH F AY
+numb N AH M
+number N AH M B ER
+numbness N AH M N AH S
+numeral N UW M ER AH L
+numeric N UW M EH R IH K
+numerical N UW M EH R AH K AH L
+numerous N UW M ER AH S
+nun N AH N
+nuptials N AH P CH AH L Z
+nurse N ER S
+nursery N ER S ER IY
+nurses N ER S AH Z
+nurture N ER CH ER
+nut N AH T
+nutcracker N AH T K R AE K ER
+nutmeg N AH T M EH G
+nutrient N UW T R IY AH N T
+nutrition N UW T R IH SH AH N
+nutritional N UW T R IH SH AH N AH L
+nutritious N UW T R IH SH AH S
+nutshell N AH T SH EH L
+nutty N AH T IY
+nuzzling N AH Z AH L IH NG
+nylon N AY L AA N
+nymph N IH M F
+oak OW K
+oar AO R
+oasis OW EY S IH S
+oath OW TH
+oaths OW DH Z
+oatmeal OW T M IY L
+obedience OW B IY D IY AH N S
+obedient OW B IY D IY AH N T
+obese OW B IY S
+obesity OW B IY S AH T IY
+obey OW B EY
+obituary OW B IH CH UW EH R IY
+object AA B JH EH K T
+objected AH B JH EH K T AH D
+objecting AH B JH EH K T IH NG
+objection AH B JH EH K SH AH N
+objectionable AH B JH EH K SH AH N AH B AH L
+objective AH B JH EH K T IH V
+objectively AA B JH EH K T IH V L IY
+objectivity AA B JH EH K T IH V IH T IY
+objector AH B JH EH K T ER
+obligated AA B L AH G EY T IH D
+obligation AA B L AH G EY SH AH N
+obligatory AH B L IH G AH T AO R IY
+oblige AH B L AY JH
+oblique AH B L IY K
+obliterate AH B L IH T ER EY T
+oblivion AH B L IH V IY AH N
+oblivious AH B L IH V IY AH S
+obnoxious AA B N AA K SH AH S
+oboe OW B OW
+obscene AA B S IY N
+obscenities AA B S EH N IH T IY Z
+obscenity AH B S EH N IH T IY
+obscure AH B S K Y UH R
+obscurity AH B S K Y UH R AH T IY
+observant AH B Z ER V AH N T
+observation AA B Z ER V EY SH AH N
+observatory AH B Z ER V AH T AO R IY
+observe AH B Z ER V
+observer AH B Z ER V ER
+obsess AH B S EH S
+obsession AH B S EH SH AH N
+obsessive AH B S EH S IH V
+obsolete AA B S AH L IY T
+obstacle AA B S T AH K AH L
+obstetrician AA B S T AH T R IH SH AH N
+obstinate AA B S T AH N AH T
+obstruct AH B S T R AH K T
+obstruction AH B S T R AH K SH AH N
+obtain AH B T EY N
+obtainable AH B T EY N AH B AH L
+obtuse AA B T UW S
+obvious AA B V IY AH S
+obviously AA B V IY AH S L IY
+occasion AH K EY ZH AH N
+occasional AH K EY ZH AH N AH L
+occasionally AH K EY ZH AH N AH L IY
+occupancy AA K Y AH P AH N S IY
+occupant AA K Y AH P AH N T
+occupation AA K Y AH P EY SH AH N
+occupational AA K Y AH P EY SH AH N AH L
+occupy AA K Y AH P AY
+occur AH K ER
+occurrence AH K ER AH N S
+ocean OW SH AH N
+oceanic OW SH IY AE N IH K
+octagon AA K T AH G AA N
+octave AA K T IH V
+octopus AA K T AH P UH S
+ocular AO K Y UW L ER
+odd AA D
+oddest AA D AH S T
+oddly AA D L IY
+ode OW D
+odious OW D IY AH S
+odometer OW D AA M AH T ER
+odor OW D ER
+of AH V
+off AO F
+offbeat AO F B IY T
+offend AH F EH N D
+offended AH F EH N D AH D
+offender AH F EH N D ER
+offense AH F EH N S
+offensive AH F EH N S IH V
+offer AO F ER
+offhand AO F HH AE N D
+office AO F IH S
+officer AO F AH S ER
+offices AO F AH S AH Z
+official AH F IH SH AH L
+officially AH F IH SH AH L IY
+officiate AH F IH SH IY EY T
+offset AO F S EH T
+offshore AO F SH AO R
+offspring AO F S P R IH NG
+offstage AO F S T EY JH
+often AO F AH N
+ogle OW G AH L
+ogre OW G ER
+oh OW
+oil OY L
+oily OY L IY
+ointment OY N T M AH N T
+okay OW K EY
+okra OW K R AH
+old OW L D
+olden OW L D AH N
+older OW L D ER
+oldest OW L D AH S T
+olfactory OW L F AE K T ER IY
+olive AA L AH V
+olives AA L IH V Z
+omega OW M EH G AH
+omelet AA M L AH T
+omen OW M AH N
+ominous AA M AH N AH S
+omission OW M IH SH AH N
+omit OW M IH T
+omitted OW M IH T AH D
+omnipotent AA M N IH P AH T AH N T
+omniscient AA M N IH SH AH N T
+on AA N
+once W AH N S
+oncoming AO N K AH M IH NG
+one W AH N
+ones W AH N Z
+oneself W AH N S EH L F
+ongoing AA N G OW IH NG
+onion AH N Y AH N
+onlookers AO N L UH K ER Z
+only OW N L IY
+onset AA N S EH T
+onslaught AO N S L AO T
+onto AA N T UW
+onus OW N AH S
+onward AO N W ER D
+oodles UW D AH L Z
+ooze UW Z
+opal OW P AH L
+open OW P AH N
+opener OW P AH N ER
+openly OW P AH N L IY
+openness OW P AH N N AH S
+opera AA P R AH
+operate AA P ER EY T
+operated AA P ER EY T AH D
+operatic AA P ER AE T IH K
+operation AA P ER EY SH AH N
+operational AA P ER EY SH AH N AH L
+operative AA P ER AH T IH V
+operator AA P ER EY T ER
+ophthalmologist AA P TH AH M AA L AH JH IH S T
+opinion AH P IH N Y AH N
+opinionated AH P IH N Y AH N EY T IH D
+opium OW P IY AH M
+opponent AH P OW N AH N T
+opportune AA P ER T UW N
+opportunist AA P ER T UW N IH S T
+opportunity AA P ER T UW N AH T IY
+oppose AH P OW Z
+opposite AA P AH Z AH T
+opposition AA P AH Z IH SH AH N
+oppress AH P R EH S
+oppression AH P R EH SH AH N
+oppressive AH P R EH S IH V
+oppressor AH P R EH S ER
+opt AA P T
+optic AA P T IH K
+optical AA P T IH K AH L
+optimal AA P T AH M AH L
+optimism AA P T AH M IH Z AH M
+optimist AA P T AH M IH S T
+optimistic AA P T AH M IH S T IH K
+optimization AA P T AH M AH Z EY SH AH N
+optimize AA P T AH M AY Z
+optimum AA P T AH M AH M
+option AA P SH AH N
+optional AA P SH AH N AH L
+optometrist AA P T AA M AH T R IH S T
+opus OW P AH S
+or AO R
+oracle AO R AH K AH L
+oral AO R AH L
+orange AO R AH N JH
+oranges AO R AH N JH AH Z
+orangutan AO R AE NG AH T AE N
+orbit AO R B AH T
+orbital AO R B AH T AH L
+orchard AO R CH ER D
+orchestra AO R K AH S T R AH
+orchestral AO R K EH S T R AH L
+orchestrate AO R K IH S T R EY T
+orchid AO R K AH D
+ordained AO R D EY N D
+ordeal AO R D IY L
+order AO R D ER
+orderly AO R D ER L IY
+ordinance AO R D AH N AH N S
+ordinarily AO R D AH N EH R AH L IY
+ordinary AO R D AH N EH R IY
+ore AO R
+organ AO R G AH N
+organic AO R G AE N IH K
+organism AO R G AH N IH Z AH M
+organist AO R G AH N AH S T
+organization AO R G AH N AH Z EY SH AH N
+organizational AO R G AH N AH Z EY SH AH N AH L
+organize AO R G AH N AY Z
+organizer AO R G AH N AY Z ER
+orgasm AO R G AE Z AH M
+orgy AO R JH IY
+orient AO R IY EH N T
+oriental AO R IY EH N T AH L
+orientated AO R IY AH N T EY T IH D
+orientation AO R IY EH N T EY SH AH N
+oriented AO R IY EH N T AH D
+orifice AO R AH F AH S
+origin AO R AH JH AH N
+original ER IH JH AH N AH L
+originality ER IH JH AH N AE L IH T IY
+originally ER IH JH AH N AH L IY
+originate ER IH JH AH N EY T
+originated ER IH JH AH N EY T AH D
+originator ER IH JH AH N EY T ER
+origins AO R AH JH IH N Z
+ornament AO R N AH M AH N T
+ornate AO R N EY T
+orphan AO R F AH N
+orphanage AO R F AH N AH JH
+orphanages AO R F AH N IH JH IH Z
+orthodontist AO R TH AH D AA N T AH S T
+orthodox AO R TH AH D AA K S
+osmosis AO Z M OW S IH S
+ostensibly AA S T EH N S AH B L IY
+ostentatious AA S T AH N T EY SH AH S
+ostracized AO S T R AH S AY Z D
+ostrich AO S T R IH CH
+ostriches AA S T R IH CH IH Z
+other AH DH ER
+otherwise AH DH ER W AY Z
+otter AA T ER
+ouch AW CH
+ought AO T
+ounce AW N S
+ounces AW N S AH Z
+our AW ER
+ourselves AW ER S EH L V Z
+out AW T
+outbound AW T B AW N D
+outbreak AW T B R EY K
+outburst AW T B ER S T
+outcast AW T K AE S T
+outclassed AW T K L AE S T
+outcome AW T K AH M
+outcry AW T K R AY
+outdated AW T D EY T IH D
+outdid AW T D IH D
+outdo AW T D UW
+outdone AW T D AH N
+outdoor AW T D AO R
+outed AW T AH D
+outer AW T ER
+outfield AW T F IY L D
+outfit AW T F IH T
+outgoing AW T G OW IH NG
+outgrew AW T G R UW
+outgrow AW T G R OW
+outgrown AW T G R OW N
+outhouse AW T HH AW S
+outlandish AW T L AE N D IH SH
+outlast AW T L AE S T
+outlaw AW T L AO
+outlet AW T L EH T
+outline AW T L AY N
+outlive AW T L IH V
+outlook AW T L UH K
+outlying AW T L AY IH NG
+outnumber AW T N AH M B ER
+outpatient AW T P EY SH AH N T
+outpost AW T P OW S T
+output AW T P UH T
+outrage AW T R EY JH
+outrageous AW T R EY JH AH S
+outrageously AW T R EY JH AH S L IY
+outright AW T R AY T
+outrun AW T R AH N
+outset AW T S EH T
+outside AW T S AY D
+outsider AW T S AY D ER
+outskirts AW T S K ER T S
+outsmart AW T S M AA R T
+outspoken AW T S P OW K AH N
+outstanding AW T S T AE N D IH NG
+outward AW T W ER D
+outwardly AW T W ER D L IY
+outweigh AW T W EY
+outwit AW T W IH T
+ova OW V AH
+oval OW V AH L
+ovary OW V ER IY
+ovation OW V EY SH AH N
+oven AH V AH N
+over OW V ER
+overall OW V ER AO L
+overbearing OW V ER B EH R IH NG
+overblown OW V ER B L OW N
+overboard OW V ER B AO R D
+overcame OW V ER K EY M
+overcast OW V ER K AE S T
+overcharge OW V ER CH AA R JH
+overcoat OW V ER K OW T
+overcome OW V ER K AH M
+overcrowded OW V ER K R AW D IH D
+overdid OW V ER D IH D
+overdo OW V ER D UW
+overdone OW V ER D AH N
+overdose OW V ER D OW S
+overdosed OW V ER D OW S T
+overdraft OW V ER D R AE F T
+overdrawn OW V ER D R AO N
+overdue OW V ER D UW
+overestimate OW V ER EH S T AH M EY T
+overflow OW V ER F L OW
+overgrown OW V ER G R OW N
+overhaul OW V ER HH AO L
+overhead OW V ER HH EH D
+overhear OW V ER HH IY R
+overheard OW V ER HH ER D
+overheat OW V ER HH IY T
+overkill OW V ER K IH L
+overland OW V ER L AE N D
+overlap OW V ER L AE P
+overlay OW V ER L EY
+overload OW V ER L OW D
+overlook OW V ER L UH K
+overly OW V ER L IY
+overnight OW V ER N AY T
+overpass OW V ER P AE S
+overpower OW V ER P AW ER
+overpowering OW V ER P AW R IH NG
+overprice OW V ER P R AY S
+overran OW V ER R AE N
+overrated OW V ER R EY T IH D
+overreact OW V ER R IY AE K T
+overridden OW V ER R IH D AH N
+override OW V ER R AY D
+overrode OW V ER R OW D
+overrule OW V ER R UW L
+overrun OW V ER R AH N
+overseas OW V ER S IY Z
+oversee OW V ER S IY
+overseer OW V ER S IY ER
+overshadowed OW V ER SH AE D OW D
+overshot OW V ER SH AA T
+oversight OW V ER S AY T
+overslept OW V ER S L EH P T
+overstated OW V ER S T EY T IH D
+overstating OW V ER S T EY T IH NG
+overstep OW V ER S T EH P
+overt OW V ER T
+overtake OW V ER T EY K
+overtaken OW V ER T EY K AH N
+overthrow OW V ER TH R OW
+overthrown OW V ER TH R OW N
+overtime OW V ER T AY M
+overtly OW V ER T L IY
+overtone OW V ER T OW N
+overture OW V ER CH ER
+overtures OW V ER CH UH R Z
+overturn OW V ER T ER N
+overview OW V ER V Y UW
+overweight OW V ER W EY T
+overwhelm OW V ER W EH L M
+overwhelmingly OW V ER W EH L M IH NG L IY
+overwork OW V ER W ER K
+overwriting OW V ER R AY T IH NG
+overwritten OW V ER R IH T AH N
+overwrought OW V ER R AO T
+owe OW
+owl AW L
+own OW N
+owner OW N ER
+ownership OW N ER SH IH P
+ox AA K S
+oxen AA K S AH N
+oxidation AA K S AH D EY SH AH N
+oxide AA K S AY D
+oxidized AA K S AH D AY Z D
+oxygen AA K S AH JH AH N
+oyster OY S T ER
+ozone OW Z OW N
+pa P AA
+pace P EY S
+pacemaker P EY S M EY K ER
+pacific P AH S IH F IH K
+pacifier P AE S AH F AY ER
+pacifist P AE S IH F IH S T
+pacify P AE S AH F AY
+pack P AE K
+package P AE K AH JH
+packaged P AE K IH JH D
+packages P AE K AH JH AH Z
+packaging P AE K IH JH IH NG
+packer P AE K ER
+packet P AE K AH T
+packets P AE K IH T S
+pact P AE K T
+pad P AE D
+paddle P AE D AH L
+paddock P AE D AH K
+paddy P AE D IY
+padlock P AE D L AA K
+pagan P EY G AH N
+page P EY JH
+pageant P AE JH AH N T
+pageantry P AE JH AH N T R IY
+pager P EY JH ER
+pages P EY JH AH Z
+pagoda P AH G OW D AH
+paid P EY D
+pail P EY L
+pain P EY N
+painful P EY N F AH L
+painfully P EY N F AH L IY
+painless P EY N L AH S
+painlessly P EY N L AH S L IY
+painstaking P EY N S T EY K IH NG
+paint P EY N T
+painter P EY N T ER
+pair P EH R
+pajamas P AH JH AA M AH Z
+pal P AE L
+palace P AE L AH S
+palaces P AE L AH S AH Z
+palatable P AE L AH T AH B AH L
+palate P AE L AH T
+palatial P AH L EY SH AH L
+pale P EY L
+paleontologist P EY L IY AH N T AA L AH JH IH S T
+paleontology P EY L IY AH N T AA L AH JH IY
+pales P EY L Z
+palette P AE L AH T
+pall P AA L
+palm P AA M
+palomino P AE L AH M IY N OW
+palpable P AE L P AH B AH L
+paltry P AO L T R IY
+pamper P AE M P ER
+pamphlet P AE M F L AH T
+pan P AE N
+pancake P AE N K EY K
+pancreas P AE N K R IY AH S
+pancreatic P AE N K R IY AE T IH K
+panda P AE N D AH
+pandemonium P AE N D IH M OW N IY AH M
+pandering P AE N D ER IH NG
+pane P EY N
+panel P AE N AH L
+pang P AE NG
+panhandle P AE N HH AE N D AH L
+panhandler P AE N HH AE N D L ER
+panhandling P AE N HH AE N D L IH NG
+panic P AE N IH K
+panicked P AE N IH K T
+panicking P AE N IH K IH NG
+panicky P AE N IH K IY
+pansy P AE N Z IY
+pant P AE N T
+panther P AE N TH ER
+panties P AE N T IY Z
+pantomime P AE N T AH M AY M
+pantry P AE N T R IY
+pap P AE P
+papa P AA P AH
+papal P EY P AH L
+papaya P AH P AY AH
+paper P EY P ER
+paperback P EY P ER B AE K
+paperweight P EY P ER W EY T
+paperwork P EY P ER W ER K
+paprika P AE P R IY K AH
+par P AA R
+parachute P EH R AH SH UW T
+parade P ER EY D
+paradigm P EH R AH D AY M
+paradise P EH R AH D AY S
+paradox P EH R AH D AA K S
+paraffin P EH R AH F AH N
+paragon P EH R AH G AA N
+paragraph P AE R AH G R AE F
+parakeet P EH R AH K IY T
+parallel P EH R AH L EH L
+paralysis P ER AE L AH S AH S
+paralyze P EH R AH L AY Z
+parameter P ER AE M AH T ER
+paramount P EH R AH M AW N T
+paranoia P EH R AH N OY AH
+paranoid P EH R AH N OY D
+paraphernalia P EH R AH F AH N EY L Y AH
+paraphrase P EH R AH F R EY Z
+paraplegic P EH R AH P L EH G IH K
+parasite P EH R AH S AY T
+parasitic P EH R AH S IH T IH K
+paratrooper P EH R AH T R UW P ER
+parcel P AA R S AH L
+parched P AA R CH T
+parchment P AA R CH M AH N T
+pardon P AA R D AH N
+parent P EH R AH N T
+parental P ER EH N T AH L
+parentheses P ER EH N TH AH S IY Z
+parenthesis P ER EH N TH AH S IH S
+parenthood P EH R AH N T HH UH D
+parish P AE R IH SH
+parishioners P ER IH SH AH N ER Z
+parity P EH R AH T IY
+park P AA R K
+parka P AA R K AH
+parkway P AA R K W EY
+parliament P AA R L AH M AH N T
+parliamentary P AA R L AH M EH N T ER IY
+parlor P AA R L ER
+parochial P ER OW K IY AH L
+parody P EH R AH D IY
+parole P ER OW L
+parrot P EH R AH T
+parse P AA R S
+parsed P AA R S T
+parsing P AA R S IH NG
+parsley P AA R S L IY
+parson P AA R S AH N
+part P AA R T
+partake P AA R T EY K
+partial P AA R SH AH L
+partially P AA R SH AH L IY
+participant P AA R T IH S AH P AH N T
+participate P AA R T IH S AH P EY T
+participation P AA R T IH S AH P EY SH AH N
+particle P AA R T AH K AH L
+particular P ER T IH K Y AH L ER
+particularly P AA R T IH K Y AH L ER L IY
+partition P AA R T IH SH AH N
+partly P AA R T L IY
+partner P AA R T N ER
+partnership P AA R T N ER SH IH P
+partridge P AA R T R AH JH
+party P AA R T IY
+pass P AE S
+passable P AE S AH B AH L
+passage P AE S AH JH
+passages P AE S AH JH AH Z
+passageway P AE S AH JH W EY
+passbook P AE S B UH K
+passenger P AE S AH N JH ER
+passes P AE S AH Z
+passion P AE SH AH N
+passionate P AE SH AH N AH T
+passionately P AE SH AH N AH T L IY
+passive P AE S IH V
+passport P AE S P AO R T
+password P AE S W ER D
+past P AE S T
+pasta P AA S T AH
+paste P EY S T
+pasted P EY S T IH D
+pastel P AE S T EH L
+pastime P AE S T AY M
+pasting P EY S T IH NG
+pastor P AE S T ER
+pastry P EY S T R IY
+pasture P AE S CH ER
+pat P AE T
+patch P AE CH
+patches P AE CH AH Z
+pate P EY T
+patent P AE T AH N T
+patently P AE T AH N T L IY
+paternal P AH T ER N AH L
+paternity P AH T ER N IH T IY
+path P AE TH
+pathetic P AH TH EH T IH K
+pathetically P AH TH EH T IH K AH L IY
+pathological P AE TH AH L AA JH IH K AH L
+pathologist P AH TH AA L AH JH AH S T
+pathology P AH TH AA L AH JH IY
+pathos P EY TH AA S
+paths P AE DH Z
+pathway P AE TH W EY
+patience P EY SH AH N S
+patient P EY SH AH N T
+patiently P EY SH AH N T L IY
+patio P AE T IY OW
+patriarch P EY T R IY AA R K
+patriarchal P EY T R IY AA R K AH L
+patriot P EY T R IY AH T
+patriotic P EY T R IY AA T IH K
+patriotism P EY T R IY AH T IH Z AH M
+patrol P AH T R OW L
+patron P EY T R AH N
+patronage P AE T R AH N IH JH
+patronize P EY T R AH N AY Z
+patronizes P EY T R AH N AY Z AH Z
+patter P AE T ER
+pattern P AE T ER N
+patty P AE T IY
+pauper P AO P ER
+pause P AO Z
+pauses P AO Z AH Z
+pave P EY V
+pavement P EY V M AH N T
+pavilion P AH V IH L Y AH N
+paw P AO
+pawn P AO N
+pay P EY
+payable P EY AH B AH L
+payload P EY L OW D
+payment P EY M AH N T
+payoff P EY AO F
+payroll P EY R OW L
+pea P IY
+peace P IY S
+peaceful P IY S F AH L
+peacefully P IY S F AH L IY
+peacemaker P IY S M EY K ER
+peach P IY CH
+peaches P IY CH AH Z
+peacock P IY K AA K
+peak P IY K
+peanut P IY N AH T
+pear P EH R
+pearl P ER L
+peasant P EH Z AH N T
+peat P IY T
+pebble P EH B AH L
+pecan P AH K AA N
+pecans P IH K AE N Z
+peck P EH K
+peculiar P AH K Y UW L Y ER
+peculiarities P IH K Y UW L IY EH R AH T IY Z
+pedal P EH D AH L
+pedant P EH D AH N T
+pedantic P AH D AE N T IH K
+pedantry P EH D AH N T R IY
+peddle P EH D AH L
+peddler P EH D L ER
+pedestal P EH D AH S T AH L
+pedestrian P AH D EH S T R IY AH N
+pediatrician P IY D IY AH T R IH SH AH N
+pediatrics P IY D IY AE T R IH K S
+pedigree P EH D AH G R IY
+peek P IY K
+peel P IY L
+peep P IY P
+peer P IH R
+peering P IY R IH NG
+peerless P IH R L IH S
+peeved P IY V D
+peg P EH G
+pelican P EH L AH K AH N
+pellet P EH L AH T
+pelt P EH L T
+pelvic P EH L V IH K
+pelvis P EH L V AH S
+pen P EH N
+penal P IY N AH L
+penalize P EH N AH L AY Z
+penalized P IY N AH L AY Z D
+penalty P EH N AH L T IY
+penance P EH N AH N S
+pence P EH N S
+penchant P EH N CH AH N T
+pencil P EH N S AH L
+pendant P EH N D AH N T
+pending P EH N D IH NG
+pendulum P EH N JH AH L AH M
+penetrate P EH N AH T R EY T
+penetration P EH N AH T R EY SH AH N
+penguin P EH NG G W AH N
+penicillin P EH N AH S IH L AH N
+peninsula P AH N IH N S AH L AH
+penis P IY N IH S
+penitent P EH N IH T IH N T
+penitentiary P EH N IH T EH N CH ER IY
+pennant P EH N AH N T
+penniless P EH N IY L AH S
+penny P EH N IY
+pension P EH N SH AH N
+pensive P EH N S IH V
+pentagon P EH N T IH G AA N
+penthouse P EH N T HH AW S
+penultimate P EH N AH L T AH M AH T
+peon P IY AH N
+people P IY P AH L
+pep P EH P
+pepper P EH P ER
+peppermint P EH P ER M IH N T
+per P ER
+perceive P ER S IY V
+percent P ER S EH N T
+percentage P ER S EH N T AH JH
+percentages P ER S EH N T IH JH IH Z
+perception P ER S EH P SH AH N
+perceptive P ER S EH P T IH V
+perch P ER CH
+perchance P ER CH AE N S
+percolating P ER K AH L EY T IH NG
+percussion P ER K AH SH AH N
+perennial P ER EH N IY AH L
+perfect P ER F EH K T
+perfection P ER F EH K SH AH N
+perfectionist P ER F EH K SH AH N AH S T
+perfectly P ER F AH K T L IY
+perforated P ER F ER EY T IH D
+perform P ER F AO R M
+performance P ER F AO R M AH N S
+performances P ER F AO R M AH N S AH Z
+performer P ER F AO R M ER
+perfume P ER F Y UW M
+perhaps P ER HH AE P S
+peril P EH R AH L
+perilous P EH R AH L AH S
+perimeter P ER IH M AH T ER
+period P IH R IY AH D
+periodic P IH R IY AA D IH K
+periodically P IY R IY AA D IH K AH L IY
+periodicals P IH R IY AA D IH K AH L Z
+peripheral P ER IH F ER AH L
+periphery P ER IH F ER IY
+periscope P EH R AH S K OW P
+perish P EH R IH SH
+perishable P EH R IH SH AH B AH L
+perjured P ER JH ER D
+perjury P ER JH ER IY
+perk P ER K
+perky P ER K IY
+permanence P ER M AH N AH N S
+permanent P ER M AH N AH N T
+permanently P ER M AH N AH N T L IY
+permissible P ER M IH S AH B AH L
+permission P ER M IH SH AH N
+permit P ER M IH T
+pernicious P ER N IH SH AH S
+peroxide P ER AA K S AY D
+perpendicular P ER P AH N D IH K Y AH L ER
+perpetrated P ER P AH T R EY T IH D
+perpetrator P ER P AH T R EY T ER
+perpetual P ER P EH CH UW AH L
+perpetually P ER P EH CH UW AH L IY
+perpetuate P ER P EH CH AH W EY T
+perplexed P ER P L EH K S T
+perplexing P ER P L EH K S IH NG
+persecute P ER S AH K Y UW T
+persecuting P ER S IH K Y UW T IH NG
+persecution P ER S AH K Y UW SH AH N
+perseverance P ER S AH V IH R AH N S
+persevere P ER S AH V IH R
+persist P ER S IH S T
+persistence P ER S IH S T AH N S
+persistent P ER S IH S T AH N T
+persistently P ER S IH S T AH N T L IY
+person P ER S AH N
+persona P ER S OW N AH
+personable P ER S AH N AH B AH L
+personal P ER S IH N AH L
+personality P ER S AH N AE L IH T IY
+personalize P ER S AH N AH L AY Z
+personally P ER S AH N AH L IY
+personals P ER S IH N IH L Z
+personification P ER S AA N AH F AH K EY SH AH N
+personified P ER S AA N AH F AY D
+personnel P ER S AH N EH L
+perspective P ER S P EH K T IH V
+perspiration P ER S P ER EY SH AH N
+perspire P ER S P AY R
+persuade P ER S W EY D
+persuasion P ER S W EY ZH AH N
+persuasive P ER S W EY S IH V
+pert P ER T
+pertain P ER T EY N
+pertinent P ER T IH N IH N T
+perturbed P ER T ER B D
+peruse P ER UW Z
+pervasive P ER V EY S IH V
+perverse P ER V ER S
+perversion P ER V ER ZH AH N
+pervert P ER V ER T
+pesky P EH S K IY
+pessimism P EH S AH M IH Z AH M
+pessimist P EH S AH M AH S T
+pessimistic P EH S AH M IH S T IH K
+pest P EH S T
+pester P EH S T ER
+pesticide P EH S T AH S AY D
+pestilence P EH S T AH L AH N S
+pet P EH T
+petal P EH T AH L
+peter P IY T ER
+petite P AH T IY T
+petition P AH T IH SH AH N
+petrified P EH T R AH F AY D
+petrol P EH T R OW L
+petroleum P AH T R OW L IY AH M
+petticoat P EH T IY K OW T
+petty P EH T IY
+petulant P EH CH AH L AH N T
+petunia P AH T UW N IY AH
+pew P Y UW
+pewter P Y UW T ER
+phantom F AE N T AH M
+pharmaceutical F AA R M AH S UW T IH K AH L
+pharmacist F AA R M AH S IH S T
+pharmacy F AA R M AH S IY
+phase F EY Z
+phases F EY Z AH Z
+pheasant F EH Z AH N T
+phenomena F AH N AA M AH N AH
+phenomenal F AH N AA M AH N AH L
+phenomenon F AH N AA M AH N AA N
+philanthropic F IH L AH N TH R AA P IH K
+philanthropist F AH L AE N TH R AH P AH S T
+philosopher F AH L AA S AH F ER
+philosophical F IH L AH S AA F IH K AH L
+philosophy F AH L AA S AH F IY
+phlegm F L EH M
+phobia F OW B IY AH
+phoenix F IY N IH K S
+phone F OW N
+phonetic F AH N EH T IH K
+phonograph F OW N AH G R AE F
+phony F OW N IY
+phosphorus F AA S F ER AH S
+photo F OW T OW
+photocopy F OW T OW K AA P IY
+photogenic F OW T AH JH EH N IH K
+photograph F OW T AH G R AE F
+photographer F AH T AA G R AH F ER
+photographic F OW T AH G R AE F IH K
+photography F AH T AA G R AH F IY
+photon F OW T AA N
+photosynthesis F OW T OW S IH N TH AH S IH S
+phrase F R EY Z
+phrases F R EY Z AH Z
+physical F IH Z IH K AH L
+physically F IH Z IH K AH L IY
+physician F AH Z IH SH AH N
+physicist F IH Z IH S IH S T
+physics F IH Z IH K S
+physiological F IH Z IY AH L AA JH IH K AH L
+physiology F IH Z IY AA L AH JH IY
+physique F AH Z IY K
+pi P AY
+pianist P IY AE N AH S T
+piano P IY AE N OW
+piccolo P IH K AH L OW
+pick P IH K
+picket P IH K IH T
+picketing P IH K AH T IH NG
+pickets P IH K AH T S
+pickle P IH K AH L
+pickpocket P IH K P AA K AH T
+pickup P IH K AH P
+picky P IH K IY
+picnic P IH K N IH K
+pictorial P IH K T AO R IY AH L
+picture P IH K CH ER
+picturesque P IH K CH ER AH S K
+pie P AY
+piece P IY S
+pieces P IY S AH Z
+pier P IH R
+pierce P IH R S
+piety P AY AH T IY
+pig P IH G
+pigeon P IH JH AH N
+piggyback P IH G IY B AE K
+pigment P IH G M AH N T
+pike P AY K
+pile P AY L
+pilfering P IH L F ER IH NG
+pilgrim P IH L G R AH M
+pilgrimage P IH L G R AH M AH JH
+pill P IH L
+pillage P IH L IH JH
+pillar P IH L ER
+pillow P IH L OW
+pilot P AY L AH T
+pimple P IH M P AH L
+pin P IH N
+pinch P IH N CH
+pine P AY N
+pineapple P AY N AE P AH L
+pines P AY N Z
+pining P AY N IH NG
+pink P IH NG K
+pinnacle P IH N AH K AH L
+pinpoint P IH N P OY N T
+pint P AY N T
+pioneer P AY AH N IH R
+pious P AY AH S
+pipe P AY P
+pipeline P AY P L AY N
+pique P IY K
+piracy P AY R AH S IY
+piranha P IH R AE N HH AH
+pirate P AY R AH T
+pirouette P IH R UW EH
+pistachio P AH S T AE SH IY OW
+pistol P IH S T AH L
+piston P IH S T AH N
+pit P IH T
+pitch P IH CH
+pitcher P IH CH ER
+pitchfork P IH CH F AO R K
+pitfall P IH T F AO L
+pithy P IH TH IY
+pitiful P IH T AH F AH L
+pitifully P IH T IH F AH L IY
+pittance P IH T AH N S
+pity P IH T IY
+pivot P IH V AH T
+pivotal P IH V AH T AH L
+pixie P IH K S IY
+pizza P IY T S AH
+placate P L EY K EY T
+place P L EY S
+placement P L EY S M AH N T
+placenta P L AH S EH N T AH
+places P L EY S AH Z
+placid P L AE S AH D
+plagiarism P L EY JH ER IH Z AH M
+plague P L EY G
+plaid P L AE D
+plain P L EY N
+plainly P L EY N L IY
+plaintiff P L EY N T AH F
+plaintiffs P L EY N T IH F S
+plan P L AE N
+plane P L EY N
+planes P L EY N Z
+planet P L AE N AH T
+planetarium P L AE N AH T EH R IY AH M
+planetary P L AE N AH T EH R IY
+plank P L AE NG K
+plankton P L AE NG K T AH N
+planner P L AE N ER
+plant P L AE N T
+plantation P L AE N T EY SH AH N
+planter P L AE N T ER
+plaque P L AE K
+plasma P L AE Z M AH
+plaster P L AE S T ER
+plastic P L AE S T IH K
+plate P L EY T
+plateau P L AE T OW
+platform P L AE T F AO R M
+platinum P L AE T N AH M
+platoon P L AH T UW N
+platter P L AE T ER
+plausible P L AO Z AH B AH L
+play P L EY
+playback P L EY B AE K
+player P L EY ER
+playful P L EY F AH L
+playground P L EY G R AW N D
+playhouse P L EY HH AW S
+playmate P L EY M EY T
+playpen P L EY P EH N
+plaything P L EY TH IH NG
+playwright P L EY R AY T
+plaza P L AA Z AH
+plea P L IY
+plead P L IY D
+pleasant P L EH Z AH N T
+pleasantly P L EH Z AH N T L IY
+pleasantries P L EH Z AH N T R IY Z
+please P L IY Z
+pleasurable P L EH ZH ER AH B AH L
+pleasure P L EH ZH ER
+pleats P L IY T S
+pledge P L EH JH
+plentiful P L EH N T AH F AH L
+plenty P L EH N T IY
+plethora P L EH TH ER AH
+pliers P L AY ER Z
+plight P L AY T
+plop P L AA P
+plot P L AA T
+plotter P L AA T ER
+plow P L AW
+ploy P L OY
+pluck P L AH K
+plucky P L AH K IY
+plug P L AH G
+plum P L AH M
+plumb P L AH M
+plumber P L AH M ER
+plume P L UW M
+plumes P L UW M Z
+plummet P L AH M AH T
+plump P L AH M P
+plunder P L AH N D ER
+plunge P L AH N JH
+plunger P L AH N JH ER
+plural P L UH R AH L
+plus P L AH S
+plush P L AH SH
+plutonium P L UW T OW N IY AH M
+ply P L AY
+plywood P L AY W UH D
+pneumatic N UW M AE T IH K
+pneumonia N UW M OW N Y AH
+poach P OW CH
+poacher P OW CH ER
+pocket P AA K AH T
+pocketbook P AA K AH T B UH K
+pod P AA D
+podium P OW D IY AH M
+poem P OW AH M
+poet P OW AH T
+poetic P OW EH T IH K
+poetry P OW AH T R IY
+poignant P OY N Y AH N T
+point P OY N T
+pointer P OY N T ER
+pointless P OY N T L AH S
+poise P OY Z
+poison P OY Z AH N
+poisonous P OY Z AH N AH S
+poke P OW K
+poker P OW K ER
+pokey P OW K IY
+polar P OW L ER
+polarity P OW L EH R AH T IY
+polarized P OW L ER AY Z D
+pole P OW L
+police P AH L IY S
+policeman P AH L IY S M AH N
+policemen P AH L IY S M IH N
+policewoman P AH L IY S W UH M AH N
+policy P AA L AH S IY
+polio P OW L IY OW
+polish P AA L IH SH
+polite P AH L AY T
+politely P AH L AY T L IY
+politeness P AH L AY T N AH S
+political P AH L IH T AH K AH L
+politically P AH L IH T IH K AH L IY
+politician P AA L AH T IH SH AH N
+politics P AA L AH T IH K S
+polka P OW L K AA
+poll P OW L
+pollen P AA L AH N
+pollute P AH L UW T
+pollution P AH L UW SH AH N
+polo P OW L OW
+polygamy P AH L IH G AH M IY
+polynomial P AA L IY N OW M IY AH L
+polyp P AA L IH P
+pomegranate P AA M AH G R AE N AH T
+pomp P AA M P
+pompous P AA M P AH S
+poncho P AA N CH OW
+pond P AA N D
+ponder P AA N D ER
+ponderous P AA N D ER AH S
+pontoon P AA N T UW N
+pony P OW N IY
+poodle P UW D AH L
+pool P UW L
+poop P UW P
+poor P UW R
+poorer P UW R ER
+poorest P UW R IH S T
+poorly P UW R L IY
+pop P AA P
+popcorn P AA P K AO R N
+pope P OW P
+poplar P AA P L ER
+poppy P AA P IY
+populace P AA P Y AH L AH S
+popular P AA P Y AH L ER
+popularity P AA P Y AH L EH R AH T IY
+populate P AA P Y AH L EY T
+population P AA P Y AH L EY SH AH N
+porcelain P AO R S AH L AH N
+porch P AO R CH
+porcupine P AO R K Y AH P AY N
+pore P AO R
+pork P AO R K
+pornographic P AO R N AH G R AE F IH K
+pornography P AO R N AA G R AH F IY
+porous P AO R AH S
+porpoise P AO R P AH S
+porridge P AO R AH JH
+port P AO R T
+portability P AO R T AH B IH L IH T IY
+portable P AO R T AH B AH L
+portal P AO R T AH L
+porter P AO R T ER
+portfolio P AO R T F OW L IY OW
+portico P AO R T AH K OW
+portion P AO R SH AH N
+portrait P AO R T R AH T
+portray P AO R T R EY
+portrayal P AO R T R EY AH L
+pose P OW Z
+poses P OW Z AH Z
+position P AH Z IH SH AH N
+positive P AA Z AH T IH V
+positively P AA Z AH T IH V L IY
+possess P AH Z EH S
+possesses P AH Z EH S AH Z
+possession P AH Z EH SH AH N
+possessive P AH Z EH S IH V
+possessor P AH Z EH S ER
+possibility P AA S AH B IH L AH T IY
+possible P AA S AH B AH L
+possibly P AA S AH B L IY
+possum P AA S AH M
+post P OW S T
+postage P OW S T AH JH
+postal P OW S T AH L
+postcard P OW S T K AA R D
+poster P OW S T ER
+posterior P AO S T IH R Y ER
+posterity P AA S T EH R AH T IY
+posthumous P AA S CH UH M AH S
+posthumously P AA S CH UH M AH S L IY
+postman P OW S T M AH N
+postmark P OW S T M AA R K
+postmaster P OW S T M AE S T ER
+postpone P OW S T P OW N
+postponement P OW S T P OW N M AH N T
+postscript P OW S K R IH P T
+postulate P AA S CH AH L EY T
+posture P AA S CH ER
+pot P AA T
+potassium P AH T AE S IY AH M
+potato P AH T EY T OW
+potency P OW T AH N S IY
+potent P OW T AH N T
+potential P AH T EH N SH AH L
+potentially P AH T EH N SH AH L IY
+pothole P AA T HH OW L
+potion P OW SH AH N
+potter P AA T ER
+pottery P AA T ER IY
+pouch P AW CH
+poultry P OW L T R IY
+pounce P AW N S
+pound P AW N D
+pour P AO R
+pout P AW T
+poverty P AA V ER T IY
+powder P AW D ER
+power P AW ER
+powerful P AW ER F AH L
+powerhouse P AW ER HH AW S
+powerless P AW ER L AH S
+powwow P AW W AW
+practicable P R AE K T AH K AH B AH L
+practical P R AE K T AH K AH L
+practically P R AE K T IH K L IY
+practice P R AE K T AH S
+practices P R AE K T AH S AH Z
+practitioner P R AE K T IH SH AH N ER
+pragmatic P R AE G M AE T IH K
+pragmatism P R AE G M AH T IH Z AH M
+prairie P R EH R IY
+praise P R EY Z
+praises P R EY Z AH Z
+prance P R AE N S
+prank P R AE NG K
+prattle P R AE T AH L
+prattling P R AE T L IH NG
+prawn P R AO N
+pray P R EY
+prayer P R EH R
+preach P R IY CH
+preacher P R IY CH ER
+preamble P R IY AE M B AH L
+precarious P R IY K EH R IY AH S
+precaution P R IY K AO SH AH N
+precautionary P R IH K AO SH AH N EH R IY
+precede P R IH S IY D
+precedence P R EH S AH D AH N S
+precedent P R EH S IH D AH N T
+precedents P R EH S AH D AH N T S
+preceding P R IY S IY D IH NG
+precinct P R IY S IH NG K T
+precious P R EH SH AH S
+precipice P R EH S AH P AH S
+precipitated P R IH S IH P IH T EY T IH D
+precipitation P R IH S IH P IH T EY SH AH N
+precise P R IH S AY S
+precisely P R IH S AY S L IY
+precision P R IY S IH ZH AH N
+preclude P R IH K L UW D
+precocious P R IH K OW SH AH S
+preconceived P R IY K AH N S IY V D
+preconceptions P R IY K AH N S EH P SH AH N Z
+predator P R EH D AH T ER
+predatory P R EH D AH T AO R IY
+predecessor P R EH D AH S EH S ER
+predicament P R IH D IH K AH M AH N T
+predicated P R EH D AH K EY T IH D
+predict P R IH D IH K T
+predictable P R IH D IH K T AH B AH L
+prediction P R IY D IH K SH AH N
+predisposition P R IY D IH S P AH Z IH SH AH N
+predominantly P R IH D AA M AH N AH N T L IY
+preempt P R IY EH M P T
+preface P R EH F AH S
+prefect P R IY F EH K T
+prefer P R AH F ER
+preferable P R EH F ER AH B AH L
+preferably P R EH F ER AH B L IY
+preference P R EH F ER AH N S
+preferential P R EH F ER EH N SH AH L
+preferring P R IH F ER IH NG
+prefix P R IY F IH K S
+pregnancy P R EH G N AH N S IY
+pregnant P R EH G N AH N T
+prehistoric P R IY HH IH S T AO R IH K
+prejudice P R EH JH AH D IH S
+prejudiced P R EH JH AH D AH S T
+prejudicial P R EH JH AH D IH SH AH L
+preliminary P R IH L IH M AH N EH R IY
+prelude P R EY L UW D
+premature P R IY M AH CH UH R
+prematurely P R IY M AH CH UH R L IY
+premeditation P R IY M EH D AH T EY SH AH N
+premier P R EH M IH R
+premiere P R EH M IH R
+premise P R EH M IH S
+premises P R EH M AH S AH Z
+premium P R IY M IY AH M
+premonition P R EH M AH N IH SH AH N
+prenatal P R IY N EY T AH L
+preoccupation P R IY AA K Y AH P EY SH AH N
+preoccupied P R IY AA K Y AH P AY D
+prepaid P R IY P EY D
+preparation P R EH P ER EY SH AH N
+preparatory P R IH P EH R AH T AO R IY
+prepare P R IY P EH R
+preponderance P R IY P AA N D R AH N S
+preposterous P R IH P AA S T ER AH S
+prerequisite P R IY R EH K W AH Z AH T
+prerogative P R IH R AA G AH T IH V
+prescribe P R AH S K R AY B
+prescribed P R IY S K R AY B D
+prescribes P R IY S K R AY B Z
+prescribing P R IY S K R AY B IH NG
+prescription P R AH S K R IH P SH AH N
+presence P R EH Z AH N S
+present P R EH Z AH N T
+presentable P R AH Z EH N T AH B AH L
+presentation P R EH Z AH N T EY SH AH N
+presented P R IY Z EH N T IH D
+presenter P R EH Z AH N T ER
+presenting P R IH Z EH N T IH NG
+presently P R EH Z AH N T L IY
+preservation P R EH Z ER V EY SH AH N
+preservative P R IY Z ER V AH T IH V
+preservatives P R AH Z ER V AH T IH V Z
+preserve P R AH Z ER V
+preside P R IH Z AY D
+presidency P R EH Z AH D AH N S IY
+president P R EH Z AH D EH N T
+presidential P R EH Z AH D EH N SH AH L
+press P R EH S
+presses P R EH S AH Z
+pressure P R EH SH ER
+prestige P R EH S T IY ZH
+prestigious P R EH S T IH JH AH S
+presto P R EH S T OW
+presumably P R AH Z UW M AH B L IY
+presume P R IH Z UW M
+presumed P R AH Z UW M D
+presumes P R AH Z UW M Z
+presumption P R IH Z AH M P SH AH N
+presumptuous P R IH Z AH M P CH AH W AH S
+pretend P R IY T EH N D
+pretender P R IY T EH N D ER
+pretense P R IY T EH N S
+pretension P R IY T EH N SH AH N
+pretentious P R IY T EH N SH AH S
+pretext P R IY T EH K S T
+prettier P R IH T IY ER
+prettiest P R IH T IY AH S T
+pretty P R IH T IY
+pretzel P R EH T Z AH L
+prevail P R IH V EY L
+prevalent P R EH V AH L AH N T
+prevent P R IH V EH N T
+prevention P R IY V EH N SH AH N
+preventive P R IH V EH N T IH V
+preview P R IY V Y UW
+previous P R IY V IY AH S
+previously P R IY V IY AH S L IY
+prey P R EY
+price P R AY S
+priceless P R AY S L AH S
+prices P R AY S AH Z
+prick P R IH K
+prickly P R IH K L IY
+pride P R AY D
+priest P R IY S T
+priestess P R IY S T AH S
+priesthood P R IY S T HH UH D
+prim P R IH M
+primal P R AY M AH L
+primarily P R AY M EH R AH L IY
+primary P R AY M EH R IY
+primate P R AY M EY T
+prime P R AY M
+primed P R AY M D
+primer P R AY M ER
+primes P R AY M Z
+primeval P R AY M IY V AH L
+priming P R AY M IH NG
+primitive P R IH M AH T IH V
+primrose P R IH M R OW Z
+prince P R IH N S
+princes P R IH N S AH Z
+princess P R IH N S EH S
+principal P R IH N S AH P AH L
+principally P R IH N S IH P L IY
+principle P R IH N S AH P AH L
+print P R IH N T
+printer P R IH N T ER
+printout P R IH N T AW T
+prior P R AY ER
+priority P R AY AO R AH T IY
+prism P R IH Z AH M
+prison P R IH Z AH N
+prisoner P R IH Z AH N ER
+privacy P R AY V AH S IY
+private P R AY V AH T
+privately P R AY V AH T L IY
+privatization P R AY V AH T AH Z EY SH AH N
+privilege P R IH V L AH JH
+privileges P R IH V L AH JH AH Z
+privy P R IH V IY
+prize P R AY Z
+prizes P R AY Z AH Z
+pro P R OW
+probability P R AA B AH B IH L AH T IY
+probable P R AA B AH B AH L
+probably P R AA B AH B L IY
+probation P R OW B EY SH AH N
+probe P R OW B
+problem P R AA B L AH M
+problematic P R AA B L AH M AE T IH K
+procedural P R AH S IY JH ER AH L
+procedure P R AH S IY JH ER
+proceed P R AH S IY D
+proceedings P R OW S IY D IH NG Z
+process P R AA S EH S
+processes P R AA S EH S AH Z
+procession P R AH S EH SH AH N
+processor P R AA S EH S ER
+proclaim P R OW K L EY M
+proclamation P R AA K L AH M EY SH AH N
+procrastinate P R AH K R AE S T AH N EY T
+procrastination P R AH K R AE S T AH N EY SH AH N
+procure P R OW K Y UH R
+procurement P R OW K Y UH R M AH N T
+prod P R AA D
+prodigal P R AA D IH G AH L
+prodigious P R AH D IH JH AH S
+prodigy P R AA D AH JH IY
+produce P R AH D UW S
+producer P R AH D UW S ER
+produces P R AH D UW S AH Z
+product P R AA D AH K T
+production P R AH D AH K SH AH N
+productive P R AH D AH K T IH V
+productivity P R OW D AH K T IH V AH T IY
+profane P R OW F EY N
+profanity P R OW F AE N AH T IY
+profess P R AH F EH S
+profession P R AH F EH SH AH N
+professional P R AH F EH SH AH N AH L
+professionally P R AH F EH SH AH N AH L IY
+professor P R AH F EH S ER
+proffered P R AA F ER D
+proficiency P R AH F IH SH AH N S IY
+proficient P R AA F IH SH AH N T
+profile P R OW F AY L
+profit P R AA F AH T
+profitable P R AA F AH T AH B AH L
+profited P R AA F AH T AH D
+profits P R AA F IH T S
+profound P R OW F AW N D
+profoundly P R OW F AW N D L IY
+profusely P R AH F Y UW S L IY
+progeny P R AA JH AH N IY
+prognosis P R AA G N OW S AH S
+program P R OW G R AE M
+programmable P R OW G R AE M AH B AH L
+programmer P R OW G R AE M ER
+progress P R AA G R EH S
+progressed P R AH G R EH S T
+progresses P R AA G R EH S AH Z
+progressing P R AH G R EH S IH NG
+progression P R AH G R EH SH AH N
+progressive P R AH G R EH S IH V
+progressively P R AA G R EH S IH V L IY
+prohibit P R OW HH IH B AH T
+prohibited P R OW HH IH B AH T AH D
+prohibition P R OW AH B IH SH AH N
+project P R AA JH EH K T
+projected P R AH JH EH K T AH D
+projectile P R AH JH EH K T AH L
+projecting P R AH JH EH K T IH NG
+projection P R AH JH EH K SH AH N
+projector P R AH JH EH K T ER
+proletariat P R OW L AH T EH R IY AH T
+proliferation P R OW L IH F ER EY SH AH N
+prolific P R OW L IH F IH K
+prologue P R OW L AA G
+prolong P R AH L AO NG
+prolonging P R OW L AO NG IH NG
+prom P R AA M
+promenade P R AA M AH N EY D
+prominence P R AA M AH N AH N S
+prominent P R AA M AH N AH N T
+prominently P R AA M AH N AH N T L IY
+promiscuity P R OW M IH S K Y UW AH T IY
+promiscuous P R OW M IH S K W AH S
+promise P R AA M AH S
+promises P R AA M AH S AH Z
+promote P R AH M OW T
+promotion P R AH M OW SH AH N
+prompt P R AA M P T
+promptly P R AA M P T L IY
+prone P R OW N
+prong P R AO NG
+pronoun P R OW N AW N
+pronounce P R AH N AW N S
+pronunciation P R OW N AH N S IY EY SH AH N
+proof P R UW F
+proofread P R UW F R IY D
+prop P R AA P
+propaganda P R AA P AH G AE N D AH
+propagate P R AA P AH G EY T
+propagation P R AA P AH G EY SH AH N
+propel P R AH P EH L
+propeller P R AH P EH L ER
+propensity P R AH P EH N S IH T IY
+proper P R AA P ER
+properly P R AA P ER L IY
+property P R AA P ER T IY
+prophecy P R AA F AH S IY
+prophesied P R AA F AH S AY D
+prophesies P R AA F AH S AY Z
+prophet P R AA F AH T
+prophetic P R AH F EH T IH K
+proponent P R AH P OW N AH N T
+proportion P R AH P AO R SH AH N
+proportional P R AH P AO R SH AH N AH L
+proposal P R AH P OW Z AH L
+propose P R AH P OW Z
+proposition P R AA P AH Z IH SH AH N
+proprietary P R AH P R AY AH T EH R IY
+proprietor P R AH P R AY AH T ER
+propriety P R AH P R AY AH T IY
+propulsion P R AH P AH L SH AH N
+prose P R OW Z
+prosecute P R AA S AH K Y UW T
+prosecuted P R AA S IH K Y UW T IH D
+prosecutes P R AA S IH K Y UW T S
+prosecuting P R AA S IH K Y UW T IH NG
+prosecution P R AA S AH K Y UW SH AH N
+prosecutor P R AA S IH K Y UW T ER
+prospect P R AA S P EH K T
+prospecting P R AO S P EH K T IH NG
+prospective P R AH S P EH K T IH V
+prospector P R AO S P EH K T ER
+prospectus P R AH S P EH K T AH S
+prosper P R AA S P ER
+prosperity P R AA S P EH R AH T IY
+prosperous P R AA S P ER AH S
+prostitute P R AA S T AH T UW T
+prostitution P R AA S T AH T UW SH AH N
+prostrate P R AA S T R EY T
+protagonist P R OW T AE G AH N AH S T
+protect P R AH T EH K T
+protection P R AH T EH K SH AH N
+protective P R AH T EH K T IH V
+protector P R AH T EH K T ER
+protein P R OW T IY N
+protest P R OW T EH S T
+protestant P R AA T AH S T AH N T
+protested P R AH T EH S T IH D
+protesting P R AH T EH S T IH NG
+protocol P R OW T AH K AA L
+protocols P R OW T AH K AO L Z
+proton P R OW T AA N
+prototype P R OW T AH T AY P
+protracted P R OW T R AE K T IH D
+protruding P R OW T R UW D IH NG
+proud P R AW D
+prouder P R AW D ER
+proudest P R AW D AH S T
+proudly P R AW D L IY
+prove P R UW V
+proven P R UW V AH N
+proverb P R AA V ER B
+proverbial P R AH V ER B IY AH L
+provide P R AH V AY D
+providence P R AA V AH D AH N S
+provider P R AH V AY D ER
+province P R AA V AH N S
+provinces P R AA V AH N S AH Z
+provincial P R AH V IH N SH AH L
+provision P R AH V IH ZH AH N
+provisional P R AH V IH ZH AH N AH L
+proviso P R AH V AY Z OW
+provocation P R AA V AH K EY SH AH N
+provocative P R OW V AA K AH T IH V
+provoke P R AH V OW K
+prowess P R AW AH S
+prowl P R AW L
+prowler P R AW L ER
+proximity P R AA K S IH M AH T IY
+proxy P R AA K S IY
+prude P R UW D
+prudence P R UW D AH N S
+prudent P R UW D AH N T
+prune P R UW N
+pry P R AY
+psalm S AA L M
+pseudo S UW D OW
+psych S AY K
+psyche S AY K IY
+psychedelic S AY K AH D EH L IH K
+psychiatric S AY K IY AE T R IH K
+psychiatrist S AH K AY AH T R AH S T
+psychiatry S AY K AY AH T R IY
+psychic S AY K IH K
+psychoanalysis S AY K OW AH N AE L AH S AH S
+psychoanalyst S AY K OW AE N AH L AH S T
+psychological S AY K AH L AA JH IH K AH L
+psychologically S AY K AH L AA JH IH K L IY
+psychologist S AY K AA L AH JH AH S T
+psychology S AY K AA L AH JH IY
+psychopath S AY K OW P AE TH
+psychosis S AY K OW S AH S
+psychotherapy S AY K OW TH EH R AH P IY
+psychotic S AY K AA T IH K
+pub P AH B
+puberty P Y UW B ER T IY
+public P AH B L IH K
+publication P AH B L IH K EY SH AH N
+publicity P AH B L IH S AH T IY
+publicize P AH B L IH S AY Z
+publicizing P AH B L AH S AY Z IH NG
+publicly P AH B L IH K L IY
+publish P AH B L IH SH
+publisher P AH B L IH SH ER
+publishes P AH B L IH SH AH Z
+puck P AH K
+pucker P AH K ER
+pudding P UH D IH NG
+puddle P AH D AH L
+pudgy P AH JH IY
+pueblo P W EH B L OW
+puff P AH F
+puffer P AH F ER
+puffy P AH F IY
+puke P Y UW K
+pull P UH L
+pulley P UH L IY
+pulmonary P UH L M AH N EH R IY
+pulp P AH L P
+pulpit P UH L P IH T
+pulsating P AH L S EY T IH NG
+pulse P AH L S
+pulverize P AH L V ER AY Z
+pummel P AH M AH L
+pump P AH M P
+pumpernickel P AH M P ER N IH K AH L
+pumpkin P AH M P K IH N
+pumpkins P AH M P K AH N Z
+pun P AH N
+punch P AH N CH
+punchline P AH N CH L AY N
+punctual P AH NG K CH UW AH L
+punctuality P AH NG K CH UW AE L IH T IY
+punctuation P AH NG K CH UW EY SH AH N
+puncture P AH NG K CH ER
+pungent P AH N JH AH N T
+punish P AH N IH SH
+punishable P AH N IH SH AH B AH L
+punishes P AH N IH SH AH Z
+punishment P AH N IH SH M AH N T
+punitive P Y UW N AH T IH V
+punk P AH NG K
+punt P AH N T
+puny P Y UW N IY
+pup P AH P
+pupil P Y UW P AH L
+puppet P AH P AH T
+puppy P AH P IY
+purchase P ER CH AH S
+purchases P ER CH AH S AH Z
+pure P Y UH R
+purely P Y UH R L IY
+purer P Y UH R ER
+purest P Y UH R AH S T
+purgatory P ER G AH T AO R IY
+purge P ER JH
+purification P Y UH R AH F AH K EY SH AH N
+purify P Y UH R AH F AY
+puritanical P Y UH R AH T AE N IH K AH L
+purity P Y UH R AH T IY
+purple P ER P AH L
+purpose P ER P AH S
+purposes P ER P AH S AH Z
+purr P ER
+purse P ER S
+pursue P ER S UW
+pursuit P ER S UW T
+purveyor P ER V EY ER
+pus P AH S
+push P UH SH
+pusher P UH SH ER
+pushes P UH SH AH Z
+pushover P UH SH OW V ER
+pushy P UH SH IY
+puss P UH S
+pussy P UH S IY
+put P UH T
+putrid P Y UW T R IH D
+putt P AH T
+putter P AH T ER
+putty P AH T IY
+puzzle P AH Z AH L
+pyramid P IH R AH M IH D
+pyre P AY ER
+python P AY TH AA N
+qua K W AA
+quack K W AE K
+quadrant K W AA D R AH N T
+quadruple K W AA D R UW P AH L
+quagmire K W AE G M AY ER
+quail K W EY L
+quaint K W EY N T
+quake K W EY K
+qualification K W AA L AH F AH K EY SH AH N
+qualifier K W AA L AH F AY ER
+qualify K W AA L AH F AY
+quality K W AA L AH T IY
+qualms K W AA M Z
+quandary K W AA N D ER IY
+quantify K W AA N T IH F AY
+quantity K W AA N T AH T IY
+quantum K W AA N T AH M
+quarantine K W AO R AH N T IY N
+quark K W AA R K
+quarrel K W AO R AH L
+quarreling K W AA R AH L IH NG
+quarry K W AO R IY
+quart K W AO R T
+quarter K W AO R T ER
+quarterback K W AO R T ER B AE K
+quarterly K W AO R T ER L IY
+quartet K W AO R T EH T
+quartz K W AO R T S
+quash K W AO SH
+queasy K W IY Z IY
+queen K W IY N
+queer K W IH R
+quell K W EH L
+quench K W EH N CH
+queries K W IH R IY Z
+query K W IY R IY
+quest K W EH S T
+question K W EH S CH AH N
+questionable K W EH S CH AH N AH B AH L
+questionnaire K W EH S CH AH N EH R
+queue K Y UW
+quibble K W IH B AH L
+quiche K IY SH
+quick K W IH K
+quicken K W IH K AH N
+quicker K W IH K ER
+quickest K W IH K IH S T
+quickly K W IH K L IY
+quicksand K W IH K S AE N D
+quiet K W AY AH T
+quieter K W AY AH T ER
+quietest K W AY AH T AH S T
+quietly K W AY AH T L IY
+quill K W IH L
+quilt K W IH L T
+quinine K W AY N AY N
+quintet K W IH N T EH T
+quintuplets K W IH N T AH P L AH T S
+quips K W IH P S
+quirk K W ER K
+quirky K W ER K IY
+quit K W IH T
+quite K W AY T
+quitter K W IH T ER
+quiver K W IH V ER
+quiz K W IH Z
+quizzes K W IH Z IH Z
+quorum K W AO R AH M
+quota K W OW T AH
+quotation K W OW T EY SH AH N
+quote K W OW T
+quotient K W OW SH AH N T
+rabbi R AE B AY
+rabbit R AE B AH T
+rabble R AE B AH L
+rabid R AE B IH D
+rabies R EY B IY Z
+raccoon R AE K UW N
+race R EY S
+racer R EY S ER
+races R EY S AH Z
+racetrack R EY S T R AE K
+racial R EY SH AH L
+racially R EY SH AH L IY
+racism R EY S IH Z AH M
+racist R EY S IH S T
+rack R AE K
+racket R AE K IH T
+racketeering R AE K IH T IH R IH NG
+rackets R AE K AH T S
+racy R EY S IY
+radar R EY D AA R
+radial R EY D IY AH L
+radiance R EY D IY AH N S
+radiant R EY D IY AH N T
+radiate R EY D IY AH T
+radiating R EY D IY EY T IH NG
+radiation R EY D IY EY SH AH N
+radiator R EY D IY EY T ER
+radical R AE D AH K AH L
+radically R AE D IH K L IY
+radio R EY D IY OW
+radioactive R EY D IY OW AE K T IH V
+radioactivity R EY D IY OW AE K T IH V AH T IY
+radish R AE D IH SH
+radium R EY D IY AH M
+radius R EY D IY AH S
+raffle R AE F AH L
+raft R AE F T
+rafters R AE F T ER Z
+rag R AE G
+rage R EY JH
+raged R EY JH D
+rages R EY JH IH Z
+ragged R AE G AH D
+raging R EY JH IH NG
+ragtime R AE G T AY M
+raid R EY D
+raider R EY D ER
+rail R EY L
+railroad R EY L R OW D
+railway R EY L W EY
+rain R EY N
+rainbow R EY N B OW
+raincoat R EY N K OW T
+raindrop R EY N D R AA P
+rainfall R EY N F AO L
+rainier R EY N IH R
+rainstorm R EY N S T AO R M
+rainwater R EY N W AO T ER
+rainy R EY N IY
+raise R EY Z
+raises R EY Z AH Z
+raisin R EY Z IH N
+raisins R EY Z AH N Z
+rake R EY K
+rally R AE L IY
+ram R AE M
+ramble R AE M B AH L
+rambler R AE M B L ER
+rambling R AE M B L IH NG
+ramifications R AE M AH F AH K EY SH AH N Z
+ramp R AE M P
+rampage R AE M P EY JH
+rampant R AE M P AH N T
+ramrod R AE M R AA D
+ran R AE N
+ranch R AE N CH
+rancher R AE N CH ER
+ranches R AE N CH AH Z
+rancid R AE N S IH D
+random R AE N D AH M
+randomly R AE N D AH M L IY
+rang R AE NG
+range R EY N JH
+ranged R EY N JH D
+ranger R EY N JH ER
+ranges R EY N JH AH Z
+ranging R EY N JH IH NG
+rank R AE NG K
+ransack R AE N S AE K
+ransom R AE N S AH M
+rant R AE N T
+rap R AE P
+rape R EY P
+raped R EY P T
+rapes R EY P S
+rapid R AE P AH D
+rapidly R AE P AH D L IY
+raping R EY P IH NG
+rapist R EY P IH S T
+rapport R AE P AO R
+rapt R AE P T
+rapture R AE P CH ER
+rare R EH R
+rarely R EH R L IY
+rarer R EH R ER
+rarest R EH R AH S T
+rarity R EH R AH T IY
+rascal R AE S K AH L
+rash R AE SH
+raspberry R AE Z B EH R IY
+rat R AE T
+rate R EY T
+rated R EY T IH D
+rates R EY T S
+rather R AE DH ER
+ratified R AE T AH F AY D
+rating R EY T IH NG
+ratio R EY SH IY OW
+ration R AE SH AH N
+rational R AE SH AH N AH L
+rationale R AE SH AH N AE L
+rationality R AE SH AH N AE L IH T IY
+rationalization R AE SH AH N AH L IH Z EY SH AH N
+rationalize R AE SH AH N AH L AY Z
+rationally R AE SH AH N AH L IY
+rattle R AE T AH L
+rattler R AE T AH L ER
+rattlesnake R AE T AH L S N EY K
+rattling R AE T L IH NG
+ratty R AE T IY
+raucous R AO K AH S
+ravage R AE V IH JH
+rave R EY V
+ravel R AE V AH L
+raven R EY V AH N
+ravenous R AE V AH N AH S
+ravine R AH V IY N
+ravishing R AE V IH SH IH NG
+raw R AA
+ray R EY
+rayon R EY AH N
+razor R EY Z ER
+re R EY
+reach R IY CH
+reaches R IY CH AH Z
+react R IY AE K T
+reaction R IY AE K SH AH N
+reactionary R IY AE K SH AH N EH R IY
+reactive R IY AE K T IH V
+reactor R IY AE K T ER
+read R IY D
+readable R IY D AH B AH L
+reader R IY D ER
+readership R IY D ER SH IH P
+readily R EH D AH L IY
+readiness R EH D IY N AH S
+readjust R IY AH JH AH S T
+ready R EH D IY
+real R IY L
+realism R IY AH L IH Z M
+realist R IY AH L IH S T
+realistic R IY AH L IH S T IH K
+realistically R IY AH L IH S T IH K L IY
+reality R IY AE L AH T IY
+realization R IY L AH Z EY SH AH N
+realize R IY AH L AY Z
+really R IH L IY
+realm R EH L M
+realty R IY AH L T IY
+ream R IY M
+reap R IY P
+reaper R IY P ER
+reappear R IY AH P IH R
+rear R IH R
+rearrange R IY ER EY N JH
+reason R IY Z AH N
+reasonable R IY Z AH N AH B AH L
+reasonably R IY Z AH N AH B L IY
+reassurance R IY AH SH UH R AH N S
+reassure R IY AH SH UH R
+rebate R IY B EY T
+rebel R EH B AH L
+rebelled R IH B EH L D
+rebelling R IH B EH L IH NG
+rebellion R IH B EH L Y AH N
+rebellious R IH B EH L Y AH S
+rebirth R IY B ER TH
+reborn R IY B AO R N
+rebound R IY B AW N D
+rebuild R IY B IH L D
+rebuilt R IY B IH L T
+rebuke R IY B Y UW K
+rebuttal R IH B AH T AH L
+recall R IY K AO L
+recalled R IH K AO L D
+recalling R IH K AO L IH NG
+recant R IY K AE N T
+recap R IY K AE P
+recapture R IY K AE P CH ER
+receding R IH S IY D IH NG
+receipt R IH S IY T
+receive R AH S IY V
+receiver R AH S IY V ER
+recent R IY S AH N T
+recently R IY S AH N T L IY
+receptacle R AH S EH P T AH K AH L
+reception R IH S EH P SH AH N
+receptionist R IH S EH P SH AH N IH S T
+receptive R IH S EH P T IH V
+recess R IH S EH S
+recesses R IY S EH S AH Z
+recession R IH S EH SH AH N
+recharge R IY CH AA R JH
+recipe R EH S AH P IY
+recipient R AH S IH P IY AH N T
+recipients R IH S IH P IY AH N T S
+reciprocal R IH S IH P R AH K AH L
+reciprocate R IH S IH P R AH K EY T
+recital R AH S AY T AH L
+recitals R IH S AY T AH L Z
+recitation R EH S AH T EY SH AH N
+recite R AH S AY T
+recites R IY S AY T S
+reciting R IY S AY T IH NG
+reckless R EH K L AH S
+recklessly R EH K L AH S L IY
+recklessness R EH K L AH S N AH S
+reckon R EH K AH N
+reclaim R IY K L EY M
+reclamation R EH K L AH M EY SH AH N
+reclining R IH K L AY N IH NG
+recluse R IH K L UW S
+recognition R EH K AH G N IH SH AH N
+recognizable R EH K AH G N AY Z AH B AH L
+recognize R EH K AH G N AY Z
+recognizes R EH K AH G N AY Z AH Z
+recoil R IY K OY L
+recollect R EH K AH L EH K T
+recollection R EH K AH L EH K SH AH N
+recommend R EH K AH M EH N D
+recommendation R EH K AH M AH N D EY SH AH N
+recompense R EH K AH M P EH N S
+reconcile R EH K AH N S AY L
+reconciliation R EH K AH N S IH L IY EY SH AH N
+reconfigure R IY K AH N F IH G Y ER
+reconnaissance R IY K AA N AH S AH N S
+reconnect R IY K AH N EH K T
+reconsider R IY K AH N S IH D ER
+reconstruct R IY K AH N S T R AH K T
+reconstruction R IY K AH N S T R AH K SH AH N
+record R AH K AO R D
+recorder R IH K AO R D ER
+recordings R IH K AO R D IH NG Z
+recount R IH K AW N T
+recounts R IY K AW N T S
+recoup R IH K UW P
+recourse R IY K AO R S
+recover R IH K AH V ER
+recovered R AH K AH V ER D
+recovering R AH K AH V ER IH NG
+recovery R IH K AH V R IY
+recreate R EH K R IY EY T
+recreation R EH K R IY EY SH AH N
+recreational R EH K R IY EY SH AH N AH L
+recruit R AH K R UW T
+recruited R IH K R UW T IH D
+recruitment R AH K R UW T M AH N T
+rectal R EH K T AH L
+rectangle R EH K T AE NG G AH L
+rectangular R EH K T AE NG G Y AH L ER
+rectify R EH K T AH F AY
+rector R EH K T ER
+rectum R EH K T AH M
+recuperate R IH K UW P ER EY T
+recurrence R IH K ER AH N S
+recurrent R IH K ER AH N T
+recurring R IH K ER IH NG
+recursive R IY K ER S IH V
+recycle R IY S AY K AH L
+red R EH D
+redder R EH D ER
+redeem R IH D IY M
+redefine R IY D IH F AY N
+redemption R IH D EH M P SH AH N
+redesign R IY D IH Z AY N
+redhead R EH D HH EH D
+redid R IY D IH D
+redirect R IY D ER EH K T
+rediscover R IY D IH S K AH V ER
+redistribution R IY D IH S T R AH B Y UW SH AH N
+redo R IY D UW
+redone R IY D AH N
+redress R IH D R EH S
+reduce R AH D UW S
+reduces R AH D UW S AH Z
+reduction R AH D AH K SH AH N
+reductions R IY D AH K SH AH N Z
+redundancy R IH D AH N D AH N S IY
+redundant R IH D AH N D AH N T
+reed R IY D
+reef R IY F
+reek R IY K
+reel R IY L
+reelected R IY IH L EH K T IH D
+refer R AH F ER
+referee R EH F ER IY
+reference R EH F ER AH N S
+referendum R EH F ER EH N D AH M
+referring R IH F ER IH NG
+refill R IY F IH L
+refine R AH F AY N
+refinement R AH F AY N M AH N T
+refinery R IH F AY N ER IY
+refines R IH F AY N Z
+reflect R IH F L EH K T
+reflection R IH F L EH K SH AH N
+reflective R IH F L EH K T IH V
+reflector R IH F L EH K T ER
+reflex R IY F L EH K S
+reflexes R IY F L EH K S AH Z
+reform R AH F AO R M
+reformation R EH F ER M EY SH AH N
+reformed R IH F AO R M D
+reformer R IH F AO R M ER
+reforming R IH F AO R M IH NG
+refrain R IH F R EY N
+refresh R IH F R EH SH
+refreshed R IY F R EH SH T
+refreshment R AH F R EH SH M AH N T
+refrigerate R IH F R IH JH ER EY T
+refrigeration R IH F R IH JH ER EY SH AH N
+refrigerator R AH F R IH JH ER EY T ER
+refrigerators R IH F R IH JH ER EY T ER Z
+refuel R IY F Y UW AH L
+refuge R EH F Y UW JH
+refugee R EH F Y UW JH IY
+refugees R EH F Y UW JH IY Z
+refund R IH F AH N D
+refusal R AH F Y UW Z AH L
+refuse R AH F Y UW Z
+refuses R AH F Y UW Z AH Z
+refute R IH F Y UW T
+regain R IH G EY N
+regained R IY G EY N D
+regains R IY G EY N Z
+regal R IY G AH L
+regale R IH G EY L
+regard R IH G AA R D
+regardless R AH G AA R D L AH S
+regatta R IH G AA T AH
+regenerate R IY JH EH N ER EY T
+regeneration R IY JH EH N ER EY SH AH N
+regent R IY JH AH N T
+regime R AH ZH IY M
+regimen R EH JH AH M AH N
+regiment R EH JH AH M AH N T
+regimental R EH JH AH M EH N T AH L
+region R IY JH AH N
+regional R IY JH AH N AH L
+register R EH JH IH S T ER
+registers R EH JH AH S T ER Z
+registrar R EH JH IH S T R AA R
+registration R EH JH IH S T R EY SH AH N
+registry R EH JH IH S T R IY
+regress R IY G R EH S
+regression R AH G R EH SH AH N
+regret R AH G R EH T
+regretful R IH G R EH T F AH L
+regrets R IH G R EH T S
+regrettable R IH G R EH T AH B AH L
+regrettably R IH G R EH T AH B L IY
+regretted R IH G R EH T IH D
+regretting R IH G R EH T IH NG
+regular R EH G Y AH L ER
+regularity R EH G Y AH L EH R AH T IY
+regularly R EH G Y AH L ER L IY
+regulate R EH G Y AH L EY T
+regulation R EH G Y AH L EY SH AH N
+regurgitate R IH G ER JH AH T EY T
+rehabilitate R IY HH AH B IH L AH T EY T
+rehabilitation R IY HH AH B IH L AH T EY SH AH N
+rehash R IY HH AE SH
+rehearsal R IH HH ER S AH L
+rehearse R IY HH ER S
+rehearsing R IH HH ER S IH NG
+reign R EY N
+reimburse R IY IH M B ER S
+rein R EY N
+reincarnate R IY IH N K AA R N EY T
+reincarnation R IY IH N K AA R N EY SH AH N
+reindeer R EY N D IH R
+reinforce R IY IH N F AO R S
+reinforcement R IY IH N F AO R S M AH N T
+reinstate R IY IH N S T EY T
+reinstatement R IY IH N S T EY T M AH N T
+reiterate R IY IH T ER EY T
+reject R IH JH EH K T
+rejection R IH JH EH K SH AH N
+rejoice R IH JH OY S
+rejoin R IY JH OY N
+relapse R IY L AE P S
+relate R IH L EY T
+relation R IY L EY SH AH N
+relationship R IY L EY SH AH N SH IH P
+relative R EH L AH T IH V
+relatively R EH L AH T IH V L IY
+relativity R EH L AH T IH V AH T IY
+relax R IH L AE K S
+relaxation R IY L AE K S EY SH AH N
+relay R IY L EY
+release R IY L IY S
+releases R IH L IY S IH Z
+relent R IH L EH N T
+relentless R IH L EH N T L IH S
+relentlessly R IH L EH N T L AH S L IY
+relevance R EH L AH V AH N S
+relevant R EH L AH V AH N T
+reliability R IY L AY AH B IH L AH T IY
+reliable R IH L AY AH B AH L
+reliably R IH L AY AH B L IY
+reliance R IH L AY AH N S
+relic R EH L IH K
+relief R IH L IY F
+relieve R IH L IY V
+relieves R IY L IY V Z
+religion R IH L IH JH AH N
+religions R IY L IH JH AH N Z
+religious R IH L IH JH AH S
+religiously R IH L IH JH AH S L IY
+relinquish R IH L IH NG K W IH SH
+relish R EH L IH SH
+relive R IY L IH V
+reload R IY L OW D
+relocate R IY L OW K EY T
+relocation R IY L OW K EY SH AH N
+reluctance R IH L AH K T AH N S
+reluctant R IH L AH K T AH N T
+reluctantly R IH L AH K T AH N T L IY
+rely R IH L AY
+relying R IY L AY IH NG
+remade R IY M EY D
+remain R IH M EY N
+remainder R IH M EY N D ER
+remake R IY M EY K
+remark R IH M AA R K
+remarkable R IH M AA R K AH B AH L
+remarkably R IH M AA R K AH B L IY
+remedial R IH M IY D IY AH L
+remedy R EH M AH D IY
+remember R IH M EH M B ER
+remembrance R IY M EH M B R AH N S
+remind R IY M AY N D
+reminder R IY M AY N D ER
+reminisce R EH M AH N IH S
+reminiscent R EH M AH N IH S AH N T
+remiss R IY M IH S
+remission R IY M IH SH AH N
+remnant R EH M N AH N T
+remodel R IY M AA D AH L
+remodeling R IH M AA D AH L IH NG
+remorse R IH M AO R S
+remorseful R IH M AO R S F AH L
+remote R IH M OW T
+remotely R IY M OW T L IY
+remotest R IH M OW T AH S T
+removal R IH M UW V AH L
+remove R IY M UW V
+remuneration R IH M Y UW N ER EY SH AH N
+renaissance R EH N AH S AA N S
+rename R IY N EY M
+render R EH N D ER
+rendezvous R AA N D IH V UW
+rending R EH N D IH NG
+rendition R EH N D IH SH AH N
+renegade R EH N AH G EY D
+renege R IH N IH G
+renew R IH N UW
+renewal R IH N UW AH L
+renounce R IH N AW N S
+renovate R EH N AH V EY T
+renovation R EH N AH V EY SH AH N
+renown R IH N AW N
+rent R EH N T
+rental R EH N T AH L
+renunciation R IH N AH N S IY EY SH AH N
+reopen R IY OW P AH N
+reorganization R IY AO R G AH N AH Z EY SH AH N
+reorganize R IY AO R G AH N AY Z
+repaid R IY P EY D
+repair R IH P EH R
+repay R IY P EY
+repayment R IY P EY M AH N T
+repeat R IH P IY T
+repeatable R IH P IY T AH B AH L
+repeatedly R IH P IY T IH D L IY
+repel R IH P EH L
+repelled R AH P EH L D
+repellent R IH P EH L AH N T
+repent R IH P EH N T
+repentance R IH P EH N T AH N S
+repentant R IH P EH N T AH N T
+repercussions R IY P ER K AH SH AH N Z
+repertoire R EH P ER T W AA R
+repetition R EH P AH T IH SH AH N
+repetitive R IH P EH T IH T IH V
+rephrase R IY F R EY Z
+replace R IY P L EY S
+replacement R IH P L EY S M AH N T
+replacements R IY P L EY S M AH N T S
+replaces R IH P L EY S IH Z
+replacing R IH P L EY S IH NG
+replay R IY P L EY
+replenish R IY P L EH N IH SH
+replica R EH P L IH K AH
+replicate R EH P L AH K EY T
+replicating R EH P L IH K EY T IH NG
+replication R EH P L AH K EY SH AH N
+reply R IH P L AY
+report R IY P AO R T
+reportedly R IH P AO R T AH D L IY
+reporter R IH P AO R T ER
+reports R IH P AO R T S
+repose R IY P OW Z
+repository R IY P AA Z AH T AO R IY
+reprehensible R EH P R IH HH EH N S AH B AH L
+represent R EH P R IH Z EH N T
+representation R EH P R AH Z EH N T EY SH AH N
+representations R EH P R AH Z AH N T EY SH AH N Z
+representative R EH P R AH Z EH N T AH T IH V
+repress R IY P R EH S
+repression R IY P R EH SH AH N
+repressive R IY P R EH S IH V
+reprieve R IY P R IY V
+reprimand R EH P R AH M AE N D
+reprisal R IY P R AY Z AH L
+reprisals R IH P R AY Z AH L Z
+reproach R IY P R OW CH
+reproduce R IY P R AH D UW S
+reproduction R IY P R AH D AH K SH AH N
+reproductive R IY P R AH D AH K T IH V
+reprogram R IY P R OW G R AE M
+reptile R EH P T AY L
+republic R IY P AH B L AH K
+republican R IH P AH B L IH K AH N
+repudiate R IY P Y UW D IY EY T
+repugnant R IH P AH G N AH N T
+repulse R IY P AH L S
+repulsive R IY P AH L S IH V
+reputable R EH P Y AH T AH B AH L
+reputation R EH P Y AH T EY SH AH N
+repute R IY P Y UW T
+reputed R IH P Y UW T IH D
+request R IH K W EH S T
+requiem R EH K W IY AH M
+require R IY K W AY ER
+requirement R IH K W AY R M AH N T
+requisite R EH K W AH Z AH T
+requisition R EH K W AH Z IH SH AH N
+reread R IY R IY D
+reroute R IY R UW T
+resale R IY S EY L
+reschedule R IY S K EH JH UW L
+rescind R IH S IH N D
+rescue R EH S K Y UW
+rescuer R EH S K Y UW ER
+research R IY S ER CH
+researcher R IY S ER CH ER
+resemblance R IH Z EH M B L AH N S
+resemble R IH Z EH M B AH L
+resent R IH Z EH N T
+resented R IY Z EH N T IH D
+resentful R IH Z EH N T F AH L
+resentment R IH Z EH N T M AH N T
+reservation R EH Z ER V EY SH AH N
+reserve R IH Z ER V
+reservoir R EH Z AH V W AA R
+reservoirs R EH Z ER V W AA R Z
+reset R IY S EH T
+reside R IH Z AY D
+residence R EH Z IH D AH N S
+resident R EH Z IH D AH N T
+residential R EH Z IH D EH N SH AH L
+residual R IH Z IH JH UW AH L
+residue R EH Z AH D UW
+resign R IH Z AY N
+resignation R EH Z AH G N EY SH AH N
+resignations R EH Z IH G N EY SH AH N Z
+resilient R IH Z IH L Y AH N T
+resin R EH Z AH N
+resist R IH Z IH S T
+resistance R IH Z IH S T AH N S
+resistant R IH Z IH S T AH N T
+resolute R EH Z AH L UW T
+resolution R EH Z AH L UW SH AH N
+resolve R IY Z AA L V
+resonance R EH Z AH N AH N S
+resort R IH Z AO R T
+resounding R IY S AW N D IH NG
+resource R IY S AO R S
+resourceful R IY S AO R S F AH L
+resourcefulness R IY S AO R S F AH L N AH S
+respect R IH S P EH K T
+respectability R IY S P EH K T AH B IH L IH T IY
+respectable R IH S P EH K T AH B AH L
+respectful R IH S P EH K T F AH L
+respectfully R IH S P EH K T F AH L IY
+respecting R IY S P EH K T IH NG
+respective R IH S P EH K T IH V
+respectively R IH S P EH K T IH V L IY
+respiration R EH S P ER EY SH AH N
+respirator R EH S P ER EY T ER
+respiratory R EH S P ER AH T AO R IY
+respite R EH S P IH T
+resplendent R IY S P L EH N D AH N T
+respond R IH S P AA N D
+response R IH S P AA N S
+responsibility R IY S P AA N S AH B IH L AH T IY
+responsible R IY S P AA N S AH B AH L
+responsibly R IH S P AA N S AH B L IY
+responsive R IH S P AA N S IH V
+rest R EH S T
+restart R IY S T AA R T
+restaurant R EH S T ER AA N T
+rested R EH S T AH D
+restful R EH S T F AH L
+restitution R EH S T IH T UW SH AH N
+restless R EH S T L AH S
+restlessness R EH S T L AH S N AH S
+restoration R EH S T ER EY SH AH N
+restore R IH S T AO R
+restrain R IY S T R EY N
+restraint R IH S T R EY N T
+restrict R IY S T R IH K T
+restricted R IY S T R IH K T AH D
+restriction R IY S T R IH K SH AH N
+restrictive R IY S T R IH K T IH V
+restructure R IY S T R AH K CH ER
+result R IH Z AH L T
+resume R IH Z UW M
+resurfaced R IY S ER F AH S T
+resurrect R EH Z ER EH K T
+resurrection R EH Z ER EH K SH AH N
+resuscitate R IH S AH S IH T EY T
+resuscitation R IH S AH S IH T EY SH AH N
+retail R IY T EY L
+retailers R IY T EY L ER Z
+retain R IH T EY N
+retainer R IH T EY N ER
+retaliate R IH T AE L IY EY T
+retaliation R IY T AE L IY EY SH AH N
+retard R IH T AA R D
+retention R IY T EH N SH AH N
+rethink R IY TH IH NG K
+reticent R EH T IH S AH N T
+retina R EH T AH N AH
+retire R IH T AY R
+retirement R IY T AY ER M AH N T
+retort R IY T AO R T
+retrace R IY T R EY S
+retract R IY T R AE K T
+retracted R IY T R AE K T AH D
+retraction R IY T R AE K SH AH N
+retreat R IY T R IY T
+retreated R IY T R IY T AH D
+retribution R EH T R AH B Y UW SH AH N
+retrieval R IH T R IY V AH L
+retrieve R IH T R IY V
+retrieved R IY T R IY V D
+retriever R IY T R IY V ER
+retrieving R IY T R IY V IH NG
+retroactive R EH T R OW AE K T IH V
+retrograde R EH T R AH G R EY D
+retrospect R EH T R AH S P EH K T
+retrospective R EH T R AH S P EH K T IH V
+return R IH T ER N
+reunion R IY UW N Y AH N
+reunite R IY UW N AY T
+reuse R IY Y UW S
+rev R EH V
+reveal R IH V IY L
+revel R EH V AH L
+revelation R EH V AH L EY SH AH N
+revenge R IY V EH N JH
+revenue R EH V AH N UW
+revere R IH V IH R
+reverence R EH V ER AH N S
+reverent R EH V ER AH N T
+reversal R IH V ER S AH L
+reverse R IH V ER S
+reversible R IH V ER S AH B AH L
+revert R IH V ER T
+review R IY V Y UW
+reviewer R IY V Y UW ER
+revise R IH V AY Z
+revision R IY V IH ZH AH N
+revisit R IY V IH Z IH T
+revival R IH V AY V AH L
+revive R IH V AY V
+revoke R IH V OW K
+revolt R IH V OW L T
+revolting R IY V OW L T IH NG
+revolts R IY V OW L T S
+revolution R EH V AH L UW SH AH N
+revolutionary R EH V AH L UW SH AH N EH R IY
+revolutionize R EH V AH L UW SH AH N AY Z
+revolve R IY V AA L V
+revolver R IH V AA L V ER
+revue R IH V Y UW
+revulsion R IH V AH L SH AH N
+reward R IH W AO R D
+rewind R IY W AY N D
+rewrite R IY R AY T
+rewritten R IY R IH T AH N
+rewrote R IY R OW T
+rhapsody R AE P S AH D IY
+rhetoric R EH T ER IH K
+rhetorical R IH T AO R IH K AH L
+rheumatism R UW M AH T IH Z AH M
+rhino R AY N OW
+rhinoceros R AY N AA S ER AH S
+rhubarb R UW B AA R B
+rhyme R AY M
+rhythm R IH DH AH M
+rhythmic R IH DH M IH K
+rib R IH B
+ribbon R IH B AH N
+rice R AY S
+rich R IH CH
+richer R IH CH ER
+riches R IH CH AH Z
+richest R IH CH AH S T
+richly R IH CH L IY
+richness R IH CH N AH S
+rickety R IH K AH T IY
+ricochet R IH K AH SH EY
+rid R IH D
+riddance R IH D AH N S
+ridden R IH D AH N
+riddle R IH D AH L
+ride R AY D
+rider R AY D ER
+rides R AY D Z
+ridge R IH JH
+ridges R IH JH AH Z
+ridicule R IH D AH K Y UW L
+ridiculous R IH D IH K Y AH L AH S
+ridiculously R AH D IH K Y AH L AH S L IY
+riding R AY D IH NG
+rife R AY F
+rifle R AY F AH L
+rifling R AY F L IH NG
+rift R IH F T
+rig R IH G
+right R AY T
+righteous R AY CH AH S
+righteously R AY CH AH S L IY
+righteousness R AY CH AH S N AH S
+rightful R AY T F AH L
+rightfully R AY T F AH L IY
+rightly R AY T L IY
+rigid R IH JH AH D
+rigidity R IH JH IH D AH T IY
+rigor R IH G ER
+rigorous R IH G ER AH S
+rigorously R IH G ER AH S L IY
+rile R AY L
+rim R IH M
+rind R AY N D
+ring R IH NG
+ringleader R IH NG L IY D ER
+rink R IH NG K
+rinse R IH N S
+riot R AY AH T
+rioters R AY AH T ER Z
+rip R IH P
+ripe R AY P
+ripen R AY P AH N
+ripple R IH P AH L
+rise R AY Z
+risen R IH Z AH N
+riser R AY Z ER
+rises R AY Z AH Z
+risk R IH S K
+risky R IH S K IY
+rite R AY T
+ritual R IH CH UW AH L
+rival R AY V AH L
+rivalry R AY V AH L R IY
+river R IH V ER
+rivet R IH V AH T
+roach R OW CH
+road R OW D
+roadblock R OW D B L AA K
+roadside R OW D S AY D
+roam R OW M
+roar R AO R
+roast R OW S T
+roasted R OW S T AH D
+rob R AA B
+robber R AA B ER
+robbery R AA B ER IY
+robe R OW B
+robes R OW B Z
+robin R AA B AH N
+robot R OW B AA T
+robust R OW B AH S T
+rock R AA K
+rocker R AA K ER
+rocket R AA K AH T
+rocky R AA K IY
+rod R AA D
+rode R OW D
+rodent R OW D AH N T
+rodeo R OW D IY OW
+roe R OW
+rogue R OW G
+role R OW L
+roll R OW L
+roller R OW L ER
+roman R OW M AH N
+romance R OW M AE N S
+romantic R OW M AE N T IH K
+romantically R OW M AE N T IH K AH L IY
+romp R AA M P
+roof R UW F
+rook R UH K
+rookie R UH K IY
+room R UW M
+roommate R UW M EY T
+roomy R UW M IY
+roost R UW S T
+rooster R UW S T ER
+root R UW T
+rooted R UW T AH D
+rope R OW P
+rosary R OW Z ER IY
+rose R OW Z
+rosemary R OW Z M EH R IY
+rosier R OW Z IY ER
+roster R AA S T ER
+rosy R OW Z IY
+rot R AA T
+rotary R OW T ER IY
+rotate R OW T EY T
+rotation R OW T EY SH AH N
+rotor R OW T ER
+rotten R AA T AH N
+rotunda R OW T AH N D AH
+rouge R UW ZH
+rough R AH F
+rougher R AH F ER
+roughest R AH F AH S T
+roughly R AH F L IY
+roulette R UW L EH T
+round R AW N D
+roundabout R AW N D AH B AW T
+rounded R AW N D AH D
+rounder R AW N D ER
+rouse R AW S
+roused R AW Z D
+rousing R AW Z IH NG
+rout R AW T
+route R UW T
+routed R UW T IH D
+router R UW T ER
+routes R UW T S
+routine R UW T IY N
+routinely R UW T IY N L IY
+row R OW
+rowboat R OW B OW T
+rowdy R AW D IY
+royal R OY AH L
+royally R OY AH L IY
+royalty R OY AH L T IY
+rub R AH B
+rubber R AH B ER
+rubbish R AH B IH SH
+rubble R AH B AH L
+ruby R UW B IY
+ruckus R AH K AH S
+rudder R AH D ER
+ruddy R AH D IY
+rude R UW D
+rudely R UW D L IY
+rudeness R UW D N AH S
+rudimentary R UW D AH M EH N T ER IY
+rue R UW
+ruff R AH F
+ruffle R AH F AH L
+rug R AH G
+rugby R AH G B IY
+rugged R AH G AH D
+ruin R UW AH N
+ruining R UW IH N IH NG
+rule R UW L
+ruler R UW L ER
+rum R AH M
+rumble R AH M B AH L
+rummage R AH M IH JH
+rummy R AH M IY
+rumor R UW M ER
+rump R AH M P
+run R AH N
+runaway R AH N AH W EY
+rundown R AH N D AW N
+rune R UW N
+runes R UW N Z
+rung R AH NG
+runner R AH N ER
+runny R AH N IY
+runway R AH N W EY
+rupture R AH P CH ER
+rural R UH R AH L
+ruse R UW Z
+rush R AH SH
+rushes R AH SH AH Z
+rust R AH S T
+rustic R AH S T IH K
+rustle R AH S AH L
+rustler R AH S L ER
+rustlers R AH S AH L ER Z
+rustling R AH S L IH NG
+rusty R AH S T IY
+rut R AH T
+ruthless R UW TH L AH S
+ruthlessly R UW TH L AH S L IY
+rye R AY
+sabbatical S AH B AE T IH K AH L
+saber S EY B ER
+sabotage S AE B AH T AA ZH
+saboteur S AE B AH T ER
+sac S AE K
+sack S AE K
+sacrament S AE K R AH M AH N T
+sacred S EY K R AH D
+sacrifice S AE K R AH F AY S
+sacrificial S AE K R AH F IH SH AH L
+sacrilege S AE K R AH L AH JH
+sacrilegious S AE K R AH L EH JH IH S
+sad S AE D
+sadden S AE D AH N
+sadder S AE D ER
+saddest S AE D AH S T
+saddle S AE D AH L
+sadist S EY D AH S T
+sadistic S AH D IH S T IH K
+sadly S AE D L IY
+sadness S AE D N AH S
+safari S AH F AA R IY
+safe S EY F
+safeguard S EY F G AA R D
+safekeeping S EY F K IY P IH NG
+safely S EY F L IY
+safer S EY F ER
+safest S EY F AH S T
+safety S EY F T IY
+saffron S AE F R AH N
+sag S AE G
+saga S AA G AH
+sage S EY JH
+sagebrush S EY JH B R AH SH
+sages S EY JH IH Z
+said S EH D
+sail S EY L
+sailboat S EY L B OW T
+sailor S EY L ER
+saint S EY N T
+saintly S EY N T L IY
+sake S EY K
+salad S AE L AH D
+salami S AH L AA M IY
+salary S AE L ER IY
+sale S EY L
+salesman S EY L Z M AH N
+salesmen S EY L Z M IH N
+salespeople S EY L Z P IY P AH L
+salesperson S EY L Z P ER S AH N
+saleswoman S EY L Z W UH M AH N
+salient S EY L IY AH N T
+saliva S AH L AY V AH
+salivating S AE L AH V EY T IH NG
+sally S AE L IY
+salmon S AE M AH N
+salon S AH L AA N
+saloon S AH L UW N
+salt S AO L T
+salty S AO L T IY
+salute S AH L UW T
+salvage S AE L V AH JH
+salvaged S AE L V IH JH D
+salvaging S AE L V IH JH IH NG
+salvation S AE L V EY SH AH N
+salve S AA V
+same S EY M
+sample S AE M P AH L
+sampler S AE M P L ER
+sampling S AE M P L IH NG
+sanctimonious S AE NG K T AH M OW N IY AH S
+sanction S AE NG K SH AH N
+sanctity S AE NG K T IH T IY
+sanctuary S AE NG K CH UW EH R IY
+sand S AE N D
+sandal S AE N D AH L
+sandbag S AE N D B AE G
+sandman S AE N D M AE N
+sandpaper S AE N D P EY P ER
+sandstone S AE N D S T OW N
+sandstorm S AE N D S T AO R M
+sandwich S AE N D W IH CH
+sandy S AE N D IY
+sane S EY N
+saner S EY N ER
+sang S AE NG
+sanitary S AE N IH T EH R IY
+sanitation S AE N AH T EY SH AH N
+sanity S AE N AH T IY
+sank S AE NG K
+sap S AE P
+sapphire S AE F AY ER
+sarcasm S AA R K AE Z AH M
+sarcastic S AA R K AE S T IH K
+sarcastically S AA R K AE S T IH K L IY
+sardine S AA R D IY N
+sari S AA R IY
+sash S AE SH
+sassy S AE S IY
+sat S AE T
+satanic S AH T AE N IH K
+satellite S AE T AH L AY T
+satin S AE T AH N
+satire S AE T AY ER
+satisfaction S AE T AH S F AE K SH AH N
+satisfactorily S AE T IH S F AE K T R AH L IY
+satisfactory S AE T AH S F AE K T R IY
+satisfies S AE T IH S F AY Z
+satisfy S AE T AH S F AY
+satisfying S AE T IH S F AY IH NG
+saturate S AE CH ER EY T
+saturation S AE CH ER EY SH AH N
+sauce S AO S
+saucer S AO S ER
+sauces S AO S AH Z
+saucy S AO S IY
+sauerkraut S AW ER K R AW T
+sauna S AO N AH
+sausage S AO S AH JH
+sausages S AO S IH JH IH Z
+savage S AE V AH JH
+savagely S AE V IH JH L IY
+savagery S AE V IH JH EH R IY
+savages S AE V AH JH AH Z
+save S EY V
+saver S EY V ER
+savior S EY V Y ER
+savor S EY V ER
+savory S EY V ER IY
+savvy S AE V IY
+saw S AO
+sawdust S AO D AH S T
+saxophone S AE K S AH F OW N
+say S EY
+says S EH Z
+scab S K AE B
+scaffold S K AE F AH L D
+scald S K AO L D
+scale S K EY L
+scallops S K AE L AH P S
+scalp S K AE L P
+scalpel S K AE L P AH L
+scamper S K AE M P ER
+scan S K AE N
+scandal S K AE N D AH L
+scandalous S K AE N D AH L AH S
+scanner S K AE N ER
+scant S K AE N T
+scapegoat S K EY P G OW T
+scar S K AA R
+scarce S K EH R S
+scarcely S K EH R S L IY
+scare S K EH R
+scarecrow S K AE R K R OW
+scared S K EH R D
+scares S K EH R Z
+scarf S K AA R F
+scarier S K EH R IY ER
+scariest S K EH R IY AH S T
+scaring S K EH R IH NG
+scarlet S K AA R L AH T
+scarves S K AA R V Z
+scary S K EH R IY
+scatter S K AE T ER
+scavenger S K AE V AH N JH ER
+scenario S IH N EH R IY OW
+scene S IY N
+scenery S IY N ER IY
+scenic S IY N IH K
+scent S EH N T
+schedule S K EH JH UH L
+scheduler S K EH JH UH L ER
+scheme S K IY M
+schizophrenia S K IH T S AH F R IY N IY AH
+schizophrenic SH IH Z AH F R EH N IH K
+scholar S K AA L ER
+scholarly S K AA L ER L IY
+scholarship S K AA L ER SH IH P
+scholastic S K AH L AE S T IH K
+school S K UW L
+schoolboy S K UW L B OY
+schoolchildren S K UW L CH IH L D R AH N
+schoolteacher S K UW L T IY CH ER
+schooner S K UW N ER
+science S AY AH N S
+sciences S AY AH N S AH Z
+scientific S AY AH N T IH F IH K
+scientifically S AY AH N T IH F IH K AH L IY
+scientist S AY AH N T IH S T
+scissor S IH Z ER
+scoff S K AO F
+scold S K OW L D
+scoop S K UW P
+scoot S K UW T
+scooter S K UW T ER
+scope S K OW P
+scorch S K AO R CH
+score S K AO R
+scorer S K AO R ER
+scorn S K AO R N
+scorpion S K AO R P IY AH N
+scotch S K AA CH
+scoundrel S K AW N D R AH L
+scour S K AW ER
+scourge S K ER JH
+scout S K AW T
+scowl S K AW L
+scrabble S K R AE B AH L
+scram S K R AE M
+scramble S K R AE M B AH L
+scrap S K R AE P
+scrapbook S K R AE P B UH K
+scrape S K R EY P
+scraped S K R EY P T
+scrapes S K R EY P S
+scraping S K R EY P IH NG
+scratch S K R AE CH
+scratches S K R AE CH AH Z
+scratchy S K R AE CH IY
+scrawl S K R AO L
+scrawny S K R AO N IY
+scream S K R IY M
+screech S K R IY CH
+screen S K R IY N
+screw S K R UW
+screwdriver S K R UW D R AY V ER
+screwy S K R UW IY
+scribble S K R IH B AH L
+scribe S K R AY B
+script S K R IH P T
+scripture S K R IH P CH ER
+scroll S K R OW L
+scrounge S K R AW N JH
+scrub S K R AH B
+scruffy S K R AH F IY
+scruples S K R UW P AH L Z
+scrutinize S K R UW T AH N AY Z
+scrutiny S K R UW T AH N IY
+scuff S K AH F
+scuffle S K AH F AH L
+sculptor S K AH L P T ER
+sculpture S K AH L P CH ER
+scum S K AH M
+scurry S K ER IY
+scuttle S K AH T AH L
+scythe S IH TH
+sea S IY
+seafood S IY F UW D
+seal S IY L
+seam S IY M
+seaman S IY M AH N
+seamen S IY M AH N
+seamstress S IY M S T R IH S
+sear S IH R
+search S ER CH
+searchlight S ER CH L AY T
+seashell S IY SH EH L
+seashore S IY SH AO R
+seasick S IY S IH K
+seaside S IY S AY D
+season S IY Z AH N
+seasonal S IY Z AH N AH L
+seat S IY T
+seaweed S IY W IY D
+secluded S IH K L UW D IH D
+seclusion S IH K L UW ZH AH N
+second S EH K AH N D
+secondary S EH K AH N D EH R IY
+secondly S EH K AH N D L IY
+secrecy S IY K R AH S IY
+secret S IY K R AH T
+secretarial S EH K R AH T EH R IY AH L
+secretary S EH K R AH T EH R IY
+secrete S IH K R IY T
+secreted S AH K R IY T IH D
+secretion S AH K R IY SH AH N
+secretive S IY K R AH T IH V
+secretly S IY K R IH T L IY
+sect S EH K T
+section S EH K SH AH N
+sector S EH K T ER
+secular S EH K Y AH L ER
+secure S IH K Y UH R
+securely S IH K Y UH R L IY
+security S IH K Y UH R AH T IY
+sedan S AH D AE N
+sedate S IH D EY T
+sedative S EH D AH T IH V
+sediment S EH D AH M AH N T
+seduce S IH D UW S
+seduction S IH D AH K SH AH N
+seductive S IH D AH K T IH V
+see S IY
+seedlings S IY D L IH NG Z
+seedy S IY D IY
+seek S IY K
+seem S IY M
+seemingly S IY M IH NG L IY
+seen S IY N
+seepage S IY P IH JH
+seeping S IY P IH NG
+seer S IY R
+seesaw S IY S AO
+seething S IY DH IH NG
+segment S EH G M AH N T
+segregated S EH G R AH G EY T IH D
+segregation S EH G R AH G EY SH AH N
+seize S IY Z
+seizure S IY ZH ER
+seldom S EH L D AH M
+select S AH L EH K T
+selection S AH L EH K SH AH N
+selective S AH L EH K T IH V
+selectively S AH L EH K T IH V L IY
+self S EH L F
+selfish S EH L F IH SH
+selfishness S EH L F IH SH N AH S
+sell S EH L
+seller S EH L ER
+selves S EH L V Z
+semantic S IH M AE N T IH K
+semblance S EH M B L AH N S
+semen S IY M AH N
+semester S AH M EH S T ER
+semifinal S EH M IY F AY N AH L
+seminar S EH M AH N AA R
+seminary S EH M AH N EH R IY
+senate S EH N AH T
+senator S EH N AH T ER
+send S EH N D
+sender S EH N D ER
+senile S IY N AY L
+senility S AH N IH L AH T IY
+senior S IY N Y ER
+seniority S IY N Y AO R IH T IY
+sensation S EH N S EY SH AH N
+sensational S EH N S EY SH AH N AH L
+sense S EH N S
+senseless S EH N S L AH S
+sensibility S EH N S IH B IH L IH T IY
+sensible S EH N S AH B AH L
+sensibly S EH N S AH B L IY
+sensitive S EH N S AH T IH V
+sensitivity S EH N S IH T IH V IH T IY
+sensor S EH N S ER
+sensory S EH N S ER IY
+sensual S EH N SH AH W AH L
+sensuality S EH N SH UW AE L AH T IY
+sensuous S EH N SH AH W AH S
+sent S EH N T
+sentence S EH N T AH N S
+sentences S EH N T AH N S AH Z
+sentiment S EH N T AH M AH N T
+sentimental S EH N T AH M EH N T AH L
+sentimentality S EH N T AH M EH N T AE L IH T IY
+sentry S EH N T R IY
+separate S EH P ER EY T
+separately S EH P ER AH T L IY
+separation S EH P ER EY SH AH N
+separator S EH P AH R EY T ER
+sequel S IY K W AH L
+sequence S IY K W AH N S
+sequences S IY K W AH N S AH Z
+sequential S AH K W EH N SH AH L
+sequins S IY K W AH N Z
+serenade S EH R AH N EY D
+serene S ER IY N
+serenity S ER EH N AH T IY
+sergeant S AA R JH AH N T
+serial S IH R IY AH L
+series S IH R IY Z
+serious S IH R IY AH S
+seriously S IH R IY AH S L IY
+seriousness S IH R IY AH S N AH S
+sermon S ER M AH N
+serpent S ER P AH N T
+serum S IH R AH M
+servant S ER V AH N T
+serve S ER V
+server S ER V ER
+service S ER V AH S
+serviceable S ER V AH S AH B AH L
+serviced S ER V IH S T
+servicemen S ER V AH S M EH N
+services S ER V AH S AH Z
+servicing S ER V IH S IH NG
+servitude S ER V AH T UW D
+session S EH SH AH N
+set S EH T
+setback S EH T B AE K
+setter S EH T ER
+settle S EH T AH L
+settlement S EH T AH L M AH N T
+settlers S EH T L ER Z
+seven S EH V AH N
+seventeen S EH V AH N T IY N
+seventeenth S EH V AH N T IY N TH
+seventh S EH V AH N TH
+seventy S EH V AH N T IY
+sever S EH V ER
+several S EH V R AH L
+severance S EH V ER AH N S
+severe S AH V IH R
+severely S AH V IH R L IY
+severity S IH V EH R IH T IY
+sew S OW
+sewage S UW AH JH
+sewer S UW ER
+sewn S OW N
+sex S EH K S
+sexes S EH K S AH Z
+sexist S EH K S IH S T
+sexual S EH K SH UW AH L
+sexuality S EH K SH UW AE L AH T IY
+sexually S EH K SH UW AH L IY
+sexy S EH K S IY
+shabby SH AE B IY
+shack SH AE K
+shackle SH AE K AH L
+shade SH EY D
+shadow SH AE D OW
+shadowy SH AE D OW IY
+shady SH EY D IY
+shaft SH AE F T
+shaggy SH AE G IY
+shake SH EY K
+shaken SH EY K AH N
+shaky SH EY K IY
+shall SH AE L
+shallow SH AE L OW
+sham SH AE M
+shambles SH AE M B AH L Z
+shame SH EY M
+shamed SH EY M D
+shameful SH EY M F AH L
+shameless SH EY M L AH S
+shaming SH EY M IH NG
+shampoo SH AE M P UW
+shamrock SH AE M R AA K
+shanty SH AE N T IY
+shape SH EY P
+shapely SH EY P L IY
+share SH EH R
+shareholder SH EH R HH OW L D ER
+shark SH AA R K
+sharp SH AA R P
+sharpen SH AA R P AH N
+sharper SH AA R P ER
+sharpest SH AA R P AH S T
+sharply SH AA R P L IY
+sharpness SH AA R P N AH S
+shatter SH AE T ER
+shave SH EY V
+shaven SH EY V AH N
+shaver SH EY V ER
+shawl SH AO L
+she SH IY
+shear SH IH R
+shears SH IY R Z
+sheath SH IY TH
+shed SH EH D
+sheen SH IY N
+sheep SH IY P
+sheer SH IH R
+sheet SH IY T
+sheikh SH IY K
+shelf SH EH L F
+shell SH EH L
+shellfish SH EH L F IH SH
+shelter SH EH L T ER
+shelve SH EH L V
+shepherd SH EH P ER D
+sherbet SH ER B AH T
+sheriff SH EH R AH F
+sherry SH EH R IY
+shield SH IY L D
+shift SH IH F T
+shiftless SH IH F T L IH S
+shifty SH IH F T IY
+shimmer SH IH M ER
+shin SH IH N
+shine SH AY N
+shined SH AY N D
+shines SH AY N Z
+shingle SH IH NG G AH L
+shining SH AY N IH NG
+shiny SH AY N IY
+ship SH IH P
+shipment SH IH P M AH N T
+shipshape SH IH P SH EY P
+shipwreck SH IH P R EH K
+shire SH AY R
+shirk SH ER K
+shirt SH ER T
+shiver SH IH V ER
+shoals SH OW L Z
+shock SH AA K
+shoddy SH AA D IY
+shoe SH UW
+shoelace SH UW L EY S
+shoelaces SH UW L EY S AH Z
+shoestring SH UW S T R IH NG
+shone SH OW N
+shoo SH UW
+shook SH UH K
+shoot SH UW T
+shop SH AA P
+shopkeeper SH AA P K IY P ER
+shoplifter SH AA P L IH F T ER
+shopper SH AA P ER
+shore SH AO R
+short SH AO R T
+shortage SH AO R T AH JH
+shortages SH AO R T AH JH AH Z
+shortcomings SH AO R T K AH M IH NG Z
+shorten SH AO R T AH N
+shorter SH AO R T ER
+shortest SH AO R T IH S T
+shorthand SH AO R T HH AE N D
+shortly SH AO R T L IY
+shortness SH AO R T N AH S
+shot SH AA T
+shotgun SH AA T G AH N
+should SH UH D
+shoulder SH OW L D ER
+shout SH AW T
+shove SH AH V
+shovel SH AH V AH L
+shoveling SH AH V L IH NG
+show SH OW
+showcase SH OW K EY S
+showdown SH OW D AW N
+shower SH AW ER
+showman SH OW M AH N
+shown SH OW N
+showy SH OW IY
+shrank SH R AE NG K
+shrapnel SH R AE P N AH L
+shred SH R EH D
+shrewd SH R UW D
+shriek SH R IY K
+shrill SH R IH L
+shrimp SH R IH M P
+shrine SH R AY N
+shrink SH R IH NG K
+shrinkage SH R IH NG K IH JH
+shrivel SH R IH V AH L
+shroud SH R AW D
+shrub SH R AH B
+shrubbery SH R AH B ER IY
+shrug SH R AH G
+shrunk SH R AH NG K
+shrunken SH R AH NG K AH N
+shuck SH AH K
+shudder SH AH D ER
+shuffle SH AH F AH L
+shuffling SH AH F L IH NG
+shun SH AH N
+shunt SH AH N T
+shut SH AH T
+shutdown SH AH T D AW N
+shutter SH AH T ER
+shuttle SH AH T AH L
+shy SH AY
+shyness SH AY N AH S
+sibling S IH B L IH NG
+sic S IH K
+sick S IH K
+sicken S IH K AH N
+sicker S IH K ER
+sickest S IH K AH S T
+sickle S IH K AH L
+sickly S IH K L IY
+sickness S IH K N AH S
+side S AY D
+sideline S AY D L AY N
+sideshow S AY D SH OW
+sidetracked S AY D T R AE K T
+sidewalk S AY D W AO K
+sideways S AY D W EY Z
+sidle S AY D AH L
+siege S IY JH
+sierra S IY EH R AH
+siesta S IY EH S T AH
+sieve S IH V
+sift S IH F T
+sigh S AY
+sight S AY T
+sigma S IH G M AH
+sign S AY N
+signal S IH G N AH L
+signature S IH G N AH CH ER
+significance S AH G N IH F IH K AH N S
+significant S AH G N IH F IH K AH N T
+significantly S IH G N IH F IH K AH N T L IY
+signify S IH G N AH F AY
+signpost S AY N P OW S T
+silence S AY L AH N S
+silent S AY L AH N T
+silently S AY L AH N T L IY
+silhouette S IH L AH W EH T
+silicon S IH L AH K AH N
+silk S IH L K
+silken S IH L K AH N
+sill S IH L
+sillier S IH L IY ER
+silliest S IH L IY AH S T
+silliness S IH L IY N AH S
+silly S IH L IY
+silo S AY L OW
+silt S IH L T
+silver S IH L V ER
+silverware S IH L V ER W EH R
+silvery S IH L V ER IY
+similar S IH M AH L ER
+similarity S IH M AH L EH R AH T IY
+similarly S IH M AH L ER L IY
+simmer S IH M ER
+simple S IH M P AH L
+simpler S IH M P AH L ER
+simplest S IH M P L AH S T
+simplicity S IH M P L IH S AH T IY
+simplify S IH M P L AH F AY
+simplistic S IH M P L IH S T IH K
+simply S IH M P L IY
+simulate S IH M Y AH L AH T
+simulated S IH M Y AH L EY T IH D
+simulates S IH M Y AH L EY T S
+simulating S IH M Y AH L EY T IH NG
+simulation S IH M Y AH L EY SH AH N
+simulations S IH M Y UW L EY SH AH N Z
+simulator S IH M Y AH L EY T ER
+simultaneous S AY M AH L T EY N IY AH S
+simultaneously S AY M AH L T EY N IY AH S L IY
+sin S IH N
+since S IH N S
+sincere S IH N S IH R
+sincerely S IH N S IH R L IY
+sincerity S IH N S EH R AH T IY
+sine S AY N
+sinewy S IH N Y UW IY
+sinful S IH N F AH L
+sing S IH NG
+singe S IH N JH
+singed S IH N JH D
+singer S IH NG ER
+single S IH NG G AH L
+singular S IH NG G Y AH L ER
+singularity S IH NG G Y AH L EH R AH T IY
+singularly S IH NG G Y AH L ER L IY
+sinister S IH N IH S T ER
+sink S IH NG K
+sinner S IH N ER
+sinus S AY N AH S
+sinuses S AY N AH S AH Z
+sip S IH P
+siphon S AY F AH N
+sir S ER
+sire S AY ER
+siren S AY R AH N
+sirs S ER R Z
+sissy S IH S IY
+sister S IH S T ER
+sisterhood S IH S T ER HH UH D
+sit S IH T
+site S AY T
+sites S AY T S
+sitter S IH T ER
+situate S IH CH UW EY T
+situation S IH CH UW EY SH AH N
+six S IH K S
+sixteen S IH K S T IY N
+sixteenth S IH K S T IY N TH
+sixth S IH K S TH
+sixty S IH K S T IY
+sizable S AY Z AH B AH L
+size S AY Z
+sizes S AY Z AH Z
+sizzle S IH Z AH L
+skate S K EY T
+skateboard S K EY T B AO R D
+skater S K EY T ER
+skeleton S K EH L AH T AH N
+skeptic S K EH P T IH K
+skeptical S K EH P T AH K AH L
+skepticism S K EH P T IH S IH Z AH M
+sketch S K EH CH
+sketches S K EH CH AH Z
+sketchy S K EH CH IY
+skewed S K Y UW D
+skewer S K Y UW ER
+ski S K IY
+skid S K IH D
+skied S K IY D
+skill S K IH L
+skillet S K IH L AH T
+skillful S K IH L F AH L
+skim S K IH M
+skimp S K IH M P
+skimpy S K IH M P IY
+skin S K IH N
+skinnier S K IH N IY ER
+skinny S K IH N IY
+skip S K IH P
+skipper S K IH P ER
+skirmish S K ER M IH SH
+skirt S K ER T
+skit S K IH T
+skittish S K IH T IH SH
+skulk S K AH L K
+skull S K AH L
+skunk S K AH NG K
+sky S K AY
+skylight S K AY L AY T
+skyline S K AY L AY N
+skyrocket S K AY R AA K AH T
+skyscraper S K AY S K R EY P ER
+slab S L AE B
+slack S L AE K
+slacker S L AE K ER
+slag S L AE G
+slain S L EY N
+slam S L AE M
+slander S L AE N D ER
+slang S L AE NG
+slant S L AE N T
+slap S L AE P
+slapstick S L AE P S T IH K
+slash S L AE SH
+slate S L EY T
+slats S L AE T S
+slaughter S L AO T ER
+slave S L EY V
+slavery S L EY V ER IY
+slay S L EY
+sleazy S L IY Z IY
+sled S L EH D
+sledgehammer S L EH JH HH AE M ER
+sleek S L IY K
+sleep S L IY P
+sleeper S L IY P ER
+sleepless S L IY P L AH S
+sleepy S L IY P IY
+sleet S L IY T
+sleeve S L IY V
+sleigh S L EY
+slender S L EH N D ER
+slept S L EH P T
+slew S L UW
+slice S L AY S
+slices S L AY S AH Z
+slick S L IH K
+slicker S L IH K ER
+slid S L IH D
+slide S L AY D
+slides S L AY D Z
+sliding S L AY D IH NG
+slight S L AY T
+slightest S L AY T AH S T
+slightly S L AY T L IY
+slim S L IH M
+slime S L AY M
+slimmer S L IH M ER
+slimy S L AY M IY
+sling S L IH NG
+slingshot S L IH NG SH AA T
+slip S L IH P
+slipper S L IH P ER
+slippery S L IH P ER IY
+slit S L IH T
+slither S L IH DH ER
+sliver S L IH V ER
+slob S L AA B
+slobber S L AA B ER
+slogan S L OW G AH N
+slop S L AA P
+slope S L OW P
+slopes S L OW P S
+sloping S L OW P IH NG
+sloppy S L AA P IY
+sloshing S L AA SH IH NG
+slot S L AA T
+sloth S L OW TH
+slouch S L AW CH
+slow S L OW
+slower S L OW ER
+slowest S L OW AH S T
+slowly S L OW L IY
+sludge S L AH JH
+slug S L AH G
+sluggish S L AH G IH SH
+sluice S L UW S
+slum S L AH M
+slumber S L AH M B ER
+slump S L AH M P
+slung S L AH NG
+slur S L ER
+slush S L AH SH
+slut S L AH T
+sly S L AY
+smack S M AE K
+small S M AO L
+smaller S M AO L ER
+smallest S M AO L AH S T
+smallish S M AO L IH SH
+smallpox S M AO L P AA K S
+smart S M AA R T
+smarter S M AA R T ER
+smartest S M AA R T AH S T
+smash S M AE SH
+smear S M IH R
+smell S M EH L
+smelly S M EH L IY
+smelt S M EH L T
+smidgen S M IH JH AH N
+smile S M AY L
+smirk S M ER K
+smith S M IH TH
+smithereens S M IH DH ER IY N Z
+smitten S M IH T AH N
+smock S M AA K
+smog S M AA G
+smoke S M OW K
+smoker S M OW K ER
+smoky S M OW K IY
+smoldering S M OW L D ER IH NG
+smooth S M UW DH
+smoother S M UW DH ER
+smoothest S M UW DH AH S T
+smoothly S M UW DH L IY
+smother S M AH DH ER
+smudge S M AH JH
+smug S M AH G
+smuggle S M AH G AH L
+smuggler S M AH G L ER
+smuggling S M AH G L IH NG
+smut S M AH T
+snack S N AE K
+snag S N AE G
+snail S N EY L
+snake S N EY K
+snap S N AE P
+snappy S N AE P IY
+snapshot S N AE P SH AA T
+snare S N EH R
+snarl S N AA R L
+snatch S N AE CH
+sneak S N IY K
+sneaker S N IY K ER
+sneaky S N IY K IY
+sneer S N IH R
+sneeze S N IY Z
+snicker S N IH K ER
+snide S N AY D
+sniff S N IH F
+sniffle S N IH F AH L
+sniffling S N IH F L IH NG
+snip S N IH P
+snipe S N AY P
+sniper S N AY P ER
+snipes S N AY P S
+sniping S N AY P IH NG
+snitch S N IH CH
+snob S N AA B
+snobbery S N AA B ER IY
+snobbish S N AA B IH SH
+snooker S N UH K ER
+snoop S N UW P
+snooty S N UW T IY
+snooze S N UW Z
+snore S N AO R
+snorkel S N AO R K AH L
+snort S N AO R T
+snot S N AO T
+snout S N AW T
+snow S N OW
+snowball S N OW B AO L
+snowfall S N OW F AA L
+snowflake S N OW F L EY K
+snowplow S N OW P L AW
+snowstorm S N OW S T AO R M
+snowy S N OW IY
+snub S N AH B
+snuff S N AH F
+snug S N AH G
+snuggle S N AH G AH L
+so S OW
+soak S OW K
+soap S OW P
+soapy S OW P IY
+soar S AO R
+sob S AA B
+sober S OW B ER
+sobriety S AH B R AY AH T IY
+soccer S AA K ER
+sociable S OW SH AH B AH L
+social S OW SH AH L
+socialism S OW SH AH L IH Z AH M
+socialist S OW SH AH L AH S T
+socialize S OW SH AH L AY Z
+socially S OW SH AH L IY
+society S AH S AY AH T IY
+sociological S OW S IY AH L AA JH IH K AH L
+sociology S OW S IY AA L AH JH IY
+sock S AA K
+socket S AA K AH T
+sod S AA D
+soda S OW D AH
+sodium S OW D IY AH M
+sodomy S AA D AH M IY
+sofa S OW F AH
+soft S AA F T
+softball S AO F T B AO L
+soften S AA F AH N
+softened S AO F AH N D
+softening S AO F AH N IH NG
+softer S AA F T ER
+softest S AO F T AH S T
+softly S AO F T L IY
+softness S AO F T N AH S
+software S AO F T W EH R
+soggy S AA G IY
+soil S OY L
+sojourn S OW JH ER N
+solace S AA L AH S
+solar S OW L ER
+sold S OW L D
+soldering S AA D ER IH NG
+soldier S OW L JH ER
+sole S OW L
+solely S OW AH L IY
+solemn S AA L AH M
+solemnly S AO L AH M L IY
+solicit S AH L IH S IH T
+soliciting S AH L IH S AH T IH NG
+solicitor S AH L IH S AH T ER
+solid S AA L AH D
+solidarity S AA L AH D EH R AH T IY
+solidify S AH L IH D AH F AY
+solidly S AA L AH D L IY
+solitaire S AA L AH T EH R
+solitary S AA L AH T EH R IY
+solitude S AA L AH T UW D
+solo S OW L OW
+soloist S OW L OW AH S T
+solution S AH L UW SH AH N
+solve S AA L V
+solvent S AA L V AH N T
+somber S AA M B ER
+some S AH M
+somebody S AH M B AA D IY
+someday S AH M D EY
+somehow S AH M HH AW
+someone S AH M W AH N
+someplace S AH M P L EY S
+somersault S AH M ER S AO L T
+something S AH M TH IH NG
+sometime S AH M T AY M
+somewhat S AH M W AH T
+somewhere S AH M W EH R
+son S AH N
+sonata S AH N AA T AH
+song S AO NG
+sonic S AA N IH K
+sonnet S AA N IH T
+soon S UW N
+sooner S UW N ER
+soonest S UW N AH S T
+soot S UH T
+soothe S UW DH
+sop S AA P
+sophisticate S AH F IH S T AH K EY T
+sophisticates S AH F IH S T AH K IH T S
+sophistication S AH F IH S T AH K EY SH AH N
+sophomore S AA F M AO R
+soprano S AH P R AA N OW
+sopranos S AH P R AE N OW Z
+sorcerer S AO R S ER ER
+sorcery S AO R S ER IY
+sordid S AO R D AH D
+sore S AO R
+sorely S AO R L IY
+sorority S ER AO R AH T IY
+sorrow S AA R OW
+sorrowful S AA R OW F AH L
+sorry S AA R IY
+sort S AO R T
+sought S AO T
+soul S OW L
+sound S AW N D
+soundly S AW N D L IY
+soundtrack S AW N D T R AE K
+soup S UW P
+sour S AW ER
+source S AO R S
+sources S AO R S AH Z
+south S AW TH
+southeast S AW TH IY S T
+southern S AH DH ER N
+southerner S AH DH ER N ER
+southpaw S AW TH P AW
+southward S AW TH W ER D
+southwest S AW TH W EH S T
+southwestern S AW TH W EH S T ER N
+souvenir S UW V AH N IH R
+sovereign S AA V R AH N
+sovereignty S AA V R AH N T IY
+sow S AW
+sowing S OW IH NG
+sown S OW N
+spa S P AA
+space S P EY S
+spacecraft S P EY S K R AE F T
+spaces S P EY S AH Z
+spaceship S P EY S SH IH P
+spacious S P EY SH AH S
+spade S P EY D
+spaghetti S P AH G EH T IY
+span S P AE N
+spangled S P AE NG G AH L D
+spaniel S P AE N Y AH L
+spank S P AE NG K
+spar S P AA R
+spare S P EH R
+spared S P EH R D
+spares S P EH R Z
+sparing S P EH R IH NG
+spark S P AA R K
+sparkle S P AA R K AH L
+sparkling S P AA R K L IH NG
+sparrow S P EH R OW
+sparse S P AA R S
+spasm S P AE Z AH M
+spat S P AE T
+spate S P EY T
+spatial S P EY SH AH L
+spatter S P AE T ER
+spatula S P AE CH UH L AH
+spawn S P AA N
+spawned S P AO N D
+speak S P IY K
+speaker S P IY K ER
+spear S P IH R
+spearhead S P IH R HH EH D
+special S P EH SH AH L
+specialist S P EH SH AH L AH S T
+specialize S P EH SH AH L AY Z
+specializes S P EH SH AH L AY Z AH Z
+specially S P EH SH AH L IY
+specialty S P EH SH AH L T IY
+species S P IY SH IY Z
+specific S P AH S IH F IH K
+specifically S P AH S IH F IH K L IY
+specification S P EH S IH F IH K EY SH AH N
+specifications S P EH S AH F AH K EY SH AH N Z
+specifics S P IH S IH F IH K S
+specify S P EH S AH F AY
+specimen S P EH S AH M AH N
+specious S P IY SH AH S
+speck S P EH K
+spectacle S P EH K T AH K AH L
+spectacular S P EH K T AE K Y AH L ER
+spectacularly S P EH K T AE K Y AH L ER L IY
+spectator S P EH K T EY T ER
+specter S P EH K T ER
+spectra S P EH K T R AH
+spectrum S P EH K T R AH M
+speculate S P EH K Y AH L EY T
+speculation S P EH K Y AH L EY SH AH N
+speculative S P EH K Y AH L AH T IH V
+sped S P EH D
+speech S P IY CH
+speeches S P IY CH AH Z
+speechless S P IY CH L AH S
+speed S P IY D
+speedboat S P IY D B OW T
+speedometer S P IY D AA M AH T ER
+speedy S P IY D IY
+spell S P EH L
+speller S P EH L ER
+spend S P EH N D
+spent S P EH N T
+sperm S P ER M
+spew S P Y UW
+sphere S F IH R
+sphinx S F IH NG K S
+spice S P AY S
+spices S P AY S AH Z
+spicy S P AY S IY
+spider S P AY D ER
+spigot S P IH G AH T
+spike S P AY K
+spill S P IH L
+spin S P IH N
+spinach S P IH N AH CH
+spinal S P AY N AH L
+spine S P AY N
+spineless S P AY N L AH S
+spines S P AY N Z
+spinster S P IH N S T ER
+spiral S P AY R AH L
+spires S P AY R Z
+spirit S P IH R AH T
+spirited S P IH R IH T IH D
+spirits S P IH R IH T S
+spiritual S P IH R IH CH UW AH L
+spiritually S P IH R IH CH UW AH L IY
+spit S P IH T
+spite S P AY T
+spiteful S P AY T F AH L
+spittle S P IH T AH L
+splash S P L AE SH
+splat S P L AE T
+splatter S P L AE T ER
+spleen S P L IY N
+splendid S P L EH N D IH D
+splendidly S P L EH N D AH D L IY
+splendor S P L EH N D ER
+splice S P L AY S
+splint S P L IH N T
+splinter S P L IH N T ER
+split S P L IH T
+splurge S P L ER JH
+spoil S P OY L
+spoke S P OW K
+spoken S P OW K AH N
+spokesman S P OW K S M AH N
+spokesmen S P OW K S M IH N
+spokesperson S P OW K S P ER S AH N
+sponge S P AH N JH
+sponges S P AH N JH AH Z
+spongy S P AH N JH IY
+sponsor S P AA N S ER
+sponsorship S P AA N S ER SH IH P
+spontaneity S P AA N T AH N IY AH T IY
+spontaneous S P AA N T EY N IY AH S
+spontaneously S P AA N T EY N IY AH S L IY
+spoof S P UW F
+spook S P UW K
+spooky S P UW K IY
+spool S P UW L
+spoon S P UW N
+spoonful S P UW N F UH L
+sporadic S P ER AE D IH K
+spores S P AO R Z
+sport S P AO R T
+sportsmanship S P AO R T S M AH N SH IH P
+spot S P AA T
+spotless S P AA T L AH S
+spotlight S P AA T L AY T
+spotty S P AA T IY
+spouse S P AW S
+spout S P AW T
+sprain S P R EY N
+sprang S P R AE NG
+sprawled S P R AO L D
+spray S P R EY
+spread S P R EH D
+spreadsheet S P R EH D SH IY T
+spree S P R IY
+spring S P R IH NG
+springtime S P R IH NG T AY M
+sprinkle S P R IH NG K AH L
+sprinkler S P R IH NG K L ER
+sprinkling S P R IH NG K L IH NG
+sprint S P R IH N T
+sprinters S P R IH N T ER Z
+sprout S P R AW T
+spruce S P R UW S
+sprung S P R AH NG
+spry S P R AY
+spud S P AH D
+spun S P AH N
+spunk S P AH NG K
+spur S P ER
+spurious S P Y UH R IY AH S
+spurn S P ER N
+spurt S P ER T
+sputtering S P AH T ER IH NG
+spy S P AY
+squabble S K W AA B AH L
+squad S K W AA D
+squadron S K W AA D R AH N
+squalid S K W AA L AH D
+squall S K W AO L
+squalor S K W AA L ER
+squander S K W AA N D ER
+square S K W EH R
+squarely S K W EH R L IY
+squash S K W AA SH
+squat S K W AA T
+squatter S K W AA T ER
+squawk S K W AO K
+squeak S K W IY K
+squeaky S K W IY K IY
+squeal S K W IY L
+squeamish S K W IY M IH SH
+squeeze S K W IY Z
+squelch S K W EH L CH
+squid S K W IH D
+squint S K W IH N T
+squire S K W AY R
+squirm S K W ER M
+squirrel S K W ER AH L
+squirt S K W ER T
+stab S T AE B
+stability S T AH B IH L IH T IY
+stabilize S T EY B AH L AY Z
+stable S T EY B AH L
+stack S T AE K
+stadium S T EY D IY AH M
+staff S T AE F
+stag S T AE G
+stage S T EY JH
+stagecoach S T EY JH K OW CH
+staged S T EY JH D
+stages S T EY JH AH Z
+stagger S T AE G ER
+staging S T EY JH IH NG
+stagnant S T AE G N AH N T
+stain S T EY N
+stair S T EH R
+staircase S T EH R K EY S
+stairway S T EH R W EY
+stake S T EY K
+stale S T EY L
+stalemate S T EY L M EY T
+stalk S T AO K
+stall S T AO L
+stallion S T AE L Y AH N
+stalwart S T AO L W ER T
+stamina S T AE M AH N AH
+stammer S T AE M ER
+stamp S T AE M P
+stampede S T AE M P IY D
+stampeded S T AE M P IY D IH D
+stance S T AE N S
+stand S T AE N D
+standard S T AE N D ER D
+standardize S T AE N D ER D AY Z
+standby S T AE N D B AY
+standoff S T AE N D AO F
+standpoint S T AE N D P OY N T
+standstill S T AE N D S T IH L
+stank S T AE NG K
+staple S T EY P AH L
+stapler S T EY P AH L ER
+star S T AA R
+starboard S T AA R B ER D
+starch S T AA R CH
+starchy S T AA R CH IY
+stardom S T AA R D AH M
+stare S T EH R
+stared S T EH R D
+stares S T EH R Z
+starfish S T AA R F IH SH
+staring S T EH R IH NG
+stark S T AA R K
+starlight S T AA R L AY T
+starry S T AA R IY
+start S T AA R T
+starter S T AA R T ER
+startle S T AA R T AH L
+startling S T AA R T L IH NG
+starvation S T AA R V EY SH AH N
+starve S T AA R V
+state S T EY T
+stately S T EY T L IY
+statement S T EY T M AH N T
+statesman S T EY T S M AH N
+statesmen S T EY T S M IH N
+static S T AE T IH K
+station S T EY SH AH N
+stationary S T EY SH AH N EH R IY
+stationery S T EY SH AH N EH R IY
+statistic S T AH T IH S T IH K
+statistical S T AH T IH S T IH K AH L
+statistically S T AH T IH S T IH K AH L IY
+statue S T AE CH UW
+stature S T AE CH ER
+status S T AE T AH S
+statute S T AE CH UW T
+statutory S T AE CH AH T AO R IY
+staunch S T AO N CH
+stave S T EY V
+stay S T EY
+steadfast S T EH D F AE S T
+steadily S T EH D AH L IY
+steady S T EH D IY
+steak S T EY K
+steal S T IY L
+stealth S T EH L TH
+stealthy S T EH L TH IY
+steam S T IY M
+steamroller S T IY M R OW L ER
+steamy S T IY M IY
+steel S T IY L
+steep S T IY P
+steeple S T IY P AH L
+steer S T IH R
+stellar S T EH L ER
+stem S T EH M
+stench S T EH N CH
+stenographer S T EH N AH G R AH F ER
+step S T EH P
+stepladder S T EH P L AE D ER
+stereo S T EH R IY OW
+stereotype S T EH R IY AH T AY P
+sterile S T EH R AH L
+sterilization S T EH R AH L AH Z EY SH AH N
+sterilize S T EH R AH L AY Z
+sterling S T ER L IH NG
+stern S T ER N
+stethoscope S T EH TH AH S K OW P
+stew S T UW
+steward S T UW ER D
+stewardess S T UW ER D AH S
+stick S T IH K
+sticker S T IH K ER
+stickler S T IH K AH L ER
+sticky S T IH K IY
+stiff S T IH F
+stiffen S T IH F AH N
+stiffer S T IH F ER
+stifle S T AY F AH L
+stifling S T AY F L IH NG
+stigma S T IH G M AH
+stigmata S T IH G M AA T AH
+still S T IH L
+stillborn S T IH L B AO R N
+stiller S T IH L ER
+stillness S T IH L N AH S
+stimulant S T IH M Y AH L AH N T
+stimulate S T IH M Y AH L EY T
+stimulation S T IH M Y AH L EY SH AH N
+stimuli S T IH M Y AH L AY
+stimulus S T IH M Y AH L AH S
+sting S T IH NG
+stinger S T IH NG ER
+stingy S T IH N JH IY
+stink S T IH NG K
+stint S T IH N T
+stipulate S T IH P Y AH L EY T
+stir S T ER
+stirrup S T ER AH P
+stitch S T IH CH
+stock S T AA K
+stockade S T AA K EY D
+stockbroker S T AA K B R OW K ER
+stockholder S T AA K HH OW L D ER
+stockpile S T AA K P AY L
+stockyard S T AA K Y AA R D
+stoke S T OW K
+stole S T OW L
+stolen S T OW L AH N
+stomach S T AH M AH K
+stomp S T AA M P
+stone S T OW N
+stony S T OW N IY
+stood S T UH D
+stool S T UW L
+stoop S T UW P
+stop S T AA P
+stopover S T AA P OW V ER
+stoppage S T AA P IH JH
+stopper S T AA P ER
+stopwatch S T AA P W AA CH
+storage S T AO R AH JH
+store S T AO R
+storehouse S T AO R HH AW S
+storekeeper S T AO R K IY P ER
+storeroom S T AO R R UW M
+stork S T AO R K
+storm S T AO R M
+stormy S T AO R M IY
+story S T AO R IY
+stout S T AW T
+stove S T OW V
+stow S T OW
+stowaway S T OW AH W EY
+straddle S T R AE D AH L
+straddling S T R AE D L IH NG
+straggler S T R AE G L ER
+straight S T R EY T
+straighten S T R EY T AH N
+straighter S T R EY T ER
+straightforward S T R EY T F AO R W ER D
+strain S T R EY N
+straitjacket S T R EY T JH AE K AH T
+straits S T R EY T S
+strand S T R AE N D
+strange S T R EY N JH
+strangely S T R EY N JH L IY
+strangeness S T R EY N JH N AH S
+stranger S T R EY N JH ER
+strangest S T R EY N JH IH S T
+strangle S T R AE NG G AH L
+strangulation S T R AE NG G Y AH L EY SH AH N
+strap S T R AE P
+strata S T R AE T AH
+stratagem S T R AE T AH JH AH M
+strategic S T R AH T IY JH IH K
+strategy S T R AE T AH JH IY
+stratosphere S T R AE T AH S F IH R
+straw S T R AO
+strawberry S T R AO B EH R IY
+stray S T R EY
+streak S T R IY K
+stream S T R IY M
+streamers S T R IY M ER Z
+streamline S T R IY M L AY N
+street S T R IY T
+streetcar S T R IY T K AA R
+strength S T R EH NG K TH
+strengthen S T R EH NG TH AH N
+strenuous S T R EH N Y UW AH S
+stress S T R EH S
+stresses S T R EH S AH Z
+stressful S T R EH S F AH L
+stretch S T R EH CH
+stretcher S T R EH CH ER
+stretches S T R EH CH AH Z
+strewn S T R UW N
+stricken S T R IH K AH N
+strict S T R IH K T
+strictest S T R IH K T AH S T
+strictly S T R IH K T L IY
+stride S T R AY D
+strife S T R AY F
+strike S T R AY K
+striker S T R AY K ER
+string S T R IH NG
+stringent S T R IH N JH AH N T
+stringy S T R IH NG IY
+strip S T R IH P
+stripe S T R AY P
+striped S T R AY P T
+stripes S T R AY P S
+stripper S T R IH P ER
+strive S T R AY V
+strode S T R OW D
+stroke S T R OW K
+stroll S T R OW L
+stroller S T R OW L ER
+strong S T R AO NG
+stronger S T R AO NG ER
+strongest S T R AO NG G AH S T
+stronghold S T R AO NG HH OW L D
+strongly S T R AO NG L IY
+struck S T R AH K
+structural S T R AH K CH ER AH L
+structure S T R AH K CH ER
+struggle S T R AH G AH L
+strum S T R AH M
+strung S T R AH NG
+strut S T R AH T
+stub S T AH B
+stubble S T AH B AH L
+stubborn S T AH B ER N
+stubby S T AH B IY
+stuck S T AH K
+stud S T AH D
+student S T UW D AH N T
+studio S T UW D IY OW
+study S T AH D IY
+stuff S T AH F
+stuffy S T AH F IY
+stumble S T AH M B AH L
+stump S T AH M P
+stun S T AH N
+stung S T AH NG
+stunk S T AH NG K
+stunt S T AH N T
+stupendous S T UW P EH N D AH S
+stupid S T UW P AH D
+stupider S T UW P IH D ER
+stupidest S T UW P IH D AH S T
+stupidity S T UW P IH D IH T IY
+stupidly S T UW P AH D L IY
+stupor S T UW P ER
+sturdy S T ER D IY
+stutter S T AH T ER
+style S T AY L
+stylish S T AY L IH SH
+suave S W AA V
+sub S AH B
+subcommittee S AH B K AH M IH T IY
+subconscious S AH B K AA N SH AH S
+subconsciously S AH B K AA N SH AH S L IY
+subdivision S AH B D IH V IH ZH AH N
+subdue S AH B D UW
+subject S AH B JH EH K T
+subjective S AH B JH EH K T IH V
+subjects S AH B JH IH K T S
+sublet S AH B L EH T
+sublime S AH B L AY M
+submarine S AH B M ER IY N
+submerge S AH B M ER JH
+submission S AH B M IH SH AH N
+submissive S AH B M IH S IH V
+submit S AH B M IH T
+subordinate S AH B AO R D AH N EY T
+subroutine S AH B R UW T IY N
+subscribe S AH B S K R AY B
+subscriber S AH B S K R AY B ER
+subscription S AH B S K R IH P SH AH N
+subsection S AH B S EH K SH AH N
+subsequent S AH B S AH K W AH N T
+subsequently S AH B S AH K W AH N T L IY
+subservient S AH B S ER V IY AH N T
+subset S AH B S EH T
+subside S AH B S AY D
+subsidiary S AH B S IH D IY EH R IY
+subsidies S AH B S AH D IY Z
+subsidize S AH B S IH D AY Z
+substance S AH B S T AH N S
+substances S AH B S T AH N S AH Z
+substandard S AH B S T AE N D ER D
+substantial S AH B S T AE N SH AH L
+substantially S AH B S T AE N SH AH L IY
+substantiate S AH B S T AE N CH IY EY T
+substitute S AH B S T AH T UW T
+substituting S AH B S T IH T UW T IH NG
+substitution S AH B S T IH T UW SH AH N
+subterfuge S AH B T ER F Y UW JH
+subterranean S AH B T ER EY N IY AH N
+subtle S AH T AH L
+subtlety S AH T AH L T IY
+subtly S AH T AH L IY
+subtract S AH B T R AE K T
+subtraction S AH B T R AE K SH AH N
+suburb S AH B ER B
+suburban S AH B ER B AH N
+subversive S AH B V ER S IH V
+subvert S AH B V ER T
+subway S AH B W EY
+succeed S AH K S IY D
+success S AH K S EH S
+successes S AH K S EH S AH Z
+successful S AH K S EH S F AH L
+successfully S AH K S EH S F AH L IY
+succession S AH K S EH SH AH N
+successive S AH K S EH S IH V
+successor S AH K S EH S ER
+succinct S AH K S IH NG K T
+succinctly S AH K S IH NG K T L IY
+succor S AH K ER
+succulent S AH K Y AH L IH N T
+succumb S AH K AH M
+such S AH CH
+suck S AH K
+sucker S AH K ER
+suckling S AH K L IH NG
+suction S AH K SH AH N
+sudden S AH D AH N
+suddenly S AH D AH N L IY
+suds S AH D Z
+sue S UW
+suede S W EY D
+suffer S AH F ER
+sufferer S AH F ER ER
+suffice S AH F AY S
+sufficient S AH F IH SH AH N T
+sufficiently S AH F IH SH AH N T L IY
+suffix S AH F IH K S
+suffocate S AH F AH K EY T
+suffocation S AH F AH K EY SH AH N
+sugar SH UH G ER
+sugary SH UH G ER IY
+suggest S AH JH EH S T
+suggestion S AH JH EH S CH AH N
+suggestive S AH JH EH S T IH V
+suicidal S UW AH S AY D AH L
+suicide S UW AH S AY D
+suit S UW T
+suitability S UW T AH B IH L IH T IY
+suitable S UW T AH B AH L
+suitably S UW T AH B L IY
+suitcase S UW T K EY S
+suite S W IY T
+suites S W IY T S
+suitor S UW T ER
+sulfur S AH L F ER
+sulk S AH L K
+sullen S AH L AH N
+sultan S AH L T AH N
+sultry S AH L T R IY
+sum S AH M
+summarily S AH M EH R IH L IY
+summarize S AH M ER AY Z
+summary S AH M ER IY
+summer S AH M ER
+summit S AH M AH T
+summon S AH M AH N
+sumptuous S AH M P CH W AH S
+sun S AH N
+sunbathe S AH N B EY DH
+sunburn S AH N B ER N
+sundae S AH N D EY
+sundial S AH N D AY L
+sundown S AH N D AW N
+sundry S AH N D R IY
+sunflower S AH N F L AW ER
+sung S AH NG
+sunglasses S AH N G L AE S IH Z
+sunk S AH NG K
+sunken S AH NG K AH N
+sunlight S AH N L AY T
+sunny S AH N IY
+sunrise S AH N R AY Z
+sunscreen S AH N S K R IY N
+sunset S AH N S EH T
+sunshine S AH N SH AY N
+suntan S AH N T AE N
+sunup S AH N AH P
+sup S AH P
+super S UW P ER
+superb S UH P ER B
+superbly S UW P ER B L IY
+supercomputer S UW P ER K AH M P Y UW T ER
+superficial S UW P ER F IH SH AH L
+superficially S UW P ER F IH SH AH L IY
+superfluous S UW P ER F L W AH S
+superhuman S UW P ER HH Y UW M AH N
+superimpose S UW P ER AH M P OW Z
+superintendent S UW P ER AH N T EH N D AH N T
+superior S UW P IH R IY ER
+superiority S UW P IH R IY AO R IH T IY
+supermarket S UW P ER M AA R K IH T
+supernatural S UW P ER N AE CH ER AH L
+supersedes S UW P ER S IY D Z
+supersonic S UW P ER S AA N IH K
+superstar S UW P ER S T AA R
+superstition S UW P ER S T IH SH AH N
+superstitious S UW P ER S T IH SH AH S
+superstructure S UW P ER S T R AH K CH ER
+supervise S UW P ER V AY Z
+supervision S UW P ER V IH ZH AH N
+supervisor S UW P ER V AY Z ER
+supervisory S UW P ER V AY Z ER IY
+supper S AH P ER
+supple S AH P AH L
+supplement S AH P L AH M AH N T
+supplementary S AH P L AH M EH N T ER IY
+supplier S AH P L AY ER
+supply S AH P L AY
+support S AH P AO R T
+supporter S AH P AO R T ER
+supportive S AH P AO R T IH V
+suppose S AH P OW Z
+supposedly S AH P OW Z AH D L IY
+supposition S AH P AH Z IH SH AH N
+suppress S AH P R EH S
+suppression S AH P R EH SH AH N
+supremacy S AH P R EH M AH S IY
+supreme S AH P R IY M
+supremely S UW P R IY M AH L IY
+surcharge S ER CH AA R JH
+sure SH UH R
+surely SH UH R L IY
+surer SH UH R ER
+surest SH UH R IH S T
+surf S ER F
+surface S ER F AH S
+surfaced S ER F IH S T
+surfaces S ER F AH S AH Z
+surfboard S ER F B AO R D
+surge S ER JH
+surgeon S ER JH AH N
+surgery S ER JH ER IY
+surges S ER JH AH Z
+surgical S ER JH IH K AH L
+surly S ER L IY
+surmise S ER M AY Z
+surname S ER N EY M
+surpass S ER P AE S
+surplus S ER P L AH S
+surprise S ER P R AY Z
+surprisingly S ER P R AY Z IH NG L IY
+surreal S ER IY L
+surrender S ER EH N D ER
+surround S ER AW N D
+surveillance S ER V EY L AH N S
+survey S ER V EY
+surveyor S ER V EY ER
+survival S ER V AY V AH L
+survive S ER V AY V
+survivor S ER V AY V ER
+susceptible S AH S EH P T AH B AH L
+suspect S AH S P EH K T
+suspend S AH S P EH N D
+suspenders S AH S P EH N D ER Z
+suspense S AH S P EH N S
+suspension S AH S P EH N SH AH N
+suspicion S AH S P IH SH AH N
+suspicious S AH S P IH SH AH S
+suspiciously S AH S P IH SH AH S L IY
+sustain S AH S T EY N
+sustenance S AH S T AH N AH N S
+swab S W AA B
+swagger S W AE G ER
+swallow S W AA L OW
+swam S W AE M
+swamp S W AA M P
+swamped S W AO M P T
+swampy S W AA M P IY
+swan S W AA N
+swap S W AA P
+swarm S W AO R M
+swarthy S W AO R DH IY
+swat S W AA T
+sway S W EY
+swear S W EH R
+sweat S W EH T
+sweater S W EH T ER
+sweaty S W EH T IY
+sweep S W IY P
+sweeper S W IY P ER
+sweepstakes S W IY P S T EY K S
+sweet S W IY T
+sweeten S W IY T AH N
+sweeter S W IY T ER
+sweetest S W IY T AH S T
+sweetheart S W IY T HH AA R T
+sweetly S W IY T L IY
+sweetness S W IY T N AH S
+swell S W EH L
+swept S W EH P T
+swerve S W ER V
+swift S W IH F T
+swiftly S W IH F T L IY
+swig S W IH G
+swill S W IH L
+swim S W IH M
+swindle S W IH N D AH L
+swindler S W IH N D AH L ER
+swindling S W IH N D L IH NG
+swine S W AY N
+swing S W IH NG
+swipe S W AY P
+swirl S W ER L
+swish S W IH SH
+switch S W IH CH
+switchboard S W IH CH B AO R D
+switcher S W IH CH ER
+switches S W IH CH AH Z
+swivel S W IH V AH L
+swollen S W OW L AH N
+swoon S W UW N
+swoop S W UW P
+sword S AO R D
+swordfish S AO R D F IH SH
+swore S W AO R
+sworn S W AO R N
+swum S W AH M
+swung S W AH NG
+syllable S IH L AH B AH L
+syllabus S IH L AH B AH S
+symbol S IH M B AH L
+symbolic S IH M B AA L IH K
+symbolism S IH M B AH L IH Z AH M
+symbolize S IH M B AH L AY Z
+symmetric S AH M EH T R IH K
+symmetrical S AH M EH T R IH K AH L
+symmetry S IH M AH T R IY
+sympathetic S IH M P AH TH EH T IH K
+sympathize S IH M P AH TH AY Z
+sympathy S IH M P AH TH IY
+symphonic S IH M F AA N IH K
+symphony S IH M F AH N IY
+symptom S IH M P T AH M
+symptomatic S IH M P T AH M AE T IH K
+synagogue S IH N AH G AO G
+synapse S IH AE P S
+synchronization S IH NG K R AH N AH Z EY SH AH N
+synchronize S IH NG K R AH N AY Z
+syndicate S IH N D IH K AH T
+syndicated S IH N D IH K EY T IH D
+syndrome S IH N D R OW M
+synonym S IH N AH N IH M
+synonymous S AH N AA N AH M AH S
+synonyms S IH N AH N IH M S
+synopsis S IH N AA P S IH S
+syntactic S IH N T AE K T IH K
+syntax S IH N T AE K S
+synthesis S IH N TH AH S AH S
+synthesize S IH N TH AH S AY Z
+synthesized S IH N TH IH S AY Z D
+synthesizer S IH N TH AH S AY Z ER
+synthetic S IH N TH EH T IH K
+syphilis S IH F AH L IH S
+syringe S ER IH N JH
+syringes S ER IH N JH AH Z
+syrup S ER AH P
+system S IH S T AH M
+systematic S IH S T AH M AE T IH K
+systematically S IH S T AH M AE T IH K L IY
+tab T AE B
+tabby T AE B IY
+tabernacle T AE B ER N AE K AH L
+table T EY B AH L
+tablecloth T EY B AH L K L AO TH
+tablet T AE B L AH T
+tabloid T AE B L OY D
+taboo T AE B UW
+tack T AE K
+tackle T AE K AH L
+tackling T AE K L IH NG
+tacky T AE K IY
+taco T AA K OW
+tact T AE K T
+tactful T AE K T F AH L
+tactic T AE K T IH K
+tactical T AE K T IH K AH L
+tactless T AE K T L AH S
+tadpole T AE D P OW L
+tag T AE G
+tail T EY L
+tailgate T EY L G EY T
+tailor T EY L ER
+tailspin T EY L S P IH N
+taint T EY N T
+take T EY K
+taken T EY K AH N
+takeoff T EY K AO F
+takeover T EY K OW V ER
+taker T EY K ER
+talc T AE L K
+tale T EY L
+talent T AE L AH N T
+talisman T AE L IH S M AH N
+talk T AO K
+talkative T AO K AH T IH V
+talker T AO K ER
+tall T AO L
+taller T AO L ER
+tallest T AO L IH S T
+tally T AE L IY
+talon T AE L AH N
+tambourine T AE M B ER IY N
+tame T EY M
+tamer T EY M ER
+tamper T AE M P ER
+tan T AE N
+tandem T AE N D AH M
+tang T AE NG
+tangent T AE N JH AH N T
+tangerine T AE N JH ER IY N
+tangible T AE N JH AH B AH L
+tangle T AE NG G AH L
+tango T AE NG G OW
+tank T AE NG K
+tanker T AE NG K ER
+tanner T AE N ER
+tantalizing T AE N T AH L AY Z IH NG
+tantamount T AE N T AH M AW N T
+tantrum T AE N T R AH M
+tap T AE P
+tape T EY P
+taped T EY P T
+tapered T EY P ER D
+tapes T EY P S
+tapestry T AE P AH S T R IY
+taping T EY P IH NG
+tar T AA R
+tarantula T AH R AE N CH UW L AH
+tardiness T AA R D IY N AH S
+tardy T AA R D IY
+target T AA R G AH T
+tarnish T AA R N IH SH
+tarry T EH R IY
+tart T AA R T
+tartan T AA R T AH N
+tartar T AA R T ER
+task T AE S K
+tassel T AE S AH L
+taste T EY S T
+tasteful T EY S T F AH L
+tastefully T EY S T F AH L IY
+tasteless T EY S T L AH S
+tasty T EY S T IY
+tattoo T AE T UW
+taught T AO T
+taunt T AO N T
+taut T AO T
+tavern T AE V ER N
+tawdry T AO D R IY
+tawny T AA N IY
+tax T AE K S
+taxation T AE K S EY SH AH N
+taxes T AE K S AH Z
+taxi T AE K S IY
+taxicab T AE K S IY K AE B
+taxpayer T AE K S P EY ER
+tea T IY
+teach T IY CH
+teacher T IY CH ER
+teaches T IY CH AH Z
+teacup T IY K AH P
+teak T IY K
+team T IY M
+teammate T IY M EY T
+teammates T IY M M EY T S
+teamster T IY M S T ER
+teamwork T IY M W ER K
+teapot T IY P AA T
+tear T EH R
+tearful T IH R F AH L
+tease T IY Z
+teaspoon T IY S P UW N
+teat T IY T
+technical T EH K N IH K AH L
+technicalities T EH K N IH K AE L AH T IY Z
+technicality T EH K N IH K AE L IH T IY
+technically T EH K N IH K AH L IY
+technician T EH K N IH SH AH N
+technique T EH K N IY K
+technological T EH K N AH L AA JH IH K AH L
+technologically T EH K N AH L AA JH IH K AH L IY
+technology T EH K N AA L AH JH IY
+tedious T IY D IY AH S
+tedium T IY D IY AH M
+tee T IY
+teeming T IY M IH NG
+teen T IY N
+teenage T IY N EY JH
+teenager T IY N EY JH ER
+teeth T IY TH
+teething T IY DH IH NG
+telecommunications T EH L AH K AH M Y UW N AH K EY SH AH N Z
+telegram T EH L AH G R AE M
+telegraph T EH L AH G R AE F
+telepathic T EH L AH P AE TH AH K
+telepathy T AH L EH P AH TH IY
+telephone T EH L AH F OW N
+telescope T EH L AH S K OW P
+teletype T EH L AH T AY P
+televised T EH L AH V AY Z D
+television T EH L AH V IH ZH AH N
+tell T EH L
+teller T EH L ER
+telltale T EH L T EY L
+temper T EH M P ER
+temperament T EH M P R AH M AH N T
+temperamental T EH M P R AH M EH N T AH L
+temperance T EH M P ER AH N S
+temperate T EH M P R AH T
+temperature T EH M P R AH CH ER
+tempest T EH M P AH S T
+tempestuous T EH M P EH S CH UW AH S
+template T EH M P L AH T
+temple T EH M P AH L
+tempo T EH M P OW
+temporal T EH M P ER AH L
+temporarily T EH M P ER EH R AH L IY
+temporary T EH M P ER EH R IY
+tempt T EH M P T
+temptation T EH M T EY SH AH N
+ten T EH N
+tenacious T AH N EY SH AH S
+tenacity T AH N AE S IH T IY
+tenant T EH N AH N T
+tend T EH N D
+tendency T EH N D AH N S IY
+tender T EH N D ER
+tenderly T EH N D ER L IY
+tenderness T EH N D ER N AH S
+tendon T EH N D AH N
+tenement T EH N AH M AH N T
+tenets T EH N AH T S
+tennis T EH N AH S
+tenor T EH N ER
+tense T EH N S
+tension T EH N SH AH N
+tensions T EH N CH AH N Z
+tent T EH N T
+tentacle T EH N T AH K AH L
+tentative T EH N T AH T IH V
+tentatively T EH N T AH T IH V L IY
+tenth T EH N TH
+tenuous T EH N Y AH W AH S
+tenure T EH N Y ER
+tepid T EH P IH D
+term T ER M
+terminal T ER M AH N AH L
+terminally T ER M AH N AH L IY
+terminate T ER M AH N EY T
+terminates T ER M IH N EY T S
+termination T ER M AH N EY SH AH N
+terminator T ER M AH N EY T ER
+terminology T ER M IH N AA L AH JH IY
+terminus T ER M IH N AH S
+termite T ER M AY T
+terrace T EH R AH S
+terrain T ER EY N
+terrestrial T ER EH S T R IY AH L
+terrible T EH R AH B AH L
+terribly T EH R AH B L IY
+terrier T EH R IY ER
+terrific T ER IH F IH K
+terrify T EH R AH F AY
+territorial T EH R IH T AO R IY AH L
+territories T EH R AH T AO R IY Z
+territory T EH R IH T AO R IY
+terror T EH R ER
+terrorism T EH R ER IH Z AH M
+terrorist T EH R ER IH S T
+terrorists T EH R ER AH S T S
+terrorize T EH R ER AY Z
+terse T ER S
+test T EH S T
+testament T EH S T AH M AH N T
+tester T EH S T ER
+testicle T EH S T IH K AH L
+testify T EH S T AH F AY
+testimonial T EH S T AH M OW N IY AH L
+testimony T EH S T AH M OW N IY
+tetanus T EH T AH N AH S
+tether T EH DH ER
+text T EH K S T
+textbook T EH K S T B UH K
+textile T EH K S T AY L
+textual T EH K S CH UW AH L
+texture T EH K S CH ER
+than DH AE N
+thank TH AE NG K
+thankful TH AE NG K F AH L
+thankfully TH AE NG K F AH L IY
+thankless TH AE NG K L AH S
+that DH AE T
+thatch TH AE CH
+thatcher TH AE CH ER
+thaw TH AO
+the DH AH
+theater TH IY AH T ER
+theatrical TH IY AE T R IH K AH L
+thee DH IY
+theft TH EH F T
+their DH EH R
+them DH EH M
+theme TH IY M
+themes TH IY M Z
+themselves DH EH M S EH L V Z
+then DH EH N
+thence DH EH N S
+theologian TH IY AH L OW JH IY AH N
+theologians TH IY AH L OW JH AH N Z
+theological TH IY AH L AA JH IH K AH L
+theology TH IY AA L AH JH IY
+theorem TH IH R AH M
+theoretical TH IY ER EH T IH K AH L
+theoretically TH IY ER EH T IH K AH L IY
+theorize TH IY ER AY Z
+theory TH IH R IY
+therapeutic TH EH R AH P Y UW T IH K
+therapist TH EH R AH P AH S T
+therapists TH EH R AH P IH S T S
+therapy TH EH R AH P IY
+there DH EH R
+thereabouts DH EH R AH B AW T S
+thereafter DH EH R AE F T ER
+thereby DH EH R B AY
+therefore DH EH R F AO R
+therein DH EH R IH N
+thereof DH EH R AH V
+thermal TH ER M AH L
+thermodynamics TH ER M OW D AY N AE M IH K S
+thermometer TH ER M AA M AH T ER
+thermostat TH ER M AH S T AE T
+thesaurus TH AH S AO R AH S
+these DH IY Z
+theses TH IY S IY Z
+thesis TH IY S AH S
+theta TH EY T AH
+they DH EY
+thick TH IH K
+thickens TH IH K AH N Z
+thicker TH IH K ER
+thicket TH IH K IH T
+thickness TH IH K N AH S
+thief TH IY F
+thieve TH IY V
+thigh TH AY
+thimble TH IH M B AH L
+thin TH IH N
+thing TH IH NG
+think TH IH NG K
+thinker TH IH NG K ER
+thinly TH IH N L IY
+thinner TH IH N ER
+third TH ER D
+thirst TH ER S T
+thirsty TH ER S T IY
+thirteen TH ER T IY N
+thirteenth TH ER T IY N TH
+thirties TH ER T IY Z
+thirty TH ER D IY
+this DH IH S
+thistle TH IH S AH L
+thong TH AO NG
+thorn TH AO R N
+thorny TH AO R N IY
+thorough TH ER OW
+thoroughbred TH ER OW B R EH D
+thoroughfare TH ER OW F EH R
+thoroughly TH ER OW L IY
+those DH OW Z
+thou DH AW
+though DH OW
+thought TH AO T
+thoughtful TH AO T F AH L
+thoughtfully TH AO T F AH L IY
+thoughtfulness TH AO T F AH L N IH S
+thoughtless TH AO T L AH S
+thousand TH AW Z AH N D
+thousandth TH AW Z AH N D TH
+thrash TH R AE SH
+thread TH R EH D
+threat TH R EH T
+threaten TH R EH T AH N
+three TH R IY
+thresher TH R EH SH ER
+threshold TH R EH SH OW L D
+threw TH R UW
+thrice TH R AY S
+thrift TH R IH F T
+thrifty TH R IH F T IY
+thrill TH R IH L
+thriller TH R IH L ER
+thrive TH R AY V
+throat TH R OW T
+throb TH R AA B
+throne TH R OW N
+throng TH R AO NG
+throttle TH R AA T AH L
+through TH R UW
+throughout TH R UW AW T
+throughput TH R UW P UH T
+throw TH R OW
+throwback TH R OW B AE K
+thrown TH R OW N
+thrust TH R AH S T
+thud TH AH D
+thug TH AH G
+thumb TH AH M
+thump TH AH M P
+thunder TH AH N D ER
+thunderbolt TH AH N D ER B AO L T
+thunderous TH AH N D ER AH S
+thunderstorm TH AH N D ER S T AO R M
+thus DH AH S
+thwart TH W AO R T
+thy DH AY
+thyme TH AY M
+thyroid TH AY R OY D
+tiara T IY AA R AH
+tick T IH K
+ticket T IH K AH T
+tickle T IH K AH L
+ticklish T IH K AH L IH SH
+tidal T AY D AH L
+tidbit T IH D B IH T
+tide T AY D
+tidy T AY D IY
+tie T AY
+tier T IY R
+tiff T IH F
+tiger T AY G ER
+tight T AY T
+tighten T AY T AH N
+tighter T AY T ER
+tightest T AY T AH S T
+tightly T AY T L IY
+tightrope T AY T R OW P
+tightwad T AY T W AA D
+tile T AY L
+till T IH L
+tilt T IH L T
+timber T IH M B ER
+time T AY M
+timeless T AY M L AH S
+timely T AY M L IY
+timer T AY M ER
+timetable T AY M T EY B AH L
+timid T IH M IH D
+tin T IH N
+ting T IH NG
+tinge T IH N JH
+tingle T IH NG G AH L
+tiniest T AY N IY AH S T
+tinker T IH NG K ER
+tinkle T IH NG K AH L
+tinsel T IH N S AH L
+tint T IH N T
+tiny T AY N IY
+tip T IH P
+tipsy T IH P S IY
+tiptoe T IH P T OW
+tirade T AY R EY D
+tire T AY ER
+tireless T AY ER L AH S
+tiresome T AY ER S AH M
+tiring T AY R IH NG
+tissue T IH S Y UW
+tit T IH T
+titillating T IH T AH L EY T IH NG
+title T AY T AH L
+to T UW
+toad T OW D
+toast T OW S T
+toaster T OW S T ER
+tobacco T AH B AE K OW
+today T AH D EY
+toddle T AA D AH L
+toddler T AA D L ER
+toddling T AA D L IH NG
+toe T OW
+toenail T OW N EY L
+toes T OW Z
+toffee T AA F IY
+toga T OW G AH
+together T AH G EH DH ER
+toggle T AA G AH L
+toil T OY L
+toilet T OY L AH T
+token T OW K AH N
+told T OW L D
+tolerable T AA L ER AH B AH L
+tolerance T AA L ER AH N S
+tolerant T AA L ER AH N T
+tolerate T AA L ER EY T
+tolerates T AO L ER EY T S
+toll T OW L
+tomahawk T AA M AH HH AO K
+tomato T AH M EY T OW
+tomb T UW M
+tomboy T AA M B OY
+tombstone T UW M S T OW N
+tomcat T AA M K AE T
+tome T OW M
+tomorrow T AH M AA R OW
+ton T AH N
+tone T OW N
+toned T OW N D
+tones T OW N Z
+tong T AO NG
+tongs T AA NG Z
+tongue T AH NG
+tonic T AA N IH K
+tonight T AH N AY T
+tonnage T AH N AH JH
+tonsil T AA N S AH L
+too T UW
+took T UH K
+tool T UW L
+toot T UW T
+tooth T UW TH
+toothbrush T UW TH B R AH SH
+toothpaste T UW TH P EY S T
+toothpick T UW TH P IH K
+top T AA P
+topaz T OW P AE Z
+topic T AA P IH K
+topical T AA P AH K AH L
+topography T AH P AA G R AH F IY
+topple T AA P AH L
+torch T AO R CH
+tore T AO R
+torment T AO R M EH N T
+torn T AO R N
+tornado T AO R N EY D OW
+torpedo T AO R P IY D OW
+torque T AO R K
+torrent T AO R AH N T
+torrid T AO R AH D
+torso T AO R S OW
+tortilla T AO R T IY AH
+tortoise T AO R T AH S
+torture T AO R CH ER
+toss T AO S
+tot T AA T
+total T OW T AH L
+totally T OW T AH L IY
+tote T OW T
+totem T OW T AH M
+toting T OW T IH NG
+touch T AH CH
+touchdown T AH CH D AW N
+touches T AH CH AH Z
+touchy T AH CH IY
+tough T AH F
+toughen T AH F AH N
+tougher T AH F ER
+toughest T AH F AH S T
+toughness T AH F N AH S
+toupee T UW P EY
+tour T UH R
+tourist T UH R AH S T
+tournament T UH R N AH M AH N T
+tournaments T ER N AH M AH N T S
+tourniquet T ER N IH K IH T
+tout T AW T
+tow T OW
+toward T AH W AO R D
+towel T AW AH L
+tower T AW ER
+town T AW N
+townspeople T AW N Z P IY P AH L
+toxic T AA K S IH K
+toxin T AA K S AH N
+toy T OY
+trace T R EY S
+traces T R EY S AH Z
+track T R AE K
+tract T R AE K T
+traction T R AE K SH AH N
+tractor T R AE K T ER
+trade T R EY D
+trademark T R EY D M AA R K
+trader T R EY D ER
+tradition T R AH D IH SH AH N
+traditional T R AH D IH SH AH N AH L
+traditionalist T R AH D IH SH AH N AH L IH S T
+traditionally T R AH D IH SH AH N AH L IY
+traffic T R AE F IH K
+trafficking T R AE F IH K IH NG
+tragedy T R AE JH AH D IY
+tragic T R AE JH IH K
+tragically T R AE JH IH K L IY
+trail T R EY L
+trailer T R EY L ER
+train T R EY N
+trainee T R EY N IY
+trainer T R EY N ER
+trait T R EY T
+traitor T R EY T ER
+traitorous T R EY T ER AH S
+tramp T R AE M P
+trample T R AE M P AH L
+trampling T R AE M P L IH NG
+trampoline T R AE M P AH L IY N
+tramps T R AE M P Z
+trance T R AE N S
+tranquil T R AE NG K W AH L
+tranquility T R AE NG K W IH L IH T IY
+tranquilizer T R AE NG K W AH L AY Z ER
+transact T R AE N Z AE K T
+transaction T R AE N Z AE K SH AH N
+transatlantic T R AE N Z AH T L AE N T IH K
+transcend T R AE N S EH N D
+transcontinental T R AE N Z K AA N T IH N EH N T AH L
+transcribed T R AE N S K R AY B D
+transcript T R AE N S K R IH P T
+transcription T R AE N S K R IH P SH AH N
+transfer T R AE N S F ER
+transform T R AE N S F AO R M
+transformation T R AE N S F ER M EY SH AH N
+transformer T R AE N S F AO R M ER
+transfusion T R AE N S F Y UW ZH AH N
+transgression T R AE N Z G R EH SH AH N
+transient T R AE N ZH AH N T
+transients T R AE N Z IY AH N T S
+transistor T R AE N Z IH S T ER
+transit T R AE N Z IH T
+transition T R AE N Z IH SH AH N
+transitional T R AE N S IH SH AH N AH L
+transitory T R AE N Z AH T AO R IY
+translate T R AE N Z L EY T
+translation T R AE N Z L EY SH AH N
+translator T R AE N S L EY T ER
+translucent T R AE N S L UW S AH N T
+transmission T R AE N S M IH SH AH N
+transmissions T R AE N Z M IH SH AH N Z
+transmit T R AE N Z M IH T
+transmitted T R AE N S M IH T IH D
+transmitter T R AE N S M IH T ER
+transmitting T R AE N S M IH T IH NG
+transparent T R AE N S P EH R AH N T
+transpired T R AE N S P AY ER D
+transplant T R AE N S P L AE N T
+transport T R AE N S P AO R T
+transportation T R AE N S P ER T EY SH AH N
+transverse T R AE N Z V ER S
+trap T R AE P
+trapeze T R AH P IY Z
+trapper T R AE P ER
+trash T R AE SH
+trashy T R AE SH IY
+trauma T R AO M AH
+traumatic T R AO M AE T IH K
+traumatize T R AO M AH T AY Z
+travel T R AE V AH L
+traveler T R AE V AH L ER
+traverse T R AE V ER S
+traversing T R AH V ER S IH NG
+travesty T R AE V AH S T IY
+trawler T R AO L ER
+tray T R EY
+treacherous T R EH CH ER AH S
+treachery T R EH CH ER IY
+tread T R EH D
+treadmill T R EH D M IH L
+treason T R IY Z AH N
+treasure T R EH ZH ER
+treasurer T R EH ZH ER ER
+treasury T R EH ZH ER IY
+treat T R IY T
+treatise T R IY T AH S
+treatment T R IY T M AH N T
+treaty T R IY T IY
+tree T R IY
+trek T R EH K
+trellis T R EH L AH S
+tremble T R EH M B AH L
+tremendous T R AH M EH N D AH S
+tremendously T R AH M EH N D AH S L IY
+tremor T R EH M ER
+trench T R EH N CH
+trend T R EH N D
+trendy T R EH N D IY
+trespass T R EH S P AE S
+trial T R AY AH L
+triangle T R AY AE NG G AH L
+triangular T R AY AE NG G Y AH L ER
+tribal T R AY B AH L
+tribe T R AY B
+tribulations T R IH B Y AH L EY SH AH N Z
+tribunal T R AH B Y UW N AH L
+tributary T R IH B Y AH T EH R IY
+tribute T R IH B Y UW T
+trick T R IH K
+trickery T R IH K ER IY
+trickier T R IH K IY ER
+trickle T R IH K AH L
+trickling T R IH K L IH NG
+trickster T R IH K S T ER
+tricky T R IH K IY
+tricycle T R IH S IH K AH L
+trifle T R AY F AH L
+trifling T R AY F L IH NG
+trigger T R IH G ER
+trilling T R IH L IH NG
+trillion T R IH L Y AH N
+trilogy T R IH L AH JH IY
+trim T R IH M
+trimester T R AY M EH S T ER
+trimmer T R IH M ER
+trinity T R IH N AH T IY
+trinket T R IH NG K AH T
+trio T R IY OW
+trip T R IH P
+tripe T R AY P
+triple T R IH P AH L
+triplets T R IH P L AH T S
+triplicate T R IH P L IH K AH T
+tripod T R AY P AA D
+trite T R AY T
+triumph T R AY AH M F
+triumphant T R AY AH M F AH N T
+trivia T R IH V IY AH
+trivial T R IH V IY AH L
+trod T R AA D
+troll T R OW L
+trolley T R AA L IY
+trombone T R AA M B OW N
+troop T R UW P
+trooper T R UW P ER
+trophy T R OW F IY
+tropical T R AA P IH K AH L
+trot T R AA T
+trouble T R AH B AH L
+troublemaker T R AH B AH L M EY K ER
+troublesome T R AH B AH L S AH M
+trough T R AO F
+troupe T R UW P
+trouser T R AW Z ER
+trout T R AW T
+trowel T R AW W EH L
+truancy T R UW AH N S IY
+truant T R UW AH N T
+truce T R UW S
+truck T R AH K
+trudge T R AH JH
+true T R UW
+truer T R UW ER
+truest T R UW IH S T
+truffle T R AH F AH L
+truly T R UW L IY
+trump T R AH M P
+trumpet T R AH M P AH T
+truncate T R AH NG K EY T
+trunk T R AH NG K
+trust T R AH S T
+trustee T R AH S T IY
+trustworthy T R AH S T W ER DH IY
+trusty T R AH S T IY
+truth T R UW TH
+truthful T R UW TH F AH L
+truthfully T R UW TH F AH L IY
+try T R AY
+tryout T R AY AW T
+tub T AH B
+tuba T UW B AH
+tube T UW B
+tuberculosis T AH B ER K Y AH L OW S IH S
+tubes T UW B Z
+tubing T UW B IH NG
+tubular T UW B Y AH L ER
+tuck T AH K
+tug T AH G
+tuition T Y UW IH SH AH N
+tulip T UW L AH P
+tumble T AH M B AH L
+tumbler T AH M B L ER
+tummy T AH M IY
+tumor T UW M ER
+tumultuous T UW M AH L CH UW AH S
+tuna T UW N AH
+tundra T AH N D R AH
+tune T UW N
+tunic T UW N IH K
+tunnel T AH N AH L
+turban T ER B AH N
+turbine T ER B AY N
+turbulence T ER B Y AH L AH N S
+turbulent T ER B Y AH L AH N T
+turf T ER F
+turkey T ER K IY
+turmoil T ER M OY L
+turn T ER N
+turnaround T ER N ER AW N D
+turner T ER N ER
+turnip T ER N AH P
+turnout T ER N AW T
+turnover T ER N OW V ER
+turnpike T ER N P AY K
+turnstile T ER N S T AY L
+turntable T ER N T EY B AH L
+turpentine T ER P AH N T AY N
+turquoise T ER K W OY Z
+turret T ER AH T
+turtle T ER T AH L
+turtleneck T ER T AH L N EH K
+tusk T AH S K
+tussle T AH S AH L
+tutor T UW T ER
+tutorial T UW T AO R IY AH L
+tuxedo T AH K S IY D OW
+tweak T W IY K
+tweed T W IY D
+tweet T W IY T
+tweezers T W IY Z ER Z
+twelfth T W EH L F TH
+twelve T W EH L V
+twentieth T W EH N T IY AH TH
+twenty T W EH N T IY
+twice T W AY S
+twiddle T W IH D AH L
+twiddling T W IH D L IH NG
+twig T W IH G
+twilight T W AY L AY T
+twin T W IH N
+twine T W AY N
+twinge T W IH N JH
+twinkle T W IH NG K AH L
+twirl T W ER L
+twist T W IH S T
+twister T W IH S T ER
+twitch T W IH CH
+two T UW
+tycoon T AY K UW N
+tying T AY IH NG
+type T AY P
+typeset T AY P S EH T
+typewriter T AY P R AY T ER
+typhoid T AY F OY D
+typhoon T AY F UW N
+typhus T AY F AH S
+typical T IH P AH K AH L
+typically T IH P IH K L IY
+typist T AY P IH S T
+tyrannical T ER AE N IH K AH L
+tyranny T IH R AH N IY
+tyrant T AY R AH N T
+ubiquitous Y UW B IH K W IH T AH S
+ugh AH G
+uglier AH G L IY ER
+ugliest AH G L IY AH S T
+ugliness AH G L IY N AH S
+ugly AH G L IY
+ulcer AH L S ER
+ulterior AH L T IH R IY ER
+ultimate AH L T AH M AH T
+ultimately AH L T AH M AH T L IY
+ultimatum AH L T AH M EY T AH M
+ultra AH L T R AH
+ultrasonic AH L T R AH S AA N IH K
+ultraviolet AH L T R AH V AY AH L IH T
+umbrella AH M B R EH L AH
+umpire AH M P AY ER
+unable AH N EY B AH L
+unacceptable AH N AE K S EH P T AH B AH L
+unadulterated AH N AH D AH L T ER EY T IH D
+unaffected AH N AH F EH K T IH D
+unambiguous AH N AE M B IH G Y AH W AH S
+unanimous Y UW N AE N AH M AH S
+unanimously Y UW N AE N AH M AH S L IY
+unanswered AH N AE N S ER D
+unarmed AH N AA R M D
+unassuming AH N AH S UW M IH NG
+unattached AH N AH T AE CH T
+unattainable AH N AH T EY N AH B AH L
+unattended AH N AH T EH N D IH D
+unattractive AH N AH T R AE K T IH V
+unauthorized AH N AO TH ER AY Z D
+unavailable AH N AH V EY L AH B AH L
+unavoidable AH N AH V OY D AH B AH L
+unaware AH N AH W EH R
+unbalanced AH N B AE L AH N S T
+unbearable AH N B EH R AH B AH L
+unbearably AH N B EH R AH B L IY
+unbeatable AH N B IY T AH B AH L
+unbecoming AH N B IH K AH M IH NG
+unbelievable AH N B AH L IY V AH B AH L
+unbelievably AH N B AH L IY V AH B L IY
+unbiased AH N B AY AH S T
+unborn AH N B AO R N
+unbreakable AH N B R EY K AH B AH L
+unbroken AH N B R OW K AH N
+unburden AH N B ER D AH N
+uncanny AH N K AE N IY
+uncertain AH N S ER T AH N
+uncertainty AH N S ER T AH N T IY
+unchallenged AH N CH AE L IH N JH D
+unchanged AH N CH EY N JH D
+uncle AH NG K AH L
+unclean AH N K L IY N
+unclear AH N K L IH R
+uncomfortable AH N K AH M F ER T AH B AH L
+uncommon AH N K AA M AH N
+uncompromising AH N K AA M P R AH M AY Z IH NG
+unconcerned AH N K AH N S ER N D
+unconditional AH N K AH N D IH SH AH N AH L
+unconditionally AH N K AH N D IH SH AH N AH L IY
+unconfirmed AH N K AH N F ER M D
+unconnected AH N K AH N EH K T IH D
+unconscious AH N K AA N SH AH S
+unconsciously AH N K AA N SH AH S L IY
+unconstitutional AH N K AA N S T AH T UW SH AH N AH L
+uncontrollable AH N K AH N T R OW L AH B AH L
+uncontrolled AH N K AH N T R OW L D
+unconventional AH N K AH N V EH N SH AH N AH L
+unconvincing AH N K AH N V IH N S IH NG
+uncouth AH N K UW TH
+uncover AH N K AH V ER
+uncut AH N K AH T
+undamaged AH N D AE M AH JH D
+undaunted AH N D AO N T IH D
+undecided AH N D IH S AY D IH D
+undefined AH N D IH F AY N D
+undeniable AH N D IH N AY AH B AH L
+undeniably AH N D IH N AY AH B L IY
+under AH N D ER
+undercover AH N D ER K AH V ER
+underdog AH N D ER D AO G
+underestimate AH N D ER EH S T AH M EY T
+underestimating AH N D ER EH S T IH M EY T IH NG
+underfoot AH N D ER F UH T
+undergarments AH N D ER G AA R M AH N T S
+undergo AH N D ER G OW
+undergone AH N D ER G AO N
+undergraduate AH N D ER G R AE JH AH W AH T
+underground AH N D ER G R AW N D
+underhanded AH N D ER HH AE N D IH D
+underlie AH N D ER L AY
+underline AH N D ER L AY N
+underlying AH N D ER L AY IH NG
+undermine AH N D ER M AY N
+underneath AH N D ER N IY TH
+underpants AH N D ER P AE N T S
+underpass AH N D ER P AE S
+underprivileged AH N D ER P R IH V L AH JH D
+underrate AH N D ER R EY T
+undershirt AH N D ER SH ER T
+underside AH N D ER S AY D
+understand AH N D ER S T AE N D
+understandable AH N D ER S T AE N D AH B AH L
+understandably AH N D ER S T AE N D AH B L IY
+understated AH N D ER S T EY T IH D
+understatement AH N D ER S T EY T M AH N T
+understood AH N D ER S T UH D
+understudy AH N D ER S T AH D IY
+undertake AH N D ER T EY K
+undertaken AH N D ER T EY K AH N
+undertaker AH N D ER T EY K ER
+undertook AH N D ER T UH K
+undertow AH N D ER T OW
+underwater AH N D ER W AO T ER
+underwear AH N D ER W EH R
+underweight AH N D ER W EY T
+underwent AH N D ER W EH N T
+underworld AH N D ER W ER L D
+underwrite AH N D ER R AY T
+undesirable AH N D IH Z AY R AH B AH L
+undetected AH N D IH T EH K T IH D
+undeveloped AH N D IH V EH L AH P T
+undid AH N D IH D
+undisturbed AH N D IH S T ER B D
+undo AH N D UW
+undocumented AH N D AA K Y AH M EH N T IH D
+undone AH N D AH N
+undoubtedly AH N D AW T IH D L IY
+undress AH N D R EH S
+undue AH N D UW
+unduly AH N D UW L IY
+undying AH N D AY IH NG
+unearth AH N ER TH
+unearthly AH N ER TH L IY
+uneasy AH N IY Z IY
+uneducated AH N EH JH UH K EY T IH D
+unemployed AH N EH M P L OY D
+unemployment AH N IH M P L OY M AH N T
+unequal AH N IY K W AH L
+unethical AH N EH TH IH K AH L
+uneven AH N IY V AH N
+uneventful AH N IY V EH N T F AH L
+unexpected AH N IH K S P EH K T IH D
+unexpectedly AH N IH K S P EH K T IH D L IY
+unexplained AH N IH K S P L EY N D
+unfair AH N F EH R
+unfairly AH N F EH R L IY
+unfaithful AH N F EY TH F AH L
+unfamiliar AH N F AH M IH L Y ER
+unfavorable AH N F EY V ER AH B AH L
+unfeeling AH N F IY L IH NG
+unfinished AH N F IH N IH SH T
+unfit AH N F IH T
+unfold AH N F OW L D
+unforeseen AH N F AO R S IY N
+unforgettable AH N F ER G EH T AH B AH L
+unforgivable AH N F AO R G IH V AH B AH L
+unfortunate AH N F AO R CH AH N AH T
+unfortunately AH N F AO R CH AH N AH T L IY
+unfounded AH N F AW N D IH D
+unfriendly AH N F R EH N D L IY
+unfurled AH N F ER L D
+ungodly AH N G AO D L IY
+ungrateful AH N G R EY T F AH L
+unhappily AH N HH AE P AH L IY
+unhappiness AH N HH AE P IY N IH S
+unhappy AH N HH AE P IY
+unhealthy AH N HH EH L TH IY
+unheard AH N HH ER D
+unhelpful AH N HH EH L P F AH L
+unhook AH N HH UH K
+unicorn Y UW N IH K AO R N
+unicycle Y UW N AH S AY K AH L
+unidentified AH N AY D EH N T AH F AY D
+unification Y UW N AH F AH K EY SH AH N
+uniform Y UW N AH F AO R M
+uniformly Y UW N AH F AO R M L IY
+unify Y UW N AH F AY
+unilateral Y UW N AH L AE T ER AH L
+unilaterally Y UW N AH L AE T ER AH L IY
+unimaginative AH N IH M AE JH IH N AH T IH V
+unimportant AH N IH M P AO R T AH N T
+unimpressed AH N IH M P R EH S T
+uninformed AH N IH N F AO R M D
+uninhibited AH N IH N HH IH B IH T IH D
+uninspired AH N IH N S P AY ER D
+uninspiring AH N IH N S P AY R IH NG
+unintelligible AH N IH N T EH L AH JH AH B AH L
+unintended AH N IH N T EH N D IH D
+unintentional AH N IH N T EH N SH AH N AH L
+unintentionally AH N IH N T EH N SH AH N AH L IY
+uninteresting AH N IH N T R AH S T IH NG
+union Y UW N Y AH N
+unique Y UW N IY K
+uniquely Y UW N IY K L IY
+uniqueness Y UW N IY K N AH S
+unison Y UW N AH S AH N
+unit Y UW N AH T
+unite Y UW N AY T
+united Y UW N AY T IH D
+unites Y UW N AY T S
+uniting Y UW N AY T IH NG
+unity Y UW N AH T IY
+universal Y UW N AH V ER S AH L
+universally Y UW N AH V ER S AH L IY
+universe Y UW N AH V ER S
+university Y UW N AH V ER S AH T IY
+unjust AH N JH AH S T
+unjustified AH N JH AH S T AH F AY D
+unjustly AH N JH AH S T L IY
+unkempt AH N K EH M P T
+unkind AH N K AY N D
+unknown AH N N OW N
+unknowns AH N OW N Z
+unlawful AH N L AO F AH L
+unleash AH N L IY SH
+unless AH N L EH S
+unlike AH N L AY K
+unlikely AH N L AY K L IY
+unlimited AH N L IH M AH T IH D
+unload AH N L OW D
+unlock AH N L AA K
+unlucky AH N L AH K IY
+unmanned AH N M AE N D
+unmarked AH N M AA R K T
+unmarried AH N M EH R IY D
+unmask AH N M AE S K
+unmistakable AH N M IH S T EY K AH B AH L
+unmitigated AH N M IH T AH G EY T IH D
+unnamed AH N N EY M D
+unnatural AH N N AE CH ER AH L
+unnecessarily AH N N EH S AH S EH R AH L IY
+unnecessary AH N N EH S AH S EH R IY
+unnerved AH N N ER V D
+unnerving AH N ER V IH NG
+unnoticed AH N N OW T IH S T
+unobtainable AH N AH B T EY N AH B AH L
+unoccupied AH N AA K Y AH P AY D
+unofficial AH N AH F IH SH AH L
+unorthodox AH N AO R TH AH D AA K S
+unpack AH N P AE K
+unpaid AH N P EY D
+unparalleled AH N P EH R AH L EH L D
+unpleasant AH N P L EH Z AH N T
+unpleasantness AH N P L EH Z AH N T N AH S
+unpopular AH N P AA P Y AH L ER
+unprecedented AH N P R EH S IH D EH N T IH D
+unpredictable AH N P R IH D IH K T AH B AH L
+unprepared AH N P R IY P EH R D
+unprincipled AH N P R IH N S AH P AH L D
+unprotected AH N P R AH T EH K T IH D
+unproven AH N P R UW V AH N
+unprovoked AH N P R AH V OW K T
+unpublished AH N P AH B L IH SH T
+unqualified AH N K W AA L IH F AY D
+unquestionably AH N K W EH S CH AH N AH B L IY
+unravel AH N R AE V AH L
+unread AH N R EH D
+unreadable AH N R IY D AH B AH L
+unreal AH N R IY L
+unrealistic AH N R IY L IH S T IH K
+unreasonable AH N R IY Z N AH B AH L
+unrelated AH N R IH L EY T IH D
+unrelenting AH N R IY L EH N T IH NG
+unreliable AH N R IH L AY AH B AH L
+unremarkable AH N R IH M AA R K AH B AH L
+unresolved AH N R IH Z AA L V D
+unrest AH N R EH S T
+unrestricted AH N R IY S T R IH K T IH D
+unruly AH N R UW L IY
+unsafe AH N S EY F
+unsaid AH N S EH D
+unsanitary AH N S AE N AH T EH R IY
+unsatisfactory AH N S AH T IH S F AE K T ER IY
+unsatisfied AH N S AE T IH S F AY D
+unsavory AH N S EY V ER IY
+unscathed AH N S K EY DH D
+unscheduled AH N S K EH JH UW L D
+unscientific AH N S AY AH N T IH F IH K
+unscrupulous AH N S K R UW P Y AH L AH S
+unseemly AH N S IY M L IY
+unseen AH N S IY N
+unset AH N S EH T
+unsettled AH N S EH T AH L D
+unsettling AH N S EH T AH L IH NG
+unsightly AH N S AY T L IY
+unsigned AH N S AY N D
+unsolicited AH N S AH L IH S IH T IH D
+unsolved AH N S AA L V D
+unsophisticated AH N S AH F IH S T IH K EY T IH D
+unsound AH N S AW N D
+unspeakable AH N S P IY K AH B AH L
+unspecified AH N S P EH S AH F AY D
+unstable AH N S T EY B AH L
+unstuck AH N S T AH K
+unsubstantiated AH N S AH B S T AE N SH IY EY T IH D
+unsuccessful AH N S AH K S EH S F AH L
+unsuccessfully AH N S AH K S EH S F AH L IY
+unsuitable AH N S UW T AH B AH L
+unsung AH N S AH NG
+unsupported AH N S AH P AO R T IH D
+unsure AH N SH UH R
+unsuspecting AH N S AH S P EH K T IH NG
+untangle AH N T AE NG G AH L
+untenable AH N T EH N AH B AH L
+unthinkable AH N TH IH NG K AH B AH L
+untidy AH N T AY D IY
+untie AH N T AY
+until AH N T IH L
+unto AH N T UW
+untold AH N T OW L D
+untouched AH N T AH CH T
+untrained AH N T R EY N D
+untrue AH N T R UW
+untrustworthy AH N T R AH S T W ER DH IY
+unusable AH N Y UW Z AH B AH L
+unused AH N Y UW Z D
+unusual AH N Y UW ZH UW AH L
+unusually AH N Y UW ZH UW AH L IY
+unveil AH N V EY L
+unwanted AH N W AO N T IH D
+unwarranted AH N W AO R AH N T IH D
+unwashed AH N W AA SH T
+unwelcome AH N W EH L K AH M
+unwell AH N W EH L
+unwilling AH N W IH L IH NG
+unwind AH N W AY N D
+unwise AH N W AY Z
+unwittingly AH N W IH T IH NG L IY
+unworkable AH N W ER K AH B AH L
+unworthy AH N W ER DH IY
+unwrap AH N R AE P
+unwritten AH N R IH T AH N
+up AH P
+upbeat AH P B IY T
+upbringing AH P B R IH NG IH NG
+update AH P D EY T
+upgrade AH P G R EY D
+upheaval AH P HH IY V AH L
+upheld AH P HH EH L D
+uphill AH P HH IH L
+uphold AH P HH OW L D
+upholstery AH P OW L S T ER IY
+upkeep AH P K IY P
+uplift AH P L IH F T
+upload AH P L OW D
+upon AH P AA N
+upper AH P ER
+upright AH P R AY T
+uprising AH P R AY Z IH NG
+uproar AH P R AO R
+uproot AH P R UW T
+upset AH P S EH T
+upshot AH P SH AA T
+upside AH P S AY D
+upstairs AH P S T EH R Z
+upstanding AH P S T AE N D IH NG
+upstart AH P S T AA R T
+upstream AH P S T R IY M
+uptight AH P T AY T
+uptown AH P T AW N
+upward AH P W ER D
+uranium Y ER EY N IY AH M
+urban ER B AH N
+urchin ER CH AH N
+urge ER JH
+urgency ER JH AH N S IY
+urgent ER JH AH N T
+urgently ER JH AH N T L IY
+urges ER JH AH Z
+urinate Y ER AH N EY T
+urine Y ER AH N
+urn ER N
+us AH S
+usable Y UW Z AH B AH L
+usage Y UW S AH JH
+use Y UW S
+used Y UW Z D
+useful Y UW S F AH L
+usefully Y UW S F AH L IY
+usefulness Y UW S F AH L N AH S
+useless Y UW S L AH S
+user Y UW Z ER
+uses Y UW S AH Z
+usher AH SH ER
+using Y UW Z IH NG
+usual Y UW ZH AH W AH L
+usually Y UW ZH AH W AH L IY
+utensil Y UW T EH N S AH L
+uterus Y UW T ER AH S
+utilitarian Y UW T IH L AH T EH R IY AH N
+utility Y UW T IH L AH T IY
+utilize Y UW T AH L AY Z
+utmost AH T M OW S T
+utter AH T ER
+utterance AH T ER AH N S
+utterly AH T ER L IY
+vacancy V EY K AH N S IY
+vacant V EY K AH N T
+vacate V EY K EY T
+vacation V EY K EY SH AH N
+vaccinated V AE K S AH N EY T IH D
+vaccination V AE K S AH N EY SH AH N
+vaccine V AE K S IY N
+vacuous V AE K Y UW AH S
+vacuum V AE K Y UW M
+vagabond V AE G AH B AA N D
+vagina V AH JH AY N AH
+vaginal V AH JH AY N AH L
+vagrant V EY G R AH N T
+vague V EY G
+vaguely V EY G L IY
+vaguest V EY G IH S T
+vain V EY N
+valentine V AE L AH N T AY N
+valet V AE L EY
+valiant V AE L Y AH N T
+valid V AE L IH D
+validate V AE L AH D EY T
+validation V AE L AH D EY SH AH N
+validity V AH L IH D AH T IY
+valley V AE L IY
+valor V AE L ER
+valuable V AE L Y AH B AH L
+value V AE L Y UW
+valve V AE L V
+vampire V AE M P AY R
+van V AE N
+vandal V AE N D AH L
+vandalism V AE N D AH L IH Z AH M
+vandalized V AE N D AH L AY Z D
+vandalizing V AE N D AH L AY Z IH NG
+vane V EY N
+vanguard V AE N G AA R D
+vanilla V AH N IH L AH
+vanish V AE N IH SH
+vanity V AE N AH T IY
+vanquish V AE NG K W IH SH
+vapor V EY P ER
+vaporize V EY P ER AY Z
+variable V EH R IY AH B AH L
+variance V EH R IY AH N S
+variant V EH R IY AH N T
+variation V EH R IY EY SH AH N
+variety V ER AY AH T IY
+various V EH R IY AH S
+varnish V AA R N IH SH
+varsity V AA R S IH T IY
+vary V EH R IY
+vase V EY S
+vases V EY S AH Z
+vast V AE S T
+vastly V AE S T L IY
+vastness V AE S T N AH S
+vat V AE T
+vault V AO L T
+veal V IY L
+vector V EH K T ER
+veer V IH R
+vegetable V EH JH T AH B AH L
+vegetarian V EH JH AH T EH R IY AH N
+vegetation V EH JH AH T EY SH AH N
+vehemently V IY AH M AH N T L IY
+vehicle V IY HH IH K AH L
+veil V EY L
+vein V EY N
+velocity V AH L AA S AH T IY
+velour V EH L UW R
+velvet V EH L V AH T
+vending V EH N D IH NG
+vendor V EH N D ER
+veneer V AH N IH R
+venerable V EH N ER AH B AH L
+vengeance V EH N JH AH N S
+vengeful V EH N JH F AH L
+venison V EH N AH S AH N
+venom V EH N AH M
+venomous V EH N AH M AH S
+vent V EH N T
+ventilate V EH N T AH L EY T
+ventilation V EH N T AH L EY SH AH N
+ventilator V EH N T AH L EY T ER
+ventricle V EH N T R IH K AH L
+venture V EH N CH ER
+venue V EH N Y UW
+venues V EH N UW Z
+veracity V ER AE S IH T IY
+veranda V ER AE N D AH
+verb V ER B
+verbal V ER B AH L
+verbally V ER B AE L IY
+verbatim V ER B EY T AH M
+verbiage V ER B IY IH JH
+verdict V ER D IH K T
+verge V ER JH
+verification V EH R AH F AH K EY SH AH N
+verify V EH R AH F AY
+veritable V EH R IH T AH B AH L
+vermin V ER M IH N
+vernacular V ER N AE K Y AH L ER
+versatile V ER S AH T AH L
+verse V ER S
+verses V ER S AH Z
+version V ER ZH AH N
+versus V ER S AH S
+vertebra V ER T AH B R AH
+vertebrae V ER T AH B R EY
+vertical V ER T IH K AH L
+vertically V ER T IH K L IY
+vertigo V ER T IH G OW
+verve V ER V
+very V EH R IY
+vessel V EH S AH L
+vest V EH S T
+vestibule V EH S T IH B Y UW L
+vestige V EH S T IH JH
+vet V EH T
+veteran V EH T ER AH N
+veterinarian V EH T R AH N EH R IY AH N
+veterinary V EH T R AH N EH R IY
+veto V IY T OW
+vex V EH K S
+via V AY AH
+viable V AY AH B AH L
+viaduct V AY AH D AH K T
+vial V AY AH L
+vibrant V AY B R AH N T
+vibrate V AY B R EY T
+vibration V AY B R EY SH AH N
+vicar V IH K ER
+vicarious V AY K EH R IY AH S
+vicariously V AY K EH R IY AH S L IY
+vice V AY S
+vices V AY S AH Z
+vicinity V AH S IH N AH T IY
+vicious V IH SH AH S
+viciously V IH SH AH S L IY
+victim V IH K T AH M
+victimized V IH K T AH M AY Z D
+victor V IH K T ER
+victorious V IH K T AO R IY AH S
+victory V IH K T ER IY
+video V IH D IY OW
+videotape V IH D IY OW T EY P
+vie V AY
+view V Y UW
+viewer V Y UW ER
+viewpoint V Y UW P OY N T
+vigil V IH JH AH L
+vigilance V IH JH AH L AH N S
+vigilant V IH JH AH L AH N T
+vigilante V IH JH AH L AE N T IY
+vigilantes V IH JH AH L AE N T IY Z
+vigor V IH G ER
+vigorous V IH G ER AH S
+vigorously V IH G ER AH S L IY
+vile V AY L
+villa V IH L AH
+village V IH L AH JH
+villager V IH L IH JH ER
+villages V IH L AH JH AH Z
+villain V IH L AH N
+villainous V IH L AH N AH S
+vindicated V IH N D AH K EY T IH D
+vindictive V IH N D IH K T IH V
+vine V AY N
+vinegar V IH N AH G ER
+vineyard V IH N Y ER D
+vintage V IH N T IH JH
+vinyl V AY N AH L
+viola V AY OW L AH
+violate V AY AH L EY T
+violation V AY AH L EY SH AH N
+violence V AY AH L AH N S
+violent V AY AH L AH N T
+violently V AY AH L AH N T L IY
+violet V AY AH L IH T
+violets V AY AH L AH T S
+violin V AY AH L IH N
+viper V AY P ER
+viral V AY R AH L
+virgin V ER JH IH N
+virginity V ER JH IH N IH T IY
+virgins V ER JH AH N Z
+virile V IH R AH L
+virility V ER IH L AH T IY
+virtual V ER CH UW AH L
+virtually V ER CH UW AH L IY
+virtue V ER CH UW
+virtuoso V ER CH UW OW S OW
+virtuous V ER CH UW AH S
+virulent V IH R AH L AH N T
+virus V AY R AH S
+viruses V AY R AH S AH Z
+visa V IY Z AH
+vise V AY S
+visibility V IH Z AH B IH L IH T IY
+visible V IH Z AH B AH L
+vision V IH ZH AH N
+visionary V IH ZH AH N EH R IY
+visit V IH Z IH T
+visitation V IH Z IH T EY SH AH N
+visitor V IH Z IH T ER
+visor V AY Z ER
+vista V IH S T AH
+visual V IH ZH AH W AH L
+visualize V IH ZH W AH L AY Z
+visually V IH ZH W AH L IY
+visuals V IH ZH W AH L Z
+vital V AY T AH L
+vitality V AY T AE L AH T IY
+vitally V AY T AH L IY
+vitamin V AY T AH M AH N
+vivacious V AH V EY SH AH S
+vivid V IH V AH D
+vividly V IH V AH D L IY
+vocabulary V OW K AE B Y AH L EH R IY
+vocal V OW K AH L
+vocalist V OW K AH L IH S T
+vocation V OW K EY SH AH N
+vocational V OW K EY SH AH N AH L
+vodka V AA D K AH
+vogue V OW G
+voice V OY S
+voices V OY S AH Z
+void V OY D
+volatile V AA L AH T AH L
+volcanic V AA L K AE N IH K
+volcano V AA L K EY N OW
+volition V OW L IH SH AH N
+volley V AA L IY
+volleyball V AA L IY B AO L
+voltage V OW L T AH JH
+volts V OW L T S
+volume V AA L Y UW M
+voluntarily V AA L AH N T EH R AH L IY
+voluntary V AA L AH N T EH R IY
+volunteer V AA L AH N T IH R
+volunteering V AO L AH N T IH R IH NG
+voluptuous V AH L AH P CH AH W AH S
+vomit V AA M AH T
+voodoo V UW D UW
+voracious V AO R EY SH AH S
+vortex V AO R T EH K S
+vote V OW T
+voter V OW T ER
+vouch V AW CH
+voucher V AW CH ER
+vow V AW
+vowel V AW AH L
+voyage V OY AH JH
+voyager V OY AH JH ER
+voyages V OY AH JH AH Z
+vulgar V AH L G ER
+vulgarity V AH L G EH R IH T IY
+vulnerability V AH L N ER AH B IH L IH T IY
+vulnerable V AH L N ER AH B AH L
+vulture V AH L CH ER
+vying V AY IH NG
+wad W AA D
+waddle W AA D AH L
+wade W EY D
+waded W EY D IH D
+wades W EY D Z
+wading W EY D IH NG
+wafer W EY F ER
+waffle W AA F AH L
+wag W AE G
+wage W EY JH
+waged W EY JH D
+wager W EY JH ER
+wages W EY JH AH Z
+waging W EY JH IH NG
+wagon W AE G AH N
+waif W EY F
+wail W EY L
+waist W EY S T
+waistline W EY S T L AY N
+wait W EY T
+waiter W EY T ER
+waitress W EY T R AH S
+waive W EY V
+waiver W EY V ER
+wake W EY K
+waken W EY K AH N
+walk W AO K
+walker W AO K ER
+walkout W AO K AW T
+wall W AO L
+wallet W AO L AH T
+wallop W AA L AH P
+wallow W AA L OW
+wallpaper W AO L P EY P ER
+walnut W AO L N AH T
+walrus W AO L R AH S
+waltz W AO L T S
+waltzes W AO L T S AH Z
+wan W AA N
+wand W AA N D
+wander W AA N D ER
+wanderer W AA N D ER ER
+wane W EY N
+waning W EY N IH NG
+wanna W AA N AH
+want W AA N T
+wanted W AO N T IH D
+wanton W AO N T AH N
+war W AO R
+warble W AO R B AH L
+ward W AO R D
+warden W AO R D AH N
+wardrobe W AO R D R OW B
+warehouse W EH R HH AW S
+warehouses W EH R HH AW Z IH Z
+warfare W AO R F EH R
+warhead W AO R HH EH D
+warlike W AO R L AY K
+warm W AO R M
+warmer W AO R M ER
+warmest W AO R M AH S T
+warmly W AO R M L IY
+warmth W AO R M TH
+warn W AO R N
+warp W AO R P
+warpath W AO R P AE TH
+warrant W AO R AH N T
+warranty W AO R AH N T IY
+warren W AO R AH N
+warrior W AO R IY ER
+wart W AO R T
+wartime W AO R T AY M
+wary W EH R IY
+was W AH Z
+wash W AA SH
+washcloth W AA SH K L AO TH
+washer W AA SH ER
+washout W AA SH AW T
+washroom W AA SH R UW M
+wasp W AA S P
+waste W EY S T
+wastebasket W EY S T B AE S K AH T
+wasteful W EY S T F AH L
+wasteland W EY S T L AE N D
+watch W AA CH
+watchdog W AA CH D AO G
+watches W AA CH AH Z
+watchful W AA CH F AH L
+watchman W AA CH M AH N
+water W AO T ER
+watercolors W AO T ER K AH L ER Z
+waterfall W AO T ER F AO L
+waterfront W AO T ER F R AH N T
+watermark W AO T ER M AA R K
+watermelon W AO T ER M EH L AH N
+waterproof W AO T ER P R UW F
+watertight W AO T ER T AY T
+waterways W AO T ER W EY Z
+waterworks W AO T ER W ER K S
+watery W AO T ER IY
+watt W AA T
+wave W EY V
+wavelength W EY V L EH NG TH
+waver W EY V ER
+wavy W EY V IY
+wax W AE K S
+waxy W AE K S IY
+way W EY
+waylaid W EY L EY D
+wayside W EY S AY D
+wayward W EY W ER D
+we W IY
+weak W IY K
+weaken W IY K AH N
+weaker W IY K ER
+weakest W IY K AH S T
+weakling W IY K L IH NG
+weakly W IY K L IY
+weakness W IY K N AH S
+weaknesses W IY K N AH S AH Z
+wealth W EH L TH
+wealthiest W EH L TH IY AH S T
+wealthy W EH L TH IY
+wean W IY N
+weapon W EH P AH N
+weaponry W EH P AH N R IY
+wear W EH R
+weary W IH R IY
+weasel W IY Z AH L
+weather W EH DH ER
+weave W IY V
+weaver W IY V ER
+web W EH B
+wed W EH D
+wedge W EH JH
+wedges W EH JH AH Z
+wedlock W EH D L AA K
+wee W IY
+weedy W IY D IY
+week W IY K
+weekday W IY K D EY
+weekend W IY K EH N D
+weekly W IY K L IY
+weep W IY P
+weigh W EY
+weight W EY T
+weighty W EY T IY
+weird W IH R D
+weirder W IH R D ER
+weirdest W IH R D AH S T
+weirdness W IH R D N AH S
+weirdo W IH R D OW
+welcome W EH L K AH M
+weld W EH L D
+welder W EH L D ER
+welfare W EH L F EH R
+well W EH L
+wellington W EH L IH NG T AH N
+went W EH N T
+wept W EH P T
+were W ER
+werewolf W EH R W UH L F
+werewolves W EH R W UH L V Z
+west W EH S T
+western W EH S T ER N
+westward W EH S T W ER D
+wet W EH T
+wetter W EH T ER
+whack W AE K
+whale W EY L
+whaler W EY L ER
+wharf W AO R F
+what W AH T
+whatever W AH T EH V ER
+whatsoever W AH T S OW EH V ER
+wheat W IY T
+wheel W IY L
+wheelbarrow W IY L B EH R OW
+wheelchair W IY L CH EH R
+wheeze W IY Z
+wheezes W IY Z AH Z
+when W EH N
+whence W EH N S
+whenever W EH N EH V ER
+where W EH R
+whereabouts W EH R AH B AW T S
+whereas W EH R AE Z
+whereby W EH R B AY
+wherein W EH R IH N
+whereupon W EH R AH P AA N
+wherever W EH R EH V ER
+whether W EH DH ER
+whew W UW
+which W IH CH
+whichever W IH CH EH V ER
+whiff W IH F
+while W AY L
+whilst W AY L S T
+whim W IH M
+whimper W IH M P ER
+whimsical W IH M Z IH K AH L
+whine W AY N
+whip W IH P
+whirl W ER L
+whirlpool W ER L P UW L
+whirlwind W ER L W IH N D
+whirring W ER IH NG
+whisk W IH S K
+whisker W IH S K ER
+whiskey W IH S K IY
+whisper W IH S P ER
+whistle W IH S AH L
+whistling W IH S L IH NG
+white W AY T
+whiter W AY T ER
+whitest W AY T IH S T
+whitewash W AY T W AA SH
+whittle W IH T AH L
+whittling W IH T L IH NG
+whiz W IH Z
+who HH UW
+whoa W OW
+whoever HH UW EH V ER
+whole HH OW L
+wholeheartedly HH OW L HH AA R T IH D L IY
+wholesale HH OW L S EY L
+wholesome HH OW L S AH M
+wholly HH OW L IY
+whom HH UW M
+whoop W UW P
+whopper W AA P ER
+whore HH AO R
+whose HH UW Z
+why W AY
+wick W IH K
+wicked W IH K AH D
+wickedly W IH K IH D L IY
+wickedness W IH K AH D N AH S
+wicker W IH K ER
+wide W AY D
+widely W AY D L IY
+widen W AY D AH N
+wider W AY D ER
+widespread W AY D S P R EH D
+widest W AY D AH S T
+widow W IH D OW
+widower W IH D OW ER
+width W IH D TH
+wield W IY L D
+wife W AY F
+wig W IH G
+wiggle W IH G AH L
+wigwam W IH G W AA M
+wild W AY L D
+wildcat W AY L D K AE T
+wilder W AY L D ER
+wilderness W IH L D ER N AH S
+wildest W AY L D IH S T
+wildfire W AY L D F AY ER
+wildlife W AY L D L AY F
+wildly W AY L D L IY
+wildness W AY L D N AH S
+will W IH L
+willful W IH L F AH L
+willfully W IH L F AH L IY
+willingly W IH L IH NG L IY
+willingness W IH L IH NG N AH S
+willow W IH L OW
+willpower W IH L P AW ER
+wilt W IH L T
+wily W AY L IY
+win W IH N
+wince W IH N S
+winch W IH N CH
+wind W AY N D
+winded W IH N D IH D
+windfall W IH N D F AO L
+windmill W IH N D M IH L
+window W IH N D OW
+windowpane W IH N D OW P EY N
+winds W IH N D Z
+windshield W IH N D SH IY L D
+windy W IH N D IY
+wine W AY N
+wined W AY N D
+wines W AY N Z
+wing W IH NG
+wink W IH NG K
+winner W IH N ER
+winter W IH N T ER
+wintertime W IH N T ER T AY M
+wintry W IH N T R IY
+wipe W AY P
+wiper W AY P ER
+wire W AY ER
+wiring W AY R IH NG
+wiry W IH R IY
+wisdom W IH Z D AH M
+wise W AY Z
+wisecrack W AY Z K R AE K
+wisely W AY Z L IY
+wiser W AY Z ER
+wisest W AY Z AH S T
+wish W IH SH
+wishbone W IH SH B OW N
+wishful W IH SH F AH L
+wisp W IH S P
+wit W IH T
+witch W IH CH
+witchcraft W IH CH K R AE F T
+witches W IH CH AH Z
+with W IH DH
+withdraw W IH DH D R AO
+withdrawal W IH DH D R AO AH L
+withdrawals W IH TH D R AO AH L Z
+withdrawing W IH TH D R AO IH NG
+withdrawn W IH TH D R AO N
+withdrew W IH TH D R UW
+wither W IH DH ER
+withheld W IH TH HH EH L D
+withhold W IH TH HH OW L D
+within W IH DH IH N
+without W IH TH AW T
+withstand W IH TH S T AE N D
+withstood W IH TH S T UH D
+witless W IH T L AH S
+witness W IH T N AH S
+witnesses W IH T N AH S AH Z
+witty W IH T IY
+wives W AY V Z
+wiz W IH Z
+wizard W IH Z ER D
+wobble W AA B AH L
+wobbly W AA B AH L IY
+woe W OW
+wok W AA K
+woke W OW K
+woken W OW K AH N
+wolf W UH L F
+wolves W UH L V Z
+woman W UH M AH N
+womanhood W UH M AH N HH UH D
+womb W UW M
+wombat W AA M B AE T
+women W IH M AH N
+won W AH N
+wonder W AH N D ER
+wonderful W AH N D ER F AH L
+wonderfully W AH N D ER F AH L IY
+wonderland W AH N D ER L AE N D
+wondrous W AH N D R AH S
+wont W OW N T
+woo W UW
+wood W UH D
+woodchuck W UH D CH AH K
+wooden W UH D AH N
+woodland W UH D L AE N D
+woodpecker W UH D P EH K ER
+woodsman W UH D Z M AE N
+woodwind W UH D W IH N D
+woodwork W UH D W ER K
+woody W UH D IY
+woof W UW F
+wool W UH L
+woolen W UH L AH N
+woolly W UH L IY
+word W ER D
+wore W AO R
+work W ER K
+workable W ER K AH B AH L
+workbench W ER K B EH N CH
+worker W ER K ER
+workforce W ER K F AO R S
+workload W ER K L OW D
+workman W ER K M AH N
+workmanship W ER K M AH N SH IH P
+workmen W ER K M IH N
+workout W ER K AW T
+workplace W ER K P L EY S
+workshop W ER K SH AA P
+workstation W ER K S T EY SH AH N
+world W ER L D
+worldly W ER L D L IY
+worldwide W ER L D W AY D
+worm W ER M
+wormhole W ER M HH AO L
+worn W AO R N
+worrisome W ER IY S AH M
+worry W ER IY
+worse W ER S
+worsen W ER S AH N
+worship W ER SH AH P
+worshiped W ER SH IH P T
+worst W ER S T
+worth W ER TH
+worthless W ER TH L AH S
+worthwhile W ER TH W AY L
+worthy W ER DH IY
+would W UH D
+wound W AW N D
+wounded W UW N D IH D
+wounding W UW N D IH NG
+wounds W UW N D Z
+wove W OW V
+woven W OW V AH N
+wow W AW
+wrangle R AE NG G AH L
+wrangler R AE NG G AH L ER
+wrap R AE P
+wrapper R AE P ER
+wrath R AE TH
+wreak R IY K
+wreath R IY TH
+wreck R EH K
+wreckage R EH K AH JH
+wrecker R EH K ER
+wren R EH N
+wrench R EH N CH
+wrestle R EH S AH L
+wrestler R EH S AH L ER
+wrestlers R EH S L ER Z
+wrestling R EH S L IH NG
+wretch R EH CH
+wretched R EH CH IH D
+wriggle R IH G AH L
+wright R AY T
+wring R IH NG
+wringer R IH NG ER
+wrinkle R IH NG K AH L
+wrist R IH S T
+wristwatch R IH S T W AA CH
+writ R IH T
+write R AY T
+writer R AY T ER
+writes R AY T S
+writhing R AY DH IH NG
+writing R AY T IH NG
+written R IH T AH N
+wrong R AO NG
+wrongdoing R AO NG D UW IH NG
+wrongly R AO NG L IY
+wrote R OW T
+wrought R AO T
+wrung R AH NG
+wry R AY
+yacht Y AA T
+yak Y AE K
+yam Y AE M
+yank Y AE NG K
+yap Y AE P
+yard Y AA R D
+yardstick Y AA R D S T IH K
+yarn Y AA R N
+yawn Y AO N
+year Y IH R
+yearling Y ER L IH NG
+yearly Y IH R L IY
+yearn Y ER N
+yeast Y IY S T
+yell Y EH L
+yellow Y EH L OW
+yelping Y EH L P IH NG
+yen Y EH N
+yes Y EH S
+yesterday Y EH S T ER D EY
+yet Y EH T
+yeti Y EH T IY
+yield Y IY L D
+yodel Y OW D AH L
+yoga Y OW G AH
+yogurt Y OW G ER T
+yoke Y OW K
+yokel Y OW K EH L
+yolk Y OW K
+yonder Y AA N D ER
+you Y UW
+young Y AH NG
+younger Y AH NG G ER
+youngest Y AH NG G AH S T
+youngster Y AH NG S T ER
+your Y AO R
+yours Y UH R Z
+yourself Y ER S EH L F
+yourselves Y UH R S EH L V Z
+yous Y UW S
+youth Y UW TH
+youthful Y UW TH F AH L
+youths Y UW DH Z
+yuck Y AH K
+zany Z EY N IY
+zeal Z IY L
+zealous Z EH L AH S
+zebra Z IY B R AH
+zenith Z IY N AH TH
+zero Z IH R OW
+zest Z EH S T
+zeta Z EY T AH
+zigzag Z IH G Z AE G
+zillion Z IH L Y AH N
+zinc Z IH NG K
+zip Z IH P
+zipper Z IH P ER
+zodiac Z OW D IY AE K
+zombie Z AA M B IY
+zone Z OW N
+zoo Z UW
+zoologist Z OW AA L AH JH AH S T
+zoology Z OW AA L AH JH IY
+zoom Z UW M
+zucchini Z UW K IY N IY
+`;
+
+const PRONUNCIATIONS = new Map(
+    DICTIONARY_SOURCE.trim().split('\n').map(line => {
+        const [word, ...phonemes] = line.trim().split(/\s+/);
+        return [word, phonemes];
+    })
+);
+
+const VOICELESS_FINALS = ['P', 'T', 'K', 'F', 'TH'];
+const SIBILANT_FINALS = ['S', 'Z', 'SH', 'ZH', 'CH', 'JH'];
+const VOICELESS_ED_FINALS = ['P', 'K', 'F', 'TH', 'S', 'SH', 'CH'];
+
+/**
+ * Possible bases of an inflected spelling, most likely first
+ * @param {string} word - Lowercase word
+ * @returns {Array[]} [[base, 's'|'ed'|'ing']]
+ */
+function getInflectionBases(word) {
+    const bases = [];
+    if (word.endsWith('ies')) bases.push([word.slice(0, -3) + 'y', 's']);
+    if (word.endsWith('es')) bases.push([word.slice(0, -2), 's']);
+    if (word.endsWith('s')) bases.push([word.slice(0, -1), 's']);
+    if (word.endsWith('ied')) bases.push([word.slice(0, -3) + 'y', 'ed']);
+    if (word.endsWith('ed')) {
+        bases.push([word.slice(0, -2), 'ed'], [word.slice(0, -1), 'ed']);
+        // Doubled consonant ("hopped" → "hop")
+        if (word.length > 4 && word[word.length - 3] === word[word.length - 4]) bases.push([word.slice(0, -3), 'ed']);
+    }
+    if (word.endsWith('ing')) {
+        bases.push([word.slice(0, -3), 'ing'], [word.slice(0, -3) + 'e', 'ing']);
+        if (word.length > 5 && word[word.length - 4] === word[word.length - 5]) bases.push([word.slice(0, -4), 'ing']);
+    }
+    return bases.filter(([base]) => base.length > 0 && base !== word);
+}
+
+/**
+ * Add an inflection's sounds to a base pronunciation
+ * @param {string[]} phonemes - Base pronunciation
+ * @param {string} ending - 's', 'ed' or 'ing'
+ * @returns {string[]} Inflected pronunciation
+ */
+function inflect(phonemes, ending) {
+    const last = phonemes[phonemes.length - 1];
+    if (ending === 's') {
+        return [...phonemes, ...(SIBILANT_FINALS.includes(last) ? ['IH', 'Z'] : VOICELESS_FINALS.includes(last) ? ['S'] : ['Z'])];
+    }
+    if (ending === 'ed') {
+        return [...phonemes, ...(last === 'T' || last === 'D' ? ['IH', 'D'] : VOICELESS_ED_FINALS.includes(last) ? ['T'] : ['D'])];
+    }
+    return [...phonemes, 'IH', 'NG'];
+}
+
+/**
+ * Dictionary pronunciation of a word, including regular inflections of dictionary words
+ * @param {string} word - Lowercase letters only
+ * @returns {string[]|null} ARPAbet phonemes, or null if the word isn't covered
+ */
+export function lookupPronunciation(word) {
+    if (!word) return null;
+    if (PRONUNCIATIONS.has(word)) return PRONUNCIATIONS.get(word);
+
+    for (const [base, ending] of getInflectionBases(word)) {
+        const basePhonemes = lookupPronunciation(base);
+        if (basePhonemes) return inflect(basePhonemes, ending);
+    }
+    return null;
+}
+
+export default { lookupPronunciation };
@@ -0,0 +1,206 @@
+/**
+ * Roster CSV Module - Import and export of the student roster as CSV
+ * Import is split into parse -> map columns -> preview so the teacher can check
+ * what will be created before anything is written to Firestore
+ */
+
+import { parseGradeLevel, formatGradeLevel } from '../utils.js';
+
+// Fields a CSV column can be mapped to, with header names we recognize for each
+export const ROSTER_FIELDS = {
+    name: { label: 'Name', required: true, headers: ['name', 'student', 'student name', 'full name'] },
+    grade: { label: 'Grade', required: false, headers: ['grade', 'grade level', 'gr', 'year'] },
+    externalId: { label: 'Student ID', required: false, headers: ['id', 'student id', 'external id', 'sis id', 'student number', 'student #'] },
+    className: { label: 'Class', required: false, headers: ['class', 'section', 'homeroom', 'period', 'roster'] }
+};
+
+// Row outcomes shown in the preview
+export const IMPORT_STATUS = {
+    NEW: 'new',
+    DUPLICATE: 'duplicate',
+    INVALID: 'invalid'
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {string} text - File contents
+ * @returns {string[][]} Rows of cells; blank lines are dropped
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(r => r.map(c => c.trim()))
+        .filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Guess which column holds each roster field from the header row
+ * @param {string[]} headers - First CSV row
+ * @returns {Object} { name, grade, externalId, className } -> column index or -1
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(h => h.toLowerCase().replace(/[_-]+/g, ' ').trim());
+    const mapping = {};
+    Object.entries(ROSTER_FIELDS).forEach(([field, { headers: known }]) => {
+        mapping[field] = normalized.findIndex((h, index) =>
+            known.includes(h) && !Object.values(mapping).includes(index));
+    });
+    return mapping;
+}
+
+/**
+ * Normalize a name for duplicate matching
+ * @param {string} name - Student name
+ * @returns {string} Lowercased, single-spaced name
+ */
+function nameKey(name) {
+    return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn mapped CSV rows into preview entries, flagging duplicates and bad values
+ * Duplicates are matched by name or student ID against the existing roster and
+ * against earlier rows of the same file
+ * @param {string[][]} rows - Data rows (header row removed)
+ * @param {Object} mapping - From guessColumnMapping (possibly edited by the teacher)
+ * @param {Object} existingStudents - getAllStudents() result
+ * @returns {Object[]} Entries: { row, name, grade, gradeLevel, externalId, className, status, reason }
+ */
+export function buildRosterImport(rows, mapping, existingStudents = {}) {
+    // Drop the ' rosterToCsv adds in front of formula-like text
+    const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] || '' : '').trim().replace(/^'(?=[=+\-@])/, '');
+
+    const existing = Object.values(existingStudents);
+    const seenNames = new Map(existing.map(s => [nameKey(s.name), s.name]));
+    const seenIds = new Map(existing.filter(s => s.externalId).map(s => [s.externalId.toLowerCase(), s.name]));
+
+    return rows.map((row, i) => {
+        const name = cell(row, 'name');
+        const gradeText = cell(row, 'grade');
+        const externalId = cell(row, 'externalId');
+        const gradeLevel = parseGradeLevel(gradeText);
+
+        const entry = {
+            row: i + 2, // spreadsheet row number, counting the header
+            name,
+            grade: formatGradeLevel(gradeLevel),
+            gradeLevel,
+            externalId,
+            className: cell(row, 'className'),
+            status: IMPORT_STATUS.NEW,
+            reason: ''
+        };
+
+        if (!name) {
+            entry.status = IMPORT_STATUS.INVALID;
+            entry.reason = 'Missing name';
+        } else if (name.length > 80) {
+            entry.status = IMPORT_STATUS.INVALID;
+            entry.reason = 'Name is longer than 80 characters';
+        } else if (gradeText && gradeLevel === null) {
+            entry.status = IMPORT_STATUS.INVALID;
+            entry.reason = `Unrecognized grade "${gradeText}"`;
+        } else if (externalId && !/^[A-Za-z0-9_-]{1,32}$/.test(externalId)) {
+            entry.status = IMPORT_STATUS.INVALID;
+            entry.reason = 'Student ID may only contain letters, numbers, dashes and underscores';
+        } else if (externalId && seenIds.has(externalId.toLowerCase())) {
+            entry.status = IMPORT_STATUS.DUPLICATE;
+            entry.reason = `Student ID already used by ${seenIds.get(externalId.toLowerCase())}`;
+        } else if (seenNames.has(nameKey(name))) {
+            entry.status = IMPORT_STATUS.DUPLICATE;
+            entry.reason = `Same name as ${seenNames.get(nameKey(name))}`;
+        }
+
+        if (entry.status !== IMPORT_STATUS.INVALID) {
+            seenNames.set(nameKey(name), name);
+            if (externalId) seenIds.set(externalId.toLowerCase(), name);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Quote a value for CSV if needed
+ * Text starting with = + - @ (or a tab/CR) gets a leading ' so spreadsheets show it
+ * instead of running it as a formula
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a roster CSV with each student's stats summary
+ * @param {Object[]} students - Student docs
+ * @param {Object[]} classes - getAllClasses() result (for class names)
+ * @param {Function} getStats - getStudentStats
+ * @returns {string} CSV text
+ */
+export function rosterToCsv(students, classes, getStats) {
+    const classNames = new Map(classes.map(c => [c.id, c.name]));
+    const headers = ['Name', 'Grade', 'Student ID', 'Class', 'Section', 'IEP', 'ELL', 'Date of Birth',
+        'Assessments', 'Avg Accuracy (%)', 'Avg WPM', 'Avg Prosody', 'Latest Accuracy (%)', 'Trend'];
+
+    const lines = [...students]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(student => {
+            const stats = getStats(student);
+            return [
+                student.name,
+                student.grade || '',
+                student.externalId || '',
+                classNames.get(student.classId) || '',
+                student.section || '',
+                student.iep ? 'Y' : '',
+                student.ell ? 'Y' : '',
+                student.dateOfBirth || '',
+                stats.totalAssessments,
+                stats.avgAccuracy,
+                stats.avgWpm,
+                stats.avgProsody,
+                stats.latestAccuracy,
+                stats.trend
+            ].map(csvCell).join(',');
+        });
+
+    return [headers.map(csvCell).join(','), ...lines].join('\r\n');
+}
+
+export default { ROSTER_FIELDS, IMPORT_STATUS, parseCsv, guessColumnMapping, buildRosterImport, rosterToCsv };
@@ -0,0 +1,264 @@
+/**
+ * Running Record Module - Miscue coding in running-record notation
+ * Turns analysis.aligned (plus insertions, hesitations, repeats and repeated phrases) into one coded
+ * entry per word with suggested MSV cues. The teacher can override any code or cue;
+ * the entries are saved with the assessment as-is.
+ */
+
+// Notation for each code. Appeals and tolds can't be heard in a transcript,
+// so they only ever come from a teacher override.
+export const RUNNING_RECORD_CODES = {
+    accurate: { label: 'Accurate', mark: '✓', isError: false },
+    substitution: { label: 'Substitution', mark: '', isError: true },
+    'self-correction': { label: 'Self-correction', mark: 'SC', isError: false },
+    omission: { label: 'Omission', mark: '—', isError: true },
+    insertion: { label: 'Insertion', mark: '', isError: true },
+    appeal: { label: 'Appeal (A)', mark: 'A', isError: false },
+    told: { label: 'Told (T)', mark: 'T', isError: true }
+};
+
+// MSV is analyzed for miscues where the reader produced something
+export const MSV_CODES = ['substitution', 'self-correction', 'insertion'];
+
+const FUNCTION_WORD_CLASSES = [
+    ['a', 'an', 'the', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'some', 'any', 'every', 'each'],
+    ['i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'us', 'them'],
+    ['in', 'on', 'at', 'to', 'from', 'with', 'by', 'for', 'of', 'into', 'onto', 'under', 'over', 'up', 'down', 'off', 'out'],
+    ['is', 'are', 'was', 'were', 'am', 'be', 'been', 'has', 'have', 'had', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'should', 'may', 'might', 'must'],
+    ['and', 'but', 'or', 'so', 'because', 'if', 'when', 'then']
+];
+
+/**
+ * Lowercase letters/apostrophes only
+ * @param {string} word - Raw word
+ * @returns {string} Normalized word
+ */
+function normalize(word) {
+    return (word || '').toLowerCase().replace(/[^a-z']/g, '');
+}
+
+/**
+ * Parse a "1.234s" timestamp
+ * @param {string} time - Timestamp string
+ * @returns {number|null} Seconds
+ */
+function parseTime(time) {
+    if (!time) return null;
+    const seconds = parseFloat(String(time).replace('s', ''));
+    return isNaN(seconds) ? null : seconds;
+}
+
+/**
+ * Edit distance between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Inflectional ending used as a rough stand-in for part of speech
+ * @param {string} word - Normalized word
+ * @returns {string} 'ing', 'ed', 's', 'ly' or ''
+ */
+function getInflection(word) {
+    return ['ing', 'ed', 'ly', 's'].find(suffix => word.length > suffix.length + 2 && word.endsWith(suffix)) || '';
+}
+
+/**
+ * Suggest which cue sources a miscue used. These are starting points for the
+ * teacher, not judgments: V from letter overlap, S from word class/inflection,
+ * and M is always left for the teacher because meaning needs the sentence.
+ * @param {string} expected - Text word
+ * @param {string} spoken - What the reader said
+ * @returns {Object} { m, s, v }
+ */
+export function suggestMsv(expected, spoken) {
+    const exp = normalize(expected);
+    const spk = normalize(spoken);
+    if (!exp || !spk) return { m: false, s: false, v: false };
+
+    const visual = exp[0] === spk[0] ||
+        exp.slice(-2) === spk.slice(-2) ||
+        editDistance(exp, spk) <= Math.floor(Math.max(exp.length, spk.length) / 2);
+
+    const expClass = FUNCTION_WORD_CLASSES.findIndex(group => group.includes(exp));
+    const spkClass = FUNCTION_WORD_CLASSES.findIndex(group => group.includes(spk));
+    const structure = expClass !== -1 || spkClass !== -1
+        ? expClass === spkClass
+        : getInflection(exp) === getInflection(spk);
+
+    return { m: false, s: structure, v: visual };
+}
+
+/**
+ * Find the aligned entry a spoken-word timestamp belongs to
+ * @param {Object[]} aligned - analysis.aligned
+ * @param {number} time - Seconds
+ * @param {boolean} atOrAfter - Pick the first word starting at/after the time (pauses)
+ *                              instead of the last word starting at/before it (repeats)
+ * @returns {number} Position in aligned, or -1
+ */
+function findAlignedPosition(aligned, time, atOrAfter) {
+    let found = -1;
+    for (let i = 0; i < aligned.length; i++) {
+        const start = parseTime(aligned[i].startTime);
+        if (start === null) continue;
+        if (atOrAfter && start >= time) return i;
+        if (!atOrAfter && start <= time) found = i;
+    }
+    return found;
+}
+
+/**
+ * Build running-record entries from an analysis
+ * @param {Object} analysis - analyzePronunciation() result
+ * @param {Object[]} spokenWordInfo - Raw transcript words with timings
+ * @returns {Object[]} Entries: { key, index, beforeIndex, expected, spoken, attempts, code, msv, repeated, repeatedPhrase, paused, overridden }
+ *   repeatedPhrase is 'start', 'middle' or 'end' across a re-read phrase ('single' if only one word of it was matched), else null
+ */
+export function buildRunningRecord(analysis, spokenWordInfo = []) {
+    const aligned = analysis?.aligned || [];
+    const errors = analysis?.errors || {};
+
+    // Repeats attach to the word being repeated, pauses to the word that follows
+    const repeatedPositions = new Set();
+    (errors.repeatedWords || []).forEach(r => {
+        // Newer analyses record the repeated text word; older ones are placed by timing
+        if (r.index !== null && r.index !== undefined) {
+            const position = aligned.findIndex(item => item.index === r.index);
+            if (position >= 0) repeatedPositions.add(position);
+            return;
+        }
+        const time = parseTime(spokenWordInfo[r.spokenIndex]?.startTime);
+        if (time !== null) repeatedPositions.add(findAlignedPosition(aligned, time, false));
+    });
+    // Repeated phrases span the text words their first reading matched
+    const phrasePositions = new Map();
+    (errors.repeatedPhrases || []).forEach(rp => {
+        const indices = rp.expectedIndices || [];
+        indices.forEach((index, k) => {
+            const position = indices.length === 1 ? 'single' : k === 0 ? 'start' : k === indices.length - 1 ? 'end' : 'middle';
+            phrasePositions.set(index, position);
+        });
+    });
+    const pausedPositions = new Set();
+    (Array.isArray(errors.hesitations) ? errors.hesitations : []).forEach(h => {
+        const time = parseTime(spokenWordInfo[h.spokenIndex]?.startTime);
+        if (time !== null) pausedPositions.add(findAlignedPosition(aligned, time, true));
+    });
+
+    const insertionsByIndex = new Map();
+    (errors.insertions || []).forEach(ins => {
+        if (!insertionsByIndex.has(ins.beforeIndex)) insertionsByIndex.set(ins.beforeIndex, []);
+        insertionsByIndex.get(ins.beforeIndex).push(ins);
+    });
+    const insertionEntries = (beforeIndex) => (insertionsByIndex.get(beforeIndex) || []).map((ins, n) => ({
+        key: `i${beforeIndex}-${n}`,
+        index: null,
+        beforeIndex,
+        expected: null,
+        spoken: ins.word,
+        attempts: [],
+        code: 'insertion',
+        msv: { m: false, s: false, v: false },
+        repeated: false,
+        repeatedPhrase: null,
+        paused: false,
+        overridden: false
+    }));
+
+    const entries = [];
+    aligned.forEach((item, position) => {
+        entries.push(...insertionEntries(item.index));
+
+        let code = 'accurate';
+        let msv = { m: false, s: false, v: false };
+        if (item.status === 'skipped') {
+            code = 'omission';
+        } else if (item.status === 'misread' || item.status === 'substituted') {
+            code = 'substitution';
+            msv = suggestMsv(item.expected, item.spoken);
+        } else if (item.selfCorrected) {
+            code = 'self-correction';
+            msv = suggestMsv(item.expected, item.attempts?.[0]);
+        }
+
+        entries.push({
+            key: `w${item.index}`,
+            index: item.index,
+            beforeIndex: null,
+            expected: item.expected,
+            spoken: item.spoken || null,
+            attempts: item.attempts || [],
+            code,
+            msv,
+            repeated: repeatedPositions.has(position),
+            repeatedPhrase: phrasePositions.get(item.index) || null,
+            paused: pausedPositions.has(position),
+            overridden: false
+        });
+    });
+    entries.push(...insertionEntries(aligned.length > 0 ? aligned[aligned.length - 1].index + 1 : 0));
+
+    return entries;
+}
+
+/**
+ * Change one entry's code. MSV resets to the suggestion for the new code.
+ * @param {Object} entry - Running-record entry (modified in place)
+ * @param {string} code - Key of RUNNING_RECORD_CODES
+ */
+export function setRunningRecordCode(entry, code) {
+    if (!RUNNING_RECORD_CODES[code]) return;
+    entry.code = code;
+    entry.overridden = true;
+    if (!MSV_CODES.includes(code)) {
+        entry.msv = { m: false, s: false, v: false };
+    } else if (!entry.msv.m && !entry.msv.s && !entry.msv.v) {
+        entry.msv = suggestMsv(entry.expected, code === 'self-correction' ? entry.attempts[0] || entry.spoken : entry.spoken);
+    }
+}
+
+/**
+ * Running-record totals: accuracy, error rate (1:N) and SC rate (1:N)
+ * @param {Object[]} entries - Running-record entries
+ * @returns {Object} { runningWords, errors, selfCorrections, accuracy, errorRate, scRate, msv }
+ */
+export function summarizeRunningRecord(entries) {
+    const runningWords = entries.filter(e => e.index !== null).length;
+    const errors = entries.filter(e => RUNNING_RECORD_CODES[e.code]?.isError).length;
+    const selfCorrections = entries.filter(e => e.code === 'self-correction').length;
+
+    // MSV tallies are split the way running-record forms are: cues used on errors vs on SCs
+    const msv = { errors: { m: 0, s: 0, v: 0 }, selfCorrections: { m: 0, s: 0, v: 0 } };
+    entries.forEach(e => {
+        if (!MSV_CODES.includes(e.code)) return;
+        const bucket = e.code === 'self-correction' ? msv.selfCorrections : msv.errors;
+        ['m', 's', 'v'].forEach(cue => { if (e.msv?.[cue]) bucket[cue]++; });
+    });
+
+    return {
+        runningWords,
+        errors,
+        selfCorrections,
+        accuracy: runningWords > 0 ? Math.max(0, Math.round(((runningWords - errors) / runningWords) * 1000) / 10) : 0,
+        errorRate: errors > 0 ? `1:${Math.round(runningWords / errors)}` : '—',
+        scRate: selfCorrections > 0 ? `1:${Math.round((errors + selfCorrections) / selfCorrections)}` : '—',
+        msv
+    };
+}
+
+export default { RUNNING_RECORD_CODES, MSV_CODES, suggestMsv, buildRunningRecord, setRunningRecordCode, summarizeRunningRecord };
@@ -0,0 +1,262 @@
+/**
+ * Scoring Rubric Module - The school's rules for turning an analysis into scores
+ * Controls the accuracy bands, the accuracy/rate/fluency point bands and weights
+ * behind the prosody score, WPM target ranges per grade, and which error types
+ * count against accuracy. Each saved rubric gets a new version number, which is
+ * stored on every assessment so old scores can be reproduced.
+ */
+
+// Matches the scoring used before rubrics were configurable
+export const DEFAULT_RUBRIC = {
+    version: 0,
+    // Accuracy classification (badges, class bands): % at or above each level
+    accuracyThresholds: { excellent: 95, good: 85, fair: 75 },
+    // Points for accuracy: first band whose min (%) the accuracy reaches
+    accuracyBands: [
+        { min: 98, points: 4 },
+        { min: 95, points: 3.5 },
+        { min: 90, points: 3 },
+        { min: 85, points: 2.5 },
+        { min: 75, points: 2 },
+        { min: 0, points: 1.5 }
+    ],
+    // Points for rate: first band whose margin (WPM outside the grade's target range) covers the WPM
+    rateBands: [
+        { margin: 0, points: 4 },
+        { margin: 20, points: 3.5 },
+        { margin: 40, points: 3 }
+    ],
+    rateOtherwisePoints: 2,
+    // Points for fluency: first band whose max error rate (% of words) isn't exceeded
+    fluencyBands: [
+        { maxErrorRate: 2, points: 4 },
+        { maxErrorRate: 5, points: 3.5 },
+        { maxErrorRate: 10, points: 3 },
+        { maxErrorRate: 20, points: 2.5 }
+    ],
+    fluencyOtherwisePoints: 2,
+    weights: { accuracy: 0.4, rate: 0.3, fluency: 0.3 },
+    // Prosody score labels: first whose min the score reaches
+    scoreLabels: [
+        { min: 3.8, label: 'Excellent' },
+        { min: 3.0, label: 'Proficient' },
+        { min: 2.0, label: 'Developing' }
+    ],
+    scoreOtherwiseLabel: 'Needs Support',
+    // Target WPM; byGrade keys are structured grade levels (0 = K)
+    wpmTargets: { default: { min: 100, max: 180 }, byGrade: {} },
+    // Error types that count against accuracy
+    countedErrors: { skipped: true, misread: true, substituted: true, insertions: false }
+};
+
+// Error types a rubric can count, with their labels for the editor
+export const COUNTABLE_ERRORS = {
+    skipped: 'Skipped words',
+    misread: 'Misread words (non-words)',
+    substituted: 'Substituted words (real words)',
+    insertions: 'Inserted words'
+};
+
+/**
+ * Fill in anything missing from a stored rubric with the defaults
+ * @param {Object} [rubric] - Stored rubric (possibly partial or from an older version)
+ * @returns {Object} Complete rubric
+ */
+export function normalizeRubric(rubric) {
+    const source = rubric || {};
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    return {
+        ...copy(DEFAULT_RUBRIC),
+        ...copy(source),
+        accuracyThresholds: { ...DEFAULT_RUBRIC.accuracyThresholds, ...source.accuracyThresholds },
+        weights: { ...DEFAULT_RUBRIC.weights, ...source.weights },
+        wpmTargets: {
+            default: { ...DEFAULT_RUBRIC.wpmTargets.default, ...source.wpmTargets?.default },
+            byGrade: { ...source.wpmTargets?.byGrade }
+        },
+        countedErrors: { ...DEFAULT_RUBRIC.countedErrors, ...source.countedErrors }
+    };
+}
+
+/**
+ * Check a rubric before it's saved
+ * @param {Object} rubric - Complete rubric
+ * @returns {string[]} Problems; empty when the rubric is usable
+ */
+export function validateRubric(rubric) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+    const { excellent, good, fair } = rubric.accuracyThresholds;
+    if (![excellent, good, fair].every(v => isNumber(v) && v >= 0 && v <= 100)) {
+        errors.push('Accuracy levels must be between 0 and 100.');
+    } else if (!(excellent > good && good > fair)) {
+        errors.push('Accuracy levels must go down from Excellent to Good to Fair.');
+    }
+
+    const checkBands = (bands, key, label) => {
+        if (bands.length === 0) errors.push(`${label} needs at least one band.`);
+        if (bands.some(b => !isNumber(b[key]) || !isNumber(b.points) || b.points < 0 || b.points > 4)) {
+            errors.push(`${label}: every band needs a number and points from 0 to 4.`);
+        }
+    };
+    checkBands(rubric.accuracyBands, 'min', 'Accuracy points');
+    checkBands(rubric.rateBands, 'margin', 'Rate points');
+    checkBands(rubric.fluencyBands, 'maxErrorRate', 'Fluency points');
+    if (![rubric.rateOtherwisePoints, rubric.fluencyOtherwisePoints].every(p => isNumber(p) && p >= 0 && p <= 4)) {
+        errors.push('"Otherwise" points must be from 0 to 4.');
+    }
+
+    const weights = Object.values(rubric.weights);
+    if (!weights.every(w => isNumber(w) && w >= 0)) {
+        errors.push('Weights must be zero or more.');
+    } else if (Math.abs(weights.reduce((a, b) => a + b, 0) - 1) > 0.001) {
+        errors.push('Weights must add up to 1 (e.g., 0.4, 0.3, 0.3).');
+    }
+
+    if (rubric.scoreLabels.some(l => !isNumber(l.min) || !l.label)) {
+        errors.push('Every score label needs a minimum score and a name.');
+    }
+
+    const targets = [['All grades', rubric.wpmTargets.default], ...Object.entries(rubric.wpmTargets.byGrade)];
+    targets.forEach(([grade, range]) => {
+        if (!isNumber(range.min) || !isNumber(range.max) || range.min < 0 || range.min > range.max) {
+            errors.push(`WPM target for ${grade === 'All grades' ? grade : `grade ${grade === '0' ? 'K' : grade}`} must be a valid range.`);
+        }
+    });
+
+    if (!Object.values(rubric.countedErrors).some(Boolean)) {
+        errors.push('At least one error type must count against accuracy.');
+    }
+
+    return errors;
+}
+
+/**
+ * Parse band lines from the editor ("98 = 4", one per line)
+ * @param {string} text - Textarea contents
+ * @returns {Array[]|null} [[number, value]] in the order entered, or null if a line doesn't parse
+ */
+export function parseBandText(text) {
+    const rows = [];
+    for (const line of (text || '').split('\n')) {
+        if (!line.trim()) continue;
+        const match = line.match(/^\s*(-?\d+(?:\.\d+)?)\s*=\s*(.+?)\s*$/);
+        if (!match) return null;
+        rows.push([parseFloat(match[1]), match[2]]);
+    }
+    return rows;
+}
+
+/**
+ * Format bands as editor lines
+ * @param {Object[]} bands - Rubric bands
+ * @param {string} key - Threshold property
+ * @param {string} valueKey - Value property
+ * @returns {string} "threshold = value" lines
+ */
+export function formatBandText(bands, key, valueKey = 'points') {
+    return bands.map(b => `${b[key]} = ${b[valueKey]}`).join('\n');
+}
+
+/**
+ * WPM target range for a grade
+ * @param {Object} rubric - Complete rubric
+ * @param {number|null} gradeLevel - Structured grade (see parseGradeLevel)
+ * @returns {Object} { min, max }
+ */
+export function getWpmTarget(rubric, gradeLevel) {
+    return (gradeLevel !== null && gradeLevel !== undefined && rubric.wpmTargets.byGrade[gradeLevel]) || rubric.wpmTargets.default;
+}
+
+/**
+ * Number of errors that count against accuracy under the rubric
+ * @param {Object} errors - analysis.errors
+ * @param {Object} rubric - Complete rubric
+ * @returns {number} Counted errors
+ */
+export function countAccuracyErrors(errors, rubric) {
+    const counts = {
+        skipped: errors?.skippedWords?.length || 0,
+        misread: errors?.misreadWords?.length || 0,
+        substituted: errors?.substitutedWords?.length || 0,
+        insertions: errors?.insertions?.length || 0
+    };
+    return Object.entries(counts).reduce((sum, [type, count]) => sum + (rubric.countedErrors[type] ? count : 0), 0);
+}
+
+/**
+ * Accuracy percentage under the rubric
+ * @param {Object} errors - analysis.errors
+ * @param {number} totalWords - Words in the passage
+ * @param {Object} rubric - Complete rubric
+ * @returns {number} 0-100
+ */
+export function calculateAccuracy(errors, totalWords, rubric) {
+    if (!totalWords) return 0;
+    return Math.max(0, ((totalWords - countAccuracyErrors(errors, rubric)) / totalWords) * 100);
+}
+
+/**
+ * Prosody score and its parts
+ * @param {Object} reading - { accuracy, wpm, errorRate (0-1), gradeLevel }
+ * @param {Object} rubric - Complete rubric
+ * @returns {Object} { accuracyPoints, ratePoints, fluencyPoints, prosodyScore, prosodyGrade }
+ */
+export function scoreReading({ accuracy, wpm, errorRate, gradeLevel = null }, rubric) {
+    const byMin = [...rubric.accuracyBands].sort((a, b) => b.min - a.min);
+    const accuracyPoints = byMin.find(b => accuracy >= b.min)?.points ?? byMin[byMin.length - 1].points;
+
+    const target = getWpmTarget(rubric, gradeLevel);
+    const ratePoints = [...rubric.rateBands].sort((a, b) => a.margin - b.margin).find(b => wpm >= target.min - b.margin && wpm <= target.max + b.margin)?.points
+        ?? rubric.rateOtherwisePoints;
+
+    const errorPercent = errorRate * 100;
+    const fluencyPoints = [...rubric.fluencyBands].sort((a, b) => a.maxErrorRate - b.maxErrorRate).find(b => errorPercent <= b.maxErrorRate)?.points
+        ?? rubric.fluencyOtherwisePoints;
+
+    const { weights } = rubric;
+    const prosodyScore = Math.round((accuracyPoints * weights.accuracy + ratePoints * weights.rate + fluencyPoints * weights.fluency) * 10) / 10;
+
+    return { accuracyPoints, ratePoints, fluencyPoints, prosodyScore, prosodyGrade: getScoreLabel(prosodyScore, rubric) };
+}
+
+/**
+ * Accuracy level under the rubric (stored on each assessment at save time, so editing
+ * the rubric never reclassifies past assessments)
+ * @param {number} accuracy - Accuracy percentage (0-100)
+ * @param {Object} rubric - Complete rubric
+ * @returns {string} 'excellent', 'good', 'fair', or 'poor'
+ */
+export function classifyAccuracy(accuracy, rubric) {
+    const { excellent, good, fair } = rubric.accuracyThresholds;
+    if (accuracy >= excellent) return 'excellent';
+    if (accuracy >= good) return 'good';
+    if (accuracy >= fair) return 'fair';
+    return 'poor';
+}
+
+/**
+ * Label for a prosody score
+ * @param {number} score - Prosody score
+ * @param {Object} rubric - Complete rubric
+ * @returns {string} e.g. 'Proficient'
+ */
+export function getScoreLabel(score, rubric) {
+    return [...rubric.scoreLabels].sort((a, b) => b.min - a.min).find(l => score >= l.min)?.label || rubric.scoreOtherwiseLabel;
+}
+
+export default {
+    DEFAULT_RUBRIC,
+    COUNTABLE_ERRORS,
+    normalizeRubric,
+    validateRubric,
+    parseBandText,
+    formatBandText,
+    getWpmTarget,
+    countAccuracyErrors,
+    calculateAccuracy,
+    scoreReading,
+    classifyAccuracy,
+    getScoreLabel
+};
@@ -0,0 +1,430 @@
+/**
+ * Speech Providers Module - Pluggable speech-to-text backends
+ * Every provider exposes transcribe(blob, metadata) and resolves to an array of
+ * word info objects: { word, startTime: '1.234s', endTime: '1.567s', confidence }
+ * Times are null (never undefined) when the backend didn't return them, since
+ * Firestore rejects undefined fields and these end up in saved assessments.
+ */
+
+import { debugLog, AUDIO_CONSTANTS } from '../utils.js';
+import { trackApiUsage } from '../firebase-api-key-manager.js';
+
+/**
+ * Read a blob as base64 (without the data: URL prefix)
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Base64-encoded contents
+ */
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(new Error('Error reading audio'));
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Parse a "1.234s" time offset into seconds
+ * @param {string|number|undefined} time - Time offset
+ * @returns {number|null} Seconds, or null when missing
+ */
+function parseTimeOffset(time) {
+    if (time === undefined || time === null) return null;
+    return parseFloat(String(time).replace('s', ''));
+}
+
+/**
+ * Format seconds the way Google returns time offsets
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted offset, e.g. "12.340s"
+ */
+function formatTimeOffset(seconds) {
+    return `${seconds.toFixed(3)}s`;
+}
+
+/**
+ * Lowercase and strip punctuation so seam duplicates compare equal
+ * @param {string} word - Word to normalize
+ * @returns {string} Normalized word
+ */
+function normalizeToken(word) {
+    return (word || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ============ GOOGLE CLOUD SPEECH ============
+
+/**
+ * Single speech:recognize call
+ * @param {string} apiKey - Google Cloud API key
+ * @param {string} base64Audio - Base64 audio content
+ * @param {Object} speechConfig - RecognitionConfig
+ * @returns {Promise<Array>} Word info objects
+ */
+async function recognizeSpeech(apiKey, base64Audio, speechConfig) {
+    const response = await fetch(`https://speech.googleapis.com/v1/speech:recognize?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            config: speechConfig,
+            audio: { content: base64Audio }
+        })
+    });
+
+    const data = await response.json();
+    await trackApiUsage('speech');
+
+    if (data.error) {
+        throw new Error(data.error.message);
+    }
+
+    const wordInfo = [];
+    if (data.results) {
+        data.results.forEach(result => {
+            if (result.alternatives && result.alternatives[0]) {
+                const alt = result.alternatives[0];
+                if (alt.words) {
+                    alt.words.forEach(w => {
+                        wordInfo.push({
+                            word: w.word,
+                            startTime: w.startTime ?? null,
+                            endTime: w.endTime ?? null,
+                            confidence: w.confidence || alt.confidence || 0.9
+                        });
+                    });
+                } else if (alt.transcript) {
+                    const transcriptWords = alt.transcript.split(/\s+/);
+                    transcriptWords.forEach(w => {
+                        wordInfo.push({ word: w, startTime: null, endTime: null, confidence: alt.confidence || 0.9 });
+                    });
+                }
+            }
+        });
+    }
+
+    return wordInfo;
+}
+
+/**
+ * Split a recording into overlapping segments that fit the sync limit
+ * @param {number} duration - Recording length in seconds
+ * @returns {Array<{start: number, end: number}>} Segment boundaries
+ */
+function planAudioSegments(duration) {
+    const segmentLength = AUDIO_CONSTANTS.CHUNK_DURATION_SECONDS;
+    const step = segmentLength - AUDIO_CONSTANTS.CHUNK_OVERLAP_SECONDS;
+    const segments = [];
+
+    for (let start = 0; start < duration; start += step) {
+        const end = Math.min(start + segmentLength, duration);
+        segments.push({ start, end });
+        if (end >= duration) break;
+    }
+
+    return segments;
+}
+
+/**
+ * Render part of a decoded recording as 16kHz mono 16-bit PCM WAV
+ * @param {AudioBuffer} audioBuffer - Decoded recording
+ * @param {number} start - Segment start in seconds
+ * @param {number} end - Segment end in seconds
+ * @returns {Promise<Blob>} WAV blob
+ */
+async function encodeSegmentAsWav(audioBuffer, start, end) {
+    const sampleRate = AUDIO_CONSTANTS.CHUNK_SAMPLE_RATE;
+    const frameCount = Math.ceil((end - start) * sampleRate);
+    const offlineContext = new OfflineAudioContext(1, frameCount, sampleRate);
+
+    // Resample + downmix to mono in one pass
+    const source = offlineContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(offlineContext.destination);
+    source.start(0, start, end - start);
+    const rendered = await offlineContext.startRendering();
+    const samples = rendered.getChannelData(0);
+
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    let offset = 44;
+    for (let i = 0; i < samples.length; i++, offset += 2) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Shift a word's time offsets by the start of the segment it came from
+ * @param {Object} wordInfo - Word info from a segment
+ * @param {number} offsetSeconds - Segment start in seconds
+ * @returns {Object} Word info with absolute times
+ */
+function offsetWordTiming(wordInfo, offsetSeconds) {
+    const start = parseTimeOffset(wordInfo.startTime);
+    const end = parseTimeOffset(wordInfo.endTime);
+    return {
+        ...wordInfo,
+        startTime: start === null ? null : formatTimeOffset(start + offsetSeconds),
+        endTime: end === null ? null : formatTimeOffset(end + offsetSeconds)
+    };
+}
+
+/**
+ * Merge per-segment transcripts into one word stream
+ * Each overlap is cut at its midpoint: the earlier segment owns words starting
+ * before the cut, the later segment the rest. A word straddling the cut can
+ * still show up in both, so identical neighbours abutting at a cut are collapsed.
+ * @param {Array} segmentResults - Segments with { start, end, words }
+ * @returns {Array} Stitched word info objects
+ */
+function stitchSegmentTranscripts(segmentResults) {
+    const stitched = [];
+    const cuts = [];
+
+    segmentResults.forEach((segment, index) => {
+        const prev = segmentResults[index - 1];
+        const next = segmentResults[index + 1];
+        const cutStart = prev ? (segment.start + prev.end) / 2 : -Infinity;
+        const cutEnd = next ? (next.start + segment.end) / 2 : Infinity;
+        if (next) cuts.push(cutEnd);
+
+        segment.words.forEach(w => {
+            const start = parseTimeOffset(w.startTime);
+            // No timing (transcript-only fallback) - nothing to cut on, keep everything
+            if (start === null || (start >= cutStart && start < cutEnd)) {
+                stitched.push(w);
+            }
+        });
+    });
+
+    const nearCut = (time) => cuts.some(cut => Math.abs(time - cut) <= AUDIO_CONSTANTS.CHUNK_OVERLAP_SECONDS / 2);
+
+    return stitched.filter((w, i) => {
+        if (i === 0) return true;
+        const prev = stitched[i - 1];
+        if (normalizeToken(prev.word) !== normalizeToken(w.word)) return true;
+        const prevEnd = parseTimeOffset(prev.endTime);
+        const start = parseTimeOffset(w.startTime);
+        if (prevEnd === null || start === null || !nearCut(start)) return true;
+        return start - prevEnd > AUDIO_CONSTANTS.SEAM_DUPLICATE_TOLERANCE_SECONDS;
+    });
+}
+
+/**
+ * Transcribe a recording longer than the sync limit in overlapping chunks
+ * @param {string} apiKey - Google Cloud API key
+ * @param {Blob} blob - Recorded audio
+ * @param {Function} onProgress - Status text callback
+ * @returns {Promise<Array>} Word info objects with absolute times
+ */
+async function transcribeInChunks(apiKey, blob, onProgress) {
+    const arrayBuffer = await blob.arrayBuffer();
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    let audioBuffer;
+    try {
+        audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    } finally {
+        audioContext.close();
+    }
+
+    const segments = planAudioSegments(audioBuffer.duration);
+    debugLog('Chunked transcription -', segments.length, 'segments for', audioBuffer.duration.toFixed(1), 's of audio');
+
+    const speechConfig = {
+        encoding: 'LINEAR16',
+        sampleRateHertz: AUDIO_CONSTANTS.CHUNK_SAMPLE_RATE,
+        audioChannelCount: 1,
+        languageCode: 'en-US',
+        enableWordTimeOffsets: true,
+        enableAutomaticPunctuation: true,
+        enableWordConfidence: true
+    };
+
+    // Sequential on purpose - keeps us well inside per-minute quota and preserves order
+    const segmentResults = [];
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        onProgress(`Transcribing part ${i + 1} of ${segments.length}...`);
+        const wavBlob = await encodeSegmentAsWav(audioBuffer, segment.start, segment.end);
+        const base64Audio = await blobToBase64(wavBlob);
+        const words = await recognizeSpeech(apiKey, base64Audio, speechConfig);
+        segmentResults.push({
+            ...segment,
+            words: words.map(w => offsetWordTiming(w, segment.start))
+        });
+    }
+
+    return stitchSegmentTranscripts(segmentResults);
+}
+
+/**
+ * Google Cloud Speech-to-Text provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Google Cloud API key
+ * @param {Function} [options.onProgress] - Status text callback
+ * @returns {Object} Speech provider
+ */
+export function createGoogleSpeechProvider({ apiKey, onProgress = () => {} }) {
+    return {
+        id: 'google',
+        label: 'Google Cloud Speech-to-Text',
+
+        isConfigured() {
+            return !!apiKey;
+        },
+
+        async transcribe(blob, metadata = {}) {
+            // Google's synchronous endpoint caps out at ~60s - longer passages go through the chunker
+            if (metadata.duration > AUDIO_CONSTANTS.SYNC_RECOGNITION_LIMIT_SECONDS) {
+                return transcribeInChunks(apiKey, blob, onProgress);
+            }
+
+            const base64Audio = await blobToBase64(blob);
+            const mimeType = metadata.mimeType || '';
+
+            // Determine encoding based on actual recorded format
+            let encoding = 'ENCODING_UNSPECIFIED';
+            let sampleRate = metadata.sampleRate || 48000;
+
+            if (mimeType.includes('opus')) {
+                encoding = 'WEBM_OPUS';
+            } else if (mimeType.includes('mp4') || mimeType.includes('aac')) {
+                encoding = 'ENCODING_UNSPECIFIED'; // Let API auto-detect for AAC
+                sampleRate = metadata.sampleRate || 44100;
+            } else if (mimeType.includes('ogg')) {
+                encoding = 'OGG_OPUS';
+            }
+
+            debugLog('Speech API config - encoding:', encoding, 'sampleRate:', sampleRate, 'channels:', metadata.channelCount);
+            debugLog('Audio blob size:', blob.size, 'bytes, mimeType:', mimeType);
+
+            // audioChannelCount is accurate because the app decodes the audio after recording
+            const speechConfig = {
+                encoding: encoding,
+                sampleRateHertz: sampleRate,
+                languageCode: 'en-US',
+                enableWordTimeOffsets: true,
+                enableAutomaticPunctuation: true,
+                enableWordConfidence: true,
+                audioChannelCount: metadata.channelCount || 1
+            };
+
+            return recognizeSpeech(apiKey, base64Audio, speechConfig);
+        }
+    };
+}
+
+// ============ SELF-HOSTED WHISPER ============
+
+/**
+ * Convert a Whisper-style verbose_json response into word info objects
+ * Accepts top-level `words` (OpenAI-compatible servers) or per-segment `words`
+ * (faster-whisper / whisper.cpp style)
+ * @param {Object} data - Response JSON
+ * @returns {Array} Word info objects
+ */
+function parseWhisperResponse(data) {
+    const rawWords = Array.isArray(data.words) && data.words.length > 0
+        ? data.words
+        : (data.segments || []).flatMap(segment => segment.words || []);
+
+    if (rawWords.length === 0 && data.text) {
+        // Server ignored word timestamps - still usable for matching, just untimed
+        return data.text.trim().split(/\s+/).filter(Boolean).map(word => ({ word, startTime: null, endTime: null, confidence: 0.9 }));
+    }
+
+    return rawWords
+        .map(w => ({
+            word: (w.word ?? w.text ?? '').trim(),
+            startTime: typeof w.start === 'number' ? formatTimeOffset(w.start) : null,
+            endTime: typeof w.end === 'number' ? formatTimeOffset(w.end) : null,
+            confidence: w.probability ?? w.confidence ?? 0.9
+        }))
+        .filter(w => w.word);
+}
+
+/**
+ * Self-hosted Whisper-compatible endpoint provider
+ * Posts multipart form data the way OpenAI's /v1/audio/transcriptions expects,
+ * which most self-hosted Whisper servers also accept
+ * @param {Object} options - Provider options
+ * @param {string} options.endpoint - Full transcription URL
+ * @param {string} [options.authToken] - Optional bearer token
+ * @param {string} [options.model] - Model name to request
+ * @returns {Object} Speech provider
+ */
+export function createWhisperSpeechProvider({ endpoint, authToken = '', model = 'whisper-1' }) {
+    return {
+        id: 'whisper',
+        label: 'Self-hosted Whisper endpoint',
+
+        isConfigured() {
+            return !!endpoint;
+        },
+
+        async transcribe(blob, metadata = {}) {
+            const extension = (metadata.mimeType || '').includes('mp4') ? 'm4a' : (metadata.mimeType || '').includes('ogg') ? 'ogg' : 'webm';
+            const formData = new FormData();
+            formData.append('file', blob, `recording.${extension}`);
+            formData.append('model', model);
+            formData.append('language', 'en');
+            formData.append('response_format', 'verbose_json');
+            formData.append('timestamp_granularities[]', 'word');
+
+            debugLog('Whisper request - endpoint:', endpoint, 'size:', blob.size, 'bytes');
+
+            const headers = authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+            const response = await fetch(endpoint, { method: 'POST', headers, body: formData });
+
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                throw new Error(`Transcription server returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+            }
+
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error.message || data.error);
+            }
+
+            return parseWhisperResponse(data);
+        }
+    };
+}
+
+// ============ REGISTRY ============
+
+export const SPEECH_PROVIDERS = {
+    google: { label: 'Google Cloud Speech-to-Text', create: createGoogleSpeechProvider },
+    whisper: { label: 'Self-hosted Whisper endpoint', create: createWhisperSpeechProvider }
+};
+
+/**
+ * Build the provider selected in settings
+ * @param {Object} config - { provider, apiKey, endpoint, authToken, onProgress }
+ * @returns {Object} Speech provider (falls back to Google for unknown ids)
+ */
+export function createSpeechProvider(config) {
+    const entry = SPEECH_PROVIDERS[config.provider] || SPEECH_PROVIDERS.google;
+    return entry.create(config);
+}
+
+export default { createSpeechProvider, createGoogleSpeechProvider, createWhisperSpeechProvider, SPEECH_PROVIDERS };
@@ -427,6 +427,8 @@ function getWordColor(layout, currentTime) {
             color = '#fdba74';
         } else if (layout.status === 'skipped') {
             color = '#fca5a5';
+        } else if (layout.status === 'substituted') {
+            color = '#fca5a5';
         } else if (layout.status === 'hesitation') {
             color = '#c4b5fd';
         }
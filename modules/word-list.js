@@ -0,0 +1,128 @@
+/**
+ * Word List Module - Bundled high-frequency English vocabulary
+ * Used to tell real-word substitutions ("house" → "horse") apart from
+ * non-word mispronunciations ("house" → "hoose") without a network lookup.
+ * The sight-word list below is backed by the pronouncing dictionary's ~16,000
+ * common words, so ordinary passage vocabulary (castle, wander) counts as real.
+ */
+
+import { lookupPronunciation } from './pronouncing-dictionary.js';
+
+// Dolch sight words, Fry 1000 core, and common K-5 passage vocabulary
+const WORD_LIST_SOURCE = `
+a about above across act add afraid after afternoon again against age ago air all almost alone along already also always am
+among an and angry animal another answer ant any anyone anything apple are area arm around arrive art as ask at ate aunt
+away baby back bad bag ball band bank bar barn base basket bat bath be bear beat beautiful became because become bed bee
+been before began begin behind being believe bell below belt bench beside best better between big bike bird birthday bit
+bite black blank block blood blow blue board boat body bone book born both bottle bottom bought bowl box boy brain branch
+brave bread break breakfast bridge bright bring broke brother brought brown brush build built burn bus bush busy but butter
+buy by cake call came camp can candy cap captain car card care careful carry case cat catch caught cause cell cent center
+chair chance change charge chart chase check cheese chick chicken chief child children choose church circle city class
+clean clear climb clock close cloth clothes cloud coast coat cold collect color come common company compare complete
+contain continue cook cool copy corn corner correct cost could count country course cover cow crash cried crop cross crowd
+cry cup cut dad dance danger dark day dead deal dear decide deep deer desert design desk did die different dig dinner
+direct dirt discover dish do doctor does dog doll dollar done door double down draw dream dress drink drive drop dry duck
+during dust each ear early earth east easy eat edge egg eight either else end enemy energy enough enter equal even evening
+ever every everyone everything exact example except excite exercise expect experience explain eye face fact fair fall
+family famous far farm fast fat father favorite fear feed feel feet fell felt few field fight figure fill final find fine
+finger finish fire first fish fit five fix flag flat floor flow flower fly follow food foot for force forest forget form
+forward found four fox free fresh friend frog from front fruit full fun funny game garden gas gate gave general gentle get
+giant gift girl give glad glass go goat goes gold gone good got govern grade grand grass gray great green grew ground group
+grow guess gun had hair half hall hand happen happy hard has hat have he head hear heard heart heat heavy held hello help
+hen her here hide high hill him his history hit hold hole home hope horse hot hour house how huge human hundred hungry
+hunt hurry hurt husband i ice idea if important in inch include insect inside instead interest into iron is island it
+its jar job join joy jump just keep kept key kick kid kill kind king kitchen kitten knee knew knock know lady lake land
+language large last late laugh law lay lead leaf learn least leave led left leg less let letter level lie life lift light
+like line lion list listen little live lock long look lost lot loud love low lunch machine made mail main make man many map
+mark market master match matter may me mean measure meat meet men met middle might mile milk mind mine minute miss mix mom
+moment money monkey month moon more morning most mother mountain mouse mouth move much mud music must my name nation
+natural near neck need neighbor nest never new next nice night nine no noise none noon nor north nose not note nothing
+notice now number object ocean of off offer office often oh oil old on once one only open or orange order other our out
+outside over own page paint pair paper parent park part party pass past path pay pen people perhaps person pet pick
+picture piece pig place plain plan plane plant play please pocket point pole pond pony pool poor position possible pot
+pound power practice prepare present press pretty print probable problem produce product proud pull puppy push put
+queen question quick quiet quite rabbit race radio rain raise ran rather reach read ready real reason receive record red
+remember repeat reply rest rich ride right ring river road rock roll roof room root rope rose round row rule run safe said
+sail salt same sand sat save saw say school science sea search season seat second see seed seem seen sell send sense sent
+sentence serve set settle seven several shall shape share sharp she sheep shell shine ship shirt shoe shop shore short
+should shoulder shout show shut sick side sign silent silver simple since sing sister sit six size skin sky sleep slow small
+smell smile snake snow so soft soil sold soldier some someone something sometimes son song soon sound south space speak
+special speed spell spend spoke spot spring square stand star start state station stay step stick still stone stood stop
+store storm story straight strange stream street strong student study such sudden sugar summer sun supply suppose sure
+surprise swim table tail take talk tall teach team teeth tell ten test than thank that the their them then there these
+they thick thin thing think third this those though thought thousand three threw through throw tie time tiny tired to
+today together told tomorrow too took tool top touch toward town toy track trade train travel tree trip trouble truck true
+try turn twelve twenty two under until up upon us use usual valley very village visit voice wait walk wall want war warm
+was wash watch water wave way we wear weather week weight well went were west wet what wheel when where whether which while
+white who whole why wide wife wild will win wind window wing winter wish with without woman women wonder wood word wore work
+world worry would write wrong wrote yard year yellow yes yesterday yet you young your zoo
+`;
+
+const WORD_SET = new Set(WORD_LIST_SOURCE.trim().split(/\s+/));
+
+// Irregular forms the suffix-stripping below can't reach
+const IRREGULAR_FORMS = new Set([
+    'feet', 'geese', 'mice', 'teeth', 'men', 'women', 'children', 'people', 'ran', 'sang', 'swam', 'drank', 'ate', 'saw',
+    'went', 'gone', 'took', 'taken', 'gave', 'given', 'wrote', 'written', 'rode', 'ridden', 'flew', 'flown', 'grew', 'grown',
+    'knew', 'known', 'threw', 'thrown', 'drew', 'drawn', 'fell', 'fallen', 'froze', 'frozen', 'hid', 'hidden', 'bit',
+    'bitten', 'chose', 'chosen', 'spoke', 'spoken', 'woke', 'woken', 'stole', 'stolen', 'sat', 'stood', 'understood', 'felt',
+    'kept', 'slept', 'swept', 'left', 'meant', 'met', 'paid', 'said', 'sold', 'told', 'found', 'bought', 'brought', 'caught',
+    'taught', 'thought', 'fought', 'built', 'sent', 'spent', 'lent', 'lost', 'shot', 'got', 'forgot', 'won', 'sung', 'rung',
+    'began', 'begun', "can't", "won't", 'came', 'become', 'became', 'did', 'done', 'was', 'were', 'been', 'has', 'had', 'does', 'is', 'am', 'are'
+]);
+
+/**
+ * Candidate base forms for an inflected word ("running" → run, "hopped" → hop, "babies" → baby)
+ * @param {string} word - Lowercase word
+ * @returns {string[]} Possible base forms, including the word itself
+ */
+function getBaseFormCandidates(word) {
+    const candidates = [word];
+    const suffixes = [
+        ['ies', 'y'], ['ied', 'y'], ['ier', 'y'], ['iest', 'y'], ['ily', 'y'],
+        ['ing', ''], ['ing', 'e'], ['ed', ''], ['ed', 'e'], ['es', ''], ['s', ''],
+        ['er', ''], ['er', 'e'], ['est', ''], ['est', 'e'], ['ly', ''], ['ful', ''], ['ness', ''], ['less', '']
+    ];
+
+    suffixes.forEach(([suffix, replacement]) => {
+        if (word.length > suffix.length + 1 && word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            candidates.push(stem + replacement);
+            // Doubled final consonant: hopped → hop, running → run
+            if (replacement === '' && stem.length > 2 && stem[stem.length - 1] === stem[stem.length - 2]) {
+                candidates.push(stem.slice(0, -1));
+            }
+        }
+    });
+
+    // Possessives and contractions: dog's → dog, don't → do
+    if (word.endsWith("n't")) {
+        candidates.push(word.slice(0, -3));
+    } else if (word.includes("'")) {
+        candidates.push(word.split("'")[0]);
+    }
+
+    return candidates;
+}
+
+/**
+ * Check whether a token is a real English word
+ * Passage words count as real too, so rare vocabulary from the text itself
+ * ("the lighthouse" read as "the lightship") isn't mistaken for a non-word
+ * @param {string} word - Spoken token
+ * @param {Set<string>} [extraWords] - Additional known words (normalized lowercase)
+ * @returns {boolean} True if the word (or its base form) is known
+ */
+export function isRealWord(word, extraWords = null) {
+    if (!word) return false;
+    const normalized = word.toLowerCase().replace(/[^a-z']/g, '');
+    if (!normalized) return /\d/.test(word); // Numbers are real words for reading purposes
+    if (IRREGULAR_FORMS.has(normalized)) return true;
+
+    return getBaseFormCandidates(normalized).some(candidate =>
+        WORD_SET.has(candidate) || (extraWords && extraWords.has(candidate)) ||
+        lookupPronunciation(candidate.replace(/'/g, '')) !== null
+    );
+}
+
+export default { isRealWord };
@@ -97,7 +97,17 @@ export const AUDIO_CONSTANTS = {
     DEFAULT_BITRATE: 32000,
     MAX_FILE_SIZE_MB: 9.5,
     MAX_INLINE_DURATION_SECONDS: 45,
-    RECORDING_CHECK_INTERVAL_MS: 100
+    RECORDING_CHECK_INTERVAL_MS: 100,
+    MAX_RECORDING_SECONDS: 300,
+
+    // Google's synchronous speech:recognize endpoint rejects audio over 60s,
+    // so longer recordings are split into overlapping chunks
+    SYNC_RECOGNITION_LIMIT_SECONDS: 59.8,
+    CHUNK_DURATION_SECONDS: 50,
+    CHUNK_OVERLAP_SECONDS: 5,
+    CHUNK_SAMPLE_RATE: 16000,
+    // Max gap between two identical words at a chunk seam to treat them as one
+    SEAM_DUPLICATE_TOLERANCE_SECONDS: 0.3
 };
 
 // Canvas Interaction
@@ -129,6 +139,7 @@ export const ANALYSIS_CONSTANTS = {
 
     // Error detection
     CONSECUTIVE_SKIPS_FOR_LINE_SKIP: 3,
+    MAX_REPEATED_PHRASE_WORDS: 6,
     MAX_COMMON_WORD_COUNT: 2,
 
     // Pause/hesitation detection
@@ -168,7 +179,9 @@ export const UI_CONSTANTS = {
 export const RECORDING_DURATIONS = {
     SHORT: 0.5,  // 30 seconds
     MEDIUM: 1,   // 1 minute
-    LONG: 2      // 2 minutes
+    LONG: 2,     // 2 minutes
+    EXTENDED: 3, // 3 minutes
+    FULL: 5      // 5 minutes
 };
 
 // Bitrate options (in bps)
@@ -232,6 +245,51 @@ export function meetsSimilarityThreshold(similarity, threshold = 'medium') {
     return similarity >= (thresholds[threshold] || thresholds.medium);
 }
 
+/**
+ * Parse a free-text grade ("3rd Grade", "Grade 2", "K", "1") into a number
+ * @param {string|number} grade - Grade as typed by the teacher
+ * @returns {number|null} - 0 for kindergarten, 1-12, or null if unrecognized
+ */
+export function parseGradeLevel(grade) {
+    if (typeof grade === 'number') return grade >= 0 && grade <= 12 ? grade : null;
+    const text = String(grade || '').trim().toLowerCase();
+    if (!text) return null;
+    if (/^(k|kg|kinder|kindergarten)\b/.test(text)) return 0;
+
+    const number = text.match(/\d{1,2}/);
+    if (number) {
+        const level = parseInt(number[0], 10);
+        return level >= 1 && level <= 12 ? level : null;
+    }
+
+    const words = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth', 'eleventh', 'twelfth'];
+    const wordIndex = words.findIndex(w => text.includes(w));
+    return wordIndex === -1 ? null : wordIndex + 1;
+}
+
+/**
+ * WCPM for a saved assessment (older ones only stored WPM, so derive it when possible)
+ * @param {Object} assessment - Saved assessment
+ * @returns {number|null} Words correct per minute, or null if it can't be worked out
+ */
+export function getAssessmentWcpm(assessment) {
+    if (typeof assessment.wcpm === 'number') return assessment.wcpm;
+    const readingTime = assessment.prosodyMetrics?.readingTime;
+    return readingTime > 0 ? Math.round((assessment.correctCount || 0) / (readingTime / 60)) : null;
+}
+
+/**
+ * Display label for a structured grade level
+ * @param {number|null} level - 0 for kindergarten, 1-12, or null
+ * @returns {string} e.g. 'Kindergarten', '3rd Grade', or '' when unset
+ */
+export function formatGradeLevel(level) {
+    if (level === null || level === undefined || level === '') return '';
+    if (level === 0) return 'Kindergarten';
+    const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[level] || 'th';
+    return `${level}${suffix} Grade`;
+}
+
 // ============ EXPORT DEFAULT ============
 export default {
     DEBUG,
@@ -252,5 +310,8 @@ export default {
     getAccuracyClassification,
     getCardAccuracyClass,
     getUsageStatusClass,
-    meetsSimilarityThreshold
+    meetsSimilarityThreshold,
+    parseGradeLevel,
+    formatGradeLevel,
+    getAssessmentWcpm
 };